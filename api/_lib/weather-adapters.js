@@ -0,0 +1,160 @@
+import axios from 'axios';
+
+/**
+ * Upstream weather provider adapters for the /api/weather proxy.
+ *
+ * Every adapter exposes `getCurrentWeather({ location, latitude, longitude, units })` and resolves
+ * to the normalized shape returned by /api/weather, so the client never sees provider-specific data:
+ *
+ * {
+ *   location: { name, region, country, latitude, longitude },
+ *   current: { temperature, apparentTemperature, humidity, windSpeed, conditionCode, condition, icon, isDay },
+ *   units: { system, temperature, windSpeed },
+ *   provider,
+ *   fetchedAt
+ * }
+ *
+ * Base URLs can be overridden via environment variables (WEATHER_API_BASE_URL,
+ * WEATHER_GEOCODING_BASE_URL) so a local fixture server can stand in for the real upstream.
+ * (Files under /api/_lib are not deployed as serverless functions.)
+ */
+
+/** Error carrying the HTTP status the proxy should respond with. */
+export class WeatherAdapterError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'WeatherAdapterError';
+    this.status = status;
+  }
+}
+
+// WMO weather interpretation codes (used by Open-Meteo) -> [description, icon key]
+const WMO_CODES = {
+  0: ['Clear sky', 'clear'],
+  1: ['Mainly clear', 'clear'],
+  2: ['Partly cloudy', 'partly-cloudy'],
+  3: ['Overcast', 'cloudy'],
+  45: ['Fog', 'fog'],
+  48: ['Rime fog', 'fog'],
+  51: ['Light drizzle', 'drizzle'],
+  53: ['Drizzle', 'drizzle'],
+  55: ['Dense drizzle', 'drizzle'],
+  56: ['Freezing drizzle', 'drizzle'],
+  57: ['Freezing drizzle', 'drizzle'],
+  61: ['Light rain', 'rain'],
+  63: ['Rain', 'rain'],
+  65: ['Heavy rain', 'rain'],
+  66: ['Freezing rain', 'rain'],
+  67: ['Freezing rain', 'rain'],
+  71: ['Light snow', 'snow'],
+  73: ['Snow', 'snow'],
+  75: ['Heavy snow', 'snow'],
+  77: ['Snow grains', 'snow'],
+  80: ['Light showers', 'rain'],
+  81: ['Showers', 'rain'],
+  82: ['Heavy showers', 'rain'],
+  85: ['Snow showers', 'snow'],
+  86: ['Heavy snow showers', 'snow'],
+  95: ['Thunderstorm', 'thunderstorm'],
+  96: ['Thunderstorm with hail', 'thunderstorm'],
+  99: ['Thunderstorm with hail', 'thunderstorm']
+};
+
+/**
+ * Creates an adapter for Open-Meteo (https://open-meteo.com), which needs no API key.
+ * @param {object} [config]
+ * @param {string} [config.forecastBaseUrl] - Base URL of the forecast API.
+ * @param {string} [config.geocodingBaseUrl] - Base URL of the geocoding API.
+ * @param {object} [config.httpClient=axios] - HTTP client with an axios-compatible `get`.
+ * @returns {object} The adapter.
+ */
+export function createOpenMeteoAdapter({
+  forecastBaseUrl = 'https://api.open-meteo.com',
+  geocodingBaseUrl = 'https://geocoding-api.open-meteo.com',
+  httpClient = axios
+} = {}) {
+  /** Resolves a place name to coordinates using the geocoding API. */
+  async function geocode(name) {
+    const response = await httpClient.get(`${geocodingBaseUrl}/v1/search`, {
+      params: { name, count: 1, language: 'en', format: 'json' }
+    });
+    const place = response.data?.results?.[0];
+    if (!place) {
+      throw new WeatherAdapterError(`Location not found: ${name}`, 404);
+    }
+    return {
+      name: place.name,
+      region: place.admin1 || '',
+      country: place.country || '',
+      latitude: place.latitude,
+      longitude: place.longitude
+    };
+  }
+
+  return {
+    name: 'open-meteo',
+
+    async getCurrentWeather({ location, latitude, longitude, units = 'metric' }) {
+      const place = location
+        ? await geocode(location)
+        : { name: '', region: '', country: '', latitude, longitude };
+
+      const imperial = units === 'imperial';
+      const response = await httpClient.get(`${forecastBaseUrl}/v1/forecast`, {
+        params: {
+          latitude: place.latitude,
+          longitude: place.longitude,
+          current: 'temperature_2m,apparent_temperature,relative_humidity_2m,weather_code,is_day,wind_speed_10m',
+          temperature_unit: imperial ? 'fahrenheit' : 'celsius',
+          wind_speed_unit: imperial ? 'mph' : 'kmh',
+          timezone: 'auto'
+        }
+      });
+
+      const current = response.data?.current;
+      if (!current || typeof current.temperature_2m !== 'number') {
+        throw new WeatherAdapterError('Unexpected response from weather provider.');
+      }
+
+      const [condition, icon] = WMO_CODES[current.weather_code] || ['Unknown', 'unknown'];
+      return {
+        location: place,
+        current: {
+          temperature: current.temperature_2m,
+          apparentTemperature: current.apparent_temperature ?? null,
+          humidity: current.relative_humidity_2m ?? null,
+          windSpeed: current.wind_speed_10m ?? null,
+          conditionCode: current.weather_code,
+          condition,
+          icon,
+          isDay: current.is_day !== 0
+        },
+        units: {
+          system: imperial ? 'imperial' : 'metric',
+          temperature: imperial ? '°F' : '°C',
+          windSpeed: imperial ? 'mph' : 'km/h'
+        },
+        provider: 'open-meteo',
+        fetchedAt: new Date().toISOString()
+      };
+    }
+  };
+}
+
+// Registered adapter factories, selected with the WEATHER_PROVIDER environment variable
+const ADAPTER_FACTORIES = {
+  'open-meteo': () => createOpenMeteoAdapter({
+    forecastBaseUrl: process.env.WEATHER_API_BASE_URL || undefined,
+    geocodingBaseUrl: process.env.WEATHER_GEOCODING_BASE_URL || process.env.WEATHER_API_BASE_URL || undefined
+  })
+};
+
+/**
+ * Returns the adapter configured for this deployment.
+ * @param {string} [name=process.env.WEATHER_PROVIDER] - Adapter name (defaults to 'open-meteo').
+ * @returns {object|null} The adapter, or null if the name is unknown.
+ */
+export function getWeatherAdapter(name = process.env.WEATHER_PROVIDER) {
+  const factory = ADAPTER_FACTORIES[name || 'open-meteo'];
+  return factory ? factory() : null;
+}
@@ -0,0 +1,206 @@
+import axios from 'axios';
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+
+// Calendars beyond this size are almost certainly not a single person's/room's feed
+const MAX_ICS_BYTES = 5 * 1024 * 1024;
+const REQUEST_TIMEOUT = 10000;
+const MAX_REDIRECTS = 3;
+
+/**
+ * Expands an IPv6 address to its eight 16-bit groups (a dotted IPv4 tail becomes the last two).
+ * @param {string} address - A valid IPv6 address, optionally with a zone ID.
+ * @returns {number[]}
+ */
+function parseIPv6(address) {
+  let text = address.toLowerCase().split('%')[0];
+  const ipv4Tail = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (ipv4Tail) {
+    const [a, b, c, d] = ipv4Tail.slice(1).map(Number);
+    text = `${text.slice(0, ipv4Tail.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeroGroups = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...zeroGroups, ...tailGroups].map(group => parseInt(group, 16));
+}
+
+/**
+ * Checks whether an IP address is loopback, private, link-local or otherwise not publicly routable.
+ * IPv6 addresses that embed an IPv4 address (IPv4-mapped, IPv4-compatible, NAT64) are judged by that address.
+ * @param {string} address - IPv4 or IPv6 address.
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) || // Carrier-grade NAT
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      a >= 224; // Multicast/reserved
+  }
+  if (!net.isIPv6(address)) return true; // Not an address we know how to judge
+
+  const groups = parseIPv6(address);
+  const embeddedIPv4 = [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+  const startsWithZeros = count => groups.slice(0, count).every(group => group === 0);
+  if (startsWithZeros(6) || (startsWithZeros(5) && groups[5] === 0xffff)) {
+    return isPrivateAddress(embeddedIPv4); // ::/96 (including :: and ::1) and IPv4-mapped ::ffff:0:0/96
+  }
+  if (groups[0] === 0x64 && groups[1] === 0xff9b) {
+    // NAT64: well-known prefix 64:ff9b::/96; 64:ff9b:1::/48 is for local use
+    return groups.slice(2, 6).every(group => group === 0) ? isPrivateAddress(embeddedIPv4) : groups[2] === 1;
+  }
+  return (groups[0] & 0xfe00) === 0xfc00 || // Unique local fc00::/7
+    (groups[0] & 0xffc0) === 0xfe80 || // Link-local fe80::/10
+    (groups[0] & 0xffc0) === 0xfec0 || // Site-local fec0::/10 (deprecated)
+    (groups[0] & 0xff00) === 0xff00; // Multicast ff00::/8
+}
+
+/**
+ * DNS lookup for calendar requests that fails for hosts resolving to a private address. It runs when
+ * the connection is made, so the address connected to is the one checked (a host can't pass an
+ * earlier check and then resolve to a private address: DNS rebinding).
+ * Same signature as dns.lookup.
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const privateAddress = addresses.find(({ address }) => isPrivateAddress(address));
+    if (privateAddress) {
+      const refused = new Error(`${hostname} resolves to a private address (${privateAddress.address}).`);
+      refused.code = 'EPRIVATEADDRESS';
+      return callback(refused);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Agents for calendar requests; used unless ICS_ALLOW_PRIVATE_HOSTS is set
+const publicOnlyAgents = {
+  httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+  httpsAgent: new https.Agent({ lookup: publicOnlyLookup })
+};
+
+/**
+ * Validates the calendar URL. webcal:// links (what most calendar apps share) are fetched over https.
+ * @param {string} value - The URL from the query string.
+ * @returns {URL|null} The URL to fetch, or null if it isn't an http(s)/webcal URL.
+ */
+function parseCalendarUrl(value) {
+  try {
+    const url = new URL(String(value).trim().replace(/^webcals?:\/\//i, 'https://'));
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Checks that a URL's host isn't a private IP address (skipped when ICS_ALLOW_PRIVATE_HOSTS is set).
+ * Host names are checked when connecting, by publicOnlyLookup.
+ * @param {URL} url - The URL to check.
+ * @returns {boolean} True if the URL may be fetched.
+ */
+function isAllowedHost(url) {
+  if (process.env.ICS_ALLOW_PRIVATE_HOSTS) return true;
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  return !net.isIP(hostname) || !isPrivateAddress(hostname);
+}
+
+/**
+ * Fetches the calendar, following redirects manually so every hop is checked with isAllowedHost
+ * (and publicOnlyLookup when connecting).
+ * @param {URL} url - The calendar URL.
+ * @returns {Promise<object>} The axios response, or `{ status, error }` if a host was refused.
+ */
+async function fetchCalendar(url) {
+  let currentUrl = url;
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    if (!isAllowedHost(currentUrl)) {
+      return { status: 403, error: 'Calendars on private networks cannot be fetched.' };
+    }
+
+    console.log(`[API/ICS] Fetching calendar from ${currentUrl.host}`);
+    const response = await axios.get(currentUrl.toString(), {
+      responseType: 'text',
+      transformResponse: data => data, // Keep the body as text
+      timeout: REQUEST_TIMEOUT,
+      maxContentLength: MAX_ICS_BYTES,
+      maxRedirects: 0,
+      ...(process.env.ICS_ALLOW_PRIVATE_HOSTS ? {} : publicOnlyAgents),
+      validateStatus: status => status >= 200 && status < 400,
+      headers: { Accept: 'text/calendar, */*;q=0.5' }
+    });
+
+    const location = response.status >= 300 ? response.headers?.location : null;
+    if (!location) return response;
+    currentUrl = parseCalendarUrl(new URL(location, currentUrl).toString());
+    if (!currentUrl) {
+      return { status: 502, error: 'The calendar URL redirected to an unsupported address.' };
+    }
+  }
+  return { status: 502, error: 'Too many redirects.' };
+}
+
+/**
+ * Proxies an iCalendar (.ics) feed so the browser can read calendars that don't send CORS headers.
+ * Responds with the raw calendar text; parsing (recurrences, time zones) happens in the client.
+ * Requests to private/loopback addresses are refused unless ICS_ALLOW_PRIVATE_HOSTS is set
+ * (for self-hosted calendars or a local fixture server).
+ */
+export default async (req, res) => {
+  // Allow requests from any origin (adjust for production if needed)
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const { url: rawUrl } = req.query;
+  if (!rawUrl) {
+    return res.status(400).json({ error: 'Missing required parameter: url' });
+  }
+  const url = parseCalendarUrl(rawUrl);
+  if (!url) {
+    return res.status(400).json({ error: 'Invalid parameter: url must be an http(s) or webcal URL' });
+  }
+
+  try {
+    const response = await fetchCalendar(url);
+    if (response.error) {
+      return res.status(response.status).json({ error: response.error });
+    }
+
+    const body = typeof response.data === 'string' ? response.data : '';
+    if (!body.includes('BEGIN:VCALENDAR')) {
+      return res.status(502).json({ error: 'The URL did not return an iCalendar (.ics) file.' });
+    }
+
+    console.log('[API/ICS] Successfully fetched calendar.');
+    // Calendars change occasionally; let the CDN cache responses for a few minutes
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.status(200).send(body);
+
+  } catch (error) {
+    console.error('[API/ICS] Error fetching calendar:', error.code === 'ENOTFOUND' ? `Host not found: ${url.hostname}` : error.message);
+    if (error.code === 'EPRIVATEADDRESS') {
+      return res.status(403).json({ error: 'Calendars on private networks cannot be fetched.' });
+    }
+    if (error.code === 'ENOTFOUND') {
+      return res.status(404).json({ error: `Calendar host not found: ${url.hostname}` });
+    }
+    const status = error.response?.status || 502;
+    res.status(status).json({ error: `Failed to fetch calendar${error.response ? ` (${error.response.status})` : ''}.` });
+  }
+};
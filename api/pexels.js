@@ -20,16 +20,20 @@ export default async (req, res) => {
   }
 
   // Extract query parameters
-  const { query, orientation, per_page = 30, size = 'medium', page = Math.floor(Math.random() * 20) + 1  } = req.query; // Default per_page
+  const { query, orientation, per_page = 30, size = 'medium', page = Math.floor(Math.random() * 20) + 1, type = 'photo' } = req.query; // Default per_page
 
   if (!query) {
     return res.status(400).json({ error: 'Missing required parameter: query' });
   }
+  if (type !== 'photo' && type !== 'video') {
+    return res.status(400).json({ error: 'Invalid parameter: type must be "photo" or "video"' });
+  }
 
-  const pexelsApiUrl = 'https://api.pexels.com/v1/search';
+  // Videos have their own search endpoint (results nested under 'videos' instead of 'photos')
+  const pexelsApiUrl = type === 'video' ? 'https://api.pexels.com/videos/search' : 'https://api.pexels.com/v1/search';
 
   try {
-    console.log(`[API/Pexels] Fetching from Pexels. Query: ${query}, Orientation: ${orientation}, PerPage: ${per_page}`);
+    console.log(`[API/Pexels] Fetching ${type}s from Pexels. Query: ${query}, Orientation: ${orientation}, PerPage: ${per_page}`);
     const response = await axios.get(pexelsApiUrl, {
       headers: {
         Authorization: PEXELS_API_KEY
@@ -44,7 +48,7 @@ export default async (req, res) => {
     });
 
     console.log('[API/Pexels] Successfully fetched data from Pexels.');
-    // Return the data received from Pexels (usually nested under 'photos')
+    // Return the data received from Pexels (nested under 'photos' or 'videos')
     res.status(200).json(response.data);
 
   } catch (error) {
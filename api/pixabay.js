@@ -4,7 +4,7 @@ export default async function handler(req, res) {
     const apiKey = process.env.PIXABAY_API_KEY; // Ensure this is set in Vercel environment variables
 
     // Get parameters from query string
-    const { q: query, orientation = 'horizontal', page = 1 } = req.query;
+    const { q: query, orientation = 'horizontal', page = 1, type = 'photo' } = req.query;
 
     if (!apiKey) {
         console.error('[API/Pixabay] API key is missing!');
@@ -15,19 +15,29 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: 'Query parameter (q) is required' });
     }
 
+    if (type !== 'photo' && type !== 'video') {
+        return res.status(400).json({ error: 'Type parameter must be "photo" or "video"' });
+    }
+
     // Construct Pixabay API URL with desired parameters
     const params = new URLSearchParams({
         key: apiKey,
         q: query,
-        image_type: 'photo',
-        orientation: orientation,
-        min_width: 1920,
-        min_height: 1080,
         safesearch: 'true',
         per_page: PIXABAY_BATCH_SIZE.toString(),
         page: page.toString()
     });
-    const url = `https://pixabay.com/api/?${params.toString()}`;
+    if (type === 'video') {
+        // The video search has no orientation filter; 'film' excludes animations
+        params.set('video_type', 'film');
+        params.set('min_width', '1280');
+    } else {
+        params.set('image_type', 'photo');
+        params.set('orientation', orientation);
+        params.set('min_width', '1920');
+        params.set('min_height', '1080');
+    }
+    const url = `https://pixabay.com/api/${type === 'video' ? 'videos/' : ''}?${params.toString()}`;
     console.log(`[API/Pixabay] Fetching URL: ${url}`); // Log the final URL
 
     try {
@@ -41,6 +51,6 @@ export default async function handler(req, res) {
         res.status(200).json(data);
     } catch (error) {
         console.error('Error fetching from Pixabay API:', error);
-        res.status(500).json({ error: 'Failed to fetch images from Pixabay' });
+        res.status(500).json({ error: `Failed to fetch ${type === 'video' ? 'videos' : 'images'} from Pixabay` });
     }
 }
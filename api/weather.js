@@ -0,0 +1,59 @@
+import { getWeatherAdapter, WeatherAdapterError } from './_lib/weather-adapters.js';
+
+const VALID_UNITS = ['metric', 'imperial'];
+
+export default async (req, res) => {
+  // Allow requests from any origin (adjust for production if needed)
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Upstream provider is selected by WEATHER_PROVIDER (see api/_lib/weather-adapters.js)
+  const adapter = getWeatherAdapter();
+  if (!adapter) {
+    console.error(`Unknown weather provider configured: ${process.env.WEATHER_PROVIDER}`);
+    return res.status(500).json({ error: 'Server configuration error: unknown weather provider.' });
+  }
+
+  // Extract query parameters
+  const { location, lat, lon, units = 'metric' } = req.query;
+  const latitude = lat !== undefined ? parseFloat(lat) : NaN;
+  const longitude = lon !== undefined ? parseFloat(lon) : NaN;
+  const hasCoordinates = !isNaN(latitude) && !isNaN(longitude);
+
+  if (!location && !hasCoordinates) {
+    return res.status(400).json({ error: 'Missing required parameter: location or lat/lon' });
+  }
+  if (!VALID_UNITS.includes(units)) {
+    return res.status(400).json({ error: `Invalid units: ${units}. Expected one of ${VALID_UNITS.join(', ')}.` });
+  }
+
+  try {
+    console.log(`[API/Weather] Fetching from ${adapter.name}. Location: ${location || `${latitude},${longitude}`}, Units: ${units}`);
+    const weather = await adapter.getCurrentWeather({
+      location,
+      latitude: hasCoordinates ? latitude : undefined,
+      longitude: hasCoordinates ? longitude : undefined,
+      units
+    });
+
+    console.log('[API/Weather] Successfully fetched weather data.');
+    // Conditions change slowly; let the CDN cache responses for a few minutes
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
+    res.status(200).json(weather);
+
+  } catch (error) {
+    console.error('[API/Weather] Error fetching weather:', error.response?.data || error.message);
+    if (error instanceof WeatherAdapterError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    const status = error.response?.status || 500;
+    const message = error.response?.data?.reason || error.response?.data?.error || 'Failed to fetch weather data.';
+    res.status(status).json({ error: message });
+  }
+};
@@ -3,9 +3,12 @@ import { EventBus } from './core/event-bus.js';
 import { StateManager } from './core/state-manager.js';
 import { ConfigManager } from './core/config-manager.js';
 import { registerElementTypes } from './core/element-registration.js'; // Import registration function
+import { registerClockFaces, initClockFaceModules } from './core/clock-face-registration.js';
 
 // State
 import { getDefaultState } from './state/default-state.js'; // Import default state function
+import { migrateState } from './state/migrations.js';
+import { validateState } from './state/state-schema.js';
 
 // Managers
 import { ElementManager } from './managers/element-manager.js';
@@ -14,11 +17,18 @@ import { VisibilityManager } from './utils/visibility-manager.js';
 // Services
 import { BackgroundService } from './services/background-service.js';
 import { FavoritesService } from './services/favorites-service.js';
+import { SchedulerService } from './services/scheduler-service.js';
+import { AlarmService } from './services/alarm-service.js';
+import { AlarmBanner } from './components/alarm-banner.js';
+import { Toast } from './components/toast.js';
+import { ImageBlobStorage } from './services/storage/ImageBlobStorage.js';
+import { appDatabase } from './services/storage/AppDatabase.js';
 
 // UI Components
 import { ControlPanel } from './components/controls/control-panel.js';
 
 // Utilities
+import { initI18n } from './i18n/i18n.js';
 import { setupGlobalKeyListeners, setupWheelResizeListener } from './utils/global-listeners.js';
 import * as logger from './utils/logger.js'; // Import the logger
 
@@ -36,27 +46,53 @@ async function initApp() {
       logger.warn('Essential configuration is missing. Application might run with limited functionality.');
     }
 
-    // 2. Initialize State Manager
-    // TODO: Implement migration logic later
+    // 2. Initialize State Manager (saved state from earlier versions is upgraded first)
     const initialState = getDefaultState(); // Use imported function
     logger.debug('[app.js] Initial state before StateManager.init:', initialState); // Changed to debug
-    await StateManager.init(initialState);
+    await StateManager.init(initialState, { migrate: migrateState, validate: validateState });
     logger.log('[app.js] State initialized.'); // Simplified log
 
+    // Apply the UI language before any UI is built
+    initI18n(StateManager);
+
     // NOTE: We are *not* syncing logger state from StateManager on init.
     // Logger will always start with debugMode disabled on page load.
-    // The hotkey (Ctrl+Shift+Z) will toggle both the logger's internal state
+    // The hotkey (Ctrl+Alt+D) will toggle both the logger's internal state
     // and update the StateManager for the current session.
 
+    // Toast messages ('ui:showToast')
+    const toast = new Toast(document.body);
+    toast.init();
+
     // 3. Register Element Types
     registerElementTypes(); // Use imported function
 
+    // Register the built-in clock faces. Third-party face modules load in the background;
+    // clocks using one show the default face until it is registered.
+    registerClockFaces();
+    initClockFaceModules(StateManager);
+
     // 4. Initialize Device Service (Optional, for responsive/touch features)
     // const deviceService = new DeviceService();
 
     // 5. Initialize Favorites Service
     logger.debug('[app.js] Initializing FavoritesService...');
-    const favoritesService = new FavoritesService(StateManager);
+    const imageBlobStorage = new ImageBlobStorage();
+    imageBlobStorage.init(); // Trims the image cache in the background
+    const favoritesService = new FavoritesService(StateManager, imageBlobStorage);
+    await favoritesService.init();
+
+    // Apply the scheduled profile (if any) before backgrounds and elements are set up from state
+    logger.debug('[app.js] Initializing SchedulerService...');
+    const schedulerService = new SchedulerService(StateManager);
+    schedulerService.init();
+
+    // Alarms and reminders, announced with an on-screen banner
+    logger.debug('[app.js] Initializing AlarmService...');
+    const alarmBanner = new AlarmBanner(document.body);
+    alarmBanner.init();
+    const alarmService = new AlarmService(StateManager);
+    alarmService.init();
 
     // 6. Initialize Background Service
     logger.debug('[app.js] Initializing BackgroundService...');
@@ -72,7 +108,8 @@ async function initApp() {
       backgroundElementB,
       overlayElement,
       configManager,
-      favoritesService
+      favoritesService,
+      imageBlobStorage
     );
     await backgroundService.init();
 
@@ -93,7 +130,9 @@ async function initApp() {
         elementManager,
         configManager,
         backgroundService,
-        favoritesService
+        favoritesService,
+        schedulerService,
+        alarmService
     );
     await controlPanel.init();
 
@@ -132,6 +171,14 @@ async function initApp() {
 
     EventBus.publish('app:initialized');
 
+    // Settings shared as a link (#cfg=...): offer to apply them, also when a link is opened in this tab later
+    const settingsIOService = controlPanel.settingsIOService;
+    await settingsIOService.importSharedSettings(window.location.hash);
+    window.addEventListener('hashchange', () => settingsIOService.importSharedSettings(window.location.hash));
+
+    // Register after startup so precaching doesn't compete with the first image load
+    registerServiceWorker();
+
   } catch (error) {
     logger.error('Critical error during application initialization:', error);
     // Display error message to the user?
@@ -149,12 +196,27 @@ function setupAppListeners() {
 }
 
 
+// --- Offline Support ---
+/**
+ * Registers the service worker (sw.js) that caches the app for offline use.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        logger.debug('[app.js] Service workers not supported; offline mode unavailable.');
+        return;
+    }
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => logger.debug('[app.js] Service worker registered with scope:', registration.scope))
+        .catch(error => logger.warn('[app.js] Service worker registration failed:', error));
+}
+
 // --- Start Application ---
 // Wait for the DOM to be fully loaded before initializing
 // Add global reset function
 window.ambientClock = {
-    resetAndReload: () => {
+    resetAndReload: async () => {
         localStorage.clear();
+        await appDatabase.clearAll();
         window.location.reload();
     }
 };
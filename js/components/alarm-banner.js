@@ -0,0 +1,98 @@
+import { EventBus } from '../core/event-bus.js';
+import { t } from '../i18n/i18n.js';
+
+/**
+ * @class AlarmBanner
+ * @description Shows a banner at the top of the screen while an alarm rings (see AlarmService).
+ * Banners use the toast styles and stay until dismissed; alarms ringing together are stacked.
+ */
+export class AlarmBanner {
+    /**
+     * Creates an instance of AlarmBanner.
+     * @param {HTMLElement} [parent=document.body] - The element the banners are added to.
+     */
+    constructor(parent = document.body) {
+        this.parent = parent;
+        this.stack = null;
+        this.subscriptions = [];
+        this.boundHandleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    /**
+     * Creates the banner container and starts listening for alarms.
+     */
+    init() {
+        this.stack = document.createElement('div');
+        this.stack.className = 'alarm-banner-stack';
+        this.stack.setAttribute('role', 'alert');
+        this.parent.appendChild(this.stack);
+
+        this.subscriptions.push(
+            EventBus.subscribe('alarm:triggered', ({ alarm }) => this.show(alarm))
+        );
+        document.addEventListener('keydown', this.boundHandleKeyDown);
+    }
+
+    /**
+     * Shows a banner for an alarm.
+     * @param {{id: string, label?: string, time: string}} alarm - The ringing alarm.
+     * @returns {HTMLElement} The banner.
+     */
+    show(alarm) {
+        // The same alarm ringing again replaces its banner instead of adding another
+        this.stack.querySelector(`.alarm-banner[data-id="${CSS.escape(alarm.id)}"]`)?.remove();
+
+        const banner = document.createElement('div');
+        banner.className = 'toast-notification alarm-banner';
+        banner.dataset.id = alarm.id;
+
+        const time = document.createElement('span');
+        time.className = 'alarm-banner-time';
+        time.textContent = alarm.time;
+
+        const label = document.createElement('span');
+        label.className = 'alarm-banner-label';
+        label.textContent = alarm.label || t('Alarm');
+
+        const dismissButton = document.createElement('button');
+        dismissButton.className = 'alarm-banner-dismiss';
+        dismissButton.textContent = t('Dismiss');
+        dismissButton.addEventListener('click', () => this.dismiss(banner));
+
+        banner.append(time, label, dismissButton);
+        this.stack.appendChild(banner);
+        // Add 'visible' on the next frame so the toast transition runs
+        requestAnimationFrame(() => banner.classList.add('visible'));
+        return banner;
+    }
+
+    /**
+     * Hides and removes a banner.
+     * @param {HTMLElement} banner - The banner to dismiss.
+     */
+    dismiss(banner) {
+        banner.classList.remove('visible');
+        banner.addEventListener('transitionend', () => banner.remove(), { once: true });
+        setTimeout(() => banner.remove(), 500); // In case the transition doesn't run (e.g. reduced motion)
+    }
+
+    /** Dismisses the newest banner on Escape. */
+    handleKeyDown(event) {
+        if (event.key !== 'Escape') return;
+        const banners = this.stack?.querySelectorAll('.alarm-banner.visible');
+        if (banners?.length) {
+            this.dismiss(banners[banners.length - 1]);
+        }
+    }
+
+    /**
+     * Removes the banners and stops listening for alarms.
+     */
+    destroy() {
+        this.subscriptions.forEach(sub => sub.unsubscribe());
+        this.subscriptions = [];
+        document.removeEventListener('keydown', this.boundHandleKeyDown);
+        this.stack?.remove();
+        this.stack = null;
+    }
+}
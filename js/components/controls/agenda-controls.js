@@ -0,0 +1,270 @@
+import { StateManager } from '../../core/state-manager.js';
+import { EventBus } from '../../core/event-bus.js';
+import { AgendaControlsUIBuilder } from './ui/AgendaControlsUIBuilder.js';
+import { parseIcs } from '../../utils/ics-parser.js';
+import { CalendarFileStorage } from '../../services/storage/CalendarFileStorage.js';
+import { t } from '../../i18n/i18n.js';
+
+/** Largest .ics file that can be uploaded */
+const MAX_FILE_SIZE = 512 * 1024;
+
+/**
+ * Manages the UI controls for a specific Agenda element within the control panel.
+ */
+export class AgendaControls {
+  /**
+   * Creates an AgendaControls instance.
+   * @param {HTMLElement} parentContainer - The DOM element to append the controls to.
+   * @param {string} elementId - The ID of the agenda element being controlled.
+   */
+  constructor(parentContainer, elementId) {
+    if (!parentContainer) {
+      throw new Error('AgendaControls requires a parent container element.');
+    }
+    if (!elementId) {
+        throw new Error('AgendaControls requires the ID of the element to control.');
+    }
+    this.parentContainer = parentContainer;
+    this.elementId = elementId;
+    this.container = null; // The main container for these controls
+    this.elements = {}; // To store references to input elements
+    this.statePath = `elements.${this.elementId}.options`;
+    this.builder = new AgendaControlsUIBuilder(this.elementId);
+    this.calendarFileStorage = new CalendarFileStorage();
+    this.unsubscribers = [];
+
+    console.log(`AgendaControls constructor called for element ID: ${this.elementId}`);
+  }
+
+  /**
+   * Initializes the agenda controls: creates DOM, binds state, adds listeners.
+   * @returns {Promise<boolean>} True if initialization was successful.
+   */
+  async init() {
+    console.log(`Initializing AgendaControls for ${this.elementId}...`);
+    try {
+      this.container = document.createElement('div');
+      this.container.className = 'agenda-controls-content';
+      this.parentContainer.appendChild(this.container);
+
+      this.elements = this.builder.build(this.container);
+      this.bindToState();
+      this.addEventListeners();
+
+      console.log(`AgendaControls for ${this.elementId} initialized successfully.`);
+      return true;
+    } catch (error) {
+      console.error(`Error initializing AgendaControls for ${this.elementId}:`, error);
+      this.destroy();
+      return false;
+    }
+  }
+
+  /** Binds the controls to state changes. */
+  bindToState() {
+    const optionsEventName = `state:${this.statePath}:changed`;
+    const optionsSubscription = EventBus.subscribe(optionsEventName, (optionsState) => {
+      this._updateOptionsUI(optionsState);
+    });
+    this.unsubscribers.push(optionsSubscription.unsubscribe);
+
+    const elementStatePath = `elements.${this.elementId}`;
+    const elementSubscription = EventBus.subscribe(`state:${elementStatePath}:changed`, (elementState) => {
+        this._updateElementUI(elementState);
+    });
+    this.unsubscribers.push(elementSubscription.unsubscribe);
+
+    // Apply initial state
+    const state = StateManager.getState();
+    this._updateOptionsUI(StateManager.getNestedValue(state, this.statePath) || {});
+    this._updateElementUI(StateManager.getNestedValue(state, elementStatePath) || {});
+  }
+
+  /** Updates UI elements based on the provided options state. */
+  _updateOptionsUI(optionsState = {}) {
+     if (!this.elements) return;
+
+     const isFile = optionsState.source === 'file';
+     if (this.elements.visibleCheckbox) this.elements.visibleCheckbox.checked = optionsState.visible ?? true;
+     if (this.elements.sourceSelect) this.elements.sourceSelect.value = isFile ? 'file' : 'url';
+     if (this.elements.urlGroup) this.elements.urlGroup.style.display = isFile ? 'none' : 'flex';
+     if (this.elements.refreshGroup) this.elements.refreshGroup.style.display = isFile ? 'none' : 'flex';
+     if (this.elements.fileGroup) this.elements.fileGroup.style.display = isFile ? 'flex' : 'none';
+     // Don't overwrite text fields while the user is typing in them
+     if (this.elements.urlInput && document.activeElement !== this.elements.urlInput) {
+         this.elements.urlInput.value = optionsState.url || '';
+     }
+     if (this.elements.titleInput && document.activeElement !== this.elements.titleInput) {
+         this.elements.titleInput.value = optionsState.title || '';
+     }
+     if (this.elements.fileNameDisplay) this.elements.fileNameDisplay.textContent = optionsState.fileName || 'No file';
+     this._setSelectValue('refreshSelect', optionsState.refreshInterval ?? 30, '30');
+     this._setSelectValue('maxEventsSelect', optionsState.maxEvents ?? 5, '5');
+     this._setSelectValue('daysAheadSelect', optionsState.daysAhead ?? 7, '7');
+     if (this.elements.showLocationCheckbox) this.elements.showLocationCheckbox.checked = optionsState.showLocation ?? true;
+     if (this.elements.timeFormatSelect) this.elements.timeFormatSelect.value = optionsState.timeFormat === '12' ? '12' : '24';
+     if (this.elements.currentFontDisplay) this.elements.currentFontDisplay.textContent = optionsState.fontFamily || t('Default');
+     if (this.elements.boldCheckbox) this.elements.boldCheckbox.checked = (optionsState.fontWeight === 'bold');
+     if (this.elements.colorPicker) this.elements.colorPicker.value = optionsState.color || '#FFFFFF';
+  }
+
+  /** Updates UI elements based on the provided top-level element state (scale, opacity, effect). */
+  _updateElementUI(elementState = {}) {
+      if (!this.elements) return;
+
+      const currentScale = elementState.scale ?? 1.0;
+      if (this.elements.sizeSlider) {
+          this.elements.sizeSlider.value = currentScale;
+          if (this.elements.sizeValue) {
+              this.elements.sizeValue.textContent = parseFloat(currentScale).toFixed(2);
+          }
+      }
+
+      const currentOpacity = elementState.opacity ?? 1.0;
+      if (this.elements.opacitySlider) {
+          this.elements.opacitySlider.value = currentOpacity;
+          if (this.elements.opacityValue) {
+              this.elements.opacityValue.textContent = parseFloat(currentOpacity).toFixed(2);
+          }
+      }
+
+      if (this.elements.effectSelect) {
+          this.elements.effectSelect.value = elementState.effectStyle || 'flat';
+      }
+  }
+
+  /** Sets a select's value, falling back when the stored value isn't one of its options. */
+  _setSelectValue(key, value, fallback) {
+      const select = this.elements[key];
+      if (!select) return;
+      select.value = String(value);
+      if (!select.value) select.value = fallback; // Unlisted value
+  }
+
+  /** Adds event listeners to the UI elements. */
+  addEventListeners() {
+    if (!this.elements) return;
+    this._addOptionsListeners();
+    this._addElementListeners();
+  }
+
+  /** Adds listeners for controls that modify the element's 'options' state */
+  _addOptionsListeners() {
+    this.elements.visibleCheckbox?.addEventListener('change', (e) => this.dispatchStateUpdate({ visible: e.target.checked }));
+    this.elements.sourceSelect?.addEventListener('change', (e) => this.dispatchStateUpdate({ source: e.target.value }));
+    // The URL is committed on change (blur/enter) so the feed isn't fetched on every keystroke
+    this.elements.urlInput?.addEventListener('change', (e) => this.dispatchStateUpdate({ url: e.target.value.trim() }));
+    this.elements.uploadButton?.addEventListener('click', () => this.elements.fileInput?.click());
+    this.elements.fileInput?.addEventListener('change', (e) => this.handleFileSelected(e.target.files?.[0]));
+    this.elements.refreshSelect?.addEventListener('change', (e) => this.dispatchStateUpdate({ refreshInterval: parseInt(e.target.value, 10) }));
+    this.elements.titleInput?.addEventListener('input', (e) => this.dispatchStateUpdate({ title: e.target.value }));
+    this.elements.maxEventsSelect?.addEventListener('change', (e) => this.dispatchStateUpdate({ maxEvents: parseInt(e.target.value, 10) }));
+    this.elements.daysAheadSelect?.addEventListener('change', (e) => this.dispatchStateUpdate({ daysAhead: parseInt(e.target.value, 10) }));
+    this.elements.showLocationCheckbox?.addEventListener('change', (e) => this.dispatchStateUpdate({ showLocation: e.target.checked }));
+    this.elements.timeFormatSelect?.addEventListener('change', (e) => this.dispatchStateUpdate({ timeFormat: e.target.value }));
+    this.elements.boldCheckbox?.addEventListener('change', (e) => this.dispatchStateUpdate({ fontWeight: e.target.checked ? 'bold' : 'normal' }));
+    this.elements.colorPicker?.addEventListener('input', (e) => this.dispatchStateUpdate({ color: e.target.value }));
+  }
+
+  /** Adds listeners for controls that modify the top-level element state */
+  _addElementListeners() {
+    this.elements.sizeSlider?.addEventListener('input', (e) => {
+        const newScale = parseFloat(e.target.value);
+        if (this.elements.sizeValue) {
+            this.elements.sizeValue.textContent = newScale.toFixed(2);
+        }
+        this.dispatchElementStateUpdate({ scale: newScale });
+    });
+
+    this.elements.opacitySlider?.addEventListener('input', (e) => {
+        const newOpacity = parseFloat(e.target.value);
+        if (this.elements.opacityValue) {
+            this.elements.opacityValue.textContent = newOpacity.toFixed(2);
+        }
+        this.dispatchElementStateUpdate({ opacity: newOpacity });
+    });
+
+    this.elements.effectSelect?.addEventListener('change', (e) => {
+        this.dispatchElementStateUpdate({ effectStyle: e.target.value });
+    });
+
+    this.elements.centerLink?.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.dispatchElementStateUpdate({ position: { x: 50, y: 50 } });
+    });
+
+    this.elements.changeFontLink?.addEventListener('click', (e) => {
+        e.preventDefault();
+        const fontPanel = document.querySelector('font-panel');
+        if (fontPanel && typeof fontPanel.toggle === 'function') {
+            fontPanel.toggle(this.elementId);
+        } else {
+            console.error('FontPanel not found or toggle method missing.');
+        }
+    });
+  }
+
+  /**
+   * Reads an uploaded .ics file and stores its text in IndexedDB (see CalendarFileStorage);
+   * the element's options only keep the file name. Publishes 'agenda:fileChanged'.
+   * @param {File} [file] - The selected file.
+   */
+  async handleFileSelected(file) {
+    if (!file) return;
+    try {
+      if (file.size > MAX_FILE_SIZE) {
+        throw new Error(`Calendar file is too large (max ${MAX_FILE_SIZE / 1024} KB). Use a calendar URL instead.`);
+      }
+      const text = await file.text();
+      parseIcs(text); // Throws if the file isn't a calendar
+      if (!(await this.calendarFileStorage.save(this.elementId, text))) {
+        throw new Error('The file could not be saved in this browser.');
+      }
+      this.dispatchStateUpdate({ source: 'file', fileName: file.name });
+      // The element reloads the file even if its name didn't change
+      EventBus.publish('agenda:fileChanged', { elementId: this.elementId });
+      EventBus.publish('ui:showToast', { message: t('Loaded calendar "{name}".', { name: file.name }) });
+    } catch (error) {
+      console.warn(`[AgendaControls ${this.elementId}] Could not load calendar file:`, error);
+      EventBus.publish('ui:showToast', { message: t('Could not load calendar: {message}', { message: error.message }) });
+    } finally {
+      if (this.elements.fileInput) this.elements.fileInput.value = ''; // Allow re-selecting the same file
+    }
+  }
+
+  /** Dispatches an update to the StateManager for options. */
+  dispatchStateUpdate(optionChanges) {
+    console.log(`[AgendaControls ${this.elementId}] Dispatching options state update:`, optionChanges);
+    StateManager.update({
+        elements: {
+            [this.elementId]: {
+                options: optionChanges
+            }
+        }
+    });
+  }
+
+  /** Dispatches an update to the StateManager for top-level element properties. */
+  dispatchElementStateUpdate(elementChanges) {
+      console.log(`[AgendaControls ${this.elementId}] Dispatching element state update:`, elementChanges);
+      StateManager.update({
+          elements: {
+              [this.elementId]: elementChanges
+          }
+      });
+  }
+
+  /** Cleans up resources. */
+  destroy() {
+    console.log(`Destroying AgendaControls for ${this.elementId}...`);
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+    this.elements = {};
+    console.log(`AgendaControls for ${this.elementId} destroyed.`);
+  }
+}
@@ -0,0 +1,255 @@
+import { EventBus } from '../../core/event-bus.js';
+import { describeAlarm } from '../../services/utils/alarm-helpers.js';
+import { DAY_NAMES } from '../../services/utils/schedule-helpers.js';
+import { localize, localizeAttribute, t } from '../../i18n/i18n.js';
+
+/**
+ * @class AlarmControls
+ * @description Manages the "Alarms" section within the main Control Panel UI.
+ *              Lists alarms (enable/disable, delete) and adds one-off alarms or recurring reminders.
+ */
+export class AlarmControls {
+    /**
+     * Creates an instance of AlarmControls.
+     * @param {HTMLElement} container - The container element for these controls.
+     * @param {AlarmService} alarmService - Instance of the AlarmService.
+     */
+    constructor(container, alarmService) {
+        if (!container) {
+            throw new Error("AlarmControls requires a container element.");
+        }
+        if (!alarmService) {
+            throw new Error("AlarmControls requires an AlarmService instance.");
+        }
+        this.container = container;
+        this.alarmService = alarmService;
+        this.elements = {};
+        this.nodes = []; // Top-level nodes appended to the container
+        this.subscriptions = [];
+
+        // Bound event handlers
+        this.boundRender = this.render.bind(this);
+        this.boundHandleListChange = this.handleListChange.bind(this);
+        this.boundHandleListClick = this.handleListClick.bind(this);
+
+        console.log('[AlarmControls] Initialized');
+    }
+
+    /**
+     * Sets up the DOM structure and event listeners for the alarm controls.
+     */
+    init() {
+        this.createDOM();
+        this.setupEventListeners();
+        this.render();
+        console.log('[AlarmControls] DOM created and initial render done.');
+    }
+
+    /**
+     * Creates the necessary DOM elements within the container, preserving existing content (like the title).
+     */
+    createDOM() {
+        this.elements.alarmList = document.createElement('div');
+        this.elements.alarmList.className = 'schedule-list alarm-list';
+
+        // Label, time and add button
+        const addGroup = document.createElement('div');
+        addGroup.className = 'control-group alarm-add-group';
+        this.elements.labelInput = document.createElement('input');
+        this.elements.labelInput.type = 'text';
+        localizeAttribute(this.elements.labelInput, 'placeholder', 'e.g. Stand-up');
+        this.elements.labelInput.maxLength = 60;
+        this.elements.timeInput = document.createElement('input');
+        this.elements.timeInput.type = 'time';
+        this.elements.timeInput.value = '09:30';
+        this.elements.addButton = document.createElement('button');
+        this.elements.addButton.className = 'small-button';
+        localize(this.elements.addButton, 'Add Alarm');
+        addGroup.append(this.elements.labelInput, this.elements.timeInput, this.elements.addButton);
+
+        // Optional date (one-off alarm)
+        const dateGroup = this._createControlGroup('Once On:');
+        dateGroup.classList.add('alarm-date-group');
+        this.elements.dateInput = document.createElement('input');
+        this.elements.dateInput.type = 'date';
+        this.elements.dateInput.id = 'alarm-date-input';
+        localizeAttribute(this.elements.dateInput, 'title', 'Leave empty to repeat on the days below');
+        dateGroup.querySelector('label').htmlFor = this.elements.dateInput.id;
+        const dateHint = document.createElement('span');
+        dateHint.className = 'alarm-date-hint';
+        localize(dateHint, 'or repeat:');
+        dateGroup.append(this.elements.dateInput, dateHint);
+
+        // Days for recurring reminders
+        const daysGroup = document.createElement('div');
+        daysGroup.className = 'control-group schedule-days-group';
+        this.elements.dayCheckboxes = DAY_NAMES.map((name, day) => {
+            const dayLabel = document.createElement('label');
+            dayLabel.className = 'schedule-day-toggle';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = String(day);
+            checkbox.checked = day >= 1 && day <= 5; // Weekdays
+            dayLabel.append(checkbox, localize(document.createElement('span'), name));
+            daysGroup.appendChild(dayLabel);
+            return checkbox;
+        });
+        this.elements.daysGroup = daysGroup;
+
+        // Sound
+        const soundGroup = this._createControlGroup('Sound:');
+        this.elements.soundCheckbox = document.createElement('input');
+        this.elements.soundCheckbox.type = 'checkbox';
+        this.elements.soundCheckbox.id = 'alarm-sound-checkbox';
+        this.elements.soundCheckbox.checked = true;
+        soundGroup.querySelector('label').htmlFor = this.elements.soundCheckbox.id;
+        soundGroup.appendChild(this.elements.soundCheckbox);
+
+        this.nodes = [this.elements.alarmList, addGroup, dateGroup, daysGroup, soundGroup];
+        this.container.append(...this.nodes);
+    }
+
+    /**
+     * Sets up event listeners for the controls.
+     */
+    setupEventListeners() {
+        this.elements.addButton.addEventListener('click', () => this.handleAddAlarm());
+        this.elements.labelInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.handleAddAlarm();
+        });
+        // Days only apply to repeating alarms
+        this.elements.dateInput.addEventListener('input', () => this._updateDaysState());
+        this.elements.alarmList.addEventListener('change', this.boundHandleListChange);
+        this.elements.alarmList.addEventListener('click', this.boundHandleListClick);
+
+        this.subscriptions.push(
+            EventBus.subscribe('state:settings.alarms:changed', this.boundRender),
+            EventBus.subscribe('settings:imported', this.boundRender),
+            EventBus.subscribe('i18n:languageChanged', this.boundRender) // Alarm texts are built in render()
+        );
+    }
+
+    /** Adds an alarm from the label, time, date, day and sound inputs. */
+    handleAddAlarm() {
+        const date = this.elements.dateInput.value;
+        const days = this.elements.dayCheckboxes.filter(checkbox => checkbox.checked).map(checkbox => Number(checkbox.value));
+        if (!date && days.length === 0) {
+            EventBus.publish('ui:showToast', { message: t('Please pick a date or at least one day.') });
+            return;
+        }
+        const result = this.alarmService.addAlarm({
+            label: this.elements.labelInput.value,
+            time: this.elements.timeInput.value,
+            date: date || null,
+            days: days.length === 7 ? [] : days,
+            sound: this.elements.soundCheckbox.checked
+        });
+        EventBus.publish('ui:showToast', { message: result.message });
+        if (result.success) {
+            this.elements.labelInput.value = '';
+            this.elements.dateInput.value = '';
+            this._updateDaysState();
+        }
+    }
+
+    /**
+     * Handles the enable checkboxes in the alarm list.
+     * @param {Event} event - The change event.
+     */
+    handleListChange(event) {
+        const item = event.target.closest('.alarm-item');
+        if (!item || !event.target.matches('input[data-action="toggle"]')) return;
+        this.alarmService.setAlarmEnabled(item.dataset.id, event.target.checked);
+    }
+
+    /**
+     * Handles clicks on the alarm remove buttons.
+     * @param {Event} event - The click event.
+     */
+    handleListClick(event) {
+        const item = event.target.closest('.alarm-item');
+        if (!item || !event.target.closest('button[data-action="remove"]')) return;
+        this.alarmService.removeAlarm(item.dataset.id);
+    }
+
+    /**
+     * Renders the alarm list from the current alarms.
+     */
+    render() {
+        if (!this.elements.alarmList) return;
+        const alarms = this.alarmService.getAlarms();
+
+        this.elements.alarmList.innerHTML = '';
+        if (alarms.length === 0) {
+            const message = document.createElement('div');
+            message.className = 'schedule-empty-message';
+            localize(message, 'No alarms yet.');
+            this.elements.alarmList.appendChild(message);
+        }
+        // Sorted by time of day for readability
+        [...alarms]
+            .sort((a, b) => a.time.localeCompare(b.time))
+            .forEach(alarm => {
+                const item = document.createElement('div');
+                item.className = 'schedule-item alarm-item';
+                item.classList.toggle('is-disabled', !alarm.enabled);
+                item.dataset.id = alarm.id;
+
+                const toggle = document.createElement('input');
+                toggle.type = 'checkbox';
+                toggle.checked = alarm.enabled;
+                toggle.dataset.action = 'toggle';
+                localizeAttribute(toggle, 'title', alarm.enabled ? 'Turn this alarm off' : 'Turn this alarm on');
+
+                const text = document.createElement('span');
+                text.className = 'schedule-item-text';
+                text.textContent = `${describeAlarm(alarm)}${alarm.label ? ` · ${alarm.label}` : ''}${alarm.sound ? '' : ` ${t('(silent)')}`}`;
+
+                const removeButton = document.createElement('button');
+                removeButton.className = 'small-button schedule-remove-button';
+                removeButton.dataset.action = 'remove';
+                removeButton.textContent = '×';
+                localizeAttribute(removeButton, 'title', 'Delete this alarm');
+
+                item.append(toggle, text, removeButton);
+                this.elements.alarmList.appendChild(item);
+            });
+    }
+
+    /** Disables the day toggles while a date is entered (one-off alarms ignore them). */
+    _updateDaysState() {
+        const isOneOff = Boolean(this.elements.dateInput.value);
+        this.elements.dayCheckboxes.forEach(checkbox => { checkbox.disabled = isOneOff; });
+        this.elements.daysGroup.style.opacity = isOneOff ? '0.5' : '';
+    }
+
+    /**
+     * Helper to create a label and container for a control.
+     * @param {string} labelText - The text for the label (English; it is translated).
+     * @returns {HTMLElement} The container div with the label.
+     */
+    _createControlGroup(labelText) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        const label = document.createElement('label');
+        localize(label, labelText);
+        group.appendChild(label);
+        return group;
+    }
+
+    /**
+     * Cleans up event listeners and subscriptions.
+     */
+    destroy() {
+        console.log('[AlarmControls] Destroying...');
+        this.elements.alarmList?.removeEventListener('change', this.boundHandleListChange);
+        this.elements.alarmList?.removeEventListener('click', this.boundHandleListClick);
+        this.subscriptions.forEach(sub => sub.unsubscribe());
+        this.subscriptions = [];
+        this.nodes.forEach(node => node.remove()); // Keep the section title
+        this.nodes = [];
+        this.elements = {};
+        this.alarmService = null;
+        console.log('[AlarmControls] Destroyed.');
+    }
+}
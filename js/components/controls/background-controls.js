@@ -3,6 +3,8 @@ import { EventBus } from '../../core/event-bus.js';
 import { BackgroundService } from '../../services/background-service.js';
 import { ConfigManager } from '../../core/config-manager.js';
 import { BackgroundUIBuilder } from './ui/BackgroundUIBuilder.js'; // Import the builder
+import { normalizeGradientConfig, MIN_GRADIENT_STOPS, MAX_GRADIENT_STOPS } from '../../services/utils/gradient-helpers.js';
+import { localize, t } from '../../i18n/i18n.js';
 
 /**
  * Manages the UI controls for background settings within the control panel.
@@ -13,8 +15,9 @@ export class BackgroundControls {
    * @param {HTMLElement} parentContainer - The DOM element to append the controls to.
    * @param {ConfigManager} configManager - The application's ConfigManager instance.
    * @param {BackgroundService} backgroundService - The application's BackgroundService instance.
+   * @param {FavoritesService} [favoritesService=null] - Provides the favorites collections to pick from.
    */
-  constructor(parentContainer, configManager, backgroundService) { // Added backgroundService
+  constructor(parentContainer, configManager, backgroundService, favoritesService = null) { // Added backgroundService
     if (!parentContainer) {
       throw new Error('BackgroundControls requires a parent container element.');
     }
@@ -27,6 +30,7 @@ export class BackgroundControls {
     this.parentContainer = parentContainer;
     this.configManager = configManager; // Keep for potential future use
     this.backgroundService = backgroundService; // Store reference
+    this.favoritesService = favoritesService;
     this.container = null; // The main container for these controls
     this.elements = {}; // To store references to input elements
     this.statePath = 'settings.background'; // Path to background settings in state
@@ -56,7 +60,8 @@ export class BackgroundControls {
       const builder = new BackgroundUIBuilder(
         this.container,
         this.peapixCountries,
-        this.backgroundService.imageProviders
+        this.backgroundService.imageProviders,
+        this.configManager.isFeatureEnabled('videoBackground')
       );
       const builderResult = builder.build(); // Get the result object
       this.elements = builderResult; // Store references (includes contentWrapper now)
@@ -88,6 +93,12 @@ export class BackgroundControls {
     });
     this.unsubscribers.push(subscription.unsubscribe);
 
+    // Collections can be created/renamed/deleted from the Favorites section
+    const favoritesSubscription = EventBus.subscribe('favorites:changed', () => {
+      this.updateUIFromState(StateManager.getNestedValue(StateManager.getState(), this.statePath) || {});
+    });
+    this.unsubscribers.push(favoritesSubscription.unsubscribe);
+
     // Apply initial state
     const initialState = StateManager.getNestedValue(StateManager.getState(), this.statePath);
     if (initialState) {
@@ -113,10 +124,14 @@ export class BackgroundControls {
 
     this._updateTypeControls(currentType);
     this._updateSourceControls(currentSource);
+    this._updateVideoSourceControls(state, currentType);
     this._updatePeapixControls(state, currentType, currentSource); // Passes state which includes peapixCountry
+    this._updateLocalFolderControls(state, currentType, currentSource);
     this._updateCategoryControls(state, currentType, currentSource);
     this._updateCommonControls(state);
+    this._updateFavoritesCollectionControls(state, currentType);
     this._updateCycleControls(state); // Added call
+    this._updateGradientControls(state, currentType);
     this._updateControlVisibilityAndState(state, currentType, currentSource);
   }
 
@@ -140,6 +155,20 @@ export class BackgroundControls {
     }
   }
 
+  /** Updates the Video Source select control */
+  _updateVideoSourceControls(state, currentType) {
+    if (this.elements.videoSourceGroup) {
+      this.elements.videoSourceGroup.style.display = currentType === 'video' ? 'flex' : 'none';
+    }
+    const select = this.elements.videoSourceSelect;
+    if (select && select.options.length > 0) {
+      const defaultBgState = StateManager.defaultState?.settings?.background || {};
+      const videoProvider = state.videoProvider || defaultBgState.videoProvider || 'pexels';
+      const providerExists = Array.from(select.options).some(opt => opt.value === videoProvider);
+      select.value = providerExists ? videoProvider : select.options[0].value;
+    }
+  }
+
   /** Updates the Peapix Country select control */
   _updatePeapixControls(state, currentType, currentSource) {
     const showPeapixControls = currentType === 'image' && currentSource === 'peapix';
@@ -153,9 +182,26 @@ export class BackgroundControls {
     }
   }
 
+  /** Updates the Local source folder status */
+  _updateLocalFolderControls(state, currentType, currentSource) {
+    const showLocalControls = currentType === 'image' && currentSource === 'local';
+    if (this.elements.localFolderGroup) {
+      this.elements.localFolderGroup.style.display = showLocalControls ? 'flex' : 'none';
+    }
+    if (this.elements.localFolderName && showLocalControls) {
+      this.elements.localFolderName.textContent = state.localFolderName || 'images/manifest.json';
+      this.elements.localFolderName.title = this.elements.localFolderName.textContent;
+    }
+    if (this.elements.useManifestButton) {
+      this.elements.useManifestButton.disabled = !state.localFolderId;
+    }
+  }
+
   /** Updates the Category select and Custom Category input controls */
   _updateCategoryControls(state, currentType, currentSource) {
-    const showCategoryControls = currentType === 'image' && currentSource !== 'peapix';
+    // Peapix uses countries and local images aren't searchable, so neither has categories; videos are searched by category too
+    const showCategoryControls = currentType === 'video'
+      || (currentType === 'image' && currentSource !== 'peapix' && currentSource !== 'local');
     if (this.elements.categorySelectGroup) {
       this.elements.categorySelectGroup.style.display = showCategoryControls ? 'flex' : 'none';
     }
@@ -199,6 +245,23 @@ export class BackgroundControls {
     }
   }
 
+  /** Fills the favorites collection select; only shown once there are collections to choose from */
+  _updateFavoritesCollectionControls(state, currentType) {
+    const select = this.elements.favoritesCollectionSelect;
+    if (!select) return;
+    const collections = this.favoritesService?.getCollections() || [];
+    if (this.elements.favoritesCollectionGroup) {
+      const showsFavorites = currentType === 'image' || currentType === 'video';
+      this.elements.favoritesCollectionGroup.style.display = showsFavorites && collections.length > 0 ? 'flex' : 'none';
+    }
+
+    select.innerHTML = '';
+    select.add(localize(new Option('', ''), 'All favorites'));
+    collections.forEach(collection => select.add(new Option(collection.name, collection.id)));
+    const selectedId = state.favoritesCollectionId || '';
+    select.value = collections.some(collection => collection.id === selectedId) ? selectedId : '';
+  }
+
   /** Updates cycle controls */
   _updateCycleControls(state) {
     if (this.elements.cycleEnableCheckbox) {
@@ -216,10 +279,78 @@ export class BackgroundControls {
     }
   }
 
+  /** Updates the gradient editor; color inputs are updated in place so an open picker isn't replaced while dragging */
+  _updateGradientControls(state, currentType) {
+    const isGradientType = currentType === 'gradient';
+    ['gradientStyleGroup', 'gradientAngleGroup', 'gradientStopsGroup', 'gradientAnimateGroup', 'gradientTimeOfDayGroup']
+      .forEach(key => {
+        if (this.elements[key]) this.elements[key].style.display = isGradientType ? 'flex' : 'none';
+      });
+    if (!isGradientType || !this.elements.gradientStopsContainer) return;
+
+    const gradient = normalizeGradientConfig(state.gradient);
+    this.elements.gradientStyleSelect.value = gradient.style;
+    this.elements.gradientAngleSlider.value = gradient.angle;
+    this.elements.gradientAngleValue.textContent = `${gradient.angle}°`;
+    this.elements.gradientAnimateCheckbox.checked = gradient.animate;
+    this.elements.gradientTimeOfDayCheckbox.checked = gradient.timeOfDay;
+
+    const container = this.elements.gradientStopsContainer;
+    if (container.children.length !== gradient.stops.length) {
+      container.innerHTML = '';
+      gradient.stops.forEach((stop, index) => {
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.title = t('Color {number}', { number: index + 1 });
+        input.addEventListener('input', (event) => this._updateGradientStop(index, event.target.value));
+        container.appendChild(input);
+      });
+    }
+    gradient.stops.forEach((stop, index) => {
+      const input = container.children[index];
+      if (input.value !== stop) input.value = stop;
+      input.disabled = gradient.timeOfDay; // The time-of-day palette replaces the colors
+    });
+
+    this.elements.gradientAngleSlider.disabled = gradient.style === 'radial';
+    this.elements.addGradientStopButton.disabled = gradient.timeOfDay || gradient.stops.length >= MAX_GRADIENT_STOPS;
+    this.elements.removeGradientStopButton.disabled = gradient.timeOfDay || gradient.stops.length <= MIN_GRADIENT_STOPS;
+  }
+
+  /**
+   * Returns the current gradient settings with defaults filled in.
+   * @returns {object}
+   */
+  _getCurrentGradient() {
+    const currentState = StateManager.getNestedValue(StateManager.getState(), this.statePath) || {};
+    return normalizeGradientConfig(currentState.gradient);
+  }
+
+  /**
+   * Dispatches a change to the gradient settings.
+   * @param {object} changes - Gradient properties to change.
+   */
+  _dispatchGradientUpdate(changes) {
+    this.dispatchStateUpdate({ gradient: { ...this._getCurrentGradient(), ...changes } });
+  }
+
+  /**
+   * Changes one gradient color stop.
+   * @param {number} index - The stop to change.
+   * @param {string} color - The new color.
+   */
+  _updateGradientStop(index, color) {
+    const stops = [...this._getCurrentGradient().stops];
+    stops[index] = color;
+    this._dispatchGradientUpdate({ stops });
+  }
+
   /** Updates the visibility and disabled state of controls based on type and source */
   _updateControlVisibilityAndState(state, currentType, currentSource) {
     const isImageType = currentType === 'image';
-    const isPeapixSource = currentSource === 'peapix';
+    const isVideoType = currentType === 'video';
+    const isMediaType = isImageType || isVideoType; // Image and video share most controls
+    const isPeapixSource = isImageType && currentSource === 'peapix';
     const isCycleEnabled = state.cycleEnabled ?? false;
     const useFavoritesOnly = state.useFavoritesOnly ?? false;
 
@@ -231,27 +362,31 @@ export class BackgroundControls {
     };
 
     setGroupDisplay(this.elements.sourceSelect, isImageType);
-    setGroupDisplay(this.elements.favoritesOnlyCheckbox, isImageType); // Show favorites only for image type
+    setGroupDisplay(this.elements.favoritesOnlyCheckbox, isMediaType); // Show favorites only for image/video type
+    // Video source visibility handled in _updateVideoSourceControls
     // Peapix visibility handled in _updatePeapixControls
     // Category visibility handled in _updateCategoryControls
     // Custom Category visibility handled in _updateCategoryControls
-    setGroupDisplay(this.elements.zoomCheckbox, isImageType);
-    setGroupDisplay(this.elements.infoCheckbox, isImageType);
-    setGroupDisplay(this.elements.cycleEnableCheckbox, isImageType); // Show cycle enable only for images
-    setGroupDisplay(this.elements.cycleIntervalSlider, isImageType && isCycleEnabled); // Show interval slider only if image type and cycle enabled
-    setGroupDisplay(this.elements.colorPicker, !isImageType); // Show color picker only if type is 'color'
+    setGroupDisplay(this.elements.zoomCheckbox, isMediaType);
+    setGroupDisplay(this.elements.infoCheckbox, isMediaType);
+    setGroupDisplay(this.elements.cycleEnableCheckbox, isMediaType); // Show cycle enable only for images/videos
+    setGroupDisplay(this.elements.cycleIntervalSlider, isMediaType && isCycleEnabled); // Show interval slider only if image/video type and cycle enabled
+    setGroupDisplay(this.elements.colorPicker, currentType === 'color'); // Show color picker only if type is 'color'
 
     // --- Disabled State ---
     const imageControlsDisabled = !isImageType;
-    if (this.elements.colorPicker) this.elements.colorPicker.disabled = isImageType; // Disable color picker if type is 'image'
+    const mediaControlsDisabled = !isMediaType;
+    if (this.elements.colorPicker) this.elements.colorPicker.disabled = currentType !== 'color'; // Disable color picker unless type is 'color'
     if (this.elements.sourceSelect) this.elements.sourceSelect.disabled = imageControlsDisabled || useFavoritesOnly;
-    if (this.elements.categorySelect) this.elements.categorySelect.disabled = imageControlsDisabled || isPeapixSource || useFavoritesOnly;
-    if (this.elements.customCategoryInput) this.elements.customCategoryInput.disabled = imageControlsDisabled || isPeapixSource || useFavoritesOnly;
+    if (this.elements.videoSourceSelect) this.elements.videoSourceSelect.disabled = !isVideoType || useFavoritesOnly;
+    if (this.elements.categorySelect) this.elements.categorySelect.disabled = mediaControlsDisabled || isPeapixSource || useFavoritesOnly;
+    if (this.elements.customCategoryInput) this.elements.customCategoryInput.disabled = mediaControlsDisabled || isPeapixSource || useFavoritesOnly;
     if (this.elements.peapixCountrySelect) this.elements.peapixCountrySelect.disabled = imageControlsDisabled || !isPeapixSource || useFavoritesOnly;
-    if (this.elements.zoomCheckbox) this.elements.zoomCheckbox.disabled = imageControlsDisabled;
-    if (this.elements.infoCheckbox) this.elements.infoCheckbox.disabled = imageControlsDisabled;
-    if (this.elements.cycleEnableCheckbox) this.elements.cycleEnableCheckbox.disabled = imageControlsDisabled;
-    if (this.elements.cycleIntervalSlider) this.elements.cycleIntervalSlider.disabled = imageControlsDisabled || !isCycleEnabled;
+    if (this.elements.chooseFolderButton) this.elements.chooseFolderButton.disabled = imageControlsDisabled || useFavoritesOnly;
+    if (this.elements.zoomCheckbox) this.elements.zoomCheckbox.disabled = mediaControlsDisabled;
+    if (this.elements.infoCheckbox) this.elements.infoCheckbox.disabled = mediaControlsDisabled;
+    if (this.elements.cycleEnableCheckbox) this.elements.cycleEnableCheckbox.disabled = mediaControlsDisabled;
+    if (this.elements.cycleIntervalSlider) this.elements.cycleIntervalSlider.disabled = mediaControlsDisabled || !isCycleEnabled;
   }
 
 
@@ -281,6 +416,14 @@ export class BackgroundControls {
             });
         }
 
+    // Favorites Collection Change
+    if (this.elements.favoritesCollectionSelect) {
+        this.elements.favoritesCollectionSelect.addEventListener('change', (event) => {
+            // The image handler reloads by itself if favorites-only mode is on
+            this.dispatchStateUpdate({ favoritesCollectionId: event.target.value || null });
+        });
+    }
+
     // Background Type Change
     if (this.elements.typeSelect) {
         this.elements.typeSelect.addEventListener('change', (event) => {
@@ -310,6 +453,13 @@ export class BackgroundControls {
         });
     }
 
+    // Video Source Select Change
+    if (this.elements.videoSourceSelect) {
+        this.elements.videoSourceSelect.addEventListener('change', (event) => {
+            this.dispatchStateUpdate({ type: 'video', videoProvider: event.target.value });
+        });
+    }
+
     // Peapix Country Select Change
     if (this.elements.peapixCountrySelect) {
         this.elements.peapixCountrySelect.addEventListener('change', (event) => {
@@ -318,6 +468,17 @@ export class BackgroundControls {
     }
 
 
+    // Local Folder Buttons
+    if (this.elements.chooseFolderButton) {
+        this.elements.chooseFolderButton.addEventListener('click', () => this.handleChooseFolder());
+    }
+    if (this.elements.useManifestButton) {
+        this.elements.useManifestButton.addEventListener('click', async () => {
+            await this.backgroundService.imageProviders.get('local')?.clearDirectory();
+            this.dispatchStateUpdate({ localFolderId: null, localFolderName: null });
+        });
+    }
+
     // Image Category Select Change
     if (this.elements.categorySelect) {
         this.elements.categorySelect.addEventListener('change', (event) => {
@@ -376,7 +537,7 @@ export class BackgroundControls {
                     // Dispatch state update with all necessary fields
                     this.dispatchStateUpdate({ 
                         ...currentState,
-                        type: 'image', // Ensure type is set
+                        type: currentState.type === 'video' ? 'video' : 'image', // Ensure type is set (videos use categories too)
                         source: provider,
                         provider: provider,
                         category: 'Other',
@@ -450,6 +611,42 @@ export class BackgroundControls {
         });
     }
 
+    // Gradient editor (color stop inputs get their listeners when they're created)
+    if (this.elements.gradientStyleSelect) {
+        this.elements.gradientStyleSelect.addEventListener('change', (event) => {
+            this._dispatchGradientUpdate({ style: event.target.value });
+        });
+    }
+    if (this.elements.gradientAngleSlider) {
+        this.elements.gradientAngleSlider.addEventListener('input', (event) => {
+            this._dispatchGradientUpdate({ angle: parseInt(event.target.value, 10) });
+        });
+    }
+    if (this.elements.addGradientStopButton) {
+        this.elements.addGradientStopButton.addEventListener('click', () => {
+            const { stops } = this._getCurrentGradient();
+            if (stops.length >= MAX_GRADIENT_STOPS) return;
+            this._dispatchGradientUpdate({ stops: [...stops, stops[stops.length - 1]] }); // Start from the last color
+        });
+    }
+    if (this.elements.removeGradientStopButton) {
+        this.elements.removeGradientStopButton.addEventListener('click', () => {
+            const { stops } = this._getCurrentGradient();
+            if (stops.length <= MIN_GRADIENT_STOPS) return;
+            this._dispatchGradientUpdate({ stops: stops.slice(0, -1) });
+        });
+    }
+    if (this.elements.gradientAnimateCheckbox) {
+        this.elements.gradientAnimateCheckbox.addEventListener('change', (event) => {
+            this._dispatchGradientUpdate({ animate: event.target.checked });
+        });
+    }
+    if (this.elements.gradientTimeOfDayCheckbox) {
+        this.elements.gradientTimeOfDayCheckbox.addEventListener('change', (event) => {
+            this._dispatchGradientUpdate({ timeOfDay: event.target.checked });
+        });
+    }
+
     // Background Color Picker Change (Use 'input' for live updates)
     if (this.elements.colorPicker) {
         this.elements.colorPicker.addEventListener('input', (event) => {
@@ -461,6 +658,29 @@ export class BackgroundControls {
     }
   }
 
+  /**
+   * Lets the user pick a folder for the Local source and switches to it.
+   * @returns {Promise<void>}
+   */
+  async handleChooseFolder() {
+    const localProvider = this.backgroundService.imageProviders.get('local');
+    if (!localProvider) return;
+    try {
+      const folder = await localProvider.chooseDirectory();
+      if (!folder) return; // Picker cancelled
+      this.dispatchStateUpdate({
+        type: 'image',
+        source: 'local',
+        provider: 'local',
+        localFolderId: folder.id,
+        localFolderName: folder.name
+      });
+    } catch (error) {
+      console.error('[BackgroundControls] Error choosing local folder:', error);
+      EventBus.publish('ui:showToast', { message: error.message });
+    }
+  }
+
   /**
    * Dispatches an update to the StateManager for the background settings.
    * @param {object} changes - An object containing the specific changes to the background state.
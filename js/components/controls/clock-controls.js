@@ -3,6 +3,8 @@ import { EventBus } from '../../core/event-bus.js';
 import { StyleHandler } from '../base/mixins/StyleHandler.js';
 import { ClockControlsUIBuilder } from './ui/ClockControlsUIBuilder.js';
 import { AVAILABLE_FONTS } from '../../utils/font-list.js'; // Import the consolidated font list
+import { ClockFaceRegistry } from '../../core/clock-face-registry.js';
+import { t } from '../../i18n/i18n.js';
 
 /**
  * Manages the UI controls for a specific Clock element within the control panel.
@@ -91,6 +93,14 @@ export class ClockControls {
     });
     this.unsubscribers.push(elementSubscription.unsubscribe);
 
+    // Rebuild the face select and face options when faces are loaded or removed
+    const facesSubscription = EventBus.subscribe('clockFaces:changed', () => {
+        this.builder.populateFaces();
+        this._addFaceOptionListeners();
+        this._updateOptionsUI(StateManager.getNestedValue(StateManager.getState(), this.statePath) || {});
+    });
+    this.unsubscribers.push(facesSubscription.unsubscribe);
+
 
     // Apply initial state for options
     const initialOptionsState = StateManager.getNestedValue(StateManager.getState(), this.statePath);
@@ -121,14 +131,36 @@ export class ClockControls {
      console.log(`[ClockControls ${this.elementId}] Updating UI from options state:`, optionsState);
      if (!this.elements) return;
 
-     if (this.elements.faceSelect) this.elements.faceSelect.value = optionsState.face || 'led';
+     if (this.elements.timeZoneSelect) this._setTimeZoneSelectValue(optionsState.timeZone || '');
+     // Don't overwrite the label while the user is typing in it
+     if (this.elements.labelInput && document.activeElement !== this.elements.labelInput) {
+         this.elements.labelInput.value = optionsState.label || '';
+     }
+     // Unregistered faces (e.g. a face module that failed to load) show as the default face
+     const face = ClockFaceRegistry.getFace(optionsState.face) ? optionsState.face : 'clean';
+     if (this.elements.faceSelect) this.elements.faceSelect.value = face;
      if (this.elements.formatSelect) this.elements.formatSelect.value = optionsState.timeFormat || '12';
      if (this.elements.secondsCheckbox) this.elements.secondsCheckbox.checked = optionsState.showSeconds ?? true;
-     if (this.elements.currentFontDisplay) this.elements.currentFontDisplay.textContent = optionsState.fontFamily || 'Default'; // Update font display span
+     if (this.elements.currentFontDisplay) this.elements.currentFontDisplay.textContent = optionsState.fontFamily || t('Default'); // Update font display span
      if (this.elements.boldCheckbox) this.elements.boldCheckbox.checked = (optionsState.fontWeight === 'bold');
      if (this.elements.colorPicker) this.elements.colorPicker.value = optionsState.color || '#FFFFFF';
      if (this.elements.separatorCheckbox) this.elements.separatorCheckbox.checked = optionsState.showSeparator ?? false;
 
+     // Face options, only shown while their face is selected
+     (this.elements.faceOptionSections || []).forEach(({ face: sectionFace, heading }) => {
+         heading.style.display = sectionFace === face ? 'block' : 'none';
+     });
+     (this.elements.faceOptionControls || []).forEach(control => {
+         control.group.style.display = control.face === face ? 'flex' : 'none';
+         const value = optionsState[control.key] ?? control.schema.default;
+         if (control.schema.type === 'checkbox') {
+             control.input.checked = Boolean(value);
+         } else if (document.activeElement !== control.input) { // Don't overwrite text being typed
+             control.input.value = value ?? '';
+         }
+         if (control.valueDisplay) control.valueDisplay.textContent = control.input.value;
+     });
+
      // Update Spacing Slider
      const currentSpacing = optionsState.charSpacing ?? 0.65; // Use default from state
      if (this.elements.spacingSlider) {
@@ -155,6 +187,22 @@ export class ClockControls {
      }
   }
 
+  /**
+   * Selects a time zone in the select, adding it as an option first if the browser
+   * doesn't list it (e.g. a legacy alias coming from imported settings).
+   * @param {string} timeZone - The IANA time zone, or '' for local time.
+   */
+  _setTimeZoneSelectValue(timeZone) {
+     const select = this.elements.timeZoneSelect;
+     if (timeZone && !Array.from(select.options).some(option => option.value === timeZone)) {
+         const option = document.createElement('option');
+         option.value = timeZone;
+         option.textContent = timeZone.replace(/_/g, ' ');
+         select.appendChild(option);
+     }
+     select.value = timeZone;
+  }
+
   /**
    * Updates UI elements based on the provided top-level element state (scale, opacity, effect).
    * @param {object} elementState - The element state object.
@@ -207,6 +255,8 @@ export class ClockControls {
 
   /** Adds listeners for controls that modify the element's 'options' state */
   _addOptionsListeners() {
+    this.elements.timeZoneSelect?.addEventListener('change', (e) => this.dispatchStateUpdate({ timeZone: e.target.value }));
+    this.elements.labelInput?.addEventListener('input', (e) => this.dispatchStateUpdate({ label: e.target.value }));
     this.elements.faceSelect?.addEventListener('change', (e) => this.dispatchStateUpdate({ face: e.target.value }));
     this.elements.formatSelect?.addEventListener('change', (e) => this.dispatchStateUpdate({ timeFormat: e.target.value }));
     this.elements.secondsCheckbox?.addEventListener('change', (e) => this.dispatchStateUpdate({ showSeconds: e.target.checked }));
@@ -218,6 +268,7 @@ export class ClockControls {
     this.elements.boldCheckbox?.addEventListener('change', (e) => this.dispatchStateUpdate({ fontWeight: e.target.checked ? 'bold' : 'normal' }));
     this.elements.colorPicker?.addEventListener('input', (e) => this.dispatchStateUpdate({ color: e.target.value }));
     this.elements.separatorCheckbox?.addEventListener('change', (e) => this.dispatchStateUpdate({ showSeparator: e.target.checked }));
+    this._addFaceOptionListeners();
 
     // Spacing Slider Change
     this.elements.spacingSlider?.addEventListener('input', (e) => {
@@ -247,6 +298,24 @@ export class ClockControls {
      });
   }
 
+  /** Adds listeners for the controls generated from the faces' option schemas */
+  _addFaceOptionListeners() {
+    (this.elements.faceOptionControls || []).forEach(({ key, schema, input, valueDisplay }) => {
+        if (schema.type === 'checkbox') {
+            input.addEventListener('change', (e) => this.dispatchStateUpdate({ [key]: e.target.checked }));
+        } else if (schema.type === 'select') {
+            input.addEventListener('change', (e) => this.dispatchStateUpdate({ [key]: e.target.value }));
+        } else if (schema.type === 'range') {
+            input.addEventListener('input', (e) => {
+                if (valueDisplay) valueDisplay.textContent = e.target.value;
+                this.dispatchStateUpdate({ [key]: parseFloat(e.target.value) });
+            });
+        } else { // 'color' and 'text'
+            input.addEventListener('input', (e) => this.dispatchStateUpdate({ [key]: e.target.value }));
+        }
+    });
+  }
+
   /** Adds listeners for controls that modify the top-level element state (scale, opacity, effect) */
   _addElementListeners() {
     // Size Slider Change
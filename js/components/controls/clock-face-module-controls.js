@@ -0,0 +1,175 @@
+import { StateManager } from '../../core/state-manager.js';
+import { EventBus } from '../../core/event-bus.js';
+import { ClockFaceRegistry } from '../../core/clock-face-registry.js';
+import { localize, localizeAttribute, t } from '../../i18n/i18n.js';
+
+/**
+ * @class ClockFaceModuleControls
+ * @description Manages the "Clock Faces" list in the Settings section: the URLs of third-party
+ *              clock face modules (settings.clockFaceUrls), which are loaded by initClockFaceModules.
+ */
+export class ClockFaceModuleControls {
+    /**
+     * Creates an instance of ClockFaceModuleControls.
+     * @param {HTMLElement} container - The container element for these controls.
+     */
+    constructor(container) {
+        if (!container) {
+            throw new Error("ClockFaceModuleControls requires a container element.");
+        }
+        this.container = container;
+        this.elements = {};
+        this.nodes = []; // Top-level nodes appended to the container
+        this.subscriptions = [];
+
+        // Bound event handlers
+        this.boundRender = this.render.bind(this);
+        this.boundHandleListClick = this.handleListClick.bind(this);
+
+        console.log('[ClockFaceModuleControls] Initialized');
+    }
+
+    /**
+     * Sets up the DOM structure and event listeners.
+     */
+    init() {
+        this.createDOM();
+        this.setupEventListeners();
+        this.render();
+    }
+
+    /**
+     * Creates the list and the URL input within the container.
+     */
+    createDOM() {
+        const labelGroup = document.createElement('div');
+        labelGroup.className = 'control-group';
+        const label = document.createElement('label');
+        label.htmlFor = 'clock-face-url-input';
+        localize(label, 'Clock Faces:');
+        labelGroup.appendChild(label);
+
+        this.elements.moduleList = document.createElement('div');
+        this.elements.moduleList.className = 'schedule-list clock-face-module-list';
+
+        const addGroup = document.createElement('div');
+        addGroup.className = 'control-group clock-face-add-group';
+        this.elements.urlInput = document.createElement('input');
+        this.elements.urlInput.type = 'url';
+        this.elements.urlInput.id = 'clock-face-url-input';
+        this.elements.urlInput.placeholder = 'https://example.com/my-face.js';
+        localizeAttribute(this.elements.urlInput, 'title', 'URL of a clock face module. Only add faces from sources you trust.');
+        this.elements.addButton = document.createElement('button');
+        this.elements.addButton.className = 'small-button';
+        localize(this.elements.addButton, 'Add Face');
+        addGroup.append(this.elements.urlInput, this.elements.addButton);
+
+        this.nodes = [labelGroup, this.elements.moduleList, addGroup];
+        this.container.append(...this.nodes);
+    }
+
+    /**
+     * Sets up event listeners for the controls.
+     */
+    setupEventListeners() {
+        this.elements.addButton.addEventListener('click', () => this.handleAddUrl());
+        this.elements.urlInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.handleAddUrl();
+        });
+        this.elements.moduleList.addEventListener('click', this.boundHandleListClick);
+
+        this.subscriptions.push(
+            EventBus.subscribe('state:settings.clockFaceUrls:changed', this.boundRender),
+            EventBus.subscribe('clockFaces:changed', this.boundRender), // Face names appear once a module has loaded
+            EventBus.subscribe('settings:imported', this.boundRender),
+            EventBus.subscribe('i18n:languageChanged', this.boundRender)
+        );
+    }
+
+    /**
+     * Returns the face module URLs from settings.
+     * @returns {string[]}
+     */
+    _getUrls() {
+        const urls = StateManager.getNestedValue(StateManager.getState(), 'settings.clockFaceUrls');
+        return Array.isArray(urls) ? urls : [];
+    }
+
+    /** Adds the URL in the input to settings.clockFaceUrls (initClockFaceModules loads it). */
+    handleAddUrl() {
+        const url = this.elements.urlInput.value.trim();
+        if (!url) return;
+        const urls = this._getUrls();
+        if (!urls.includes(url)) {
+            StateManager.update({ settings: { clockFaceUrls: [...urls, url] } });
+        }
+        this.elements.urlInput.value = '';
+    }
+
+    /**
+     * Handles clicks on the remove buttons.
+     * @param {Event} event - The click event.
+     */
+    handleListClick(event) {
+        const item = event.target.closest('.clock-face-module-item');
+        if (!item || !event.target.closest('button[data-action="remove"]')) return;
+        StateManager.update({ settings: { clockFaceUrls: this._getUrls().filter(url => url !== item.dataset.url) } });
+    }
+
+    /**
+     * Renders the module list with the faces each module provides.
+     */
+    render() {
+        if (!this.elements.moduleList) return;
+        const urls = this._getUrls();
+
+        this.elements.moduleList.innerHTML = '';
+        if (urls.length === 0) {
+            const message = document.createElement('div');
+            message.className = 'schedule-empty-message';
+            localize(message, 'Only the built-in faces.');
+            this.elements.moduleList.appendChild(message);
+        }
+        urls.forEach(url => {
+            const item = document.createElement('div');
+            item.className = 'schedule-item clock-face-module-item';
+            item.dataset.url = url;
+
+            let source = url;
+            try {
+                source = new URL(url, document.baseURI).href;
+            } catch (e) { /* Invalid URLs are listed as typed (they fail to load) */ }
+            const faces = ClockFaceRegistry.getFaces().filter(face => face.source === source);
+            item.classList.toggle('is-disabled', faces.length === 0);
+
+            const text = document.createElement('span');
+            text.className = 'schedule-item-text';
+            text.title = url;
+            text.textContent = faces.length > 0
+                ? `${faces.map(face => t(face.displayName)).join(', ')} · ${url}`
+                : `${t('(not loaded)')} · ${url}`;
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'small-button schedule-remove-button';
+            removeButton.dataset.action = 'remove';
+            removeButton.textContent = '×';
+            localizeAttribute(removeButton, 'title', 'Remove this face');
+
+            item.append(text, removeButton);
+            this.elements.moduleList.appendChild(item);
+        });
+    }
+
+    /**
+     * Cleans up event listeners and subscriptions.
+     */
+    destroy() {
+        this.elements.moduleList?.removeEventListener('click', this.boundHandleListClick);
+        this.subscriptions.forEach(sub => sub.unsubscribe());
+        this.subscriptions = [];
+        this.nodes.forEach(node => node.remove());
+        this.nodes = [];
+        this.elements = {};
+        console.log('[ClockFaceModuleControls] Destroyed.');
+    }
+}
@@ -8,11 +8,18 @@ import { BackgroundControls } from './background-controls.js';
 import { ClockControls } from './clock-controls.js';
 import { DateControls } from './date-controls.js';
 import { FavoritesControls } from './favorites-controls.js';
+import { ScheduleControls } from './schedule-controls.js';
+import { AlarmControls } from './alarm-controls.js';
+import { PresetControls } from './preset-controls.js';
+import { ClockFaceModuleControls } from './clock-face-module-controls.js';
 import { FontPanel } from './font-panel.js'; // Import the new FontPanel
 import { ControlPanelUIBuilder } from './ui/ControlPanelUIBuilder.js';
 import { DynamicControlManager } from '../../managers/DynamicControlManager.js';
 import { SettingsIOService } from '../../services/settings-io-service.js';
+import { PresetService } from '../../services/preset-service.js';
+import { ShareDialog } from '../share-dialog.js';
 import { AVAILABLE_FONTS } from '../../utils/font-list.js'; // Corrected import path
+import { t, getTextDirection } from '../../i18n/i18n.js';
 
 /**
  * Manages the main control panel UI.
@@ -27,8 +34,10 @@ export class ControlPanel extends BaseUIElement {
    * @param {ConfigManager} configManager - The application's ConfigManager instance.
    * @param {BackgroundService} backgroundService - The application's BackgroundService instance.
    * @param {FavoritesService} favoritesService - The application's FavoritesService instance.
+   * @param {SchedulerService} schedulerService - The application's SchedulerService instance.
+   * @param {AlarmService} alarmService - The application's AlarmService instance.
    */
-  constructor(config, elementManager, configManager, backgroundService, favoritesService) { // Added backgroundService and favoritesService
+  constructor(config, elementManager, configManager, backgroundService, favoritesService, schedulerService, alarmService) { // Added backgroundService and favoritesService
     if (!elementManager) {
         throw new Error('ControlPanel requires an ElementManager instance.');
     }
@@ -41,6 +50,12 @@ export class ControlPanel extends BaseUIElement {
     if (!favoritesService) { // Added check for favoritesService
         throw new Error('ControlPanel requires a FavoritesService instance.');
     }
+    if (!schedulerService) {
+        throw new Error('ControlPanel requires a SchedulerService instance.');
+    }
+    if (!alarmService) {
+        throw new Error('ControlPanel requires an AlarmService instance.');
+    }
     // Override type and potentially statePath if needed
     super({ ...config, type: 'control-panel' });
     this.statePath = 'settings.controls'; // Path for panel's own settings (e.g., visibility)
@@ -48,9 +63,13 @@ export class ControlPanel extends BaseUIElement {
     this.configManager = configManager; // Store reference
     this.backgroundService = backgroundService; // Store reference
     this.favoritesService = favoritesService; // Store reference
+    this.schedulerService = schedulerService;
+    this.alarmService = alarmService;
     this.dynamicControlManager = null;
     this.fontPanel = null; // Add property for FontPanel instance
-    this.settingsIOService = new SettingsIOService();
+    this.shareDialog = null; // Created on first use
+    this.settingsIOService = new SettingsIOService(favoritesService);
+    this.presetService = new PresetService(StateManager, this.settingsIOService, favoritesService);
     this.subscriptions = [];
     // REMOVED: visibilityManager, CONTROLS_HIDE_DELAY, visibilityObserver, hover states, timers
     this.boundHandleBackgroundClick = this.handleBackgroundClick.bind(this); // Keep background click handler
@@ -76,19 +95,15 @@ export class ControlPanel extends BaseUIElement {
     // REMOVED: VisibilityManager instantiation and initial visibility logic
 
     // Instantiate and initialize DynamicControlManager AFTER UI is built
-    if (this.elements.clockSectionPlaceholder && this.elements.dateSectionPlaceholder) {
+    if (this.elements.elementSectionsContainer) {
         this.dynamicControlManager = new DynamicControlManager(
-            {
-                clockSectionPlaceholder: this.elements.clockSectionPlaceholder,
-                dateSectionPlaceholder: this.elements.dateSectionPlaceholder
-                // Pass other placeholders if the manager handles more types
-            },
+            this.elements.elementSectionsContainer,
             this.elementManager // Pass ElementManager
         );
-            this.dynamicControlManager.init(); // Initialize the manager
+        this.dynamicControlManager.init(); // Initialize the manager
         logger.debug(`[ControlPanel ${this.id}] DynamicControlManager initialized.`); // Keep as log
     } else {
-        logger.error(`[ControlPanel ${this.id}] Failed to initialize DynamicControlManager: Placeholders missing.`); // Use logger.error
+        logger.error(`[ControlPanel ${this.id}] Failed to initialize DynamicControlManager: Element sections container missing.`); // Use logger.error
         // Decide if this is a critical failure
     }
 
@@ -144,13 +159,22 @@ export class ControlPanel extends BaseUIElement {
     const builtElements = this.uiBuilder.build();
 
     // Store references provided by the builder
-    this.elements.clockSectionPlaceholder = builtElements.clockSectionPlaceholder;
-    this.elements.dateSectionPlaceholder = builtElements.dateSectionPlaceholder;
+    this.elements.undoButton = builtElements.undoButton;
+    this.elements.redoButton = builtElements.redoButton;
+    this.elements.elementSectionsContainer = builtElements.elementSectionsContainer;
+    this.elements.addElementSelect = builtElements.addElementSelect;
+    this.elements.addElementButton = builtElements.addElementButton;
+    this.elements.presetsSection = builtElements.presetsSection;
     this.elements.backgroundSection = builtElements.backgroundSection;
     this.elements.favoritesSection = builtElements.favoritesSection;
+    this.elements.scheduleSection = builtElements.scheduleSection;
+    this.elements.alarmsSection = builtElements.alarmsSection;
     this.elements.settingsSection = builtElements.settingsSection;
+    this.elements.languageSelect = builtElements.languageSelect;
+    this.elements.clockFacesContainer = builtElements.clockFacesContainer;
     this.elements.downloadButton = builtElements.downloadButton;
     this.elements.uploadButton = builtElements.uploadButton;
+    this.elements.shareButton = builtElements.shareButton;
     this.elements.fileInput = builtElements.fileInput; // Store reference to hidden input
     this.elements.resetButton = builtElements.resetButton;
 
@@ -167,11 +191,20 @@ export class ControlPanel extends BaseUIElement {
   // Removed createEffectsControls - assuming this is handled elsewhere or not needed now
   // Removed _createDynamicPlaceholders - handled by builder
 
-  /** Creates and initializes static controls (Background, Favorites) into their containers */
+  /** Creates and initializes static controls (Presets, Background, Favorites, Schedule, Alarms, Clock Faces) into their containers */
   async _createStaticControls() {
+    // Preset Controls
+    if (this.elements.presetsSection) {
+        const presetControls = new PresetControls(this.elements.presetsSection, this.presetService);
+        presetControls.init();
+        this.elements.presetControls = presetControls;
+    } else {
+        logger.error(`[ControlPanel ${this.id}] Presets section container not found after build.`);
+    }
+
     // Background Controls
     if (this.elements.backgroundSection) {
-        const backgroundControls = new BackgroundControls(this.elements.backgroundSection, this.configManager, this.backgroundService);
+        const backgroundControls = new BackgroundControls(this.elements.backgroundSection, this.configManager, this.backgroundService, this.favoritesService);
         await backgroundControls.init();
         this.elements.backgroundControls = backgroundControls; // Store reference
     } else {
@@ -180,13 +213,40 @@ export class ControlPanel extends BaseUIElement {
 
     // Favorites Controls
     if (this.elements.favoritesSection) {
-        const favoritesControls = new FavoritesControls(this.elements.favoritesSection, this.favoritesService);
+        const favoritesControls = new FavoritesControls(this.elements.favoritesSection, this.favoritesService, {
+            resolveImageUrl: (url) => this.backgroundService.resolveImageUrl(url)
+        });
         await favoritesControls.init();
         this.elements.favoritesControls = favoritesControls; // Store reference
     } else {
         logger.error(`[ControlPanel ${this.id}] Favorites section container not found after build.`); // Use logger.error
     }
 
+    // Schedule Controls
+    if (this.elements.scheduleSection) {
+        const scheduleControls = new ScheduleControls(this.elements.scheduleSection, this.schedulerService);
+        scheduleControls.init();
+        this.elements.scheduleControls = scheduleControls;
+    } else {
+        logger.error(`[ControlPanel ${this.id}] Schedule section container not found after build.`);
+    }
+
+    // Alarm Controls
+    if (this.elements.alarmsSection) {
+        const alarmControls = new AlarmControls(this.elements.alarmsSection, this.alarmService);
+        alarmControls.init();
+        this.elements.alarmControls = alarmControls;
+    } else {
+        logger.error(`[ControlPanel ${this.id}] Alarms section container not found after build.`);
+    }
+
+    // Clock face modules (Settings section)
+    if (this.elements.clockFacesContainer) {
+        const clockFaceModuleControls = new ClockFaceModuleControls(this.elements.clockFacesContainer);
+        clockFaceModuleControls.init();
+        this.elements.clockFaceModuleControls = clockFaceModuleControls;
+    }
+
     // Settings Section Reset Button is already created by the builder, reference stored in createElements
   }
 
@@ -241,6 +301,20 @@ export class ControlPanel extends BaseUIElement {
     });
     this.subscriptions.push(visibilitySub); // Add to subscriptions for cleanup
 
+    // Keep the language select in sync with the setting
+    const languageSub = EventBus.subscribe('state:settings.language:changed', (language) => {
+      if (this.elements.languageSelect) this.elements.languageSelect.value = language || '';
+    });
+    this.subscriptions.push(languageSub);
+    if (this.elements.languageSelect) {
+      this.elements.languageSelect.value = StateManager.getNestedValue(StateManager.getState(), 'settings.language') || '';
+    }
+
+    // Lay the panels out right-to-left for RTL languages
+    const directionSub = EventBus.subscribe('i18n:languageChanged', ({ dir }) => this._applyTextDirection(dir));
+    this.subscriptions.push(directionSub);
+    this._applyTextDirection(getTextDirection());
+
     // Apply initial state
     const initialState = StateManager.getNestedValue(StateManager.getState(), statePath);
     logger.debug(`[ControlPanel ${this.id}] Applying initial state for ${statePath}: ${initialState}`);
@@ -251,6 +325,17 @@ export class ControlPanel extends BaseUIElement {
     }
   }
 
+  /**
+   * Sets the text direction of the control panel and font panel.
+   * @param {'ltr'|'rtl'} dir - The direction.
+   * @private
+   */
+  _applyTextDirection(dir) {
+    if (this.container) this.container.dir = dir;
+    const fontPanel = this.fontPanel || document.querySelector('font-panel');
+    if (fontPanel) fontPanel.dir = dir;
+  }
+
   /**
    * Renders the control panel (potentially updating child controls).
    */
@@ -282,6 +367,24 @@ export class ControlPanel extends BaseUIElement {
     // Reset button listener
     this.elements.resetButton?.addEventListener('click', this.handleResetClick.bind(this));
 
+    // Undo/redo buttons, enabled while the history has steps in their direction
+    this.elements.undoButton?.addEventListener('click', () => StateManager.undo());
+    this.elements.redoButton?.addEventListener('click', () => StateManager.redo());
+    const updateHistoryButtons = ({ canUndo, canRedo }) => {
+      if (this.elements.undoButton) this.elements.undoButton.disabled = !canUndo;
+      if (this.elements.redoButton) this.elements.redoButton.disabled = !canRedo;
+    };
+    this.subscriptions.push(EventBus.subscribe('history:changed', updateHistoryButtons));
+    updateHistoryButtons({ canUndo: StateManager.canUndo(), canRedo: StateManager.canRedo() });
+
+    // UI language select listener
+    this.elements.languageSelect?.addEventListener('change', (e) => {
+      StateManager.update({ settings: { language: e.target.value } });
+    });
+
+    // Add Element button listener
+    this.elements.addElementButton?.addEventListener('click', this.handleAddElementClick.bind(this));
+
     // Settings Download button listener
     this.elements.downloadButton?.addEventListener('click', () => this.settingsIOService.exportSettings());
 
@@ -291,6 +394,9 @@ export class ControlPanel extends BaseUIElement {
     // Hidden file input listener (handles the actual file selection)
     this.elements.fileInput?.addEventListener('change', this.handleFileImport.bind(this));
 
+    // Share button listener (link and QR code)
+    this.elements.shareButton?.addEventListener('click', this.handleShareClick.bind(this));
+
     // Add listener to hide panel on background click using the stored bound reference
     // Note: The logic inside handleBackgroundClick will be simplified
     document.addEventListener('click', this.boundHandleBackgroundClick);
@@ -303,7 +409,7 @@ export class ControlPanel extends BaseUIElement {
 
   handleResetClick() { // Correctly placed handleResetClick
     // Confirm with the user first
-    if (confirm('Are you sure you want to reset all settings to their defaults? This action cannot be undone.')) {
+    if (confirm(t('Are you sure you want to reset all settings to their defaults? You can undo this with Undo.'))) {
         logger.debug(`[ControlPanel ${this.id}] Reset button clicked. Publishing state:reset event.`); // Keep as log
         // Publish an event that the StateManager can listen for
         EventBus.publish('state:reset');
@@ -312,22 +418,44 @@ export class ControlPanel extends BaseUIElement {
       }
   }
 
+  /**
+   * Adds an element of the type selected in the "Add Element" menu.
+   * ElementManager creates the instance and DynamicControlManager its controls section
+   * in response to the state change.
+   */
+  handleAddElementClick() {
+    const type = this.elements.addElementSelect?.value;
+    if (!type) return;
+    const id = this.elementManager.addElement(type);
+    if (id) {
+        logger.debug(`[ControlPanel ${this.id}] Added ${type} element ${id}.`);
+    }
+  }
+
    /**
-    * Handles clicks outside the control panel, font panel, clock, and date elements to hide panels.
+    * Handles clicks outside the control panel, font panel, clock, date, weather and timer elements to hide panels.
     * This listener is attached to the document in addEventListeners.
     * @param {Event} event - The click event.
     */
    handleBackgroundClick(event) {
        // REMOVED: if (!this.isVisible) return;
 
+       // Ignore clicks on elements that were removed from the DOM by their own click handler
+       // (e.g. an element section's Remove button) - they can't be located anymore.
+       if (!event.target.isConnected) return;
+
        const clickedControlPanel = this.container?.contains(event.target);
        const clickedFontPanel = this.fontPanel?.contains(event.target);
        const clickedClock = event.target.closest('.clock-element');
        const clickedDate = event.target.closest('.date-element');
+       const clickedWeather = event.target.closest('.weather-element');
+       const clickedTimer = event.target.closest('.timer-element');
+       const clickedAgenda = event.target.closest('.agenda-element');
        const clickedHint = event.target.closest('.controls-hint-element'); // Also ignore hint clicks
+       const clickedShareDialog = event.target.closest('.share-dialog-overlay');
 
        // If the click was outside all these elements, toggle the panels' visibility
-       if (!clickedControlPanel && !clickedFontPanel && !clickedClock && !clickedDate && !clickedHint) {
+       if (!clickedControlPanel && !clickedFontPanel && !clickedClock && !clickedDate && !clickedWeather && !clickedTimer && !clickedAgenda && !clickedHint && !clickedShareDialog) {
            if (this.isVisible) {
                logger.debug(`[ControlPanel ${this.id}] Background click detected outside relevant elements. Hiding panels.`);
                this.hide();
@@ -345,6 +473,23 @@ export class ControlPanel extends BaseUIElement {
 
   // REMOVED: _observeVisibilityChanges()
 
+  /**
+   * Shows a link carrying the current look, with its QR code.
+   */
+  async handleShareClick() {
+    try {
+      const url = await this.settingsIOService.createShareUrl();
+      if (!this.shareDialog) {
+        this.shareDialog = new ShareDialog(document.body);
+        this.shareDialog.init();
+      }
+      this.shareDialog.show(url);
+    } catch (error) {
+      logger.error('[ControlPanel] Error creating settings link:', error);
+      EventBus.publish('ui:showToast', { message: t('Could not create a settings link.') });
+    }
+  }
+
   /**
    * Handles the file selection event from the hidden input.
    * @param {Event} event - The change event object.
@@ -415,8 +560,13 @@ export class ControlPanel extends BaseUIElement {
         // this.container.innerHTML = '';
     }
     // Destroy static controls
+    this.elements.presetControls?.destroy();
     this.elements.backgroundControls?.destroy();
     this.elements.favoritesControls?.destroy(); // Destroy favorites controls
+    this.elements.scheduleControls?.destroy();
+    this.elements.alarmControls?.destroy();
+    this.elements.clockFaceModuleControls?.destroy();
+    this.shareDialog?.destroy();
 
     // Destroy dynamically added element controls via the manager
     this.dynamicControlManager?.destroy();
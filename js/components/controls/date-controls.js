@@ -3,6 +3,8 @@ import { EventBus } from '../../core/event-bus.js';
 import { StyleHandler } from '../base/mixins/StyleHandler.js';
 import { DateControlsUIBuilder } from './ui/DateControlsUIBuilder.js';
 import { AVAILABLE_FONTS } from '../../utils/font-list.js'; // Import the consolidated font list
+import { formatDate, resolveDateFormat, DATE_FORMAT_PRESETS } from '../../utils/date-format.js';
+import { t } from '../../i18n/i18n.js';
 
 /**
  * Manages the UI controls for a specific Date element within the control panel.
@@ -113,8 +115,16 @@ export class DateControls {
      if (!this.elements) return;
 
      if (this.elements.visibleCheckbox) this.elements.visibleCheckbox.checked = optionsState.visible ?? true;
-     if (this.elements.formatSelect) this.elements.formatSelect.value = optionsState.format || 'Day, Month DD';
-     if (this.elements.currentFontDisplay) this.elements.currentFontDisplay.textContent = optionsState.fontFamily || 'Default'; // Update font display span
+     // Saved legacy format names are shown as their token equivalents
+     const format = resolveDateFormat(optionsState.format);
+     if (this.elements.formatInput && document.activeElement !== this.elements.formatInput) {
+         this.elements.formatInput.value = format;
+     }
+     if (this.elements.formatSelect) this.elements.formatSelect.value = DATE_FORMAT_PRESETS.includes(format) ? format : 'custom';
+     if (this.elements.localeSelect) this.elements.localeSelect.value = optionsState.locale || '';
+     if (this.elements.calendarSelect) this.elements.calendarSelect.value = optionsState.calendar || 'gregory';
+     this._updateFormatPreview(optionsState);
+     if (this.elements.currentFontDisplay) this.elements.currentFontDisplay.textContent = optionsState.fontFamily || t('Default'); // Update font display span
      if (this.elements.boldCheckbox) this.elements.boldCheckbox.checked = (optionsState.fontWeight === 'bold'); // Added
      if (this.elements.colorPicker) this.elements.colorPicker.value = optionsState.color || '#FFFFFF';
      if (this.elements.separatorCheckbox) this.elements.separatorCheckbox.checked = optionsState.showSeparator ?? false;
@@ -155,6 +165,25 @@ export class DateControls {
       }
   }
 
+  /**
+   * Shows today's date in the current format, locale and calendar, and labels the
+   * format presets with examples in the same locale and calendar.
+   * @param {object} optionsState - The element's options.
+   */
+  _updateFormatPreview(optionsState = {}) {
+      const now = new Date();
+      const formatOptions = { locale: optionsState.locale, calendar: optionsState.calendar };
+      if (this.elements.formatPreview) {
+          const format = this.elements.formatInput?.value || resolveDateFormat(optionsState.format);
+          this.elements.formatPreview.textContent = formatDate(now, format, formatOptions);
+      }
+      Array.from(this.elements.formatSelect?.options || []).forEach(option => {
+          if (option.value !== 'custom') {
+              option.textContent = formatDate(now, option.value, formatOptions);
+          }
+      });
+  }
+
   // Removed old updateUIFromState, updateUIScale, updateUIOpacity, updateUIEffectStyle methods
 
   /** Adds event listeners to the UI elements. */
@@ -167,7 +196,23 @@ export class DateControls {
   /** Adds listeners for controls that modify the element's 'options' state */
   _addOptionsListeners() {
     this.elements.visibleCheckbox?.addEventListener('change', (e) => this.dispatchStateUpdate({ visible: e.target.checked }));
-    this.elements.formatSelect?.addEventListener('change', (e) => this.dispatchStateUpdate({ format: e.target.value }));
+    this.elements.formatSelect?.addEventListener('change', (e) => {
+        if (e.target.value === 'custom') {
+            this.elements.formatInput?.focus(); // Keep the current format as the starting point
+            return;
+        }
+        if (this.elements.formatInput) this.elements.formatInput.value = e.target.value;
+        this.dispatchStateUpdate({ format: e.target.value });
+    });
+    // Custom formats apply as they are typed (the preview updates with them)
+    this.elements.formatInput?.addEventListener('input', (e) => {
+        const format = e.target.value;
+        if (format.trim()) {
+            this.dispatchStateUpdate({ format });
+        }
+    });
+    this.elements.localeSelect?.addEventListener('change', (e) => this.dispatchStateUpdate({ locale: e.target.value }));
+    this.elements.calendarSelect?.addEventListener('change', (e) => this.dispatchStateUpdate({ calendar: e.target.value }));
     // Removed fontSelect listener
     // this.elements.fontSelect?.addEventListener('change', (e) => {
     //   this.dispatchStateUpdate({ fontFamily: e.target.value });
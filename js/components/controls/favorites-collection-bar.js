@@ -0,0 +1,179 @@
+import { EventBus } from '../../core/event-bus.js';
+import { localize, localizeAttribute, t } from '../../i18n/i18n.js';
+
+/** View filter value for all favorites */
+export const ALL_FAVORITES = '';
+/** View filter value for favorites that aren't in any collection */
+export const NO_COLLECTION = 'none';
+
+/**
+ * Returns the favorites matching a view filter of the collection bar.
+ * @param {FavoritesService} favoritesService - The favorites service.
+ * @param {string} filter - ALL_FAVORITES, NO_COLLECTION or a collection ID.
+ * @returns {Array<object>} The matching favorites.
+ */
+export function getFavoritesForFilter(favoritesService, filter) {
+    if (filter === NO_COLLECTION) {
+        return favoritesService.getFavorites().filter(fav => !fav.collectionId);
+    }
+    return favoritesService.getFavorites(filter || null);
+}
+
+/**
+ * Creates a select for moving a favorite into another collection.
+ * Changes are handled by the owner (listen for 'change' on `.move-select`, favorite ID in `data-id`).
+ * @param {object} favorite - The favorite.
+ * @param {Array<object>} collections - All collections.
+ * @returns {HTMLSelectElement} The select.
+ */
+export function createMoveSelect(favorite, collections) {
+    const select = document.createElement('select');
+    select.className = 'move-select';
+    select.dataset.id = favorite.id;
+    localizeAttribute(select, 'aria-label', 'Move to collection');
+    localizeAttribute(select, 'title', 'Move to collection');
+    select.add(localize(new Option('', ''), 'No collection'));
+    collections.forEach(collection => select.add(new Option(collection.name, collection.id)));
+    select.value = favorite.collectionId || '';
+    return select;
+}
+
+/**
+ * @class FavoritesCollectionBar
+ * @description A collection picker with New/Rename/Delete buttons, shared by the Favorites section
+ *              of the control panel and the favorites panel element.
+ */
+export class FavoritesCollectionBar {
+    /**
+     * Creates an instance of FavoritesCollectionBar.
+     * @param {HTMLElement} container - The element to append the bar to.
+     * @param {FavoritesService} favoritesService - Instance of the FavoritesService.
+     * @param {object} [options] - Configuration options.
+     * @param {function(string): void} [options.onChange] - Called with the new view filter when it changes.
+     */
+    constructor(container, favoritesService, options = {}) {
+        this.container = container;
+        this.favoritesService = favoritesService;
+        this.onChange = options.onChange || (() => {});
+        this.selected = ALL_FAVORITES;
+
+        this.bar = null;
+        this.select = null;
+        this.renameButton = null;
+        this.deleteButton = null;
+    }
+
+    /**
+     * Creates the DOM and renders the current collections.
+     */
+    init() {
+        this.bar = document.createElement('div');
+        this.bar.className = 'favorites-collection-bar';
+        this.bar.innerHTML = `
+            <select class="favorites-collection-select"></select>
+            <button class="new-collection-button small-button"></button>
+            <button class="rename-collection-button small-button"></button>
+            <button class="delete-collection-button small-button"></button>
+        `;
+        this.container.appendChild(this.bar);
+
+        this.select = this.bar.querySelector('.favorites-collection-select');
+        this.renameButton = this.bar.querySelector('.rename-collection-button');
+        this.deleteButton = this.bar.querySelector('.delete-collection-button');
+        const newButton = this.bar.querySelector('.new-collection-button');
+        localizeAttribute(this.select, 'aria-label', 'Collection');
+        localizeAttribute(localize(newButton, 'New'), 'title', 'New collection');
+        localizeAttribute(localize(this.renameButton, 'Rename'), 'title', 'Rename collection');
+        localizeAttribute(localize(this.deleteButton, 'Delete'), 'title', 'Delete collection');
+
+        this.select.addEventListener('change', () => this._setSelected(this.select.value));
+        newButton.addEventListener('click', () => this.handleCreate());
+        this.renameButton.addEventListener('click', () => this.handleRename());
+        this.deleteButton.addEventListener('click', () => this.handleDelete());
+
+        this.render();
+    }
+
+    /**
+     * Re-renders the collection options, e.g. after favorites changed.
+     * Falls back to all favorites if the selected collection no longer exists.
+     */
+    render() {
+        if (!this.select) return;
+        const collections = this.favoritesService.getCollections();
+
+        this.select.innerHTML = '';
+        this.select.add(localize(new Option('', ALL_FAVORITES), 'All favorites'));
+        this.select.add(localize(new Option('', NO_COLLECTION), 'Not in a collection'));
+        collections.forEach(collection => this.select.add(new Option(collection.name, collection.id)));
+
+        const isCollection = collections.some(collection => collection.id === this.selected);
+        if (!isCollection && this.selected !== NO_COLLECTION) {
+            this.selected = ALL_FAVORITES;
+        }
+        this.select.value = this.selected;
+        this.renameButton.disabled = !isCollection;
+        this.deleteButton.disabled = !isCollection;
+    }
+
+    /**
+     * Prompts for a name and creates a collection, then selects it.
+     */
+    handleCreate() {
+        const name = prompt(t('Name of the new collection:'));
+        if (name === null) return; // Cancelled
+        const result = this.favoritesService.createCollection(name);
+        EventBus.publish('ui:showToast', { message: result.message });
+        if (result.success) {
+            this._setSelected(result.collection.id);
+        }
+    }
+
+    /**
+     * Prompts for a new name for the selected collection.
+     */
+    handleRename() {
+        const collection = this.favoritesService.getCollection(this.selected);
+        if (!collection) return;
+        const name = prompt(t('New name of the collection:'), collection.name);
+        if (name === null || name.trim() === collection.name) return;
+        const result = this.favoritesService.renameCollection(collection.id, name);
+        EventBus.publish('ui:showToast', { message: result.message });
+    }
+
+    /**
+     * Deletes the selected collection after confirmation. Its favorites are kept.
+     */
+    handleDelete() {
+        const collection = this.favoritesService.getCollection(this.selected);
+        if (!collection) return;
+        if (!confirm(t('Delete the collection "{name}"? Its favorites will be kept.', { name: collection.name }))) return;
+        const result = this.favoritesService.deleteCollection(collection.id);
+        EventBus.publish('ui:showToast', { message: result.message });
+        if (result.success) {
+            this._setSelected(ALL_FAVORITES);
+        }
+    }
+
+    /**
+     * Removes the bar from the DOM.
+     */
+    destroy() {
+        this.bar?.remove();
+        this.bar = null;
+        this.select = null;
+        this.renameButton = null;
+        this.deleteButton = null;
+    }
+
+    /**
+     * Changes the selected view filter and notifies the owner.
+     * @param {string} filter - ALL_FAVORITES, NO_COLLECTION or a collection ID.
+     * @private
+     */
+    _setSelected(filter) {
+        this.selected = filter;
+        this.render();
+        this.onChange(filter);
+    }
+}
@@ -1,18 +1,23 @@
 import { EventBus } from '../../core/event-bus.js';
-import { MAX_FAVORITES } from '../../services/favorites-service.js'; // Import MAX_FAVORITES
+import { isLocalImageUrl } from '../../services/image-providers/local-provider.js';
+import { FavoritesCollectionBar, ALL_FAVORITES, createMoveSelect, getFavoritesForFilter } from './favorites-collection-bar.js';
+import { localize, localizeAttribute, t } from '../../i18n/i18n.js';
 // FavoritesService will be injected
 
 /**
  * @class FavoritesControls
  * @description Manages the "Favorites" section within the main Control Panel UI.
- *              Displays saved favorites, allows applying/removing them, and clearing all.
+ *              Displays saved favorites by collection, allows applying/removing them, moving them
+ *              between collections, managing collections, and clearing all.
  */
 export class FavoritesControls {
     /**
      * Creates an instance of FavoritesControls.
      * @param {HTMLElement} container - The container element for these controls.
      * @param {FavoritesService} favoritesService - Instance of the FavoritesService.
-     * @param {object} options - Configuration options (currently none specific).
+     * @param {object} options - Configuration options.
+     * @param {function(string): Promise<string>} [options.resolveImageUrl] - Turns stored image URLs
+     *        that aren't directly displayable (local folder images) into thumbnail sources.
      */
     constructor(container, favoritesService, options = {}) {
         if (!container) {
@@ -30,10 +35,13 @@ export class FavoritesControls {
         this.favoritesCountSpan = null;
         this.clearFavoritesButton = null;
         this.emptyMessageDiv = null;
+        this.collectionBar = null;
+        this.collectionFilter = ALL_FAVORITES; // Collection shown in the grid
 
         // Bound event handlers
         this.boundRenderGrid = this.renderFavoritesGrid.bind(this);
         this.boundHandleGridClick = this.handleGridClick.bind(this);
+        this.boundHandleGridChange = this.handleGridChange.bind(this);
         this.boundHandleClearClick = this.handleClearClick.bind(this);
 
         // EventBus subscriptions
@@ -61,9 +69,10 @@ export class FavoritesControls {
         const header = document.createElement('div');
         header.className = 'favorites-header';
         header.innerHTML = `
-            <span class="favorites-count">0/20 favorites</span>
-            <button class="clear-favorites-button small-button">Clear All</button>
+            <span class="favorites-count"></span>
+            <button class="clear-favorites-button small-button"></button>
         `;
+        localize(header.querySelector('.clear-favorites-button'), 'Clear All');
 
         const grid = document.createElement('div');
         grid.className = 'favorites-grid';
@@ -72,10 +81,16 @@ export class FavoritesControls {
 
         const emptyMessage = document.createElement('div');
         emptyMessage.className = 'favorites-empty-message';
-        emptyMessage.innerHTML = 'No favorites yet. Add some using the ♡ icon.';
 
         // Append new elements to the container
         this.container.appendChild(header);
+        this.collectionBar = new FavoritesCollectionBar(this.container, this.favoritesService, {
+            onChange: (filter) => {
+                this.collectionFilter = filter;
+                this.renderFavoritesGrid();
+            }
+        });
+        this.collectionBar.init();
         this.container.appendChild(grid);
         this.container.appendChild(emptyMessage);
         // Get references to the appended elements
@@ -95,6 +110,7 @@ export class FavoritesControls {
     setupEventListeners() {
         if (this.favoritesGrid) {
             this.favoritesGrid.addEventListener('click', this.boundHandleGridClick);
+            this.favoritesGrid.addEventListener('change', this.boundHandleGridChange);
         }
         if (this.clearFavoritesButton) {
             this.clearFavoritesButton.addEventListener('click', this.boundHandleClearClick);
@@ -124,6 +140,7 @@ export class FavoritesControls {
         const favoriteItem = target.closest('.favorite-item');
 
         if (!favoriteItem) return; // Clicked outside an item
+        if (target.closest('.move-select')) return; // Handled by handleGridChange
 
         const favoriteId = favoriteItem.dataset.id;
         if (!favoriteId) return;
@@ -139,12 +156,24 @@ export class FavoritesControls {
         }
     }
 
+    /**
+     * Handles changes of the "move to collection" selects in the grid.
+     * @param {Event} event - The change event.
+     */
+    handleGridChange(event) {
+        const select = event.target.closest('.move-select');
+        if (!select) return;
+        const result = this.favoritesService.moveFavoriteToCollection(select.dataset.id, select.value || null);
+        EventBus.publish('ui:showToast', { message: result.message });
+        // The 'favorites:changed' event published by the move will trigger re-render
+    }
+
     /**
      * Handles the click on the "Clear All" button.
      */
     handleClearClick() {
         console.log('[FavoritesControls] Clear All button clicked.');
-        if (confirm('Are you sure you want to clear all favorites? This cannot be undone.')) {
+        if (confirm(t('Are you sure you want to clear all favorites? This cannot be undone.'))) {
             const result = this.favoritesService.clearAllFavorites();
             EventBus.publish('ui:showToast', { message: result.message });
             // The 'favorites:changed' event published by clearAllFavorites will trigger re-render
@@ -163,7 +192,7 @@ export class FavoritesControls {
             // EventBus.publish('controls:close');
         } catch (error) {
             console.error(`[FavoritesControls] Error applying favorite ID ${id}:`, error);
-            EventBus.publish('ui:showToast', { message: 'Error applying favorite.' });
+            EventBus.publish('ui:showToast', { message: t('Error applying favorite.') });
         }
     }
 
@@ -179,7 +208,7 @@ export class FavoritesControls {
             // The 'favorites:changed' event published by removeFavoriteById will trigger re-render
         } catch (error) {
             console.error(`[FavoritesControls] Error removing favorite ID ${id}:`, error);
-            EventBus.publish('ui:showToast', { message: 'Error removing favorite.' });
+            EventBus.publish('ui:showToast', { message: t('Error removing favorite.') });
         }
     }
 
@@ -193,11 +222,17 @@ export class FavoritesControls {
             return;
         }
 
-        const favorites = this.favoritesService.getFavorites();
+        this.collectionBar?.render();
+        this.collectionFilter = this.collectionBar?.selected ?? ALL_FAVORITES; // Reset if the collection was deleted
+        const favorites = getFavoritesForFilter(this.favoritesService, this.collectionFilter);
+        const collections = this.favoritesService.getCollections();
         const count = favorites.length;
 
-        // Update count display
-        this.favoritesCountSpan.textContent = `${count}/${MAX_FAVORITES} favorites`;
+        // Update count display (localized, so both follow language changes)
+        localize(this.favoritesCountSpan, count === 1 ? '{count} favorite' : '{count} favorites', { count });
+        localize(this.emptyMessageDiv, this.collectionFilter === ALL_FAVORITES
+            ? 'No favorites yet. Add some using the ♡ icon.'
+            : 'No favorites here yet. Move favorites here from "All favorites".');
 
         // Clear previous grid content
         this.favoritesGrid.innerHTML = '';
@@ -216,22 +251,52 @@ export class FavoritesControls {
                 item.dataset.id = fav.id;
                 // Use thumbnailUrl if available, otherwise fall back to full url
                 const thumb = fav.thumbnailUrl || fav.url;
+                const needsResolving = isLocalImageUrl(thumb);
                 item.innerHTML = `
-                    <img class="favorite-thumbnail" src="${thumb}" alt="Favorite background" loading="lazy">
+                    <img class="favorite-thumbnail" src="${needsResolving ? '' : thumb}" loading="lazy">
                     <div class="favorite-overlay">
                         <div class="favorite-actions">
-                            <button class="favorite-action-button remove-button" aria-label="Remove from favorites">
+                            <button class="favorite-action-button remove-button">
                                 <span class="remove-icon">×</span>
                             </button>
                         </div>
                     </div>
                 `;
+                localizeAttribute(item.querySelector('.favorite-thumbnail'), 'alt', 'Favorite background');
+                localizeAttribute(item.querySelector('.remove-button'), 'aria-label', 'Remove from favorites');
+                if (fav.mediaType === 'video') {
+                    const badge = document.createElement('span');
+                    badge.className = 'favorite-video-badge';
+                    localize(badge, '▶ Video');
+                    item.querySelector('.favorite-thumbnail').after(badge);
+                }
+                if (collections.length > 0) {
+                    item.querySelector('.favorite-actions').prepend(createMoveSelect(fav, collections));
+                }
                 this.favoritesGrid.appendChild(item);
+                if (needsResolving) {
+                    this._resolveThumbnail(item.querySelector('.favorite-thumbnail'), thumb);
+                }
             });
         }
         console.log(`[FavoritesControls] Grid rendered with ${count} items.`);
     }
 
+    /**
+     * Sets a thumbnail's source once its stored URL is resolved.
+     * @param {HTMLImageElement} img - The thumbnail image.
+     * @param {string} url - The stored image URL.
+     * @private
+     */
+    async _resolveThumbnail(img, url) {
+        if (!img || typeof this.options.resolveImageUrl !== 'function') return;
+        try {
+            img.src = await this.options.resolveImageUrl(url);
+        } catch (error) {
+            console.warn('[FavoritesControls] Could not resolve thumbnail:', url, error);
+        }
+    }
+
     /**
      * Cleans up event listeners and subscriptions.
      */
@@ -239,7 +304,10 @@ export class FavoritesControls {
         console.log('[FavoritesControls] Destroying...');
         if (this.favoritesGrid) {
             this.favoritesGrid.removeEventListener('click', this.boundHandleGridClick);
+            this.favoritesGrid.removeEventListener('change', this.boundHandleGridChange);
         }
+        this.collectionBar?.destroy();
+        this.collectionBar = null;
         if (this.clearFavoritesButton) {
             this.clearFavoritesButton.removeEventListener('click', this.boundHandleClearClick);
         }
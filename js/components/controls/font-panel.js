@@ -129,8 +129,14 @@ export class FontPanel extends HTMLElement { // Inherit directly from HTMLElemen
             // Position relative to the viewport based on control panel's rect
             this.style.position = 'fixed'; // Use fixed to position relative to viewport
             this.style.top = `${controlPanelRect.top}px`;
-            // Place it to the right, adding a small gap
-            this.style.left = `${controlPanelRect.right + 10}px`; // 10px gap
+            // Place it beside the panel, adding a small gap (to the left for right-to-left languages)
+            if (this.dir === 'rtl') {
+                this.style.left = 'auto';
+                this.style.right = `${window.innerWidth - controlPanelRect.left + 10}px`;
+            } else {
+                this.style.right = 'auto';
+                this.style.left = `${controlPanelRect.right + 10}px`; // 10px gap
+            }
             console.debug(`FontPanel position updated: top=${this.style.top}, left=${this.style.left}`);
         } else {
             console.warn('Control panel element not found for positioning FontPanel.');
@@ -0,0 +1,221 @@
+import { EventBus } from '../../core/event-bus.js';
+import { localize, localizeAttribute, t } from '../../i18n/i18n.js';
+
+/**
+ * @class PresetControls
+ * @description Manages the "Presets" section within the main Control Panel UI.
+ *              Lists built-in and saved presets (apply, rename, duplicate, export, delete) and
+ *              saves the current look as a new preset.
+ */
+export class PresetControls {
+    /**
+     * Creates an instance of PresetControls.
+     * @param {HTMLElement} container - The container element for these controls.
+     * @param {PresetService} presetService - Instance of the PresetService.
+     */
+    constructor(container, presetService) {
+        if (!container) {
+            throw new Error("PresetControls requires a container element.");
+        }
+        if (!presetService) {
+            throw new Error("PresetControls requires a PresetService instance.");
+        }
+        this.container = container;
+        this.presetService = presetService;
+        this.elements = {};
+        this.nodes = []; // Top-level nodes appended to the container
+        this.subscriptions = [];
+
+        // Bound event handlers
+        this.boundRender = this.render.bind(this);
+        this.boundHandleListClick = this.handleListClick.bind(this);
+
+        console.log('[PresetControls] Initialized');
+    }
+
+    /**
+     * Sets up the DOM structure and event listeners for the preset controls.
+     */
+    init() {
+        this.createDOM();
+        this.setupEventListeners();
+        this.render();
+        console.log('[PresetControls] DOM created and initial render done.');
+    }
+
+    /**
+     * Creates the necessary DOM elements within the container, preserving existing content (like the title).
+     */
+    createDOM() {
+        this.elements.presetList = document.createElement('div');
+        this.elements.presetList.className = 'schedule-list preset-list';
+
+        // Name and save button
+        const saveGroup = document.createElement('div');
+        saveGroup.className = 'control-group preset-save-group';
+        this.elements.nameInput = document.createElement('input');
+        this.elements.nameInput.type = 'text';
+        localizeAttribute(this.elements.nameInput, 'placeholder', 'New preset name');
+        this.elements.nameInput.maxLength = 40;
+        this.elements.saveButton = document.createElement('button');
+        this.elements.saveButton.className = 'small-button';
+        localize(this.elements.saveButton, 'Save Current Look');
+        saveGroup.append(this.elements.nameInput, this.elements.saveButton);
+
+        // Whether to save the favorites with the preset
+        const favoritesGroup = this._createControlGroup('Include Favorites:');
+        this.elements.favoritesCheckbox = document.createElement('input');
+        this.elements.favoritesCheckbox.type = 'checkbox';
+        this.elements.favoritesCheckbox.id = 'preset-favorites-checkbox';
+        localizeAttribute(this.elements.favoritesCheckbox, 'title', 'Applying the preset will replace your favorites with the saved ones');
+        favoritesGroup.querySelector('label').htmlFor = this.elements.favoritesCheckbox.id;
+        favoritesGroup.appendChild(this.elements.favoritesCheckbox);
+
+        this.nodes = [this.elements.presetList, saveGroup, favoritesGroup];
+        this.container.append(...this.nodes);
+    }
+
+    /**
+     * Sets up event listeners for the controls.
+     */
+    setupEventListeners() {
+        this.elements.saveButton.addEventListener('click', () => this.handleSavePreset());
+        this.elements.nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.handleSavePreset();
+        });
+        this.elements.presetList.addEventListener('click', this.boundHandleListClick);
+
+        this.subscriptions.push(
+            EventBus.subscribe('state:settings.presets:changed', this.boundRender),
+            EventBus.subscribe('settings:imported', this.boundRender),
+            EventBus.subscribe('i18n:languageChanged', this.boundRender) // Built-in preset names are translated in render()
+        );
+    }
+
+    /** Saves the current look as a preset using the entered name. */
+    handleSavePreset() {
+        const result = this.presetService.savePreset(this.elements.nameInput.value, {
+            includeFavorites: this.elements.favoritesCheckbox.checked
+        });
+        EventBus.publish('ui:showToast', { message: result.message });
+        if (result.success) {
+            this.elements.nameInput.value = '';
+        }
+    }
+
+    /**
+     * Handles clicks on the apply/rename/duplicate/export/delete buttons in the preset list.
+     * @param {Event} event - The click event.
+     */
+    handleListClick(event) {
+        const button = event.target.closest('button[data-action]');
+        const item = event.target.closest('.preset-item');
+        if (!button || !item) return;
+        const presetId = item.dataset.id;
+        const preset = this.presetService.getPreset(presetId);
+        if (!preset) return;
+        const name = this.presetService.getDisplayName(preset);
+
+        switch (button.dataset.action) {
+            case 'apply': {
+                const result = this.presetService.applyPreset(presetId);
+                EventBus.publish('ui:showToast', { message: result.message });
+                break;
+            }
+            case 'rename': {
+                const newName = prompt(t('New name for preset "{name}":', { name }), name);
+                if (newName === null || newName.trim() === name) break;
+                const result = this.presetService.renamePreset(presetId, newName);
+                EventBus.publish('ui:showToast', { message: result.message });
+                break;
+            }
+            case 'duplicate': {
+                const result = this.presetService.duplicatePreset(presetId);
+                EventBus.publish('ui:showToast', { message: result.message });
+                break;
+            }
+            case 'export':
+                this.presetService.exportPreset(presetId);
+                break;
+            case 'delete':
+                if (confirm(t('Delete preset "{name}"?', { name }))) {
+                    this.presetService.deletePreset(presetId);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Renders the preset list from the current presets.
+     */
+    render() {
+        if (!this.elements.presetList) return;
+
+        this.elements.presetList.innerHTML = '';
+        this.presetService.getPresets().forEach(preset => {
+            const item = document.createElement('div');
+            item.className = 'schedule-item preset-item';
+            item.classList.toggle('is-built-in', Boolean(preset.builtIn));
+            item.dataset.id = preset.id;
+
+            const name = document.createElement('span');
+            name.className = 'schedule-item-text';
+            const displayName = this.presetService.getDisplayName(preset);
+            name.textContent = preset.builtIn ? t('{name} (built-in)', { name: displayName }) : displayName;
+            name.title = name.textContent; // Long names are cut off
+            item.appendChild(name);
+
+            item.appendChild(this._createActionButton('apply', 'Apply', 'Apply this preset now'));
+            if (!preset.builtIn) {
+                item.appendChild(this._createActionButton('rename', 'Rename', 'Rename this preset'));
+            }
+            item.append(
+                this._createActionButton('duplicate', 'Duplicate', 'Save a copy of this preset'),
+                this._createActionButton('export', 'Export', 'Download this preset as a settings file')
+            );
+            if (!preset.builtIn) {
+                item.appendChild(this._createActionButton('delete', '×', 'Delete this preset'));
+            }
+            this.elements.presetList.appendChild(item);
+        });
+    }
+
+    /** Creates a list item button (styled like the schedule's). */
+    _createActionButton(action, text, title) {
+        const button = document.createElement('button');
+        button.className = `small-button schedule-${action}-button`;
+        button.dataset.action = action;
+        localize(button, text);
+        localizeAttribute(button, 'title', title);
+        return button;
+    }
+
+    /**
+     * Helper to create a label and container for a control.
+     * @param {string} labelText - The text for the label (English; it is translated).
+     * @returns {HTMLElement} The container div with the label.
+     */
+    _createControlGroup(labelText) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        const label = document.createElement('label');
+        localize(label, labelText);
+        group.appendChild(label);
+        return group;
+    }
+
+    /**
+     * Cleans up event listeners and subscriptions.
+     */
+    destroy() {
+        console.log('[PresetControls] Destroying...');
+        this.elements.presetList?.removeEventListener('click', this.boundHandleListClick);
+        this.subscriptions.forEach(sub => sub.unsubscribe());
+        this.subscriptions = [];
+        this.nodes.forEach(node => node.remove()); // Keep the section title
+        this.nodes = [];
+        this.elements = {};
+        this.presetService = null;
+        console.log('[PresetControls] Destroyed.');
+    }
+}
@@ -0,0 +1,313 @@
+import { EventBus } from '../../core/event-bus.js';
+import { describeDays, DAY_NAMES } from '../../services/utils/schedule-helpers.js';
+import { localize, localizeAttribute, t } from '../../i18n/i18n.js';
+
+/**
+ * @class ScheduleControls
+ * @description Manages the "Schedule" section within the main Control Panel UI.
+ *              Lists profiles (apply, re-capture, delete), lets users save the current look
+ *              as a new profile, and edit the time-of-day/day-of-week rules that switch between them.
+ */
+export class ScheduleControls {
+    /**
+     * Creates an instance of ScheduleControls.
+     * @param {HTMLElement} container - The container element for these controls.
+     * @param {SchedulerService} schedulerService - Instance of the SchedulerService.
+     */
+    constructor(container, schedulerService) {
+        if (!container) {
+            throw new Error("ScheduleControls requires a container element.");
+        }
+        if (!schedulerService) {
+            throw new Error("ScheduleControls requires a SchedulerService instance.");
+        }
+        this.container = container;
+        this.schedulerService = schedulerService;
+        this.elements = {};
+        this.nodes = []; // Top-level nodes appended to the container
+        this.subscriptions = [];
+
+        // Bound event handlers
+        this.boundRender = this.render.bind(this);
+        this.boundHandleProfileListClick = this.handleProfileListClick.bind(this);
+        this.boundHandleRuleListClick = this.handleRuleListClick.bind(this);
+
+        console.log('[ScheduleControls] Initialized');
+    }
+
+    /**
+     * Sets up the DOM structure and event listeners for the schedule controls.
+     */
+    init() {
+        this.createDOM();
+        this.setupEventListeners();
+        this.render();
+        console.log('[ScheduleControls] DOM created and initial render done.');
+    }
+
+    /**
+     * Creates the necessary DOM elements within the container, preserving existing content (like the title).
+     */
+    createDOM() {
+        // Enable toggle
+        const enabledGroup = this._createControlGroup('Auto Switch:');
+        this.elements.enabledCheckbox = document.createElement('input');
+        this.elements.enabledCheckbox.type = 'checkbox';
+        this.elements.enabledCheckbox.id = 'schedule-enabled-checkbox';
+        enabledGroup.querySelector('label').htmlFor = this.elements.enabledCheckbox.id;
+        enabledGroup.appendChild(this.elements.enabledCheckbox);
+
+        // Profiles
+        this.elements.profileList = document.createElement('div');
+        this.elements.profileList.className = 'schedule-list schedule-profile-list';
+
+        const newProfileGroup = document.createElement('div');
+        newProfileGroup.className = 'control-group schedule-new-profile-group';
+        this.elements.profileNameInput = document.createElement('input');
+        this.elements.profileNameInput.type = 'text';
+        localizeAttribute(this.elements.profileNameInput, 'placeholder', 'New profile name');
+        this.elements.profileNameInput.maxLength = 40;
+        this.elements.saveProfileButton = document.createElement('button');
+        this.elements.saveProfileButton.className = 'small-button';
+        localize(this.elements.saveProfileButton, 'Save Current Look');
+        newProfileGroup.append(this.elements.profileNameInput, this.elements.saveProfileButton);
+
+        // Rules
+        const rulesTitle = document.createElement('h4');
+        rulesTitle.className = 'schedule-subtitle';
+        localize(rulesTitle, 'Rules');
+        this.elements.ruleList = document.createElement('div');
+        this.elements.ruleList.className = 'schedule-list schedule-rule-list';
+
+        const addRuleGroup = document.createElement('div');
+        addRuleGroup.className = 'control-group schedule-add-rule-group';
+        this.elements.ruleTimeInput = document.createElement('input');
+        this.elements.ruleTimeInput.type = 'time';
+        this.elements.ruleTimeInput.value = '22:00';
+        this.elements.ruleProfileSelect = document.createElement('select');
+        this.elements.addRuleButton = document.createElement('button');
+        this.elements.addRuleButton.className = 'small-button';
+        localize(this.elements.addRuleButton, 'Add Rule');
+        addRuleGroup.append(this.elements.ruleTimeInput, this.elements.ruleProfileSelect, this.elements.addRuleButton);
+
+        const daysGroup = document.createElement('div');
+        daysGroup.className = 'control-group schedule-days-group';
+        this.elements.dayCheckboxes = DAY_NAMES.map((name, day) => {
+            const dayLabel = document.createElement('label');
+            dayLabel.className = 'schedule-day-toggle';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = String(day);
+            checkbox.checked = true;
+            dayLabel.append(checkbox, localize(document.createElement('span'), name));
+            daysGroup.appendChild(dayLabel);
+            return checkbox;
+        });
+
+        this.nodes = [enabledGroup, this.elements.profileList, newProfileGroup,
+            rulesTitle, this.elements.ruleList, addRuleGroup, daysGroup];
+        this.container.append(...this.nodes);
+    }
+
+    /**
+     * Sets up event listeners for the controls.
+     */
+    setupEventListeners() {
+        this.elements.enabledCheckbox.addEventListener('change', (e) => this.schedulerService.setEnabled(e.target.checked));
+        this.elements.saveProfileButton.addEventListener('click', () => this.handleSaveProfile());
+        this.elements.profileNameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.handleSaveProfile();
+        });
+        this.elements.addRuleButton.addEventListener('click', () => this.handleAddRule());
+        this.elements.profileList.addEventListener('click', this.boundHandleProfileListClick);
+        this.elements.ruleList.addEventListener('click', this.boundHandleRuleListClick);
+
+        this.subscriptions.push(
+            EventBus.subscribe('state:settings.schedule:changed', this.boundRender),
+            EventBus.subscribe('settings:imported', this.boundRender),
+            EventBus.subscribe('i18n:languageChanged', this.boundRender) // Rule texts are built in render()
+        );
+    }
+
+    /** Creates a profile from the current look using the entered name. */
+    handleSaveProfile() {
+        const result = this.schedulerService.createProfile(this.elements.profileNameInput.value);
+        EventBus.publish('ui:showToast', { message: result.message });
+        if (result.success) {
+            this.elements.profileNameInput.value = '';
+        }
+    }
+
+    /** Adds a rule from the time, profile and day inputs. */
+    handleAddRule() {
+        const days = this.elements.dayCheckboxes.filter(checkbox => checkbox.checked).map(checkbox => Number(checkbox.value));
+        if (days.length === 0) {
+            EventBus.publish('ui:showToast', { message: t('Please select at least one day.') });
+            return;
+        }
+        const result = this.schedulerService.addRule({
+            profileId: this.elements.ruleProfileSelect.value,
+            start: this.elements.ruleTimeInput.value,
+            days: days.length === 7 ? [] : days
+        });
+        EventBus.publish('ui:showToast', { message: result.message });
+    }
+
+    /**
+     * Handles clicks on the profile action buttons.
+     * @param {Event} event - The click event.
+     */
+    handleProfileListClick(event) {
+        const button = event.target.closest('button[data-action]');
+        const item = event.target.closest('.schedule-profile-item');
+        if (!button || !item) return;
+        const profileId = item.dataset.id;
+        const profile = this.schedulerService.getSchedule().profiles[profileId];
+        if (!profile) return;
+
+        switch (button.dataset.action) {
+            case 'apply':
+                this.schedulerService.activateProfile(profileId);
+                EventBus.publish('ui:showToast', { message: t('Applied profile "{name}".', { name: profile.name }) });
+                break;
+            case 'capture':
+                if (confirm(t('Replace profile "{name}" with the current look?', { name: profile.name }))) {
+                    this.schedulerService.captureIntoProfile(profileId);
+                    EventBus.publish('ui:showToast', { message: t('Profile "{name}" updated.', { name: profile.name }) });
+                }
+                break;
+            case 'delete':
+                if (confirm(t('Delete profile "{name}" and its rules?', { name: profile.name }))) {
+                    this.schedulerService.deleteProfile(profileId);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Handles clicks on the rule remove buttons.
+     * @param {Event} event - The click event.
+     */
+    handleRuleListClick(event) {
+        const item = event.target.closest('.schedule-rule-item');
+        if (!item || !event.target.closest('button[data-action="remove"]')) return;
+        this.schedulerService.removeRule(item.dataset.id);
+    }
+
+    /**
+     * Renders the enable toggle, profile list, rule list and profile select from the current schedule.
+     */
+    render() {
+        if (!this.elements.profileList) return;
+        const schedule = this.schedulerService.getSchedule();
+        const profiles = Object.values(schedule.profiles);
+
+        this.elements.enabledCheckbox.checked = schedule.enabled;
+
+        // Profiles
+        this.elements.profileList.innerHTML = '';
+        if (profiles.length === 0) {
+            this.elements.profileList.appendChild(this._createEmptyMessage('No profiles yet. Set up a look and save it below.'));
+        }
+        profiles.forEach(profile => {
+            const item = document.createElement('div');
+            item.className = 'schedule-item schedule-profile-item';
+            item.classList.toggle('is-active', profile.id === schedule.activeProfileId);
+            item.dataset.id = profile.id;
+
+            const name = document.createElement('span');
+            name.className = 'schedule-item-text';
+            name.textContent = profile.id === schedule.activeProfileId ? t('{name} (active)', { name: profile.name }) : profile.name;
+            item.appendChild(name);
+
+            item.append(
+                this._createActionButton('apply', 'Apply', 'Apply this profile now'),
+                this._createActionButton('capture', 'Update', 'Replace this profile with the current look'),
+                this._createActionButton('delete', '×', 'Delete this profile')
+            );
+            this.elements.profileList.appendChild(item);
+        });
+
+        // Rules (sorted by time of day for readability)
+        this.elements.ruleList.innerHTML = '';
+        if (schedule.rules.length === 0) {
+            this.elements.ruleList.appendChild(this._createEmptyMessage('No rules yet. Profiles only change when applied manually.'));
+        }
+        [...schedule.rules]
+            .sort((a, b) => a.start.localeCompare(b.start))
+            .forEach(rule => {
+                const item = document.createElement('div');
+                item.className = 'schedule-item schedule-rule-item';
+                item.dataset.id = rule.id;
+
+                const text = document.createElement('span');
+                text.className = 'schedule-item-text';
+                const profileName = schedule.profiles[rule.profileId]?.name || t('Unknown profile');
+                text.textContent = `${rule.start} · ${describeDays(rule.days)} → ${profileName}`;
+                item.append(text, this._createActionButton('remove', '×', 'Remove this rule'));
+                this.elements.ruleList.appendChild(item);
+            });
+
+        // Profile select for new rules
+        const selectedProfileId = this.elements.ruleProfileSelect.value;
+        this.elements.ruleProfileSelect.innerHTML = '';
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            this.elements.ruleProfileSelect.appendChild(option);
+        });
+        if (schedule.profiles[selectedProfileId]) {
+            this.elements.ruleProfileSelect.value = selectedProfileId;
+        }
+        this.elements.addRuleButton.disabled = profiles.length === 0;
+    }
+
+    /** Creates a small button carrying a data-action. */
+    _createActionButton(action, text, title) {
+        const button = document.createElement('button');
+        button.className = `small-button schedule-${action}-button`;
+        button.dataset.action = action;
+        localize(button, text);
+        localizeAttribute(button, 'title', title);
+        return button;
+    }
+
+    /** Creates a placeholder message for an empty list. */
+    _createEmptyMessage(text) {
+        const message = document.createElement('div');
+        message.className = 'schedule-empty-message';
+        localize(message, text);
+        return message;
+    }
+
+    /**
+     * Helper to create a label and container for a control.
+     * @param {string} labelText - The text for the label (English; it is translated).
+     * @returns {HTMLElement} The container div with the label.
+     */
+    _createControlGroup(labelText) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        const label = document.createElement('label');
+        localize(label, labelText);
+        group.appendChild(label);
+        return group;
+    }
+
+    /**
+     * Cleans up event listeners and subscriptions.
+     */
+    destroy() {
+        console.log('[ScheduleControls] Destroying...');
+        this.elements.profileList?.removeEventListener('click', this.boundHandleProfileListClick);
+        this.elements.ruleList?.removeEventListener('click', this.boundHandleRuleListClick);
+        this.subscriptions.forEach(sub => sub.unsubscribe());
+        this.subscriptions = [];
+        this.nodes.forEach(node => node.remove()); // Keep the section title
+        this.nodes = [];
+        this.elements = {};
+        this.schedulerService = null;
+        console.log('[ScheduleControls] Destroyed.');
+    }
+}
@@ -0,0 +1,224 @@
+import { StateManager } from '../../core/state-manager.js';
+import { EventBus } from '../../core/event-bus.js';
+import { TimerControlsUIBuilder } from './ui/TimerControlsUIBuilder.js';
+import { toLocalDateTimeString } from '../../utils/time-helpers.js';
+import { t } from '../../i18n/i18n.js';
+
+/**
+ * Manages the UI controls for a specific Timer element within the control panel.
+ * Each timer gets its own section, so several timers are managed side by side.
+ */
+export class TimerControls {
+  /**
+   * Creates a TimerControls instance.
+   * @param {HTMLElement} parentContainer - The DOM element to append the controls to.
+   * @param {string} elementId - The ID of the timer element being controlled.
+   */
+  constructor(parentContainer, elementId) {
+    if (!parentContainer) {
+      throw new Error('TimerControls requires a parent container element.');
+    }
+    if (!elementId) {
+        throw new Error('TimerControls requires the ID of the element to control.');
+    }
+    this.parentContainer = parentContainer;
+    this.elementId = elementId;
+    this.container = null; // The main container for these controls
+    this.elements = {}; // To store references to input elements
+    this.statePath = `elements.${this.elementId}.options`;
+    this.builder = new TimerControlsUIBuilder(this.elementId);
+    this.unsubscribers = [];
+
+    console.log(`TimerControls constructor called for element ID: ${this.elementId}`);
+  }
+
+  /**
+   * Initializes the timer controls: creates DOM, binds state, adds listeners.
+   * @returns {Promise<boolean>} True if initialization was successful.
+   */
+  async init() {
+    console.log(`Initializing TimerControls for ${this.elementId}...`);
+    try {
+      this.container = document.createElement('div');
+      this.container.className = 'timer-controls-content';
+      this.parentContainer.appendChild(this.container);
+
+      this.elements = this.builder.build(this.container);
+      this.bindToState();
+      this.addEventListeners();
+
+      console.log(`TimerControls for ${this.elementId} initialized successfully.`);
+      return true;
+    } catch (error) {
+      console.error(`Error initializing TimerControls for ${this.elementId}:`, error);
+      this.destroy();
+      return false;
+    }
+  }
+
+  /** Binds the controls to state changes. */
+  bindToState() {
+    const optionsEventName = `state:${this.statePath}:changed`;
+    const optionsSubscription = EventBus.subscribe(optionsEventName, (optionsState) => {
+      this._updateOptionsUI(optionsState);
+    });
+    this.unsubscribers.push(optionsSubscription.unsubscribe);
+
+    const elementStatePath = `elements.${this.elementId}`;
+    const elementSubscription = EventBus.subscribe(`state:${elementStatePath}:changed`, (elementState) => {
+        this._updateElementUI(elementState);
+    });
+    this.unsubscribers.push(elementSubscription.unsubscribe);
+
+    // Apply initial state
+    const state = StateManager.getState();
+    this._updateOptionsUI(StateManager.getNestedValue(state, this.statePath) || {});
+    this._updateElementUI(StateManager.getNestedValue(state, elementStatePath) || {});
+  }
+
+  /** Updates UI elements based on the provided options state. */
+  _updateOptionsUI(optionsState = {}) {
+     if (!this.elements) return;
+
+     const isCountdown = (optionsState.mode || 'countdown') === 'countdown';
+     if (this.elements.visibleCheckbox) this.elements.visibleCheckbox.checked = optionsState.visible ?? true;
+     // Don't overwrite the label while the user is typing it
+     if (this.elements.labelInput && document.activeElement !== this.elements.labelInput) {
+         this.elements.labelInput.value = optionsState.label || '';
+     }
+     if (this.elements.modeSelect) this.elements.modeSelect.value = isCountdown ? 'countdown' : 'countup';
+     if (this.elements.targetInput && document.activeElement !== this.elements.targetInput) {
+         this.elements.targetInput.value = optionsState.target || '';
+     }
+     // Count-ups start from "now"; there is nothing to configure for their length or end
+     if (this.elements.minutesInput) this.elements.minutesInput.style.display = isCountdown ? '' : 'none';
+     if (this.elements.minutesUnit) this.elements.minutesUnit.style.display = isCountdown ? '' : 'none';
+     if (this.elements.alertGroup) this.elements.alertGroup.style.display = isCountdown ? 'flex' : 'none';
+     if (this.elements.alertSelect) this.elements.alertSelect.value = optionsState.completionAlert || 'both';
+     if (this.elements.currentFontDisplay) this.elements.currentFontDisplay.textContent = optionsState.fontFamily || t('Default');
+     if (this.elements.boldCheckbox) this.elements.boldCheckbox.checked = (optionsState.fontWeight === 'bold');
+     if (this.elements.colorPicker) this.elements.colorPicker.value = optionsState.color || '#FFFFFF';
+
+     this._setSliderValue('spacing', optionsState.charSpacing ?? 0.65, value => parseFloat(value).toFixed(2));
+     this._setSliderValue('colonX', optionsState.colonAdjustX ?? 0, value => `${value}%`);
+     this._setSliderValue('colonY', optionsState.colonAdjustY ?? 0, value => `${value}%`);
+  }
+
+  /** Updates UI elements based on the provided top-level element state (scale, opacity, effect). */
+  _updateElementUI(elementState = {}) {
+      if (!this.elements) return;
+
+      this._setSliderValue('size', elementState.scale ?? 1.0, value => parseFloat(value).toFixed(2));
+      this._setSliderValue('opacity', elementState.opacity ?? 1.0, value => parseFloat(value).toFixed(2));
+      if (this.elements.effectSelect) {
+          this.elements.effectSelect.value = elementState.effectStyle || 'flat';
+      }
+  }
+
+  /**
+   * Sets a slider and its value display.
+   * @param {string} key - The slider's key prefix (see TimerControlsUIBuilder._createSliderGroup).
+   * @param {number} value - The value.
+   * @param {Function} format - Formats the value for display.
+   */
+  _setSliderValue(key, value, format) {
+      const slider = this.elements[`${key}Slider`];
+      if (!slider) return;
+      slider.value = value;
+      const valueDisplay = this.elements[`${key}Value`];
+      if (valueDisplay) valueDisplay.textContent = format(value);
+  }
+
+  /** Adds event listeners to the UI elements. */
+  addEventListeners() {
+    if (!this.elements) return;
+    this._addOptionsListeners();
+    this._addElementListeners();
+  }
+
+  /** Adds listeners for controls that modify the element's 'options' state */
+  _addOptionsListeners() {
+    this.elements.visibleCheckbox?.addEventListener('change', (e) => this.dispatchStateUpdate({ visible: e.target.checked }));
+    this.elements.labelInput?.addEventListener('input', (e) => this.dispatchStateUpdate({ label: e.target.value }));
+    this.elements.modeSelect?.addEventListener('change', (e) => this.dispatchStateUpdate({ mode: e.target.value }));
+    this.elements.targetInput?.addEventListener('change', (e) => this.dispatchStateUpdate({ target: e.target.value }));
+    this.elements.startButton?.addEventListener('click', () => this.handleStartClick());
+    this.elements.alertSelect?.addEventListener('change', (e) => this.dispatchStateUpdate({ completionAlert: e.target.value }));
+    this.elements.boldCheckbox?.addEventListener('change', (e) => this.dispatchStateUpdate({ fontWeight: e.target.checked ? 'bold' : 'normal' }));
+    this.elements.colorPicker?.addEventListener('input', (e) => this.dispatchStateUpdate({ color: e.target.value }));
+    this.elements.spacingSlider?.addEventListener('input', (e) => this.dispatchStateUpdate({ charSpacing: parseFloat(e.target.value) }));
+    this.elements.colonXSlider?.addEventListener('input', (e) => this.dispatchStateUpdate({ colonAdjustX: parseInt(e.target.value, 10) }));
+    this.elements.colonYSlider?.addEventListener('input', (e) => this.dispatchStateUpdate({ colonAdjustY: parseInt(e.target.value, 10) }));
+  }
+
+  /** Adds listeners for controls that modify the top-level element state */
+  _addElementListeners() {
+    this.elements.sizeSlider?.addEventListener('input', (e) => this.dispatchElementStateUpdate({ scale: parseFloat(e.target.value) }));
+    this.elements.opacitySlider?.addEventListener('input', (e) => this.dispatchElementStateUpdate({ opacity: parseFloat(e.target.value) }));
+    this.elements.effectSelect?.addEventListener('change', (e) => this.dispatchElementStateUpdate({ effectStyle: e.target.value }));
+
+    this.elements.centerLink?.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.dispatchElementStateUpdate({ position: { x: 50, y: 50 } });
+    });
+
+    this.elements.changeFontLink?.addEventListener('click', (e) => {
+        e.preventDefault();
+        const fontPanel = document.querySelector('font-panel');
+        if (fontPanel && typeof fontPanel.toggle === 'function') {
+            fontPanel.toggle(this.elementId);
+        } else {
+            console.error('FontPanel not found or toggle method missing.');
+        }
+    });
+  }
+
+  /**
+   * (Re)starts the timer from now: a countdown of the entered number of minutes, or a count-up.
+   */
+  handleStartClick() {
+    const mode = this.elements.modeSelect?.value || 'countdown';
+    let target = new Date();
+    if (mode === 'countdown') {
+        const minutes = Math.min(1440, Math.max(1, parseInt(this.elements.minutesInput?.value, 10) || 5));
+        target = new Date(target.getTime() + minutes * 60 * 1000);
+    }
+    this.dispatchStateUpdate({ target: toLocalDateTimeString(target) });
+  }
+
+  /** Dispatches an update to the StateManager for options. */
+  dispatchStateUpdate(optionChanges) {
+    console.log(`[TimerControls ${this.elementId}] Dispatching options state update:`, optionChanges);
+    StateManager.update({
+        elements: {
+            [this.elementId]: {
+                options: optionChanges
+            }
+        }
+    });
+  }
+
+  /** Dispatches an update to the StateManager for top-level element properties. */
+  dispatchElementStateUpdate(elementChanges) {
+      console.log(`[TimerControls ${this.elementId}] Dispatching element state update:`, elementChanges);
+      StateManager.update({
+          elements: {
+              [this.elementId]: elementChanges
+          }
+      });
+  }
+
+  /** Cleans up resources. */
+  destroy() {
+    console.log(`Destroying TimerControls for ${this.elementId}...`);
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+    this.elements = {};
+    console.log(`TimerControls for ${this.elementId} destroyed.`);
+  }
+}
@@ -0,0 +1,252 @@
+import { StyleHandler } from '../../base/mixins/StyleHandler.js';
+import { localize, localizeAttribute, t } from '../../../i18n/i18n.js';
+
+/** Refresh intervals offered for calendar URLs (minutes) */
+const REFRESH_INTERVALS = [5, 15, 30, 60];
+
+/** Number of events that can be shown */
+const EVENT_COUNTS = [3, 5, 8, 10];
+
+/** How far ahead events are listed: [days, label] */
+const DAYS_AHEAD = [[1, 'Today & Tomorrow'], [3, '3 Days'], [7, '1 Week'], [14, '2 Weeks'], [30, '1 Month']];
+
+/**
+ * Creates the DOM elements for the AgendaControls component.
+ * Separates UI construction logic from the main component logic.
+ */
+export class AgendaControlsUIBuilder {
+    /**
+     * Creates an AgendaControlsUIBuilder instance.
+     * @param {string} elementId - The ID of the agenda element being controlled.
+     */
+    constructor(elementId) {
+        this.elementId = elementId;
+        this.elements = {}; // To store references to created input elements
+    }
+
+    /**
+     * Builds the agenda control UI within the given container.
+     * @param {HTMLElement} container - The container element to append controls to.
+     * @returns {object} An object containing references to the created DOM elements.
+     */
+    build(container) {
+        if (!container) {
+            console.error('AgendaControlsUIBuilder requires a container element.');
+            return {};
+        }
+        console.log(`Building agenda control elements for ${this.elementId}...`);
+
+        // Clear existing content in case of re-initialization
+        container.innerHTML = '';
+        this.elements = {};
+
+        [
+            ...this._createSourceControls(),
+            ...this._createDisplayControls(),
+            ...this._createFontControls(),
+            ...this._createAppearanceControls(),
+            ...this._createEffectControls(),
+            ...this._createPositionControls()
+        ].forEach(control => container.appendChild(control));
+
+        console.log(`Agenda control elements for ${this.elementId} built.`);
+        return this.elements;
+    }
+
+    /** Creates controls for Visibility, Source, URL, File upload and Refresh Interval */
+    _createSourceControls() {
+        const controls = [];
+        controls.push(this._createCheckboxGroup('Display Agenda:', 'visibleCheckbox', 'visible-checkbox'));
+
+        // Source
+        controls.push(this._createSelectGroup('Calendar From:', 'sourceSelect', 'source-select',
+            [['url', 'URL (.ics feed)'], ['file', 'Uploaded File']]));
+
+        // URL
+        this.elements.urlGroup = this._createControlGroup('Calendar URL:');
+        this.elements.urlInput = document.createElement('input');
+        this.elements.urlInput.type = 'url';
+        this.elements.urlInput.id = `${this.elementId}-url-input`;
+        localizeAttribute(this.elements.urlInput, 'placeholder', 'https://... or webcal://...');
+        this.elements.urlGroup.appendChild(this.elements.urlInput);
+        this.elements.urlGroup.querySelector('label').htmlFor = this.elements.urlInput.id;
+        controls.push(this.elements.urlGroup);
+
+        // File upload (the hidden input is opened by the button)
+        this.elements.fileGroup = this._createControlGroup('Calendar File:');
+        this.elements.fileGroup.classList.add('agenda-file-group');
+        this.elements.fileNameDisplay = document.createElement('span');
+        this.elements.fileNameDisplay.className = 'agenda-file-name';
+        this.elements.uploadButton = document.createElement('button');
+        this.elements.uploadButton.className = 'small-button';
+        localize(this.elements.uploadButton, 'Upload .ics');
+        this.elements.fileInput = document.createElement('input');
+        this.elements.fileInput.type = 'file';
+        this.elements.fileInput.accept = '.ics,text/calendar';
+        this.elements.fileInput.style.display = 'none';
+        this.elements.fileGroup.append(this.elements.fileNameDisplay, this.elements.uploadButton, this.elements.fileInput);
+        controls.push(this.elements.fileGroup);
+
+        // Refresh Interval (URL calendars only)
+        this.elements.refreshGroup = this._createSelectGroup('Refresh Every:', 'refreshSelect', 'refresh-select',
+            REFRESH_INTERVALS.map(minutes => [String(minutes), minutes === 60 ? '1 hour' : `${minutes} min`]));
+        controls.push(this.elements.refreshGroup);
+
+        return controls;
+    }
+
+    /** Creates controls for Title, Event count, Days ahead, Location and Time format */
+    _createDisplayControls() {
+        const controls = [];
+
+        const titleGroup = this._createControlGroup('Title:');
+        this.elements.titleInput = document.createElement('input');
+        this.elements.titleInput.type = 'text';
+        this.elements.titleInput.id = `${this.elementId}-title-input`;
+        localizeAttribute(this.elements.titleInput, 'placeholder', 'e.g. Meeting Room 2');
+        this.elements.titleInput.maxLength = 40;
+        titleGroup.appendChild(this.elements.titleInput);
+        titleGroup.querySelector('label').htmlFor = this.elements.titleInput.id;
+        controls.push(titleGroup);
+
+        controls.push(this._createSelectGroup('Show Events:', 'maxEventsSelect', 'max-events-select',
+            EVENT_COUNTS.map(count => [String(count), String(count)])));
+        controls.push(this._createSelectGroup('Look Ahead:', 'daysAheadSelect', 'days-ahead-select',
+            DAYS_AHEAD.map(([days, label]) => [String(days), label])));
+        controls.push(this._createCheckboxGroup('Show Location:', 'showLocationCheckbox', 'show-location-checkbox'));
+        controls.push(this._createSelectGroup('Time Format:', 'timeFormatSelect', 'time-format-select',
+            [['24', '24-hour'], ['12', '12-hour']]));
+
+        return controls;
+    }
+
+    /** Creates controls for Font Family and Bold */
+    _createFontControls() {
+        const controls = [];
+        const fontDisplayRow = this._createControlGroup('Agenda Font:');
+        fontDisplayRow.classList.add('font-display-row');
+
+        this.elements.currentFontDisplay = document.createElement('span');
+        this.elements.currentFontDisplay.className = 'current-font-display';
+        this.elements.currentFontDisplay.textContent = t('Default');
+        fontDisplayRow.appendChild(this.elements.currentFontDisplay);
+
+        this.elements.changeFontLink = document.createElement('a');
+        localize(this.elements.changeFontLink, 'Change Font');
+        this.elements.changeFontLink.href = '#';
+        this.elements.changeFontLink.className = 'control-link change-font-link';
+        fontDisplayRow.appendChild(this.elements.changeFontLink);
+        controls.push(fontDisplayRow);
+
+        controls.push(this._createCheckboxGroup('Bold:', 'boldCheckbox', 'bold-checkbox'));
+        return controls;
+    }
+
+    /** Creates controls for Color, Size, and Opacity */
+    _createAppearanceControls() {
+        const controls = [];
+        const colorGroup = this._createControlGroup('Agenda Color:');
+        this.elements.colorPicker = document.createElement('input');
+        this.elements.colorPicker.type = 'color';
+        this.elements.colorPicker.id = `${this.elementId}-color-picker`;
+        colorGroup.appendChild(this.elements.colorPicker);
+        controls.push(colorGroup);
+
+        controls.push(this._createSliderGroup('Agenda Size:', 'size', StyleHandler.MIN_SCALE, StyleHandler.MAX_SCALE, StyleHandler.SCALE_STEP.toString()));
+        controls.push(this._createSliderGroup('Agenda Opacity:', 'opacity', '0', '1', '0.05'));
+        return controls;
+    }
+
+    /** Creates the Effect Style control */
+    _createEffectControls() {
+        return [this._createSelectGroup('Effect:', 'effectSelect', 'effect-select',
+            ['flat', 'raised', 'reflected'].map(style => [style, style.charAt(0).toUpperCase() + style.slice(1)]))];
+    }
+
+    /** Creates controls for Position */
+    _createPositionControls() {
+        const centerGroup = this._createControlGroup('Position:');
+        this.elements.centerLink = document.createElement('a');
+        localize(this.elements.centerLink, 'Center on Screen');
+        this.elements.centerLink.className = 'center-link';
+        this.elements.centerLink.href = '#';
+        centerGroup.appendChild(this.elements.centerLink);
+        return [centerGroup];
+    }
+
+    /**
+     * Helper to create a labelled select. The select is stored in `this.elements[key]`.
+     * @param {string} labelText - The text for the label (English; it is translated).
+     * @param {string} key - Key under which the select is stored.
+     * @param {string} idSuffix - Suffix for the select ID.
+     * @param {Array<[string, string]>} options - [value, text] pairs.
+     * @returns {HTMLElement} The control group.
+     */
+    _createSelectGroup(labelText, key, idSuffix, options) {
+        const group = this._createControlGroup(labelText);
+        this.elements[key] = document.createElement('select');
+        this.elements[key].id = `${this.elementId}-${idSuffix}`;
+        options.forEach(([value, text]) => this.elements[key].add(localize(new Option('', value), text)));
+        group.appendChild(this.elements[key]);
+        group.querySelector('label').htmlFor = this.elements[key].id;
+        return group;
+    }
+
+    /**
+     * Helper to create a range slider with a value display. The slider and value are stored
+     * in `this.elements` as `${key}Slider` and `${key}Value`.
+     * @param {string} labelText - The text for the label (English; it is translated).
+     * @param {string} key - Key prefix for `this.elements`.
+     * @param {string|number} min - Minimum value.
+     * @param {string|number} max - Maximum value.
+     * @param {string} step - Step.
+     * @returns {HTMLElement} The control group.
+     */
+    _createSliderGroup(labelText, key, min, max, step) {
+        const group = this._createControlGroup(labelText);
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = `${this.elementId}-${key}-slider`;
+        slider.min = min;
+        slider.max = max;
+        slider.step = step;
+        const value = document.createElement('span');
+        value.className = 'range-value';
+        group.appendChild(slider);
+        group.appendChild(value);
+        this.elements[`${key}Slider`] = slider;
+        this.elements[`${key}Value`] = value;
+        return group;
+    }
+
+    /**
+     * Helper to create a labelled checkbox control group.
+     * @param {string} labelText - The text for the label (English; it is translated).
+     * @param {string} key - Key under which the checkbox is stored in `this.elements`.
+     * @param {string} idSuffix - Suffix for the checkbox ID.
+     * @returns {HTMLElement} The control group.
+     */
+    _createCheckboxGroup(labelText, key, idSuffix) {
+        const group = this._createControlGroup(labelText);
+        this.elements[key] = document.createElement('input');
+        this.elements[key].type = 'checkbox';
+        this.elements[key].id = `${this.elementId}-${idSuffix}`;
+        group.appendChild(this.elements[key]);
+        group.querySelector('label').htmlFor = this.elements[key].id;
+        return group;
+    }
+
+    /**
+     * Helper to create a label and container for a control.
+     * @param {string} labelText - The text for the label (English; it is translated).
+     * @returns {HTMLElement} The container div with the label.
+     */
+    _createControlGroup(labelText) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        const label = document.createElement('label');
+        localize(label, labelText);
+        group.appendChild(label);
+        return group;
+    }
+}
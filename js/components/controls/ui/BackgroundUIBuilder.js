@@ -1,3 +1,5 @@
+import { localize, localizeAttribute } from '../../../i18n/i18n.js';
+
 /**
  * Builds the DOM elements for the Background Controls section.
  */
@@ -7,14 +9,16 @@ export class BackgroundUIBuilder {
      * @param {HTMLElement} parentContainer - The DOM element to append the controls to.
      * @param {object} peapixCountries - An object mapping country codes to names.
      * @param {Map<string, object>} availableProviders - Map of available image provider instances.
+     * @param {boolean} [videoEnabled=false] - Whether to offer the Video type (the 'videoBackground' feature flag).
      */
-    constructor(parentContainer, peapixCountries, availableProviders) {
+    constructor(parentContainer, peapixCountries, availableProviders, videoEnabled = false) {
         if (!parentContainer) {
             throw new Error('BackgroundUIBuilder requires a parent container element.');
         }
         this.parentContainer = parentContainer;
         this.peapixCountries = peapixCountries || {};
         this.availableProviders = availableProviders || new Map();
+        this.videoEnabled = videoEnabled;
         this.elements = {}; // To store references to created input elements
     }
 
@@ -35,7 +39,12 @@ export class BackgroundUIBuilder {
         // Create and append controls using helper methods TO THE WRAPPER
         contentWrapper.appendChild(this._createTypeSelect());
         contentWrapper.appendChild(this._createSourceSelect());
+        contentWrapper.appendChild(this._createVideoSourceSelect());
         contentWrapper.appendChild(this._createPeapixSelect());
+        contentWrapper.appendChild(this._createLocalFolderControls());
+
+        const gradientControls = this._createGradientControls();
+        gradientControls.forEach(control => contentWrapper.appendChild(control));
 
         const categoryControls = this._createCategorySelects();
         categoryControls.forEach(control => contentWrapper.appendChild(control));
@@ -54,10 +63,11 @@ export class BackgroundUIBuilder {
         const group = this.createControlGroup('Type:', inputId); // Pass ID to helper
         this.elements.typeSelect = document.createElement('select');
         this.elements.typeSelect.id = inputId; // Use defined ID
-        ['color', 'image'].forEach(type => {
+        const types = this.videoEnabled ? ['color', 'gradient', 'image', 'video'] : ['color', 'gradient', 'image'];
+        types.forEach(type => {
             const option = document.createElement('option');
             option.value = type;
-            option.textContent = type.charAt(0).toUpperCase() + type.slice(1);
+            localize(option, type.charAt(0).toUpperCase() + type.slice(1));
             this.elements.typeSelect.appendChild(option);
         });
         group.appendChild(this.elements.typeSelect);
@@ -89,13 +99,31 @@ export class BackgroundUIBuilder {
         } else {
             this.elements.sourceSelect.disabled = true;
             const option = document.createElement('option');
-            option.textContent = 'No Image Providers Available';
+            localize(option, 'No Image Providers Available');
             this.elements.sourceSelect.appendChild(option);
         }
         group.appendChild(this.elements.sourceSelect);
         return group;
     }
 
+    /** Creates the Video Source select control, listing the providers that can search videos */
+    _createVideoSourceSelect() {
+        const inputId = 'background-video-source-select';
+        this.elements.videoSourceGroup = this.createControlGroup('Video Source:', inputId);
+        this.elements.videoSourceSelect = document.createElement('select');
+        this.elements.videoSourceSelect.id = inputId;
+        this.availableProviders.forEach((providerInstance, providerName) => {
+            if (typeof providerInstance.getVideoBatch !== 'function') return;
+            const option = document.createElement('option');
+            option.value = providerName;
+            option.textContent = providerName.charAt(0).toUpperCase() + providerName.slice(1) + (providerInstance.requiresBackendKey ? ' (API)' : '');
+            this.elements.videoSourceSelect.appendChild(option);
+        });
+        this.elements.videoSourceGroup.appendChild(this.elements.videoSourceSelect);
+        this.elements.videoSourceGroup.style.display = 'none'; // Hide initially
+        return this.elements.videoSourceGroup;
+    }
+
     /** Creates the Peapix Country select control */
     _createPeapixSelect() {
         const inputId = 'background-peapix-country-select'; // Define ID
@@ -113,6 +141,93 @@ export class BackgroundUIBuilder {
         return this.elements.peapixCountryGroup;
     }
 
+    /** Creates the Local source folder status and Choose/Use Manifest buttons */
+    _createLocalFolderControls() {
+        this.elements.localFolderGroup = this.createControlGroup('Folder:');
+        this.elements.localFolderGroup.classList.add('background-local-folder-group');
+        this.elements.localFolderName = document.createElement('span');
+        this.elements.localFolderName.className = 'background-local-folder-name';
+        this.elements.chooseFolderButton = document.createElement('button');
+        this.elements.chooseFolderButton.className = 'small-button';
+        localize(this.elements.chooseFolderButton, 'Choose…');
+        localizeAttribute(this.elements.chooseFolderButton, 'title', 'Show images from a folder on this device');
+        this.elements.useManifestButton = document.createElement('button');
+        this.elements.useManifestButton.className = 'small-button';
+        localize(this.elements.useManifestButton, 'Use Manifest');
+        localizeAttribute(this.elements.useManifestButton, 'title', 'Show the images listed in images/manifest.json');
+        this.elements.localFolderGroup.append(
+            this.elements.localFolderName,
+            this.elements.chooseFolderButton,
+            this.elements.useManifestButton
+        );
+        this.elements.localFolderGroup.style.display = 'none'; // Hide initially
+        return this.elements.localFolderGroup;
+    }
+
+    /**
+     * Creates the gradient editor: style, angle, color stops (inputs are rendered by BackgroundControls,
+     * since their number changes), drift and time-of-day toggles.
+     */
+    _createGradientControls() {
+        const styleGroup = this.createControlGroup('Gradient:', 'background-gradient-style-select');
+        this.elements.gradientStyleSelect = document.createElement('select');
+        this.elements.gradientStyleSelect.id = 'background-gradient-style-select';
+        this.elements.gradientStyleSelect.add(localize(new Option('', 'linear'), 'Linear'));
+        this.elements.gradientStyleSelect.add(localize(new Option('', 'radial'), 'Radial'));
+        styleGroup.appendChild(this.elements.gradientStyleSelect);
+        this.elements.gradientStyleGroup = styleGroup;
+
+        const angleGroup = this.createControlGroup('Angle:', 'background-gradient-angle-slider');
+        this.elements.gradientAngleSlider = document.createElement('input');
+        this.elements.gradientAngleSlider.type = 'range';
+        this.elements.gradientAngleSlider.id = 'background-gradient-angle-slider';
+        this.elements.gradientAngleSlider.min = '0';
+        this.elements.gradientAngleSlider.max = '355';
+        this.elements.gradientAngleSlider.step = '5';
+        this.elements.gradientAngleValue = document.createElement('span');
+        this.elements.gradientAngleValue.className = 'range-value';
+        angleGroup.append(this.elements.gradientAngleSlider, this.elements.gradientAngleValue);
+        this.elements.gradientAngleGroup = angleGroup;
+
+        const stopsGroup = this.createControlGroup('Colors:');
+        stopsGroup.classList.add('background-gradient-stops-group');
+        this.elements.gradientStopsContainer = document.createElement('div');
+        this.elements.gradientStopsContainer.className = 'gradient-stops';
+        this.elements.addGradientStopButton = document.createElement('button');
+        this.elements.addGradientStopButton.className = 'small-button';
+        this.elements.addGradientStopButton.textContent = '+';
+        localizeAttribute(this.elements.addGradientStopButton, 'title', 'Add color');
+        this.elements.removeGradientStopButton = document.createElement('button');
+        this.elements.removeGradientStopButton.className = 'small-button';
+        this.elements.removeGradientStopButton.textContent = '−';
+        localizeAttribute(this.elements.removeGradientStopButton, 'title', 'Remove last color');
+        stopsGroup.append(
+            this.elements.gradientStopsContainer,
+            this.elements.addGradientStopButton,
+            this.elements.removeGradientStopButton
+        );
+        this.elements.gradientStopsGroup = stopsGroup;
+
+        const animateGroup = this.createControlGroup('Drift:', 'background-gradient-animate-checkbox');
+        this.elements.gradientAnimateCheckbox = document.createElement('input');
+        this.elements.gradientAnimateCheckbox.type = 'checkbox';
+        this.elements.gradientAnimateCheckbox.id = 'background-gradient-animate-checkbox';
+        animateGroup.appendChild(this.elements.gradientAnimateCheckbox);
+        this.elements.gradientAnimateGroup = animateGroup;
+
+        const timeOfDayGroup = this.createControlGroup('Time of Day Colors:', 'background-gradient-time-of-day-checkbox');
+        this.elements.gradientTimeOfDayCheckbox = document.createElement('input');
+        this.elements.gradientTimeOfDayCheckbox.type = 'checkbox';
+        this.elements.gradientTimeOfDayCheckbox.id = 'background-gradient-time-of-day-checkbox';
+        localizeAttribute(this.elements.gradientTimeOfDayCheckbox, 'title', 'Follow the sky: night, sunrise, noon and dusk colors');
+        timeOfDayGroup.appendChild(this.elements.gradientTimeOfDayCheckbox);
+        this.elements.gradientTimeOfDayGroup = timeOfDayGroup;
+
+        const groups = [styleGroup, angleGroup, stopsGroup, animateGroup, timeOfDayGroup];
+        groups.forEach(group => { group.style.display = 'none'; }); // Hide initially
+        return groups;
+    }
+
     /** Creates the Category select and Custom Category input controls */
     _createCategorySelects() {
         const categoryInputId = 'background-category-select'; // Define ID for select
@@ -123,7 +238,7 @@ export class BackgroundUIBuilder {
         .forEach(cat => {
             const option = document.createElement('option');
             option.value = cat;
-            option.textContent = cat;
+            localize(option, cat);
             this.elements.categorySelect.appendChild(option);
         });
         categoryGroup.appendChild(this.elements.categorySelect);
@@ -135,7 +250,7 @@ export class BackgroundUIBuilder {
         this.elements.customCategoryInput = document.createElement('input');
         this.elements.customCategoryInput.type = 'text';
         this.elements.customCategoryInput.id = customInputId; // Use ID
-        this.elements.customCategoryInput.placeholder = 'Enter custom category';
+        localizeAttribute(this.elements.customCategoryInput, 'placeholder', 'Enter custom category');
         this.elements.customCategoryInput.maxLength = 30;
         this.elements.customCategoryInput.style.padding = '4px 8px';
         this.elements.customCategoryInput.style.width = '140px';
@@ -192,6 +307,14 @@ export class BackgroundUIBuilder {
         controls.push(favoritesOnlyGroup);
         this.elements.favoritesOnlyGroup = favoritesOnlyGroup; // Store reference to group for visibility toggling
 
+        // Favorites Collection (options are filled in by BackgroundControls from FavoritesService)
+        const favoritesCollectionGroup = this.createControlGroup('Favorites From:', 'background-favorites-collection-select');
+        this.elements.favoritesCollectionSelect = document.createElement('select');
+        this.elements.favoritesCollectionSelect.id = 'background-favorites-collection-select';
+        favoritesCollectionGroup.appendChild(this.elements.favoritesCollectionSelect);
+        controls.push(favoritesCollectionGroup);
+        this.elements.favoritesCollectionGroup = favoritesCollectionGroup;
+
         // Cycle Enable
         const cycleEnableGroup = this.createControlGroup('Auto Cycle:');
         this.elements.cycleEnableCheckbox = document.createElement('input');
@@ -224,7 +347,7 @@ export class BackgroundUIBuilder {
         this.elements.colorPicker.type = 'color';
         this.elements.colorPicker.id = colorInputId; // Use ID
         // Add title for color picker as label might not be sufficient for all screen readers
-        this.elements.colorPicker.title = 'Background Color';
+        localizeAttribute(this.elements.colorPicker, 'title', 'Background Color');
         colorGroup.appendChild(this.elements.colorPicker);
         controls.push(colorGroup);
         this.elements.colorGroup = colorGroup; // Store reference to the group for visibility toggling
@@ -236,8 +359,7 @@ export class BackgroundUIBuilder {
 
     /**
      * Helper to create a label and container for a control.
-     * @param {string} labelText - The text for the label.
-     * @param {string} labelText - The text for the label.
+     * @param {string} labelText - The text for the label (English; it is translated).
      * @param {string} [inputId] - Optional ID of the input element this label is for.
      * @returns {HTMLElement} The container div with the label.
      */
@@ -245,7 +367,7 @@ export class BackgroundUIBuilder {
         const group = document.createElement('div');
         group.className = 'control-group';
         const label = document.createElement('label');
-        label.textContent = labelText;
+        localize(label, labelText);
         if (inputId) { // Set the 'for' attribute if an ID is provided
             label.htmlFor = inputId;
         }
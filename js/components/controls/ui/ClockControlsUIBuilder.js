@@ -1,5 +1,8 @@
 import { StyleHandler } from '../../base/mixins/StyleHandler.js';
 import { EventBus } from '../../../core/event-bus.js'; // Import EventBus
+import { getAvailableTimeZones } from '../../../utils/time-helpers.js';
+import { ClockFaceRegistry } from '../../../core/clock-face-registry.js';
+import { localize, localizeAttribute, t } from '../../../i18n/i18n.js';
 
 /**
  * Creates the DOM elements for the ClockControls component.
@@ -32,9 +35,18 @@ export class ClockControlsUIBuilder {
         this.elements = {}; // Reset elements object
 
         // Create and append controls using helper methods
+        const timeZoneControls = this._createTimeZoneControls();
+        timeZoneControls.forEach(control => container.appendChild(control));
+
         const faceFormatSeconds = this._createFaceFormatSecondsControls();
         faceFormatSeconds.forEach(control => container.appendChild(control));
 
+        // Options of the registered faces (only the selected face's are shown)
+        this.elements.faceOptionsContainer = document.createElement('div');
+        this.elements.faceOptionsContainer.className = 'clock-face-options';
+        container.appendChild(this.elements.faceOptionsContainer);
+        this.populateFaces();
+
         const fontControls = this._createFontControls();
         fontControls.forEach(control => container.appendChild(control));
 
@@ -54,19 +66,48 @@ export class ClockControlsUIBuilder {
         return this.elements;
     }
 
+    /** Creates controls for Time Zone and Label */
+    _createTimeZoneControls() {
+        const controls = [];
+        // Time Zone
+        const timeZoneGroup = this._createControlGroup('Time Zone:');
+        this.elements.timeZoneSelect = document.createElement('select');
+        this.elements.timeZoneSelect.id = `${this.elementId}-timezone-select`;
+        const localOption = document.createElement('option');
+        localOption.value = ''; // Empty value = browser's local zone
+        localize(localOption, 'Local Time');
+        this.elements.timeZoneSelect.appendChild(localOption);
+        getAvailableTimeZones().forEach(zone => {
+            const option = document.createElement('option');
+            option.value = zone;
+            option.textContent = zone.replace(/_/g, ' ');
+            this.elements.timeZoneSelect.appendChild(option);
+        });
+        timeZoneGroup.appendChild(this.elements.timeZoneSelect);
+        timeZoneGroup.querySelector('label').htmlFor = this.elements.timeZoneSelect.id;
+        controls.push(timeZoneGroup);
+
+        // Label
+        const labelGroup = this._createControlGroup('Label:');
+        this.elements.labelInput = document.createElement('input');
+        this.elements.labelInput.type = 'text';
+        this.elements.labelInput.id = `${this.elementId}-label-input`;
+        localizeAttribute(this.elements.labelInput, 'placeholder', 'e.g. London');
+        this.elements.labelInput.maxLength = 40;
+        labelGroup.appendChild(this.elements.labelInput);
+        labelGroup.querySelector('label').htmlFor = this.elements.labelInput.id;
+        controls.push(labelGroup);
+
+        return controls;
+    }
+
     /** Creates controls for Face, Format, and Seconds */
     _createFaceFormatSecondsControls() {
         const controls = [];
         // Face
         const faceGroup = this._createControlGroup('Clock Face:');
         this.elements.faceSelect = document.createElement('select');
-        this.elements.faceSelect.id = `${this.elementId}-face-select`;
-        ['clean', 'analog'].forEach(face => { // Removed 'led' option
-            const option = document.createElement('option');
-            option.value = face;
-            option.textContent = face.charAt(0).toUpperCase() + face.slice(1);
-            this.elements.faceSelect.appendChild(option);
-        });
+        this.elements.faceSelect.id = `${this.elementId}-face-select`; // Options are added by populateFaces
         faceGroup.appendChild(this.elements.faceSelect);
         controls.push(faceGroup);
 
@@ -77,7 +118,7 @@ export class ClockControlsUIBuilder {
         ['12', '24'].forEach(format => {
             const option = document.createElement('option');
             option.value = format;
-            option.textContent = `${format}-hour`;
+            localize(option, `${format}-hour`);
             this.elements.formatSelect.appendChild(option);
         });
         formatGroup.appendChild(this.elements.formatSelect);
@@ -95,6 +136,90 @@ export class ClockControlsUIBuilder {
         return controls;
     }
 
+    /**
+     * (Re)fills the face select and the face-specific option controls from the ClockFaceRegistry.
+     * Called by build(), and again by ClockControls when faces are loaded or removed.
+     * Options with a `section` are preceded by its heading (stored in elements.faceOptionSections
+     * as { face, heading }).
+     * @returns {object[]} The option controls ({ face, key, schema, group, input, valueDisplay }),
+     *          also stored as elements.faceOptionControls.
+     */
+    populateFaces() {
+        const faces = ClockFaceRegistry.getFaces();
+
+        this.elements.faceSelect.innerHTML = '';
+        faces.forEach(face => {
+            const option = document.createElement('option');
+            option.value = face.name;
+            localize(option, face.displayName);
+            this.elements.faceSelect.appendChild(option);
+        });
+
+        this.elements.faceOptionsContainer.innerHTML = '';
+        this.elements.faceOptionControls = [];
+        this.elements.faceOptionSections = [];
+        faces.forEach(face => {
+            let section = '';
+            Object.entries(face.options).forEach(([key, schema]) => {
+                if (schema.section && schema.section !== section) {
+                    const heading = document.createElement('h4');
+                    heading.className = 'clock-face-option-section';
+                    heading.dataset.face = face.name;
+                    localize(heading, schema.section);
+                    this.elements.faceOptionsContainer.appendChild(heading);
+                    this.elements.faceOptionSections.push({ face: face.name, heading });
+                }
+                section = schema.section || '';
+                const control = this._createFaceOptionControl(face.name, key, schema);
+                this.elements.faceOptionsContainer.appendChild(control.group);
+                this.elements.faceOptionControls.push(control);
+            });
+        });
+        return this.elements.faceOptionControls;
+    }
+
+    /**
+     * Creates the control for one option of a face's option schema.
+     * @param {string} faceName - The face the option belongs to.
+     * @param {string} key - The option key.
+     * @param {object} schema - The option's schema entry (see ClockFaceRegistry).
+     * @returns {{face: string, key: string, schema: object, group: HTMLElement, input: HTMLElement, valueDisplay: HTMLElement|null}}
+     */
+    _createFaceOptionControl(faceName, key, schema) {
+        const group = this._createControlGroup(schema.label || key);
+        group.dataset.face = faceName;
+        let input;
+        let valueDisplay = null;
+
+        if (schema.type === 'select') {
+            input = document.createElement('select');
+            (schema.choices || []).forEach(choice => {
+                const option = document.createElement('option');
+                option.value = choice.value;
+                localize(option, choice.label ?? String(choice.value));
+                input.appendChild(option);
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = schema.type; // 'color', 'checkbox', 'range' or 'text'
+            if (schema.type === 'range') {
+                input.min = schema.min ?? 0;
+                input.max = schema.max ?? 100;
+                input.step = schema.step ?? 1;
+                valueDisplay = document.createElement('span');
+                valueDisplay.className = 'range-value';
+            } else if (schema.type === 'text') {
+                input.maxLength = 100;
+            }
+        }
+        input.id = `${this.elementId}-${faceName}-${key}`;
+        group.appendChild(input);
+        if (valueDisplay) group.appendChild(valueDisplay);
+        group.querySelector('label').htmlFor = input.id;
+
+        return { face: faceName, key, schema, group, input, valueDisplay };
+    }
+
     /** Creates controls for Font Family and Bold */
     _createFontControls() {
         const controls = [];
@@ -105,14 +230,13 @@ export class ClockControlsUIBuilder {
         // Span to display the current font name
         this.elements.currentFontDisplay = document.createElement('span');
         this.elements.currentFontDisplay.className = 'current-font-display';
-        this.elements.currentFontDisplay.textContent = 'Default'; // Placeholder
+        this.elements.currentFontDisplay.textContent = t('Default'); // Placeholder
         // Add label, font display span, and change link to the same group
-        fontDisplayRow.querySelector('label').textContent = 'Clock Font:';
         fontDisplayRow.appendChild(this.elements.currentFontDisplay);
 
         // "Change Font" Link
         this.elements.changeFontLink = document.createElement('a');
-        this.elements.changeFontLink.textContent = 'Change Font';
+        localize(this.elements.changeFontLink, 'Change Font');
         this.elements.changeFontLink.href = '#';
         this.elements.changeFontLink.className = 'control-link change-font-link'; // Ensure class is set
         fontDisplayRow.appendChild(this.elements.changeFontLink); // Append to the same row
@@ -228,7 +352,7 @@ export class ClockControlsUIBuilder {
         // Center
         const centerGroup = this._createControlGroup('Position:');
         this.elements.centerLink = document.createElement('a');
-        this.elements.centerLink.textContent = 'Center on Screen';
+        localize(this.elements.centerLink, 'Center on Screen');
         this.elements.centerLink.className = 'center-link';
         this.elements.centerLink.href = '#';
         centerGroup.appendChild(this.elements.centerLink);
@@ -255,7 +379,7 @@ export class ClockControlsUIBuilder {
         ['flat', 'raised', 'reflected'].forEach(style => {
             const option = document.createElement('option');
             option.value = style;
-            option.textContent = style.charAt(0).toUpperCase() + style.slice(1);
+            localize(option, style.charAt(0).toUpperCase() + style.slice(1));
             this.elements.effectSelect.appendChild(option);
         });
         effectGroup.appendChild(this.elements.effectSelect);
@@ -266,14 +390,14 @@ export class ClockControlsUIBuilder {
 
     /**
      * Helper to create a label and container for a control.
-     * @param {string} labelText - The text for the label.
+     * @param {string} labelText - The text for the label (English; it is translated).
      * @returns {HTMLElement} The container div with the label.
      */
     _createControlGroup(labelText) {
         const group = document.createElement('div');
         group.className = 'control-group';
         const label = document.createElement('label');
-        label.textContent = labelText;
+        localize(label, labelText);
         group.appendChild(label);
         return group;
     }
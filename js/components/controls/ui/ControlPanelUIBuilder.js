@@ -1,6 +1,9 @@
+import { ComponentRegistry } from '../../../core/component-registry.js';
+import { localize, localizeAttribute, LANGUAGES } from '../../../i18n/i18n.js';
+
 /**
  * Creates the basic DOM structure for the ControlPanel.
- * This includes static sections, placeholders for dynamic controls, and the reset button.
+ * This includes the undo/redo buttons, static sections, the container for per-element controls, the "Add Element" menu, the presets, and the reset button.
  */
 export class ControlPanelUIBuilder {
     /**
@@ -21,24 +24,112 @@ export class ControlPanelUIBuilder {
         section.className = `control-section ${classNameSuffix}`.trim();
         const title = document.createElement('h3');
         title.className = 'section-title';
-        title.textContent = titleText;
+        localize(title, titleText);
         section.appendChild(title);
         return section;
     }
 
+    /** Helper to create the "Add Element" type select and button */
+    _createAddElementGroup() {
+        const group = document.createElement('div');
+        group.className = 'control-group add-element-group';
+
+        const select = document.createElement('select');
+        select.id = `${this.container.id}-add-element-select`;
+        ComponentRegistry.getUserPlaceableTypes().forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            localize(option, ComponentRegistry.getDisplayName(type));
+            select.appendChild(option);
+        });
+
+        const button = document.createElement('button');
+        localize(button, 'Add');
+        button.id = `${this.container.id}-add-element-button`;
+        button.className = 'add-element-button';
+        button.disabled = select.options.length === 0;
+
+        group.appendChild(select);
+        group.appendChild(button);
+
+        this.elements.addElementSelect = select;
+        this.elements.addElementButton = button;
+        return group;
+    }
+
+    /** Helper to create the undo/redo buttons (enabled by ControlPanel as the history changes) */
+    _createHistoryGroup() {
+        const group = document.createElement('div');
+        group.className = 'control-group history-group';
+
+        const undoButton = document.createElement('button');
+        localize(undoButton, 'Undo');
+        localizeAttribute(undoButton, 'title', 'Undo (Ctrl+Z)');
+        undoButton.id = `${this.container.id}-undo-button`;
+        undoButton.className = 'history-button undo-button';
+        undoButton.disabled = true;
+
+        const redoButton = document.createElement('button');
+        localize(redoButton, 'Redo');
+        localizeAttribute(redoButton, 'title', 'Redo (Ctrl+Shift+Z)');
+        redoButton.id = `${this.container.id}-redo-button`;
+        redoButton.className = 'history-button redo-button';
+        redoButton.disabled = true;
+
+        group.appendChild(undoButton);
+        group.appendChild(redoButton);
+        this.elements.undoButton = undoButton;
+        this.elements.redoButton = redoButton;
+        return group;
+    }
+
+    /** Helper to create the UI language select (languages are listed by their own names) */
+    _createLanguageGroup() {
+        const group = document.createElement('div');
+        group.className = 'control-group language-group';
+
+        const select = document.createElement('select');
+        select.id = `${this.container.id}-language-select`;
+        const automaticOption = document.createElement('option');
+        automaticOption.value = ''; // Empty value = browser's language
+        localize(automaticOption, 'Automatic');
+        select.appendChild(automaticOption);
+        LANGUAGES.forEach(({ code, name }) => select.add(new Option(name, code)));
+
+        const label = document.createElement('label');
+        label.htmlFor = select.id;
+        localize(label, 'Language:');
+
+        group.appendChild(label);
+        group.appendChild(select);
+        this.elements.languageSelect = select;
+        return group;
+    }
+
     /**
      * Builds the static UI structure within the container.
-     * @returns {object} An object containing references to the created elements and placeholders.
+     * @returns {object} An object containing references to the created elements and containers.
      */
     build() {
         this.container.innerHTML = ''; // Clear existing content
 
-        // 1. Dynamic Placeholders
-        this.elements.clockSectionPlaceholder = this._createSectionContainer('Clock', 'clock-controls-placeholder');
-        this.container.appendChild(this.elements.clockSectionPlaceholder);
+        // Undo/redo for every change made in the panel or on screen
+        this.container.appendChild(this._createHistoryGroup());
 
-        this.elements.dateSectionPlaceholder = this._createSectionContainer('Date', 'date-controls-placeholder');
-        this.container.appendChild(this.elements.dateSectionPlaceholder);
+        // 1. Container for per-element control sections (filled by DynamicControlManager)
+        this.elements.elementSectionsContainer = document.createElement('div');
+        this.elements.elementSectionsContainer.className = 'element-sections';
+        this.container.appendChild(this.elements.elementSectionsContainer);
+
+        // "Add Element" menu listing the user-placeable element types
+        this.elements.addElementSection = this._createSectionContainer('Add Element', 'add-element-section');
+        const addElementGroup = this._createAddElementGroup();
+        this.elements.addElementSection.appendChild(addElementGroup);
+        this.container.appendChild(this.elements.addElementSection);
+
+        // Named presets (complete looks), right below the elements they capture
+        this.elements.presetsSection = this._createSectionContainer('Presets', 'preset-controls-section');
+        this.container.appendChild(this.elements.presetsSection);
 
         // 2. Static Section Containers (content added by ControlPanel)
         this.elements.backgroundSection = this._createSectionContainer('Background', 'background-controls-section');
@@ -47,20 +138,32 @@ export class ControlPanelUIBuilder {
         this.elements.favoritesSection = this._createSectionContainer('Favorites', 'favorites-controls-section');
         this.container.appendChild(this.elements.favoritesSection);
 
+        this.elements.scheduleSection = this._createSectionContainer('Schedule', 'schedule-controls-section');
+        this.container.appendChild(this.elements.scheduleSection);
+
+        this.elements.alarmsSection = this._createSectionContainer('Alarms', 'alarm-controls-section');
+        this.container.appendChild(this.elements.alarmsSection);
+
         // 3. Settings Section with Reset Button
         this.elements.settingsSection = this._createSectionContainer('Settings', 'settings-section');
 
         // Create buttons
         const downloadButton = document.createElement('button');
-        downloadButton.textContent = 'Download Settings';
+        localize(downloadButton, 'Download Settings');
         downloadButton.id = `${this.container.id}-download-button`;
         downloadButton.className = 'settings-io-button download-button'; // Add specific classes
 
         const uploadButton = document.createElement('button');
-        uploadButton.textContent = 'Upload Settings';
+        localize(uploadButton, 'Upload Settings');
         uploadButton.id = `${this.container.id}-upload-button`;
         uploadButton.className = 'settings-io-button upload-button';
 
+        const shareButton = document.createElement('button');
+        localize(shareButton, 'Share via Link');
+        shareButton.id = `${this.container.id}-share-button`;
+        shareButton.className = 'settings-io-button share-button';
+        localizeAttribute(shareButton, 'title', 'Show a link and QR code that carry the current look');
+
         // Create a hidden file input associated with the upload button
         const fileInput = document.createElement('input');
         fileInput.type = 'file';
@@ -69,7 +172,7 @@ export class ControlPanelUIBuilder {
         fileInput.style.display = 'none'; // Hide the actual file input
 
         const resetButton = document.createElement('button');
-        resetButton.textContent = 'Reset All Settings';
+        localize(resetButton, 'Reset All Settings');
         resetButton.id = `${this.container.id}-reset-button`;
         resetButton.className = 'reset-button'; // Keep existing class
 
@@ -80,15 +183,23 @@ export class ControlPanelUIBuilder {
         settingsGroup.style.flexWrap = 'wrap'; // Allow wrapping on smaller screens
         settingsGroup.appendChild(downloadButton);
         settingsGroup.appendChild(uploadButton);
+        settingsGroup.appendChild(shareButton);
         settingsGroup.appendChild(fileInput); // Add hidden input to the DOM (but hidden)
         settingsGroup.appendChild(resetButton);
 
+        // Third-party clock face modules (filled by ClockFaceModuleControls)
+        this.elements.clockFacesContainer = document.createElement('div');
+        this.elements.clockFacesContainer.className = 'clock-face-modules';
+
+        this.elements.settingsSection.appendChild(this._createLanguageGroup());
+        this.elements.settingsSection.appendChild(this.elements.clockFacesContainer);
         this.elements.settingsSection.appendChild(settingsGroup);
         this.container.appendChild(this.elements.settingsSection);
 
         // Store references
         this.elements.downloadButton = downloadButton;
         this.elements.uploadButton = uploadButton;
+        this.elements.shareButton = shareButton;
         this.elements.fileInput = fileInput; // Store reference to hidden input
         this.elements.resetButton = resetButton;
 
@@ -96,13 +207,22 @@ export class ControlPanelUIBuilder {
 
         // Return references to the key elements/containers
         return {
-            clockSectionPlaceholder: this.elements.clockSectionPlaceholder,
-            dateSectionPlaceholder: this.elements.dateSectionPlaceholder,
+            undoButton: this.elements.undoButton,
+            redoButton: this.elements.redoButton,
+            elementSectionsContainer: this.elements.elementSectionsContainer,
+            addElementSelect: this.elements.addElementSelect,
+            addElementButton: this.elements.addElementButton,
+            presetsSection: this.elements.presetsSection,
             backgroundSection: this.elements.backgroundSection,
             favoritesSection: this.elements.favoritesSection,
+            scheduleSection: this.elements.scheduleSection,
+            alarmsSection: this.elements.alarmsSection,
             settingsSection: this.elements.settingsSection,
+            languageSelect: this.elements.languageSelect,
+            clockFacesContainer: this.elements.clockFacesContainer,
             downloadButton: this.elements.downloadButton,
             uploadButton: this.elements.uploadButton,
+            shareButton: this.elements.shareButton,
             fileInput: this.elements.fileInput, // Return reference to hidden input
             resetButton: this.elements.resetButton
         };
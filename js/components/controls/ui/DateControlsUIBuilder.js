@@ -1,5 +1,11 @@
 import { StyleHandler } from '../../base/mixins/StyleHandler.js';
 import { EventBus } from '../../../core/event-bus.js'; // Import EventBus
+import { DATE_FORMAT_PRESETS, CALENDARS, DATE_LOCALES } from '../../../utils/date-format.js';
+import { localize, localizeAttribute, t } from '../../../i18n/i18n.js';
+
+/** Help text listing the format tokens (shown as the custom format field's tooltip) */
+const FORMAT_TOKEN_HELP = 'YYYY/YY year, MMMM/MMM month name, MM/M month, DD/D/Do day, dddd/ddd weekday, ' +
+    'WW/W ISO week, DDD day of year, Q quarter, N era, [text] literal text';
 
 /**
  * Creates the DOM elements for the DateControls component.
@@ -63,22 +69,68 @@ export class DateControlsUIBuilder {
         visibilityGroup.querySelector('label').htmlFor = this.elements.visibleCheckbox.id;
         controls.push(visibilityGroup);
 
-        // Format
+        // Format (presets; option labels are set to examples by DateControls)
         const formatGroup = this._createControlGroup('Date Format:');
         this.elements.formatSelect = document.createElement('select');
         this.elements.formatSelect.id = `${this.elementId}-format-select`;
-        [
-            'MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD',
-            'Day', 'Day, Month DD', 'Month DD, YYYY'
-        ].forEach(format => {
+        [...DATE_FORMAT_PRESETS, 'custom'].forEach(format => {
             const option = document.createElement('option');
             option.value = format;
-            option.textContent = format;
+            if (format === 'custom') {
+                localize(option, 'Custom...');
+            } else {
+                option.textContent = format;
+            }
             this.elements.formatSelect.appendChild(option);
         });
         formatGroup.appendChild(this.elements.formatSelect);
+        formatGroup.querySelector('label').htmlFor = this.elements.formatSelect.id;
         controls.push(formatGroup);
 
+        // Custom token format
+        const customFormatGroup = this._createControlGroup('Format Tokens:');
+        customFormatGroup.classList.add('date-custom-format-group');
+        this.elements.formatInput = document.createElement('input');
+        this.elements.formatInput.type = 'text';
+        this.elements.formatInput.id = `${this.elementId}-format-input`;
+        localizeAttribute(this.elements.formatInput, 'placeholder', 'e.g. dddd, Do MMMM');
+        localizeAttribute(this.elements.formatInput, 'title', FORMAT_TOKEN_HELP);
+        this.elements.formatInput.spellcheck = false;
+        customFormatGroup.appendChild(this.elements.formatInput);
+        customFormatGroup.querySelector('label').htmlFor = this.elements.formatInput.id;
+        controls.push(customFormatGroup);
+
+        // Live preview of the format
+        const previewGroup = this._createControlGroup('Preview:');
+        this.elements.formatPreview = document.createElement('span');
+        this.elements.formatPreview.className = 'date-format-preview';
+        previewGroup.appendChild(this.elements.formatPreview);
+        controls.push(previewGroup);
+
+        // Language (names and digits)
+        const localeGroup = this._createControlGroup('Language:');
+        this.elements.localeSelect = document.createElement('select');
+        this.elements.localeSelect.id = `${this.elementId}-locale-select`;
+        this.elements.localeSelect.add(localize(new Option('', ''), 'Browser Default'));
+        DATE_LOCALES.forEach(locale => this.elements.localeSelect.add(new Option(this._getLocaleName(locale), locale)));
+        localeGroup.appendChild(this.elements.localeSelect);
+        localeGroup.querySelector('label').htmlFor = this.elements.localeSelect.id;
+        controls.push(localeGroup);
+
+        // Calendar system
+        const calendarGroup = this._createControlGroup('Calendar:');
+        this.elements.calendarSelect = document.createElement('select');
+        this.elements.calendarSelect.id = `${this.elementId}-calendar-select`;
+        CALENDARS.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            localize(option, text);
+            this.elements.calendarSelect.appendChild(option);
+        });
+        calendarGroup.appendChild(this.elements.calendarSelect);
+        calendarGroup.querySelector('label').htmlFor = this.elements.calendarSelect.id;
+        controls.push(calendarGroup);
+
         return controls;
     }
 
@@ -92,14 +144,13 @@ export class DateControlsUIBuilder {
         // Span to display the current font name
         this.elements.currentFontDisplay = document.createElement('span');
         this.elements.currentFontDisplay.className = 'current-font-display';
-        this.elements.currentFontDisplay.textContent = 'Default'; // Placeholder
+        this.elements.currentFontDisplay.textContent = t('Default'); // Placeholder
         // Add label, font display span, and change link to the same group
-        fontDisplayRow.querySelector('label').textContent = 'Date Font:';
         fontDisplayRow.appendChild(this.elements.currentFontDisplay);
 
         // "Change Font" Link
         this.elements.changeFontLink = document.createElement('a');
-        this.elements.changeFontLink.textContent = 'Change Font';
+        localize(this.elements.changeFontLink, 'Change Font');
         this.elements.changeFontLink.href = '#';
         this.elements.changeFontLink.className = 'control-link change-font-link'; // Ensure class is set
         fontDisplayRow.appendChild(this.elements.changeFontLink); // Append to the same row
@@ -166,7 +217,7 @@ export class DateControlsUIBuilder {
         // Center
         const centerGroup = this._createControlGroup('Position:');
         this.elements.centerLink = document.createElement('a');
-        this.elements.centerLink.textContent = 'Center on Screen';
+        localize(this.elements.centerLink, 'Center on Screen');
         this.elements.centerLink.className = 'center-link';
         this.elements.centerLink.href = '#';
         centerGroup.appendChild(this.elements.centerLink);
@@ -193,7 +244,7 @@ export class DateControlsUIBuilder {
         ['flat', 'raised', 'reflected'].forEach(style => {
             const option = document.createElement('option');
             option.value = style;
-            option.textContent = style.charAt(0).toUpperCase() + style.slice(1);
+            localize(option, style.charAt(0).toUpperCase() + style.slice(1));
             this.elements.effectSelect.appendChild(option);
         });
         effectGroup.appendChild(this.elements.effectSelect);
@@ -202,16 +253,30 @@ export class DateControlsUIBuilder {
         return controls;
     }
 
+    /**
+     * Returns a locale's name in its own language (e.g. 'de' -> 'Deutsch').
+     * @param {string} locale - BCP 47 locale tag.
+     * @returns {string} The name, or the tag if the browser can't name it.
+     */
+    _getLocaleName(locale) {
+        try {
+            const name = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+            return name ? `${name.charAt(0).toLocaleUpperCase(locale)}${name.slice(1)}` : locale;
+        } catch (e) {
+            return locale;
+        }
+    }
+
     /**
      * Helper to create a label and container for a control.
-     * @param {string} labelText - The text for the label.
+     * @param {string} labelText - The text for the label (English; it is translated).
      * @returns {HTMLElement} The container div with the label.
      */
     _createControlGroup(labelText) {
         const group = document.createElement('div');
         group.className = 'control-group';
         const label = document.createElement('label');
-        label.textContent = labelText;
+        localize(label, labelText);
         group.appendChild(label);
         return group;
     }
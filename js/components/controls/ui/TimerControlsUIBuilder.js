@@ -0,0 +1,257 @@
+import { StyleHandler } from '../../base/mixins/StyleHandler.js';
+import { localize, localizeAttribute, t } from '../../../i18n/i18n.js';
+
+/** Alerts offered for when a countdown ends: [value, label] */
+const COMPLETION_ALERTS = [
+    ['both', 'Flash and Chime'],
+    ['flash', 'Flash'],
+    ['chime', 'Chime'],
+    ['none', 'Nothing']
+];
+
+/**
+ * Creates the DOM elements for the TimerControls component.
+ * Separates UI construction logic from the main component logic.
+ */
+export class TimerControlsUIBuilder {
+    /**
+     * Creates a TimerControlsUIBuilder instance.
+     * @param {string} elementId - The ID of the timer element being controlled.
+     */
+    constructor(elementId) {
+        this.elementId = elementId;
+        this.elements = {}; // To store references to created input elements
+    }
+
+    /**
+     * Builds the timer control UI within the given container.
+     * @param {HTMLElement} container - The container element to append controls to.
+     * @returns {object} An object containing references to the created DOM elements.
+     */
+    build(container) {
+        if (!container) {
+            console.error('TimerControlsUIBuilder requires a container element.');
+            return {};
+        }
+        console.log(`Building timer control elements for ${this.elementId}...`);
+
+        // Clear existing content in case of re-initialization
+        container.innerHTML = '';
+        this.elements = {};
+
+        [
+            ...this._createTimerControls(),
+            ...this._createFontControls(),
+            ...this._createAppearanceControls(),
+            ...this._createSpacingControls(),
+            ...this._createEffectControls(),
+            ...this._createPositionControls()
+        ].forEach(control => container.appendChild(control));
+
+        console.log(`Timer control elements for ${this.elementId} built.`);
+        return this.elements;
+    }
+
+    /** Creates controls for Visibility, Label, Mode, Target, Quick Start and the completion alert */
+    _createTimerControls() {
+        const controls = [];
+        controls.push(this._createCheckboxGroup('Display Timer:', 'visibleCheckbox', 'visible-checkbox'));
+
+        // Label
+        const labelGroup = this._createControlGroup('Label:');
+        this.elements.labelInput = document.createElement('input');
+        this.elements.labelInput.type = 'text';
+        this.elements.labelInput.id = `${this.elementId}-label-input`;
+        localizeAttribute(this.elements.labelInput, 'placeholder', 'e.g. Launch in');
+        this.elements.labelInput.maxLength = 40;
+        labelGroup.appendChild(this.elements.labelInput);
+        labelGroup.querySelector('label').htmlFor = this.elements.labelInput.id;
+        controls.push(labelGroup);
+
+        // Mode
+        const modeGroup = this._createControlGroup('Mode:');
+        this.elements.modeSelect = document.createElement('select');
+        this.elements.modeSelect.id = `${this.elementId}-mode-select`;
+        [['countdown', 'Count Down To'], ['countup', 'Count Up From']].forEach(([value, text]) => {
+            this.elements.modeSelect.add(localize(new Option('', value), text));
+        });
+        modeGroup.appendChild(this.elements.modeSelect);
+        modeGroup.querySelector('label').htmlFor = this.elements.modeSelect.id;
+        controls.push(modeGroup);
+
+        // Target date-time
+        const targetGroup = this._createControlGroup('Date & Time:');
+        this.elements.targetInput = document.createElement('input');
+        this.elements.targetInput.type = 'datetime-local';
+        this.elements.targetInput.step = '1'; // Allow seconds
+        this.elements.targetInput.id = `${this.elementId}-target-input`;
+        targetGroup.appendChild(this.elements.targetInput);
+        targetGroup.querySelector('label').htmlFor = this.elements.targetInput.id;
+        controls.push(targetGroup);
+
+        // Quick start: count down N minutes from now (or count up from now)
+        const quickStartGroup = this._createControlGroup('Start Now:');
+        quickStartGroup.classList.add('timer-quick-start-group');
+        this.elements.minutesInput = document.createElement('input');
+        this.elements.minutesInput.type = 'number';
+        this.elements.minutesInput.id = `${this.elementId}-minutes-input`;
+        this.elements.minutesInput.min = '1';
+        this.elements.minutesInput.max = '1440';
+        this.elements.minutesInput.value = '5';
+        localizeAttribute(this.elements.minutesInput, 'title', 'Minutes');
+        this.elements.minutesUnit = document.createElement('span');
+        localize(this.elements.minutesUnit, 'min');
+        this.elements.startButton = document.createElement('button');
+        this.elements.startButton.className = 'small-button';
+        localize(this.elements.startButton, 'Start');
+        quickStartGroup.append(this.elements.minutesInput, this.elements.minutesUnit, this.elements.startButton);
+        controls.push(quickStartGroup);
+
+        // Completion alert
+        const alertGroup = this._createControlGroup('When Done:');
+        this.elements.alertSelect = document.createElement('select');
+        this.elements.alertSelect.id = `${this.elementId}-alert-select`;
+        COMPLETION_ALERTS.forEach(([value, text]) => this.elements.alertSelect.add(localize(new Option('', value), text)));
+        alertGroup.appendChild(this.elements.alertSelect);
+        alertGroup.querySelector('label').htmlFor = this.elements.alertSelect.id;
+        this.elements.alertGroup = alertGroup;
+        controls.push(alertGroup);
+
+        return controls;
+    }
+
+    /** Creates controls for Font Family and Bold */
+    _createFontControls() {
+        const controls = [];
+        const fontDisplayRow = this._createControlGroup('Timer Font:');
+        fontDisplayRow.classList.add('font-display-row');
+
+        this.elements.currentFontDisplay = document.createElement('span');
+        this.elements.currentFontDisplay.className = 'current-font-display';
+        this.elements.currentFontDisplay.textContent = t('Default');
+        fontDisplayRow.appendChild(this.elements.currentFontDisplay);
+
+        this.elements.changeFontLink = document.createElement('a');
+        localize(this.elements.changeFontLink, 'Change Font');
+        this.elements.changeFontLink.href = '#';
+        this.elements.changeFontLink.className = 'control-link change-font-link';
+        fontDisplayRow.appendChild(this.elements.changeFontLink);
+        controls.push(fontDisplayRow);
+
+        controls.push(this._createCheckboxGroup('Bold:', 'boldCheckbox', 'bold-checkbox'));
+        return controls;
+    }
+
+    /** Creates controls for Color, Size, and Opacity */
+    _createAppearanceControls() {
+        const controls = [];
+        // Color
+        const colorGroup = this._createControlGroup('Timer Color:');
+        this.elements.colorPicker = document.createElement('input');
+        this.elements.colorPicker.type = 'color';
+        this.elements.colorPicker.id = `${this.elementId}-color-picker`;
+        colorGroup.appendChild(this.elements.colorPicker);
+        controls.push(colorGroup);
+
+        // Size
+        controls.push(this._createSliderGroup('Timer Size:', 'size', StyleHandler.MIN_SCALE, StyleHandler.MAX_SCALE, StyleHandler.SCALE_STEP.toString()));
+
+        // Opacity
+        controls.push(this._createSliderGroup('Timer Opacity:', 'opacity', '0', '1', '0.05'));
+
+        return controls;
+    }
+
+    /** Creates controls for Character Spacing and the colon adjustments (same as the clean clock face) */
+    _createSpacingControls() {
+        return [
+            this._createSliderGroup('Char Spacing (ch):', 'spacing', '0.1', '1.5', '0.01'),
+            this._createSliderGroup('Colon Position X:', 'colonX', '-5', '5', '1'),
+            this._createSliderGroup('Colon Position Y:', 'colonY', '-5', '5', '1')
+        ];
+    }
+
+    /** Creates the Effect Style control */
+    _createEffectControls() {
+        const effectGroup = this._createControlGroup('Effect:');
+        this.elements.effectSelect = document.createElement('select');
+        this.elements.effectSelect.id = `${this.elementId}-effect-select`;
+        ['flat', 'raised', 'reflected'].forEach(style => {
+            const option = document.createElement('option');
+            option.value = style;
+            localize(option, style.charAt(0).toUpperCase() + style.slice(1));
+            this.elements.effectSelect.appendChild(option);
+        });
+        effectGroup.appendChild(this.elements.effectSelect);
+        return [effectGroup];
+    }
+
+    /** Creates controls for Position */
+    _createPositionControls() {
+        const centerGroup = this._createControlGroup('Position:');
+        this.elements.centerLink = document.createElement('a');
+        localize(this.elements.centerLink, 'Center on Screen');
+        this.elements.centerLink.className = 'center-link';
+        this.elements.centerLink.href = '#';
+        centerGroup.appendChild(this.elements.centerLink);
+        return [centerGroup];
+    }
+
+    /**
+     * Helper to create a range slider with a value display. The slider and value are stored
+     * in `this.elements` as `${key}Slider` and `${key}Value`.
+     * @param {string} labelText - The text for the label (English; it is translated).
+     * @param {string} key - Key prefix for `this.elements`.
+     * @param {string|number} min - Minimum value.
+     * @param {string|number} max - Maximum value.
+     * @param {string} step - Step.
+     * @returns {HTMLElement} The control group.
+     */
+    _createSliderGroup(labelText, key, min, max, step) {
+        const group = this._createControlGroup(labelText);
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = `${this.elementId}-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}-slider`;
+        slider.min = min;
+        slider.max = max;
+        slider.step = step;
+        const value = document.createElement('span');
+        value.className = 'range-value';
+        group.appendChild(slider);
+        group.appendChild(value);
+        this.elements[`${key}Slider`] = slider;
+        this.elements[`${key}Value`] = value;
+        return group;
+    }
+
+    /**
+     * Helper to create a labelled checkbox control group.
+     * @param {string} labelText - The text for the label (English; it is translated).
+     * @param {string} key - Key under which the checkbox is stored in `this.elements`.
+     * @param {string} idSuffix - Suffix for the checkbox ID.
+     * @returns {HTMLElement} The control group.
+     */
+    _createCheckboxGroup(labelText, key, idSuffix) {
+        const group = this._createControlGroup(labelText);
+        this.elements[key] = document.createElement('input');
+        this.elements[key].type = 'checkbox';
+        this.elements[key].id = `${this.elementId}-${idSuffix}`;
+        group.appendChild(this.elements[key]);
+        group.querySelector('label').htmlFor = this.elements[key].id;
+        return group;
+    }
+
+    /**
+     * Helper to create a label and container for a control.
+     * @param {string} labelText - The text for the label (English; it is translated).
+     * @returns {HTMLElement} The container div with the label.
+     */
+    _createControlGroup(labelText) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        const label = document.createElement('label');
+        localize(label, labelText);
+        group.appendChild(label);
+        return group;
+    }
+}
@@ -0,0 +1,229 @@
+import { StyleHandler } from '../../base/mixins/StyleHandler.js';
+import { localize, localizeAttribute, t } from '../../../i18n/i18n.js';
+
+/** Refresh intervals offered in the controls (minutes) */
+const REFRESH_INTERVALS = [5, 10, 15, 30, 60];
+
+/**
+ * Creates the DOM elements for the WeatherControls component.
+ * Separates UI construction logic from the main component logic.
+ */
+export class WeatherControlsUIBuilder {
+    /**
+     * Creates a WeatherControlsUIBuilder instance.
+     * @param {string} elementId - The ID of the weather element being controlled.
+     */
+    constructor(elementId) {
+        this.elementId = elementId;
+        this.elements = {}; // To store references to created input elements
+    }
+
+    /**
+     * Builds the weather control UI within the given container.
+     * @param {HTMLElement} container - The container element to append controls to.
+     * @returns {object} An object containing references to the created DOM elements.
+     */
+    build(container) {
+        if (!container) {
+            console.error('WeatherControlsUIBuilder requires a container element.');
+            return {};
+        }
+        console.log(`Building weather control elements for ${this.elementId}...`);
+
+        // Clear existing content in case of re-initialization
+        container.innerHTML = '';
+        this.elements = {};
+
+        [
+            ...this._createSourceControls(),
+            ...this._createDisplayControls(),
+            ...this._createFontControls(),
+            ...this._createAppearanceControls(),
+            ...this._createEffectControls(),
+            ...this._createPositionControls()
+        ].forEach(control => container.appendChild(control));
+
+        console.log(`Weather control elements for ${this.elementId} built.`);
+        return this.elements;
+    }
+
+    /** Creates controls for Visibility, Location, Units and Refresh Interval */
+    _createSourceControls() {
+        const controls = [];
+        // Visibility
+        controls.push(this._createCheckboxGroup('Display Weather:', 'visibleCheckbox', 'visible-checkbox'));
+
+        // Location
+        const locationGroup = this._createControlGroup('Location:');
+        this.elements.locationInput = document.createElement('input');
+        this.elements.locationInput.type = 'text';
+        this.elements.locationInput.id = `${this.elementId}-location-input`;
+        localizeAttribute(this.elements.locationInput, 'placeholder', 'City (blank = my location)');
+        this.elements.locationInput.maxLength = 80;
+        locationGroup.appendChild(this.elements.locationInput);
+        locationGroup.querySelector('label').htmlFor = this.elements.locationInput.id;
+        controls.push(locationGroup);
+
+        // Units
+        const unitsGroup = this._createControlGroup('Units:');
+        this.elements.unitsSelect = document.createElement('select');
+        this.elements.unitsSelect.id = `${this.elementId}-units-select`;
+        [['metric', 'Metric (°C)'], ['imperial', 'Imperial (°F)']].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            localize(option, text);
+            this.elements.unitsSelect.appendChild(option);
+        });
+        unitsGroup.appendChild(this.elements.unitsSelect);
+        controls.push(unitsGroup);
+
+        // Refresh Interval
+        const refreshGroup = this._createControlGroup('Refresh Every:');
+        this.elements.refreshSelect = document.createElement('select');
+        this.elements.refreshSelect.id = `${this.elementId}-refresh-select`;
+        REFRESH_INTERVALS.forEach(minutes => {
+            const option = document.createElement('option');
+            option.value = String(minutes);
+            localize(option, '{count} minutes', { count: minutes });
+            this.elements.refreshSelect.appendChild(option);
+        });
+        refreshGroup.appendChild(this.elements.refreshSelect);
+        controls.push(refreshGroup);
+
+        return controls;
+    }
+
+    /** Creates controls for the optional condition and location lines */
+    _createDisplayControls() {
+        return [
+            this._createCheckboxGroup('Show Condition:', 'conditionCheckbox', 'condition-checkbox'),
+            this._createCheckboxGroup('Show Location:', 'showLocationCheckbox', 'show-location-checkbox')
+        ];
+    }
+
+    /** Creates controls for Font Family and Bold */
+    _createFontControls() {
+        const controls = [];
+        const fontDisplayRow = this._createControlGroup('Weather Font:');
+        fontDisplayRow.classList.add('font-display-row');
+
+        this.elements.currentFontDisplay = document.createElement('span');
+        this.elements.currentFontDisplay.className = 'current-font-display';
+        this.elements.currentFontDisplay.textContent = t('Default');
+        fontDisplayRow.appendChild(this.elements.currentFontDisplay);
+
+        this.elements.changeFontLink = document.createElement('a');
+        localize(this.elements.changeFontLink, 'Change Font');
+        this.elements.changeFontLink.href = '#';
+        this.elements.changeFontLink.className = 'control-link change-font-link';
+        fontDisplayRow.appendChild(this.elements.changeFontLink);
+        controls.push(fontDisplayRow);
+
+        controls.push(this._createCheckboxGroup('Bold:', 'boldCheckbox', 'bold-checkbox'));
+        return controls;
+    }
+
+    /** Creates controls for Color, Size, and Opacity */
+    _createAppearanceControls() {
+        const controls = [];
+        // Color
+        const colorGroup = this._createControlGroup('Weather Color:');
+        this.elements.colorPicker = document.createElement('input');
+        this.elements.colorPicker.type = 'color';
+        this.elements.colorPicker.id = `${this.elementId}-color-picker`;
+        colorGroup.appendChild(this.elements.colorPicker);
+        controls.push(colorGroup);
+
+        // Size
+        const sizeGroup = this._createControlGroup('Weather Size:');
+        this.elements.sizeSlider = document.createElement('input');
+        this.elements.sizeSlider.type = 'range';
+        this.elements.sizeSlider.id = `${this.elementId}-size-slider`;
+        this.elements.sizeSlider.min = StyleHandler.MIN_SCALE;
+        this.elements.sizeSlider.max = StyleHandler.MAX_SCALE;
+        this.elements.sizeSlider.step = StyleHandler.SCALE_STEP.toString();
+        this.elements.sizeValue = document.createElement('span');
+        this.elements.sizeValue.className = 'range-value';
+        sizeGroup.appendChild(this.elements.sizeSlider);
+        sizeGroup.appendChild(this.elements.sizeValue);
+        controls.push(sizeGroup);
+
+        // Opacity
+        const opacityGroup = this._createControlGroup('Weather Opacity:');
+        this.elements.opacitySlider = document.createElement('input');
+        this.elements.opacitySlider.type = 'range';
+        this.elements.opacitySlider.id = `${this.elementId}-opacity-slider`;
+        this.elements.opacitySlider.min = '0';
+        this.elements.opacitySlider.max = '1';
+        this.elements.opacitySlider.step = '0.05';
+        this.elements.opacityValue = document.createElement('span');
+        this.elements.opacityValue.className = 'range-value';
+        opacityGroup.appendChild(this.elements.opacitySlider);
+        opacityGroup.appendChild(this.elements.opacityValue);
+        controls.push(opacityGroup);
+
+        return controls;
+    }
+
+    /** Creates controls for Separator and Effect Style */
+    _createEffectControls() {
+        const controls = [];
+        controls.push(this._createCheckboxGroup('Show Separator:', 'separatorCheckbox', 'separator-checkbox'));
+
+        const effectGroup = this._createControlGroup('Effect:');
+        this.elements.effectSelect = document.createElement('select');
+        this.elements.effectSelect.id = `${this.elementId}-effect-select`;
+        ['flat', 'raised', 'reflected'].forEach(style => {
+            const option = document.createElement('option');
+            option.value = style;
+            localize(option, style.charAt(0).toUpperCase() + style.slice(1));
+            this.elements.effectSelect.appendChild(option);
+        });
+        effectGroup.appendChild(this.elements.effectSelect);
+        controls.push(effectGroup);
+
+        return controls;
+    }
+
+    /** Creates controls for Position */
+    _createPositionControls() {
+        const centerGroup = this._createControlGroup('Position:');
+        this.elements.centerLink = document.createElement('a');
+        localize(this.elements.centerLink, 'Center on Screen');
+        this.elements.centerLink.className = 'center-link';
+        this.elements.centerLink.href = '#';
+        centerGroup.appendChild(this.elements.centerLink);
+        return [centerGroup];
+    }
+
+    /**
+     * Helper to create a labelled checkbox control group.
+     * @param {string} labelText - The text for the label (English; it is translated).
+     * @param {string} key - Key under which the checkbox is stored in `this.elements`.
+     * @param {string} idSuffix - Suffix for the checkbox ID.
+     * @returns {HTMLElement} The control group.
+     */
+    _createCheckboxGroup(labelText, key, idSuffix) {
+        const group = this._createControlGroup(labelText);
+        this.elements[key] = document.createElement('input');
+        this.elements[key].type = 'checkbox';
+        this.elements[key].id = `${this.elementId}-${idSuffix}`;
+        group.appendChild(this.elements[key]);
+        group.querySelector('label').htmlFor = this.elements[key].id;
+        return group;
+    }
+
+    /**
+     * Helper to create a label and container for a control.
+     * @param {string} labelText - The text for the label (English; it is translated).
+     * @returns {HTMLElement} The container div with the label.
+     */
+    _createControlGroup(labelText) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        const label = document.createElement('label');
+        localize(label, labelText);
+        group.appendChild(label);
+        return group;
+    }
+}
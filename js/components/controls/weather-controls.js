@@ -0,0 +1,218 @@
+import { StateManager } from '../../core/state-manager.js';
+import { EventBus } from '../../core/event-bus.js';
+import { WeatherControlsUIBuilder } from './ui/WeatherControlsUIBuilder.js';
+import { t } from '../../i18n/i18n.js';
+
+/**
+ * Manages the UI controls for a specific Weather element within the control panel.
+ */
+export class WeatherControls {
+  /**
+   * Creates a WeatherControls instance.
+   * @param {HTMLElement} parentContainer - The DOM element to append the controls to.
+   * @param {string} elementId - The ID of the weather element being controlled.
+   */
+  constructor(parentContainer, elementId) {
+    if (!parentContainer) {
+      throw new Error('WeatherControls requires a parent container element.');
+    }
+    if (!elementId) {
+        throw new Error('WeatherControls requires the ID of the element to control.');
+    }
+    this.parentContainer = parentContainer;
+    this.elementId = elementId;
+    this.container = null; // The main container for these controls
+    this.elements = {}; // To store references to input elements
+    this.statePath = `elements.${this.elementId}.options`;
+    this.builder = new WeatherControlsUIBuilder(this.elementId);
+    this.unsubscribers = [];
+
+    console.log(`WeatherControls constructor called for element ID: ${this.elementId}`);
+  }
+
+  /**
+   * Initializes the weather controls: creates DOM, binds state, adds listeners.
+   * @returns {Promise<boolean>} True if initialization was successful.
+   */
+  async init() {
+    console.log(`Initializing WeatherControls for ${this.elementId}...`);
+    try {
+      this.container = document.createElement('div');
+      this.container.className = 'weather-controls-content';
+      this.parentContainer.appendChild(this.container);
+
+      this.elements = this.builder.build(this.container);
+      this.bindToState();
+      this.addEventListeners();
+
+      console.log(`WeatherControls for ${this.elementId} initialized successfully.`);
+      return true;
+    } catch (error) {
+      console.error(`Error initializing WeatherControls for ${this.elementId}:`, error);
+      this.destroy();
+      return false;
+    }
+  }
+
+  /** Binds the controls to state changes. */
+  bindToState() {
+    const optionsEventName = `state:${this.statePath}:changed`;
+    const optionsSubscription = EventBus.subscribe(optionsEventName, (optionsState) => {
+      this._updateOptionsUI(optionsState);
+    });
+    this.unsubscribers.push(optionsSubscription.unsubscribe);
+
+    const elementStatePath = `elements.${this.elementId}`;
+    const elementSubscription = EventBus.subscribe(`state:${elementStatePath}:changed`, (elementState) => {
+        this._updateElementUI(elementState);
+    });
+    this.unsubscribers.push(elementSubscription.unsubscribe);
+
+    // Apply initial state
+    const state = StateManager.getState();
+    this._updateOptionsUI(StateManager.getNestedValue(state, this.statePath) || {});
+    this._updateElementUI(StateManager.getNestedValue(state, elementStatePath) || {});
+  }
+
+  /** Updates UI elements based on the provided options state. */
+  _updateOptionsUI(optionsState = {}) {
+     if (!this.elements) return;
+
+     if (this.elements.visibleCheckbox) this.elements.visibleCheckbox.checked = optionsState.visible ?? true;
+     // Don't overwrite the location while the user is typing it
+     if (this.elements.locationInput && document.activeElement !== this.elements.locationInput) {
+         this.elements.locationInput.value = optionsState.location || '';
+     }
+     if (this.elements.unitsSelect) this.elements.unitsSelect.value = optionsState.units || 'metric';
+     if (this.elements.refreshSelect) {
+         this.elements.refreshSelect.value = String(optionsState.refreshInterval ?? 15);
+         if (!this.elements.refreshSelect.value) this.elements.refreshSelect.value = '15'; // Unlisted value
+     }
+     if (this.elements.conditionCheckbox) this.elements.conditionCheckbox.checked = optionsState.showCondition ?? true;
+     if (this.elements.showLocationCheckbox) this.elements.showLocationCheckbox.checked = optionsState.showLocation ?? false;
+     if (this.elements.currentFontDisplay) this.elements.currentFontDisplay.textContent = optionsState.fontFamily || t('Default');
+     if (this.elements.boldCheckbox) this.elements.boldCheckbox.checked = (optionsState.fontWeight === 'bold');
+     if (this.elements.colorPicker) this.elements.colorPicker.value = optionsState.color || '#FFFFFF';
+     if (this.elements.separatorCheckbox) this.elements.separatorCheckbox.checked = optionsState.showSeparator ?? false;
+  }
+
+  /** Updates UI elements based on the provided top-level element state (scale, opacity, effect). */
+  _updateElementUI(elementState = {}) {
+      if (!this.elements) return;
+
+      const currentScale = elementState.scale ?? 1.0;
+      if (this.elements.sizeSlider) {
+          this.elements.sizeSlider.value = currentScale;
+          if (this.elements.sizeValue) {
+              this.elements.sizeValue.textContent = parseFloat(currentScale).toFixed(2);
+          }
+      }
+
+      const currentOpacity = elementState.opacity ?? 1.0;
+      if (this.elements.opacitySlider) {
+          this.elements.opacitySlider.value = currentOpacity;
+          if (this.elements.opacityValue) {
+              this.elements.opacityValue.textContent = parseFloat(currentOpacity).toFixed(2);
+          }
+      }
+
+      if (this.elements.effectSelect) {
+          this.elements.effectSelect.value = elementState.effectStyle || 'flat';
+      }
+  }
+
+  /** Adds event listeners to the UI elements. */
+  addEventListeners() {
+    if (!this.elements) return;
+    this._addOptionsListeners();
+    this._addElementListeners();
+  }
+
+  /** Adds listeners for controls that modify the element's 'options' state */
+  _addOptionsListeners() {
+    this.elements.visibleCheckbox?.addEventListener('change', (e) => this.dispatchStateUpdate({ visible: e.target.checked }));
+    // Location is committed on change (blur/enter) so we don't query the API on every keystroke
+    this.elements.locationInput?.addEventListener('change', (e) => this.dispatchStateUpdate({ location: e.target.value.trim() }));
+    this.elements.unitsSelect?.addEventListener('change', (e) => this.dispatchStateUpdate({ units: e.target.value }));
+    this.elements.refreshSelect?.addEventListener('change', (e) => this.dispatchStateUpdate({ refreshInterval: parseInt(e.target.value, 10) }));
+    this.elements.conditionCheckbox?.addEventListener('change', (e) => this.dispatchStateUpdate({ showCondition: e.target.checked }));
+    this.elements.showLocationCheckbox?.addEventListener('change', (e) => this.dispatchStateUpdate({ showLocation: e.target.checked }));
+    this.elements.boldCheckbox?.addEventListener('change', (e) => this.dispatchStateUpdate({ fontWeight: e.target.checked ? 'bold' : 'normal' }));
+    this.elements.colorPicker?.addEventListener('input', (e) => this.dispatchStateUpdate({ color: e.target.value }));
+    this.elements.separatorCheckbox?.addEventListener('change', (e) => this.dispatchStateUpdate({ showSeparator: e.target.checked }));
+  }
+
+  /** Adds listeners for controls that modify the top-level element state */
+  _addElementListeners() {
+    this.elements.sizeSlider?.addEventListener('input', (e) => {
+        const newScale = parseFloat(e.target.value);
+        if (this.elements.sizeValue) {
+            this.elements.sizeValue.textContent = newScale.toFixed(2);
+        }
+        this.dispatchElementStateUpdate({ scale: newScale });
+    });
+
+    this.elements.opacitySlider?.addEventListener('input', (e) => {
+        const newOpacity = parseFloat(e.target.value);
+        if (this.elements.opacityValue) {
+            this.elements.opacityValue.textContent = newOpacity.toFixed(2);
+        }
+        this.dispatchElementStateUpdate({ opacity: newOpacity });
+    });
+
+    this.elements.effectSelect?.addEventListener('change', (e) => {
+        this.dispatchElementStateUpdate({ effectStyle: e.target.value });
+    });
+
+    this.elements.centerLink?.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.dispatchElementStateUpdate({ position: { x: 50, y: 50 } });
+    });
+
+    this.elements.changeFontLink?.addEventListener('click', (e) => {
+        e.preventDefault();
+        const fontPanel = document.querySelector('font-panel');
+        if (fontPanel && typeof fontPanel.toggle === 'function') {
+            fontPanel.toggle(this.elementId);
+        } else {
+            console.error('FontPanel not found or toggle method missing.');
+        }
+    });
+  }
+
+  /** Dispatches an update to the StateManager for options. */
+  dispatchStateUpdate(optionChanges) {
+    console.log(`[WeatherControls ${this.elementId}] Dispatching options state update:`, optionChanges);
+    StateManager.update({
+        elements: {
+            [this.elementId]: {
+                options: optionChanges
+            }
+        }
+    });
+  }
+
+  /** Dispatches an update to the StateManager for top-level element properties. */
+  dispatchElementStateUpdate(elementChanges) {
+      console.log(`[WeatherControls ${this.elementId}] Dispatching element state update:`, elementChanges);
+      StateManager.update({
+          elements: {
+              [this.elementId]: elementChanges
+          }
+      });
+  }
+
+  /** Cleans up resources. */
+  destroy() {
+    console.log(`Destroying WeatherControls for ${this.elementId}...`);
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+    this.elements = {};
+    console.log(`WeatherControls for ${this.elementId} destroyed.`);
+  }
+}
@@ -0,0 +1,308 @@
+import { BaseUIElement } from '../base/base-ui-element.js';
+import { EventBus } from '../../core/event-bus.js';
+import { StateManager } from '../../core/state-manager.js';
+import { CalendarService } from '../../services/calendar-service.js';
+import { CalendarFileStorage } from '../../services/storage/CalendarFileStorage.js';
+import { getUpcomingEvents } from '../../utils/ics-parser.js';
+
+/** Smallest allowed refresh interval in minutes (keeps calendar host usage reasonable) */
+const MIN_REFRESH_MINUTES = 5;
+
+/** How often the list is re-rendered so finished events drop off and "Today"/"Now" stay correct (ms) */
+const RENDER_INTERVAL = 60000;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Represents an Agenda element listing the next few events of an iCalendar (.ics) calendar.
+ * The calendar comes from a URL (fetched through /api/ics and refreshed periodically) or from
+ * an uploaded file, kept in CalendarFileStorage under the element's ID.
+ */
+export class AgendaElement extends BaseUIElement {
+  constructor(config) {
+    const defaultConfig = {
+      options: {
+        source: 'url', // 'url' or 'file'
+        url: '', // Calendar feed URL (https or webcal)
+        fileName: '', // Name of the uploaded .ics file (its text is in CalendarFileStorage)
+        title: '', // Heading above the events; empty hides it
+        maxEvents: 5,
+        daysAhead: 7, // How far ahead to look for events
+        refreshInterval: 30, // Minutes between feed updates
+        showLocation: true,
+        timeFormat: '24', // '12' or '24'
+        fontFamily: 'Segoe UI',
+        fontWeight: 'normal',
+        color: '#FFFFFF',
+        visible: true,
+      },
+      ...config
+    };
+    super(defaultConfig);
+    this.calendarService = config.calendarService || new CalendarService();
+    this.calendarFileStorage = config.calendarFileStorage || new CalendarFileStorage();
+    this.calendar = null; // Parsed calendar
+    this.statusMessage = '';
+    this.refreshTimerId = null;
+    this.renderTimerId = null;
+    this.requestCounter = 0; // Used to ignore responses to outdated requests
+  }
+
+  async createElements() {
+    if (!this.elements.face) {
+      this.elements.face = document.createElement('div');
+      this.elements.face.className = 'agenda-face';
+      this.container.appendChild(this.elements.face);
+
+      this.elements.title = document.createElement('div');
+      this.elements.title.className = 'agenda-title';
+      this.elements.face.appendChild(this.elements.title);
+
+      this.elements.list = document.createElement('ul');
+      this.elements.list.className = 'agenda-list';
+      this.elements.face.appendChild(this.elements.list);
+
+      this.elements.status = document.createElement('div');
+      this.elements.status.className = 'agenda-status';
+      this.elements.face.appendChild(this.elements.status);
+    }
+
+    this.render();
+  }
+
+  render() {
+    if (!this.elements.face) return;
+
+    const title = (this.options.title || '').trim();
+    this.elements.title.textContent = title;
+    this.elements.title.style.display = title ? '' : 'none';
+
+    const now = new Date();
+    const events = this.calendar ? getUpcomingEvents(this.calendar, {
+      from: now,
+      to: new Date(now.getTime() + Math.max(1, Number(this.options.daysAhead) || 7) * 24 * 60 * 60 * 1000),
+      limit: Math.max(1, Number(this.options.maxEvents) || 5)
+    }) : [];
+
+    this.elements.list.innerHTML = '';
+    events.forEach(event => this.elements.list.appendChild(this._createEventItem(event, now)));
+
+    const statusText = this.statusMessage || (this.calendar && events.length === 0 ? 'No upcoming events' : '');
+    this.elements.status.textContent = statusText;
+    this.elements.status.style.display = statusText ? '' : 'none';
+
+    this.applyStyles();
+    super.render();
+  }
+
+  /**
+   * Creates the list item for an event occurrence.
+   * @param {{summary: string, location: string, allDay: boolean, start: Date, end: Date}} event - The occurrence.
+   * @param {Date} now - The current time.
+   * @returns {HTMLLIElement} The item.
+   * @private
+   */
+  _createEventItem(event, now) {
+    const item = document.createElement('li');
+    item.className = 'agenda-event';
+    const inProgress = event.start <= now;
+    item.classList.toggle('is-now', inProgress);
+
+    const when = document.createElement('span');
+    when.className = 'agenda-when';
+    when.textContent = inProgress
+      ? (event.allDay ? 'Today' : `Now – ${this.formatTime(event.end)}`)
+      : `${this.formatDay(event.start, now)}${event.allDay ? '' : ` ${this.formatTime(event.start)}`}`;
+
+    const summary = document.createElement('span');
+    summary.className = 'agenda-summary';
+    summary.textContent = event.summary;
+
+    item.append(when, summary);
+    if (this.options.showLocation && event.location) {
+      const location = document.createElement('span');
+      location.className = 'agenda-location';
+      location.textContent = event.location;
+      item.appendChild(location);
+    }
+    return item;
+  }
+
+  /**
+   * Formats a time of day in the configured 12/24-hour format.
+   * @param {Date} date - The time.
+   * @returns {string} E.g. "09:30" or "9:30 AM".
+   */
+  formatTime(date) {
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    if (this.options.timeFormat === '12') {
+      const hours = date.getHours() % 12 || 12;
+      return `${hours}:${minutes} ${date.getHours() < 12 ? 'AM' : 'PM'}`;
+    }
+    return `${String(date.getHours()).padStart(2, '0')}:${minutes}`;
+  }
+
+  /**
+   * Describes the day of an event relative to today.
+   * @param {Date} date - The event start.
+   * @param {Date} now - The current time.
+   * @returns {string} "Today", "Tomorrow" or e.g. "Fri 24".
+   */
+  formatDay(date, now) {
+    const startOfDay = (value) => new Date(value.getFullYear(), value.getMonth(), value.getDate()).getTime();
+    const dayDifference = Math.round((startOfDay(date) - startOfDay(now)) / (24 * 60 * 60 * 1000));
+    if (dayDifference <= 0) return 'Today';
+    if (dayDifference === 1) return 'Tomorrow';
+    return `${DAY_NAMES[date.getDay()]} ${date.getDate()}`;
+  }
+
+  applyStyles() {
+    if (!this.elements.face) return;
+
+    this.elements.face.style.color = this.options.color || '#FFFFFF';
+    this.elements.face.style.setProperty('--agenda-font-family', this.options.fontFamily || 'Segoe UI');
+    this.elements.face.dataset.fontWeight = this.options.fontWeight || 'normal';
+  }
+
+  updateOptions(options) {
+    const oldOptions = { ...this.options };
+    super.updateOptions(options);
+
+    const sourceChanged = oldOptions.source !== this.options.source ||
+        oldOptions.url !== this.options.url ||
+        oldOptions.fileName !== this.options.fileName ||
+        !!this.options.fileContent; // File text saved in the state by earlier versions (e.g. an imported settings file)
+    const intervalChanged = oldOptions.refreshInterval !== this.options.refreshInterval;
+
+    // Only reload once the element is running (initial state arrives before addEventListeners)
+    if (this.renderTimerId && (sourceChanged || intervalChanged)) {
+      if (sourceChanged) {
+        this.calendar = null;
+      }
+      this.startRefreshTimer(sourceChanged);
+    }
+
+    this.render();
+  }
+
+  /**
+   * Loads the calendar from the configured source and re-renders.
+   * Errors are shown on the element instead of being thrown.
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    const requestId = ++this.requestCounter;
+    const { source, url } = this.options;
+    const fileContent = source === 'file' ? await this.loadFile() : null;
+    if (requestId !== this.requestCounter || !this.container) return; // Outdated or destroyed
+
+    if (source === 'file' ? !fileContent : !url) {
+      this.calendar = null;
+      this.statusMessage = source === 'file' ? 'Upload an .ics file in the controls' : 'Add a calendar URL in the controls';
+      this.render();
+      return;
+    }
+
+    if (!this.calendar) {
+      this.statusMessage = 'Loading calendar...';
+      this.render();
+    }
+
+    try {
+      const calendar = source === 'file'
+        ? this.calendarService.parseCalendar(fileContent)
+        : await this.calendarService.fetchCalendar(url);
+      if (requestId !== this.requestCounter || !this.container) return; // Outdated or destroyed
+
+      this.calendar = calendar;
+      this.statusMessage = '';
+      console.log(`[AgendaElement ${this.id}] Calendar updated: ${calendar.events.length} events.`);
+    } catch (error) {
+      if (requestId !== this.requestCounter || !this.container) return;
+      console.warn(`[AgendaElement ${this.id}] Failed to load calendar:`, error.message);
+      // Keep showing the last successful calendar if there is one
+      if (!this.calendar) {
+        this.statusMessage = error.message || 'Calendar unavailable';
+      }
+    }
+    this.render();
+  }
+
+  /**
+   * Reads the uploaded calendar file. File text that earlier versions kept in the element's
+   * options is moved to CalendarFileStorage first.
+   * @returns {Promise<string|null>} The file's text, or null if there is none.
+   */
+  async loadFile() {
+    const legacyContent = this.options.fileContent;
+    if (legacyContent && await this.calendarFileStorage.save(this.id, legacyContent)) {
+      delete this.options.fileContent; // Option updates merge, so remove() alone wouldn't drop it
+      StateManager.remove(`elements.${this.id}.options.fileContent`);
+      return legacyContent;
+    }
+    return legacyContent || await this.calendarFileStorage.load(this.id);
+  }
+
+  addEventListeners() {
+    this.startRefreshTimer();
+    // A new file may keep the old file's name, so the controls announce uploads
+    this.fileSubscription = EventBus.subscribe('agenda:fileChanged', ({ elementId }) => {
+      if (elementId === this.id && this.options.source === 'file') this.refresh();
+    });
+    this.renderTimerId = setInterval(() => this.render(), RENDER_INTERVAL);
+
+    // Add click listener to show controls
+    this.boundHandleClick = this.handleClick.bind(this);
+    this.container.addEventListener('click', this.boundHandleClick);
+  }
+
+  removeEventListeners() {
+    this.stopRefreshTimer();
+    this.fileSubscription?.unsubscribe();
+    this.fileSubscription = null;
+    if (this.renderTimerId) {
+      clearInterval(this.renderTimerId);
+      this.renderTimerId = null;
+    }
+
+    if (this.container && this.boundHandleClick) {
+        this.container.removeEventListener('click', this.boundHandleClick);
+    }
+  }
+
+  /**
+   * Loads the calendar and, for URL calendars, starts refreshing it on the configured interval.
+   * @param {boolean} [loadNow=true] - Whether to load immediately.
+   */
+  startRefreshTimer(loadNow = true) {
+    this.stopRefreshTimer();
+    if (loadNow) this.refresh();
+    if (this.options.source === 'file') return; // Uploaded files don't change
+    const minutes = Math.max(MIN_REFRESH_MINUTES, Number(this.options.refreshInterval) || 30);
+    this.refreshTimerId = setInterval(() => this.refresh(), minutes * 60 * 1000);
+  }
+
+  /**
+   * Stops the refresh timer.
+   */
+  stopRefreshTimer() {
+    if (this.refreshTimerId) {
+      clearInterval(this.refreshTimerId);
+      this.refreshTimerId = null;
+    }
+  }
+
+  /**
+   * Handles clicks on the agenda element to show the control panel.
+   */
+  handleClick() {
+      console.log(`[AgendaElement ${this.id}] Clicked. Publishing controls:showRequest.`);
+      EventBus.publish('controls:showRequest');
+  }
+
+  destroy() {
+    this.removeEventListeners();
+    this.requestCounter++; // Ignore any in-flight request
+    super.destroy();
+  }
+}
@@ -1,13 +1,17 @@
 import { BaseUIElement } from '../base/base-ui-element.js';
-import { LedCleanFaceRenderer } from './renderers/LedCleanFaceRenderer.js';
-import { AnalogFaceRenderer } from './renderers/AnalogFaceRenderer.js';
+import { ClockFaceRegistry } from '../../core/clock-face-registry.js';
 import { EventBus } from '../../core/event-bus.js'; // Import EventBus
+import { getTimeParts } from '../../utils/time-helpers.js';
 
 // Utility functions (padZero, calculateHandDegrees) moved to renderers
 
+/** Face shown when the configured face isn't registered (e.g. its module failed to load) */
+const DEFAULT_FACE = 'clean';
+
 /**
  * Represents a Clock element, extending the BaseUIElement.
- * Delegates rendering of different clock faces to specific renderer classes.
+ * Delegates rendering of the clock faces registered with the ClockFaceRegistry to their
+ * renderers, which are created the first time their face is shown.
  */
 export class ClockElement extends BaseUIElement {
   constructor(config) {
@@ -21,18 +25,24 @@ export class ClockElement extends BaseUIElement {
         fontWeight: 'normal', // Still needed for LedClean renderer
         color: '#FFFFFF',      // Still needed for both renderers
         showSeparator: false, // Default for separator line
+        timeZone: '', // IANA time zone (e.g. 'Europe/London'); empty means local time
+        label: '', // Optional caption shown under the time (e.g. 'London')
+        // Face-specific options default to their face's option schema
       },
       ...config // User-provided config overrides defaults
     };
     super(defaultConfig); // Pass merged config to base class
 
     // Clock-specific properties
-    this.intervalId = null;
+    this.intervalId = null; // Once-a-second updates
+    this.animationFrameId = null; // Per-frame updates, for faces that ask for them (see _syncTimer)
+    this.timerRunning = false;
     this.lastRenderedTime = null; // Keep for potential optimization
 
-    // Instantiate Renderers - container will be set in createElements
-    this.ledCleanRenderer = new LedCleanFaceRenderer();
-    this.analogRenderer = new AnalogFaceRenderer();
+    // Face renderers by face name, created on demand by _getRenderer
+    this.renderers = new Map();
+    this.configManager = config.configManager || null; // Passed to renderers (e.g. performance flags)
+    this.facesSubscription = null;
   }
 
   /**
@@ -53,14 +63,11 @@ export class ClockElement extends BaseUIElement {
     }
     this.elements.face.innerHTML = ''; // Clear previous content before adding new elements
 
-    // 2. Set the container for the renderers *before* creating their elements
-    this.ledCleanRenderer.setContainer(this.elements.face);
-    this.analogRenderer.setContainer(this.elements.face);
+    // 2. Drop renderers from a previous call; they are recreated (in the new face
+    // container) when their face is shown
+    this._destroyRenderers();
 
-    // 3. Create elements for each renderer (they will append themselves to the container)
-    const ledCleanRoot = this.ledCleanRenderer.createElements();
-    const analogRoot = this.analogRenderer.createElements();
-    // Roots are now already appended by the renderers themselves
+    // 3. Renderers append their own elements to the face container, see _getRenderer
 
     // 4. Create the shared separator line element
     this.elements.separatorLine = document.createElement('div');
@@ -71,7 +78,14 @@ export class ClockElement extends BaseUIElement {
     // Visibility will be controlled based on the active face type.
     this.elements.face.appendChild(this.elements.separatorLine);
 
-    console.log('ClockElement: Renderers initialized and elements created.');
+    // 6. Create the label (e.g. city name for world clock setups), shown under the face
+    if (!this.elements.label) {
+        this.elements.label = document.createElement('div');
+        this.elements.label.className = 'clock-label';
+        this.container.appendChild(this.elements.label);
+    }
+
+    console.log('ClockElement: Elements created.');
 
     // Initial render based on options
     this.render();
@@ -81,17 +95,12 @@ export class ClockElement extends BaseUIElement {
    * Renders the current time by delegating to the appropriate face renderer.
    */
   render() {
-    if (!this.elements.face || !this.ledCleanRenderer || !this.analogRenderer) {
-        console.warn('ClockElement cannot render - face container or renderers not initialized.');
+    if (!this.elements.face) {
+        console.warn('ClockElement cannot render - face container not initialized.');
         return;
     }
 
-    const now = new Date();
-    const timeData = {
-        hours: now.getHours(),
-        minutes: now.getMinutes(),
-        seconds: now.getSeconds()
-    };
+    const timeData = this._getTimeData();
 
     // Basic optimization: check if seconds changed if seconds are shown,
     // or if minutes changed if seconds are hidden.
@@ -103,15 +112,19 @@ export class ClockElement extends BaseUIElement {
     this.lastRenderedTime = { ...timeData }; // Store full time data
 
     // Set data attribute for CSS styling based on face type
-    this.elements.face.dataset.faceType = this.options.face;
+    this.elements.face.dataset.faceType = this._getActiveFaceName();
 
     // Delegate face-specific rendering and visibility management
     this._updateActiveFace(timeData);
+    this._updateLabel();
 
     // Call base render AFTER updating face content and visibility
     // This ensures base class handles position, scale, opacity etc. correctly
     // based on the final size/state of the active face.
     super.render();
+
+    // The active face may have switched between ticking and per-frame updates
+    this._syncTimer();
   }
 
   /**
@@ -126,38 +139,79 @@ export class ClockElement extends BaseUIElement {
    /** Helper to apply styles to the analog clock face */
   // applyAnalogStyles() { ... } // Moved to AnalogFaceRenderer
 
+  /**
+   * Returns the time data passed to the face renderers: the wall-clock time in this clock's
+   * configured zone (local time if none set), plus the instant itself as `now` (for faces
+   * that show other zones or astronomical data).
+   * @returns {object} See getTimeParts; also has `now` (Date).
+   */
+  _getTimeData() {
+    const now = new Date();
+    return { ...getTimeParts(now, this.options.timeZone), now };
+  }
+
+  /**
+   * Returns the face to show: the configured one if it is registered, otherwise DEFAULT_FACE.
+   * @returns {string} The face name.
+   */
+  _getActiveFaceName() {
+    return ClockFaceRegistry.getFace(this.options.face) ? this.options.face : DEFAULT_FACE;
+  }
+
+  /**
+   * Returns the renderer for a face, creating it (and its elements) the first time.
+   * @param {string} faceName - A registered face name.
+   * @returns {object|null} The renderer, or null if the face isn't registered.
+   */
+  _getRenderer(faceName) {
+    const face = ClockFaceRegistry.getFace(faceName);
+    if (!face) return null;
+
+    const existing = this.renderers.get(faceName);
+    if (existing instanceof face.renderer) return existing;
+    existing?.destroy(); // The face was re-registered with a different renderer
+
+    const renderer = new face.renderer({ configManager: this.configManager });
+    renderer.setContainer(this.elements.face);
+    renderer.createElements(); // Appends the face's root to the face container
+    this.renderers.set(faceName, renderer);
+    return renderer;
+  }
+
+  /**
+   * Returns the options passed to a face's renderer: the clock's options, with the face's own
+   * options filled in from its schema.
+   * @param {string} faceName - A registered face name.
+   * @returns {object}
+   */
+  _getFaceOptions(faceName) {
+    return { ...ClockFaceRegistry.getOptionDefaults(faceName), ...this.options };
+  }
+
   /**
    * Private helper to manage active face rendering and visibility.
-   * @param {object} timeData - Object containing hours, minutes, seconds.
+   * @param {object} timeData - Time parts for the clock's time zone (see getTimeParts).
    */
   _updateActiveFace(timeData) {
-    // Render the appropriate face
-    if (this.options.face === 'analog') {
-        this.analogRenderer.render(timeData, this.options);
-    } else { // Treat any non-analog as 'clean'
-        this.ledCleanRenderer.applyStyles(this.options); // Apply clean styles
-        this.ledCleanRenderer.render(timeData, this.options); // Render using LedClean renderer
+    const faceName = this._getActiveFaceName();
+    const renderer = this._getRenderer(faceName);
+    if (renderer) {
+        const options = this._getFaceOptions(faceName);
+        try {
+            renderer.applyStyles?.(options);
+            renderer.render(timeData, options);
+        } catch (error) {
+            console.error(`[ClockElement ${this.id}] Face "${faceName}" failed to render:`, error);
+        }
+    } else {
+        console.warn(`[ClockElement ${this.id}] No renderer for face "${faceName}".`);
     }
 
-    // Manage visibility of the digital and analog root elements
-    const digitalRoot = this.ledCleanRenderer?.getRootElement();
-    const analogRoot = this.analogRenderer?.getRootElement(); // This is now the <svg> element
-
-    // Define the size for the analog clock
-    const analogSize = '30vmin';
-
-    if (this.options.face === 'analog') {
-        if (analogRoot) analogRoot.style.display = ''; // Show SVG
-        if (digitalRoot) digitalRoot.style.display = 'none'; // Hide digital container
-        this.elements.face.classList.remove('analog-face-active'); // Ensure class is removed
-    } else { // 'clean' face
-        if (analogRoot) analogRoot.style.display = 'none'; // Hide SVG
-        if (digitalRoot) digitalRoot.style.display = ''; // Show digital container
-        this.container.style.width = '';
-        this.container.style.height = '';
-        // Remove potentially conflicting class if it was used before
-        this.elements.face.classList.remove('analog-face-active');
-    }
+    // Show only the active face's root element
+    this.renderers.forEach((faceRenderer, name) => {
+        const root = faceRenderer.getRootElement();
+        if (root) root.style.display = name === faceName ? '' : 'none';
+    });
 
     // Manage visibility of the shared separator line (now directly in face container)
     if (this.elements.separatorLine) {
@@ -167,6 +221,40 @@ export class ClockElement extends BaseUIElement {
     }
   }
 
+  /**
+   * Destroys the renderers of faces that are no longer registered (or were re-registered),
+   * so they are recreated or replaced by the default face on the next render.
+   */
+  _pruneRenderers() {
+    this.renderers.forEach((renderer, name) => {
+        const face = ClockFaceRegistry.getFace(name);
+        if (!face || !(renderer instanceof face.renderer)) {
+            renderer.destroy();
+            this.renderers.delete(name);
+        }
+    });
+  }
+
+  /**
+   * Destroys all face renderers.
+   */
+  _destroyRenderers() {
+    this.renderers.forEach(renderer => renderer.destroy());
+    this.renderers.clear();
+  }
+
+  /**
+   * Private helper to show/hide the label and keep it in sync with the clock color.
+   */
+  _updateLabel() {
+    if (!this.elements.label) return;
+    const labelText = (this.options.label || '').trim();
+    this.elements.label.textContent = labelText;
+    this.elements.label.style.display = labelText ? '' : 'none';
+    this.elements.label.style.color = this.options.color || '#FFFFFF';
+    this.elements.label.style.fontFamily = this.options.fontFamily || 'Segoe UI';
+  }
+
   /**
    * Updates the clock element based on new options received from state.
    * @param {object} options - The new options object.
@@ -182,7 +270,11 @@ export class ClockElement extends BaseUIElement {
         oldOptions.fontFamily !== this.options.fontFamily ||
         oldOptions.fontWeight !== this.options.fontWeight || // Add fontWeight check
         oldOptions.color !== this.options.color ||
-        oldOptions.showSeparator !== this.options.showSeparator) { // Check separator option
+        oldOptions.showSeparator !== this.options.showSeparator || // Check separator option
+        oldOptions.timeZone !== this.options.timeZone ||
+        oldOptions.label !== this.options.label ||
+        Object.keys(ClockFaceRegistry.getFace(this.options.face)?.options || {})
+          .some(key => oldOptions[key] !== this.options[key])) {
       this.render(); // Re-render if display options changed
     }
   }
@@ -194,6 +286,12 @@ export class ClockElement extends BaseUIElement {
     // Start the interval timer to update the clock
     this.startTimer();
 
+    // Follow faces being loaded or removed (e.g. third-party face modules)
+    this.facesSubscription = EventBus.subscribe('clockFaces:changed', () => {
+      this._pruneRenderers();
+      this.render();
+    });
+
     // Add click listener to show controls
     this.boundHandleClick = this.handleClick.bind(this);
     this.container.addEventListener('click', this.boundHandleClick);
@@ -206,6 +304,9 @@ export class ClockElement extends BaseUIElement {
     // Stop the interval timer
     this.stopTimer();
 
+    this.facesSubscription?.unsubscribe();
+    this.facesSubscription = null;
+
     // Remove click listener
     if (this.container && this.boundHandleClick) {
         this.container.removeEventListener('click', this.boundHandleClick);
@@ -213,24 +314,88 @@ export class ClockElement extends BaseUIElement {
   }
 
   /**
-   * Starts the interval timer to update the clock display periodically.
+   * Starts updating the clock display: once a second, or on every animation frame while
+   * the active face's renderer asks for it (e.g. a sweeping second hand).
    */
   startTimer() {
     this.stopTimer(); // Ensure no duplicate timers
-    this.render(); // Initial render immediately
-    this.intervalId = setInterval(() => {
-      this.render();
-    }, 1000); // Update every second
+    this.timerRunning = true;
+    this.render(); // Initial render immediately; starts the right timer via _syncTimer
   }
 
   /**
-   * Stops the interval timer.
+   * Stops updating the clock display.
    */
   stopTimer() {
+    this.timerRunning = false;
     if (this.intervalId) {
       clearInterval(this.intervalId);
       this.intervalId = null;
     }
+    if (this.animationFrameId !== null) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+  }
+
+  /**
+   * Whether the active face's renderer wants to be rendered on every animation frame
+   * (its optional needsAnimationFrames(options) method).
+   * @returns {boolean}
+   */
+  _wantsAnimationFrames() {
+    const faceName = this._getActiveFaceName();
+    const renderer = this.renderers.get(faceName);
+    return Boolean(renderer?.needsAnimationFrames?.(this._getFaceOptions(faceName)));
+  }
+
+  /**
+   * Switches between the 1 Hz interval and the animation frame loop to match the active face.
+   * Does nothing while the timer is stopped.
+   */
+  _syncTimer() {
+    if (!this.timerRunning) return;
+
+    if (this._wantsAnimationFrames()) {
+      if (this.intervalId) {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+      }
+      if (this.animationFrameId === null) {
+        this.animationFrameId = requestAnimationFrame(() => this._onAnimationFrame());
+      }
+    } else {
+      if (this.animationFrameId !== null) {
+        cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = null;
+      }
+      if (!this.intervalId) {
+        this.intervalId = setInterval(() => {
+          this.render();
+        }, 1000); // Update every second
+      }
+    }
+  }
+
+  /**
+   * Animation frame loop: a full render when the second changes, otherwise only the
+   * active face's render (no styles, label or layout work).
+   */
+  _onAnimationFrame() {
+    this.animationFrameId = null;
+    const timeData = this._getTimeData();
+    if (timeData.seconds !== this.lastRenderedTime?.seconds) {
+      this.render(); // Schedules the next frame
+      return;
+    }
+
+    const faceName = this._getActiveFaceName();
+    try {
+      this.renderers.get(faceName)?.render(timeData, this._getFaceOptions(faceName));
+    } catch (error) {
+      console.error(`[ClockElement ${this.id}] Face "${faceName}" failed to render:`, error);
+    }
+    this._syncTimer();
   }
 
   /**
@@ -248,10 +413,7 @@ export class ClockElement extends BaseUIElement {
     this.stopTimer();
 
     // Destroy renderers
-    this.ledCleanRenderer?.destroy();
-    this.analogRenderer?.destroy();
-    this.ledCleanRenderer = null;
-    this.analogRenderer = null;
+    this._destroyRenderers();
 
     super.destroy(); // Call base class destroy for cleanup
     console.log(`ClockElement ${this.id} destroyed.`);
@@ -1,5 +1,6 @@
 import { BaseUIElement } from '../base/base-ui-element.js';
 import { EventBus } from '../../core/event-bus.js';
+import { localize } from '../../i18n/i18n.js';
 
 /**
  * @class ControlsHintElement
@@ -25,8 +26,10 @@ export class ControlsHintElement extends BaseUIElement {
          }
 
          this.container.classList.add('controls-hint-element');
-         // Set the text directly, removing dependency on state/options
-         this.container.innerHTML = `<p>Tap background to toggle controls</p>`;
+         // Set the text directly, removing dependency on state/options (localized, so it follows language changes)
+         const hint = document.createElement('p');
+         localize(hint, 'Tap background to toggle controls');
+         this.container.replaceChildren(hint);
 
         // REMOVED: Click listener and handler
 
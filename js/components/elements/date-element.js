@@ -1,37 +1,7 @@
 import { BaseUIElement } from '../base/base-ui-element.js';
 import { StateManager } from '../../core/state-manager.js';
 import { EventBus } from '../../core/event-bus.js'; // Ensure EventBus is imported
-
-// --- Utility Functions ---
-/** Pads a number with leading zeros (e.g., 9 -> "09") */
-const padZero = (num) => String(num).padStart(2, '0');
-
-/** Formats a date according to the specified format */
-function formatDate(date, format) {
-    const day = date.getDate();
-    const month = date.getMonth() + 1; // getMonth() returns 0-11
-    const year = date.getFullYear();
-    const dayOfWeek = date.toLocaleDateString('en-US', { weekday: 'long' }); // e.g., "Monday"
-    const monthName = date.toLocaleDateString('en-US', { month: 'long' }); // e.g., "January"
-
-    switch (format) {
-        case 'MM/DD/YYYY':
-            return `${padZero(month)}/${padZero(day)}/${year}`;
-        case 'DD/MM/YYYY':
-            return `${padZero(day)}/${padZero(month)}/${year}`;
-        case 'YYYY-MM-DD':
-            return `${year}-${padZero(month)}-${padZero(day)}`;
-        case 'Day':
-            return dayOfWeek;
-        case 'Day, Month DD':
-            return `${dayOfWeek}, ${monthName} ${day}`;
-        case 'Month DD, YYYY':
-            return `${monthName} ${day}, ${year}`;
-        default: // Default to US format
-            return `${padZero(month)}/${padZero(day)}/${year}`;
-    }
-}
-
+import { formatDate, DEFAULT_DATE_FORMAT } from '../../utils/date-format.js';
 
 /**
  * Represents a Date display element.
@@ -40,7 +10,9 @@ export class DateElement extends BaseUIElement {
   constructor(config) {
     const defaultConfig = {
       options: {
-        format: 'Day, Month DD', // Default format
+        format: DEFAULT_DATE_FORMAT, // Token format (see utils/date-format.js); legacy format names still work
+        locale: '', // BCP 47 locale for names and digits; '' follows the browser
+        calendar: 'gregory', // Intl calendar id, e.g. 'japanese', 'hebrew', 'islamic-umalqura'
         fontFamily: 'Segoe UI',
         color: '#FFFFFF',
         visible: true, // Default to visible
@@ -91,7 +63,7 @@ export class DateElement extends BaseUIElement {
     this.needsRender = false; // Reset render flag
 
     // Format the date based on options
-    const formattedDate = formatDate(now, this.options.format);
+    const formattedDate = formatDate(now, this.options.format, { locale: this.options.locale, calendar: this.options.calendar });
     // Update the text content of the dedicated span, not the whole face
     if (this.elements.dateText) {
         this.elements.dateText.textContent = formattedDate;
@@ -124,6 +96,8 @@ export class DateElement extends BaseUIElement {
 
     // Check if relevant options changed
     if (oldOptions.format !== this.options.format ||
+        oldOptions.locale !== this.options.locale ||
+        oldOptions.calendar !== this.options.calendar ||
         oldOptions.fontFamily !== this.options.fontFamily ||
         oldOptions.fontWeight !== this.options.fontWeight || // Add fontWeight check
         oldOptions.color !== this.options.color ||
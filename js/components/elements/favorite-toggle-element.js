@@ -1,5 +1,6 @@
 import { BaseUIElement } from '../base/base-ui-element.js';
 import { EventBus } from '../../core/event-bus.js';
+import { localizeAttribute, t } from '../../i18n/i18n.js';
 // FavoritesService will be injected
 
 /**
@@ -67,13 +68,16 @@ export class FavoriteToggleElement extends BaseUIElement {
         if (!this.container) return;
 
         // Set initial aria-label and title
-        const initialLabel = "Add to Favorites";
         this.container.innerHTML = `
-            <button id="${this.id}-button" class="favorite-toggle" aria-label="${initialLabel}" title="${initialLabel}">
+            <button id="${this.id}-button" class="favorite-toggle">
                 <span id="${this.id}-icon" class="heart-icon"></span>
             </button>
         `;
         this.toggleButton = this.container.querySelector(`#${this.id}-button`);
+        if (this.toggleButton) {
+            localizeAttribute(this.toggleButton, 'aria-label', 'Add to Favorites');
+            localizeAttribute(this.toggleButton, 'title', 'Add to Favorites');
+        }
         this.iconSpan = this.container.querySelector(`#${this.id}-icon`); // Though we style the button, might need the span later
 
         if (!this.toggleButton) {
@@ -123,7 +127,7 @@ export class FavoriteToggleElement extends BaseUIElement {
 
         } catch (error) {
             console.error(`[FavoriteToggleElement ${this.id}] Error toggling favorite:`, error);
-            EventBus.publish('ui:showToast', { message: 'Error toggling favorite status' });
+            EventBus.publish('ui:showToast', { message: t('Error toggling favorite status') });
         }
     }
 
@@ -146,8 +150,8 @@ export class FavoriteToggleElement extends BaseUIElement {
         } else {
             this.toggleButton.classList.remove('favorited');
         }
-        this.toggleButton.setAttribute('aria-label', newLabel);
-        this.toggleButton.setAttribute('title', newLabel); // Also update title attribute
+        localizeAttribute(this.toggleButton, 'aria-label', newLabel);
+        localizeAttribute(this.toggleButton, 'title', newLabel); // Also update title attribute
     }
 
     /**
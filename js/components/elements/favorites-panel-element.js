@@ -1,20 +1,42 @@
 import { BaseUIElement } from '../base/base-ui-element.js';
 import { StateManager } from '../../core/state-manager.js';
 import { EventBus } from '../../core/event-bus.js';
-// Import FavoritesService later when needed for interaction
-// import { FavoritesService } from '../../services/favorites-service.js';
+import {
+    FavoritesCollectionBar,
+    ALL_FAVORITES,
+    NO_COLLECTION,
+    createMoveSelect,
+    getFavoritesForFilter
+} from '../controls/favorites-collection-bar.js';
+import { localize, localizeAttribute, t } from '../../i18n/i18n.js';
 
 /**
  * @class FavoritesPanelElement
- * @description Displays and manages saved favorite configurations.
+ * @description A compact on-screen panel listing saved favorites by collection. Favorites can be applied,
+ *              deleted and moved between collections, collections can be created, renamed and deleted,
+ *              and the current image can be saved into the selected collection.
  * @extends BaseUIElement
  */
 export class FavoritesPanelElement extends BaseUIElement {
+    /**
+     * @param {object} config - Element config from the ComponentRegistry.
+     * @param {FavoritesService} config.favoritesService - Instance of the FavoritesService.
+     */
     constructor(config) { // Accept the whole config object
         super(config); // Pass the whole config object to the base constructor
+        if (!config.favoritesService) {
+            throw new Error("FavoritesPanelElement requires a FavoritesService instance.");
+        }
+        this.favoritesService = config.favoritesService;
         this.isOpen = false; // Internal state for panel visibility
-        // Inject FavoritesService later if needed: constructor(config, favoritesService)
-        // this.favoritesService = favoritesService;
+        this.collectionBar = null;
+        this.subscriptions = [];
+
+        this.boundTogglePanel = this.togglePanel.bind(this);
+        this.boundAddFavorite = this.addFavorite.bind(this);
+        this.boundHandleListClick = this.handleListClick.bind(this);
+        this.boundHandleListChange = this.handleListChange.bind(this);
+        this.boundRender = () => this.renderFavoritesList();
     }
 
     /**
@@ -25,37 +47,46 @@ export class FavoritesPanelElement extends BaseUIElement {
         // Manual container creation for fixed element
         this.container = document.createElement('div');
         this.container.id = this.id;
-        this.container.classList.add('favorites-panel-element');
+        this.container.classList.add('favorites-panel-element', 'visible'); // Added by the user, so always shown
 
         // Append to a designated area or body
         const targetContainer = document.getElementById('elements-container') || document.body;
         targetContainer.appendChild(this.container);
 
         this.container.innerHTML = `
-            <button class="favorites-toggle-button">Favorites</button>
+            <button class="favorites-toggle-button"></button>
             <div class="favorites-content" style="display: none;">
-                <h4>Saved Favorites</h4>
-                <ul class="favorites-list">
-                    <!-- Favorites will be listed here -->
-                    <li>(No favorites saved yet)</li>
-                </ul>
+                <h4></h4>
+                <ul class="favorites-list"></ul>
                 <div class="favorites-actions">
-                    <input type="text" class="favorite-name-input" placeholder="Favorite Name">
-                    <button class="add-favorite-button">Save Current</button>
+                    <button class="add-favorite-button"></button>
                 </div>
             </div>
         `;
+        localize(this.container.querySelector('.favorites-toggle-button'), 'Favorites');
+        localize(this.container.querySelector('.favorites-content h4'), 'Saved Favorites');
+        localize(this.container.querySelector('.add-favorite-button'), 'Save Current Image');
+
+        this.collectionBar = new FavoritesCollectionBar(this.container.querySelector('.favorites-content'), this.favoritesService, {
+            onChange: this.boundRender
+        });
+        this.collectionBar.init();
+        // Keep the bar between the title and the list
+        this.container.querySelector('.favorites-content h4').after(this.collectionBar.bar);
 
         // Add event listeners
-        this.container.querySelector('.favorites-toggle-button').addEventListener('click', this.togglePanel.bind(this));
-        this.container.querySelector('.add-favorite-button').addEventListener('click', this.addFavorite.bind(this));
-        // Add listener for list clicks (delete/apply) later
+        this.container.querySelector('.favorites-toggle-button').addEventListener('click', this.boundTogglePanel);
+        this.container.querySelector('.add-favorite-button').addEventListener('click', this.boundAddFavorite);
+        const listElement = this.container.querySelector('.favorites-list');
+        listElement.addEventListener('click', this.boundHandleListClick);
+        listElement.addEventListener('change', this.boundHandleListChange);
 
-        // Subscribe to favorite updates (implement later)
-        // EventBus.subscribe('favorites:updated', this.renderFavoritesList.bind(this));
+        this.subscriptions.push(
+            EventBus.subscribe('favorites:changed', this.boundRender),
+            EventBus.subscribe('settings:imported', this.boundRender)
+        );
 
-        // Initial render (placeholder)
-        this.renderFavoritesList([]); // Pass empty array initially
+        this.renderFavoritesList();
 
         console.log(`[FavoritesPanelElement ${this.id}] Initialized.`);
         return true; // Signal success
@@ -74,42 +105,87 @@ export class FavoritesPanelElement extends BaseUIElement {
     }
 
     /**
-     * Renders the list of favorites. (Placeholder)
-     * @param {Array} favorites - The list of favorite objects.
+     * Renders the favorites of the selected collection.
      */
-    renderFavoritesList(favorites) {
+    renderFavoritesList() {
         const listElement = this.container?.querySelector('.favorites-list');
         if (!listElement) return;
 
+        this.collectionBar.render();
+        const favorites = getFavoritesForFilter(this.favoritesService, this.collectionBar.selected);
+        const collections = this.favoritesService.getCollections();
         listElement.innerHTML = ''; // Clear existing list
 
         if (favorites.length === 0) {
-            listElement.innerHTML = '<li>(No favorites saved yet)</li>';
+            listElement.appendChild(localize(document.createElement('li'), this.collectionBar.selected === ALL_FAVORITES
+                ? '(No favorites saved yet)'
+                : '(No favorites in this collection)'));
             return;
         }
 
-        // favorites.forEach(fav => {
-        //     const item = document.createElement('li');
-        //     item.innerHTML = `
-        //         <span>${fav.name}</span>
-        //         <button class="apply-favorite-button" data-id="${fav.id}">Apply</button>
-        //         <button class="delete-favorite-button" data-id="${fav.id}">Delete</button>
-        //     `;
-        //     listElement.appendChild(item);
-        // });
-
-        // Add event listeners for apply/delete buttons later
+        favorites.forEach(fav => {
+            const item = document.createElement('li');
+            item.dataset.id = fav.id;
+            const name = document.createElement('span');
+            name.className = 'favorite-name';
+            name.textContent = fav.photographer && fav.photographer !== 'Unknown' ? fav.photographer : fav.provider;
+            localizeAttribute(name, 'title', 'Show this image');
+            item.appendChild(name);
+            if (collections.length > 0) {
+                item.appendChild(createMoveSelect(fav, collections));
+            }
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'delete-favorite-button';
+            localize(deleteButton, 'Delete');
+            item.appendChild(deleteButton);
+            listElement.appendChild(item);
+        });
+    }
+
+    /**
+     * Applies or deletes the clicked favorite.
+     * @param {Event} event - The click event.
+     */
+    async handleListClick(event) {
+        const item = event.target.closest('li[data-id]');
+        if (!item) return;
+        const id = item.dataset.id;
+
+        if (event.target.closest('.delete-favorite-button')) {
+            const result = this.favoritesService.removeFavoriteById(id);
+            EventBus.publish('ui:showToast', { message: result.message });
+        } else if (event.target.closest('.favorite-name')) {
+            const result = await this.favoritesService.setBackgroundFromFavorite(id);
+            if (!result.success) {
+                EventBus.publish('ui:showToast', { message: result.message });
+            }
+        }
+    }
+
+    /**
+     * Moves a favorite when its collection select changes.
+     * @param {Event} event - The change event.
+     */
+    handleListChange(event) {
+        const select = event.target.closest('.move-select');
+        if (!select) return;
+        const result = this.favoritesService.moveFavoriteToCollection(select.dataset.id, select.value || null);
+        EventBus.publish('ui:showToast', { message: result.message });
     }
 
     /**
-     * Handles adding the current state as a favorite. (Placeholder)
+     * Saves the current background image as a favorite, in the selected collection.
      */
     addFavorite() {
-        const nameInput = this.container?.querySelector('.favorite-name-input');
-        const name = nameInput ? nameInput.value.trim() : '';
-        console.log(`Placeholder: Add favorite requested with name: "${name}"`);
-        // Call favoritesService.addFavorite(name) later
-        if (nameInput) nameInput.value = ''; // Clear input
+        const currentImageMetadata = StateManager.getState().currentImageMetadata;
+        if (!currentImageMetadata?.url) {
+            EventBus.publish('ui:showToast', { message: t('No current image to favorite.') });
+            return;
+        }
+        const selected = this.collectionBar.selected;
+        const collectionId = selected === ALL_FAVORITES || selected === NO_COLLECTION ? null : selected;
+        const result = this.favoritesService.addFavorite(currentImageMetadata, collectionId);
+        EventBus.publish('ui:showToast', { message: result.message });
     }
 
     /**
@@ -117,8 +193,7 @@ export class FavoritesPanelElement extends BaseUIElement {
      * Handles state updates (if needed for this element).
      */
     _onStateUpdate(changedPaths) {
-        // This element might not directly react to general state changes,
-        // but rather to specific 'favorites:updated' events.
+        // This element reacts to 'favorites:changed' events rather than general state changes.
     }
 
     /**
@@ -126,16 +201,12 @@ export class FavoritesPanelElement extends BaseUIElement {
      * Cleans up resources.
      */
     destroy() {
-        // Remove event listeners
-        const toggleButton = this.container?.querySelector('.favorites-toggle-button');
-        if (toggleButton) toggleButton.removeEventListener('click', this.togglePanel);
-        const addButton = this.container?.querySelector('.add-favorite-button');
-        if (addButton) addButton.removeEventListener('click', this.addFavorite);
-        // Remove list listeners later
-
-        // Unsubscribe from events later
+        this.subscriptions.forEach(subscription => subscription.unsubscribe());
+        this.subscriptions = [];
+        this.collectionBar?.destroy();
+        this.collectionBar = null;
 
-        // Remove element from DOM
+        // Remove element from DOM (and with it the listeners)
         if (this.container && this.container.parentNode) {
             this.container.parentNode.removeChild(this.container);
         }
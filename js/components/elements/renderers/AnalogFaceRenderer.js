@@ -1,8 +1,12 @@
+import { animationsEnabled } from '../../../utils/motion.js';
+import { getAvailableTimeZones, getTimeParts } from '../../../utils/time-helpers.js';
+import { getLanguage } from '../../../i18n/i18n.js';
+
 /**
  * Calculates the rotation degrees for analog clock hands.
  * @param {number} hours - The hours value (0-23).
  * @param {number} minutes - The minutes value (0-59).
- * @param {number} seconds - The seconds value (0-59).
+ * @param {number} seconds - The seconds value (0-59, fractional for a sweeping second hand).
  * @returns {object} Object containing rotation degrees for hour, minute, and second hands.
  */
 function calculateHandDegrees(hours, minutes, seconds) {
@@ -12,18 +16,110 @@ function calculateHandDegrees(hours, minutes, seconds) {
     return { hoursDeg, minutesDeg, secondsDeg };
 }
 
+const ROMAN_NUMERALS = ['XII', 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI'];
+
+/**
+ * Hand outlines by shape preset, as SVG path data for a hand pointing at 12 o'clock
+ * from the centre (50, 50). 'line' is a stroked line; the others are filled outlines.
+ * Each takes the hand's length and width in viewBox units.
+ */
+const HAND_SHAPES = {
+    line: (length) => `M50 50 L50 ${50 - length}`,
+    baton: (length, width) => {
+        const left = 50 - width / 2;
+        const right = 50 + width / 2;
+        return `M${left} 54 L${left} ${50 - length} L${right} ${50 - length} L${right} 54 Z`;
+    },
+    dauphine: (length, width) => `M50 ${50 - length} L${50 + width} 50 L50 54 L${50 - width} 50 Z`
+};
+
+/** Length and width of the hour and minute hands (the second hand is always a line) */
+const HAND_SIZES = {
+    hour: { length: 25, width: 3 },
+    minute: { length: 35, width: 2.2 }
+};
+
+/** Centres of the complication positions, inside the numerals */
+const COMPLICATION_POSITIONS = {
+    top: [50, 28],
+    right: [72, 50],
+    bottom: [50, 72],
+    left: [28, 50]
+};
+
+const SYNODIC_MONTH_DAYS = 29.530588853;
+const KNOWN_NEW_MOON = Date.UTC(2000, 0, 6, 18, 14); // 6 January 2000, 18:14 UTC
+
+/**
+ * Calculates the moon's phase at an instant (mean lunation, accurate to a few hours).
+ * @param {Date} date - The instant.
+ * @returns {number} The phase from 0 to 1: 0 is new moon, 0.25 first quarter, 0.5 full moon.
+ */
+export function getMoonPhase(date) {
+    const lunations = (date.getTime() - KNOWN_NEW_MOON) / 86400000 / SYNODIC_MONTH_DAYS;
+    return ((lunations % 1) + 1) % 1;
+}
+
+/**
+ * Builds the outline of the lit part of the moon, as seen from the northern hemisphere
+ * (waxing from the right).
+ * @param {number} cx - Centre x.
+ * @param {number} cy - Centre y.
+ * @param {number} r - Radius.
+ * @param {number} phase - The phase (see getMoonPhase).
+ * @returns {string} SVG path data.
+ */
+function moonLitPath(cx, cy, r, phase) {
+    const waxing = phase < 0.5;
+    // The terminator is a half ellipse; it bulges towards the lit side for crescents
+    const terminatorRx = Math.abs(Math.cos(2 * Math.PI * phase)) * r;
+    const crescent = phase < 0.25 || phase >= 0.75;
+    const limbSweep = waxing ? 1 : 0;
+    const terminatorSweep = waxing === crescent ? 0 : 1;
+    return `M${cx} ${cy - r} A${r} ${r} 0 0 ${limbSweep} ${cx} ${cy + r} ` +
+        `A${terminatorRx.toFixed(2)} ${r} 0 0 ${terminatorSweep} ${cx} ${cy - r} Z`;
+}
+
+const weekdayFormatters = new Map(); // By language
+
 /**
- * Handles rendering the 'Analog' clock face using SVG.
+ * Returns the short, upper-case weekday name in the UI language (e.g. 'MON').
+ * @param {number} dayOfWeek - 0 for Sunday.
+ * @returns {string}
+ */
+function getWeekdayName(dayOfWeek) {
+    const language = getLanguage();
+    if (!weekdayFormatters.has(language)) {
+        weekdayFormatters.set(language, new Intl.DateTimeFormat(language, { weekday: 'short', timeZone: 'UTC' }));
+    }
+    // 7 January 2024 was a Sunday
+    return weekdayFormatters.get(language).format(new Date(Date.UTC(2024, 0, 7 + dayOfWeek))).toLocaleUpperCase(language);
+}
+
+/**
+ * Handles rendering the 'Analog' clock face using SVG: a dial with configurable numerals,
+ * hour and minute ticks, hand shapes and colours, and a second hand that either ticks or
+ * sweeps smoothly (see needsAnimationFrames).
+ *
+ * Complications (date window, day of week, second time zone sub-dial, moon phase) can be
+ * placed at the top, right, bottom or left of the dial. A 24-hour hand shows the second
+ * time zone, like the GMT hand of a travel watch.
  */
 export class AnalogFaceRenderer {
     /**
      * Creates an instance of AnalogFaceRenderer.
+     * @param {object} [dependencies={}]
+     * @param {ConfigManager} [dependencies.configManager] - Source of the performance flags.
      */
-    constructor() {
+    constructor({ configManager = null } = {}) {
         this.parentContainer = null;
         this.svgElement = null; // Root SVG element
         this.elements = {}; // References to SVG elements (hands, etc.)
         this.svgNS = "http://www.w3.org/2000/svg"; // SVG namespace
+        this.configManager = configManager;
+        this.dialLayout = null; // Numerals and ticks the dial was last drawn with
+        this.complicationLayout = null; // Complication positions they were last drawn with
+        this.complications = {}; // Elements updated by render, by complication
         console.log('AnalogFaceRenderer (SVG) constructor called.');
     }
 
@@ -42,6 +138,7 @@ export class AnalogFaceRenderer {
 
     /**
      * Creates the SVG elements required for the Analog face.
+     * Numerals and ticks are drawn by applyStyles, once the options are known.
      * @returns {SVGElement|null} The root SVG element, or null if container not set.
      */
     createElements() {
@@ -65,47 +162,28 @@ export class AnalogFaceRenderer {
         faceCircle.classList.add('clock-face-circle'); // For CSS styling
         this.svgElement.appendChild(faceCircle);
 
-        // Create hour markers (lines)
-        for (let i = 0; i < 12; i++) {
-            const angle = i * 30; // 30 degrees per hour
-            const marker = document.createElementNS(this.svgNS, 'line');
-            const isHourMarker = i % 3 === 0; // Major markers at 12, 3, 6, 9
-            const length = isHourMarker ? 8 : 4; // Length of marker
-            const y1 = 5; // Start near edge
-            const y2 = 5 + length; // End point
-            marker.setAttribute('x1', '50');
-            marker.setAttribute('y1', y1.toString());
-            marker.setAttribute('x2', '50');
-            marker.setAttribute('y2', y2.toString());
-            marker.setAttribute('transform', `rotate(${angle} 50 50)`);
-            marker.classList.add('marker', isHourMarker ? 'marker-hour' : 'marker-minute');
-            this.svgElement.appendChild(marker);
-        }
-
-        // Create clock hands (lines)
-        this.elements.hourHand = document.createElementNS(this.svgNS, 'line');
-        this.elements.hourHand.setAttribute('x1', '50');
-        this.elements.hourHand.setAttribute('y1', '50');
-        this.elements.hourHand.setAttribute('x2', '50');
-        this.elements.hourHand.setAttribute('y2', '25'); // Length towards 12 o'clock
-        this.elements.hourHand.classList.add('hand', 'hour-hand');
-        this.svgElement.appendChild(this.elements.hourHand);
-
-        this.elements.minuteHand = document.createElementNS(this.svgNS, 'line');
-        this.elements.minuteHand.setAttribute('x1', '50');
-        this.elements.minuteHand.setAttribute('y1', '50');
-        this.elements.minuteHand.setAttribute('x2', '50');
-        this.elements.minuteHand.setAttribute('y2', '15'); // Length towards 12 o'clock
-        this.elements.minuteHand.classList.add('hand', 'minute-hand');
-        this.svgElement.appendChild(this.elements.minuteHand);
-
-        this.elements.secondHand = document.createElementNS(this.svgNS, 'line');
-        this.elements.secondHand.setAttribute('x1', '50');
-        this.elements.secondHand.setAttribute('y1', '50');
-        this.elements.secondHand.setAttribute('x2', '50');
-        this.elements.secondHand.setAttribute('y2', '10'); // Length towards 12 o'clock
-        this.elements.secondHand.classList.add('hand', 'second-hand');
-        this.svgElement.appendChild(this.elements.secondHand);
+        // Group for the numerals and ticks
+        this.elements.dial = document.createElementNS(this.svgNS, 'g');
+        this.elements.dial.classList.add('analog-dial');
+        this.svgElement.appendChild(this.elements.dial);
+        this.dialLayout = null;
+
+        // Group for the complications
+        this.elements.complications = document.createElementNS(this.svgNS, 'g');
+        this.elements.complications.classList.add('analog-complications');
+        this.svgElement.appendChild(this.elements.complications);
+        this.complicationLayout = null;
+        this.complications = {};
+
+        // 24-hour hand, below the main hands
+        this.elements.gmtHand = this._createHand('gmt-hand');
+        this.elements.gmtHand.setAttribute('d', 'M50 54 L50 17 M47.5 17 L50 12 L52.5 17 Z');
+
+        // Create clock hands (paths, shaped by applyStyles)
+        this.elements.hourHand = this._createHand('hour-hand');
+        this.elements.minuteHand = this._createHand('minute-hand');
+        this.elements.secondHand = this._createHand('second-hand');
+        this.elements.secondHand.setAttribute('d', HAND_SHAPES.line(40));
 
         // Create center dot (circle)
         this.elements.centerDot = document.createElementNS(this.svgNS, 'circle');
@@ -122,14 +200,192 @@ export class AnalogFaceRenderer {
         return this.svgElement; // Return the root SVG element
     }
 
+    /**
+     * Creates a hand and appends it to the SVG.
+     * @param {string} className - 'hour-hand', 'minute-hand' or 'second-hand'.
+     * @returns {SVGPathElement}
+     */
+    _createHand(className) {
+        const hand = document.createElementNS(this.svgNS, 'path');
+        hand.classList.add('hand', className);
+        this.svgElement.appendChild(hand);
+        return hand;
+    }
+
+    /**
+     * Redraws the numerals and ticks.
+     * @param {string} numerals - 'none', 'arabic' or 'roman'.
+     * @param {string} hourTicks - 'lines', 'dots' or 'none'.
+     * @param {string} minuteTicks - 'lines', 'dots' or 'none'.
+     */
+    _drawDial(numerals, hourTicks, minuteTicks) {
+        const dial = this.elements.dial;
+        dial.replaceChildren();
+
+        for (let i = 0; i < 60; i++) {
+            const isHour = i % 5 === 0;
+            const style = isHour ? hourTicks : minuteTicks;
+            if (style === 'none') continue;
+            const isQuarter = i % 15 === 0; // Larger ticks at 12, 3, 6 and 9
+
+            let tick;
+            if (style === 'dots') {
+                tick = document.createElementNS(this.svgNS, 'circle');
+                tick.setAttribute('cx', '50');
+                tick.setAttribute('cy', '8');
+                tick.setAttribute('r', isHour ? (isQuarter ? '1.8' : '1.2') : '0.5');
+            } else {
+                tick = document.createElementNS(this.svgNS, 'line');
+                const length = isHour ? (isQuarter ? 8 : 4) : 2.5;
+                tick.setAttribute('x1', '50');
+                tick.setAttribute('y1', '5'); // Start near edge
+                tick.setAttribute('x2', '50');
+                tick.setAttribute('y2', (5 + length).toString());
+            }
+            tick.setAttribute('transform', `rotate(${i * 6} 50 50)`);
+            tick.classList.add('marker', isQuarter ? 'marker-quarter' : (isHour ? 'marker-hour' : 'marker-minute'));
+            if (style === 'dots') tick.classList.add('marker-dot');
+            dial.appendChild(tick);
+        }
+
+        if (numerals === 'arabic' || numerals === 'roman') {
+            const radius = hourTicks === 'lines' ? 30 : 35; // Clear of the long quarter ticks
+            for (let i = 0; i < 12; i++) {
+                const angle = (i * 30 * Math.PI) / 180;
+                const numeral = document.createElementNS(this.svgNS, 'text');
+                numeral.setAttribute('x', (50 + radius * Math.sin(angle)).toFixed(2));
+                numeral.setAttribute('y', (50 - radius * Math.cos(angle)).toFixed(2));
+                numeral.setAttribute('text-anchor', 'middle');
+                numeral.setAttribute('dominant-baseline', 'central');
+                numeral.classList.add('numeral', `numeral-${numerals}`);
+                numeral.textContent = numerals === 'roman' ? ROMAN_NUMERALS[i] : String(i || 12);
+                dial.appendChild(numeral);
+            }
+        }
+    }
+
+    /**
+     * Redraws the complications.
+     * @param {object} positions - Position ('top', 'right', 'bottom', 'left' or 'off') by
+     *        complication: date, day, subDial and moon.
+     * @param {string} subDialTimeZone - Time zone named in the sub-dial's tooltip ('' for local time).
+     */
+    _drawComplications(positions, subDialTimeZone) {
+        const group = this.elements.complications;
+        group.replaceChildren();
+        this.complications = {};
+
+        const create = (tag, attributes, className) => {
+            const element = document.createElementNS(this.svgNS, tag);
+            Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, String(value)));
+            element.classList.add(className);
+            return element;
+        };
+        const createWindow = (x, y, width) => {
+            const windowGroup = create('g', {}, 'complication');
+            windowGroup.appendChild(create('rect', { x: x - width / 2, y: y - 3.5, width, height: 7, rx: 0.8 }, 'complication-window'));
+            const text = create('text', { x, y, 'text-anchor': 'middle', 'dominant-baseline': 'central' }, 'complication-text');
+            windowGroup.appendChild(text);
+            group.appendChild(windowGroup);
+            return text;
+        };
+
+        const at = (complication) => COMPLICATION_POSITIONS[positions[complication]];
+        if (at('date')) {
+            this.complications.dateText = createWindow(...at('date'), 8);
+        }
+        if (at('day')) {
+            this.complications.dayText = createWindow(...at('day'), 13);
+        }
+        if (at('subDial')) {
+            const [x, y] = at('subDial');
+            const subDial = create('g', {}, 'complication');
+            const title = document.createElementNS(this.svgNS, 'title');
+            title.textContent = subDialTimeZone.replace(/_/g, ' ');
+            subDial.appendChild(title);
+            subDial.appendChild(create('circle', { cx: x, cy: y, r: 9 }, 'complication-subdial'));
+            for (let i = 0; i < 12; i++) {
+                const tick = create('line', { x1: x, y1: y - 9, x2: x, y2: y - (i % 3 === 0 ? 7.5 : 8.2) }, 'complication-tick');
+                tick.setAttribute('transform', `rotate(${i * 30} ${x} ${y})`);
+                subDial.appendChild(tick);
+            }
+            this.complications.subDialHour = create('line', { x1: x, y1: y, x2: x, y2: y - 4.5 }, 'complication-hand');
+            this.complications.subDialMinute = create('line', { x1: x, y1: y, x2: x, y2: y - 7 }, 'complication-hand');
+            this.complications.subDialCenter = [x, y];
+            subDial.append(this.complications.subDialHour, this.complications.subDialMinute);
+            group.appendChild(subDial);
+        }
+        if (at('moon')) {
+            const [x, y] = at('moon');
+            const moon = create('g', {}, 'complication');
+            moon.appendChild(create('circle', { cx: x, cy: y, r: 6 }, 'complication-moon-shadow'));
+            this.complications.moonLit = create('path', {}, 'complication-moon-lit');
+            this.complications.moonCenter = [x, y];
+            moon.appendChild(this.complications.moonLit);
+            group.appendChild(moon);
+        }
+    }
+
+    /**
+     * Updates the complications and the 24-hour hand.
+     * @param {object} timeData - See render().
+     * @param {object} options - The clock element's current options.
+     */
+    _renderComplications(timeData, options) {
+        const now = timeData.now || new Date();
+        const { dateText, dayText, subDialHour, subDialMinute, subDialCenter, moonLit, moonCenter } = this.complications;
+        const setText = (element, text) => {
+            if (element.textContent !== text) element.textContent = text;
+        };
+
+        if (dateText) setText(dateText, String(timeData.day));
+        if (dayText) setText(dayText, getWeekdayName(timeData.dayOfWeek));
+
+        // The sub-dial and the 24-hour hand show the second time zone
+        if (subDialHour || options.analogGmtHand) {
+            const second = getTimeParts(now, options.analogSubDialTimeZone);
+            if (subDialHour) {
+                const [x, y] = subDialCenter;
+                subDialHour.setAttribute('transform', `rotate(${(second.hours % 12) * 30 + second.minutes * 0.5} ${x} ${y})`);
+                subDialMinute.setAttribute('transform', `rotate(${second.minutes * 6} ${x} ${y})`);
+            }
+            if (options.analogGmtHand) {
+                this.elements.gmtHand.setAttribute('transform', `rotate(${second.hours * 15 + second.minutes * 0.25} 50 50)`);
+            }
+        }
+        this.elements.gmtHand.style.display = options.analogGmtHand ? '' : 'none';
+
+        if (moonLit) {
+            const d = moonLitPath(moonCenter[0], moonCenter[1], 6, getMoonPhase(now));
+            if (moonLit.getAttribute('d') !== d) moonLit.setAttribute('d', d);
+        }
+    }
+
+    /**
+     * Whether the second hand sweeps, in which case ClockElement renders this face on every
+     * animation frame instead of once a second. Sweeping falls back to ticking when
+     * animations are disabled.
+     * @param {object} options - The clock element's current options.
+     * @returns {boolean}
+     */
+    needsAnimationFrames(options) {
+        return Boolean(options.showSeconds && options.analogSmoothSweep) && animationsEnabled(this.configManager);
+    }
+
     /**
      * Updates the rotation of the clock hands.
-     * @param {object} timeData - Object containing current time parts.
+     * @param {object} timeData - Wall-clock time parts, already converted to the clock's time zone.
      * @param {number} timeData.hours - Current hours (0-23).
      * @param {number} timeData.minutes - Current minutes (0-59).
      * @param {number} timeData.seconds - Current seconds (0-59).
+     * @param {number} [timeData.milliseconds] - Current milliseconds (0-999), used by the sweeping second hand.
+     * @param {number} timeData.day - Day of the month, for the date window.
+     * @param {number} timeData.dayOfWeek - Day of the week (0 for Sunday).
+     * @param {Date} [timeData.now] - The instant the parts were computed from (for the second time zone and moon phase).
+     * @param {string} [timeData.timeZone] - IANA time zone the parts were computed in ('' for local time).
      * @param {object} options - The clock element's current options.
      * @param {boolean} options.showSeconds - Whether to display the second hand.
+     * @param {boolean} [options.analogSmoothSweep] - Whether the second hand sweeps instead of ticking.
      */
     render(timeData, options) {
         if (!this.svgElement || !this.elements.hourHand) {
@@ -137,7 +393,8 @@ export class AnalogFaceRenderer {
             return;
         }
 
-        const { hours, minutes, seconds } = timeData;
+        const { hours, minutes } = timeData;
+        const seconds = timeData.seconds + (this.needsAnimationFrames(options) ? (timeData.milliseconds || 0) / 1000 : 0);
         const { hoursDeg, minutesDeg, secondsDeg } = calculateHandDegrees(hours, minutes, seconds);
 
         // Apply rotation using SVG transform attribute
@@ -150,18 +407,52 @@ export class AnalogFaceRenderer {
         } else {
             this.elements.secondHand.style.display = 'none'; // Hide SVG element
         }
+
+        this._renderComplications(timeData, options);
     }
 
     /**
-     * Applies styles based on the provided options (primarily color).
-     * @param {object} options - The clock element's current options.
-     * @param {string} options.color - Color string.
+     * Applies the dial, tick, numeral and hand options. Colours are set as the CSS
+     * variables the analog styles in clock-element.css read.
+     * @param {object} options - The clock element's current options (see the face's option schema).
      */
     applyStyles(options) {
-        // Styling is now primarily handled by CSS targeting SVG elements/classes.
-        // This method might be used for dynamic color changes if needed later,
-        // but currently CSS variables are preferred.
         if (!this.svgElement) return;
+
+        const layout = [options.analogNumerals, options.analogHourTicks, options.analogMinuteTicks].join('|');
+        if (layout !== this.dialLayout) {
+            this._drawDial(options.analogNumerals, options.analogHourTicks, options.analogMinuteTicks);
+            this.dialLayout = layout;
+        }
+
+        const positions = {
+            date: options.analogDateWindow,
+            day: options.analogDayOfWeek,
+            subDial: options.analogSubDial,
+            moon: options.analogMoonPhase
+        };
+        const complicationLayout = JSON.stringify([positions, options.analogSubDialTimeZone]);
+        if (complicationLayout !== this.complicationLayout) {
+            this._drawComplications(positions, options.analogSubDialTimeZone || '');
+            this.complicationLayout = complicationLayout;
+        }
+
+        const shape = HAND_SHAPES[options.analogHandShape] ? options.analogHandShape : 'line';
+        if (this.svgElement.dataset.handShape !== shape) {
+            this.svgElement.dataset.handShape = shape;
+            this.elements.hourHand.setAttribute('d', HAND_SHAPES[shape](HAND_SIZES.hour.length, HAND_SIZES.hour.width));
+            this.elements.minuteHand.setAttribute('d', HAND_SHAPES[shape](HAND_SIZES.minute.length, HAND_SIZES.minute.width));
+        }
+
+        const style = this.svgElement.style;
+        style.setProperty('--analog-hour-hand-color', options.analogHourHandColor || '#ffffff');
+        style.setProperty('--analog-minute-hand-color', options.analogMinuteHandColor || '#ffffff');
+        style.setProperty('--analog-second-hand-color', options.analogSecondHandColor || '#ff0000');
+        style.setProperty('--analog-face-bg', options.analogDialColor || '#000000');
+        style.setProperty('--analog-face-opacity', String(options.analogDialOpacity ?? 0.1));
+        style.setProperty('--analog-border-color', options.analogBorderColor || '#ffffff');
+        style.setProperty('--analog-border-width', String(options.analogBorderWidth ?? 1));
+        style.fontFamily = options.fontFamily || 'Segoe UI'; // For the numerals
     }
 
     /**
@@ -181,6 +472,79 @@ export class AnalogFaceRenderer {
         }
         this.svgElement = null;
         this.elements = {};
+        this.dialLayout = null;
+        this.complicationLayout = null;
+        this.complications = {};
         console.log('AnalogFaceRenderer (SVG) destroyed.');
     }
 }
+
+const TICK_CHOICES = [
+    { value: 'lines', label: 'Lines' },
+    { value: 'dots', label: 'Dots' },
+    { value: 'none', label: 'None' }
+];
+
+const POSITION_CHOICES = [
+    { value: 'off', label: 'Off' },
+    { value: 'top', label: 'Top' },
+    { value: 'right', label: 'Right' },
+    { value: 'bottom', label: 'Bottom' },
+    { value: 'left', label: 'Left' }
+];
+
+/** The 'Analog' face (see ClockFaceRegistry); the defaults reproduce the original design */
+export default {
+    name: 'analog',
+    displayName: 'Analog',
+    renderer: AnalogFaceRenderer,
+    options: {
+        analogNumerals: {
+            type: 'select',
+            section: 'Markings',
+            label: 'Numerals:',
+            default: 'none',
+            choices: [
+                { value: 'none', label: 'None' },
+                { value: 'arabic', label: 'Arabic' },
+                { value: 'roman', label: 'Roman' }
+            ]
+        },
+        analogHourTicks: { type: 'select', section: 'Markings', label: 'Hour Ticks:', default: 'lines', choices: TICK_CHOICES },
+        analogMinuteTicks: { type: 'select', section: 'Markings', label: 'Minute Ticks:', default: 'none', choices: TICK_CHOICES },
+        analogHandShape: {
+            type: 'select',
+            section: 'Hands',
+            label: 'Hand Shape:',
+            default: 'line',
+            choices: [
+                { value: 'line', label: 'Line' },
+                { value: 'baton', label: 'Baton' },
+                { value: 'dauphine', label: 'Dauphine' }
+            ]
+        },
+        analogHourHandColor: { type: 'color', section: 'Hands', label: 'Hour Hand:', default: '#ffffff' },
+        analogMinuteHandColor: { type: 'color', section: 'Hands', label: 'Minute Hand:', default: '#ffffff' },
+        analogSecondHandColor: { type: 'color', section: 'Hands', label: 'Second Hand:', default: '#ff0000' },
+        analogSmoothSweep: { type: 'checkbox', section: 'Hands', label: 'Smooth Second Hand:', default: false },
+        analogDialColor: { type: 'color', section: 'Dial', label: 'Dial Color:', default: '#000000' },
+        analogDialOpacity: { type: 'range', section: 'Dial', label: 'Dial Opacity:', default: 0.1, min: 0, max: 1, step: 0.05 },
+        analogBorderColor: { type: 'color', section: 'Dial', label: 'Border Color:', default: '#ffffff' },
+        analogBorderWidth: { type: 'range', section: 'Dial', label: 'Border Width:', default: 1, min: 0, max: 4, step: 0.5 },
+        analogDateWindow: { type: 'select', section: 'Complications', label: 'Date Window:', default: 'off', choices: POSITION_CHOICES },
+        analogDayOfWeek: { type: 'select', section: 'Complications', label: 'Day of Week:', default: 'off', choices: POSITION_CHOICES },
+        analogMoonPhase: { type: 'select', section: 'Complications', label: 'Moon Phase:', default: 'off', choices: POSITION_CHOICES },
+        analogSubDial: { type: 'select', section: 'Complications', label: 'Time Zone Sub-dial:', default: 'off', choices: POSITION_CHOICES },
+        analogGmtHand: { type: 'checkbox', section: 'Complications', label: '24-Hour Hand:', default: false },
+        analogSubDialTimeZone: {
+            type: 'select',
+            section: 'Complications',
+            label: 'Second Time Zone:', // Shown by the sub-dial and the 24-hour hand
+            default: '',
+            choices: [
+                { value: '', label: 'Local Time' },
+                ...getAvailableTimeZones().map(zone => ({ value: zone, label: zone.replace(/_/g, ' ') }))
+            ]
+        }
+    }
+};
@@ -0,0 +1,250 @@
+import { animationsEnabled } from '../../../utils/motion.js';
+
+/**
+ * Pads a number with a leading zero if it's less than 10.
+ * @param {number} num - The number to pad.
+ * @returns {string} The padded string.
+ */
+const padZero = (num) => String(num).padStart(2, '0');
+
+/**
+ * Handles rendering the 'Flip' clock face: split-flap cards, one per digit, that flip over
+ * when their digit changes. Flips become instant swaps when the ConfigManager's
+ * performance.disableAnimations flag is set or the OS asks for reduced motion.
+ */
+export class FlipClockFaceRenderer {
+    /**
+     * Creates an instance of FlipClockFaceRenderer.
+     * @param {object} [dependencies={}]
+     * @param {ConfigManager} [dependencies.configManager] - Source of the performance flags.
+     */
+    constructor({ configManager = null } = {}) {
+        this.parentContainer = null;
+        this.rootElement = null; // The main container for this face
+        this.elements = {}; // Cards by group, separators and the AM/PM label
+        this.configManager = configManager;
+        console.log('FlipClockFaceRenderer constructor called.');
+    }
+
+    /**
+     * Sets the parent container where the renderer should attach its elements.
+     * @param {HTMLElement} container - The container element.
+     */
+    setContainer(container) {
+        if (!container) {
+            console.error('FlipClockFaceRenderer: Invalid container provided.');
+            return;
+        }
+        this.parentContainer = container;
+        console.log('FlipClockFaceRenderer container set.');
+    }
+
+    /**
+     * Creates the cards for hours, minutes and seconds and appends them to the parent container.
+     * @returns {HTMLElement|null} The root element, or null if container not set.
+     */
+    createElements() {
+        if (!this.parentContainer) {
+            console.error('FlipClockFaceRenderer: Cannot create elements without a parent container.');
+            return null;
+        }
+
+        this.rootElement = document.createElement('div');
+        this.rootElement.className = 'flip-clock';
+        this.rootElement.dir = 'ltr'; // Digits read left to right whatever the UI direction
+        this.rootElement.style.display = 'none'; // Initially hidden, managed by ClockElement
+
+        this.elements.hours = this._createCardGroup();
+        this.elements.minutesSeparator = this._createSeparator();
+        this.elements.minutes = this._createCardGroup();
+        this.elements.secondsSeparator = this._createSeparator();
+        this.elements.seconds = this._createCardGroup();
+        this.elements.meridiem = document.createElement('span');
+        this.elements.meridiem.className = 'flip-clock-meridiem';
+
+        this.rootElement.append(
+            this.elements.hours.group,
+            this.elements.minutesSeparator,
+            this.elements.minutes.group,
+            this.elements.secondsSeparator,
+            this.elements.seconds.group,
+            this.elements.meridiem
+        );
+        this.parentContainer.appendChild(this.rootElement);
+
+        console.log('FlipClockFaceRenderer elements created.');
+        return this.rootElement;
+    }
+
+    /**
+     * Creates a group of two digit cards.
+     * @returns {{group: HTMLElement, cards: HTMLElement[]}}
+     */
+    _createCardGroup() {
+        const group = document.createElement('div');
+        group.className = 'flip-clock-group';
+        const cards = [this._createCard(), this._createCard()];
+        group.append(...cards);
+        return { group, cards };
+    }
+
+    /**
+     * Creates one split-flap card. The static halves show the new digit on top and the old one
+     * below; during a flip the top flap (old digit) folds down and the bottom flap (new digit)
+     * follows, after which the lower half is updated.
+     * @returns {HTMLElement} The card.
+     */
+    _createCard() {
+        const card = document.createElement('div');
+        card.className = 'flip-card';
+        ['top', 'bottom', 'flap-top', 'flap-bottom'].forEach(part => {
+            const half = document.createElement('div');
+            half.className = `flip-card-half flip-card-${part}`;
+            const digit = document.createElement('span');
+            digit.className = 'flip-card-digit';
+            half.appendChild(digit);
+            card.appendChild(half);
+        });
+        card.dataset.value = '';
+
+        // Once the bottom flap has landed, the lower half shows the new digit
+        card.querySelector('.flip-card-flap-bottom').addEventListener('animationend', () => {
+            this._setCardPart(card, 'bottom', card.dataset.value);
+            card.classList.remove('flipping');
+        });
+        return card;
+    }
+
+    /**
+     * Creates a colon between card groups.
+     * @returns {HTMLElement}
+     */
+    _createSeparator() {
+        const separator = document.createElement('span');
+        separator.className = 'flip-clock-separator';
+        separator.textContent = ':';
+        return separator;
+    }
+
+    /**
+     * Sets the digit shown by one part of a card.
+     * @param {HTMLElement} card - The card.
+     * @param {string} part - 'top', 'bottom', 'flap-top' or 'flap-bottom'.
+     * @param {string} value - The digit ('' for a blank card).
+     */
+    _setCardPart(card, part, value) {
+        card.querySelector(`.flip-card-${part} .flip-card-digit`).textContent = value;
+    }
+
+    /**
+     * Shows a digit on a card, flipping to it if it changed and animations are on.
+     * @param {HTMLElement} card - The card.
+     * @param {string} value - The digit ('' for a blank card).
+     * @param {boolean} animate - Whether to animate the change.
+     */
+    _setCardValue(card, value, animate) {
+        const previous = card.dataset.value;
+        if (value === previous) return;
+        card.dataset.value = value;
+
+        if (!animate) {
+            ['top', 'bottom', 'flap-top', 'flap-bottom'].forEach(part => this._setCardPart(card, part, value));
+            card.classList.remove('flipping');
+            return;
+        }
+
+        this._setCardPart(card, 'top', value);
+        this._setCardPart(card, 'bottom', previous);
+        this._setCardPart(card, 'flap-top', previous);
+        this._setCardPart(card, 'flap-bottom', value);
+        // Restart the animation, even if the previous flip hasn't finished
+        card.classList.remove('flipping');
+        void card.offsetWidth; // Force a reflow so the animation starts over
+        card.classList.add('flipping');
+    }
+
+    /**
+     * Shows the time on the cards, flipping the ones that changed.
+     * @param {object} timeData - Wall-clock time parts, already converted to the clock's time zone.
+     * @param {number} timeData.hours - Current hours (0-23).
+     * @param {number} timeData.minutes - Current minutes (0-59).
+     * @param {number} timeData.seconds - Current seconds (0-59).
+     * @param {object} options - The clock element's current options.
+     * @param {string} options.timeFormat - '12' or '24'.
+     * @param {boolean} options.showSeconds - Whether to display seconds.
+     */
+    render(timeData, options) {
+        if (!this.rootElement) {
+            console.warn('FlipClockFaceRenderer cannot render - root element not created.');
+            return;
+        }
+
+        const { hours, minutes, seconds } = timeData;
+        const is12Hour = options.timeFormat === '12';
+        // Like the clean face, 12-hour times aren't zero-padded: the first card stays blank
+        const hourText = is12Hour ? String(hours % 12 || 12).padStart(2, ' ') : padZero(hours);
+        // Don't animate the first render (or a card whose face was hidden, e.g. seconds turned back on)
+        const animate = animationsEnabled(this.configManager) && this.rootElement.style.display !== 'none';
+
+        const show = (group, text, animateGroup) => {
+            group.cards.forEach((card, index) => this._setCardValue(card, text[index].trim(), animateGroup));
+        };
+        show(this.elements.hours, hourText, animate);
+        show(this.elements.minutes, padZero(minutes), animate);
+
+        const secondsDisplay = options.showSeconds ? '' : 'none';
+        const secondsWereHidden = this.elements.seconds.group.style.display === 'none';
+        this.elements.seconds.group.style.display = secondsDisplay;
+        this.elements.secondsSeparator.style.display = secondsDisplay;
+        if (options.showSeconds) show(this.elements.seconds, padZero(seconds), animate && !secondsWereHidden);
+
+        this.elements.meridiem.textContent = is12Hour ? (hours >= 12 ? 'PM' : 'AM') : '';
+        this.elements.meridiem.style.display = is12Hour ? '' : 'none';
+    }
+
+    /**
+     * Applies colours and font based on the provided options.
+     * @param {object} options - The clock element's current options.
+     * @param {string} [options.color] - Digit colour.
+     * @param {string} [options.flipCardColor] - Card colour.
+     * @param {string} [options.fontFamily] - Font family.
+     * @param {string} [options.fontWeight] - Font weight.
+     */
+    applyStyles(options) {
+        if (!this.rootElement) return;
+        this.rootElement.style.color = options.color || '#FFFFFF';
+        this.rootElement.style.setProperty('--flip-card-color', options.flipCardColor || '#1c1c1c');
+        this.rootElement.style.fontFamily = options.fontFamily || 'Segoe UI';
+        this.rootElement.style.fontWeight = options.fontWeight || 'normal';
+    }
+
+    /**
+     * Returns the root element for this face.
+     * @returns {HTMLElement|null} The root element or null if not created.
+     */
+    getRootElement() {
+        return this.rootElement;
+    }
+
+    /**
+     * Cleans up the elements created by this renderer.
+     */
+    destroy() {
+        if (this.rootElement && this.rootElement.parentNode) {
+            this.rootElement.parentNode.removeChild(this.rootElement);
+        }
+        this.rootElement = null;
+        this.elements = {};
+        console.log('FlipClockFaceRenderer destroyed.');
+    }
+}
+
+/** The 'Flip' face (see ClockFaceRegistry); digits use the clock's colour and font */
+export default {
+    name: 'flip',
+    displayName: 'Flip',
+    renderer: FlipClockFaceRenderer,
+    options: {
+        flipCardColor: { type: 'color', label: 'Card Color:', default: '#1c1c1c' }
+    }
+};
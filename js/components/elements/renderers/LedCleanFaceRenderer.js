@@ -60,10 +60,11 @@ export class LedCleanFaceRenderer {
 
     /**
      * Updates the text content of the time elements.
-     * @param {object} timeData - Object containing current time parts.
+     * @param {object} timeData - Wall-clock time parts, already converted to the clock's time zone.
      * @param {number} timeData.hours - Current hours (0-23).
      * @param {number} timeData.minutes - Current minutes (0-59).
      * @param {number} timeData.seconds - Current seconds (0-59).
+     * @param {string} [timeData.timeZone] - IANA time zone the parts were computed in ('' for local time).
      * @param {object} options - The clock element's current options.
      * @param {string} options.timeFormat - '12' or '24'.
      * @param {boolean} options.showSeconds - Whether to display seconds.
@@ -94,11 +95,25 @@ export class LedCleanFaceRenderer {
         }
         timeString += ampm; // Append AM/PM (with leading space if applicable)
 
+        this.renderText(timeString);
+    }
+
+    /**
+     * Renders arbitrary text (e.g. a timer's "3d 04:12:09") with the same per-character
+     * spans as the time, so the spacing and colon adjustments apply to it too.
+     * @param {string} text - The text to display.
+     */
+    renderText(text) {
+        if (!this.rootElement) {
+            console.warn('LedCleanFaceRenderer cannot render - root element not created.');
+            return;
+        }
+
         // Clear previous characters
         this.rootElement.innerHTML = '';
 
         // Wrap each character in a span
-        for (const char of timeString) {
+        for (const char of text) {
             const charSpan = document.createElement('span');
             charSpan.className = 'time-char';
             // Add specific classes for narrow characters
@@ -163,3 +178,10 @@ export class LedCleanFaceRenderer {
         console.log('LedCleanFaceRenderer destroyed.');
     }
 }
+
+/** The 'Clean' face (see ClockFaceRegistry); styled by the clock's font, colour and spacing options */
+export default {
+    name: 'clean',
+    displayName: 'Clean',
+    renderer: LedCleanFaceRenderer
+};
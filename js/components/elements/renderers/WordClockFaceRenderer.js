@@ -0,0 +1,393 @@
+import { getLanguage, LANGUAGES } from '../../../i18n/i18n.js';
+
+/**
+ * Letter grids for the 'Word' clock face, one per language.
+ * `rows` are the letters as laid out on the face; `words` maps a word key to its
+ * [row, column, text] on the grid; `phrase(hours, minutes)` returns the word keys that spell
+ * out a time (minutes are already rounded down to a multiple of five).
+ */
+export const WORD_CLOCK_GRIDS = {
+    en: {
+        rows: [
+            'ITLISASAMPM',
+            'ACQUARTERDC',
+            'TWENTYFIVEX',
+            'HALFSTENFTO',
+            'PASTERUNINE',
+            'ONESIXTHREE',
+            'FOURFIVETWO',
+            'EIGHTELEVEN',
+            'SEVENTWELVE',
+            'TENSEOCLOCK'
+        ],
+        words: {
+            it: [0, 0, 'IT'], is: [0, 3, 'IS'],
+            a: [1, 0, 'A'], quarter: [1, 2, 'QUARTER'],
+            twenty: [2, 0, 'TWENTY'], fiveMinutes: [2, 6, 'FIVE'],
+            half: [3, 0, 'HALF'], tenMinutes: [3, 5, 'TEN'], to: [3, 9, 'TO'],
+            past: [4, 0, 'PAST'], h9: [4, 7, 'NINE'],
+            h1: [5, 0, 'ONE'], h6: [5, 3, 'SIX'], h3: [5, 6, 'THREE'],
+            h4: [6, 0, 'FOUR'], h5: [6, 4, 'FIVE'], h2: [6, 8, 'TWO'],
+            h8: [7, 0, 'EIGHT'], h11: [7, 5, 'ELEVEN'],
+            h7: [8, 0, 'SEVEN'], h12: [8, 5, 'TWELVE'],
+            h10: [9, 0, 'TEN'], oclock: [9, 5, 'OCLOCK']
+        },
+        phrase(hours, minutes) {
+            const hour = (offset) => `h${(hours + offset) % 12 || 12}`;
+            const minuteWords = {
+                5: ['fiveMinutes'], 10: ['tenMinutes'], 15: ['a', 'quarter'], 20: ['twenty'], 25: ['twenty', 'fiveMinutes']
+            };
+            if (minutes === 0) return ['it', 'is', hour(0), 'oclock'];
+            if (minutes === 30) return ['it', 'is', 'half', 'past', hour(0)];
+            if (minutes < 30) return ['it', 'is', ...minuteWords[minutes], 'past', hour(0)];
+            return ['it', 'is', ...minuteWords[60 - minutes], 'to', hour(1)];
+        }
+    },
+    de: {
+        rows: [
+            'ESKISTAFÜNF',
+            'ZEHNZWANZIG',
+            'DREIVIERTEL',
+            'VORFUNKNACH',
+            'HALBAELFÜNF',
+            'EINSXAMZWEI',
+            'DREIPMJVIER',
+            'SECHSNLACHT',
+            'SIEBENZWÖLF',
+            'ZEHNEUNKUHR'
+        ],
+        words: {
+            es: [0, 0, 'ES'], ist: [0, 3, 'IST'], fiveMinutes: [0, 7, 'FÜNF'],
+            tenMinutes: [1, 0, 'ZEHN'], twenty: [1, 4, 'ZWANZIG'],
+            quarter: [2, 4, 'VIERTEL'],
+            vor: [3, 0, 'VOR'], nach: [3, 7, 'NACH'],
+            halb: [4, 0, 'HALB'], h11: [4, 5, 'ELF'], h5: [4, 7, 'FÜNF'],
+            h1: [5, 0, 'EINS'], ein: [5, 0, 'EIN'], h2: [5, 7, 'ZWEI'],
+            h3: [6, 0, 'DREI'], h4: [6, 7, 'VIER'],
+            h6: [7, 0, 'SECHS'], h8: [7, 7, 'ACHT'],
+            h7: [8, 0, 'SIEBEN'], h12: [8, 6, 'ZWÖLF'],
+            h10: [9, 0, 'ZEHN'], h9: [9, 3, 'NEUN'], uhr: [9, 8, 'UHR']
+        },
+        phrase(hours, minutes) {
+            const hour = (offset) => `h${(hours + offset) % 12 || 12}`;
+            // "Fünf vor halb drei" counts towards the half hour before the next hour
+            const phrases = {
+                5: ['fiveMinutes', 'nach', hour(0)],
+                10: ['tenMinutes', 'nach', hour(0)],
+                15: ['quarter', 'nach', hour(0)],
+                20: ['twenty', 'nach', hour(0)],
+                25: ['fiveMinutes', 'vor', 'halb', hour(1)],
+                30: ['halb', hour(1)],
+                35: ['fiveMinutes', 'nach', 'halb', hour(1)],
+                40: ['twenty', 'vor', hour(1)],
+                45: ['quarter', 'vor', hour(1)],
+                50: ['tenMinutes', 'vor', hour(1)],
+                55: ['fiveMinutes', 'vor', hour(1)]
+            };
+            if (minutes === 0) {
+                // "Ein Uhr", not "Eins Uhr"
+                return ['es', 'ist', hour(0) === 'h1' ? 'ein' : hour(0), 'uhr'];
+            }
+            return ['es', 'ist', ...phrases[minutes]];
+        }
+    },
+    fr: {
+        rows: [
+            'ILNESTODEUX',
+            'QUATRETROIS',
+            'NEUFUNESEPT',
+            'HUITSIXCINQ',
+            'MIDIXMINUIT',
+            'ONZERHEURES',
+            'MOINSOLEDIX',
+            'ETRQUARTPMD',
+            'VINGT-CINQU',
+            'ETSDEMIEPAM'
+        ],
+        words: {
+            il: [0, 0, 'IL'], est: [0, 3, 'EST'], h2: [0, 7, 'DEUX'],
+            h4: [1, 0, 'QUATRE'], h3: [1, 6, 'TROIS'],
+            h9: [2, 0, 'NEUF'], h1: [2, 4, 'UNE'], h7: [2, 7, 'SEPT'],
+            h8: [3, 0, 'HUIT'], h6: [3, 4, 'SIX'], h5: [3, 7, 'CINQ'],
+            midi: [4, 0, 'MIDI'], h10: [4, 2, 'DIX'], minuit: [4, 5, 'MINUIT'],
+            h11: [5, 0, 'ONZE'], heure: [5, 5, 'HEURE'], heures: [5, 5, 'HEURES'],
+            moins: [6, 0, 'MOINS'], le: [6, 6, 'LE'], tenMinutes: [6, 8, 'DIX'],
+            etQuart: [7, 0, 'ET'], quarter: [7, 3, 'QUART'],
+            twenty: [8, 0, 'VINGT'], dash: [8, 5, '-'], fiveMinutes: [8, 6, 'CINQ'],
+            etDemie: [9, 0, 'ET'], half: [9, 3, 'DEMIE']
+        },
+        phrase(hours, minutes) {
+            // Noon and midnight have their own words; other hours are followed by "heure(s)"
+            const hour = (offset) => {
+                const hour24 = (hours + offset) % 24;
+                if (hour24 === 0) return ['minuit'];
+                if (hour24 === 12) return ['midi'];
+                const hour12 = hour24 % 12;
+                return [`h${hour12}`, hour12 === 1 ? 'heure' : 'heures'];
+            };
+            const phrases = {
+                0: [...hour(0)],
+                5: [...hour(0), 'fiveMinutes'],
+                10: [...hour(0), 'tenMinutes'],
+                15: [...hour(0), 'etQuart', 'quarter'],
+                20: [...hour(0), 'twenty'],
+                25: [...hour(0), 'twenty', 'dash', 'fiveMinutes'],
+                30: [...hour(0), 'etDemie', 'half'],
+                35: [...hour(1), 'moins', 'twenty', 'dash', 'fiveMinutes'],
+                40: [...hour(1), 'moins', 'twenty'],
+                45: [...hour(1), 'moins', 'le', 'quarter'],
+                50: [...hour(1), 'moins', 'tenMinutes'],
+                55: [...hour(1), 'moins', 'fiveMinutes']
+            };
+            return ['il', 'est', ...phrases[minutes]];
+        }
+    },
+    es: {
+        rows: [
+            'ESONELASUNA',
+            'DOSITRESORE',
+            'CUATROCINCO',
+            'SEISASIETEN',
+            'OCHONUEVEYO',
+            'LADIEZSONCE',
+            'DOCELYMENOS',
+            'OVEINTEDIEZ',
+            'VEINTICINCO',
+            'MEDIACUARTO'
+        ],
+        words: {
+            es: [0, 0, 'ES'], son: [0, 1, 'SON'], la: [0, 5, 'LA'], las: [0, 5, 'LAS'], h1: [0, 8, 'UNA'],
+            h2: [1, 0, 'DOS'], h3: [1, 4, 'TRES'],
+            h4: [2, 0, 'CUATRO'], h5: [2, 6, 'CINCO'],
+            h6: [3, 0, 'SEIS'], h7: [3, 5, 'SIETE'],
+            h8: [4, 0, 'OCHO'], h9: [4, 4, 'NUEVE'],
+            h10: [5, 2, 'DIEZ'], h11: [5, 7, 'ONCE'],
+            h12: [6, 0, 'DOCE'], y: [6, 5, 'Y'], menos: [6, 6, 'MENOS'],
+            twenty: [7, 1, 'VEINTE'], tenMinutes: [7, 7, 'DIEZ'],
+            twentyFive: [8, 0, 'VEINTICINCO'], fiveMinutes: [8, 6, 'CINCO'],
+            half: [9, 0, 'MEDIA'], quarter: [9, 5, 'CUARTO']
+        },
+        phrase(hours, minutes) {
+            // "Es la una" but "son las dos"
+            const hour = (offset) => {
+                const key = `h${(hours + offset) % 12 || 12}`;
+                return key === 'h1' ? ['es', 'la', key] : ['son', 'las', key];
+            };
+            const minuteWords = {
+                5: ['fiveMinutes'], 10: ['tenMinutes'], 15: ['quarter'], 20: ['twenty'], 25: ['twentyFive'], 30: ['half']
+            };
+            if (minutes === 0) return hour(0);
+            if (minutes <= 30) return [...hour(0), 'y', ...minuteWords[minutes]];
+            return [...hour(1), 'menos', ...minuteWords[60 - minutes]];
+        }
+    }
+};
+
+/** Number of minute dots: one per minute past the last five-minute step */
+const MINUTE_DOT_COUNT = 4;
+
+/**
+ * Picks the grid language for the wordLanguage option.
+ * @param {string} [setting] - A WORD_CLOCK_GRIDS key, or '' to follow the UI language.
+ * @returns {string} A WORD_CLOCK_GRIDS key (English if the UI language has no grid).
+ */
+export function resolveWordClockLanguage(setting) {
+    if (setting && WORD_CLOCK_GRIDS[setting]) return setting;
+    const uiLanguage = getLanguage();
+    return WORD_CLOCK_GRIDS[uiLanguage] ? uiLanguage : 'en';
+}
+
+/**
+ * Returns the words that spell out a time, in 5-minute steps.
+ * @param {string} language - A WORD_CLOCK_GRIDS key.
+ * @param {number} hours - Hours (0-23).
+ * @param {number} minutes - Minutes (0-59).
+ * @returns {string[]} Keys into the grid's `words`, in reading order.
+ */
+export function getWordClockWords(language, hours, minutes) {
+    return WORD_CLOCK_GRIDS[language].phrase(hours, minutes - (minutes % 5));
+}
+
+/**
+ * Handles rendering the 'Word' clock face: a letter grid that lights up the words spelling
+ * out the time ("IT IS HALF PAST TEN"), with optional dots for the minutes in between.
+ */
+export class WordClockFaceRenderer {
+    /**
+     * Creates an instance of WordClockFaceRenderer.
+     */
+    constructor() {
+        this.parentContainer = null;
+        this.rootElement = null; // The main container for this face
+        this.elements = {}; // Grid, letter spans (by row) and minute dots
+        this.language = null; // Language the grid was built for
+        console.log('WordClockFaceRenderer constructor called.');
+    }
+
+    /**
+     * Sets the parent container where the renderer should attach its elements.
+     * @param {HTMLElement} container - The container element.
+     */
+    setContainer(container) {
+        if (!container) {
+            console.error('WordClockFaceRenderer: Invalid container provided.');
+            return;
+        }
+        this.parentContainer = container;
+        console.log('WordClockFaceRenderer container set.');
+    }
+
+    /**
+     * Creates the DOM elements for the Word face. The letters themselves are added by
+     * render(), once the language is known.
+     * @returns {HTMLElement|null} The root element, or null if container not set.
+     */
+    createElements() {
+        if (!this.parentContainer) {
+            console.error('WordClockFaceRenderer: Cannot create elements without a parent container.');
+            return null;
+        }
+
+        this.rootElement = document.createElement('div');
+        this.rootElement.className = 'word-clock';
+        this.rootElement.dir = 'ltr'; // The grids read left to right whatever the UI direction
+        this.rootElement.setAttribute('role', 'img');
+        this.rootElement.style.display = 'none'; // Initially hidden, managed by ClockElement
+
+        this.elements.grid = document.createElement('div');
+        this.elements.grid.className = 'word-clock-grid';
+        this.rootElement.appendChild(this.elements.grid);
+
+        this.elements.dots = document.createElement('div');
+        this.elements.dots.className = 'word-clock-dots';
+        this.elements.dotList = [];
+        for (let i = 0; i < MINUTE_DOT_COUNT; i++) {
+            const dot = document.createElement('span');
+            dot.className = 'word-clock-dot';
+            this.elements.dots.appendChild(dot);
+            this.elements.dotList.push(dot);
+        }
+        this.rootElement.appendChild(this.elements.dots);
+
+        this.parentContainer.appendChild(this.rootElement);
+        this.language = null;
+
+        console.log('WordClockFaceRenderer elements created.');
+        return this.rootElement;
+    }
+
+    /**
+     * (Re)builds the letter grid for a language.
+     * @param {string} language - A WORD_CLOCK_GRIDS key.
+     */
+    _buildGrid(language) {
+        const { rows } = WORD_CLOCK_GRIDS[language];
+        this.elements.grid.innerHTML = '';
+        this.elements.grid.style.setProperty('--word-clock-columns', rows[0].length);
+        this.elements.letters = rows.map(row => Array.from(row, letter => {
+            const span = document.createElement('span');
+            span.className = 'word-clock-letter';
+            span.textContent = letter;
+            this.elements.grid.appendChild(span);
+            return span;
+        }));
+        this.language = language;
+    }
+
+    /**
+     * Lights up the words for the current time.
+     * @param {object} timeData - Wall-clock time parts, already converted to the clock's time zone.
+     * @param {number} timeData.hours - Current hours (0-23).
+     * @param {number} timeData.minutes - Current minutes (0-59).
+     * @param {object} options - The clock element's current options.
+     * @param {string} [options.wordLanguage] - Grid language ('' follows the UI language).
+     * @param {boolean} [options.showMinuteDots] - Whether to show the minute dots.
+     */
+    render(timeData, options) {
+        if (!this.rootElement) {
+            console.warn('WordClockFaceRenderer cannot render - elements not created.');
+            return;
+        }
+
+        const language = resolveWordClockLanguage(options.wordLanguage);
+        if (language !== this.language) this._buildGrid(language);
+
+        const { words } = WORD_CLOCK_GRIDS[language];
+        const litWords = getWordClockWords(language, timeData.hours, timeData.minutes);
+
+        this.elements.letters.forEach(row => row.forEach(letter => letter.classList.remove('lit')));
+        litWords.forEach(key => {
+            const [row, column, text] = words[key];
+            for (let i = 0; i < text.length; i++) {
+                this.elements.letters[row][column + i].classList.add('lit');
+            }
+        });
+        // Screen readers get the sentence rather than the letter soup
+        this.rootElement.setAttribute('aria-label', litWords.map(key => words[key][2]).join(' ').replace(' - ', '-'));
+
+        const extraMinutes = timeData.minutes % 5;
+        this.elements.dots.style.display = options.showMinuteDots === false ? 'none' : '';
+        this.elements.dotList.forEach((dot, index) => dot.classList.toggle('lit', index < extraMinutes));
+    }
+
+    /**
+     * Applies colours and font based on the provided options.
+     * @param {object} options - The clock element's current options.
+     * @param {string} [options.wordLitColor] - Colour of lit letters and dots.
+     * @param {string} [options.wordUnlitColor] - Colour of unlit letters and dots.
+     * @param {string} [options.fontFamily] - Font family.
+     * @param {string} [options.fontWeight] - Font weight.
+     */
+    applyStyles(options) {
+        if (!this.rootElement) return;
+        this.rootElement.style.setProperty('--word-clock-lit-color', options.wordLitColor || '#ffffff');
+        this.rootElement.style.setProperty('--word-clock-unlit-color', options.wordUnlitColor || '#3c3c3c');
+        this.rootElement.style.fontFamily = options.fontFamily || 'Segoe UI';
+        this.rootElement.style.fontWeight = options.fontWeight || 'normal';
+    }
+
+    /**
+     * Returns the root element for this face.
+     * @returns {HTMLElement|null} The root element or null if not created.
+     */
+    getRootElement() {
+        return this.rootElement;
+    }
+
+    /**
+     * Cleans up the elements created by this renderer.
+     */
+    destroy() {
+        if (this.rootElement && this.rootElement.parentNode) {
+            this.rootElement.parentNode.removeChild(this.rootElement);
+        }
+        this.rootElement = null;
+        this.elements = {};
+        this.language = null;
+        console.log('WordClockFaceRenderer destroyed.');
+    }
+}
+
+/** The 'Word' face (see ClockFaceRegistry), with its own language, colour and minute dot options */
+export default {
+    name: 'word',
+    displayName: 'Word',
+    renderer: WordClockFaceRenderer,
+    options: {
+        wordLanguage: {
+            type: 'select',
+            label: 'Word Clock Language:',
+            default: '', // Follow the UI language
+            choices: [
+                { value: '', label: 'Automatic' },
+                ...Object.keys(WORD_CLOCK_GRIDS).map(code => ({
+                    value: code,
+                    label: LANGUAGES.find(language => language.code === code)?.name || code
+                }))
+            ]
+        },
+        wordLitColor: { type: 'color', label: 'Lit Letters:', default: '#ffffff' },
+        wordUnlitColor: { type: 'color', label: 'Unlit Letters:', default: '#3c3c3c' },
+        showMinuteDots: { type: 'checkbox', label: 'Minute Dots:', default: true }
+    }
+};
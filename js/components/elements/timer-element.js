@@ -0,0 +1,203 @@
+import { BaseUIElement } from '../base/base-ui-element.js';
+import { LedCleanFaceRenderer } from './renderers/LedCleanFaceRenderer.js';
+import { EventBus } from '../../core/event-bus.js';
+import { formatDuration } from '../../utils/time-helpers.js';
+import { playChime } from '../../utils/chime.js';
+
+/** How long the completion flash lasts (ms) */
+const FLASH_DURATION = 10000;
+
+/**
+ * Represents a countdown / count-up timer ("Launch in 3d 04:12:09", "Stand-up in 5:00").
+ * Counts down to `options.target` or up from it (a local 'YYYY-MM-DDTHH:MM[:SS]' date-time),
+ * using the clock's clean face typography (LedCleanFaceRenderer).
+ * When a countdown ends it publishes `timer:completed` and flashes and/or chimes.
+ */
+export class TimerElement extends BaseUIElement {
+  constructor(config) {
+    const defaultConfig = {
+      options: {
+        mode: 'countdown', // 'countdown' (to target) or 'countup' (from target)
+        target: '', // Local date-time string; empty means not set
+        label: '', // Shown before the time (e.g. 'Launch in')
+        completionAlert: 'both', // 'flash', 'chime', 'both' or 'none'
+        fontFamily: 'Segoe UI',
+        fontWeight: 'normal',
+        color: '#FFFFFF',
+        charSpacing: 0.65,
+        colonAdjustX: 0,
+        colonAdjustY: 0,
+        visible: true,
+      },
+      ...config
+    };
+    super(defaultConfig);
+
+    this.intervalId = null;
+    this.flashTimeoutId = null;
+    this.lastRemaining = null; // Remaining ms at the previous tick (countdowns), to detect the moment it ends
+    this.ledCleanRenderer = new LedCleanFaceRenderer();
+  }
+
+  async createElements() {
+    if (!this.elements.face) {
+      this.elements.face = document.createElement('div');
+      this.elements.face.className = 'timer-face';
+      this.container.appendChild(this.elements.face);
+
+      this.elements.label = document.createElement('span');
+      this.elements.label.className = 'timer-label';
+      this.elements.face.appendChild(this.elements.label);
+
+      this.ledCleanRenderer.setContainer(this.elements.face);
+      this.ledCleanRenderer.createElements();
+      this.ledCleanRenderer.getRootElement().style.display = '';
+    }
+
+    this.render();
+  }
+
+  /**
+   * Returns the target as a timestamp.
+   * @returns {number|null} Milliseconds since the epoch, or null if no valid target is set.
+   */
+  getTargetTime() {
+    if (!this.options.target) return null;
+    const time = new Date(this.options.target).getTime(); // No zone designator: parsed as local time
+    return Number.isNaN(time) ? null : time;
+  }
+
+  render() {
+    if (!this.elements.face || !this.ledCleanRenderer) return;
+
+    const targetTime = this.getTargetTime();
+    let text = '--:--';
+    if (targetTime !== null) {
+      const now = Date.now();
+      if (this.options.mode === 'countup') {
+        text = formatDuration(now - targetTime);
+      } else {
+        const remaining = targetTime - now;
+        text = formatDuration(remaining);
+        this._checkCompletion(remaining);
+      }
+    }
+
+    this.ledCleanRenderer.applyStyles(this.options);
+    this.ledCleanRenderer.renderText(text);
+
+    const labelText = (this.options.label || '').trim();
+    this.elements.label.textContent = labelText;
+    this.elements.label.style.display = labelText ? '' : 'none';
+    this.elements.label.style.color = this.options.color || '#FFFFFF';
+    this.elements.label.style.fontFamily = this.options.fontFamily || 'Segoe UI';
+    this.elements.label.style.fontWeight = this.options.fontWeight || 'normal';
+
+    super.render();
+  }
+
+  /**
+   * Fires the completion when a running countdown reaches zero. A countdown that had already
+   * ended when the page was loaded (or the target was set) doesn't fire.
+   * @param {number} remaining - Remaining milliseconds.
+   * @private
+   */
+  _checkCompletion(remaining) {
+    const previous = this.lastRemaining;
+    this.lastRemaining = remaining;
+    if (previous !== null && previous > 0 && remaining <= 0) {
+      this.complete();
+    }
+  }
+
+  /**
+   * Publishes `timer:completed` and plays the configured alert.
+   */
+  complete() {
+    console.log(`[TimerElement ${this.id}] Countdown finished.`);
+    EventBus.publish('timer:completed', { id: this.id, label: this.options.label || '', target: this.options.target });
+
+    const alert = this.options.completionAlert || 'both';
+    if (alert === 'flash' || alert === 'both') {
+      this.flash();
+    }
+    if (alert === 'chime' || alert === 'both') {
+      playChime(2);
+    }
+  }
+
+  /**
+   * Flashes the timer for a few seconds.
+   */
+  flash() {
+    if (!this.container) return;
+    this.container.classList.add('timer-flash');
+    clearTimeout(this.flashTimeoutId);
+    this.flashTimeoutId = setTimeout(() => {
+      this.container?.classList.remove('timer-flash');
+      this.flashTimeoutId = null;
+    }, FLASH_DURATION);
+  }
+
+  updateOptions(options) {
+    const oldOptions = { ...this.options };
+    super.updateOptions(options);
+
+    if (oldOptions.target !== this.options.target || oldOptions.mode !== this.options.mode) {
+      this.lastRemaining = null; // New countdown: don't treat the change itself as reaching zero
+      this.container?.classList.remove('timer-flash');
+    }
+    this.render();
+  }
+
+  addEventListeners() {
+    this.startTimer();
+
+    // Add click listener to show controls
+    this.boundHandleClick = this.handleClick.bind(this);
+    this.container.addEventListener('click', this.boundHandleClick);
+  }
+
+  removeEventListeners() {
+    this.stopTimer();
+
+    if (this.container && this.boundHandleClick) {
+      this.container.removeEventListener('click', this.boundHandleClick);
+    }
+  }
+
+  /**
+   * Starts updating the display every second.
+   */
+  startTimer() {
+    this.stopTimer();
+    this.render();
+    this.intervalId = setInterval(() => this.render(), 1000);
+  }
+
+  /**
+   * Stops updating the display.
+   */
+  stopTimer() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Handles clicks on the timer element to show the control panel.
+   */
+  handleClick() {
+    console.log(`[TimerElement ${this.id}] Clicked. Publishing controls:showRequest.`);
+    EventBus.publish('controls:showRequest');
+  }
+
+  destroy() {
+    this.stopTimer();
+    clearTimeout(this.flashTimeoutId);
+    this.ledCleanRenderer?.destroy();
+    this.ledCleanRenderer = null;
+    super.destroy();
+  }
+}
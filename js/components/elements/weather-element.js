@@ -0,0 +1,263 @@
+import { BaseUIElement } from '../base/base-ui-element.js';
+import { EventBus } from '../../core/event-bus.js';
+import { WeatherService } from '../../services/weather-service.js';
+
+/** Glyphs for the icon keys returned by /api/weather */
+const WEATHER_ICONS = {
+    'clear': '☀',
+    'clear-night': '☾',
+    'partly-cloudy': '⛅',
+    'cloudy': '☁',
+    'fog': '🌫',
+    'drizzle': '🌦',
+    'rain': '🌧',
+    'snow': '❄',
+    'thunderstorm': '⛈',
+    'unknown': '?'
+};
+
+/** Smallest allowed refresh interval in minutes (keeps upstream usage reasonable) */
+const MIN_REFRESH_MINUTES = 5;
+
+/**
+ * Represents a Weather display element showing current conditions and temperature.
+ * Data comes from the /api/weather proxy. When no location is configured the browser's
+ * geolocation is used instead.
+ */
+export class WeatherElement extends BaseUIElement {
+  constructor(config) {
+    const defaultConfig = {
+      options: {
+        location: '', // Place name; empty uses the browser's location
+        units: 'metric', // 'metric' (°C) or 'imperial' (°F)
+        refreshInterval: 15, // Minutes between updates
+        showCondition: true,
+        showLocation: false,
+        fontFamily: 'Segoe UI',
+        color: '#FFFFFF',
+        visible: true,
+        showSeparator: false,
+      },
+      ...config
+    };
+    super(defaultConfig);
+    this.weatherService = config.weatherService || new WeatherService();
+    this.weatherData = null;
+    this.statusMessage = 'Loading weather...';
+    this.refreshTimerId = null;
+    this.requestCounter = 0; // Used to ignore responses to outdated requests
+    this.coordinates = null; // Cached browser location
+  }
+
+  async createElements() {
+    if (!this.elements.face) {
+      this.elements.face = document.createElement('div');
+      this.elements.face.className = 'weather-face';
+      this.elements.face.style.position = 'relative';
+      this.elements.face.style.paddingBottom = '5px';
+      this.container.appendChild(this.elements.face);
+
+      const main = document.createElement('div');
+      main.className = 'weather-main';
+      this.elements.face.appendChild(main);
+
+      this.elements.icon = document.createElement('span');
+      this.elements.icon.className = 'weather-icon';
+      main.appendChild(this.elements.icon);
+
+      this.elements.temperature = document.createElement('span');
+      this.elements.temperature.className = 'weather-temperature';
+      main.appendChild(this.elements.temperature);
+
+      this.elements.condition = document.createElement('div');
+      this.elements.condition.className = 'weather-condition';
+      this.elements.face.appendChild(this.elements.condition);
+
+      this.elements.location = document.createElement('div');
+      this.elements.location.className = 'weather-location';
+      this.elements.face.appendChild(this.elements.location);
+
+      this.elements.separatorLine = document.createElement('div');
+      this.elements.separatorLine.className = 'weather-separator-line';
+      this.elements.face.appendChild(this.elements.separatorLine);
+    }
+
+    this.render();
+  }
+
+  render() {
+    if (!this.elements.face) return;
+
+    const current = this.weatherData?.current;
+    if (current) {
+      const iconKey = current.icon === 'clear' && !current.isDay ? 'clear-night' : current.icon;
+      this.elements.icon.textContent = WEATHER_ICONS[iconKey] || WEATHER_ICONS.unknown;
+      this.elements.icon.title = current.condition;
+      this.elements.temperature.textContent = `${Math.round(current.temperature)}${this.weatherData.units?.temperature || '°'}`;
+    } else {
+      this.elements.icon.textContent = '';
+      this.elements.temperature.textContent = '';
+    }
+
+    // Status messages (loading/errors) take the condition line so the element never renders empty
+    const conditionText = this.statusMessage || (current ? current.condition : '');
+    this.elements.condition.textContent = conditionText;
+    this.elements.condition.style.display = (this.statusMessage || this.options.showCondition) && conditionText ? '' : 'none';
+
+    const locationName = this.weatherData?.location?.name || this.options.location;
+    this.elements.location.textContent = locationName || '';
+    this.elements.location.style.display = this.options.showLocation && locationName ? '' : 'none';
+
+    this.applyStyles();
+    super.render();
+  }
+
+  applyStyles() {
+    if (!this.elements.face || !this.elements.separatorLine) return;
+
+    this.elements.face.style.color = this.options.color || '#FFFFFF';
+    this.elements.face.style.setProperty('--weather-font-family', this.options.fontFamily || 'Segoe UI');
+    this.elements.face.dataset.fontWeight = this.options.fontWeight || 'normal';
+
+    const showSeparator = this.options.showSeparator ?? false;
+    this.elements.separatorLine.style.display = showSeparator ? 'block' : 'none';
+  }
+
+  updateOptions(options) {
+    const oldOptions = { ...this.options };
+    super.updateOptions(options);
+
+    const queryChanged = oldOptions.location !== this.options.location ||
+        oldOptions.units !== this.options.units;
+    const intervalChanged = oldOptions.refreshInterval !== this.options.refreshInterval;
+
+    // Only refetch once the element is running (initial state arrives before addEventListeners)
+    if (this.refreshTimerId && (queryChanged || intervalChanged)) {
+      if (queryChanged) {
+        this.weatherData = null;
+        this.statusMessage = 'Loading weather...';
+      }
+      this.startRefreshTimer(queryChanged);
+    }
+
+    if (queryChanged ||
+        oldOptions.showCondition !== this.options.showCondition ||
+        oldOptions.showLocation !== this.options.showLocation ||
+        oldOptions.fontFamily !== this.options.fontFamily ||
+        oldOptions.fontWeight !== this.options.fontWeight ||
+        oldOptions.color !== this.options.color ||
+        oldOptions.visible !== this.options.visible ||
+        oldOptions.showSeparator !== this.options.showSeparator) {
+      this.render();
+    }
+  }
+
+  /**
+   * Fetches the latest weather for the configured location (or the browser's location)
+   * and re-renders. Errors are shown on the element instead of being thrown.
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    const requestId = ++this.requestCounter;
+    try {
+      const query = { units: this.options.units || 'metric' };
+      if (this.options.location) {
+        query.location = this.options.location;
+      } else {
+        Object.assign(query, await this._getCoordinates());
+      }
+
+      const data = await this.weatherService.getCurrentWeather(query);
+      if (requestId !== this.requestCounter || !this.container) return; // Outdated or destroyed
+
+      this.weatherData = data;
+      this.statusMessage = '';
+      console.log(`[WeatherElement ${this.id}] Weather updated: ${data.current.temperature}${data.units?.temperature || ''}, ${data.current.condition}`);
+    } catch (error) {
+      if (requestId !== this.requestCounter || !this.container) return;
+      console.warn(`[WeatherElement ${this.id}] Failed to update weather:`, error.message);
+      // Keep showing the last successful reading if there is one
+      if (!this.weatherData) {
+        this.statusMessage = error.message || 'Weather unavailable';
+      }
+    }
+    this.render();
+  }
+
+  /**
+   * Resolves the browser's coordinates once and caches them.
+   * @returns {Promise<{latitude: number, longitude: number}>}
+   * @private
+   */
+  _getCoordinates() {
+    if (this.coordinates) return Promise.resolve(this.coordinates);
+    if (!navigator.geolocation) {
+      return Promise.reject(new Error('Set a location in the controls'));
+    }
+    return new Promise((resolve, reject) => {
+      navigator.geolocation.getCurrentPosition(
+        (position) => {
+          this.coordinates = {
+            latitude: Number(position.coords.latitude.toFixed(2)),
+            longitude: Number(position.coords.longitude.toFixed(2))
+          };
+          resolve(this.coordinates);
+        },
+        () => reject(new Error('Set a location in the controls')),
+        { timeout: 10000, maximumAge: 30 * 60 * 1000 }
+      );
+    });
+  }
+
+  addEventListeners() {
+    // Start fetching weather periodically
+    this.startRefreshTimer();
+
+    // Add click listener to show controls
+    this.boundHandleClick = this.handleClick.bind(this);
+    this.container.addEventListener('click', this.boundHandleClick);
+  }
+
+  removeEventListeners() {
+    this.stopRefreshTimer();
+
+    if (this.container && this.boundHandleClick) {
+        this.container.removeEventListener('click', this.boundHandleClick);
+    }
+  }
+
+  /**
+   * Starts the refresh timer using the configured interval.
+   * @param {boolean} [fetchNow=true] - Whether to fetch immediately.
+   */
+  startRefreshTimer(fetchNow = true) {
+    this.stopRefreshTimer();
+    if (fetchNow) this.refresh();
+    const minutes = Math.max(MIN_REFRESH_MINUTES, Number(this.options.refreshInterval) || 15);
+    this.refreshTimerId = setInterval(() => this.refresh(), minutes * 60 * 1000);
+  }
+
+  /**
+   * Stops the refresh timer.
+   */
+  stopRefreshTimer() {
+    if (this.refreshTimerId) {
+      clearInterval(this.refreshTimerId);
+      this.refreshTimerId = null;
+    }
+  }
+
+  /**
+   * Handles clicks on the weather element to show the control panel.
+   */
+  handleClick() {
+      console.log(`[WeatherElement ${this.id}] Clicked. Publishing controls:showRequest.`);
+      EventBus.publish('controls:showRequest');
+  }
+
+  destroy() {
+    this.stopRefreshTimer();
+    this.requestCounter++; // Ignore any in-flight request
+    super.destroy();
+  }
+}
@@ -0,0 +1,134 @@
+import { EventBus } from '../core/event-bus.js';
+import { localize, t } from '../i18n/i18n.js';
+import { createQrCode, qrCodeToSvg } from '../utils/qr-code.js';
+
+/**
+ * @class ShareDialog
+ * @description Shows a settings link (see SettingsIOService.createShareUrl) as a QR code, so a
+ * phone can pick up the configuration from the screen, with the link itself to copy.
+ */
+export class ShareDialog {
+    /**
+     * Creates an instance of ShareDialog.
+     * @param {HTMLElement} [parent=document.body] - The element the dialog is added to.
+     */
+    constructor(parent = document.body) {
+        this.parent = parent;
+        this.elements = {};
+        this.boundHandleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    /**
+     * Creates the (hidden) dialog.
+     */
+    init() {
+        const overlay = document.createElement('div');
+        overlay.className = 'share-dialog-overlay';
+        overlay.hidden = true;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'share-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+
+        const title = document.createElement('h3');
+        title.className = 'share-dialog-title';
+        title.id = 'share-dialog-title';
+        localize(title, 'Share Settings');
+        dialog.setAttribute('aria-labelledby', title.id);
+
+        const qrCode = document.createElement('div');
+        qrCode.className = 'share-dialog-qr';
+
+        const hint = document.createElement('p');
+        hint.className = 'share-dialog-hint';
+
+        const linkGroup = document.createElement('div');
+        linkGroup.className = 'share-dialog-link-group';
+        const linkInput = document.createElement('input');
+        linkInput.type = 'text';
+        linkInput.readOnly = true;
+        linkInput.className = 'share-dialog-link';
+        const copyButton = document.createElement('button');
+        copyButton.className = 'share-dialog-button';
+        localize(copyButton, 'Copy Link');
+        linkGroup.append(linkInput, copyButton);
+
+        const closeButton = document.createElement('button');
+        closeButton.className = 'share-dialog-button share-dialog-close';
+        localize(closeButton, 'Close');
+
+        dialog.append(title, qrCode, hint, linkGroup, closeButton);
+        overlay.appendChild(dialog);
+        this.parent.appendChild(overlay);
+
+        copyButton.addEventListener('click', () => this.copyLink());
+        closeButton.addEventListener('click', () => this.hide());
+        linkInput.addEventListener('focus', () => linkInput.select());
+        // Clicks outside the dialog close it
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.hide();
+        });
+
+        this.elements = { overlay, qrCode, hint, linkInput, closeButton };
+    }
+
+    /**
+     * Shows a link and its QR code.
+     * @param {string} url - The link to share.
+     */
+    show(url) {
+        const { overlay, qrCode, hint, linkInput, closeButton } = this.elements;
+        linkInput.value = url;
+        try {
+            qrCode.innerHTML = qrCodeToSvg(createQrCode(url));
+            qrCode.hidden = false;
+            hint.textContent = t('Scan the code with a phone, or open the link on another screen, to use these settings there.');
+        } catch (error) {
+            // Longer than a QR code can hold
+            console.warn('[ShareDialog] Could not create a QR code:', error);
+            qrCode.innerHTML = '';
+            qrCode.hidden = true;
+            hint.textContent = t('These settings are too large for a QR code. Copy the link instead.');
+        }
+        overlay.hidden = false;
+        document.addEventListener('keydown', this.boundHandleKeyDown);
+        closeButton.focus();
+    }
+
+    /**
+     * Hides the dialog.
+     */
+    hide() {
+        if (!this.elements.overlay) return;
+        this.elements.overlay.hidden = true;
+        document.removeEventListener('keydown', this.boundHandleKeyDown);
+    }
+
+    /** Copies the link to the clipboard (selects it where the clipboard isn't available). */
+    async copyLink() {
+        const { linkInput } = this.elements;
+        try {
+            await navigator.clipboard.writeText(linkInput.value);
+            EventBus.publish('ui:showToast', { message: t('Link copied.') });
+        } catch (error) {
+            console.warn('[ShareDialog] Clipboard unavailable:', error);
+            linkInput.focus();
+            linkInput.select();
+        }
+    }
+
+    /** Closes the dialog on Escape. */
+    handleKeyDown(event) {
+        if (event.key === 'Escape') this.hide();
+    }
+
+    /**
+     * Removes the dialog.
+     */
+    destroy() {
+        this.hide();
+        this.elements.overlay?.remove();
+        this.elements = {};
+    }
+}
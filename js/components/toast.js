@@ -0,0 +1,58 @@
+import { EventBus } from '../core/event-bus.js';
+
+/** How long a toast stays on screen (ms) */
+const TOAST_DURATION = 3000;
+
+/**
+ * @class Toast
+ * @description Shows the messages published as 'ui:showToast' ({message}) in a toast at the
+ * bottom of the screen. A new message replaces the one on screen.
+ */
+export class Toast {
+    /**
+     * Creates an instance of Toast.
+     * @param {HTMLElement} [parent=document.body] - The element the toast is added to.
+     */
+    constructor(parent = document.body) {
+        this.parent = parent;
+        this.element = null;
+        this.hideTimeout = null;
+        this.subscription = null;
+    }
+
+    /**
+     * Creates the toast element and starts listening for messages.
+     */
+    init() {
+        this.element = document.createElement('div');
+        this.element.className = 'toast-notification';
+        this.element.setAttribute('role', 'status');
+        this.parent.appendChild(this.element);
+
+        this.subscription = EventBus.subscribe('ui:showToast', ({ message } = {}) => {
+            if (message) this.show(message);
+        });
+    }
+
+    /**
+     * Shows a message, hiding it again after TOAST_DURATION.
+     * @param {string} message - The (already translated) message.
+     */
+    show(message) {
+        this.element.textContent = message;
+        this.element.classList.add('visible');
+        clearTimeout(this.hideTimeout);
+        this.hideTimeout = setTimeout(() => this.element?.classList.remove('visible'), TOAST_DURATION);
+    }
+
+    /**
+     * Removes the toast and stops listening for messages.
+     */
+    destroy() {
+        clearTimeout(this.hideTimeout);
+        this.subscription?.unsubscribe();
+        this.subscription = null;
+        this.element?.remove();
+        this.element = null;
+    }
+}
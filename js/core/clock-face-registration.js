@@ -0,0 +1,44 @@
+import { ClockFaceRegistry } from './clock-face-registry.js';
+import { EventBus } from './event-bus.js';
+import cleanFace from '../components/elements/renderers/LedCleanFaceRenderer.js';
+import analogFace from '../components/elements/renderers/AnalogFaceRenderer.js';
+import wordFace from '../components/elements/renderers/WordClockFaceRenderer.js';
+import flipFace from '../components/elements/renderers/FlipClockFaceRenderer.js';
+import { t } from '../i18n/i18n.js';
+import * as logger from '../utils/logger.js';
+
+/**
+ * Registers the built-in clock faces with the ClockFaceRegistry.
+ */
+export function registerClockFaces() {
+    logger.debug('Registering clock faces...');
+    [cleanFace, analogFace, wordFace, flipFace].forEach(face => ClockFaceRegistry.registerFace(face));
+}
+
+/**
+ * Loads the face modules listed in settings.clockFaceUrls and follows changes to the list:
+ * added URLs are loaded, faces from removed URLs are unregistered.
+ * Failures are logged and reported with a toast; the other modules still load.
+ * @param {object} stateManager - The application's StateManager.
+ * @returns {Promise<{unsubscribe: Function}>} Subscription to the setting.
+ */
+export async function initClockFaceModules(stateManager) {
+    let loadedUrls = [];
+
+    const syncModules = async (setting) => {
+        const urls = Array.isArray(setting) ? setting : [];
+        loadedUrls.filter(url => !urls.includes(url)).forEach(url => ClockFaceRegistry.unregisterSource(url));
+        const newUrls = urls.filter(url => !loadedUrls.includes(url));
+        loadedUrls = [...urls];
+        for (const url of newUrls) {
+            const result = await ClockFaceRegistry.loadFromUrl(url);
+            if (!result.success) {
+                logger.warn(`[ClockFaces] Could not load ${url}: ${result.message}`);
+                EventBus.publish('ui:showToast', { message: t('Could not load clock face: {url}', { url }) });
+            }
+        }
+    };
+
+    await syncModules(stateManager.getState().settings?.clockFaceUrls);
+    return EventBus.subscribe('state:settings.clockFaceUrls:changed', (urls) => syncModules(urls));
+}
@@ -0,0 +1,177 @@
+import { EventBus } from './event-bus.js';
+import * as logger from '../utils/logger.js';
+
+/** Option types a face's option schema can use (each gets a matching control) */
+const OPTION_TYPES = ['select', 'color', 'checkbox', 'range', 'text'];
+
+/**
+ * Resolves a face module URL against the page.
+ * @param {string} url - Absolute or page-relative URL.
+ * @returns {string|null} The absolute URL, or null if it isn't a valid URL.
+ */
+function resolveModuleUrl(url) {
+  try {
+    return new URL(url, document.baseURI).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Manages the clock faces ClockElement can render.
+ *
+ * A face is a self-contained ES module whose default export describes it:
+ *
+ *     export default {
+ *         name: 'word',              // Unique id, stored in the clock's `face` option
+ *         displayName: 'Word',       // Shown in the face select (English; translated if the catalogs know it)
+ *         renderer: WordClockFaceRenderer,
+ *         options: {                 // Face-specific options, each with a generated control
+ *             wordLitColor: { type: 'color', label: 'Lit Letters:', default: '#ffffff' },
+ *             showMinuteDots: { type: 'checkbox', label: 'Minute Dots:', default: true }
+ *         },
+ *         stylesheet: './word-face.css' // Optional, resolved against the module URL
+ *     };
+ *
+ * `renderer` is a class with setContainer(container), createElements() (returns the root
+ * element), render(timeData, options), getRootElement(), destroy() and optionally
+ * applyStyles(options) and needsAnimationFrames(options) (true to be rendered on every
+ * animation frame rather than once a second); its constructor is passed `{ configManager }`.
+ * Option types are 'select' (with `choices: [{ value, label }]`), 'color', 'checkbox',
+ * 'range' (with min/max/step) and 'text'. An option's optional `section` groups its control
+ * under a heading.
+ *
+ * Built-in faces are registered at startup; others are loaded from a URL with loadFromUrl().
+ * Registering or removing a face publishes 'clockFaces:changed'.
+ */
+export const ClockFaceRegistry = {
+  faces: new Map(), // Stores { name, displayName, renderer, options, source }
+
+  /**
+   * Registers a face.
+   * @param {object} face - The face description (see above).
+   * @param {string} [source=''] - URL the face was loaded from ('' for built-in faces).
+   * @returns {boolean} True if the face was registered.
+   */
+  registerFace(face, source = '') {
+    if (!face || typeof face.name !== 'string' || !face.name) {
+      logger.error('ClockFaceRegistry: A face needs a name.', face);
+      return false;
+    }
+    if (typeof face.renderer !== 'function') {
+      logger.error(`ClockFaceRegistry: Renderer for face "${face.name}" must be a class.`);
+      return false;
+    }
+    const options = face.options || {};
+    const invalidOption = Object.entries(options).find(([, schema]) => !OPTION_TYPES.includes(schema?.type));
+    if (invalidOption) {
+      logger.error(`ClockFaceRegistry: Option "${invalidOption[0]}" of face "${face.name}" has an unknown type.`);
+      return false;
+    }
+    if (source && this.faces.get(face.name)?.source === '') {
+      logger.error(`ClockFaceRegistry: ${source} can't replace the built-in face "${face.name}".`);
+      return false;
+    }
+    if (this.faces.has(face.name)) {
+      logger.warn(`ClockFaceRegistry: Face "${face.name}" is already registered. Overwriting.`);
+    }
+
+    this.faces.set(face.name, {
+      name: face.name,
+      displayName: face.displayName || face.name,
+      renderer: face.renderer,
+      options,
+      source
+    });
+    logger.debug(`ClockFaceRegistry: Registered face "${face.name}".`);
+    EventBus.publish('clockFaces:changed', { faces: this.getFaceNames() });
+    return true;
+  },
+
+  /**
+   * Removes the faces loaded from a URL. Clocks showing one of them fall back to the default face.
+   * @param {string} url - The module URL, as passed to loadFromUrl().
+   */
+  unregisterSource(url) {
+    const source = resolveModuleUrl(url);
+    const names = this.getFaces().filter(face => source && face.source === source).map(face => face.name);
+    if (names.length === 0) return;
+    names.forEach(name => this.faces.delete(name));
+    document.querySelectorAll('link[data-clock-face]').forEach(link => {
+      if (names.includes(link.dataset.clockFace)) link.remove();
+    });
+    logger.debug(`ClockFaceRegistry: Removed faces ${names.join(', ')} (${source}).`);
+    EventBus.publish('clockFaces:changed', { faces: this.getFaceNames() });
+  },
+
+  /**
+   * Loads a face module from a URL and registers its default export.
+   * @param {string} url - Absolute or page-relative URL of the ES module.
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async loadFromUrl(url) {
+    const moduleUrl = resolveModuleUrl(url);
+    if (!moduleUrl) {
+      return { success: false, message: `Invalid URL: ${url}` };
+    }
+    if (this.getFaces().some(face => face.source === moduleUrl)) {
+      return { success: true, message: 'Already loaded.' };
+    }
+
+    try {
+      const module = await import(/* @vite-ignore */ moduleUrl);
+      const face = module.default;
+      if (!this.registerFace(face, moduleUrl)) {
+        return { success: false, message: `${moduleUrl} does not export a valid clock face.` };
+      }
+      if (face.stylesheet) {
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = new URL(face.stylesheet, moduleUrl).href;
+        link.dataset.clockFace = face.name;
+        document.head.appendChild(link);
+      }
+      logger.log(`ClockFaceRegistry: Loaded face "${face.name}" from ${moduleUrl}.`);
+      return { success: true, message: face.name };
+    } catch (error) {
+      logger.error(`ClockFaceRegistry: Failed to load face module ${moduleUrl}:`, error);
+      return { success: false, message: error.message };
+    }
+  },
+
+  /**
+   * Retrieves a registered face.
+   * @param {string} name - The face name.
+   * @returns {object|null} The face, or null if not registered.
+   */
+  getFace(name) {
+    return this.faces.get(name) || null;
+  },
+
+  /**
+   * Gets all registered faces, in registration order.
+   * @returns {object[]}
+   */
+  getFaces() {
+    return Array.from(this.faces.values());
+  },
+
+  /**
+   * Gets the names of all registered faces.
+   * @returns {string[]}
+   */
+  getFaceNames() {
+    return Array.from(this.faces.keys());
+  },
+
+  /**
+   * Builds the default values of a face's options from its schema.
+   * @param {string} name - The face name.
+   * @returns {object} Option defaults (empty if the face is not registered).
+   */
+  getOptionDefaults(name) {
+    const face = this.faces.get(name);
+    if (!face) return {};
+    return Object.fromEntries(Object.entries(face.options).map(([key, schema]) => [key, schema.default]));
+  }
+};
@@ -4,7 +4,7 @@ import * as logger from '../utils/logger.js'; // Import the logger
  * Manages the registration and instantiation of UI element types.
  */
 export const ComponentRegistry = {
-  elementTypes: new Map(), // Stores { constructor, controlPanelConfig, capabilities }
+  elementTypes: new Map(), // Stores { constructor, controlPanelConfig, capabilities, displayName, userPlaceable, createDefaultConfig, optionsSchema }
 
   /**
    * Registers a new element type.
@@ -13,6 +13,12 @@ export const ComponentRegistry = {
    * @param {object} config - Configuration object for the element type.
    * @param {object[]} config.controlPanelConfig - Configuration for generating control panel UI.
    * @param {string[]} [config.capabilities=[]] - List of capabilities the element possesses (e.g., ['draggable', 'resizable']).
+   * @param {string} [config.displayName] - Human-readable name shown in the control panel (defaults to the type).
+   * @param {boolean} [config.userPlaceable=false] - Whether users can add/remove instances of this type from the control panel.
+   * @param {Function} [config.createDefaultConfig] - Returns the initial state ({ position, scale, opacity, effectStyle, options })
+   *        for a newly added instance. Required for user-placeable types.
+   * @param {object|Function} [config.optionsSchema] - JSON Schema of the element's `options` (see state/state-schema.js),
+   *        or a function returning it for options that change at runtime.
    */
   registerElementType(type, constructor, config = {}) {
     if (this.elementTypes.has(type)) {
@@ -23,10 +29,18 @@ export const ComponentRegistry = {
       return;
     }
 
+    if (config.userPlaceable && typeof config.createDefaultConfig !== 'function') {
+      logger.warn(`ComponentRegistry: User-placeable type "${type}" has no createDefaultConfig. Instances will start with empty options.`);
+    }
+
     this.elementTypes.set(type, {
       constructor,
       controlPanelConfig: config.controlPanelConfig || [],
-      capabilities: config.capabilities || []
+      capabilities: config.capabilities || [],
+      displayName: config.displayName || type,
+      userPlaceable: config.userPlaceable === true,
+      createDefaultConfig: config.createDefaultConfig || (() => ({ options: {} })),
+      optionsSchema: config.optionsSchema || null
     });
     logger.debug(`ComponentRegistry: Registered element type "${type}".`); // Changed to debug
   },
@@ -88,6 +102,53 @@ export const ComponentRegistry = {
     return typeInfo ? typeInfo.capabilities : [];
   },
 
+  /**
+   * Retrieves the human-readable name for a given element type.
+   * @param {string} type - The element type.
+   * @returns {string} The display name, or the type itself if not registered.
+   */
+  getDisplayName(type) {
+    const typeInfo = this.elementTypes.get(type);
+    return typeInfo ? typeInfo.displayName : type;
+  },
+
+  /**
+   * Checks whether users can add/remove elements of the given type at runtime.
+   * @param {string} type - The element type.
+   * @returns {boolean} True if the type is user-placeable.
+   */
+  isUserPlaceable(type) {
+    return this.elementTypes.get(type)?.userPlaceable === true;
+  },
+
+  /**
+   * Gets the registered types users can add from the control panel.
+   * @returns {string[]} An array of user-placeable element type names.
+   */
+  getUserPlaceableTypes() {
+    return this.getRegisteredTypes().filter(type => this.isUserPlaceable(type));
+  },
+
+  /**
+   * Builds the initial state for a new instance of the given type (without id/type).
+   * @param {string} type - The element type.
+   * @returns {object|null} A fresh config object, or null if the type is not registered.
+   */
+  createDefaultConfig(type) {
+    const typeInfo = this.elementTypes.get(type);
+    return typeInfo ? typeInfo.createDefaultConfig() : null;
+  },
+
+  /**
+   * Retrieves the schema of a given element type's options.
+   * @param {string} type - The element type.
+   * @returns {object|null} The JSON Schema, or null if the type is not registered or has none.
+   */
+  getOptionsSchema(type) {
+    const optionsSchema = this.elementTypes.get(type)?.optionsSchema;
+    return typeof optionsSchema === 'function' ? optionsSchema() : optionsSchema || null;
+  },
+
   /**
    * Gets a list of all registered element type names.
    * @returns {string[]} An array of registered element type names.
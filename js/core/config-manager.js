@@ -27,7 +27,7 @@ export class ConfigManager {
       },
       features: {
         imageBackground: true,
-        videoBackground: false, // Example feature flag
+        videoBackground: true, // Video background type (VideoBackgroundHandler)
         customElements: true,
         favorites: true,
       },
@@ -1,15 +1,49 @@
 import { ComponentRegistry } from './component-registry.js';
 import { ClockElement } from '../components/elements/clock-element.js';
 import { DateElement } from '../components/elements/date-element.js';
+import { WeatherElement } from '../components/elements/weather-element.js';
+import { TimerElement } from '../components/elements/timer-element.js';
+import { AgendaElement } from '../components/elements/agenda-element.js';
 import { ControlsHintElement } from '../components/elements/controls-hint-element.js';
 import { BackgroundInfoElement } from '../components/elements/background-info-element.js';
 import { DonateElement } from '../components/elements/donate-element.js';
 import { FavoriteToggleElement } from '../components/elements/favorite-toggle-element.js';
+import { FavoritesPanelElement } from '../components/elements/favorites-panel-element.js';
 import { NextBackgroundButtonElement } from '../components/elements/next-background-button.js';
 import { FullscreenToggleElement } from '../components/elements/fullscreen-toggle-element.js';
 import { ControlPanelToggleElement } from '../components/elements/control-panel-toggle-element.js';
+import { getDefaultState } from '../state/default-state.js';
+import { COLOR_SCHEMA, getFaceOptionsSchema } from '../state/state-schema.js';
+import { toLocalDateTimeString } from '../utils/time-helpers.js';
 import * as logger from '../utils/logger.js'; // Import the logger
 
+/**
+ * Returns the default element entry for the given ID, without its id/type,
+ * to be used as the starting config for user-added instances.
+ * @param {string} defaultElementId - The ID of the element in the default state.
+ * @returns {object} The element config.
+ */
+function configFromDefaultElement(defaultElementId) {
+    const { id, type, ...config } = getDefaultState().elements[defaultElementId];
+    return config;
+}
+
+/** Schemas of the typography options the text elements share */
+const TEXT_OPTIONS_SCHEMA = {
+    fontFamily: { type: 'string' },
+    fontWeight: { type: 'string' },
+    color: COLOR_SCHEMA,
+    visible: { type: 'boolean' },
+    showSeparator: { type: 'boolean' }
+};
+
+/** Schemas of the LED digit spacing options (clock and timer) */
+const DIGIT_OPTIONS_SCHEMA = {
+    charSpacing: { type: 'number' },
+    colonAdjustX: { type: 'number' },
+    colonAdjustY: { type: 'number' }
+};
+
 /**
  * Registers all known UI element types with the ComponentRegistry.
  */
@@ -19,13 +53,178 @@ export function registerElementTypes() {
     // Register Clock element
     ComponentRegistry.registerElementType('clock', ClockElement, {
         controlPanelConfig: [], // Define later if needed
-        capabilities: ['draggable', 'resizable']
+        capabilities: ['draggable', 'resizable'],
+        displayName: 'Clock',
+        userPlaceable: true,
+        createDefaultConfig: () => {
+            const config = configFromDefaultElement('clock-default');
+            return { ...config, scale: 0.8, options: { ...config.options, showSeparator: false } };
+        },
+        // Includes the options of the registered faces, so it's built when needed
+        optionsSchema: () => ({
+            type: 'object',
+            properties: {
+                ...getFaceOptionsSchema(),
+                ...TEXT_OPTIONS_SCHEMA,
+                ...DIGIT_OPTIONS_SCHEMA,
+                face: { type: 'string' }, // Not checked against the registered faces: URL-loaded faces register later
+                timeFormat: { enum: ['12', '24'] },
+                showSeconds: { type: 'boolean' },
+                timeZone: { type: 'string' },
+                label: { type: 'string' }
+            }
+        })
     });
 
     // Register Date element
     ComponentRegistry.registerElementType('date', DateElement, {
         controlPanelConfig: [], // Define later if needed
-        capabilities: ['draggable', 'resizable']
+        capabilities: ['draggable', 'resizable'],
+        displayName: 'Date',
+        userPlaceable: true,
+        createDefaultConfig: () => configFromDefaultElement('date-default'),
+        optionsSchema: {
+            type: 'object',
+            properties: {
+                ...TEXT_OPTIONS_SCHEMA,
+                format: { type: 'string' },
+                locale: { type: 'string' },
+                calendar: { type: 'string' }
+            }
+        }
+    });
+
+    // Register Weather element (not part of the default layout; added from the control panel)
+    ComponentRegistry.registerElementType('weather', WeatherElement, {
+        controlPanelConfig: [],
+        capabilities: ['draggable', 'resizable'],
+        displayName: 'Weather',
+        userPlaceable: true,
+        createDefaultConfig: () => {
+            // Start out styled like the default date so it sits naturally next to the clock
+            const dateConfig = configFromDefaultElement('date-default');
+            return {
+                position: { x: 50, y: 70 },
+                scale: dateConfig.scale,
+                opacity: dateConfig.opacity,
+                effectStyle: dateConfig.effectStyle,
+                options: {
+                    location: '',
+                    units: 'metric',
+                    refreshInterval: 15,
+                    showCondition: true,
+                    showLocation: false,
+                    fontFamily: dateConfig.options.fontFamily,
+                    fontWeight: 'normal',
+                    color: dateConfig.options.color,
+                    visible: true,
+                    showSeparator: false
+                }
+            };
+        },
+        optionsSchema: {
+            type: 'object',
+            properties: {
+                ...TEXT_OPTIONS_SCHEMA,
+                location: { type: 'string' },
+                units: { enum: ['metric', 'imperial'] },
+                refreshInterval: { type: 'number', minimum: 1 },
+                showCondition: { type: 'boolean' },
+                showLocation: { type: 'boolean' }
+            }
+        }
+    });
+
+    // Register Timer element (countdown / count-up; users can add several)
+    ComponentRegistry.registerElementType('timer', TimerElement, {
+        controlPanelConfig: [],
+        capabilities: ['draggable', 'resizable'],
+        displayName: 'Timer',
+        userPlaceable: true,
+        createDefaultConfig: () => {
+            // Typography matches the default clock; starts as a 5 minute countdown
+            const clockConfig = configFromDefaultElement('clock-default');
+            const { fontFamily, fontWeight, color, charSpacing, colonAdjustX, colonAdjustY } = clockConfig.options;
+            return {
+                position: { x: 50, y: 70 },
+                scale: 0.6,
+                opacity: clockConfig.opacity,
+                effectStyle: clockConfig.effectStyle,
+                options: {
+                    mode: 'countdown',
+                    target: toLocalDateTimeString(new Date(Date.now() + 5 * 60 * 1000)),
+                    label: '',
+                    completionAlert: 'both',
+                    fontFamily,
+                    fontWeight,
+                    color,
+                    charSpacing,
+                    colonAdjustX,
+                    colonAdjustY,
+                    visible: true
+                }
+            };
+        },
+        optionsSchema: {
+            type: 'object',
+            properties: {
+                ...TEXT_OPTIONS_SCHEMA,
+                ...DIGIT_OPTIONS_SCHEMA,
+                mode: { enum: ['countdown', 'countup'] },
+                target: { type: 'string' },
+                label: { type: 'string' },
+                completionAlert: { enum: ['flash', 'chime', 'both', 'none'] }
+            }
+        }
+    });
+
+    // Register Agenda element (upcoming events from an .ics calendar; users can add several)
+    ComponentRegistry.registerElementType('agenda', AgendaElement, {
+        controlPanelConfig: [],
+        capabilities: ['draggable', 'resizable'],
+        displayName: 'Agenda',
+        userPlaceable: true,
+        createDefaultConfig: () => {
+            // Styled like the default date, listed beneath the clock
+            const dateConfig = configFromDefaultElement('date-default');
+            return {
+                position: { x: 50, y: 75 },
+                scale: dateConfig.scale,
+                opacity: dateConfig.opacity,
+                effectStyle: dateConfig.effectStyle,
+                options: {
+                    source: 'url',
+                    url: '',
+                    fileName: '',
+                    title: '',
+                    maxEvents: 5,
+                    daysAhead: 7,
+                    refreshInterval: 30,
+                    showLocation: true,
+                    timeFormat: '24',
+                    fontFamily: dateConfig.options.fontFamily,
+                    fontWeight: 'normal',
+                    color: dateConfig.options.color,
+                    visible: true
+                }
+            };
+        },
+        optionsSchema: {
+            type: 'object',
+            properties: {
+                ...TEXT_OPTIONS_SCHEMA,
+                source: { enum: ['url', 'file'] },
+                url: { type: 'string' },
+                fileName: { type: 'string' },
+                fileContent: { type: 'string' }, // Saved by earlier versions; moved to CalendarFileStorage
+                title: { type: 'string' },
+                maxEvents: { type: 'integer', minimum: 1 },
+                daysAhead: { type: 'number', minimum: 0 },
+                refreshInterval: { type: 'number', minimum: 1 },
+                showLocation: { type: 'boolean' },
+                timeFormat: { enum: ['12', '24'] }
+            }
+        }
     });
 
     // Register Controls Hint element
@@ -52,6 +251,15 @@ export function registerElementTypes() {
         capabilities: []
     });
 
+    // Register Favorites Panel element (on-screen favorites/collections browser, added from the control panel)
+    ComponentRegistry.registerElementType('favorites-panel', FavoritesPanelElement, {
+        controlPanelConfig: [],
+        capabilities: [],
+        displayName: 'Favorites Panel',
+        userPlaceable: true,
+        createDefaultConfig: () => ({ options: {} })
+    });
+
     // Register Next Background Button element
     ComponentRegistry.registerElementType('next-background-button', NextBackgroundButtonElement, {
         controlPanelConfig: [], // No controls needed
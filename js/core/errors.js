@@ -8,3 +8,25 @@ export class RateLimitError extends Error {
         this.resetTimestamp = resetTimestamp;
     }
 }
+
+/**
+ * Error thrown when saved or imported state can't be upgraded to the current schema version.
+ */
+export class StateMigrationError extends Error {
+    constructor(message, version = null) {
+        super(message);
+        this.name = 'StateMigrationError';
+        this.version = version; // Schema version of the migration that failed
+    }
+}
+
+/**
+ * Error thrown when saved or imported state doesn't match the state schema.
+ */
+export class SchemaValidationError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'SchemaValidationError';
+        this.errors = errors; // [{ path, expected, actual }] (see utils/schema.js)
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * Bounded undo/redo history, used by StateManager.
+ *
+ * A step stores only the paths a change set, with their values from before the change
+ * (serialized; undefined for paths the change added). Changes are coalesced into a single
+ * step when they
+ * - happen in the same task (e.g. the removals and the update of a settings import), or
+ * - change the same paths as the previous step within `coalesceDelay` of it (dragging,
+ *   wheel resizing, arrow-key nudges, moving a slider).
+ */
+export class StateHistory {
+  /**
+   * @param {object} [options={}]
+   * @param {number} [options.limit=50] - Maximum number of undo steps kept.
+   * @param {number} [options.coalesceDelay=1000] - Milliseconds within which repeated changes to the same paths merge.
+   * @param {Function} [options.now=Date.now] - Clock, for tests.
+   */
+  constructor({ limit = 50, coalesceDelay = 1000, now = Date.now } = {}) {
+    this.limit = limit;
+    this.coalesceDelay = coalesceDelay;
+    this.now = now;
+    this.undoStack = []; // Steps (Map of path -> serialized value), oldest first
+    this.redoStack = []; // Steps, most recently undone last
+    this.lastStep = null; // { paths: Set<string>, time } of the newest undo step, while changes can still join it
+    this.taskOpen = false; // Whether a change was recorded in the current task
+  }
+
+  /**
+   * Records a change.
+   * @param {object} previousState - The state before the change.
+   * @param {string[]} paths - The dot-notation paths the change sets.
+   */
+  record(previousState, paths) {
+    const time = this.now();
+    const step = this.lastStep;
+    const samePaths = step && paths.length === step.paths.size && paths.every(path => step.paths.has(path));
+
+    if (step && (this.taskOpen || (samePaths && time - step.time < this.coalesceDelay))) {
+      // The step keeps the value from before its first change; paths new to it are added
+      const values = this.undoStack[this.undoStack.length - 1];
+      paths.filter(path => !values.has(path))
+        .forEach(path => values.set(path, JSON.stringify(getPath(previousState, path))));
+      paths.forEach(path => step.paths.add(path));
+      step.time = time;
+    } else {
+      this.undoStack.push(captureValues(previousState, paths));
+      if (this.undoStack.length > this.limit) this.undoStack.shift();
+      this.lastStep = { paths: new Set(paths), time };
+    }
+    this.redoStack = [];
+
+    if (!this.taskOpen) {
+      this.taskOpen = true;
+      queueMicrotask(() => { this.taskOpen = false; });
+    }
+  }
+
+  /**
+   * Steps back.
+   * @param {object} currentState - The current state (its values of the step's paths are kept for redo).
+   * @returns {object|null} The state to restore, or null if there is nothing to undo.
+   */
+  undo(currentState) {
+    if (this.undoStack.length === 0) return null;
+    const step = this.undoStack.pop();
+    this.redoStack.push(captureValues(currentState, [...step.keys()]));
+    this.lastStep = null;
+    return applyValues(currentState, step);
+  }
+
+  /**
+   * Steps forward again after undo().
+   * @param {object} currentState - The current state (its values of the step's paths are kept for undo).
+   * @returns {object|null} The state to restore, or null if there is nothing to redo.
+   */
+  redo(currentState) {
+    if (this.redoStack.length === 0) return null;
+    const step = this.redoStack.pop();
+    this.undoStack.push(captureValues(currentState, [...step.keys()]));
+    this.lastStep = null;
+    return applyValues(currentState, step);
+  }
+
+  /** @returns {boolean} True if there is a step to undo. */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /** @returns {boolean} True if there is a step to redo. */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Forgets all steps.
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastStep = null;
+  }
+}
+
+/**
+ * @param {object} state
+ * @param {string} path - Dot-notation path.
+ * @returns {*} The value at the path, or undefined.
+ */
+function getPath(state, path) {
+  return path.split('.').reduce((value, key) => (value === null || typeof value !== 'object') ? undefined : value[key], state);
+}
+
+/**
+ * @param {object} state
+ * @param {string[]} paths
+ * @returns {Map<string, string|undefined>} The serialized values of the paths in the state.
+ */
+function captureValues(state, paths) {
+  return new Map(paths.map(path => [path, JSON.stringify(getPath(state, path))]));
+}
+
+/**
+ * Sets the step's values (deleting paths whose value is undefined) on a copy of the state.
+ * They are set newest first, so a path recorded before its parent in a coalesced step
+ * ends up with its oldest value.
+ * @param {object} state
+ * @param {Map<string, string|undefined>} step
+ * @returns {object} The new state.
+ */
+function applyValues(state, step) {
+  const newState = JSON.parse(JSON.stringify(state));
+  [...step].reverse().forEach(([path, serialized]) => {
+    const keys = path.split('.');
+    const key = keys.pop();
+    let parent = newState;
+    for (const part of keys) {
+      if (parent[part] === null || typeof parent[part] !== 'object') {
+        if (serialized === undefined) return;
+        parent[part] = {};
+      }
+      parent = parent[part];
+    }
+    if (serialized === undefined) {
+      delete parent[key];
+    } else {
+      parent[key] = JSON.parse(serialized);
+    }
+  });
+  return newState;
+}
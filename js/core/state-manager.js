@@ -1,5 +1,7 @@
 import { EventBus } from './event-bus.js';
 import * as logger from '../utils/logger.js'; // Import the logger
+import { formatSchemaError } from '../utils/schema.js';
+import { StateHistory } from './state-history.js';
 
 /**
  * Manages the application state, including persistence and notifications via EventBus.
@@ -9,26 +11,49 @@ export const StateManager = {
   defaultState: {}, // Store the initial default state
   // Removed internal subscribers object - rely solely on EventBus
   STORAGE_KEY: 'ambient-clock-v2-settings',
+  BACKUP_STORAGE_KEY: 'ambient-clock-v2-settings-backup', // Saved state as it was before its last upgrade
   saveTimeoutId: null,
+  validate: null, // Checks states against the schema in debug mode (see init)
+  history: new StateHistory(), // Undo/redo steps
+  // Transient or UI-only state that undo/redo leaves alone
+  HISTORY_IGNORED_PATHS: ['currentImageMetadata', 'settings.controls', 'settings.debugModeEnabled'],
   SAVE_DELAY: 1000, // Debounce delay for saving to localStorage
 
   /**
    * Initializes the StateManager with initial state or loads from localStorage.
    * @param {object} initialState - The default state structure and values.
+   * @param {object} [options={}]
+   * @param {Function} [options.migrate] - Upgrades the saved state to the current schema
+   *        (see state/migrations.js); may throw, in which case the defaults are used.
+   * @param {Function} [options.validate] - Checks a state against the schema (see state/state-schema.js);
+   *        used by update() in debug mode.
    * @returns {Promise<void>} A promise that resolves when initialization is complete.
    */
-  async init(initialState) {
+  async init(initialState, { migrate = null, validate = null } = {}) {
     // Store the provided initial state as the default
     this.defaultState = this.deepClone(initialState);
+    this.validate = validate;
+    this.history = new StateHistory();
     logger.debug('Stored default state:', this.defaultState); // Changed to debug
 
-    const loadedState = this.loadState(); // Load state from storage
+    let loadedState = this.loadState(); // Load state from storage
+    if (migrate && Object.keys(loadedState).length > 0) {
+      loadedState = this.migrateLoadedState(loadedState, migrate);
+    }
     const initialClone = this.deepClone(initialState); // Start with a fresh clone of defaults
 
     if (Object.keys(loadedState).length > 0) {
       logger.log('Loaded state from localStorage. Merging into defaults.'); // Keep as log
       // Merge loaded state into the initial state structure, prioritizing initial state
       this.state = this.deepMerge(initialClone, loadedState);
+
+      // Elements can be added/removed at runtime, so the saved set of elements is authoritative:
+      // default elements the user deleted must not come back (kept ones still pick up new default keys).
+      if (this.isObject(loadedState.elements)) {
+        this.state.elements = Object.fromEntries(
+          Object.keys(loadedState.elements).map(id => [id, this.state.elements[id]])
+        );
+      }
     } else {
       logger.log('No saved state found, using initial state.'); // Keep as log
       this.state = initialClone; // Use the default state directly
@@ -43,6 +68,40 @@ export const StateManager = {
     // Event publication moved to app.js after await StateManager.init()
   },
 
+  /**
+   * Upgrades the saved state. The state as saved is kept under BACKUP_STORAGE_KEY whenever
+   * it changes, so a faulty upgrade can't lose the user's layout.
+   * @param {object} loadedState - The state loaded from localStorage.
+   * @param {Function} migrate - The migration function.
+   * @returns {object} The migrated state, or an empty object (use the defaults) if migrating failed.
+   */
+  migrateLoadedState(loadedState, migrate) {
+    let migrated;
+    try {
+      migrated = migrate(loadedState);
+    } catch (error) {
+      logger.error('Failed to upgrade the saved state. Starting from the defaults; the saved state is kept as a backup.', error);
+      this.backupState(loadedState);
+      return {};
+    }
+    if (JSON.stringify(migrated) !== JSON.stringify(loadedState)) {
+      this.backupState(loadedState);
+    }
+    return migrated;
+  },
+
+  /**
+   * Stores a copy of a state object under BACKUP_STORAGE_KEY.
+   * @param {object} state - The state to back up.
+   */
+  backupState(state) {
+    try {
+      localStorage.setItem(this.BACKUP_STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+      logger.error('Failed to back up state to localStorage:', error);
+    }
+  },
+
   /**
    * Returns a deep clone of the current state.
    * @returns {object} A copy of the current state.
@@ -65,7 +124,12 @@ export const StateManager = {
       return;
     }
 
+    if (this.validate && newState.settings?.debugModeEnabled) {
+      this.reportSchemaErrors(newState, changes);
+    }
+
     const oldState = this.state; // Keep reference to old state for comparison
+    this.recordHistory(oldState, newState, changes);
     this.state = newState;
 
     // Notify subscribers about the specific changes
@@ -75,6 +139,144 @@ export const StateManager = {
     this.scheduleSave();
   },
 
+  /**
+   * Logs the schema errors an update introduces (debug mode only). The update is applied anyway.
+   * @param {object} newState - The state after the update.
+   * @param {object} changes - The changes passed to update().
+   */
+  reportSchemaErrors(newState, changes) {
+    const changedPaths = this.getChangedPaths(changes);
+    const errors = this.validate(newState).errors.filter(error => changedPaths.some(path =>
+      error.path === path || error.path.startsWith(`${path}.`) || error.path.startsWith(`${path}[`)));
+    if (errors.length > 0) {
+      logger.warn(`State update doesn't match the schema:\n${errors.map(formatSchemaError).join('\n')}`, changes);
+    }
+  },
+
+  /**
+   * Removes a property from the state and notifies subscribers.
+   * Needed because `update()` deep-merges and therefore can never delete keys.
+   * @param {string} path - The dot-notation path of the property to remove (e.g., 'elements.clock-2').
+   */
+  remove(path) {
+    if (!path) return;
+    const parts = path.split('.');
+    const key = parts.pop();
+    const newState = this.getState();
+    const parent = this.getNestedValue(newState, parts.join('.'));
+
+    if (!this.isObject(parent) || !(key in parent)) {
+      logger.debug(`State remove skipped, nothing at path "${path}".`);
+      return;
+    }
+
+    delete parent[key];
+    const oldState = this.state;
+
+    // Describe the removal as a changes object so the usual path events fire
+    // (e.g. 'state:elements:changed' and 'state:elements.clock-2:changed' with undefined)
+    const changes = [...parts, key].reduceRight((nested, part) => ({ [part]: nested }), null);
+    this.recordHistory(oldState, newState, changes);
+    this.state = newState;
+    this.notifySubscribers(changes, oldState);
+
+    this.scheduleSave();
+  },
+
+  /**
+   * Adds a change to the undo history, unless it only touches HISTORY_IGNORED_PATHS.
+   * @param {object} oldState - The state before the change.
+   * @param {object} newState - The state after the change.
+   * @param {object} changes - The changes object (as passed to update()).
+   */
+  recordHistory(oldState, newState, changes) {
+    const paths = this.getChangedPaths(changes);
+    const changedPaths = paths.filter(path =>
+      !paths.some(other => other.startsWith(`${path}.`)) && // Innermost paths only
+      !this.HISTORY_IGNORED_PATHS.some(ignored => path === ignored || path.startsWith(`${ignored}.`)) &&
+      JSON.stringify(this.getNestedValue(oldState, path)) !== JSON.stringify(this.getNestedValue(newState, path)));
+    if (changedPaths.length === 0) return;
+
+    // A subtree the change adds or removes (e.g. an element) is recorded as a whole,
+    // so undo/redo removes it entirely instead of leaving its emptied objects behind
+    const recordedPaths = new Set(changedPaths.map(path => {
+      const parts = path.split('.');
+      const depth = parts.findIndex((_, i) => {
+        const prefix = parts.slice(0, i + 1).join('.');
+        return this.getNestedValue(oldState, prefix) === undefined || this.getNestedValue(newState, prefix) === undefined;
+      });
+      return depth === -1 ? path : parts.slice(0, depth + 1).join('.');
+    }));
+    this.history.record(oldState, [...recordedPaths]);
+    this.publishHistoryState();
+  },
+
+  /**
+   * Restores the state before the last change (or group of rapid changes).
+   * @returns {boolean} True if there was something to undo.
+   */
+  undo() {
+    const previousState = this.history.undo(this.state);
+    if (!previousState) return false;
+    this.restoreHistoryState(previousState);
+    return true;
+  },
+
+  /**
+   * Re-applies the last change reverted by undo().
+   * @returns {boolean} True if there was something to redo.
+   */
+  redo() {
+    const nextState = this.history.redo(this.state);
+    if (!nextState) return false;
+    this.restoreHistoryState(nextState);
+    return true;
+  },
+
+  /** @returns {boolean} True if undo() has a step to revert. */
+  canUndo() {
+    return this.history.canUndo();
+  },
+
+  /** @returns {boolean} True if redo() has a step to re-apply. */
+  canRedo() {
+    return this.history.canRedo();
+  },
+
+  /**
+   * Replaces the state with one from the history, keeping the current values of
+   * HISTORY_IGNORED_PATHS, and notifies subscribers.
+   * @param {object} restoredState - The state to restore.
+   */
+  restoreHistoryState(restoredState) {
+    this.HISTORY_IGNORED_PATHS.forEach(path => {
+      const parts = path.split('.');
+      const key = parts.pop();
+      const parent = this.getNestedValue(restoredState, parts.join('.'));
+      if (!this.isObject(parent)) return;
+      const currentValue = this.getNestedValue(this.state, path);
+      if (currentValue === undefined) {
+        delete parent[key];
+      } else {
+        parent[key] = this.deepClone(currentValue);
+      }
+    });
+
+    const oldState = this.state;
+    this.state = restoredState;
+    // Merged so keys only the old state has (e.g. elements added since) publish their events too
+    this.notifySubscribers(this.deepMerge(oldState, restoredState), oldState);
+    this.publishHistoryState();
+    this.scheduleSave();
+  },
+
+  /**
+   * Publishes 'history:changed' so undo/redo controls can update.
+   */
+  publishHistoryState() {
+    EventBus.publish('history:changed', { canUndo: this.canUndo(), canRedo: this.canRedo() });
+  },
+
   /**
    * Subscribes a callback to changes in a specific part of the state.
    * @param {string} path - The dot-notation path to the state property (e.g., 'elements.clock-1.options.face').
@@ -176,7 +378,8 @@ export const StateManager = {
   resetState() {
     logger.log('Resetting state to default...'); // Keep as log
     const oldState = this.state;
-    // Replace current state with a clone of the default state
+    // Replace current state with a clone of the default state (undoable like any other change)
+    this.recordHistory(oldState, this.defaultState, this.deepMerge(oldState, this.defaultState));
     this.state = this.deepClone(this.defaultState);
 
     // Notify subscribers about the changes (treat the entire state as changed)
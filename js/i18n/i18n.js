@@ -0,0 +1,160 @@
+/**
+ * Translation of the UI (control panel, hints, toasts and dialogs).
+ *
+ * Messages are looked up by their English text, gettext-style: `t('Show Seconds:')`. English
+ * needs no catalog; each other language has a catalog in ./locales mapping English text to the
+ * translation. Missing translations fall back to English. `{name}` placeholders are filled
+ * from the params object: `t('Collection "{name}" created.', { name })`.
+ *
+ * Elements labelled with `localize()` remember their message (data-i18n attributes), so
+ * `setLanguage()` can re-translate the page without a reload. UI that builds its text
+ * dynamically listens for the 'i18n:languageChanged' event instead.
+ */
+import { EventBus } from '../core/event-bus.js';
+import * as logger from '../utils/logger.js';
+import de from './locales/de.js';
+import es from './locales/es.js';
+import fr from './locales/fr.js';
+import ar from './locales/ar.js';
+
+/** Languages the UI is available in: code, native name and text direction */
+export const LANGUAGES = [
+    { code: 'en', name: 'English', dir: 'ltr' },
+    { code: 'de', name: 'Deutsch', dir: 'ltr' },
+    { code: 'es', name: 'Español', dir: 'ltr' },
+    { code: 'fr', name: 'Français', dir: 'ltr' },
+    { code: 'ar', name: 'العربية', dir: 'rtl' }
+];
+
+const CATALOGS = { de, es, fr, ar };
+
+// Attributes (besides text content) that localizeAttribute() can translate
+const LOCALIZABLE_ATTRIBUTES = ['title', 'placeholder', 'aria-label', 'alt'];
+
+let currentLanguage = 'en';
+
+/**
+ * Picks the UI language for a language setting.
+ * @param {string} [setting] - Language code from settings.language; '' (or unknown) means automatic.
+ * @param {readonly string[]} [browserLanguages] - The browser's preferred languages.
+ * @returns {string} A code from LANGUAGES.
+ */
+export function resolveLanguage(setting, browserLanguages = globalThis.navigator?.languages || []) {
+    const isSupported = (code) => LANGUAGES.some(language => language.code === code);
+    if (setting && isSupported(setting)) return setting;
+    const match = browserLanguages.map(tag => tag.split('-')[0].toLowerCase()).find(isSupported);
+    return match || 'en';
+}
+
+/**
+ * Returns the current UI language code.
+ * @returns {string}
+ */
+export function getLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * Returns the text direction of a language.
+ * @param {string} [language] - Language code (defaults to the current language).
+ * @returns {'ltr'|'rtl'}
+ */
+export function getTextDirection(language = currentLanguage) {
+    return LANGUAGES.find(entry => entry.code === language)?.dir || 'ltr';
+}
+
+/**
+ * Translates a message into the current language.
+ * @param {string} message - The English message.
+ * @param {object} [params] - Values for `{name}` placeholders.
+ * @returns {string} The translated message (English if there is no translation).
+ */
+export function t(message, params) {
+    const translated = CATALOGS[currentLanguage]?.[message] ?? message;
+    if (!params) return translated;
+    return translated.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * Sets an element's text to a translated message and remembers the message, so the text
+ * follows language changes.
+ * @param {HTMLElement} element - The element.
+ * @param {string} message - The English message.
+ * @param {object} [params] - Values for `{name}` placeholders.
+ * @returns {HTMLElement} The element.
+ */
+export function localize(element, message, params) {
+    element.dataset.i18n = message;
+    if (params) {
+        element.dataset.i18nParams = JSON.stringify(params);
+    } else {
+        delete element.dataset.i18nParams;
+    }
+    element.textContent = t(message, params);
+    return element;
+}
+
+/**
+ * Sets an attribute (title, placeholder, aria-label or alt) to a translated message and
+ * remembers the message, so the attribute follows language changes.
+ * @param {HTMLElement} element - The element.
+ * @param {string} attribute - One of LOCALIZABLE_ATTRIBUTES.
+ * @param {string} message - The English message.
+ * @returns {HTMLElement} The element.
+ */
+export function localizeAttribute(element, attribute, message) {
+    element.setAttribute(`data-i18n-${attribute}`, message);
+    element.setAttribute(attribute, t(message));
+    return element;
+}
+
+/**
+ * Re-translates every localized element (and attribute) within a root element.
+ * @param {ParentNode} root - The root to translate, e.g. document.body.
+ */
+export function translateTree(root) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        let params;
+        try {
+            params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : undefined;
+        } catch (e) {
+            params = undefined;
+        }
+        element.textContent = t(element.dataset.i18n, params);
+    });
+    LOCALIZABLE_ATTRIBUTES.forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
+
+/**
+ * Switches the UI language: re-translates localized elements and publishes 'i18n:languageChanged'.
+ * @param {string} [setting] - Language code, or '' for the browser's language.
+ */
+export function setLanguage(setting) {
+    const language = resolveLanguage(setting);
+    const changed = language !== currentLanguage;
+    currentLanguage = language;
+
+    if (typeof document !== 'undefined') {
+        document.documentElement.lang = language;
+        if (changed) translateTree(document.body);
+    }
+    if (changed) {
+        logger.log(`[i18n] Language set to "${language}".`);
+        EventBus.publish('i18n:languageChanged', { language, dir: getTextDirection(language) });
+    }
+}
+
+/**
+ * Applies the language setting from state and follows changes to it.
+ * Call this before building UI so it is created in the right language.
+ * @param {object} stateManager - The application's StateManager.
+ * @returns {{unsubscribe: Function}} Subscription to the language setting.
+ */
+export function initI18n(stateManager) {
+    setLanguage(stateManager.getState().settings?.language);
+    return EventBus.subscribe('state:settings.language:changed', (language) => setLanguage(language));
+}
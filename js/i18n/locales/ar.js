@@ -0,0 +1,433 @@
+/**
+ * Arabic translations of the UI, keyed by the English text (see ../i18n.js).
+ */
+export default {
+    // Control panel
+    'Add Element': 'إضافة عنصر',
+    'Add': 'إضافة',
+    'Background': 'الخلفية',
+    'Favorites': 'المفضلة',
+    'Schedule': 'الجدول',
+    'Alarms': 'المنبهات',
+    'Settings': 'الإعدادات',
+    'Language:': 'اللغة:',
+    'Automatic': 'تلقائي',
+    'Clock Faces:': 'واجهات الساعة:',
+    'URL of a clock face module. Only add faces from sources you trust.': 'رابط وحدة واجهة ساعة. أضف واجهات من مصادر تثق بها فقط.',
+    'Add Face': 'إضافة واجهة',
+    'Only the built-in faces.': 'الواجهات المدمجة فقط.',
+    '(not loaded)': '(غير محمّلة)',
+    'Remove this face': 'إزالة هذه الواجهة',
+    'Could not load clock face: {url}': 'تعذّر تحميل واجهة الساعة: {url}',
+    'Download Settings': 'تنزيل الإعدادات',
+    'Upload Settings': 'رفع الإعدادات',
+    'Reset All Settings': 'إعادة ضبط كل الإعدادات',
+    'Are you sure you want to reset all settings to their defaults? You can undo this with Undo.': 'هل تريد بالتأكيد إعادة كل الإعدادات إلى قيمها الافتراضية؟ يمكنك التراجع عن ذلك باستخدام زر التراجع.',
+    'Undo': 'تراجع',
+    'Redo': 'إعادة',
+    'Undo (Ctrl+Z)': 'تراجع (Ctrl+Z)',
+    'Redo (Ctrl+Shift+Z)': 'إعادة (Ctrl+Shift+Z)',
+    'Settings imported. Some changes might require a manual page refresh to take full effect.': 'تم استيراد الإعدادات. قد تتطلب بعض التغييرات إعادة تحميل الصفحة لتطبيقها بالكامل.',
+    'Error importing settings: {message}': 'خطأ في استيراد الإعدادات: {message}',
+    'The settings file has {count} invalid values, which will be skipped:\n{errors}\n\nImport the rest?': 'يحتوي ملف الإعدادات على {count} من القيم غير الصالحة، وسيتم تخطيها:\n{errors}\n\nهل تريد استيراد الباقي؟',
+    'The settings file loads clock face code from:\n{urls}\n\nThis code runs in the app with access to your settings and photos. Load it only if you trust these sites. Load it? (Cancel imports the rest without it.)': 'يحمّل ملف الإعدادات شيفرة واجهات ساعة من:\n{urls}\n\nتعمل هذه الشيفرة داخل التطبيق ويمكنها الوصول إلى إعداداتك وصورك. لا تحمّلها إلا إذا كنت تثق بهذه المواقع. هل تريد تحميلها؟ (الإلغاء يستورد الباقي بدونها.)',
+    'Error reading file: {message}': 'خطأ في قراءة الملف: {message}',
+    'Tap background to toggle controls': 'انقر على الخلفية لإظهار عناصر التحكم أو إخفائها',
+    'Select Font': 'اختيار الخط',
+
+    // Element sections
+    'Clock': 'الساعة',
+    'Date': 'التاريخ',
+    'Weather': 'الطقس',
+    'Timer': 'المؤقت',
+    'Agenda': 'جدول الأعمال',
+    'Favorites Panel': 'لوحة المفضلة',
+    'Remove': 'إزالة',
+    'Remove this {name}': 'إزالة هذا العنصر ({name})',
+    'Are you sure you want to remove this {name}?': 'هل تريد بالتأكيد إزالة هذا العنصر ({name})؟',
+    'My Location': 'موقعي',
+    'Count Up': 'عد تصاعدي',
+    'Countdown': 'عد تنازلي',
+    'No Calendar': 'لا يوجد تقويم',
+
+    // Shared control labels
+    'Default': 'افتراضي',
+    'Change Font': 'تغيير الخط',
+    'Bold:': 'عريض:',
+    'Position:': 'الموضع:',
+    'Center on Screen': 'توسيط على الشاشة',
+    'Effect:': 'التأثير:',
+    'Flat': 'مسطح',
+    'Raised': 'بارز',
+    'Reflected': 'منعكس',
+    'Show Separator:': 'إظهار الفاصل:',
+    'Label:': 'التسمية:',
+    'Time Format:': 'تنسيق الوقت:',
+    '12-hour': '12 ساعة',
+    '24-hour': '24 ساعة',
+    'Refresh Every:': 'التحديث كل:',
+    'Location:': 'الموقع:',
+    'Title:': 'العنوان:',
+
+    // Background
+    'Type:': 'النوع:',
+    'Color': 'لون',
+    'Gradient': 'تدرج',
+    'Image': 'صورة',
+    'Video': 'فيديو',
+    'Image Source:': 'مصدر الصور:',
+    'No Image Providers Available': 'لا يتوفر مزودو صور',
+    'Video Source:': 'مصدر الفيديو:',
+    'Country:': 'البلد:',
+    'Folder:': 'المجلد:',
+    'Choose…': 'اختيار…',
+    'Show images from a folder on this device': 'عرض الصور من مجلد على هذا الجهاز',
+    'Use Manifest': 'استخدام البيان',
+    'Show the images listed in images/manifest.json': 'عرض الصور المدرجة في images/manifest.json',
+    'Gradient:': 'التدرج:',
+    'Linear': 'خطي',
+    'Radial': 'شعاعي',
+    'Angle:': 'الزاوية:',
+    'Colors:': 'الألوان:',
+    'Add color': 'إضافة لون',
+    'Remove last color': 'إزالة آخر لون',
+    'Color {number}': 'اللون {number}',
+    'Drift:': 'الانجراف:',
+    'Time of Day Colors:': 'ألوان حسب الوقت:',
+    'Follow the sky: night, sunrise, noon and dusk colors': 'اتباع السماء: ألوان الليل والشروق والظهيرة والغسق',
+    'Category:': 'الفئة:',
+    'Nature': 'الطبيعة',
+    'Technology': 'التقنية',
+    'Architecture': 'العمارة',
+    'People': 'الناس',
+    'Animals': 'الحيوانات',
+    'Travel': 'السفر',
+    'Food': 'الطعام',
+    'Abstract': 'تجريدي',
+    'Other': 'أخرى',
+    'Custom:': 'مخصصة:',
+    'Enter custom category': 'أدخل فئة مخصصة',
+    'Opacity:': 'العتامة:',
+    'Zoom Effect:': 'تأثير التكبير:',
+    'Show Info:': 'إظهار المعلومات:',
+    'Use Favorites Only:': 'المفضلة فقط:',
+    'Favorites From:': 'المفضلة من:',
+    'All favorites': 'كل المفضلة',
+    'Auto Cycle:': 'تبديل تلقائي:',
+    'Cycle Interval (min):': 'فاصل التبديل (دقيقة):',
+    'Color:': 'اللون:',
+    'Background Color': 'لون الخلفية',
+    'Switch the background type to {type} to show this favorite.': 'غيّر نوع الخلفية إلى {type} لعرض هذا العنصر المفضل.',
+    'Enter Custom Category': 'أدخل فئة مخصصة',
+    'No images found': 'لم يتم العثور على صور',
+    'No videos found': 'لم يتم العثور على فيديوهات',
+    'No images available': 'لا توجد صور متاحة',
+    'Unexpected Error': 'خطأ غير متوقع',
+    'Error loading image': 'خطأ في تحميل الصورة',
+    'Error loading video': 'خطأ في تحميل الفيديو',
+    'Error loading favorite image.': 'خطأ في تحميل الصورة المفضلة.',
+    'Error loading favorite video.': 'خطأ في تحميل الفيديو المفضل.',
+    'Error: Failed to preload image': 'خطأ: تعذّر التحميل المسبق للصورة',
+    'Error Loading Favorite': 'خطأ في تحميل العنصر المفضل',
+
+    // Clock
+    'Time Zone:': 'المنطقة الزمنية:',
+    'Local Time': 'التوقيت المحلي',
+    'e.g. London': 'مثال: لندن',
+    'Clock Face:': 'واجهة الساعة:',
+    'Clean': 'بسيطة',
+    'Analog': 'تناظرية',
+    'Word': 'كلمات',
+    'Word Clock Language:': 'لغة ساعة الكلمات:',
+    'Lit Letters:': 'الحروف المضيئة:',
+    'Unlit Letters:': 'الحروف المطفأة:',
+    'Minute Dots:': 'نقاط الدقائق:',
+    'Flip': 'قلّابة',
+    'Card Color:': 'لون البطاقات:',
+    'Markings': 'العلامات',
+    'Numerals:': 'الأرقام:',
+    'None': 'بلا',
+    'Arabic': 'عربية',
+    'Roman': 'رومانية',
+    'Hour Ticks:': 'علامات الساعات:',
+    'Minute Ticks:': 'علامات الدقائق:',
+    'Lines': 'خطوط',
+    'Dots': 'نقاط',
+    'Hands': 'العقارب',
+    'Hand Shape:': 'شكل العقارب:',
+    'Line': 'خط',
+    'Baton': 'عصا',
+    'Dauphine': 'دوفين',
+    'Hour Hand:': 'عقرب الساعات:',
+    'Minute Hand:': 'عقرب الدقائق:',
+    'Second Hand:': 'عقرب الثواني:',
+    'Smooth Second Hand:': 'عقرب ثوانٍ انسيابي:',
+    'Dial': 'الميناء',
+    'Dial Color:': 'لون الميناء:',
+    'Dial Opacity:': 'شفافية الميناء:',
+    'Border Color:': 'لون الإطار:',
+    'Border Width:': 'عرض الإطار:',
+    'Complications': 'الإضافات',
+    'Off': 'إيقاف',
+    'Top': 'أعلى',
+    'Right': 'يمين',
+    'Bottom': 'أسفل',
+    'Left': 'يسار',
+    'Date Window:': 'نافذة التاريخ:',
+    'Day of Week:': 'يوم الأسبوع:',
+    'Moon Phase:': 'طور القمر:',
+    'Time Zone Sub-dial:': 'ميناء فرعي للمنطقة الزمنية:',
+    '24-Hour Hand:': 'عقرب 24 ساعة:',
+    'Second Time Zone:': 'المنطقة الزمنية الثانية:',
+    'Show Seconds:': 'إظهار الثواني:',
+    'Clock Font:': 'خط الساعة:',
+    'Char Spacing (ch):': 'تباعد الأحرف (ch):',
+    'Colon Position X:': 'موضع النقطتين X:',
+    'Colon Position Y:': 'موضع النقطتين Y:',
+    'Clock Color:': 'لون الساعة:',
+    'Clock Size:': 'حجم الساعة:',
+    'Clock Opacity:': 'عتامة الساعة:',
+
+    // Date
+    'Display Date:': 'إظهار التاريخ:',
+    'Date Format:': 'تنسيق التاريخ:',
+    'Custom...': 'مخصص...',
+    'Format Tokens:': 'رموز التنسيق:',
+    'e.g. dddd, Do MMMM': 'مثال: dddd, Do MMMM',
+    'YYYY/YY year, MMMM/MMM month name, MM/M month, DD/D/Do day, dddd/ddd weekday, WW/W ISO week, DDD day of year, Q quarter, N era, [text] literal text': 'YYYY/YY السنة، MMMM/MMM اسم الشهر، MM/M الشهر، DD/D/Do اليوم، dddd/ddd يوم الأسبوع، WW/W أسبوع ISO، DDD يوم السنة، Q الربع، N الحقبة، [نص] نص حرفي',
+    'Preview:': 'معاينة:',
+    'Browser Default': 'افتراضي المتصفح',
+    'Calendar:': 'التقويم:',
+    'Gregorian': 'ميلادي',
+    'Buddhist': 'بوذي',
+    'Ethiopic': 'إثيوبي',
+    'Hebrew': 'عبري',
+    'Indian National': 'الهندي الوطني',
+    'Islamic (Umm al-Qura)': 'هجري (أم القرى)',
+    'Islamic (Civil)': 'هجري (مدني)',
+    'Japanese': 'ياباني',
+    'Persian': 'فارسي',
+    'Date Font:': 'خط التاريخ:',
+    'Date Color:': 'لون التاريخ:',
+    'Date Size:': 'حجم التاريخ:',
+    'Date Opacity:': 'عتامة التاريخ:',
+
+    // Weather
+    'City (blank = my location)': 'المدينة (فارغ = موقعي)',
+    'Units:': 'الوحدات:',
+    'Metric (°C)': 'متري (°م)',
+    'Imperial (°F)': 'إمبراطوري (°ف)',
+    '{count} minutes': '{count} دقيقة',
+    'Display Weather:': 'إظهار الطقس:',
+    'Show Condition:': 'إظهار الحالة:',
+    'Weather Font:': 'خط الطقس:',
+    'Weather Color:': 'لون الطقس:',
+    'Weather Size:': 'حجم الطقس:',
+    'Weather Opacity:': 'عتامة الطقس:',
+
+    // Timer
+    'e.g. Launch in': 'مثال: الإطلاق خلال',
+    'Mode:': 'الوضع:',
+    'Count Down To': 'عد تنازلي حتى',
+    'Count Up From': 'عد تصاعدي من',
+    'Date & Time:': 'التاريخ والوقت:',
+    'Start Now:': 'البدء الآن:',
+    'Minutes': 'الدقائق',
+    'min': 'دقيقة',
+    'Start': 'ابدأ',
+    'When Done:': 'عند الانتهاء:',
+    'Flash and Chime': 'وميض ورنين',
+    'Flash': 'وميض',
+    'Chime': 'رنين',
+    'Nothing': 'لا شيء',
+    'Display Timer:': 'إظهار المؤقت:',
+    'Timer Font:': 'خط المؤقت:',
+    'Timer Color:': 'لون المؤقت:',
+    'Timer Size:': 'حجم المؤقت:',
+    'Timer Opacity:': 'عتامة المؤقت:',
+
+    // Agenda
+    'Display Agenda:': 'إظهار جدول الأعمال:',
+    'Calendar From:': 'التقويم من:',
+    'URL (.ics feed)': 'رابط (موجز ‎.ics)',
+    'Uploaded File': 'ملف مرفوع',
+    'Calendar URL:': 'رابط التقويم:',
+    'https://... or webcal://...': 'https://... أو webcal://...',
+    'Calendar File:': 'ملف التقويم:',
+    'Upload .ics': 'رفع ‎.ics',
+    '5 min': '5 دقائق',
+    '15 min': '15 دقيقة',
+    '30 min': '30 دقيقة',
+    '1 hour': 'ساعة واحدة',
+    'e.g. Meeting Room 2': 'مثال: قاعة الاجتماعات 2',
+    'Show Events:': 'عدد الأحداث:',
+    'Look Ahead:': 'المدة القادمة:',
+    'Today & Tomorrow': 'اليوم وغدًا',
+    '3 Days': '3 أيام',
+    '1 Week': 'أسبوع واحد',
+    '2 Weeks': 'أسبوعان',
+    '1 Month': 'شهر واحد',
+    'Show Location:': 'إظهار الموقع:',
+    'Agenda Font:': 'خط جدول الأعمال:',
+    'Agenda Color:': 'لون جدول الأعمال:',
+    'Agenda Size:': 'حجم جدول الأعمال:',
+    'Agenda Opacity:': 'عتامة جدول الأعمال:',
+    'Loaded calendar "{name}".': 'تم تحميل التقويم "{name}".',
+    'Could not load calendar: {message}': 'تعذر تحميل التقويم: {message}',
+
+    // Favorites
+    '{count} favorite': 'عنصر مفضل واحد',
+    '{count} favorites': '{count} من المفضلة',
+    'Clear All': 'مسح الكل',
+    'No favorites yet. Add some using the ♡ icon.': 'لا توجد عناصر مفضلة بعد. أضف بعضها باستخدام رمز ♡.',
+    'No favorites here yet. Move favorites here from "All favorites".': 'لا توجد عناصر مفضلة هنا بعد. انقلها إلى هنا من "كل المفضلة".',
+    'Are you sure you want to clear all favorites? This cannot be undone.': 'هل تريد بالتأكيد مسح كل المفضلة؟ لا يمكن التراجع عن ذلك.',
+    'Error applying favorite.': 'خطأ في تطبيق العنصر المفضل.',
+    'Error removing favorite.': 'خطأ في إزالة العنصر المفضل.',
+    '▶ Video': '▶ فيديو',
+    'Favorite background': 'خلفية مفضلة',
+    'Remove from favorites': 'إزالة من المفضلة',
+    'Add to Favorites': 'إضافة إلى المفضلة',
+    'Remove from Favorites': 'إزالة من المفضلة',
+    'Error toggling favorite status': 'خطأ في تغيير حالة المفضلة',
+    'Collection': 'المجموعة',
+    'New': 'جديدة',
+    'New collection': 'مجموعة جديدة',
+    'Rename': 'إعادة تسمية',
+    'Rename collection': 'إعادة تسمية المجموعة',
+    'Delete': 'حذف',
+    'Delete collection': 'حذف المجموعة',
+    'Not in a collection': 'ليست في مجموعة',
+    'No collection': 'بلا مجموعة',
+    'Move to collection': 'نقل إلى مجموعة',
+    'Name of the new collection:': 'اسم المجموعة الجديدة:',
+    'New name of the collection:': 'الاسم الجديد للمجموعة:',
+    'Delete the collection "{name}"? Its favorites will be kept.': 'حذف المجموعة "{name}"؟ سيتم الاحتفاظ بعناصرها المفضلة.',
+    'Saved Favorites': 'المفضلة المحفوظة',
+    'Save Current Image': 'حفظ الصورة الحالية',
+    'Show this image': 'عرض هذه الصورة',
+    '(No favorites saved yet)': '(لا توجد عناصر مفضلة محفوظة بعد)',
+    '(No favorites in this collection)': '(لا توجد عناصر مفضلة في هذه المجموعة)',
+    'No current image to favorite.': 'لا توجد صورة حالية لإضافتها إلى المفضلة.',
+    'This image is already in your favorites.': 'هذه الصورة موجودة بالفعل في المفضلة.',
+    'Added to favorites.': 'تمت الإضافة إلى المفضلة.',
+    'Image URL is required.': 'رابط الصورة مطلوب.',
+    'Favorite not found.': 'العنصر المفضل غير موجود.',
+    'Moved to "{name}".': 'تم النقل إلى "{name}".',
+    'Removed from collection.': 'تمت الإزالة من المجموعة.',
+    'Removed from favorites.': 'تمت الإزالة من المفضلة.',
+    'Favorite ID is required.': 'معرّف العنصر المفضل مطلوب.',
+    'All favorites cleared.': 'تم مسح كل المفضلة.',
+    'Error clearing favorites.': 'خطأ في مسح المفضلة.',
+    'Error saving collection.': 'خطأ في حفظ المجموعة.',
+    'Collection "{name}" created.': 'تم إنشاء المجموعة "{name}".',
+    'Collection not found.': 'المجموعة غير موجودة.',
+    'Collection renamed to "{name}".': 'تمت إعادة تسمية المجموعة إلى "{name}".',
+    'Error deleting collection.': 'خطأ في حذف المجموعة.',
+    'Collection "{name}" deleted.': 'تم حذف المجموعة "{name}".',
+    'Background change requested from favorite.': 'تم طلب تغيير الخلفية من المفضلة.',
+    'Error requesting background change.': 'خطأ في طلب تغيير الخلفية.',
+    'Invalid image data - missing URL.': 'بيانات صورة غير صالحة - الرابط مفقود.',
+    'Collection name is required.': 'اسم المجموعة مطلوب.',
+    'Collection names can be at most {count} characters.': 'يمكن أن يتكون اسم المجموعة من {count} حرفًا على الأكثر.',
+    'A collection named "{name}" already exists.': 'توجد بالفعل مجموعة باسم "{name}".',
+
+    // Schedule
+    'Auto Switch:': 'تبديل تلقائي:',
+    'New profile name': 'اسم الملف الشخصي الجديد',
+    'Save Current Look': 'حفظ المظهر الحالي',
+    'Rules': 'القواعد',
+    'Add Rule': 'إضافة قاعدة',
+    'No profiles yet. Set up a look and save it below.': 'لا توجد ملفات شخصية بعد. جهّز مظهرًا واحفظه أدناه.',
+    'No rules yet. Profiles only change when applied manually.': 'لا توجد قواعد بعد. تتغير الملفات الشخصية فقط عند تطبيقها يدويًا.',
+    'Apply': 'تطبيق',
+    'Apply this profile now': 'تطبيق هذا الملف الشخصي الآن',
+    'Update': 'تحديث',
+    'Replace this profile with the current look': 'استبدال هذا الملف الشخصي بالمظهر الحالي',
+    'Delete this profile': 'حذف هذا الملف الشخصي',
+    'Remove this rule': 'إزالة هذه القاعدة',
+    '{name} (active)': '{name} (نشط)',
+    'Unknown profile': 'ملف شخصي غير معروف',
+    'Please select at least one day.': 'يرجى اختيار يوم واحد على الأقل.',
+    'Applied profile "{name}".': 'تم تطبيق الملف الشخصي "{name}".',
+    'Replace profile "{name}" with the current look?': 'استبدال الملف الشخصي "{name}" بالمظهر الحالي؟',
+    'Profile "{name}" updated.': 'تم تحديث الملف الشخصي "{name}".',
+    'Delete profile "{name}" and its rules?': 'حذف الملف الشخصي "{name}" وقواعده؟',
+    'Profile name is required.': 'اسم الملف الشخصي مطلوب.',
+    'A profile named "{name}" already exists.': 'يوجد بالفعل ملف شخصي باسم "{name}".',
+    'Profile created.': 'تم إنشاء الملف الشخصي.',
+    'Please choose an existing profile.': 'يرجى اختيار ملف شخصي موجود.',
+    'Please enter a valid time (HH:MM).': 'يرجى إدخال وقت صالح (HH:MM).',
+    'Rule added.': 'تمت إضافة القاعدة.',
+    'Every day': 'كل يوم',
+    'Weekdays': 'أيام العمل',
+    'Weekends': 'عطلة نهاية الأسبوع',
+    'Sun': 'أحد',
+    'Mon': 'اثنين',
+    'Tue': 'ثلاثاء',
+    'Wed': 'أربعاء',
+    'Thu': 'خميس',
+    'Fri': 'جمعة',
+    'Sat': 'سبت',
+
+    // Alarms
+    'e.g. Stand-up': 'مثال: الاجتماع اليومي',
+    'Add Alarm': 'إضافة منبه',
+    'Once On:': 'مرة واحدة في:',
+    'Leave empty to repeat on the days below': 'اتركه فارغًا للتكرار في الأيام أدناه',
+    'or repeat:': 'أو كرر:',
+    'Sound:': 'الصوت:',
+    'No alarms yet.': 'لا توجد منبهات بعد.',
+    'Turn this alarm off': 'إيقاف هذا المنبه',
+    'Turn this alarm on': 'تشغيل هذا المنبه',
+    '(silent)': '(صامت)',
+    'Delete this alarm': 'حذف هذا المنبه',
+    'Please pick a date or at least one day.': 'يرجى اختيار تاريخ أو يوم واحد على الأقل.',
+    'Please enter a valid date.': 'يرجى إدخال تاريخ صالح.',
+    'Alarm added.': 'تمت إضافة المنبه.',
+    'Alarm': 'منبه',
+    'Dismiss': 'إغلاق',
+
+    // Presets
+    'Presets': 'الإعدادات المسبقة',
+    'New preset name': 'اسم الإعداد المسبق الجديد',
+    'Include Favorites:': 'تضمين المفضلة:',
+    'Applying the preset will replace your favorites with the saved ones': 'سيؤدي تطبيق الإعداد المسبق إلى استبدال مفضلتك بالمحفوظة',
+    'New name for preset "{name}":': 'اسم جديد للإعداد المسبق "{name}":',
+    'Delete preset "{name}"?': 'حذف الإعداد المسبق "{name}"؟',
+    '{name} (built-in)': '{name} (مدمج)',
+    'Apply this preset now': 'تطبيق هذا الإعداد المسبق الآن',
+    'Rename this preset': 'إعادة تسمية هذا الإعداد المسبق',
+    'Duplicate': 'تكرار',
+    'Save a copy of this preset': 'حفظ نسخة من هذا الإعداد المسبق',
+    'Export': 'تصدير',
+    'Download this preset as a settings file': 'تنزيل هذا الإعداد المسبق كملف إعدادات',
+    'Delete this preset': 'حذف هذا الإعداد المسبق',
+    'Preset saved.': 'تم حفظ الإعداد المسبق.',
+    'Preset not found.': 'الإعداد المسبق غير موجود.',
+    'Error applying preset: {message}': 'خطأ في تطبيق الإعداد المسبق: {message}',
+    'Applied preset "{name}".': 'تم تطبيق الإعداد المسبق "{name}".',
+    'Preset renamed.': 'تمت إعادة تسمية الإعداد المسبق.',
+    'Copy of {name}': 'نسخة من {name}',
+    'Preset duplicated.': 'تم تكرار الإعداد المسبق.',
+    'Preset name is required.': 'اسم الإعداد المسبق مطلوب.',
+    'A preset named "{name}" already exists.': 'يوجد إعداد مسبق باسم "{name}" بالفعل.',
+    'Minimal Clock': 'ساعة بسيطة',
+    'Full Dashboard': 'لوحة معلومات كاملة',
+    'Photo Frame': 'إطار صور',
+
+    // Sharing
+    'Share via Link': 'مشاركة عبر رابط',
+    'Show a link and QR code that carry the current look': 'عرض رابط ورمز QR يحملان المظهر الحالي',
+    'Share Settings': 'مشاركة الإعدادات',
+    'Copy Link': 'نسخ الرابط',
+    'Close': 'إغلاق',
+    'Scan the code with a phone, or open the link on another screen, to use these settings there.': 'امسح الرمز بالهاتف، أو افتح الرابط على شاشة أخرى، لاستخدام هذه الإعدادات هناك.',
+    'These settings are too large for a QR code. Copy the link instead.': 'هذه الإعدادات أكبر من أن يحملها رمز QR. انسخ الرابط بدلاً من ذلك.',
+    'Link copied.': 'تم نسخ الرابط.',
+    'Could not create a settings link.': 'تعذر إنشاء رابط الإعدادات.',
+    'This link contains shared clock settings. Apply them? Your current look will be replaced (you can undo this).': 'يحتوي هذا الرابط على إعدادات ساعة مشتركة. هل تريد تطبيقها؟ سيتم استبدال مظهرك الحالي (يمكنك التراجع عن ذلك).',
+    'The shared settings have {count} invalid values, which will be skipped:\n{errors}\n\nApply the rest?': 'تحتوي الإعدادات المشتركة على {count} من القيم غير الصالحة، وسيتم تخطيها:\n{errors}\n\nهل تريد تطبيق الباقي؟',
+    'Shared settings applied.': 'تم تطبيق الإعدادات المشتركة.',
+    'Error reading shared settings: {message}': 'خطأ في قراءة الإعدادات المشتركة: {message}'
+};
@@ -0,0 +1,433 @@
+/**
+ * German translations of the UI, keyed by the English text (see ../i18n.js).
+ */
+export default {
+    // Control panel
+    'Add Element': 'Element hinzufügen',
+    'Add': 'Hinzufügen',
+    'Background': 'Hintergrund',
+    'Favorites': 'Favoriten',
+    'Schedule': 'Zeitplan',
+    'Alarms': 'Wecker',
+    'Settings': 'Einstellungen',
+    'Language:': 'Sprache:',
+    'Automatic': 'Automatisch',
+    'Clock Faces:': 'Zifferblätter:',
+    'URL of a clock face module. Only add faces from sources you trust.': 'URL eines Zifferblatt-Moduls. Füge nur Zifferblätter aus vertrauenswürdigen Quellen hinzu.',
+    'Add Face': 'Zifferblatt hinzufügen',
+    'Only the built-in faces.': 'Nur die eingebauten Zifferblätter.',
+    '(not loaded)': '(nicht geladen)',
+    'Remove this face': 'Dieses Zifferblatt entfernen',
+    'Could not load clock face: {url}': 'Zifferblatt konnte nicht geladen werden: {url}',
+    'Download Settings': 'Einstellungen herunterladen',
+    'Upload Settings': 'Einstellungen hochladen',
+    'Reset All Settings': 'Alle Einstellungen zurücksetzen',
+    'Are you sure you want to reset all settings to their defaults? You can undo this with Undo.': 'Möchtest du wirklich alle Einstellungen auf die Standardwerte zurücksetzen? Mit „Rückgängig“ lässt sich das widerrufen.',
+    'Undo': 'Rückgängig',
+    'Redo': 'Wiederholen',
+    'Undo (Ctrl+Z)': 'Rückgängig (Strg+Z)',
+    'Redo (Ctrl+Shift+Z)': 'Wiederholen (Strg+Umschalt+Z)',
+    'Settings imported. Some changes might require a manual page refresh to take full effect.': 'Einstellungen importiert. Einige Änderungen werden eventuell erst nach dem Neuladen der Seite vollständig wirksam.',
+    'Error importing settings: {message}': 'Fehler beim Importieren der Einstellungen: {message}',
+    'The settings file has {count} invalid values, which will be skipped:\n{errors}\n\nImport the rest?': 'Die Einstellungsdatei enthält {count} ungültige Werte, die übersprungen werden:\n{errors}\n\nDen Rest importieren?',
+    'The settings file loads clock face code from:\n{urls}\n\nThis code runs in the app with access to your settings and photos. Load it only if you trust these sites. Load it? (Cancel imports the rest without it.)': 'Die Einstellungsdatei lädt Zifferblatt-Code von:\n{urls}\n\nDieser Code läuft in der App und hat Zugriff auf deine Einstellungen und Fotos. Lade ihn nur, wenn du diesen Seiten vertraust. Laden? (Abbrechen importiert den Rest ohne ihn.)',
+    'Error reading file: {message}': 'Fehler beim Lesen der Datei: {message}',
+    'Tap background to toggle controls': 'Hintergrund antippen, um die Steuerung ein- oder auszublenden',
+    'Select Font': 'Schriftart wählen',
+
+    // Element sections
+    'Clock': 'Uhr',
+    'Date': 'Datum',
+    'Weather': 'Wetter',
+    'Timer': 'Timer',
+    'Agenda': 'Agenda',
+    'Favorites Panel': 'Favoritenleiste',
+    'Remove': 'Entfernen',
+    'Remove this {name}': 'Dieses Element entfernen',
+    'Are you sure you want to remove this {name}?': 'Möchtest du dieses Element wirklich entfernen?',
+    'My Location': 'Mein Standort',
+    'Count Up': 'Vorwärts zählen',
+    'Countdown': 'Countdown',
+    'No Calendar': 'Kein Kalender',
+
+    // Shared control labels
+    'Default': 'Standard',
+    'Change Font': 'Schrift ändern',
+    'Bold:': 'Fett:',
+    'Position:': 'Position:',
+    'Center on Screen': 'Zentrieren',
+    'Effect:': 'Effekt:',
+    'Flat': 'Flach',
+    'Raised': 'Erhaben',
+    'Reflected': 'Gespiegelt',
+    'Show Separator:': 'Trennzeichen zeigen:',
+    'Label:': 'Beschriftung:',
+    'Time Format:': 'Zeitformat:',
+    '12-hour': '12 Stunden',
+    '24-hour': '24 Stunden',
+    'Refresh Every:': 'Aktualisieren alle:',
+    'Location:': 'Ort:',
+    'Title:': 'Titel:',
+
+    // Background
+    'Type:': 'Typ:',
+    'Color': 'Farbe',
+    'Gradient': 'Verlauf',
+    'Image': 'Bild',
+    'Video': 'Video',
+    'Image Source:': 'Bildquelle:',
+    'No Image Providers Available': 'Keine Bildanbieter verfügbar',
+    'Video Source:': 'Videoquelle:',
+    'Country:': 'Land:',
+    'Folder:': 'Ordner:',
+    'Choose…': 'Auswählen…',
+    'Show images from a folder on this device': 'Bilder aus einem Ordner auf diesem Gerät zeigen',
+    'Use Manifest': 'Manifest verwenden',
+    'Show the images listed in images/manifest.json': 'Die in images/manifest.json aufgeführten Bilder zeigen',
+    'Gradient:': 'Verlauf:',
+    'Linear': 'Linear',
+    'Radial': 'Radial',
+    'Angle:': 'Winkel:',
+    'Colors:': 'Farben:',
+    'Add color': 'Farbe hinzufügen',
+    'Remove last color': 'Letzte Farbe entfernen',
+    'Color {number}': 'Farbe {number}',
+    'Drift:': 'Bewegung:',
+    'Time of Day Colors:': 'Tageszeit-Farben:',
+    'Follow the sky: night, sunrise, noon and dusk colors': 'Dem Himmel folgen: Farben für Nacht, Sonnenaufgang, Mittag und Abend',
+    'Category:': 'Kategorie:',
+    'Nature': 'Natur',
+    'Technology': 'Technik',
+    'Architecture': 'Architektur',
+    'People': 'Menschen',
+    'Animals': 'Tiere',
+    'Travel': 'Reisen',
+    'Food': 'Essen',
+    'Abstract': 'Abstrakt',
+    'Other': 'Andere',
+    'Custom:': 'Eigene:',
+    'Enter custom category': 'Eigene Kategorie eingeben',
+    'Opacity:': 'Deckkraft:',
+    'Zoom Effect:': 'Zoom-Effekt:',
+    'Show Info:': 'Info zeigen:',
+    'Use Favorites Only:': 'Nur Favoriten:',
+    'Favorites From:': 'Favoriten aus:',
+    'All favorites': 'Alle Favoriten',
+    'Auto Cycle:': 'Automatisch wechseln:',
+    'Cycle Interval (min):': 'Wechselintervall (Min.):',
+    'Color:': 'Farbe:',
+    'Background Color': 'Hintergrundfarbe',
+    'Switch the background type to {type} to show this favorite.': 'Stelle den Hintergrundtyp auf „{type}“, um diesen Favoriten zu zeigen.',
+    'Enter Custom Category': 'Eigene Kategorie eingeben',
+    'No images found': 'Keine Bilder gefunden',
+    'No videos found': 'Keine Videos gefunden',
+    'No images available': 'Keine Bilder verfügbar',
+    'Unexpected Error': 'Unerwarteter Fehler',
+    'Error loading image': 'Fehler beim Laden des Bildes',
+    'Error loading video': 'Fehler beim Laden des Videos',
+    'Error loading favorite image.': 'Fehler beim Laden des Lieblingsbildes.',
+    'Error loading favorite video.': 'Fehler beim Laden des Lieblingsvideos.',
+    'Error: Failed to preload image': 'Fehler: Bild konnte nicht vorgeladen werden',
+    'Error Loading Favorite': 'Fehler beim Laden des Favoriten',
+
+    // Clock
+    'Time Zone:': 'Zeitzone:',
+    'Local Time': 'Ortszeit',
+    'e.g. London': 'z. B. London',
+    'Clock Face:': 'Zifferblatt:',
+    'Clean': 'Schlicht',
+    'Analog': 'Analog',
+    'Word': 'Wortuhr',
+    'Word Clock Language:': 'Sprache der Wortuhr:',
+    'Lit Letters:': 'Leuchtende Buchstaben:',
+    'Unlit Letters:': 'Dunkle Buchstaben:',
+    'Minute Dots:': 'Minutenpunkte:',
+    'Flip': 'Klappzahlen',
+    'Card Color:': 'Kartenfarbe:',
+    'Markings': 'Markierungen',
+    'Numerals:': 'Ziffern:',
+    'None': 'Keine',
+    'Arabic': 'Arabisch',
+    'Roman': 'Römisch',
+    'Hour Ticks:': 'Stundenstriche:',
+    'Minute Ticks:': 'Minutenstriche:',
+    'Lines': 'Striche',
+    'Dots': 'Punkte',
+    'Hands': 'Zeiger',
+    'Hand Shape:': 'Zeigerform:',
+    'Line': 'Linie',
+    'Baton': 'Stab',
+    'Dauphine': 'Dauphine',
+    'Hour Hand:': 'Stundenzeiger:',
+    'Minute Hand:': 'Minutenzeiger:',
+    'Second Hand:': 'Sekundenzeiger:',
+    'Smooth Second Hand:': 'Gleitender Sekundenzeiger:',
+    'Dial': 'Zifferblatt',
+    'Dial Color:': 'Zifferblattfarbe:',
+    'Dial Opacity:': 'Zifferblatt-Deckkraft:',
+    'Border Color:': 'Randfarbe:',
+    'Border Width:': 'Randbreite:',
+    'Complications': 'Komplikationen',
+    'Off': 'Aus',
+    'Top': 'Oben',
+    'Right': 'Rechts',
+    'Bottom': 'Unten',
+    'Left': 'Links',
+    'Date Window:': 'Datumsfenster:',
+    'Day of Week:': 'Wochentag:',
+    'Moon Phase:': 'Mondphase:',
+    'Time Zone Sub-dial:': 'Hilfszifferblatt Zeitzone:',
+    '24-Hour Hand:': '24-Stunden-Zeiger:',
+    'Second Time Zone:': 'Zweite Zeitzone:',
+    'Show Seconds:': 'Sekunden zeigen:',
+    'Clock Font:': 'Uhr-Schrift:',
+    'Char Spacing (ch):': 'Zeichenabstand (ch):',
+    'Colon Position X:': 'Doppelpunkt X:',
+    'Colon Position Y:': 'Doppelpunkt Y:',
+    'Clock Color:': 'Uhr-Farbe:',
+    'Clock Size:': 'Uhr-Größe:',
+    'Clock Opacity:': 'Uhr-Deckkraft:',
+
+    // Date
+    'Display Date:': 'Datum zeigen:',
+    'Date Format:': 'Datumsformat:',
+    'Custom...': 'Eigenes...',
+    'Format Tokens:': 'Format-Platzhalter:',
+    'e.g. dddd, Do MMMM': 'z. B. dddd, Do MMMM',
+    'YYYY/YY year, MMMM/MMM month name, MM/M month, DD/D/Do day, dddd/ddd weekday, WW/W ISO week, DDD day of year, Q quarter, N era, [text] literal text': 'YYYY/YY Jahr, MMMM/MMM Monatsname, MM/M Monat, DD/D/Do Tag, dddd/ddd Wochentag, WW/W ISO-Woche, DDD Tag im Jahr, Q Quartal, N Ära, [Text] wörtlicher Text',
+    'Preview:': 'Vorschau:',
+    'Browser Default': 'Browser-Standard',
+    'Calendar:': 'Kalender:',
+    'Gregorian': 'Gregorianisch',
+    'Buddhist': 'Buddhistisch',
+    'Ethiopic': 'Äthiopisch',
+    'Hebrew': 'Hebräisch',
+    'Indian National': 'Indischer Nationalkalender',
+    'Islamic (Umm al-Qura)': 'Islamisch (Umm al-Qura)',
+    'Islamic (Civil)': 'Islamisch (bürgerlich)',
+    'Japanese': 'Japanisch',
+    'Persian': 'Persisch',
+    'Date Font:': 'Datums-Schrift:',
+    'Date Color:': 'Datums-Farbe:',
+    'Date Size:': 'Datums-Größe:',
+    'Date Opacity:': 'Datums-Deckkraft:',
+
+    // Weather
+    'City (blank = my location)': 'Stadt (leer = mein Standort)',
+    'Units:': 'Einheiten:',
+    'Metric (°C)': 'Metrisch (°C)',
+    'Imperial (°F)': 'Imperial (°F)',
+    '{count} minutes': '{count} Minuten',
+    'Display Weather:': 'Wetter zeigen:',
+    'Show Condition:': 'Wetterlage zeigen:',
+    'Weather Font:': 'Wetter-Schrift:',
+    'Weather Color:': 'Wetter-Farbe:',
+    'Weather Size:': 'Wetter-Größe:',
+    'Weather Opacity:': 'Wetter-Deckkraft:',
+
+    // Timer
+    'e.g. Launch in': 'z. B. Start in',
+    'Mode:': 'Modus:',
+    'Count Down To': 'Herunterzählen bis',
+    'Count Up From': 'Hochzählen ab',
+    'Date & Time:': 'Datum & Uhrzeit:',
+    'Start Now:': 'Jetzt starten:',
+    'Minutes': 'Minuten',
+    'min': 'Min.',
+    'Start': 'Start',
+    'When Done:': 'Am Ende:',
+    'Flash and Chime': 'Blinken und Ton',
+    'Flash': 'Blinken',
+    'Chime': 'Ton',
+    'Nothing': 'Nichts',
+    'Display Timer:': 'Timer zeigen:',
+    'Timer Font:': 'Timer-Schrift:',
+    'Timer Color:': 'Timer-Farbe:',
+    'Timer Size:': 'Timer-Größe:',
+    'Timer Opacity:': 'Timer-Deckkraft:',
+
+    // Agenda
+    'Display Agenda:': 'Agenda zeigen:',
+    'Calendar From:': 'Kalender aus:',
+    'URL (.ics feed)': 'URL (.ics-Feed)',
+    'Uploaded File': 'Hochgeladene Datei',
+    'Calendar URL:': 'Kalender-URL:',
+    'https://... or webcal://...': 'https://... oder webcal://...',
+    'Calendar File:': 'Kalenderdatei:',
+    'Upload .ics': '.ics hochladen',
+    '5 min': '5 Min.',
+    '15 min': '15 Min.',
+    '30 min': '30 Min.',
+    '1 hour': '1 Stunde',
+    'e.g. Meeting Room 2': 'z. B. Besprechungsraum 2',
+    'Show Events:': 'Termine zeigen:',
+    'Look Ahead:': 'Zeitraum:',
+    'Today & Tomorrow': 'Heute & morgen',
+    '3 Days': '3 Tage',
+    '1 Week': '1 Woche',
+    '2 Weeks': '2 Wochen',
+    '1 Month': '1 Monat',
+    'Show Location:': 'Ort zeigen:',
+    'Agenda Font:': 'Agenda-Schrift:',
+    'Agenda Color:': 'Agenda-Farbe:',
+    'Agenda Size:': 'Agenda-Größe:',
+    'Agenda Opacity:': 'Agenda-Deckkraft:',
+    'Loaded calendar "{name}".': 'Kalender „{name}“ geladen.',
+    'Could not load calendar: {message}': 'Kalender konnte nicht geladen werden: {message}',
+
+    // Favorites
+    '{count} favorite': '{count} Favorit',
+    '{count} favorites': '{count} Favoriten',
+    'Clear All': 'Alle löschen',
+    'No favorites yet. Add some using the ♡ icon.': 'Noch keine Favoriten. Füge welche mit dem ♡-Symbol hinzu.',
+    'No favorites here yet. Move favorites here from "All favorites".': 'Hier sind noch keine Favoriten. Verschiebe sie aus „Alle Favoriten“ hierher.',
+    'Are you sure you want to clear all favorites? This cannot be undone.': 'Möchtest du wirklich alle Favoriten löschen? Dies kann nicht rückgängig gemacht werden.',
+    'Error applying favorite.': 'Fehler beim Anwenden des Favoriten.',
+    'Error removing favorite.': 'Fehler beim Entfernen des Favoriten.',
+    '▶ Video': '▶ Video',
+    'Favorite background': 'Lieblingshintergrund',
+    'Remove from favorites': 'Aus Favoriten entfernen',
+    'Add to Favorites': 'Zu Favoriten hinzufügen',
+    'Remove from Favorites': 'Aus Favoriten entfernen',
+    'Error toggling favorite status': 'Fehler beim Ändern des Favoritenstatus',
+    'Collection': 'Sammlung',
+    'New': 'Neu',
+    'New collection': 'Neue Sammlung',
+    'Rename': 'Umbenennen',
+    'Rename collection': 'Sammlung umbenennen',
+    'Delete': 'Löschen',
+    'Delete collection': 'Sammlung löschen',
+    'Not in a collection': 'In keiner Sammlung',
+    'No collection': 'Keine Sammlung',
+    'Move to collection': 'In Sammlung verschieben',
+    'Name of the new collection:': 'Name der neuen Sammlung:',
+    'New name of the collection:': 'Neuer Name der Sammlung:',
+    'Delete the collection "{name}"? Its favorites will be kept.': 'Sammlung „{name}“ löschen? Ihre Favoriten bleiben erhalten.',
+    'Saved Favorites': 'Gespeicherte Favoriten',
+    'Save Current Image': 'Aktuelles Bild speichern',
+    'Show this image': 'Dieses Bild zeigen',
+    '(No favorites saved yet)': '(Noch keine Favoriten gespeichert)',
+    '(No favorites in this collection)': '(Keine Favoriten in dieser Sammlung)',
+    'No current image to favorite.': 'Kein aktuelles Bild zum Speichern.',
+    'This image is already in your favorites.': 'Dieses Bild ist bereits in deinen Favoriten.',
+    'Added to favorites.': 'Zu Favoriten hinzugefügt.',
+    'Image URL is required.': 'Bild-URL fehlt.',
+    'Favorite not found.': 'Favorit nicht gefunden.',
+    'Moved to "{name}".': 'Nach „{name}“ verschoben.',
+    'Removed from collection.': 'Aus der Sammlung entfernt.',
+    'Removed from favorites.': 'Aus Favoriten entfernt.',
+    'Favorite ID is required.': 'Favoriten-ID fehlt.',
+    'All favorites cleared.': 'Alle Favoriten gelöscht.',
+    'Error clearing favorites.': 'Fehler beim Löschen der Favoriten.',
+    'Error saving collection.': 'Fehler beim Speichern der Sammlung.',
+    'Collection "{name}" created.': 'Sammlung „{name}“ erstellt.',
+    'Collection not found.': 'Sammlung nicht gefunden.',
+    'Collection renamed to "{name}".': 'Sammlung in „{name}“ umbenannt.',
+    'Error deleting collection.': 'Fehler beim Löschen der Sammlung.',
+    'Collection "{name}" deleted.': 'Sammlung „{name}“ gelöscht.',
+    'Background change requested from favorite.': 'Hintergrund aus Favorit angefordert.',
+    'Error requesting background change.': 'Fehler beim Ändern des Hintergrunds.',
+    'Invalid image data - missing URL.': 'Ungültige Bilddaten – URL fehlt.',
+    'Collection name is required.': 'Sammlungsname fehlt.',
+    'Collection names can be at most {count} characters.': 'Sammlungsnamen dürfen höchstens {count} Zeichen lang sein.',
+    'A collection named "{name}" already exists.': 'Eine Sammlung namens „{name}“ gibt es bereits.',
+
+    // Schedule
+    'Auto Switch:': 'Automatisch wechseln:',
+    'New profile name': 'Name des neuen Profils',
+    'Save Current Look': 'Aktuelles Aussehen speichern',
+    'Rules': 'Regeln',
+    'Add Rule': 'Regel hinzufügen',
+    'No profiles yet. Set up a look and save it below.': 'Noch keine Profile. Richte ein Aussehen ein und speichere es unten.',
+    'No rules yet. Profiles only change when applied manually.': 'Noch keine Regeln. Profile wechseln nur, wenn du sie anwendest.',
+    'Apply': 'Anwenden',
+    'Apply this profile now': 'Dieses Profil jetzt anwenden',
+    'Update': 'Aktualisieren',
+    'Replace this profile with the current look': 'Dieses Profil durch das aktuelle Aussehen ersetzen',
+    'Delete this profile': 'Dieses Profil löschen',
+    'Remove this rule': 'Diese Regel entfernen',
+    '{name} (active)': '{name} (aktiv)',
+    'Unknown profile': 'Unbekanntes Profil',
+    'Please select at least one day.': 'Bitte wähle mindestens einen Tag.',
+    'Applied profile "{name}".': 'Profil „{name}“ angewendet.',
+    'Replace profile "{name}" with the current look?': 'Profil „{name}“ durch das aktuelle Aussehen ersetzen?',
+    'Profile "{name}" updated.': 'Profil „{name}“ aktualisiert.',
+    'Delete profile "{name}" and its rules?': 'Profil „{name}“ und seine Regeln löschen?',
+    'Profile name is required.': 'Profilname fehlt.',
+    'A profile named "{name}" already exists.': 'Ein Profil namens „{name}“ gibt es bereits.',
+    'Profile created.': 'Profil erstellt.',
+    'Please choose an existing profile.': 'Bitte wähle ein vorhandenes Profil.',
+    'Please enter a valid time (HH:MM).': 'Bitte gib eine gültige Uhrzeit ein (HH:MM).',
+    'Rule added.': 'Regel hinzugefügt.',
+    'Every day': 'Jeden Tag',
+    'Weekdays': 'Werktags',
+    'Weekends': 'Am Wochenende',
+    'Sun': 'So',
+    'Mon': 'Mo',
+    'Tue': 'Di',
+    'Wed': 'Mi',
+    'Thu': 'Do',
+    'Fri': 'Fr',
+    'Sat': 'Sa',
+
+    // Alarms
+    'e.g. Stand-up': 'z. B. Stand-up',
+    'Add Alarm': 'Wecker hinzufügen',
+    'Once On:': 'Einmalig am:',
+    'Leave empty to repeat on the days below': 'Leer lassen, um an den Tagen unten zu wiederholen',
+    'or repeat:': 'oder wiederholen:',
+    'Sound:': 'Ton:',
+    'No alarms yet.': 'Noch keine Wecker.',
+    'Turn this alarm off': 'Diesen Wecker ausschalten',
+    'Turn this alarm on': 'Diesen Wecker einschalten',
+    '(silent)': '(lautlos)',
+    'Delete this alarm': 'Diesen Wecker löschen',
+    'Please pick a date or at least one day.': 'Bitte wähle ein Datum oder mindestens einen Tag.',
+    'Please enter a valid date.': 'Bitte gib ein gültiges Datum ein.',
+    'Alarm added.': 'Wecker hinzugefügt.',
+    'Alarm': 'Wecker',
+    'Dismiss': 'Schließen',
+
+    // Presets
+    'Presets': 'Voreinstellungen',
+    'New preset name': 'Name der neuen Voreinstellung',
+    'Include Favorites:': 'Favoriten einschließen:',
+    'Applying the preset will replace your favorites with the saved ones': 'Beim Anwenden der Voreinstellung werden deine Favoriten durch die gespeicherten ersetzt',
+    'New name for preset "{name}":': 'Neuer Name für die Voreinstellung „{name}“:',
+    'Delete preset "{name}"?': 'Voreinstellung „{name}“ löschen?',
+    '{name} (built-in)': '{name} (integriert)',
+    'Apply this preset now': 'Diese Voreinstellung jetzt anwenden',
+    'Rename this preset': 'Diese Voreinstellung umbenennen',
+    'Duplicate': 'Duplizieren',
+    'Save a copy of this preset': 'Eine Kopie dieser Voreinstellung speichern',
+    'Export': 'Exportieren',
+    'Download this preset as a settings file': 'Diese Voreinstellung als Einstellungsdatei herunterladen',
+    'Delete this preset': 'Diese Voreinstellung löschen',
+    'Preset saved.': 'Voreinstellung gespeichert.',
+    'Preset not found.': 'Voreinstellung nicht gefunden.',
+    'Error applying preset: {message}': 'Fehler beim Anwenden der Voreinstellung: {message}',
+    'Applied preset "{name}".': 'Voreinstellung „{name}“ angewendet.',
+    'Preset renamed.': 'Voreinstellung umbenannt.',
+    'Copy of {name}': 'Kopie von {name}',
+    'Preset duplicated.': 'Voreinstellung dupliziert.',
+    'Preset name is required.': 'Ein Name für die Voreinstellung ist erforderlich.',
+    'A preset named "{name}" already exists.': 'Eine Voreinstellung namens „{name}“ existiert bereits.',
+    'Minimal Clock': 'Minimale Uhr',
+    'Full Dashboard': 'Volles Dashboard',
+    'Photo Frame': 'Bilderrahmen',
+
+    // Sharing
+    'Share via Link': 'Per Link teilen',
+    'Show a link and QR code that carry the current look': 'Einen Link und QR-Code mit dem aktuellen Aussehen anzeigen',
+    'Share Settings': 'Einstellungen teilen',
+    'Copy Link': 'Link kopieren',
+    'Close': 'Schließen',
+    'Scan the code with a phone, or open the link on another screen, to use these settings there.': 'Scanne den Code mit einem Handy oder öffne den Link auf einem anderen Bildschirm, um diese Einstellungen dort zu verwenden.',
+    'These settings are too large for a QR code. Copy the link instead.': 'Diese Einstellungen sind zu groß für einen QR-Code. Kopiere stattdessen den Link.',
+    'Link copied.': 'Link kopiert.',
+    'Could not create a settings link.': 'Der Einstellungslink konnte nicht erstellt werden.',
+    'This link contains shared clock settings. Apply them? Your current look will be replaced (you can undo this).': 'Dieser Link enthält geteilte Uhreinstellungen. Jetzt anwenden? Dein aktuelles Aussehen wird ersetzt (du kannst das rückgängig machen).',
+    'The shared settings have {count} invalid values, which will be skipped:\n{errors}\n\nApply the rest?': 'Die geteilten Einstellungen enthalten {count} ungültige Werte, die übersprungen werden:\n{errors}\n\nDen Rest anwenden?',
+    'Shared settings applied.': 'Geteilte Einstellungen angewendet.',
+    'Error reading shared settings: {message}': 'Fehler beim Lesen der geteilten Einstellungen: {message}'
+};
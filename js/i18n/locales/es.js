@@ -0,0 +1,433 @@
+/**
+ * Spanish translations of the UI, keyed by the English text (see ../i18n.js).
+ */
+export default {
+    // Control panel
+    'Add Element': 'Añadir elemento',
+    'Add': 'Añadir',
+    'Background': 'Fondo',
+    'Favorites': 'Favoritos',
+    'Schedule': 'Horario',
+    'Alarms': 'Alarmas',
+    'Settings': 'Ajustes',
+    'Language:': 'Idioma:',
+    'Automatic': 'Automático',
+    'Clock Faces:': 'Esferas:',
+    'URL of a clock face module. Only add faces from sources you trust.': 'URL de un módulo de esfera. Añade solo esferas de fuentes de confianza.',
+    'Add Face': 'Añadir esfera',
+    'Only the built-in faces.': 'Solo las esferas integradas.',
+    '(not loaded)': '(no cargada)',
+    'Remove this face': 'Quitar esta esfera',
+    'Could not load clock face: {url}': 'No se pudo cargar la esfera: {url}',
+    'Download Settings': 'Descargar ajustes',
+    'Upload Settings': 'Subir ajustes',
+    'Reset All Settings': 'Restablecer todos los ajustes',
+    'Are you sure you want to reset all settings to their defaults? You can undo this with Undo.': '¿Seguro que quieres restablecer todos los ajustes a sus valores predeterminados? Puedes revertirlo con Deshacer.',
+    'Undo': 'Deshacer',
+    'Redo': 'Rehacer',
+    'Undo (Ctrl+Z)': 'Deshacer (Ctrl+Z)',
+    'Redo (Ctrl+Shift+Z)': 'Rehacer (Ctrl+Mayús+Z)',
+    'Settings imported. Some changes might require a manual page refresh to take full effect.': 'Ajustes importados. Puede que algunos cambios requieran recargar la página para aplicarse por completo.',
+    'Error importing settings: {message}': 'Error al importar los ajustes: {message}',
+    'The settings file has {count} invalid values, which will be skipped:\n{errors}\n\nImport the rest?': 'El archivo de ajustes tiene {count} valores no válidos, que se omitirán:\n{errors}\n\n¿Importar el resto?',
+    'The settings file loads clock face code from:\n{urls}\n\nThis code runs in the app with access to your settings and photos. Load it only if you trust these sites. Load it? (Cancel imports the rest without it.)': 'El archivo de ajustes carga código de esferas desde:\n{urls}\n\nEste código se ejecuta en la aplicación con acceso a tus ajustes y fotos. Cárgalo solo si confías en estos sitios. ¿Cargarlo? (Cancelar importa el resto sin él).',
+    'Error reading file: {message}': 'Error al leer el archivo: {message}',
+    'Tap background to toggle controls': 'Toca el fondo para mostrar u ocultar los controles',
+    'Select Font': 'Seleccionar fuente',
+
+    // Element sections
+    'Clock': 'Reloj',
+    'Date': 'Fecha',
+    'Weather': 'Tiempo',
+    'Timer': 'Temporizador',
+    'Agenda': 'Agenda',
+    'Favorites Panel': 'Panel de favoritos',
+    'Remove': 'Quitar',
+    'Remove this {name}': 'Quitar este elemento ({name})',
+    'Are you sure you want to remove this {name}?': '¿Seguro que quieres quitar este elemento ({name})?',
+    'My Location': 'Mi ubicación',
+    'Count Up': 'Cuenta progresiva',
+    'Countdown': 'Cuenta atrás',
+    'No Calendar': 'Sin calendario',
+
+    // Shared control labels
+    'Default': 'Predeterminada',
+    'Change Font': 'Cambiar fuente',
+    'Bold:': 'Negrita:',
+    'Position:': 'Posición:',
+    'Center on Screen': 'Centrar en pantalla',
+    'Effect:': 'Efecto:',
+    'Flat': 'Plano',
+    'Raised': 'En relieve',
+    'Reflected': 'Reflejado',
+    'Show Separator:': 'Mostrar separador:',
+    'Label:': 'Etiqueta:',
+    'Time Format:': 'Formato de hora:',
+    '12-hour': '12 horas',
+    '24-hour': '24 horas',
+    'Refresh Every:': 'Actualizar cada:',
+    'Location:': 'Ubicación:',
+    'Title:': 'Título:',
+
+    // Background
+    'Type:': 'Tipo:',
+    'Color': 'Color',
+    'Gradient': 'Degradado',
+    'Image': 'Imagen',
+    'Video': 'Vídeo',
+    'Image Source:': 'Fuente de imágenes:',
+    'No Image Providers Available': 'No hay proveedores de imágenes',
+    'Video Source:': 'Fuente de vídeos:',
+    'Country:': 'País:',
+    'Folder:': 'Carpeta:',
+    'Choose…': 'Elegir…',
+    'Show images from a folder on this device': 'Mostrar imágenes de una carpeta de este dispositivo',
+    'Use Manifest': 'Usar manifiesto',
+    'Show the images listed in images/manifest.json': 'Mostrar las imágenes de images/manifest.json',
+    'Gradient:': 'Degradado:',
+    'Linear': 'Lineal',
+    'Radial': 'Radial',
+    'Angle:': 'Ángulo:',
+    'Colors:': 'Colores:',
+    'Add color': 'Añadir color',
+    'Remove last color': 'Quitar el último color',
+    'Color {number}': 'Color {number}',
+    'Drift:': 'Movimiento:',
+    'Time of Day Colors:': 'Colores según la hora:',
+    'Follow the sky: night, sunrise, noon and dusk colors': 'Seguir el cielo: colores de noche, amanecer, mediodía y atardecer',
+    'Category:': 'Categoría:',
+    'Nature': 'Naturaleza',
+    'Technology': 'Tecnología',
+    'Architecture': 'Arquitectura',
+    'People': 'Personas',
+    'Animals': 'Animales',
+    'Travel': 'Viajes',
+    'Food': 'Comida',
+    'Abstract': 'Abstracto',
+    'Other': 'Otra',
+    'Custom:': 'Personalizada:',
+    'Enter custom category': 'Escribe una categoría',
+    'Opacity:': 'Opacidad:',
+    'Zoom Effect:': 'Efecto zoom:',
+    'Show Info:': 'Mostrar información:',
+    'Use Favorites Only:': 'Solo favoritos:',
+    'Favorites From:': 'Favoritos de:',
+    'All favorites': 'Todos los favoritos',
+    'Auto Cycle:': 'Cambio automático:',
+    'Cycle Interval (min):': 'Intervalo (min):',
+    'Color:': 'Color:',
+    'Background Color': 'Color de fondo',
+    'Switch the background type to {type} to show this favorite.': 'Cambia el tipo de fondo a {type} para mostrar este favorito.',
+    'Enter Custom Category': 'Introduce una categoría personalizada',
+    'No images found': 'No se encontraron imágenes',
+    'No videos found': 'No se encontraron vídeos',
+    'No images available': 'No hay imágenes disponibles',
+    'Unexpected Error': 'Error inesperado',
+    'Error loading image': 'Error al cargar la imagen',
+    'Error loading video': 'Error al cargar el vídeo',
+    'Error loading favorite image.': 'Error al cargar la imagen favorita.',
+    'Error loading favorite video.': 'Error al cargar el vídeo favorito.',
+    'Error: Failed to preload image': 'Error: no se pudo precargar la imagen',
+    'Error Loading Favorite': 'Error al cargar el favorito',
+
+    // Clock
+    'Time Zone:': 'Zona horaria:',
+    'Local Time': 'Hora local',
+    'e.g. London': 'p. ej. Londres',
+    'Clock Face:': 'Esfera:',
+    'Clean': 'Limpia',
+    'Analog': 'Analógica',
+    'Word': 'Palabras',
+    'Word Clock Language:': 'Idioma del reloj de palabras:',
+    'Lit Letters:': 'Letras encendidas:',
+    'Unlit Letters:': 'Letras apagadas:',
+    'Minute Dots:': 'Puntos de minutos:',
+    'Flip': 'Flip',
+    'Card Color:': 'Color de las tarjetas:',
+    'Markings': 'Marcas',
+    'Numerals:': 'Números:',
+    'None': 'Ninguno',
+    'Arabic': 'Arábigos',
+    'Roman': 'Romanos',
+    'Hour Ticks:': 'Marcas de hora:',
+    'Minute Ticks:': 'Marcas de minuto:',
+    'Lines': 'Líneas',
+    'Dots': 'Puntos',
+    'Hands': 'Agujas',
+    'Hand Shape:': 'Forma de las agujas:',
+    'Line': 'Línea',
+    'Baton': 'Bastón',
+    'Dauphine': 'Dauphine',
+    'Hour Hand:': 'Aguja de las horas:',
+    'Minute Hand:': 'Minutero:',
+    'Second Hand:': 'Segundero:',
+    'Smooth Second Hand:': 'Segundero continuo:',
+    'Dial': 'Esfera',
+    'Dial Color:': 'Color de la esfera:',
+    'Dial Opacity:': 'Opacidad de la esfera:',
+    'Border Color:': 'Color del borde:',
+    'Border Width:': 'Grosor del borde:',
+    'Complications': 'Complicaciones',
+    'Off': 'Desactivado',
+    'Top': 'Arriba',
+    'Right': 'Derecha',
+    'Bottom': 'Abajo',
+    'Left': 'Izquierda',
+    'Date Window:': 'Ventana de fecha:',
+    'Day of Week:': 'Día de la semana:',
+    'Moon Phase:': 'Fase lunar:',
+    'Time Zone Sub-dial:': 'Subesfera de zona horaria:',
+    '24-Hour Hand:': 'Aguja de 24 horas:',
+    'Second Time Zone:': 'Segunda zona horaria:',
+    'Show Seconds:': 'Mostrar segundos:',
+    'Clock Font:': 'Fuente del reloj:',
+    'Char Spacing (ch):': 'Espaciado (ch):',
+    'Colon Position X:': 'Posición X de los dos puntos:',
+    'Colon Position Y:': 'Posición Y de los dos puntos:',
+    'Clock Color:': 'Color del reloj:',
+    'Clock Size:': 'Tamaño del reloj:',
+    'Clock Opacity:': 'Opacidad del reloj:',
+
+    // Date
+    'Display Date:': 'Mostrar fecha:',
+    'Date Format:': 'Formato de fecha:',
+    'Custom...': 'Personalizado...',
+    'Format Tokens:': 'Códigos de formato:',
+    'e.g. dddd, Do MMMM': 'p. ej. dddd, Do MMMM',
+    'YYYY/YY year, MMMM/MMM month name, MM/M month, DD/D/Do day, dddd/ddd weekday, WW/W ISO week, DDD day of year, Q quarter, N era, [text] literal text': 'YYYY/YY año, MMMM/MMM nombre del mes, MM/M mes, DD/D/Do día, dddd/ddd día de la semana, WW/W semana ISO, DDD día del año, Q trimestre, N era, [texto] texto literal',
+    'Preview:': 'Vista previa:',
+    'Browser Default': 'Predeterminado del navegador',
+    'Calendar:': 'Calendario:',
+    'Gregorian': 'Gregoriano',
+    'Buddhist': 'Budista',
+    'Ethiopic': 'Etíope',
+    'Hebrew': 'Hebreo',
+    'Indian National': 'Nacional indio',
+    'Islamic (Umm al-Qura)': 'Islámico (Umm al-Qura)',
+    'Islamic (Civil)': 'Islámico (civil)',
+    'Japanese': 'Japonés',
+    'Persian': 'Persa',
+    'Date Font:': 'Fuente de la fecha:',
+    'Date Color:': 'Color de la fecha:',
+    'Date Size:': 'Tamaño de la fecha:',
+    'Date Opacity:': 'Opacidad de la fecha:',
+
+    // Weather
+    'City (blank = my location)': 'Ciudad (vacío = mi ubicación)',
+    'Units:': 'Unidades:',
+    'Metric (°C)': 'Métrico (°C)',
+    'Imperial (°F)': 'Imperial (°F)',
+    '{count} minutes': '{count} minutos',
+    'Display Weather:': 'Mostrar el tiempo:',
+    'Show Condition:': 'Mostrar estado:',
+    'Weather Font:': 'Fuente del tiempo:',
+    'Weather Color:': 'Color del tiempo:',
+    'Weather Size:': 'Tamaño del tiempo:',
+    'Weather Opacity:': 'Opacidad del tiempo:',
+
+    // Timer
+    'e.g. Launch in': 'p. ej. Lanzamiento en',
+    'Mode:': 'Modo:',
+    'Count Down To': 'Cuenta atrás hasta',
+    'Count Up From': 'Contar desde',
+    'Date & Time:': 'Fecha y hora:',
+    'Start Now:': 'Empezar ahora:',
+    'Minutes': 'Minutos',
+    'min': 'min',
+    'Start': 'Empezar',
+    'When Done:': 'Al terminar:',
+    'Flash and Chime': 'Destello y sonido',
+    'Flash': 'Destello',
+    'Chime': 'Sonido',
+    'Nothing': 'Nada',
+    'Display Timer:': 'Mostrar temporizador:',
+    'Timer Font:': 'Fuente del temporizador:',
+    'Timer Color:': 'Color del temporizador:',
+    'Timer Size:': 'Tamaño del temporizador:',
+    'Timer Opacity:': 'Opacidad del temporizador:',
+
+    // Agenda
+    'Display Agenda:': 'Mostrar agenda:',
+    'Calendar From:': 'Calendario desde:',
+    'URL (.ics feed)': 'URL (feed .ics)',
+    'Uploaded File': 'Archivo subido',
+    'Calendar URL:': 'URL del calendario:',
+    'https://... or webcal://...': 'https://... o webcal://...',
+    'Calendar File:': 'Archivo de calendario:',
+    'Upload .ics': 'Subir .ics',
+    '5 min': '5 min',
+    '15 min': '15 min',
+    '30 min': '30 min',
+    '1 hour': '1 hora',
+    'e.g. Meeting Room 2': 'p. ej. Sala de reuniones 2',
+    'Show Events:': 'Mostrar eventos:',
+    'Look Ahead:': 'Mostrar los próximos:',
+    'Today & Tomorrow': 'Hoy y mañana',
+    '3 Days': '3 días',
+    '1 Week': '1 semana',
+    '2 Weeks': '2 semanas',
+    '1 Month': '1 mes',
+    'Show Location:': 'Mostrar ubicación:',
+    'Agenda Font:': 'Fuente de la agenda:',
+    'Agenda Color:': 'Color de la agenda:',
+    'Agenda Size:': 'Tamaño de la agenda:',
+    'Agenda Opacity:': 'Opacidad de la agenda:',
+    'Loaded calendar "{name}".': 'Calendario «{name}» cargado.',
+    'Could not load calendar: {message}': 'No se pudo cargar el calendario: {message}',
+
+    // Favorites
+    '{count} favorite': '{count} favorito',
+    '{count} favorites': '{count} favoritos',
+    'Clear All': 'Borrar todo',
+    'No favorites yet. Add some using the ♡ icon.': 'Aún no hay favoritos. Añade alguno con el icono ♡.',
+    'No favorites here yet. Move favorites here from "All favorites".': 'Aún no hay favoritos aquí. Muévelos desde «Todos los favoritos».',
+    'Are you sure you want to clear all favorites? This cannot be undone.': '¿Seguro que quieres borrar todos los favoritos? No se puede deshacer.',
+    'Error applying favorite.': 'Error al aplicar el favorito.',
+    'Error removing favorite.': 'Error al quitar el favorito.',
+    '▶ Video': '▶ Vídeo',
+    'Favorite background': 'Fondo favorito',
+    'Remove from favorites': 'Quitar de favoritos',
+    'Add to Favorites': 'Añadir a favoritos',
+    'Remove from Favorites': 'Quitar de favoritos',
+    'Error toggling favorite status': 'Error al cambiar el estado de favorito',
+    'Collection': 'Colección',
+    'New': 'Nueva',
+    'New collection': 'Nueva colección',
+    'Rename': 'Renombrar',
+    'Rename collection': 'Renombrar colección',
+    'Delete': 'Eliminar',
+    'Delete collection': 'Eliminar colección',
+    'Not in a collection': 'Sin colección',
+    'No collection': 'Ninguna colección',
+    'Move to collection': 'Mover a colección',
+    'Name of the new collection:': 'Nombre de la nueva colección:',
+    'New name of the collection:': 'Nuevo nombre de la colección:',
+    'Delete the collection "{name}"? Its favorites will be kept.': '¿Eliminar la colección «{name}»? Sus favoritos se conservarán.',
+    'Saved Favorites': 'Favoritos guardados',
+    'Save Current Image': 'Guardar imagen actual',
+    'Show this image': 'Mostrar esta imagen',
+    '(No favorites saved yet)': '(Aún no hay favoritos guardados)',
+    '(No favorites in this collection)': '(No hay favoritos en esta colección)',
+    'No current image to favorite.': 'No hay ninguna imagen actual para guardar.',
+    'This image is already in your favorites.': 'Esta imagen ya está en tus favoritos.',
+    'Added to favorites.': 'Añadido a favoritos.',
+    'Image URL is required.': 'Falta la URL de la imagen.',
+    'Favorite not found.': 'Favorito no encontrado.',
+    'Moved to "{name}".': 'Movido a «{name}».',
+    'Removed from collection.': 'Quitado de la colección.',
+    'Removed from favorites.': 'Quitado de favoritos.',
+    'Favorite ID is required.': 'Falta el ID del favorito.',
+    'All favorites cleared.': 'Todos los favoritos borrados.',
+    'Error clearing favorites.': 'Error al borrar los favoritos.',
+    'Error saving collection.': 'Error al guardar la colección.',
+    'Collection "{name}" created.': 'Colección «{name}» creada.',
+    'Collection not found.': 'Colección no encontrada.',
+    'Collection renamed to "{name}".': 'Colección renombrada a «{name}».',
+    'Error deleting collection.': 'Error al eliminar la colección.',
+    'Collection "{name}" deleted.': 'Colección «{name}» eliminada.',
+    'Background change requested from favorite.': 'Cambiando el fondo al favorito.',
+    'Error requesting background change.': 'Error al cambiar el fondo.',
+    'Invalid image data - missing URL.': 'Datos de imagen no válidos: falta la URL.',
+    'Collection name is required.': 'Falta el nombre de la colección.',
+    'Collection names can be at most {count} characters.': 'Los nombres de colección pueden tener como máximo {count} caracteres.',
+    'A collection named "{name}" already exists.': 'Ya existe una colección llamada «{name}».',
+
+    // Schedule
+    'Auto Switch:': 'Cambio automático:',
+    'New profile name': 'Nombre del nuevo perfil',
+    'Save Current Look': 'Guardar aspecto actual',
+    'Rules': 'Reglas',
+    'Add Rule': 'Añadir regla',
+    'No profiles yet. Set up a look and save it below.': 'Aún no hay perfiles. Configura un aspecto y guárdalo abajo.',
+    'No rules yet. Profiles only change when applied manually.': 'Aún no hay reglas. Los perfiles solo cambian al aplicarlos a mano.',
+    'Apply': 'Aplicar',
+    'Apply this profile now': 'Aplicar este perfil ahora',
+    'Update': 'Actualizar',
+    'Replace this profile with the current look': 'Sustituir este perfil por el aspecto actual',
+    'Delete this profile': 'Eliminar este perfil',
+    'Remove this rule': 'Quitar esta regla',
+    '{name} (active)': '{name} (activo)',
+    'Unknown profile': 'Perfil desconocido',
+    'Please select at least one day.': 'Selecciona al menos un día.',
+    'Applied profile "{name}".': 'Perfil «{name}» aplicado.',
+    'Replace profile "{name}" with the current look?': '¿Sustituir el perfil «{name}» por el aspecto actual?',
+    'Profile "{name}" updated.': 'Perfil «{name}» actualizado.',
+    'Delete profile "{name}" and its rules?': '¿Eliminar el perfil «{name}» y sus reglas?',
+    'Profile name is required.': 'Falta el nombre del perfil.',
+    'A profile named "{name}" already exists.': 'Ya existe un perfil llamado «{name}».',
+    'Profile created.': 'Perfil creado.',
+    'Please choose an existing profile.': 'Elige un perfil existente.',
+    'Please enter a valid time (HH:MM).': 'Introduce una hora válida (HH:MM).',
+    'Rule added.': 'Regla añadida.',
+    'Every day': 'Todos los días',
+    'Weekdays': 'Entre semana',
+    'Weekends': 'Fines de semana',
+    'Sun': 'Dom',
+    'Mon': 'Lun',
+    'Tue': 'Mar',
+    'Wed': 'Mié',
+    'Thu': 'Jue',
+    'Fri': 'Vie',
+    'Sat': 'Sáb',
+
+    // Alarms
+    'e.g. Stand-up': 'p. ej. Reunión diaria',
+    'Add Alarm': 'Añadir alarma',
+    'Once On:': 'Una vez el:',
+    'Leave empty to repeat on the days below': 'Déjalo vacío para repetir los días de abajo',
+    'or repeat:': 'o repetir:',
+    'Sound:': 'Sonido:',
+    'No alarms yet.': 'Aún no hay alarmas.',
+    'Turn this alarm off': 'Desactivar esta alarma',
+    'Turn this alarm on': 'Activar esta alarma',
+    '(silent)': '(silencio)',
+    'Delete this alarm': 'Eliminar esta alarma',
+    'Please pick a date or at least one day.': 'Elige una fecha o al menos un día.',
+    'Please enter a valid date.': 'Introduce una fecha válida.',
+    'Alarm added.': 'Alarma añadida.',
+    'Alarm': 'Alarma',
+    'Dismiss': 'Descartar',
+
+    // Presets
+    'Presets': 'Preajustes',
+    'New preset name': 'Nombre del nuevo preajuste',
+    'Include Favorites:': 'Incluir favoritos:',
+    'Applying the preset will replace your favorites with the saved ones': 'Al aplicar el preajuste, tus favoritos se sustituirán por los guardados',
+    'New name for preset "{name}":': 'Nuevo nombre para el preajuste «{name}»:',
+    'Delete preset "{name}"?': '¿Eliminar el preajuste «{name}»?',
+    '{name} (built-in)': '{name} (integrado)',
+    'Apply this preset now': 'Aplicar este preajuste ahora',
+    'Rename this preset': 'Renombrar este preajuste',
+    'Duplicate': 'Duplicar',
+    'Save a copy of this preset': 'Guardar una copia de este preajuste',
+    'Export': 'Exportar',
+    'Download this preset as a settings file': 'Descargar este preajuste como archivo de ajustes',
+    'Delete this preset': 'Eliminar este preajuste',
+    'Preset saved.': 'Preajuste guardado.',
+    'Preset not found.': 'Preajuste no encontrado.',
+    'Error applying preset: {message}': 'Error al aplicar el preajuste: {message}',
+    'Applied preset "{name}".': 'Preajuste «{name}» aplicado.',
+    'Preset renamed.': 'Preajuste renombrado.',
+    'Copy of {name}': 'Copia de {name}',
+    'Preset duplicated.': 'Preajuste duplicado.',
+    'Preset name is required.': 'El nombre del preajuste es obligatorio.',
+    'A preset named "{name}" already exists.': 'Ya existe un preajuste llamado «{name}».',
+    'Minimal Clock': 'Reloj minimalista',
+    'Full Dashboard': 'Panel completo',
+    'Photo Frame': 'Marco de fotos',
+
+    // Sharing
+    'Share via Link': 'Compartir por enlace',
+    'Show a link and QR code that carry the current look': 'Mostrar un enlace y un código QR con el aspecto actual',
+    'Share Settings': 'Compartir ajustes',
+    'Copy Link': 'Copiar enlace',
+    'Close': 'Cerrar',
+    'Scan the code with a phone, or open the link on another screen, to use these settings there.': 'Escanea el código con un teléfono o abre el enlace en otra pantalla para usar estos ajustes allí.',
+    'These settings are too large for a QR code. Copy the link instead.': 'Estos ajustes son demasiado grandes para un código QR. Copia el enlace en su lugar.',
+    'Link copied.': 'Enlace copiado.',
+    'Could not create a settings link.': 'No se pudo crear el enlace de ajustes.',
+    'This link contains shared clock settings. Apply them? Your current look will be replaced (you can undo this).': 'Este enlace contiene ajustes del reloj compartidos. ¿Aplicarlos? Tu aspecto actual se sustituirá (puedes deshacerlo).',
+    'The shared settings have {count} invalid values, which will be skipped:\n{errors}\n\nApply the rest?': 'Los ajustes compartidos tienen {count} valores no válidos, que se omitirán:\n{errors}\n\n¿Aplicar el resto?',
+    'Shared settings applied.': 'Ajustes compartidos aplicados.',
+    'Error reading shared settings: {message}': 'Error al leer los ajustes compartidos: {message}'
+};
@@ -0,0 +1,433 @@
+/**
+ * French translations of the UI, keyed by the English text (see ../i18n.js).
+ */
+export default {
+    // Control panel
+    'Add Element': 'Ajouter un élément',
+    'Add': 'Ajouter',
+    'Background': 'Arrière-plan',
+    'Favorites': 'Favoris',
+    'Schedule': 'Planning',
+    'Alarms': 'Alarmes',
+    'Settings': 'Paramètres',
+    'Language:': 'Langue :',
+    'Automatic': 'Automatique',
+    'Clock Faces:': 'Cadrans :',
+    'URL of a clock face module. Only add faces from sources you trust.': 'URL d\'un module de cadran. N\'ajoutez que des cadrans de sources de confiance.',
+    'Add Face': 'Ajouter un cadran',
+    'Only the built-in faces.': 'Uniquement les cadrans intégrés.',
+    '(not loaded)': '(non chargé)',
+    'Remove this face': 'Retirer ce cadran',
+    'Could not load clock face: {url}': 'Impossible de charger le cadran : {url}',
+    'Download Settings': 'Télécharger les paramètres',
+    'Upload Settings': 'Importer les paramètres',
+    'Reset All Settings': 'Réinitialiser tous les paramètres',
+    'Are you sure you want to reset all settings to their defaults? You can undo this with Undo.': 'Voulez-vous vraiment rétablir tous les paramètres par défaut ? Vous pourrez revenir en arrière avec Annuler.',
+    'Undo': 'Annuler',
+    'Redo': 'Rétablir',
+    'Undo (Ctrl+Z)': 'Annuler (Ctrl+Z)',
+    'Redo (Ctrl+Shift+Z)': 'Rétablir (Ctrl+Maj+Z)',
+    'Settings imported. Some changes might require a manual page refresh to take full effect.': 'Paramètres importés. Certaines modifications peuvent nécessiter un rechargement de la page.',
+    'Error importing settings: {message}': 'Erreur lors de l\'importation des paramètres : {message}',
+    'The settings file has {count} invalid values, which will be skipped:\n{errors}\n\nImport the rest?': 'Le fichier de paramètres contient {count} valeurs non valides, qui seront ignorées :\n{errors}\n\nImporter le reste ?',
+    'The settings file loads clock face code from:\n{urls}\n\nThis code runs in the app with access to your settings and photos. Load it only if you trust these sites. Load it? (Cancel imports the rest without it.)': 'Le fichier de paramètres charge du code de cadran depuis :\n{urls}\n\nCe code s\'exécute dans l\'application avec accès à vos paramètres et photos. Ne le chargez que si vous faites confiance à ces sites. Le charger ? (Annuler importe le reste sans lui.)',
+    'Error reading file: {message}': 'Erreur de lecture du fichier : {message}',
+    'Tap background to toggle controls': 'Touchez l\'arrière-plan pour afficher les commandes',
+    'Select Font': 'Choisir une police',
+
+    // Element sections
+    'Clock': 'Horloge',
+    'Date': 'Date',
+    'Weather': 'Météo',
+    'Timer': 'Minuteur',
+    'Agenda': 'Agenda',
+    'Favorites Panel': 'Panneau des favoris',
+    'Remove': 'Supprimer',
+    'Remove this {name}': 'Supprimer cet élément ({name})',
+    'Are you sure you want to remove this {name}?': 'Voulez-vous vraiment supprimer cet élément ({name}) ?',
+    'My Location': 'Ma position',
+    'Count Up': 'Compteur',
+    'Countdown': 'Compte à rebours',
+    'No Calendar': 'Aucun calendrier',
+
+    // Shared control labels
+    'Default': 'Par défaut',
+    'Change Font': 'Changer de police',
+    'Bold:': 'Gras :',
+    'Position:': 'Position :',
+    'Center on Screen': 'Centrer à l\'écran',
+    'Effect:': 'Effet :',
+    'Flat': 'Plat',
+    'Raised': 'En relief',
+    'Reflected': 'Reflété',
+    'Show Separator:': 'Afficher le séparateur :',
+    'Label:': 'Libellé :',
+    'Time Format:': 'Format de l\'heure :',
+    '12-hour': '12 heures',
+    '24-hour': '24 heures',
+    'Refresh Every:': 'Actualiser toutes les :',
+    'Location:': 'Lieu :',
+    'Title:': 'Titre :',
+
+    // Background
+    'Type:': 'Type :',
+    'Color': 'Couleur',
+    'Gradient': 'Dégradé',
+    'Image': 'Image',
+    'Video': 'Vidéo',
+    'Image Source:': 'Source des images :',
+    'No Image Providers Available': 'Aucun fournisseur d\'images disponible',
+    'Video Source:': 'Source des vidéos :',
+    'Country:': 'Pays :',
+    'Folder:': 'Dossier :',
+    'Choose…': 'Choisir…',
+    'Show images from a folder on this device': 'Afficher les images d\'un dossier de cet appareil',
+    'Use Manifest': 'Utiliser le manifeste',
+    'Show the images listed in images/manifest.json': 'Afficher les images listées dans images/manifest.json',
+    'Gradient:': 'Dégradé :',
+    'Linear': 'Linéaire',
+    'Radial': 'Radial',
+    'Angle:': 'Angle :',
+    'Colors:': 'Couleurs :',
+    'Add color': 'Ajouter une couleur',
+    'Remove last color': 'Supprimer la dernière couleur',
+    'Color {number}': 'Couleur {number}',
+    'Drift:': 'Mouvement :',
+    'Time of Day Colors:': 'Couleurs selon l\'heure :',
+    'Follow the sky: night, sunrise, noon and dusk colors': 'Suivre le ciel : couleurs de nuit, d\'aube, de midi et de crépuscule',
+    'Category:': 'Catégorie :',
+    'Nature': 'Nature',
+    'Technology': 'Technologie',
+    'Architecture': 'Architecture',
+    'People': 'Personnes',
+    'Animals': 'Animaux',
+    'Travel': 'Voyage',
+    'Food': 'Cuisine',
+    'Abstract': 'Abstrait',
+    'Other': 'Autre',
+    'Custom:': 'Personnalisée :',
+    'Enter custom category': 'Saisir une catégorie',
+    'Opacity:': 'Opacité :',
+    'Zoom Effect:': 'Effet de zoom :',
+    'Show Info:': 'Afficher les infos :',
+    'Use Favorites Only:': 'Favoris uniquement :',
+    'Favorites From:': 'Favoris de :',
+    'All favorites': 'Tous les favoris',
+    'Auto Cycle:': 'Défilement auto :',
+    'Cycle Interval (min):': 'Intervalle (min) :',
+    'Color:': 'Couleur :',
+    'Background Color': 'Couleur d\'arrière-plan',
+    'Switch the background type to {type} to show this favorite.': 'Passez le type d\'arrière-plan à {type} pour afficher ce favori.',
+    'Enter Custom Category': 'Saisissez une catégorie personnalisée',
+    'No images found': 'Aucune image trouvée',
+    'No videos found': 'Aucune vidéo trouvée',
+    'No images available': 'Aucune image disponible',
+    'Unexpected Error': 'Erreur inattendue',
+    'Error loading image': 'Erreur de chargement de l\'image',
+    'Error loading video': 'Erreur de chargement de la vidéo',
+    'Error loading favorite image.': 'Erreur de chargement de l\'image favorite.',
+    'Error loading favorite video.': 'Erreur de chargement de la vidéo favorite.',
+    'Error: Failed to preload image': 'Erreur : impossible de précharger l\'image',
+    'Error Loading Favorite': 'Erreur de chargement du favori',
+
+    // Clock
+    'Time Zone:': 'Fuseau horaire :',
+    'Local Time': 'Heure locale',
+    'e.g. London': 'p. ex. Londres',
+    'Clock Face:': 'Cadran :',
+    'Clean': 'Épurée',
+    'Analog': 'Analogique',
+    'Word': 'En toutes lettres',
+    'Word Clock Language:': 'Langue de l\'horloge en mots :',
+    'Lit Letters:': 'Lettres allumées :',
+    'Unlit Letters:': 'Lettres éteintes :',
+    'Minute Dots:': 'Points des minutes :',
+    'Flip': 'À volets',
+    'Card Color:': 'Couleur des volets :',
+    'Markings': 'Graduations',
+    'Numerals:': 'Chiffres :',
+    'None': 'Aucun',
+    'Arabic': 'Arabes',
+    'Roman': 'Romains',
+    'Hour Ticks:': 'Index des heures :',
+    'Minute Ticks:': 'Index des minutes :',
+    'Lines': 'Traits',
+    'Dots': 'Points',
+    'Hands': 'Aiguilles',
+    'Hand Shape:': 'Forme des aiguilles :',
+    'Line': 'Trait',
+    'Baton': 'Bâton',
+    'Dauphine': 'Dauphine',
+    'Hour Hand:': 'Aiguille des heures :',
+    'Minute Hand:': 'Aiguille des minutes :',
+    'Second Hand:': 'Trotteuse :',
+    'Smooth Second Hand:': 'Trotteuse continue :',
+    'Dial': 'Cadran',
+    'Dial Color:': 'Couleur du cadran :',
+    'Dial Opacity:': 'Opacité du cadran :',
+    'Border Color:': 'Couleur de la bordure :',
+    'Border Width:': 'Épaisseur de la bordure :',
+    'Complications': 'Complications',
+    'Off': 'Désactivé',
+    'Top': 'En haut',
+    'Right': 'À droite',
+    'Bottom': 'En bas',
+    'Left': 'À gauche',
+    'Date Window:': 'Guichet de date :',
+    'Day of Week:': 'Jour de la semaine :',
+    'Moon Phase:': 'Phase de lune :',
+    'Time Zone Sub-dial:': 'Sous-cadran fuseau horaire :',
+    '24-Hour Hand:': 'Aiguille 24 heures :',
+    'Second Time Zone:': 'Second fuseau horaire :',
+    'Show Seconds:': 'Afficher les secondes :',
+    'Clock Font:': 'Police de l\'horloge :',
+    'Char Spacing (ch):': 'Espacement (ch) :',
+    'Colon Position X:': 'Position X des deux-points :',
+    'Colon Position Y:': 'Position Y des deux-points :',
+    'Clock Color:': 'Couleur de l\'horloge :',
+    'Clock Size:': 'Taille de l\'horloge :',
+    'Clock Opacity:': 'Opacité de l\'horloge :',
+
+    // Date
+    'Display Date:': 'Afficher la date :',
+    'Date Format:': 'Format de date :',
+    'Custom...': 'Personnalisé...',
+    'Format Tokens:': 'Jetons de format :',
+    'e.g. dddd, Do MMMM': 'p. ex. dddd, Do MMMM',
+    'YYYY/YY year, MMMM/MMM month name, MM/M month, DD/D/Do day, dddd/ddd weekday, WW/W ISO week, DDD day of year, Q quarter, N era, [text] literal text': 'YYYY/YY année, MMMM/MMM nom du mois, MM/M mois, DD/D/Do jour, dddd/ddd jour de la semaine, WW/W semaine ISO, DDD jour de l\'année, Q trimestre, N ère, [texte] texte littéral',
+    'Preview:': 'Aperçu :',
+    'Browser Default': 'Langue du navigateur',
+    'Calendar:': 'Calendrier :',
+    'Gregorian': 'Grégorien',
+    'Buddhist': 'Bouddhiste',
+    'Ethiopic': 'Éthiopien',
+    'Hebrew': 'Hébraïque',
+    'Indian National': 'National indien',
+    'Islamic (Umm al-Qura)': 'Musulman (Umm al-Qura)',
+    'Islamic (Civil)': 'Musulman (civil)',
+    'Japanese': 'Japonais',
+    'Persian': 'Persan',
+    'Date Font:': 'Police de la date :',
+    'Date Color:': 'Couleur de la date :',
+    'Date Size:': 'Taille de la date :',
+    'Date Opacity:': 'Opacité de la date :',
+
+    // Weather
+    'City (blank = my location)': 'Ville (vide = ma position)',
+    'Units:': 'Unités :',
+    'Metric (°C)': 'Métrique (°C)',
+    'Imperial (°F)': 'Impérial (°F)',
+    '{count} minutes': '{count} minutes',
+    'Display Weather:': 'Afficher la météo :',
+    'Show Condition:': 'Afficher les conditions :',
+    'Weather Font:': 'Police de la météo :',
+    'Weather Color:': 'Couleur de la météo :',
+    'Weather Size:': 'Taille de la météo :',
+    'Weather Opacity:': 'Opacité de la météo :',
+
+    // Timer
+    'e.g. Launch in': 'p. ex. Lancement dans',
+    'Mode:': 'Mode :',
+    'Count Down To': 'Compte à rebours jusqu\'à',
+    'Count Up From': 'Compter depuis',
+    'Date & Time:': 'Date et heure :',
+    'Start Now:': 'Démarrer :',
+    'Minutes': 'Minutes',
+    'min': 'min',
+    'Start': 'Démarrer',
+    'When Done:': 'À la fin :',
+    'Flash and Chime': 'Flash et carillon',
+    'Flash': 'Flash',
+    'Chime': 'Carillon',
+    'Nothing': 'Rien',
+    'Display Timer:': 'Afficher le minuteur :',
+    'Timer Font:': 'Police du minuteur :',
+    'Timer Color:': 'Couleur du minuteur :',
+    'Timer Size:': 'Taille du minuteur :',
+    'Timer Opacity:': 'Opacité du minuteur :',
+
+    // Agenda
+    'Display Agenda:': 'Afficher l\'agenda :',
+    'Calendar From:': 'Calendrier depuis :',
+    'URL (.ics feed)': 'URL (flux .ics)',
+    'Uploaded File': 'Fichier importé',
+    'Calendar URL:': 'URL du calendrier :',
+    'https://... or webcal://...': 'https://... ou webcal://...',
+    'Calendar File:': 'Fichier de calendrier :',
+    'Upload .ics': 'Importer un .ics',
+    '5 min': '5 min',
+    '15 min': '15 min',
+    '30 min': '30 min',
+    '1 hour': '1 heure',
+    'e.g. Meeting Room 2': 'p. ex. Salle de réunion 2',
+    'Show Events:': 'Événements affichés :',
+    'Look Ahead:': 'Période :',
+    'Today & Tomorrow': 'Aujourd\'hui et demain',
+    '3 Days': '3 jours',
+    '1 Week': '1 semaine',
+    '2 Weeks': '2 semaines',
+    '1 Month': '1 mois',
+    'Show Location:': 'Afficher le lieu :',
+    'Agenda Font:': 'Police de l\'agenda :',
+    'Agenda Color:': 'Couleur de l\'agenda :',
+    'Agenda Size:': 'Taille de l\'agenda :',
+    'Agenda Opacity:': 'Opacité de l\'agenda :',
+    'Loaded calendar "{name}".': 'Calendrier « {name} » chargé.',
+    'Could not load calendar: {message}': 'Impossible de charger le calendrier : {message}',
+
+    // Favorites
+    '{count} favorite': '{count} favori',
+    '{count} favorites': '{count} favoris',
+    'Clear All': 'Tout effacer',
+    'No favorites yet. Add some using the ♡ icon.': 'Pas encore de favoris. Ajoutez-en avec l\'icône ♡.',
+    'No favorites here yet. Move favorites here from "All favorites".': 'Pas encore de favoris ici. Déplacez-en depuis « Tous les favoris ».',
+    'Are you sure you want to clear all favorites? This cannot be undone.': 'Voulez-vous vraiment effacer tous les favoris ? Cette action est irréversible.',
+    'Error applying favorite.': 'Erreur lors de l\'application du favori.',
+    'Error removing favorite.': 'Erreur lors de la suppression du favori.',
+    '▶ Video': '▶ Vidéo',
+    'Favorite background': 'Arrière-plan favori',
+    'Remove from favorites': 'Retirer des favoris',
+    'Add to Favorites': 'Ajouter aux favoris',
+    'Remove from Favorites': 'Retirer des favoris',
+    'Error toggling favorite status': 'Erreur lors de la modification du favori',
+    'Collection': 'Collection',
+    'New': 'Nouvelle',
+    'New collection': 'Nouvelle collection',
+    'Rename': 'Renommer',
+    'Rename collection': 'Renommer la collection',
+    'Delete': 'Supprimer',
+    'Delete collection': 'Supprimer la collection',
+    'Not in a collection': 'Hors collection',
+    'No collection': 'Aucune collection',
+    'Move to collection': 'Déplacer vers une collection',
+    'Name of the new collection:': 'Nom de la nouvelle collection :',
+    'New name of the collection:': 'Nouveau nom de la collection :',
+    'Delete the collection "{name}"? Its favorites will be kept.': 'Supprimer la collection « {name} » ? Ses favoris seront conservés.',
+    'Saved Favorites': 'Favoris enregistrés',
+    'Save Current Image': 'Enregistrer l\'image actuelle',
+    'Show this image': 'Afficher cette image',
+    '(No favorites saved yet)': '(Aucun favori enregistré)',
+    '(No favorites in this collection)': '(Aucun favori dans cette collection)',
+    'No current image to favorite.': 'Aucune image actuelle à ajouter aux favoris.',
+    'This image is already in your favorites.': 'Cette image est déjà dans vos favoris.',
+    'Added to favorites.': 'Ajouté aux favoris.',
+    'Image URL is required.': 'L\'URL de l\'image est requise.',
+    'Favorite not found.': 'Favori introuvable.',
+    'Moved to "{name}".': 'Déplacé vers « {name} ».',
+    'Removed from collection.': 'Retiré de la collection.',
+    'Removed from favorites.': 'Retiré des favoris.',
+    'Favorite ID is required.': 'L\'identifiant du favori est requis.',
+    'All favorites cleared.': 'Tous les favoris ont été effacés.',
+    'Error clearing favorites.': 'Erreur lors de l\'effacement des favoris.',
+    'Error saving collection.': 'Erreur lors de l\'enregistrement de la collection.',
+    'Collection "{name}" created.': 'Collection « {name} » créée.',
+    'Collection not found.': 'Collection introuvable.',
+    'Collection renamed to "{name}".': 'Collection renommée en « {name} ».',
+    'Error deleting collection.': 'Erreur lors de la suppression de la collection.',
+    'Collection "{name}" deleted.': 'Collection « {name} » supprimée.',
+    'Background change requested from favorite.': 'Changement d\'arrière-plan demandé.',
+    'Error requesting background change.': 'Erreur lors du changement d\'arrière-plan.',
+    'Invalid image data - missing URL.': 'Données d\'image invalides : URL manquante.',
+    'Collection name is required.': 'Le nom de la collection est requis.',
+    'Collection names can be at most {count} characters.': 'Les noms de collection sont limités à {count} caractères.',
+    'A collection named "{name}" already exists.': 'Une collection nommée « {name} » existe déjà.',
+
+    // Schedule
+    'Auto Switch:': 'Changement auto :',
+    'New profile name': 'Nom du nouveau profil',
+    'Save Current Look': 'Enregistrer l\'apparence actuelle',
+    'Rules': 'Règles',
+    'Add Rule': 'Ajouter une règle',
+    'No profiles yet. Set up a look and save it below.': 'Pas encore de profils. Créez une apparence et enregistrez-la ci-dessous.',
+    'No rules yet. Profiles only change when applied manually.': 'Pas encore de règles. Les profils ne changent que lorsqu\'ils sont appliqués manuellement.',
+    'Apply': 'Appliquer',
+    'Apply this profile now': 'Appliquer ce profil maintenant',
+    'Update': 'Mettre à jour',
+    'Replace this profile with the current look': 'Remplacer ce profil par l\'apparence actuelle',
+    'Delete this profile': 'Supprimer ce profil',
+    'Remove this rule': 'Supprimer cette règle',
+    '{name} (active)': '{name} (actif)',
+    'Unknown profile': 'Profil inconnu',
+    'Please select at least one day.': 'Veuillez choisir au moins un jour.',
+    'Applied profile "{name}".': 'Profil « {name} » appliqué.',
+    'Replace profile "{name}" with the current look?': 'Remplacer le profil « {name} » par l\'apparence actuelle ?',
+    'Profile "{name}" updated.': 'Profil « {name} » mis à jour.',
+    'Delete profile "{name}" and its rules?': 'Supprimer le profil « {name} » et ses règles ?',
+    'Profile name is required.': 'Le nom du profil est requis.',
+    'A profile named "{name}" already exists.': 'Un profil nommé « {name} » existe déjà.',
+    'Profile created.': 'Profil créé.',
+    'Please choose an existing profile.': 'Veuillez choisir un profil existant.',
+    'Please enter a valid time (HH:MM).': 'Veuillez saisir une heure valide (HH:MM).',
+    'Rule added.': 'Règle ajoutée.',
+    'Every day': 'Tous les jours',
+    'Weekdays': 'En semaine',
+    'Weekends': 'Le week-end',
+    'Sun': 'Dim',
+    'Mon': 'Lun',
+    'Tue': 'Mar',
+    'Wed': 'Mer',
+    'Thu': 'Jeu',
+    'Fri': 'Ven',
+    'Sat': 'Sam',
+
+    // Alarms
+    'e.g. Stand-up': 'p. ex. Point quotidien',
+    'Add Alarm': 'Ajouter une alarme',
+    'Once On:': 'Une fois le :',
+    'Leave empty to repeat on the days below': 'Laisser vide pour répéter les jours ci-dessous',
+    'or repeat:': 'ou répéter :',
+    'Sound:': 'Son :',
+    'No alarms yet.': 'Pas encore d\'alarmes.',
+    'Turn this alarm off': 'Désactiver cette alarme',
+    'Turn this alarm on': 'Activer cette alarme',
+    '(silent)': '(silencieux)',
+    'Delete this alarm': 'Supprimer cette alarme',
+    'Please pick a date or at least one day.': 'Veuillez choisir une date ou au moins un jour.',
+    'Please enter a valid date.': 'Veuillez saisir une date valide.',
+    'Alarm added.': 'Alarme ajoutée.',
+    'Alarm': 'Alarme',
+    'Dismiss': 'Ignorer',
+
+    // Presets
+    'Presets': 'Préréglages',
+    'New preset name': 'Nom du nouveau préréglage',
+    'Include Favorites:': 'Inclure les favoris :',
+    'Applying the preset will replace your favorites with the saved ones': 'Appliquer le préréglage remplacera vos favoris par ceux enregistrés',
+    'New name for preset "{name}":': 'Nouveau nom du préréglage « {name} » :',
+    'Delete preset "{name}"?': 'Supprimer le préréglage « {name} » ?',
+    '{name} (built-in)': '{name} (intégré)',
+    'Apply this preset now': 'Appliquer ce préréglage maintenant',
+    'Rename this preset': 'Renommer ce préréglage',
+    'Duplicate': 'Dupliquer',
+    'Save a copy of this preset': 'Enregistrer une copie de ce préréglage',
+    'Export': 'Exporter',
+    'Download this preset as a settings file': 'Télécharger ce préréglage comme fichier de paramètres',
+    'Delete this preset': 'Supprimer ce préréglage',
+    'Preset saved.': 'Préréglage enregistré.',
+    'Preset not found.': 'Préréglage introuvable.',
+    'Error applying preset: {message}': 'Erreur lors de l\'application du préréglage : {message}',
+    'Applied preset "{name}".': 'Préréglage « {name} » appliqué.',
+    'Preset renamed.': 'Préréglage renommé.',
+    'Copy of {name}': 'Copie de {name}',
+    'Preset duplicated.': 'Préréglage dupliqué.',
+    'Preset name is required.': 'Le nom du préréglage est obligatoire.',
+    'A preset named "{name}" already exists.': 'Un préréglage nommé « {name} » existe déjà.',
+    'Minimal Clock': 'Horloge minimaliste',
+    'Full Dashboard': 'Tableau de bord complet',
+    'Photo Frame': 'Cadre photo',
+
+    // Sharing
+    'Share via Link': 'Partager par lien',
+    'Show a link and QR code that carry the current look': 'Afficher un lien et un code QR contenant l\'apparence actuelle',
+    'Share Settings': 'Partager les paramètres',
+    'Copy Link': 'Copier le lien',
+    'Close': 'Fermer',
+    'Scan the code with a phone, or open the link on another screen, to use these settings there.': 'Scannez le code avec un téléphone ou ouvrez le lien sur un autre écran pour y utiliser ces paramètres.',
+    'These settings are too large for a QR code. Copy the link instead.': 'Ces paramètres sont trop volumineux pour un code QR. Copiez plutôt le lien.',
+    'Link copied.': 'Lien copié.',
+    'Could not create a settings link.': 'Impossible de créer le lien de paramètres.',
+    'This link contains shared clock settings. Apply them? Your current look will be replaced (you can undo this).': 'Ce lien contient des paramètres d\'horloge partagés. Les appliquer ? Votre apparence actuelle sera remplacée (vous pourrez annuler).',
+    'The shared settings have {count} invalid values, which will be skipped:\n{errors}\n\nApply the rest?': 'Les paramètres partagés contiennent {count} valeurs non valides, qui seront ignorées :\n{errors}\n\nAppliquer le reste ?',
+    'Shared settings applied.': 'Paramètres partagés appliqués.',
+    'Error reading shared settings: {message}': 'Erreur lors de la lecture des paramètres partagés : {message}'
+};
@@ -1,36 +1,72 @@
 import { EventBus } from '../core/event-bus.js';
+import { StateManager } from '../core/state-manager.js';
+import { ComponentRegistry } from '../core/component-registry.js';
 // Removed duplicate EventBus import
 import { ClockControls } from '../components/controls/clock-controls.js';
 import { DateControls } from '../components/controls/date-controls.js';
+import { WeatherControls } from '../components/controls/weather-controls.js';
+import { TimerControls } from '../components/controls/timer-controls.js';
+import { AgendaControls } from '../components/controls/agenda-controls.js';
 import * as logger from '../utils/logger.js'; // Import the logger
+import { localize, t } from '../i18n/i18n.js';
 // Import other dynamic control types here as needed
 
+/**
+ * Returns the host name of a URL, or '' if it can't be parsed.
+ * @param {string} url - The URL.
+ * @returns {string} The host name.
+ */
+function getHostname(url) {
+    try {
+        return url ? new URL(url).hostname : '';
+    } catch (e) {
+        return '';
+    }
+}
+
 /**
  * Manages the lifecycle (creation, initialization, destruction) of dynamic
  * control components (like ClockControls, DateControls) based on application events.
+ * Every element with controls (or that users can remove) gets its own control panel section,
+ * created when the element is created and torn down when it is destroyed.
  */
 export class DynamicControlManager {
     /**
      * Creates a DynamicControlManager instance.
-     * @param {object} placeholders - An object containing the placeholder elements for dynamic controls.
-     * @param {HTMLElement} placeholders.clockSectionPlaceholder - Placeholder for clock controls.
-     * @param {HTMLElement} placeholders.dateSectionPlaceholder - Placeholder for date controls.
+     * @param {HTMLElement} sectionsContainer - The container that per-element control sections are appended to.
      * @param {ElementManager} elementManager - The application's ElementManager instance.
      */
-    constructor(placeholders, elementManager) {
-        if (!placeholders || !placeholders.clockSectionPlaceholder || !placeholders.dateSectionPlaceholder) {
-            throw new Error('DynamicControlManager requires placeholder elements.');
+    constructor(sectionsContainer, elementManager) {
+        if (!sectionsContainer) {
+            throw new Error('DynamicControlManager requires a sections container element.');
         }
         if (!elementManager) {
             throw new Error('DynamicControlManager requires an ElementManager instance.');
         }
-        this.placeholders = placeholders;
+        this.sectionsContainer = sectionsContainer;
         this.elementManager = elementManager;
         this.activeControls = new Map(); // Stores active control instances { elementId: controlsInstance }
+        this.elementSections = new Map(); // Stores per-element sections { elementId: { section, subscriptions } }
         this.subscriptions = [];
-        this.controlMap = { // Maps element types to control classes and placeholders
-            'clock': { class: ClockControls, placeholder: this.placeholders.clockSectionPlaceholder, title: 'Clock' },
-            'date': { class: DateControls, placeholder: this.placeholders.dateSectionPlaceholder, title: 'Date' }
+        this.controlMap = { // Maps element types to control classes (section titles come from ComponentRegistry)
+            'clock': {
+                class: ClockControls,
+                // Distinguishes clocks from each other when several are configured (world clock mode)
+                getSubtitle: (options = {}) => options.label || (options.timeZone ? options.timeZone.replace(/_/g, ' ') : t('Local Time'))
+            },
+            'date': { class: DateControls },
+            'weather': {
+                class: WeatherControls,
+                getSubtitle: (options = {}) => options.location || t('My Location')
+            },
+            'timer': {
+                class: TimerControls,
+                getSubtitle: (options = {}) => options.label || t(options.mode === 'countup' ? 'Count Up' : 'Countdown')
+            },
+            'agenda': {
+                class: AgendaControls,
+                getSubtitle: (options = {}) => options.title || (options.source === 'file' ? options.fileName : getHostname(options.url)) || t('No Calendar')
+            }
             // Add other mappings here
         };
         logger.log('[DynamicControlManager] Instantiated.'); // Keep as log
@@ -76,56 +112,137 @@ export class DynamicControlManager {
 
 
     /**
-     * Handles the creation of a new element by creating its corresponding controls.
+     * Handles the creation of a new element by creating its control section and controls.
      * @param {string} elementId - The ID of the created element.
      * @param {string} elementType - The type of the created element.
      */
     async _handleElementCreated(elementId, elementType) {
-        if (this.activeControls.has(elementId)) {
+        if (this.elementSections.has(elementId)) {
             logger.debug(`[DynamicControlManager] Controls for ${elementId} already exist.`); // Changed to debug
             return; // Avoid adding duplicate controls
         }
 
         const controlInfo = this.controlMap[elementType];
-        if (!controlInfo) {
+        const removable = ComponentRegistry.isUserPlaceable(elementType);
+        if (!controlInfo && !removable) {
             logger.debug(`[DynamicControlManager] No specific controls defined for element type: ${elementType}`); // Changed to debug
             return;
         }
 
-        const { class: ControlClass, placeholder: targetContainer, title: sectionTitle } = controlInfo;
+        logger.log(`[DynamicControlManager] Initializing ${elementType} controls for ${elementId}`); // Keep as log
+        const section = this._createElementSection(elementId, elementType, controlInfo, removable);
+        this.sectionsContainer.appendChild(section);
 
-        if (!targetContainer) {
-            logger.error(`[DynamicControlManager] Placeholder container not found for ${elementType} controls (${elementId})`); // Use logger.error
-            return;
+        if (!controlInfo) {
+            return; // Section only offers the remove action
         }
 
-        logger.log(`[DynamicControlManager] Initializing ${elementType} controls for ${elementId}`); // Keep as log
-        // Clear placeholder content and re-add title (only if no other controls of this type exist?)
-        // For simplicity now, we assume one control type per placeholder. If multiple clocks/dates
-        // were possible, this logic would need refinement (e.g., appending instead of clearing).
-        targetContainer.innerHTML = '';
-        const title = document.createElement('h3');
-        title.className = 'section-title';
-        title.textContent = sectionTitle;
-        targetContainer.appendChild(title);
-
         // Instantiate and initialize controls
-        const controlsInstance = new ControlClass(targetContainer, elementId);
+        const { class: ControlClass } = controlInfo;
+        const controlsInstance = new ControlClass(section, elementId);
         const success = await controlsInstance.init();
 
+        if (!this.elementSections.has(elementId)) {
+            // Element was destroyed while its controls were initializing
+            controlsInstance.destroy();
+            return;
+        }
+
         if (success) {
             this.activeControls.set(elementId, controlsInstance);
             logger.log(`[DynamicControlManager] Successfully added controls for ${elementType} element: ${elementId}`); // Keep as log
         } else {
             logger.error(`[DynamicControlManager] Failed to initialize ${elementType} controls for ${elementId}`); // Use logger.error
             controlsInstance?.destroy(); // Clean up failed instance
-            // Optionally restore placeholder text?
-            // targetContainer.innerHTML = `<p>Error loading ${sectionTitle} controls.</p>`;
+            this._removeElementSection(elementId);
         }
     }
 
     /**
-     * Handles the destruction of an element by removing its corresponding controls.
+     * Creates the control panel section for an element: title, optional subtitle
+     * (kept in sync with the element's options) and optional remove button.
+     * @param {string} elementId - The ID of the element.
+     * @param {string} elementType - The type of the element.
+     * @param {object|undefined} controlInfo - The controlMap entry for the element's type, if any.
+     * @param {boolean} removable - Whether to add a remove button.
+     * @returns {HTMLElement} The section container.
+     * @private
+     */
+    _createElementSection(elementId, elementType, controlInfo, removable) {
+        const section = document.createElement('div');
+        section.className = `control-section element-controls-section ${elementType}-controls-section`;
+        section.dataset.elementId = elementId;
+
+        const header = document.createElement('div');
+        header.className = 'element-section-header';
+        const title = document.createElement('h3');
+        title.className = 'section-title';
+        localize(title, ComponentRegistry.getDisplayName(elementType));
+        header.appendChild(title);
+
+        if (removable) {
+            const removeButton = document.createElement('button');
+            removeButton.className = 'remove-element-button small-button';
+            localize(removeButton, 'Remove');
+            removeButton.title = t('Remove this {name}', { name: t(ComponentRegistry.getDisplayName(elementType)).toLowerCase() });
+            removeButton.addEventListener('click', () => this._handleRemoveClick(elementId, elementType));
+            header.appendChild(removeButton);
+        }
+        section.appendChild(header);
+
+        const subscriptions = [];
+        if (typeof controlInfo?.getSubtitle === 'function') {
+            const subtitle = document.createElement('h4');
+            subtitle.className = 'element-controls-title';
+            const optionsPath = `elements.${elementId}.options`;
+            const updateSubtitle = () => {
+                subtitle.textContent = controlInfo.getSubtitle(StateManager.getNestedValue(StateManager.getState(), optionsPath));
+            };
+            updateSubtitle();
+            section.appendChild(subtitle);
+
+            subscriptions.push(
+                EventBus.subscribe(`state:${optionsPath}:changed`, (options) => {
+                    if (options) subtitle.textContent = controlInfo.getSubtitle(options);
+                }),
+                EventBus.subscribe('i18n:languageChanged', updateSubtitle) // Fallback subtitles are translated
+            );
+        }
+
+        this.elementSections.set(elementId, { section, subscriptions });
+        return section;
+    }
+
+    /**
+     * Asks for confirmation and removes the element. Its section is torn down
+     * via the resulting element:destroyed event.
+     * @param {string} elementId - The ID of the element to remove.
+     * @param {string} elementType - The type of the element.
+     * @private
+     */
+    _handleRemoveClick(elementId, elementType) {
+        const name = t(ComponentRegistry.getDisplayName(elementType)).toLowerCase();
+        if (confirm(t('Are you sure you want to remove this {name}?', { name }))) {
+            logger.debug(`[DynamicControlManager] Removing element ${elementId} on user request.`);
+            this.elementManager.removeElement(elementId);
+        }
+    }
+
+    /**
+     * Removes an element's section from the DOM and drops its subscriptions.
+     * @param {string} elementId - The ID of the element.
+     * @private
+     */
+    _removeElementSection(elementId) {
+        const entry = this.elementSections.get(elementId);
+        if (!entry) return;
+        entry.subscriptions.forEach(sub => sub.unsubscribe());
+        entry.section.remove();
+        this.elementSections.delete(elementId);
+    }
+
+    /**
+     * Handles the destruction of an element by removing its corresponding controls and section.
      * @param {string} elementId - The ID of the destroyed element.
      */
     _handleElementDestroyed(elementId) {
@@ -135,13 +252,10 @@ export class DynamicControlManager {
             logger.log(`[DynamicControlManager] Removing ${elementType} controls for ${elementId}`); // Keep as log
             controls.destroy(); // Call the control's own destroy method
             this.activeControls.delete(elementId);
-
-            // Optional: Restore placeholder if this was the last control of its type
-            // This requires more complex tracking if multiple instances per type are allowed.
-            // For now, we assume the placeholder remains empty after the last control is removed.
         } else {
              logger.debug(`[DynamicControlManager] No active controls found for destroyed element ID: ${elementId}`); // Changed to debug
         }
+        this._removeElementSection(elementId);
     }
 
     /**
@@ -156,6 +270,7 @@ export class DynamicControlManager {
         // Destroy dynamically added element controls
         this.activeControls.forEach(controls => controls.destroy());
         this.activeControls.clear();
+        Array.from(this.elementSections.keys()).forEach(elementId => this._removeElementSection(elementId));
 
         logger.log('[DynamicControlManager] Destroyed.'); // Keep as log
     }
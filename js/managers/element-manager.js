@@ -20,6 +20,7 @@ export class ElementManager {
     this.containerElement = containerElement;
     this.dependencies = dependencies; // Store dependencies (e.g., { configManager })
     this.elementInstances = new Map(); // Stores active element instances, keyed by element ID
+    this.pendingCreations = new Set(); // IDs currently being initialized (guards against overlapping syncs)
     this.unsubscribeState = null;
 
     logger.log('ElementManager created. containerElement:', containerElement, 'Dependencies:', Object.keys(dependencies)); // Keep as log
@@ -62,7 +63,7 @@ export class ElementManager {
     const currentInstanceIds = Array.from(this.elementInstances.keys());
 
     // Elements to add/create
-    const elementsToAdd = currentStateIds.filter(id => !this.elementInstances.has(id));
+    const elementsToAdd = currentStateIds.filter(id => !this.elementInstances.has(id) && !this.pendingCreations.has(id));
 
     // Elements to remove/destroy
     const elementsToRemove = currentInstanceIds.filter(id => !elementsState[id]);
@@ -121,7 +122,14 @@ export class ElementManager {
 
     if (elementInstance) {
       // Initialize the element (which creates its DOM, binds state, etc.)
-       const initSuccess = await elementInstance.init();
+       // Mark as pending so a sync triggered by another state change in the meantime doesn't create it twice
+       this.pendingCreations.add(id);
+       let initSuccess = false;
+       try {
+         initSuccess = await elementInstance.init();
+       } finally {
+         this.pendingCreations.delete(id);
+       }
 
        if (initSuccess && elementInstance.container) {
          // Publish event indicating this specific element is ready *before* adding to fragment
@@ -164,6 +172,69 @@ export class ElementManager {
     }
   }
 
+  /**
+   * Generates an element ID that isn't used in the current state.
+   * @param {string} type - The element type, used as the ID prefix (e.g., 'clock-lx3k9a2f').
+   * @returns {string} A unique element ID.
+   */
+  generateElementId(type) {
+    const elements = StateManager.getState().elements || {};
+    let id;
+    do {
+      id = `${type}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    } while (elements[id] || this.elementInstances.has(id));
+    return id;
+  }
+
+  /**
+   * Adds a new element of the given type to the state. The instance itself is created
+   * by syncElements in response to the resulting state change.
+   * @param {string} type - A registered, user-placeable element type.
+   * @returns {string|null} The new element's ID, or null if the type can't be added.
+   */
+  addElement(type) {
+    if (!ComponentRegistry.isUserPlaceable(type)) {
+      logger.warn(`Element type "${type}" is not user-placeable. Not adding.`);
+      return null;
+    }
+
+    const id = this.generateElementId(type);
+    const config = ComponentRegistry.createDefaultConfig(type);
+
+    // Stagger new elements of the same type vertically so they don't land exactly on top of each other
+    const elements = StateManager.getState().elements || {};
+    const sameTypeCount = Object.values(elements).filter(element => element?.type === type).length;
+    if (config.position) {
+      config.position = { x: 50, y: 20 + ((sameTypeCount * 15) % 70) };
+    }
+
+    logger.log(`Adding element: ID=${id}, Type=${type}`); // Keep as log
+    StateManager.update({ elements: { [id]: { ...config, id, type } } });
+    return id;
+  }
+
+  /**
+   * Removes a user-placeable element from the state. The instance is destroyed
+   * by syncElements in response to the resulting state change.
+   * @param {string} id - The ID of the element to remove.
+   * @returns {boolean} True if the element was removed.
+   */
+  removeElement(id) {
+    const elementState = StateManager.getNestedValue(StateManager.getState(), `elements.${id}`);
+    if (!elementState) {
+      logger.warn(`Cannot remove element "${id}": not found in state.`);
+      return false;
+    }
+    if (!ComponentRegistry.isUserPlaceable(elementState.type)) {
+      logger.warn(`Element "${id}" (type "${elementState.type}") cannot be removed.`);
+      return false;
+    }
+
+    logger.log(`Removing element: ${id}`); // Keep as log
+    StateManager.remove(`elements.${id}`);
+    return true;
+  }
+
   /**
    * Gets a specific element instance by its ID.
    * @param {string} id - The ID of the element.
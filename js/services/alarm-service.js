@@ -0,0 +1,174 @@
+import { EventBus } from '../core/event-bus.js';
+import * as logger from '../utils/logger.js';
+import { t } from '../i18n/i18n.js';
+import { playChime } from '../utils/chime.js';
+import { toLocalDateTimeString } from '../utils/time-helpers.js';
+import { parseTimeOfDay } from './utils/schedule-helpers.js';
+import { isAlarmDue, isValidDateString } from './utils/alarm-helpers.js';
+
+/** How often the clock is checked for due alarms (ms) */
+const TICK_INTERVAL = 1000;
+
+/** How many times the chime repeats for an alarm with sound */
+const ALARM_CHIME_REPEAT = 3;
+
+/**
+ * @class AlarmService
+ * @description Rings one-off alarms and recurring reminders ("Stand-up at 9:30 weekdays").
+ *
+ * Alarms live in `settings.alarms` so they are persisted and exported with the other settings:
+ * `[{ id, label, time: 'HH:MM', days: [0-6], date: 'YYYY-MM-DD'|null, enabled, sound }]`.
+ * An alarm with a `date` rings once on that day and is then disabled; otherwise it rings at
+ * `time` on each of `days` (0 = Sunday, empty = every day).
+ *
+ * The service checks the clock every second. When an alarm is due it publishes `alarm:triggered`
+ * (shown by AlarmBanner) and plays the chime if the alarm has sound.
+ */
+export class AlarmService {
+    /**
+     * Creates an instance of AlarmService.
+     * @param {StateManager} stateManager - The application's StateManager instance.
+     */
+    constructor(stateManager) {
+        if (!stateManager) {
+            throw new Error("AlarmService requires a StateManager instance.");
+        }
+        this.stateManager = stateManager;
+        this.intervalId = null;
+        this.currentMinute = null; // 'YYYY-MM-DDTHH:MM' of the last check
+        this.triggeredIds = new Set(); // Alarms that already rang during currentMinute
+        logger.log('[AlarmService] Initialized');
+    }
+
+    /**
+     * Starts checking the clock for due alarms.
+     */
+    init() {
+        this.intervalId = setInterval(() => this.check(), TICK_INTERVAL);
+        this.check();
+    }
+
+    // --- Queries ---
+
+    /**
+     * Returns all alarms, in creation order.
+     * @returns {Array<object>}
+     */
+    getAlarms() {
+        const alarms = this.stateManager.getNestedValue(this.stateManager.getState(), 'settings.alarms');
+        return Array.isArray(alarms) ? alarms : [];
+    }
+
+    // --- Editing ---
+
+    /**
+     * Adds an alarm.
+     * @param {object} alarm
+     * @param {string} [alarm.label=''] - Shown in the banner (e.g. 'Stand-up').
+     * @param {string} alarm.time - Time of day, "HH:MM" (24-hour).
+     * @param {number[]} [alarm.days=[]] - Days of the week (0 = Sunday); empty = every day.
+     * @param {string|null} [alarm.date=null] - "YYYY-MM-DD" for a one-off alarm.
+     * @param {boolean} [alarm.sound=true] - Whether to play the chime.
+     * @returns {{success: boolean, message: string, alarm?: object}} Result object.
+     */
+    addAlarm({ label = '', time, days = [], date = null, sound = true }) {
+        if (parseTimeOfDay(time) === null) {
+            return { success: false, message: t('Please enter a valid time (HH:MM).') };
+        }
+        if (date && !isValidDateString(date)) {
+            return { success: false, message: t('Please enter a valid date.') };
+        }
+        const validDays = [...new Set(days.map(Number))].filter(day => day >= 0 && day <= 6).sort();
+        const alarm = {
+            id: this._generateId(),
+            label: String(label ?? '').trim(),
+            time,
+            days: date ? [] : validDays,
+            date: date || null,
+            enabled: true,
+            sound: Boolean(sound)
+        };
+        this._setAlarms([...this.getAlarms(), alarm]);
+        logger.log(`[AlarmService] Added alarm ${alarm.id} at ${time}.`);
+        return { success: true, message: t('Alarm added.'), alarm };
+    }
+
+    /**
+     * Removes an alarm.
+     * @param {string} alarmId - The alarm to remove.
+     */
+    removeAlarm(alarmId) {
+        this._setAlarms(this.getAlarms().filter(alarm => alarm.id !== alarmId));
+    }
+
+    /**
+     * Turns an alarm on or off without removing it.
+     * @param {string} alarmId - The alarm to change.
+     * @param {boolean} enabled
+     */
+    setAlarmEnabled(alarmId, enabled) {
+        this._setAlarms(this.getAlarms().map(alarm => alarm.id === alarmId ? { ...alarm, enabled: Boolean(enabled) } : alarm));
+    }
+
+    // --- Ringing ---
+
+    /**
+     * Rings the alarms that are due at `now`. Each alarm rings at most once per minute.
+     * @param {Date} [now=new Date()] - The time to evaluate.
+     */
+    check(now = new Date()) {
+        const minute = toLocalDateTimeString(now).slice(0, 16);
+        if (minute !== this.currentMinute) {
+            this.currentMinute = minute;
+            this.triggeredIds.clear();
+        }
+
+        const dueAlarms = this.getAlarms().filter(alarm => !this.triggeredIds.has(alarm.id) && isAlarmDue(alarm, now));
+        if (dueAlarms.length === 0) return;
+
+        dueAlarms.forEach(alarm => {
+            this.triggeredIds.add(alarm.id);
+            this.trigger(alarm);
+        });
+
+        // One-off alarms are done once they've rung
+        const oneOffIds = dueAlarms.filter(alarm => alarm.date).map(alarm => alarm.id);
+        if (oneOffIds.length > 0) {
+            this._setAlarms(this.getAlarms().map(alarm => oneOffIds.includes(alarm.id) ? { ...alarm, enabled: false } : alarm));
+        }
+    }
+
+    /**
+     * Announces an alarm: publishes `alarm:triggered` and plays the chime if enabled.
+     * @param {object} alarm - The alarm.
+     */
+    trigger(alarm) {
+        logger.log(`[AlarmService] Alarm ${alarm.id} ("${alarm.label}") is ringing.`);
+        EventBus.publish('alarm:triggered', { alarm });
+        if (alarm.sound) {
+            playChime(ALARM_CHIME_REPEAT);
+        }
+    }
+
+    // --- Helpers ---
+
+    /** Replaces settings.alarms (arrays are replaced, not merged, by StateManager.update). */
+    _setAlarms(alarms) {
+        this.stateManager.update({ settings: { alarms } });
+    }
+
+    /** Generates a unique, path-safe ID (no dots). */
+    _generateId() {
+        return `alarm-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Stops checking for due alarms.
+     */
+    destroy() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+}
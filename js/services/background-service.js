@@ -1,15 +1,19 @@
 import { StateManager } from '../core/state-manager.js';
 import { EventBus } from '../core/event-bus.js';
 import { ImageBackgroundHandler } from './image-background-handler.js';
+import { VideoBackgroundHandler } from './video-background-handler.js';
+import { GradientBackgroundHandler } from './gradient-background-handler.js';
 import { UnsplashProvider } from './image-providers/unsplash-provider.js';
 import { PexelsProvider } from './image-providers/pexels-provider.js';
 import { PeapixProvider } from './image-providers/peapix-provider.js'; // Added Peapix
 import { PixabayProvider } from './image-providers/pixabay-provider.js'; // Added Pixabay
+import { LocalProvider } from './image-providers/local-provider.js';
 import { determineImageQueryKey } from './utils/background-helpers.js';
+import { t } from '../i18n/i18n.js';
 
 /**
- * Manages the application's background (color or image) and overlay,
- * supporting cross-fade transitions between images.
+ * Manages the application's background (color, gradient, image or video) and overlay,
+ * supporting cross-fade transitions between images and videos.
  */
 export class BackgroundService {
   /**
@@ -18,8 +22,10 @@ export class BackgroundService {
    * @param {HTMLElement} backgroundContainerB - The second DOM element for the background layer.
    * @param {HTMLElement} overlayContainer - The DOM element for the overlay layer.
    * @param {ConfigManager} configManager - The application's configuration manager.
+   * @param {FavoritesService} favoritesService - The application's favorites service.
+   * @param {ImageBlobStorage} [imageBlobStorage=null] - Stores downloaded images for offline use (optional).
    */
-  constructor(backgroundContainerA, backgroundContainerB, overlayContainer, configManager, favoritesService) {
+  constructor(backgroundContainerA, backgroundContainerB, overlayContainer, configManager, favoritesService, imageBlobStorage = null) {
     if (!backgroundContainerA || !backgroundContainerB || !overlayContainer) {
       throw new Error('BackgroundService requires valid background (A & B) and overlay container elements.');
     }
@@ -35,7 +41,8 @@ export class BackgroundService {
     this.overlayContainer = overlayContainer;
     this.configManager = configManager; // To check API keys later
     this.favoritesService = favoritesService; // Store ref to favorites service
-    this.currentBackgroundHandler = null; // Instance to handle current background type (ColorBackground, ImageBackground)
+    this.imageBlobStorage = imageBlobStorage;
+    this.currentBackgroundHandler = null; // Instance to handle current background type (ColorBackground, GradientBackground, ImageBackground, VideoBackground)
     this.imageProviders = new Map(); // Stores instances of image providers
     this.unsubscribeState = null;
     this.unsubscribeRefresh = null;
@@ -60,6 +67,7 @@ export class BackgroundService {
     this.registerProvider('pexels', new PexelsProvider());
     this.registerProvider('peapix', new PeapixProvider()); // Added Peapix
     this.registerProvider('pixabay', new PixabayProvider());
+    this.registerProvider('local', new LocalProvider()); // Picked folder or images/manifest.json, works offline
     // Note: The check if the provider is *selected* in state still happens in applyBackground
 
     // Subscribe to the 'state:initialized' event to apply the initial background
@@ -105,15 +113,48 @@ export class BackgroundService {
     console.log(`Image provider "${name}" registered.`);
   }
 
+  /**
+   * Turns a stored image URL (e.g. a favorite's) into a displayable one, letting providers
+   * that hand out stable URLs resolve them. Other URLs are returned unchanged.
+   * @param {string} url - The stored image URL.
+   * @returns {Promise<string>} The URL to display.
+   */
+  async resolveImageUrl(url) {
+    let resolvedUrl = url;
+    for (const provider of this.imageProviders.values()) {
+      if (typeof provider.resolveImageUrl === 'function') {
+        resolvedUrl = await provider.resolveImageUrl(resolvedUrl);
+      }
+    }
+    return resolvedUrl;
+  }
+
+  /**
+   * Returns the names of the registered providers that can search videos.
+   * @returns {string[]} Provider names.
+   */
+  getVideoProviderNames() {
+    return Array.from(this.imageProviders.entries())
+      .filter(([, provider]) => typeof provider.getVideoBatch === 'function')
+      .map(([name]) => name);
+  }
+
   /**
    * Applies the background based on the provided configuration.
-   * Determines whether to show a color or an image background.
+   * Determines whether to show a color, gradient, image or video background.
    * @param {object} config - The background configuration from `state.settings.background`.
    * @returns {Promise<void>}
    */
   async applyBackground(config) {
     console.log('[BackgroundService] applyBackground called with config:', config);
 
+    // Video backgrounds can be switched off with the 'videoBackground' feature flag
+    if (config.type === 'video' && !this.configManager.isFeatureEnabled('videoBackground')) {
+      console.warn('[BackgroundService] Video backgrounds are disabled. Falling back to color.');
+      await this.applyBackground({ ...config, type: 'color' });
+      return;
+    }
+
     // Clear previous background handler if type changes
     const newType = config.type || 'color'; // Default to color if type is missing
     if (this.currentBackgroundHandler && this.currentBackgroundHandler.type !== newType) {
@@ -177,7 +218,8 @@ export class BackgroundService {
                 processedConfig,
                 this.imageProviders,
                 this.configManager,
-                this.favoritesService
+                this.favoritesService,
+                this.imageBlobStorage
             );
             await this.currentBackgroundHandler.init(); // Initialize (loads first image)
             // Start cycling if enabled
@@ -209,8 +251,37 @@ export class BackgroundService {
             // Update cycling based on potentially changed config
             this.updateCycling(config);
         }
+    } else if (newType === 'video') {
+        if (!this.currentBackgroundHandler || this.currentBackgroundHandler.type !== 'video') {
+            console.log('[BackgroundService] Switching to VideoBackgroundHandler.');
+            this.currentBackgroundHandler?.destroy();
+            this.currentBackgroundHandler = new VideoBackgroundHandler(
+                this.backgroundContainerA,
+                this.backgroundContainerB,
+                config,
+                this.imageProviders,
+                this.configManager,
+                this.favoritesService
+            );
+            await this.currentBackgroundHandler.init(); // Initialize (loads first video)
+        } else {
+            await this.currentBackgroundHandler.update(config);
+        }
+        this.updateCycling(config);
+    } else if (newType === 'gradient') {
+        this.stopBackgroundCycling();
+        if (!this.currentBackgroundHandler || this.currentBackgroundHandler.type !== 'gradient') {
+            console.log('[BackgroundService] Switching to GradientBackgroundHandler.');
+            this.currentBackgroundHandler?.destroy();
+            this.currentBackgroundHandler = new GradientBackgroundHandler(
+                this.backgroundContainerA,
+                this.backgroundContainerB
+            );
+            await this.currentBackgroundHandler.init();
+        }
+        this.currentBackgroundHandler.update(config);
     } else { // Default to color background
-        // Stop cycling if switching away from image type
+        // Stop cycling if switching away from image/video type
         this.stopBackgroundCycling();
         // Check if the handler needs to be switched or created
         if (!this.currentBackgroundHandler || this.currentBackgroundHandler.type !== 'color') {
@@ -271,11 +342,12 @@ export class BackgroundService {
   }
 
   /**
-   * Starts or stops the background image cycling based on config.
+   * Starts or stops the background image/video cycling based on config.
    * @param {object} config - The background configuration.
    */
   updateCycling(config) {
-    if (config.type === 'image' && config.cycleEnabled && config.cycleInterval > 0) {
+    const canCycle = config.type === 'image' || config.type === 'video';
+    if (canCycle && config.cycleEnabled && config.cycleInterval > 0) {
       this.startBackgroundCycling(config.cycleInterval);
     } else {
       this.stopBackgroundCycling();
@@ -324,24 +396,23 @@ export class BackgroundService {
   }
 
   /**
-   * Loads a specific image URL provided by favorite data.
+   * Loads a specific image or video provided by favorite data.
    * @param {object} favoriteData - The favorite object containing image details.
    * @returns {Promise<void>}
    */
   async loadImageFromFavorite(favoriteData) {
-    // Ensure we are currently using the ImageBackgroundHandler
-    if (this.currentBackgroundHandler && typeof this.currentBackgroundHandler.loadImageFromUrl === 'function') {
+    const isVideo = favoriteData?.mediaType === 'video';
+    const handler = this.currentBackgroundHandler;
+    if (isVideo && handler && typeof handler.loadVideoFromUrl === 'function') {
+      console.log('[BackgroundService] Calling loadVideoFromUrl on handler.');
+      await handler.loadVideoFromUrl(favoriteData);
+    } else if (!isVideo && handler && typeof handler.loadImageFromUrl === 'function') {
       console.log('[BackgroundService] Calling loadImageFromUrl on handler.');
-      await this.currentBackgroundHandler.loadImageFromUrl(favoriteData);
+      await handler.loadImageFromUrl(favoriteData);
     } else {
-      // If not currently in image mode, switch to it first, then load
-      console.warn('[BackgroundService] Not in image mode or handler missing loadImageFromUrl. Switching mode first.');
-      // Update state to switch to image mode (this might trigger applyBackground)
-      // We need to pass enough info for it to potentially load the favorite image after switching.
-      // This might be complex; simpler approach is to assume user is already in image mode
-      // when clicking a favorite. For now, log a warning.
-      console.error('[BackgroundService] Cannot load favorite image when not in image background mode.');
-      // Optionally, publish a UI message? EventBus.publish('ui:showToast', { message: 'Switch to image background type first.' });
+      // Switching the type first would race the new handler's own first load, so ask the user instead
+      console.error(`[BackgroundService] Cannot load ${isVideo ? 'video' : 'image'} favorite in the current background mode.`);
+      EventBus.publish('ui:showToast', { message: t('Switch the background type to {type} to show this favorite.', { type: t(isVideo ? 'Video' : 'Image') }) });
     }
   }
 
@@ -0,0 +1,60 @@
+import * as logger from '../utils/logger.js';
+import { parseIcs } from '../utils/ics-parser.js';
+
+/**
+ * Loads iCalendar (.ics) calendars for the agenda element, either from a URL (fetched through
+ * the /api/ics proxy, since most calendar hosts don't allow cross-origin requests) or from
+ * the text of an uploaded file. Parsing happens here in the browser (see utils/ics-parser.js).
+ */
+export class CalendarService {
+  /**
+   * Creates a CalendarService instance.
+   * @param {string} [baseUrl='/api/ics'] - URL of the calendar proxy.
+   */
+  constructor(baseUrl = '/api/ics') {
+    this.baseUrl = baseUrl;
+    logger.debug('[CalendarService] Initialized. Using backend proxy at:', this.baseUrl);
+  }
+
+  /**
+   * Fetches and parses a calendar feed.
+   * @param {string} url - The calendar URL (http(s) or webcal).
+   * @returns {Promise<{name: string, events: Array<object>}>} The parsed calendar.
+   * @throws {Error} If the request fails, the proxy returns an error or the feed isn't a calendar.
+   */
+  async fetchCalendar(url) {
+    if (!url) {
+      throw new Error('A calendar URL is required.');
+    }
+
+    const requestUrl = `${this.baseUrl}?${new URLSearchParams({ url }).toString()}`;
+    logger.debug(`[CalendarService] Fetching calendar via proxy: ${requestUrl}`);
+
+    const response = await fetch(requestUrl);
+    if (!response.ok) {
+      let errorMsg = `Calendar error: ${response.status} ${response.statusText}`;
+      try {
+        const errorData = await response.json();
+        if (errorData && errorData.error) {
+          errorMsg = errorData.error;
+        }
+      } catch (e) { /* Ignore JSON parsing error */ }
+      logger.error(`[CalendarService] ${errorMsg}`);
+      throw new Error(errorMsg);
+    }
+
+    return this.parseCalendar(await response.text());
+  }
+
+  /**
+   * Parses calendar text (e.g. the contents of an uploaded .ics file).
+   * @param {string} text - The calendar text.
+   * @returns {{name: string, events: Array<object>}} The parsed calendar.
+   * @throws {Error} If the text isn't an iCalendar file.
+   */
+  parseCalendar(text) {
+    const calendar = parseIcs(text);
+    logger.debug(`[CalendarService] Parsed calendar "${calendar.name}" with ${calendar.events.length} events.`);
+    return calendar;
+  }
+}
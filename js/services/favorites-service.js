@@ -2,45 +2,60 @@ import { StateManager } from '../core/state-manager.js';
 import { EventBus } from '../core/event-bus.js';
 import { FavoritesStorage } from './storage/FavoritesStorage.js';
 import * as logger from '../utils/logger.js'; // Import the logger
+import { t } from '../i18n/i18n.js';
 import {
     normalizeUrl,
     generateUniqueId,
     generateThumbnailUrl,
     validateAddFavoriteInput,
     isDuplicateFavorite,
-    createFavoriteObject
+    createFavoriteObject,
+    validateCollectionName,
+    filterFavoritesByCollection,
+    filterFavoritesByMediaType,
+    createCollectionObject
 } from './utils/favorites-helpers.js'; // Import helper functions
 
-// Constants
-export const MAX_FAVORITES = 20; // Export the constant
-
 /**
  * @class FavoritesService
- * @description Manages saving, retrieving, and applying favorite background images for V2.
+ * @description Manages saving, retrieving, and applying favorite background images (and videos) for V2.
+ *              Favorites can be sorted into user-defined collections (each favorite is in at most one).
  */
 export class FavoritesService {
     /**
      * Creates an instance of FavoritesService.
      * @param {StateManager} stateManager - The application's StateManager instance.
+     * @param {ImageBlobStorage} [imageBlobStorage=null] - Keeps favorite images available offline (optional).
      */
-    constructor(stateManager) {
+    constructor(stateManager, imageBlobStorage = null) {
         if (!stateManager) {
             throw new Error("FavoritesService requires a StateManager instance.");
         }
         this.stateManager = stateManager;
         this.storage = new FavoritesStorage(); // Instantiate storage handler
+        this.imageBlobStorage = imageBlobStorage;
         logger.log('[FavoritesService] Initialized'); // Keep as log
     }
 
+    /**
+     * Loads favorites from storage and makes sure their images are stored for offline use.
+     * @returns {Promise<void>}
+     */
+    async init() {
+        await this.storage.init();
+        this._storeFavoriteImages(this.getFavorites());
+    }
+
     // --- Core CRUD Operations ---
 
     /**
-     * Gets all saved favorites from localStorage.
+     * Gets saved favorites.
+     * @param {string|null} [collectionId] - Only return favorites in this collection (default: all favorites).
      * @returns {Array<object>} Array of favorite objects.
      */
-    getFavorites() {
+    getFavorites(collectionId) {
         // Delegate to storage class
-        return this.storage.getAll();
+        return filterFavoritesByCollection(this.storage.getAll(), collectionId);
     }
 
     /**
@@ -63,14 +78,15 @@ export class FavoritesService {
     /**
      * Adds the current background image data to favorites.
      * @param {object} imageData - Object containing image data (url, provider, etc.). Must have at least a 'url'.
+     * @param {string|null} [collectionId=null] - Collection to add the favorite to.
      * @returns {{success: boolean, message: string, favorite?: object}} Result object.
      */
-    addFavorite(imageData) {
+    addFavorite(imageData, collectionId = null) {
         logger.log("[FavoritesService] addFavorite called with data:", imageData); // Keep as log
         const favorites = this.getFavorites();
 
-        // 1. Validate Input and Limits
-        const validation = validateAddFavoriteInput(imageData, favorites); // Use helper
+        // 1. Validate Input
+        const validation = validateAddFavoriteInput(imageData); // Use helper
         if (!validation.valid) {
             logger.error(`[FavoritesService] Add favorite validation failed: ${validation.message}`); // Use logger.error
             return { success: false, message: validation.message };
@@ -80,19 +96,21 @@ export class FavoritesService {
         const normalizedNewUrl = normalizeUrl(imageData.url); // Use helper
         if (isDuplicateFavorite(normalizedNewUrl, favorites)) { // Use helper
             logger.log("[FavoritesService] Image is already a favorite:", normalizedNewUrl); // Keep as log
-            return { success: false, message: 'This image is already in your favorites.' };
+            return { success: false, message: t('This image is already in your favorites.') };
         }
 
         // 3. Create Favorite Object
-        const newFavorite = createFavoriteObject(imageData); // Use helper
+        const targetCollectionId = this.getCollection(collectionId) ? collectionId : null;
+        const newFavorite = createFavoriteObject(imageData, targetCollectionId); // Use helper
         logger.debug("[FavoritesService] New favorite object:", newFavorite); // Changed to debug
 
         // 4. Save and Update State
         favorites.push(newFavorite);
         this._saveFavorites(favorites);
         this._updateCurrentFavoriteState(newFavorite.url, true);
+        this._storeFavoriteImages([newFavorite]);
 
-        return { success: true, message: 'Added to favorites.', favorite: newFavorite };
+        return { success: true, message: t('Added to favorites.'), favorite: newFavorite };
     }
 
     /**
@@ -103,7 +121,7 @@ export class FavoritesService {
     removeFavorite(imageUrl) {
         if (!imageUrl) {
             logger.error("[FavoritesService] removeFavorite requires an image URL."); // Use logger.error
-            return { success: false, message: 'Image URL is required.' };
+            return { success: false, message: t('Image URL is required.') };
         }
         logger.log("[FavoritesService] removeFavorite called for URL:", imageUrl); // Keep as log
 
@@ -118,16 +136,17 @@ export class FavoritesService {
 
         if (updatedFavorites.length === initialLength) {
             logger.warn("[FavoritesService] Favorite not found for URL:", imageUrl); // Use logger.warn
-            return { success: false, message: 'Favorite not found.' };
+            return { success: false, message: t('Favorite not found.') };
         }
 
         this._saveFavorites(updatedFavorites);
         logger.log("[FavoritesService] Favorite removed for URL:", imageUrl); // Keep as log
+        this._releaseFavoriteImages(favorites.filter(fav => normalizeUrl(fav.url) === normalizedUrlToRemove));
 
         // Update state if this was the current image
         this._updateCurrentFavoriteState(imageUrl, false);
 
-        return { success: true, message: 'Removed from favorites.' };
+        return { success: true, message: t('Removed from favorites.') };
     }
 
     /**
@@ -138,7 +157,7 @@ export class FavoritesService {
     removeFavoriteById(id) {
         if (!id) {
             logger.error("[FavoritesService] removeFavoriteById requires an ID."); // Use logger.error
-            return { success: false, message: 'Favorite ID is required.' };
+            return { success: false, message: t('Favorite ID is required.') };
         }
         logger.log("[FavoritesService] removeFavoriteById called for ID:", id); // Keep as log
 
@@ -156,18 +175,19 @@ export class FavoritesService {
 
         if (updatedFavorites.length === initialLength) {
             logger.warn("[FavoritesService] Favorite not found for ID:", id); // Use logger.warn
-            return { success: false, message: 'Favorite not found.' };
+            return { success: false, message: t('Favorite not found.') };
         }
 
         this._saveFavorites(updatedFavorites);
         logger.log("[FavoritesService] Favorite removed for ID:", id); // Keep as log
+        this._releaseFavoriteImages(favorites.filter(fav => fav.id === id));
 
         // Update state if the removed favorite was the current image
         if (removedUrl) {
             this._updateCurrentFavoriteState(removedUrl, false);
         }
 
-        return { success: true, message: 'Removed from favorites.' };
+        return { success: true, message: t('Removed from favorites.') };
     }
 
 
@@ -182,17 +202,167 @@ export class FavoritesService {
 
         if (success) {
             logger.log('[FavoritesService] All favorites cleared via storage.'); // Keep as log
+            this.imageBlobStorage?.unpinAll().catch(error => logger.warn('[FavoritesService] Error releasing favorite images:', error));
             EventBus.publish('favorites:changed', { count: 0 }); // Publish change event
 
             // Update state if the current image was a favorite
             if (currentImageUrl) {
                 this._updateCurrentFavoriteState(currentImageUrl, false); // Force state update
             }
-            return { success: true, message: 'All favorites cleared.' };
+            return { success: true, message: t('All favorites cleared.') };
         } else {
             logger.error('[FavoritesService] Error clearing favorites via storage.'); // Use logger.error
-            return { success: false, message: 'Error clearing favorites.' };
+            return { success: false, message: t('Error clearing favorites.') };
+        }
+    }
+
+    /**
+     * Replaces all favorites (e.g. with imported ones).
+     * @param {Array<object>} favorites - The new favorites.
+     * @param {Array<object>} [collections] - The new collections (default: keep the current ones).
+     * @returns {boolean} True if saving was successful.
+     */
+    replaceFavorites(favorites, collections) {
+        const previousFavorites = this.getFavorites();
+        if (collections && !this.storage.saveCollections(collections)) {
+            logger.error('[FavoritesService] Failed to save replaced collections via storage.');
+            return false;
+        }
+        // Favorites pointing at unknown collections end up in no collection
+        const collectionIds = new Set(this.getCollections().map(collection => collection.id));
+        favorites = favorites.map(fav => ({ ...fav, collectionId: collectionIds.has(fav.collectionId) ? fav.collectionId : null }));
+        const success = this.storage.saveAll(favorites);
+        if (!success) {
+            logger.error('[FavoritesService] Failed to save replaced favorites via storage.');
+            return false;
+        }
+        EventBus.publish('favorites:changed', { count: favorites.length });
+        const newUrls = new Set(favorites.map(fav => normalizeUrl(fav.url)));
+        this._releaseFavoriteImages(previousFavorites.filter(fav => !newUrls.has(normalizeUrl(fav.url))));
+        this._storeFavoriteImages(favorites);
+        return true;
+    }
+
+    // --- Collections ---
+
+    /**
+     * Gets all collections, in creation order.
+     * @returns {Array<{id: string, name: string, createdAt: number}>} Array of collection objects.
+     */
+    getCollections() {
+        return this.storage.getCollections();
+    }
+
+    /**
+     * Gets a collection by its ID.
+     * @param {string} id - The collection ID.
+     * @returns {object|null} The collection, or null if it doesn't exist.
+     */
+    getCollection(id) {
+        if (!id) return null;
+        return this.getCollections().find(collection => collection.id === id) || null;
+    }
+
+    /**
+     * Creates a new, empty collection.
+     * @param {string} name - The collection name.
+     * @returns {{success: boolean, message: string, collection?: object}} Result object.
+     */
+    createCollection(name) {
+        const collections = this.getCollections();
+        const trimmedName = (name || '').trim();
+        const validation = validateCollectionName(trimmedName, collections);
+        if (!validation.valid) {
+            return { success: false, message: validation.message };
+        }
+
+        const collection = createCollectionObject(trimmedName);
+        if (!this._saveCollections([...collections, collection])) {
+            return { success: false, message: t('Error saving collection.') };
+        }
+        logger.log('[FavoritesService] Collection created:', collection);
+        return { success: true, message: t('Collection "{name}" created.', { name: trimmedName }), collection };
+    }
+
+    /**
+     * Renames a collection.
+     * @param {string} id - The collection ID.
+     * @param {string} name - The new name.
+     * @returns {{success: boolean, message: string}} Result object.
+     */
+    renameCollection(id, name) {
+        const collections = this.getCollections();
+        const collection = collections.find(c => c.id === id);
+        if (!collection) {
+            return { success: false, message: t('Collection not found.') };
         }
+        const trimmedName = (name || '').trim();
+        const validation = validateCollectionName(trimmedName, collections, id);
+        if (!validation.valid) {
+            return { success: false, message: validation.message };
+        }
+
+        const updatedCollections = collections.map(c => (c.id === id ? { ...c, name: trimmedName } : c));
+        if (!this._saveCollections(updatedCollections)) {
+            return { success: false, message: t('Error saving collection.') };
+        }
+        logger.log(`[FavoritesService] Collection ${id} renamed to "${trimmedName}".`);
+        return { success: true, message: t('Collection renamed to "{name}".', { name: trimmedName }) };
+    }
+
+    /**
+     * Deletes a collection. Its favorites are kept, outside of any collection.
+     * @param {string} id - The collection ID.
+     * @returns {{success: boolean, message: string}} Result object.
+     */
+    deleteCollection(id) {
+        const collections = this.getCollections();
+        const collection = collections.find(c => c.id === id);
+        if (!collection) {
+            return { success: false, message: t('Collection not found.') };
+        }
+
+        const favorites = this.getFavorites();
+        if (favorites.some(fav => fav.collectionId === id)) {
+            this._saveFavorites(favorites.map(fav => (fav.collectionId === id ? { ...fav, collectionId: null } : fav)));
+        }
+        if (!this._saveCollections(collections.filter(c => c.id !== id))) {
+            return { success: false, message: t('Error deleting collection.') };
+        }
+
+        // Favorites-only mode falls back to all favorites if it targeted this collection
+        const backgroundSettings = this.stateManager.getState().settings?.background;
+        if (backgroundSettings?.favoritesCollectionId === id) {
+            StateManager.update({ settings: { background: { favoritesCollectionId: null } } });
+        }
+
+        logger.log('[FavoritesService] Collection deleted:', id);
+        return { success: true, message: t('Collection "{name}" deleted.', { name: collection.name }) };
+    }
+
+    /**
+     * Moves a favorite into a collection (or out of all collections).
+     * @param {string} favoriteId - The favorite ID.
+     * @param {string|null} collectionId - The target collection ID, or null for none.
+     * @returns {{success: boolean, message: string}} Result object.
+     */
+    moveFavoriteToCollection(favoriteId, collectionId) {
+        const targetCollection = collectionId ? this.getCollection(collectionId) : null;
+        if (collectionId && !targetCollection) {
+            return { success: false, message: t('Collection not found.') };
+        }
+        const favorites = this.getFavorites();
+        const favorite = favorites.find(fav => fav.id === favoriteId);
+        if (!favorite) {
+            return { success: false, message: t('Favorite not found.') };
+        }
+
+        this._saveFavorites(favorites.map(fav => (fav.id === favoriteId ? { ...fav, collectionId: collectionId || null } : fav)));
+        logger.log(`[FavoritesService] Favorite ${favoriteId} moved to collection ${collectionId || '(none)'}.`);
+        return {
+            success: true,
+            message: targetCollection ? t('Moved to "{name}".', { name: targetCollection.name }) : t('Removed from collection.')
+        };
     }
 
     // --- Status & Toggling ---
@@ -231,7 +401,7 @@ export class FavoritesService {
 
         if (!currentImageMetadata || !currentImageMetadata.url) {
             logger.error("[FavoritesService] No current image metadata to toggle favorite status."); // Use logger.error
-            return { success: false, message: 'No current image to favorite.', isFavorite: false };
+            return { success: false, message: t('No current image to favorite.'), isFavorite: false };
         }
 
         const isFavorite = this.isCurrentImageFavorite();
@@ -252,18 +422,22 @@ export class FavoritesService {
 
     /**
      * Gets the count of saved favorites.
+     * @param {string|null} [collectionId] - Only count favorites in this collection (default: all favorites).
+     * @param {'image'|'video'} [mediaType] - Only count favorites of this media type (default: all).
      * @returns {number} The number of saved favorites.
      */
-    getFavoritesCount() {
-        return this.getFavorites().length;
+    getFavoritesCount(collectionId, mediaType) {
+        return filterFavoritesByMediaType(this.getFavorites(collectionId), mediaType).length;
     }
 
     /**
      * Gets a random favorite that is different from the current image.
+     * @param {string|null} [collectionId] - Only pick from this collection (default: all favorites).
+     * @param {'image'|'video'} [mediaType] - Only pick favorites of this media type (default: all).
      * @returns {object|null} A randomly selected favorite object, or null if no suitable favorites exist.
      */
-    getRandomFavorite() {
-        const favorites = this.getFavorites();
+    getRandomFavorite(collectionId, mediaType) {
+        const favorites = filterFavoritesByMediaType(this.getFavorites(collectionId), mediaType);
         if (favorites.length < 2) {
             logger.debug('[FavoritesService] getRandomFavorite: Not enough favorites exist (minimum 2 required).');
             return null;
@@ -303,7 +477,7 @@ export class FavoritesService {
         const favorite = favorites.find(fav => fav.id === id);
 
         if (!favorite) {
-            return { success: false, message: 'Favorite not found.' };
+            return { success: false, message: t('Favorite not found.') };
         }
 
         try {
@@ -316,16 +490,64 @@ export class FavoritesService {
             // However, we can optimistically update the isFavorite flag if needed,
             // but it's better handled by BackgroundService setting the full metadata.
 
-            return { success: true, message: 'Background change requested from favorite.' };
+            return { success: true, message: t('Background change requested from favorite.') };
         } catch (error) {
             logger.error('[FavoritesService] Error requesting background change from favorite:', error); // Use logger.error
-            return { success: false, message: 'Error requesting background change.' };
+            return { success: false, message: t('Error requesting background change.') };
         }
     }
 
 
     // --- Private Helper Methods ---
 
+    /**
+     * Saves the collections array using the storage handler and publishes an event.
+     * @param {Array<object>} collections - Array of collection objects to save.
+     * @returns {boolean} True if saving was successful.
+     * @private
+     */
+    _saveCollections(collections) {
+        const success = this.storage.saveCollections(collections);
+        if (success) {
+            EventBus.publish('favorites:changed', { count: this.getFavoritesCount() });
+        } else {
+            logger.error('[FavoritesService] Failed to save collections via storage.');
+        }
+        return success;
+    }
+
+    /**
+     * Downloads and pins favorite images in the background so they survive going offline
+     * or the provider removing them.
+     * @param {Array<object>} favorites - The favorites whose images to store.
+     * @private
+     */
+    _storeFavoriteImages(favorites) {
+        // Videos are too large to keep; they need the network
+        const imageFavorites = filterFavoritesByMediaType(favorites, 'image');
+        if (!this.imageBlobStorage || imageFavorites.length === 0) return;
+        (async () => {
+            for (const { url, photographer, photographerUrl, provider } of imageFavorites) {
+                // Attribution for when the stored image is shown offline
+                const metadata = { authorName: photographer, authorUrl: photographerUrl, source: provider };
+                await this.imageBlobStorage.storeImage(url, { pinned: true, metadata });
+            }
+        })().catch(error => logger.warn('[FavoritesService] Error storing favorite images:', error));
+    }
+
+    /**
+     * Unpins images of removed favorites; they stay cached until evicted.
+     * @param {Array<object>} favorites - The removed favorites.
+     * @private
+     */
+    _releaseFavoriteImages(favorites) {
+        if (!this.imageBlobStorage) return;
+        favorites.forEach(favorite => {
+            this.imageBlobStorage.setPinned(favorite.url, false)
+                .catch(error => logger.warn('[FavoritesService] Error releasing favorite image:', error));
+        });
+    }
+
     /**
      * Updates the `isFavorite` flag in the StateManager if the given URL matches the current image.
      * @param {string} imageUrl - The URL of the image that was added/removed.
@@ -0,0 +1,83 @@
+import * as logger from '../utils/logger.js';
+import { normalizeGradientConfig, buildGradientCss, getTimeOfDayStops } from './utils/gradient-helpers.js';
+
+const TIME_OF_DAY_REFRESH_INTERVAL = 60000; // Time-of-day colors change slowly; once a minute is smooth enough
+
+/**
+ * Handles gradient backgrounds (`settings.background.gradient`): linear or radial multi-stop
+ * gradients that can slowly drift and follow the time of day. Needs no network.
+ */
+export class GradientBackgroundHandler {
+  /**
+   * Creates a GradientBackgroundHandler instance.
+   * @param {HTMLElement} containerA - The first DOM element for the background layer (shows the gradient).
+   * @param {HTMLElement} containerB - The second DOM element for the background layer (kept hidden).
+   */
+  constructor(containerA, containerB) {
+    this.containerA = containerA;
+    this.containerB = containerB;
+    this.type = 'gradient';
+    this.gradient = normalizeGradientConfig();
+    this.timeOfDayIntervalId = null;
+  }
+
+  /**
+   * Prepares the containers: the gradient is shown in A only.
+   */
+  async init() {
+    [this.containerA, this.containerB].forEach(container => {
+      container.style.backgroundImage = 'none';
+      container.style.backgroundColor = '#000';
+    });
+    this.containerA.style.opacity = '1';
+    this.containerB.style.opacity = '0';
+  }
+
+  /**
+   * Applies the gradient settings.
+   * @param {object} config - The background configuration (uses `config.gradient`).
+   */
+  update(config) {
+    this.gradient = normalizeGradientConfig(config.gradient);
+    logger.debug('[GradientBackgroundHandler] Updating gradient:', this.gradient);
+
+    this.render();
+    this.containerA.classList.toggle('gradient-drift', this.gradient.animate);
+
+    if (this.gradient.timeOfDay && !this.timeOfDayIntervalId) {
+      this.timeOfDayIntervalId = setInterval(() => this.render(), TIME_OF_DAY_REFRESH_INTERVAL);
+    } else if (!this.gradient.timeOfDay) {
+      this.stopTimeOfDayUpdates();
+    }
+  }
+
+  /**
+   * Paints the current gradient (with the current time-of-day colors if enabled).
+   */
+  render() {
+    const stops = this.gradient.timeOfDay ? getTimeOfDayStops(new Date()) : this.gradient.stops;
+    this.containerA.style.backgroundImage = buildGradientCss({ ...this.gradient, stops });
+  }
+
+  /**
+   * Stops refreshing time-of-day colors.
+   */
+  stopTimeOfDayUpdates() {
+    if (this.timeOfDayIntervalId) {
+      clearInterval(this.timeOfDayIntervalId);
+      this.timeOfDayIntervalId = null;
+    }
+  }
+
+  /**
+   * Removes the gradient from the containers.
+   */
+  destroy() {
+    this.stopTimeOfDayUpdates();
+    [this.containerA, this.containerB].forEach(container => {
+      container.style.backgroundImage = 'none';
+      container.classList.remove('gradient-drift');
+    });
+    logger.debug('[GradientBackgroundHandler] Destroyed.');
+  }
+}
@@ -2,11 +2,12 @@ import { StateManager } from '../core/state-manager.js';
 import { EventBus } from '../core/event-bus.js';
 import * as logger from '../utils/logger.js'; // Import the logger
 import { RateLimitError } from '../core/errors.js';
+import { t } from '../i18n/i18n.js';
 import { determineImageQueryKey } from './utils/background-helpers.js';
+import { ImageCacheStorage, CACHE_STORAGE_KEY_PREFIX } from './storage/ImageCacheStorage.js';
 
 const PROACTIVE_FETCH_THRESHOLD = 2; // Fetch next batch when cache size is <= this value
 const BATCH_SIZE = 10; // Default number of images to fetch in a batch
-const CACHE_STORAGE_KEY_PREFIX = 'ambientClock_imageCache_'; // Prefix for localStorage keys
 
 /**
  * Handles loading and displaying image backgrounds with cross-fade,
@@ -20,8 +21,10 @@ export class ImageBackgroundHandler {
    * @param {object} initialConfig - The initial background configuration from state.
    * @param {Map<string, object>} providers - Map of available image provider instances.
    * @param {ConfigManager} configManager - The application's configuration manager.
+   * @param {FavoritesService} favoritesService - The application's favorites service.
+   * @param {ImageBlobStorage} [imageBlobStorage=null] - Stores image bytes for offline use (optional).
    */
-  constructor(containerA, containerB, initialConfig, providers, configManager, favoritesService) {
+  constructor(containerA, containerB, initialConfig, providers, configManager, favoritesService, imageBlobStorage = null) {
     this.containerA = containerA;
     this.containerB = containerB;
     this.activeContainer = containerA; // Start with A as active
@@ -30,6 +33,8 @@ export class ImageBackgroundHandler {
     this.providers = providers; // Map of provider instances
     this.configManager = configManager;
     this.favoritesService = favoritesService;
+    this.imageBlobStorage = imageBlobStorage;
+    this.cacheStorage = new ImageCacheStorage(); // Persists imageCache across sessions
     this.type = 'image';
     this.currentImageUrl = null; // URL of the image in the *active* container
     this.isLoading = false; // Tracks if currently processing loadImage/loadNext
@@ -54,8 +59,8 @@ export class ImageBackgroundHandler {
     this.containerA.style.backgroundColor = '#000';
     this.containerB.style.backgroundColor = '#000';
 
-    // Attempt to load cache from localStorage
-    this._loadCacheFromStorage();
+    // Attempt to load the persisted cache
+    await this._loadCacheFromStorage();
 
     // Load the first image into the initially active container (A)
     await this.loadImage(true);
@@ -91,7 +96,7 @@ export class ImageBackgroundHandler {
             needsReload = true;
         }
         // Load cache for the *new* key if it exists
-        this._loadCacheFromStorage();
+        await this._loadCacheFromStorage();
     }
 
     // Check if 'Use Favorites Only' was just enabled
@@ -101,6 +106,12 @@ export class ImageBackgroundHandler {
         // No need to clear cache just for enabling favorites only mode
     }
 
+    // A different collection only matters while showing favorites only
+    if (newUseFavoritesOnly && (oldConfig.favoritesCollectionId ?? null) !== (this.config.favoritesCollectionId ?? null)) {
+        logger.debug('[ImageBackgroundHandler] Favorites collection changed in favorites-only mode.');
+        needsReload = true;
+    }
+
     // Determine the current query/country key based on the new config (needed below)
     const newQueryKey = determineImageQueryKey(this.config);
 
@@ -114,8 +125,8 @@ export class ImageBackgroundHandler {
     }
 
     // Clear in-memory cache if flagged (e.g., storage key changed)
-    // Note: We don't clear localStorage here, just the in-memory representation.
-    // The next fetch for the new key will overwrite the corresponding localStorage entry.
+    // Note: We don't clear persisted caches here, just the in-memory representation.
+    // The next fetch for the new key will overwrite the corresponding stored entry.
     if (needsCacheClear) {
         logger.debug('[ImageBackgroundHandler] Clearing in-memory image cache due to config change.');
         this.imageCache = [];
@@ -180,19 +191,23 @@ export class ImageBackgroundHandler {
   async _fetchImageData() {
     // Check if we should use favorites
     const useFavoritesOnly = this.config.useFavoritesOnly ?? false;
-    const favoritesCount = this.favoritesService.getFavoritesCount();
+    const collectionId = this.config.favoritesCollectionId ?? null;
+    const favoritesCount = this.favoritesService.getFavoritesCount(collectionId, 'image');
 
     // If using favorites only mode, check minimum favorites requirement
     if (useFavoritesOnly) {
         if (favoritesCount < 2) {
             logger.warn('[ImageBackgroundHandler] Favorites-only mode requires at least 2 favorites.');
-            return { error: 'insufficient_favorites', message: 'At least 2 favorites are required to use favorites-only mode.' };
+            const message = collectionId
+                ? 'At least 2 favorites in the selected collection are required to use favorites-only mode.'
+                : 'At least 2 favorites are required to use favorites-only mode.';
+            return { error: 'insufficient_favorites', message };
         }
     }
 
     // If using favorites only mode or random chance (10%) with available favorites
     if ((useFavoritesOnly || (Math.random() < 0.1 && favoritesCount >= 2))) {
-        const favorite = this.favoritesService.getRandomFavorite();
+        const favorite = this.favoritesService.getRandomFavorite(collectionId, 'image');
         if (favorite) {
             logger.debug('[ImageBackgroundHandler] Using random favorite:', favorite);
             return favorite;
@@ -224,7 +239,7 @@ export class ImageBackgroundHandler {
         logger.debug(`[ImageBackgroundHandler] In-memory cache empty. Fetching new batch for key: ${currentQueryKey}.`);
         try {
             // Await the initial fetch because we need an image *now*.
-            await this._fetchImageBatch(); // This now saves to localStorage too
+            await this._fetchImageBatch(); // This now saves to storage too
             if (this.imageCache.length === 0) {
                 // If fetch succeeded but returned no images
                 logger.error('[ImageBackgroundHandler] Batch fetch returned no images.');
@@ -232,6 +247,12 @@ export class ImageBackgroundHandler {
             }
         } catch (error) {
             logger.error('[ImageBackgroundHandler] Error awaiting initial batch fetch:', error);
+            // Offline or provider down: keep the screen alive with an image we already have
+            const fallbackImage = await this._getFallbackImage();
+            if (fallbackImage) {
+                logger.warn('[ImageBackgroundHandler] Using a stored image while the provider is unavailable.');
+                return fallbackImage;
+            }
             if (error instanceof RateLimitError || error.name === 'RateLimitError') {
                 logger.warn(`[ImageBackgroundHandler] Rate limit hit during initial fetch for ${providerName}.`);
                 return { error: 'rate_limit', message: `API limit reached for ${providerName}. Try again later.` };
@@ -252,7 +273,7 @@ export class ImageBackgroundHandler {
     const randomIndex = Math.floor(Math.random() * this.imageCache.length);
     const selectedImageData = this.imageCache[randomIndex];
     this.imageCache.splice(randomIndex, 1); // Remove selected image from in-memory cache
-    this._saveCacheToStorage(); // Save updated cache to localStorage
+    this._saveCacheToStorage(); // Save updated cache to storage
     logger.debug(`[ImageBackgroundHandler] Selected image from cache (Index: ${randomIndex}, URL: ${selectedImageData?.url?.substring(0, 50)}...). Cache size: ${cacheSizeBefore} -> ${this.imageCache.length}. Saved to storage.`);
 
     // 3. Trigger Proactive Fetch if Needed (logic remains the same)
@@ -323,7 +344,8 @@ export class ImageBackgroundHandler {
             this.imageCache = fetchedBatch; // Update in-memory cache
             this.currentBatchCountry = newCacheKey;
             this.currentBatchQuery = null;
-            this._saveCacheToStorage(); // Save to localStorage
+            this._saveCacheToStorage(); // Save to storage
+            this._storeBatchImages();
             logger.debug(`[ImageBackgroundHandler] Peapix batch fetch successful. Added ${this.imageCache.length} images to cache and storage.`);
             this.isFetchingBatch = false;
             return;
@@ -362,7 +384,8 @@ export class ImageBackgroundHandler {
             // If successful, update cache keys and save
             this.currentBatchQuery = newCacheKey;
             this.currentBatchCountry = null;
-            this._saveCacheToStorage(); // Save to localStorage
+            this._saveCacheToStorage(); // Save to storage
+            this._storeBatchImages();
 
             // If this wasn't the original provider, update the config (logic remains)
             if (providerName !== currentProviderName) {
@@ -413,6 +436,23 @@ export class ImageBackgroundHandler {
     throw lastError || new Error('All providers failed or were invalid'); // Re-throw the last error
   }
 
+  /**
+   * Picks an image that can be shown without the provider: a downloaded image (cache or favorite)
+   * if any are stored, otherwise a favorite.
+   * @returns {Promise<object|null>} The image data object, or null if there is nothing to fall back to.
+   * @private
+   */
+  async _getFallbackImage() {
+    const currentUrl = StateManager.getState().currentImageMetadata?.url;
+    try {
+      const storedImage = await this.imageBlobStorage?.getRandomImage(currentUrl);
+      if (storedImage) return storedImage;
+    } catch (error) {
+      logger.warn('[ImageBackgroundHandler] Error reading stored images:', error);
+    }
+    return this.favoritesService.getRandomFavorite(null, 'image');
+  }
+
   /**
    * Handles displaying a fetched image: preloading, applying styles, cross-fading, and updating state.
    * @param {object | null} imageData - The fetched image data object or an error object {error: string, message: string}.
@@ -439,6 +479,7 @@ export class ImageBackgroundHandler {
             placeholderText = imageData.message; // Use specific message if available
         }
         logger.error(`[ImageBackgroundHandler] Cannot display image. Reason: ${placeholderText}`, imageData || 'imageData is null');
+        placeholderText = t(placeholderText); // Shown on screen
         metadataForState = null; // Ensure state is cleared on error
     } else {
         // Valid image data
@@ -467,6 +508,8 @@ export class ImageBackgroundHandler {
     } else if (finalImageUrl) {
         // Preload and display the actual image
         try {
+            // Some providers hand out stable URLs that need resolving before display (e.g. local files)
+            finalImageUrl = await this._resolveImageUrl(finalImageUrl);
             await this.preloadImage(finalImageUrl);
             logger.debug(`[ImageBackgroundHandler] Image preloaded: ${finalImageUrl}`); // Changed to debug
             targetContainer.style.backgroundImage = `url('${finalImageUrl}')`;
@@ -495,7 +538,7 @@ export class ImageBackgroundHandler {
                 <svg xmlns="http://www.w3.org/2000/svg" width="1920" height="1080" viewBox="0 0 1920 1080">
                     <rect width="100%" height="100%" fill="#FF0000"/>
                     <text x="50%" y="50%" font-family="Arial" font-size="24" fill="#FFFFFF" text-anchor="middle" dy=".3em">
-                        Error: Failed to preload image
+                        ${t('Error: Failed to preload image')}
                     </text>
                 </svg>
             `)}`;
@@ -540,7 +583,7 @@ export class ImageBackgroundHandler {
                 <svg xmlns="http://www.w3.org/2000/svg" width="1920" height="1080" viewBox="0 0 1920 1080">
                     <rect width="100%" height="100%" fill="#FF0000"/>
                     <text x="50%" y="50%" font-family="Arial" font-size="24" fill="#FFFFFF" text-anchor="middle" dy=".3em">
-                        Error Loading Favorite
+                        ${t('Error Loading Favorite')}
                     </text>
                 </svg>
             `)}`;
@@ -553,6 +596,41 @@ export class ImageBackgroundHandler {
   }
 
 
+  /**
+   * Lets providers turn a stored image URL into a displayable one.
+   * @param {string} url - The image URL from the cache or a favorite.
+   * @returns {Promise<string>} The URL to display.
+   * @private
+   */
+  async _resolveImageUrl(url) {
+    // Prefer downloaded bytes: they work offline and after the provider removed the photo
+    const storedUrl = await this.imageBlobStorage?.getObjectUrl(url);
+    if (storedUrl) return storedUrl;
+
+    let resolvedUrl = url;
+    for (const provider of this.providers.values()) {
+      if (typeof provider?.resolveImageUrl === 'function') {
+        resolvedUrl = await provider.resolveImageUrl(resolvedUrl);
+      }
+    }
+    return resolvedUrl;
+  }
+
+  /**
+   * Downloads the images of the current batch in the background so they can be shown offline.
+   * @private
+   */
+  _storeBatchImages() {
+    if (!this.imageBlobStorage) return;
+    const batch = [...this.imageCache];
+    (async () => {
+      for (const { url, authorName, authorUrl, source } of batch) {
+        // One at a time to leave bandwidth for the app
+        await this.imageBlobStorage.storeImage(url, { metadata: { authorName, authorUrl, source } });
+      }
+    })().catch(error => logger.warn('[ImageBackgroundHandler] Error storing batch images:', error));
+  }
+
   /**
    * Preloads an image URL.
    * @param {string} url - The image URL to preload.
@@ -642,25 +720,25 @@ export class ImageBackgroundHandler {
     // Cancel any ongoing fetches if implemented (e.g., using AbortController)
   }
 
-  // --- localStorage Cache Helpers ---
+  // --- Persistent Cache Helpers ---
 
   /**
-   * Generates the localStorage key for the current configuration.
+   * Generates the cache storage key for the current configuration.
    * @param {object} config - The background configuration object.
-   * @returns {string} The localStorage key.
+   * @returns {string} The storage key.
    * @private
    */
   _getStorageKey(config) {
       const provider = config?.source || 'default';
       const queryKey = determineImageQueryKey(config) || 'nokey';
-      // Sanitize key parts to be safe for localStorage keys
+      // Sanitize key parts to be safe for storage keys
       const safeProvider = provider.replace(/[^a-zA-Z0-9_-]/g, '');
       const safeQueryKey = queryKey.replace(/[^a-zA-Z0-9_-]/g, '');
       return `${CACHE_STORAGE_KEY_PREFIX}${safeProvider}_${safeQueryKey}`;
   }
 
   /**
-   * Saves the current in-memory imageCache to localStorage.
+   * Saves the current in-memory imageCache to persistent storage (in the background).
    * @private
    */
   _saveCacheToStorage() {
@@ -668,70 +746,60 @@ export class ImageBackgroundHandler {
           logger.warn('[ImageBackgroundHandler] Cannot save cache: storageKey is not set.');
           return;
       }
-      try {
-          const cacheString = JSON.stringify(this.imageCache);
-          localStorage.setItem(this.storageKey, cacheString);
-          logger.debug(`[ImageBackgroundHandler] Saved cache (${this.imageCache.length} items) to localStorage key: ${this.storageKey}`);
-      } catch (error) {
-          logger.error(`[ImageBackgroundHandler] Error saving cache to localStorage (key: ${this.storageKey}):`, error);
-          // Handle potential quota errors or other issues
-          if (error.name === 'QuotaExceededError') {
-              logger.warn('[ImageBackgroundHandler] localStorage quota exceeded. Consider clearing old caches or reducing batch size.');
-              // Optionally, try to clear *this* cache entry to prevent blocking other storage
-              localStorage.removeItem(this.storageKey);
-          }
-      }
+      const storageKey = this.storageKey;
+      const cacheSnapshot = [...this.imageCache];
+      this.cacheStorage.save(storageKey, cacheSnapshot)
+          .then(() => logger.debug(`[ImageBackgroundHandler] Saved cache (${cacheSnapshot.length} items) to storage key: ${storageKey}`))
+          .catch(error => {
+              logger.error(`[ImageBackgroundHandler] Error saving cache to storage (key: ${storageKey}):`, error);
+              if (error.name === 'QuotaExceededError') {
+                  logger.warn('[ImageBackgroundHandler] Storage quota exceeded. Consider clearing old caches or reducing batch size.');
+              }
+          });
   }
 
   /**
-   * Loads the image cache from localStorage if it matches the current config.
+   * Loads the image cache from persistent storage if it matches the current config.
    * Updates this.imageCache if a valid cache is found.
+   * @returns {Promise<void>}
    * @private
    */
-  _loadCacheFromStorage() {
+  async _loadCacheFromStorage() {
       if (!this.storageKey) {
           logger.warn('[ImageBackgroundHandler] Cannot load cache: storageKey is not set.');
           return;
       }
+      const storageKey = this.storageKey;
       try {
-          const storedCacheString = localStorage.getItem(this.storageKey);
-          if (storedCacheString) {
-              const storedCache = JSON.parse(storedCacheString);
-              // Basic validation: check if it's an array
-              if (Array.isArray(storedCache)) {
-                  this.imageCache = storedCache;
-                  // Update current batch keys based on the loaded cache's key
-                  const keyParts = this.storageKey.replace(CACHE_STORAGE_KEY_PREFIX, '').split('_');
-                  const provider = keyParts[0];
-                  const queryOrCountry = keyParts.slice(1).join('_'); // Rejoin if key had underscores
-                  if (provider === 'peapix') {
-                      this.currentBatchCountry = queryOrCountry;
-                      this.currentBatchQuery = null;
-                  } else {
-                      this.currentBatchQuery = queryOrCountry;
-                      this.currentBatchCountry = null;
-                  }
-                  logger.log(`[ImageBackgroundHandler] Loaded cache (${this.imageCache.length} items) from localStorage key: ${this.storageKey}`);
+          const storedCache = await this.cacheStorage.load(storageKey);
+          if (storageKey !== this.storageKey) return; // Config changed while loading
+          if (storedCache) {
+              this.imageCache = storedCache;
+              // Update current batch keys based on the loaded cache's key
+              const keyParts = storageKey.replace(CACHE_STORAGE_KEY_PREFIX, '').split('_');
+              const provider = keyParts[0];
+              const queryOrCountry = keyParts.slice(1).join('_'); // Rejoin if key had underscores
+              if (provider === 'peapix') {
+                  this.currentBatchCountry = queryOrCountry;
+                  this.currentBatchQuery = null;
               } else {
-                  logger.warn(`[ImageBackgroundHandler] Invalid cache data found in localStorage for key ${this.storageKey}. Discarding.`);
-                  localStorage.removeItem(this.storageKey); // Remove invalid data
-                  this.imageCache = []; // Reset in-memory cache
+                  this.currentBatchQuery = queryOrCountry;
+                  this.currentBatchCountry = null;
               }
+              logger.log(`[ImageBackgroundHandler] Loaded cache (${this.imageCache.length} items) from storage key: ${storageKey}`);
           } else {
-              logger.debug(`[ImageBackgroundHandler] No cache found in localStorage for key: ${this.storageKey}`);
+              logger.debug(`[ImageBackgroundHandler] No cache found in storage for key: ${storageKey}`);
               this.imageCache = []; // Ensure in-memory cache is empty
           }
       } catch (error) {
-          logger.error(`[ImageBackgroundHandler] Error loading or parsing cache from localStorage (key: ${this.storageKey}):`, error);
+          logger.error(`[ImageBackgroundHandler] Error loading cache from storage (key: ${storageKey}):`, error);
           this.imageCache = []; // Reset in-memory cache on error
           // Attempt to remove potentially corrupted data
-          try {
-              localStorage.removeItem(this.storageKey);
-          } catch (removeError) {
-              logger.error(`[ImageBackgroundHandler] Failed to remove corrupted cache item (key: ${this.storageKey}):`, removeError);
-          }
+          this.cacheStorage.remove(storageKey).catch(removeError => {
+              logger.error(`[ImageBackgroundHandler] Failed to remove corrupted cache item (key: ${storageKey}):`, removeError);
+          });
       }
   }
 
-  // --- End localStorage Cache Helpers ---
+  // --- End Persistent Cache Helpers ---
 } // <-- Added missing closing brace for the ImageBackgroundHandler class
@@ -0,0 +1,261 @@
+import * as logger from '../../utils/logger.js';
+import { DirectoryHandleStorage } from '../storage/DirectoryHandleStorage.js';
+
+/** Prefix of the stable URLs used for images from a picked folder (object URLs don't survive reloads) */
+export const LOCAL_FILE_URL_PREFIX = 'local-file:';
+/** Query key used when images come from the manifest rather than a picked folder */
+export const LOCAL_MANIFEST_QUERY = 'manifest';
+/** Default location of the manifest, relative to index.html */
+export const DEFAULT_MANIFEST_URL = 'images/manifest.json';
+
+const DIRECTORY_HANDLE_KEY = 'localImageFolder';
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp|gif|avif|bmp)$/i;
+const MAX_FOLDER_DEPTH = 3; // How many levels of sub-folders are scanned
+
+/**
+ * Checks whether a URL refers to an image in a picked folder.
+ * @param {string} url - The image URL.
+ * @returns {boolean}
+ */
+export function isLocalImageUrl(url) {
+  return typeof url === 'string' && url.startsWith(LOCAL_FILE_URL_PREFIX);
+}
+
+/**
+ * Returns a random sample of up to `count` items.
+ * @param {Array} items - The items to sample.
+ * @param {number} count - Maximum sample size.
+ * @returns {Array}
+ */
+function sample(items, count) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled.slice(0, count);
+}
+
+/**
+ * Image provider for self-hosted images, without internet access.
+ *
+ * Images come from one of two places:
+ * - a folder picked by the user via the File System Access API (`chooseDirectory`). The handle is
+ *   kept in IndexedDB so the folder survives reloads; images get stable `local-file:<path>` URLs that
+ *   are turned into object URLs by `resolveImageUrl` when displayed.
+ * - a manifest JSON served alongside index.html (default `images/manifest.json`), listing images as
+ *   `{ "images": [{ "url", "authorName", "authorUrl" }] }` or a plain array of URLs/entries.
+ *   Relative URLs are resolved against the manifest's location.
+ */
+export class LocalProvider {
+  /**
+   * Creates a LocalProvider instance.
+   * @param {object} [options]
+   * @param {string} [options.manifestUrl=DEFAULT_MANIFEST_URL] - Location of the image manifest.
+   * @param {DirectoryHandleStorage} [options.handleStorage] - Storage for the picked folder's handle.
+   */
+  constructor({ manifestUrl = DEFAULT_MANIFEST_URL, handleStorage = new DirectoryHandleStorage() } = {}) {
+    this.baseUrl = manifestUrl;
+    this.name = 'local'; // Identifier for this provider
+    this.requiresBackendKey = false; // Everything is served from the user's device or this site
+    this.handleStorage = handleStorage;
+    this.directoryHandle = undefined; // undefined = not loaded from storage yet, null = none picked
+    this.folderFiles = null; // Cached listing of the picked folder: Map<path, FileSystemFileHandle>
+    this.objectUrls = new Map(); // path -> object URL for images shown this session
+    logger.debug('[LocalProvider] Initialized. Manifest URL:', this.baseUrl);
+  }
+
+  /**
+   * Whether the browser can pick folders (File System Access API).
+   * @returns {boolean}
+   */
+  supportsDirectoryPicker() {
+    return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+  }
+
+  /**
+   * Lets the user pick an image folder and remembers it. Must be called from a user gesture.
+   * @returns {Promise<{id: string, name: string}|null>} The folder's new ID and name, or null if cancelled.
+   * @throws {Error} If the browser doesn't support folder access.
+   */
+  async chooseDirectory() {
+    if (!this.supportsDirectoryPicker()) {
+      throw new Error('This browser cannot open local folders. Use an images/manifest.json file instead.');
+    }
+    let handle;
+    try {
+      handle = await window.showDirectoryPicker({ id: 'ambient-clock-images', mode: 'read' });
+    } catch (error) {
+      if (error.name === 'AbortError') return null; // User cancelled the picker
+      throw error;
+    }
+    this._setDirectoryHandle(handle);
+    await this.handleStorage.save(DIRECTORY_HANDLE_KEY, handle);
+    logger.log(`[LocalProvider] Using local folder "${handle.name}".`);
+    // A fresh ID per pick so caches of a previous folder with the same name aren't reused
+    return { id: Date.now().toString(36), name: handle.name };
+  }
+
+  /**
+   * Forgets the picked folder, switching back to the manifest.
+   * @returns {Promise<void>}
+   */
+  async clearDirectory() {
+    this._setDirectoryHandle(null);
+    await this.handleStorage.remove(DIRECTORY_HANDLE_KEY);
+  }
+
+  /**
+   * Fetches a single random image.
+   * @param {string} query - Query key (see getImageBatch).
+   * @returns {Promise<object|null>} Image details or null if an error occurs.
+   */
+  async getImage(query = LOCAL_MANIFEST_QUERY) {
+    try {
+      const batch = await this.getImageBatch(query, 1);
+      return batch.length > 0 ? batch[0] : null;
+    } catch (error) {
+      logger.error('[LocalProvider] Error in getImage via getImageBatch:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Returns a random batch of local images.
+   * @param {string} [query=LOCAL_MANIFEST_QUERY] - `manifest` to read the manifest; any other key
+   *   (as produced by determineImageQueryKey for a picked folder) reads the picked folder.
+   * @param {number} [count=10] - The number of images to return.
+   * @returns {Promise<Array<object>>} Image data objects `{url, authorName, authorUrl, source}`.
+   * @throws {Error} If the folder can't be read or the manifest can't be loaded.
+   */
+  async getImageBatch(query = LOCAL_MANIFEST_QUERY, count = 10) {
+    const images = query === LOCAL_MANIFEST_QUERY
+      ? await this._listManifestImages()
+      : await this._listFolderImages();
+    logger.debug(`[LocalProvider] Found ${images.length} local images for "${query}".`);
+    return sample(images, count);
+  }
+
+  /**
+   * Turns a stable `local-file:` URL into a displayable object URL. Other URLs are returned unchanged.
+   * @param {string} url - The image URL.
+   * @returns {Promise<string>} A URL usable as an image source.
+   * @throws {Error} If the file is no longer available in the picked folder.
+   */
+  async resolveImageUrl(url) {
+    if (!isLocalImageUrl(url)) return url;
+    const path = url.slice(LOCAL_FILE_URL_PREFIX.length);
+    if (this.objectUrls.has(path)) return this.objectUrls.get(path);
+
+    const files = await this._getFolderFiles();
+    const fileHandle = files.get(path);
+    if (!fileHandle) {
+      throw new Error(`Local image "${path}" is not in the selected folder.`);
+    }
+    const objectUrl = URL.createObjectURL(await fileHandle.getFile());
+    this.objectUrls.set(path, objectUrl);
+    return objectUrl;
+  }
+
+  /**
+   * Lists the picked folder's images.
+   * @returns {Promise<Array<object>>}
+   * @private
+   */
+  async _listFolderImages() {
+    const files = await this._getFolderFiles();
+    const folderName = this.directoryHandle.name;
+    return Array.from(files.keys(), path => ({
+      url: `${LOCAL_FILE_URL_PREFIX}${path}`,
+      authorName: folderName,
+      authorUrl: '#',
+      source: this.name
+    }));
+  }
+
+  /**
+   * Returns the picked folder's image files, scanning it once per pick.
+   * @returns {Promise<Map<string, FileSystemFileHandle>>}
+   * @throws {Error} If no folder is picked or read permission isn't granted.
+   * @private
+   */
+  async _getFolderFiles() {
+    if (this.directoryHandle === undefined) {
+      this.directoryHandle = await this.handleStorage.get(DIRECTORY_HANDLE_KEY);
+    }
+    const handle = this.directoryHandle;
+    if (!handle) {
+      throw new Error('No local folder selected.');
+    }
+    // Permission may have to be re-granted after a reload; that needs a user gesture (Choose Folder)
+    if (typeof handle.queryPermission === 'function' && await handle.queryPermission({ mode: 'read' }) !== 'granted') {
+      throw new Error(`Access to the folder "${handle.name}" needs to be granted again.`);
+    }
+    if (!this.folderFiles) {
+      const files = new Map();
+      await this._scanDirectory(handle, '', 0, files);
+      this.folderFiles = files;
+    }
+    return this.folderFiles;
+  }
+
+  /**
+   * Recursively collects image files.
+   * @param {FileSystemDirectoryHandle} directory - The folder to scan.
+   * @param {string} prefix - Path of `directory` relative to the picked folder.
+   * @param {number} depth - Current depth.
+   * @param {Map<string, FileSystemFileHandle>} files - Collected files, keyed by relative path.
+   * @private
+   */
+  async _scanDirectory(directory, prefix, depth, files) {
+    for await (const entry of directory.values()) {
+      const path = `${prefix}${entry.name}`;
+      if (entry.kind === 'file' && IMAGE_EXTENSIONS.test(entry.name)) {
+        files.set(path, entry);
+      } else if (entry.kind === 'directory' && depth < MAX_FOLDER_DEPTH && !entry.name.startsWith('.')) {
+        await this._scanDirectory(entry, `${path}/`, depth + 1, files);
+      }
+    }
+  }
+
+  /**
+   * Loads and normalizes the manifest's images.
+   * @returns {Promise<Array<object>>}
+   * @throws {Error} If the manifest can't be fetched or parsed.
+   * @private
+   */
+  async _listManifestImages() {
+    const response = await fetch(this.baseUrl, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`Local image manifest error: ${response.status} ${response.statusText}`);
+    }
+    const manifest = await response.json();
+    const entries = Array.isArray(manifest) ? manifest : manifest?.images;
+    if (!Array.isArray(entries)) {
+      throw new Error('Local image manifest must be an array or contain an "images" array.');
+    }
+
+    const manifestUrl = new URL(response.url || this.baseUrl, document.baseURI);
+    return entries
+      .map(entry => (typeof entry === 'string' ? { url: entry } : entry))
+      .filter(entry => entry && typeof entry.url === 'string' && entry.url.trim())
+      .map(entry => ({
+        url: new URL(entry.url, manifestUrl).href,
+        authorName: entry.authorName || manifest?.authorName || 'Local library',
+        authorUrl: entry.authorUrl || manifest?.authorUrl || '#',
+        source: this.name
+      }));
+  }
+
+  /**
+   * Replaces the picked folder, dropping the listing and object URLs of the previous one.
+   * @param {FileSystemDirectoryHandle|null} handle - The new folder.
+   * @private
+   */
+  _setDirectoryHandle(handle) {
+    this.objectUrls.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+    this.objectUrls.clear();
+    this.folderFiles = null;
+    this.directoryHandle = handle;
+  }
+}
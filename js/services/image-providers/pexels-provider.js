@@ -1,4 +1,5 @@
 import * as logger from '../../utils/logger.js'; // Corrected import path
+import { selectVideoRendition } from '../utils/background-helpers.js';
 
 // Custom error for rate limiting
 class RateLimitError extends Error {
@@ -73,7 +74,7 @@ function checkRateLimit() {
 
 
 /**
- * Image provider for fetching images from Pexels.
+ * Image provider for fetching images (and videos) from Pexels.
  */
 export class PexelsProvider {
   /**
@@ -119,6 +120,83 @@ export class PexelsProvider {
    * @throws {Error} For other fetch or processing errors.
    */
   async getImageBatch(query = 'nature', count = 10) {
+    const data = await this._search('photo', query, count);
+    logger.debug(`[PexelsProvider] Received batch data (${data?.photos?.length || 0} items) via proxy.`);
+
+    if (!data || !Array.isArray(data.photos) || data.photos.length === 0) {
+        logger.error('[PexelsProvider] No photos found in Pexels API response:', data);
+        return []; // Return empty array
+    }
+
+    // Map data to standard format
+    return data.photos
+      .map(photo => {
+        if (photo && photo.src && photo.photographer) {
+          // Choose appropriate image size
+          const imageUrl = photo.src.large2x || photo.src.large || photo.src.original;
+          return {
+            url: imageUrl,
+            authorName: photo.photographer || 'Unknown',
+            authorUrl: photo.photographer_url || '#',
+            source: this.name
+            // Pexels 'alt' might be useful: photo.alt
+          };
+        }
+        return null;
+      })
+      .filter(item => item !== null); // Remove nulls
+  }
+
+  /**
+   * Fetches a batch of videos from Pexels based on a category/query.
+   * @param {string} query - The search query or category for the videos.
+   * @param {number} [count=10] - The number of videos to fetch (max 80).
+   * @returns {Promise<Array<object>>} A promise that resolves to an array of video data objects
+   *          ({url, posterUrl, authorName, authorUrl, source, mediaType: 'video'}).
+   * @throws {RateLimitError} If the rate limit is exceeded.
+   * @throws {Error} For other fetch or processing errors.
+   */
+  async getVideoBatch(query = 'nature', count = 10) {
+    const data = await this._search('video', query, count);
+    logger.debug(`[PexelsProvider] Received video batch data (${data?.videos?.length || 0} items) via proxy.`);
+
+    if (!data || !Array.isArray(data.videos) || data.videos.length === 0) {
+        logger.error('[PexelsProvider] No videos found in Pexels API response:', data);
+        return [];
+    }
+
+    const targetWidth = Math.max(window.innerWidth, window.innerHeight) * (window.devicePixelRatio || 1);
+    return data.videos
+      .map(video => {
+        // Pexels offers several files per video (sd/hd/uhd); only mp4 plays everywhere
+        const files = (video?.video_files || [])
+          .filter(file => file.file_type === 'video/mp4')
+          .map(file => ({ url: file.link, width: file.width }));
+        const rendition = selectVideoRendition(files, targetWidth);
+        if (!rendition) return null;
+        return {
+          url: rendition.url,
+          posterUrl: video.image || null,
+          authorName: video.user?.name || 'Unknown',
+          authorUrl: video.user?.url || '#',
+          source: this.name,
+          mediaType: 'video'
+        };
+      })
+      .filter(item => item !== null);
+  }
+
+  /**
+   * Queries the search proxy, keeping track of the rate limit.
+   * @param {'photo'|'video'} type - What to search for.
+   * @param {string} query - The search query.
+   * @param {number} count - The number of results to request (max 80).
+   * @returns {Promise<object>} The parsed response body.
+   * @throws {RateLimitError} If the rate limit is exceeded.
+   * @throws {Error} For other fetch errors.
+   * @private
+   */
+  async _search(type, query, count) {
     // 1. Check Rate Limit
     if (!checkRateLimit()) {
       throw new RateLimitError('Pexels API rate limit exceeded.', rateLimitResetTimestamp);
@@ -135,8 +213,11 @@ export class PexelsProvider {
         // Pexels search doesn't guarantee randomness in the same way Unsplash does.
         // The results are sorted by relevance by default. We rely on the proxy/API default.
     });
+    if (type === 'video') {
+        params.set('type', 'video');
+    }
     const url = `${this.baseUrl}?${params.toString()}`;
-    logger.debug(`[PexelsProvider] Fetching batch of ${perPage} via proxy: ${url}`);
+    logger.debug(`[PexelsProvider] Fetching ${type} batch of ${perPage} via proxy: ${url}`);
 
     // 3. Fetch Data
     try {
@@ -170,34 +251,10 @@ export class PexelsProvider {
       }
 
       // 6. Process Successful Response
-      const data = await response.json();
-      logger.debug(`[PexelsProvider] Received batch data (${data?.photos?.length || 0} items) via proxy.`);
-
-      if (!data || !Array.isArray(data.photos) || data.photos.length === 0) {
-          logger.error('[PexelsProvider] No photos found in Pexels API response:', data);
-          return []; // Return empty array
-      }
-
-      // 7. Map data to standard format
-      return data.photos
-        .map(photo => {
-          if (photo && photo.src && photo.photographer) {
-            // Choose appropriate image size
-            const imageUrl = photo.src.large2x || photo.src.large || photo.src.original;
-            return {
-              url: imageUrl,
-              authorName: photo.photographer || 'Unknown',
-              authorUrl: photo.photographer_url || '#',
-              source: this.name
-              // Pexels 'alt' might be useful: photo.alt
-            };
-          }
-          return null;
-        })
-        .filter(item => item !== null); // Remove nulls
+      return await response.json();
 
     } catch (error) {
-      logger.error('[PexelsProvider] Error fetching image batch:', error);
+      logger.error(`[PexelsProvider] Error fetching ${type} batch:`, error);
       // Re-throw allows the caller to handle specific types
       throw error;
     }
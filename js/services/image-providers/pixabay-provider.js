@@ -1,7 +1,8 @@
 import * as logger from '../../utils/logger.js';
+import { selectVideoRendition } from '../utils/background-helpers.js';
 
 /**
- * Image provider for fetching images from Pixabay, following similar patterns to Unsplash/Pexels.
+ * Image provider for fetching images (and videos) from Pixabay, following similar patterns to Unsplash/Pexels.
  */
 export class PixabayProvider {
     /**
@@ -28,14 +29,70 @@ export class PixabayProvider {
         const orientation = window.innerWidth > window.innerHeight ? 'horizontal' : 'vertical';
         logger.debug(`[PixabayProvider] getImageBatch called for query: ${query}, orientation: ${orientation}. (Requested count ${count} ignored)`);
 
+        const hits = await this._search({ q: query, orientation: orientation });
+
+        // Map data to the standard format expected by ImageBackgroundHandler
+        return hits
+            .map(hit => {
+                // Basic validation for each hit
+                if (hit && hit.largeImageURL && hit.user) {
+                    return {
+                        url: hit.largeImageURL, // Use largeImageURL for better quality
+                        authorName: hit.user || 'Unknown',
+                        authorUrl: this._getAuthorUrl(hit),
+                        source: this.name
+                        // Other potentially useful fields: hit.webformatURL, hit.tags, hit.pageURL
+                    };
+                }
+                return null; // Filter out invalid hits
+            })
+            .filter(item => item !== null); // Remove nulls
+    }
+
+    /**
+     * Fetches a batch of videos from Pixabay based on a query.
+     * Note: The 'count' parameter is ignored; the API proxy fetches a fixed larger batch.
+     * @param {string} query - The search query.
+     * @param {number} [count=10] - Ignored. Kept for interface consistency.
+     * @returns {Promise<Array<object>>} A promise that resolves to an array of video data objects
+     *          ({url, posterUrl, authorName, authorUrl, source, mediaType: 'video'}).
+     * @throws {Error} For fetch or processing errors.
+     */
+    async getVideoBatch(query = 'nature', count = 10) { // count is ignored
+        logger.debug(`[PixabayProvider] getVideoBatch called for query: ${query}. (Requested count ${count} ignored)`);
+
+        const hits = await this._search({ q: query, type: 'video' });
+        const targetWidth = Math.max(window.innerWidth, window.innerHeight) * (window.devicePixelRatio || 1);
+
+        return hits
+            .map(hit => {
+                // Each video comes in up to four sizes (tiny, small, medium, large), all mp4
+                const renditions = Object.values(hit?.videos || {}).map(video => ({ url: video.url, width: video.width }));
+                const rendition = selectVideoRendition(renditions, targetWidth);
+                if (!rendition || !hit.user) return null;
+                return {
+                    url: rendition.url,
+                    posterUrl: hit.videos.large?.thumbnail || hit.videos.medium?.thumbnail || null,
+                    authorName: hit.user || 'Unknown',
+                    authorUrl: this._getAuthorUrl(hit),
+                    source: this.name,
+                    mediaType: 'video'
+                };
+            })
+            .filter(item => item !== null);
+    }
+
+    /**
+     * Queries the search proxy.
+     * @param {object} params - Query parameters for the proxy (q, orientation, type).
+     * @returns {Promise<Array<object>>} The hits of the response (empty if there are none).
+     * @throws {Error} For fetch errors.
+     * @private
+     */
+    async _search(params) {
         try {
-            // Prepare URL for the backend proxy
-            const params = new URLSearchParams({
-                q: query,
-                orientation: orientation
-                // page: 1 // Fetch page 1 by default. API proxy handles batch size.
-            });
-            const url = `${this.baseUrl}?${params.toString()}`;
+            // Prepare URL for the backend proxy (page 1 by default; the proxy handles batch size)
+            const url = `${this.baseUrl}?${new URLSearchParams(params).toString()}`;
             logger.debug(`[PixabayProvider] Fetching batch via proxy: ${url}`);
 
             const response = await fetch(url);
@@ -66,37 +123,30 @@ export class PixabayProvider {
             }
 
             if (data.hits.length === 0) {
-                logger.warn('[PixabayProvider] No images found for query:', query);
-                return []; // Return empty if no hits
+                logger.warn('[PixabayProvider] No results found for query:', params.q);
             }
-
-            // Map data to the standard format expected by ImageBackgroundHandler
-            return data.hits
-                .map(hit => {
-                    // Basic validation for each hit
-                    if (hit && hit.largeImageURL && hit.user) {
-                        return {
-                            url: hit.largeImageURL, // Use largeImageURL for better quality
-                            authorName: hit.user || 'Unknown',
-                            // Construct author URL based on Pixabay's pattern
-                            authorUrl: hit.user_id ? `https://pixabay.com/users/${hit.user}-${hit.user_id}/` : '#',
-                            source: this.name
-                            // Other potentially useful fields: hit.webformatURL, hit.tags, hit.pageURL
-                        };
-                    }
-                    return null; // Filter out invalid hits
-                })
-                .filter(item => item !== null); // Remove nulls
+            return data.hits;
 
         } catch (error) {
-            logger.error('[PixabayProvider] Error fetching image batch:', error);
-            // Re-throw allows the caller (ImageBackgroundHandler) to handle it
+            logger.error('[PixabayProvider] Error fetching batch:', error);
+            // Re-throw allows the caller (the background handler) to handle it
             throw error;
         }
         // Note: Rate limit handling is not implemented here as robustly as for Pexels/Unsplash.
         // The backend proxy handles the key, but client-side checks/state are missing.
     }
 
+    /**
+     * Builds the Pixabay profile URL of a hit's author.
+     * @param {object} hit - A search hit.
+     * @returns {string} The profile URL, or '#' if unknown.
+     * @private
+     */
+    _getAuthorUrl(hit) {
+        // Construct author URL based on Pixabay's pattern
+        return hit.user_id ? `https://pixabay.com/users/${hit.user}-${hit.user_id}/` : '#';
+    }
+
     /**
      * Fetches a single image from Pixabay based on a query.
      * @param {string} query - The search query.
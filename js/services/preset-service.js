@@ -0,0 +1,237 @@
+import * as logger from '../utils/logger.js';
+import { t } from '../i18n/i18n.js';
+import { migrateState } from '../state/migrations.js';
+import { validateState } from '../state/state-schema.js';
+import { formatSchemaError } from '../utils/schema.js';
+import { createPresetState, getBuiltInPresets, getPresetFileName } from './utils/preset-helpers.js';
+
+/**
+ * @class PresetService
+ * @description Saves and applies named presets: complete looks (`settings` and `elements`,
+ * optionally with the favorites) to switch between, e.g. "Minimal Clock" and "Photo Frame".
+ *
+ * User presets live in `settings.presets` so they are persisted and exported with the other settings:
+ * `{ [id]: { id, name, createdAt, state: { schemaVersion, settings, elements }, favorites?, favoriteCollections? } }`.
+ * The schedule, alarms, UI state and face modules are never part of a preset (see NON_LOOK_SETTINGS_KEYS).
+ * Built-in presets (see getBuiltInPresets) are listed first; they can be applied, duplicated and
+ * exported but not renamed or deleted.
+ *
+ * Presets are applied through SettingsIOService.applySettings, like an imported settings file,
+ * and exported in the same envelope as SettingsIOService.exportSettings.
+ */
+export class PresetService {
+    /**
+     * Creates an instance of PresetService.
+     * @param {StateManager} stateManager - The application's StateManager instance.
+     * @param {SettingsIOService} settingsIOService - Applies and exports presets.
+     * @param {FavoritesService} favoritesService - Source of the favorites saved with presets.
+     */
+    constructor(stateManager, settingsIOService, favoritesService) {
+        if (!stateManager || !settingsIOService || !favoritesService) {
+            throw new Error("PresetService requires StateManager, SettingsIOService and FavoritesService instances.");
+        }
+        this.stateManager = stateManager;
+        this.settingsIOService = settingsIOService;
+        this.favoritesService = favoritesService;
+        this.builtInPresets = getBuiltInPresets();
+        logger.log('[PresetService] Initialized');
+    }
+
+    // --- Queries ---
+
+    /**
+     * Returns all presets: the built-in ones, then the user's in creation order.
+     * @returns {Array<object>}
+     */
+    getPresets() {
+        const presets = this.stateManager.getNestedValue(this.stateManager.getState(), 'settings.presets') || {};
+        return [...this.builtInPresets, ...Object.values(presets)];
+    }
+
+    /**
+     * Finds a preset.
+     * @param {string} presetId - The preset's ID.
+     * @returns {object|null} The preset, or null if there is none with that ID.
+     */
+    getPreset(presetId) {
+        return this.getPresets().find(preset => preset.id === presetId) || null;
+    }
+
+    /**
+     * Returns the name to show for a preset (built-in names are translated).
+     * @param {object} preset
+     * @returns {string}
+     */
+    getDisplayName(preset) {
+        return preset.builtIn ? t(preset.name) : preset.name;
+    }
+
+    // --- Presets ---
+
+    /**
+     * Saves the current look as a new preset.
+     * @param {string} name - Display name.
+     * @param {object} [options={}]
+     * @param {boolean} [options.includeFavorites=false] - Also save the favorites (restored when the preset is applied).
+     * @returns {{success: boolean, message: string, preset?: object}} Result object.
+     */
+    savePreset(name, { includeFavorites = false } = {}) {
+        const trimmedName = String(name ?? '').trim();
+        const error = this._checkName(trimmedName);
+        if (error) return { success: false, message: error };
+
+        const preset = {
+            id: this._generateId('preset'),
+            name: trimmedName,
+            createdAt: new Date().toISOString(),
+            state: createPresetState(this.stateManager.getState())
+        };
+        if (includeFavorites) {
+            preset.favorites = this.favoritesService.getFavorites();
+            preset.favoriteCollections = this.favoritesService.getCollections();
+        }
+        this._updatePresets({ [preset.id]: preset });
+        logger.log(`[PresetService] Saved preset "${trimmedName}" (${preset.id}).`);
+        return { success: true, message: t('Preset saved.'), preset };
+    }
+
+    /**
+     * Applies a preset: its settings and elements replace the current look (elements it doesn't
+     * contain are removed), and its favorites, if saved with it, replace the current favorites.
+     * Invalid values (e.g. from an older preset) are skipped. An active schedule profile is
+     * deactivated, so the preset isn't recorded into it.
+     * @param {string} presetId - The preset to apply.
+     * @returns {{success: boolean, message: string}} Result object.
+     */
+    applyPreset(presetId) {
+        const preset = this.getPreset(presetId);
+        if (!preset) {
+            logger.warn(`[PresetService] Cannot apply unknown preset: ${presetId}`);
+            return { success: false, message: t('Preset not found.') };
+        }
+
+        try {
+            // Presets saved by earlier versions are upgraded like imported files
+            const { errors, value } = validateState(migrateState(preset.state), { repair: true });
+            if (!value) {
+                throw new Error(errors.map(formatSchemaError).join('; '));
+            }
+            if (errors.length > 0) {
+                logger.warn(`[PresetService] Skipping invalid values of preset "${preset.name}":\n${errors.map(formatSchemaError).join('\n')}`);
+            }
+            // Presets saved by earlier versions may hold keys that aren't part of a look (e.g. face module URLs)
+            const state = createPresetState(value);
+            this.settingsIOService.applySettings({
+                state: { ...state, settings: { ...state.settings, schedule: { activeProfileId: null } } },
+                favorites: preset.favorites,
+                favoriteCollections: preset.favoriteCollections
+            });
+        } catch (error) {
+            logger.error(`[PresetService] Error applying preset "${preset.name}":`, error);
+            return { success: false, message: t('Error applying preset: {message}', { message: error.message }) };
+        }
+
+        logger.log(`[PresetService] Applied preset "${preset.name}" (${presetId}).`);
+        return { success: true, message: t('Applied preset "{name}".', { name: this.getDisplayName(preset) }) };
+    }
+
+    /**
+     * Renames a user preset.
+     * @param {string} presetId - The preset to rename.
+     * @param {string} name - The new name.
+     * @returns {{success: boolean, message: string}} Result object.
+     */
+    renamePreset(presetId, name) {
+        const preset = this._getUserPreset(presetId);
+        if (!preset) return { success: false, message: t('Preset not found.') };
+
+        const trimmedName = String(name ?? '').trim();
+        const error = this._checkName(trimmedName, presetId);
+        if (error) return { success: false, message: error };
+
+        this._updatePresets({ [presetId]: { name: trimmedName } });
+        return { success: true, message: t('Preset renamed.') };
+    }
+
+    /**
+     * Saves a copy of a preset (built-in or not) as a new user preset, named "Copy of <name>".
+     * @param {string} presetId - The preset to copy.
+     * @returns {{success: boolean, message: string, preset?: object}} Result object.
+     */
+    duplicatePreset(presetId) {
+        const source = this.getPreset(presetId);
+        if (!source) return { success: false, message: t('Preset not found.') };
+
+        const baseName = t('Copy of {name}', { name: this.getDisplayName(source) });
+        let name = baseName;
+        for (let number = 2; this._checkName(name); number++) {
+            name = `${baseName} (${number})`;
+        }
+
+        const { builtIn, ...copy } = JSON.parse(JSON.stringify(source));
+        const preset = { ...copy, id: this._generateId('preset'), name, createdAt: new Date().toISOString() };
+        this._updatePresets({ [preset.id]: preset });
+        logger.log(`[PresetService] Duplicated preset ${presetId} as "${name}" (${preset.id}).`);
+        return { success: true, message: t('Preset duplicated.'), preset };
+    }
+
+    /**
+     * Deletes a user preset.
+     * @param {string} presetId - The preset to delete.
+     * @returns {boolean} True if the preset existed.
+     */
+    deletePreset(presetId) {
+        if (!this._getUserPreset(presetId)) return false;
+        this.stateManager.remove(`settings.presets.${presetId}`);
+        logger.log(`[PresetService] Deleted preset ${presetId}.`);
+        return true;
+    }
+
+    /**
+     * Downloads a preset as a settings file (importable with SettingsIOService.importSettings).
+     * @param {string} presetId - The preset to export.
+     * @returns {boolean} True if the preset exists.
+     */
+    exportPreset(presetId) {
+        const preset = this.getPreset(presetId);
+        if (!preset) return false;
+
+        const exportData = this.settingsIOService.createExportData(createPresetState(preset.state), {
+            favorites: preset.favorites,
+            favoriteCollections: preset.favoriteCollections
+        });
+        this.settingsIOService.downloadJson(exportData, getPresetFileName(this.getDisplayName(preset)));
+        logger.log(`[PresetService] Exported preset ${presetId}.`);
+        return true;
+    }
+
+    // --- Helpers ---
+
+    /** Returns the user preset with that ID (null for built-in and unknown presets). */
+    _getUserPreset(presetId) {
+        return this.stateManager.getNestedValue(this.stateManager.getState(), `settings.presets.${presetId}`) || null;
+    }
+
+    /**
+     * Checks a preset name (required, and unique among all presets).
+     * @param {string} name - The trimmed name.
+     * @param {string} [ignoredId] - Preset whose own name doesn't count (when renaming).
+     * @returns {string|null} The error message, or null if the name can be used.
+     */
+    _checkName(name, ignoredId) {
+        if (!name) return t('Preset name is required.');
+        const taken = this.getPresets().some(preset =>
+            preset.id !== ignoredId && this.getDisplayName(preset).toLowerCase() === name.toLowerCase());
+        return taken ? t('A preset named "{name}" already exists.', { name }) : null;
+    }
+
+    /** Merges changes into settings.presets. */
+    _updatePresets(presetChanges) {
+        this.stateManager.update({ settings: { presets: presetChanges } });
+    }
+
+    /** Generates a unique, path-safe ID (no dots). */
+    _generateId(prefix) {
+        return `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+}
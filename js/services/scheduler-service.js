@@ -0,0 +1,308 @@
+import { EventBus } from '../core/event-bus.js';
+import * as logger from '../utils/logger.js';
+import { t } from '../i18n/i18n.js';
+import {
+    parseTimeOfDay,
+    getScheduledProfileId,
+    extractProfileChanges,
+    createPatchFromState,
+    getApplicablePatch
+} from './utils/schedule-helpers.js';
+
+/** How often the schedule is checked for boundary crossings (ms) */
+const CHECK_INTERVAL = 30000;
+
+/**
+ * @class SchedulerService
+ * @description Switches between named profiles (partial `settings`/`elements` patches) based on
+ * time-of-day and day-of-week rules, e.g. a dimmer "Night" look from 22:00 to 07:00.
+ *
+ * Everything lives in `settings.schedule` so it is persisted and exported with the other settings:
+ * - `enabled`: whether rules are applied automatically.
+ * - `activeProfileId`: the profile currently applied (null if none).
+ * - `profiles`: `{ [id]: { id, name, patch: { settings, elements } } }`.
+ * - `rules`: `[{ id, profileId, start: 'HH:MM', days: [0-6] }]` - switch to `profileId` at `start`
+ *   on each of `days` (0 = Sunday, empty = every day).
+ *
+ * Profiles are applied via StateManager.update when a rule boundary is crossed. Manual edits made
+ * while a profile is active are merged back into that profile so they survive the next switch.
+ */
+export class SchedulerService {
+    /**
+     * Creates an instance of SchedulerService.
+     * @param {StateManager} stateManager - The application's StateManager instance.
+     */
+    constructor(stateManager) {
+        if (!stateManager) {
+            throw new Error("SchedulerService requires a StateManager instance.");
+        }
+        this.stateManager = stateManager;
+        this.isApplying = false; // True while the service itself updates state
+        this.lastScheduledProfileId = null; // Profile chosen by the rules at the last check
+        this.intervalId = null;
+        this.subscriptions = [];
+        logger.log('[SchedulerService] Initialized');
+    }
+
+    /**
+     * Starts watching for manual edits and checking the schedule periodically.
+     * Applies the currently scheduled profile immediately if it isn't active yet.
+     */
+    init() {
+        this.subscriptions.push(
+            EventBus.subscribe('state:changed', ({ changes }) => this._handleStateChanged(changes)),
+            // Re-evaluate right away when rules are edited or the schedule is toggled
+            EventBus.subscribe('state:settings.schedule.rules:changed', () => this._resetAndCheck()),
+            EventBus.subscribe('state:settings.schedule.enabled:changed', () => this._resetAndCheck())
+        );
+        this.intervalId = setInterval(() => this.check(), CHECK_INTERVAL);
+        this.check();
+    }
+
+    // --- Queries ---
+
+    /**
+     * Returns the schedule settings (with defaults for missing keys).
+     * @returns {{enabled: boolean, activeProfileId: string|null, profiles: object, rules: Array<object>}}
+     */
+    getSchedule() {
+        const schedule = this.stateManager.getNestedValue(this.stateManager.getState(), 'settings.schedule') || {};
+        return {
+            enabled: schedule.enabled ?? false,
+            activeProfileId: schedule.activeProfileId ?? null,
+            profiles: schedule.profiles || {},
+            rules: Array.isArray(schedule.rules) ? schedule.rules : []
+        };
+    }
+
+    /**
+     * Returns all profiles as an array, in creation order.
+     * @returns {Array<object>}
+     */
+    getProfiles() {
+        return Object.values(this.getSchedule().profiles);
+    }
+
+    // --- Profiles ---
+
+    /**
+     * Creates a profile. Without a patch, the current look is captured.
+     * @param {string} name - Display name.
+     * @param {object} [patch] - Partial `{ settings, elements }` state to apply.
+     * @returns {{success: boolean, message: string, profile?: object}} Result object.
+     */
+    createProfile(name, patch = createPatchFromState(this.stateManager.getState())) {
+        const trimmedName = String(name ?? '').trim();
+        if (!trimmedName) {
+            return { success: false, message: t('Profile name is required.') };
+        }
+        if (this.getProfiles().some(profile => profile.name.toLowerCase() === trimmedName.toLowerCase())) {
+            return { success: false, message: t('A profile named "{name}" already exists.', { name: trimmedName }) };
+        }
+
+        const profile = { id: this._generateId('profile'), name: trimmedName, patch };
+        this._updateSchedule({ profiles: { [profile.id]: profile } });
+        logger.log(`[SchedulerService] Created profile "${trimmedName}" (${profile.id}).`);
+        return { success: true, message: t('Profile created.'), profile };
+    }
+
+    /**
+     * Replaces a profile's patch with the current look.
+     * @param {string} profileId - The profile to overwrite.
+     * @returns {boolean} True if the profile exists.
+     */
+    captureIntoProfile(profileId) {
+        if (!this.getSchedule().profiles[profileId]) return false;
+        // Remove first: update() only merges and would keep keys missing from the new snapshot
+        this._withApplying(() => {
+            this.stateManager.remove(`settings.schedule.profiles.${profileId}.patch`);
+            this._updateSchedule({ profiles: { [profileId]: { patch: createPatchFromState(this.stateManager.getState()) } } });
+        });
+        logger.log(`[SchedulerService] Captured current look into profile ${profileId}.`);
+        return true;
+    }
+
+    /**
+     * Deletes a profile and the rules that use it.
+     * @param {string} profileId - The profile to delete.
+     * @returns {boolean} True if the profile existed.
+     */
+    deleteProfile(profileId) {
+        const schedule = this.getSchedule();
+        if (!schedule.profiles[profileId]) return false;
+
+        this._withApplying(() => {
+            this.stateManager.remove(`settings.schedule.profiles.${profileId}`);
+            this._updateSchedule({
+                rules: schedule.rules.filter(rule => rule.profileId !== profileId),
+                ...(schedule.activeProfileId === profileId ? { activeProfileId: null } : {})
+            });
+        });
+        logger.log(`[SchedulerService] Deleted profile ${profileId}.`);
+        return true;
+    }
+
+    /**
+     * Applies a profile now and marks it active. It stays active until the next rule boundary.
+     * @param {string} profileId - The profile to apply.
+     * @returns {boolean} True if the profile exists.
+     */
+    activateProfile(profileId) {
+        const profile = this.getSchedule().profiles[profileId];
+        if (!profile) {
+            logger.warn(`[SchedulerService] Cannot activate unknown profile: ${profileId}`);
+            return false;
+        }
+
+        logger.log(`[SchedulerService] Applying profile "${profile.name}" (${profileId}).`);
+        this._withApplying(() => {
+            const changes = getApplicablePatch(profile.patch, this.stateManager.getState());
+            this.stateManager.update({
+                ...changes,
+                settings: { ...changes.settings, schedule: { activeProfileId: profileId } }
+            });
+        });
+        EventBus.publish('schedule:profileApplied', { profileId, name: profile.name });
+        return true;
+    }
+
+    /**
+     * Clears the active profile without changing the current look (edits are no longer recorded).
+     */
+    deactivateProfile() {
+        this._updateSchedule({ activeProfileId: null });
+    }
+
+    // --- Rules ---
+
+    /**
+     * Adds a rule switching to a profile at a time of day.
+     * @param {object} rule
+     * @param {string} rule.profileId - The profile to switch to.
+     * @param {string} rule.start - Time of day, "HH:MM" (24-hour).
+     * @param {number[]} [rule.days=[]] - Days of the week (0 = Sunday); empty = every day.
+     * @returns {{success: boolean, message: string, rule?: object}} Result object.
+     */
+    addRule({ profileId, start, days = [] }) {
+        const schedule = this.getSchedule();
+        if (!schedule.profiles[profileId]) {
+            return { success: false, message: t('Please choose an existing profile.') };
+        }
+        if (parseTimeOfDay(start) === null) {
+            return { success: false, message: t('Please enter a valid time (HH:MM).') };
+        }
+        const validDays = [...new Set(days.map(Number))].filter(day => day >= 0 && day <= 6).sort();
+        const rule = { id: this._generateId('rule'), profileId, start, days: validDays };
+        this._updateSchedule({ rules: [...schedule.rules, rule] });
+        return { success: true, message: t('Rule added.'), rule };
+    }
+
+    /**
+     * Removes a rule.
+     * @param {string} ruleId - The rule to remove.
+     */
+    removeRule(ruleId) {
+        const rules = this.getSchedule().rules;
+        this._updateSchedule({ rules: rules.filter(rule => rule.id !== ruleId) });
+    }
+
+    /**
+     * Enables or disables automatic switching.
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        // While disabled no profile is considered active, so edits are no longer recorded into one
+        this._updateSchedule(enabled ? { enabled: true } : { enabled: false, activeProfileId: null });
+    }
+
+    // --- Scheduling ---
+
+    /**
+     * Applies the scheduled profile if a rule boundary was crossed since the last check.
+     * @param {Date} [now=new Date()] - The time to evaluate.
+     */
+    check(now = new Date()) {
+        const schedule = this.getSchedule();
+        if (!schedule.enabled) return;
+
+        const scheduledId = getScheduledProfileId(schedule.rules, now);
+        if (!scheduledId || scheduledId === this.lastScheduledProfileId) return;
+
+        this.lastScheduledProfileId = scheduledId;
+        if (scheduledId !== schedule.activeProfileId) {
+            logger.debug(`[SchedulerService] Schedule boundary reached, switching to ${scheduledId}.`);
+            this.activateProfile(scheduledId);
+        }
+    }
+
+    /** Forgets the last boundary and re-evaluates (after rules/enabled changed). */
+    _resetAndCheck() {
+        if (this.isApplying) return;
+        this.lastScheduledProfileId = null;
+        this.check();
+    }
+
+    /**
+     * Merges manual edits into the active profile.
+     * @param {object} changes - The changes from the state:changed event.
+     * @private
+     */
+    _handleStateChanged(changes) {
+        if (this.isApplying || !changes) return;
+        // Changes that rewrite the schedule too (imports, resets, our own updates) aren't manual edits
+        if (changes.settings && 'schedule' in changes.settings) return;
+
+        const { activeProfileId, profiles } = this.getSchedule();
+        if (!activeProfileId || !profiles[activeProfileId]) return;
+
+        const { patch, removedElementIds } = extractProfileChanges(changes);
+        if (!patch.settings && !patch.elements && removedElementIds.length === 0) return;
+
+        logger.debug(`[SchedulerService] Saving manual edit into active profile ${activeProfileId}.`, patch);
+        this._withApplying(() => {
+            removedElementIds.forEach(id => {
+                if (profiles[activeProfileId].patch?.elements?.[id]) {
+                    this.stateManager.remove(`settings.schedule.profiles.${activeProfileId}.patch.elements.${id}`);
+                }
+            });
+            if (patch.settings || patch.elements) {
+                this._updateSchedule({ profiles: { [activeProfileId]: { patch } } });
+            }
+        });
+    }
+
+    // --- Helpers ---
+
+    /** Runs `fn` with edits tracking suspended. */
+    _withApplying(fn) {
+        const wasApplying = this.isApplying;
+        this.isApplying = true;
+        try {
+            fn();
+        } finally {
+            this.isApplying = wasApplying;
+        }
+    }
+
+    /** Merges changes into settings.schedule. */
+    _updateSchedule(scheduleChanges) {
+        this.stateManager.update({ settings: { schedule: scheduleChanges } });
+    }
+
+    /** Generates a unique, path-safe ID (no dots). */
+    _generateId(prefix) {
+        return `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Stops the periodic check and unsubscribes from events.
+     */
+    destroy() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        this.subscriptions.forEach(sub => sub.unsubscribe());
+        this.subscriptions = [];
+    }
+}
@@ -1,56 +1,104 @@
 import * as logger from '../utils/logger.js';
 import { StateManager } from '../core/state-manager.js';
-import { FavoritesStorage } from './storage/FavoritesStorage.js';
 import { EventBus } from '../core/event-bus.js'; // Import EventBus
+import { t } from '../i18n/i18n.js';
+import { migrateState } from '../state/migrations.js';
+import { validateState } from '../state/state-schema.js';
+import { formatSchemaError } from '../utils/schema.js';
+import { SchemaValidationError } from '../core/errors.js';
+import { createPresetState } from './utils/preset-helpers.js';
+import { encodeShareData, decodeShareData, getSharedSettingsParam, createShareUrl } from './utils/share-helpers.js';
+
+/** How many schema errors are listed in messages to the user */
+const MAX_LISTED_ERRORS = 5;
+
+/**
+ * Element options left out of links, by element type: calendar feed addresses can be secret,
+ * and uploaded calendar files (kept in this browser) would make links too long for a QR code
+ */
+const UNSHARED_ELEMENT_OPTIONS = { agenda: ['url', 'fileName', 'fileContent'] };
 
-const favoritesStorage = new FavoritesStorage();
 // Removed SETTINGS_FILE_NAME constant
 
 /**
  * @class SettingsIOService
- * @description Handles exporting and importing user settings and favorites.
+ * @description Handles exporting and importing user settings and favorites, as files and as
+ * links carrying the current look in the hash fragment (`#cfg=...`, see share-helpers.js).
  */
 export class SettingsIOService {
-    constructor() {
+    /**
+     * @param {FavoritesService} favoritesService - Source and destination of exported/imported favorites.
+     */
+    constructor(favoritesService) {
+        if (!favoritesService) {
+            throw new Error('SettingsIOService requires a FavoritesService instance.');
+        }
+        this.favoritesService = favoritesService;
         logger.log('[SettingsIOService] Initialized.');
     }
 
+    /**
+     * Builds the data written to settings files (and read back by importSettings).
+     * @param {object} state - State to export; its `schemaVersion`, `settings` and `elements` are included.
+     * @param {object} [favoritesData={}]
+     * @param {object[]} [favoritesData.favorites] - Favorites to include (left out of the file if not given).
+     * @param {object[]} [favoritesData.favoriteCollections] - Their collections.
+     * @returns {object} The envelope: `{ version, timestamp, state, favorites?, favoriteCollections? }`.
+     */
+    createExportData(state, { favorites, favoriteCollections } = {}) {
+        const exportData = {
+            version: 2, // Add a version number for future compatibility
+            timestamp: new Date().toISOString(),
+            state: {
+                schemaVersion: state.schemaVersion, // Imports upgrade older files (see state/migrations.js)
+                settings: state.settings,
+                elements: state.elements,
+                // Exclude potentially sensitive or transient state like currentImageMetadata
+            }
+        };
+        if (Array.isArray(favorites)) {
+            exportData.favorites = favorites;
+            exportData.favoriteCollections = favoriteCollections || [];
+        }
+        return exportData;
+    }
+
+    /**
+     * Triggers a download of data as a pretty-printed JSON file.
+     * @param {object} data - The data to save.
+     * @param {string} fileName - Name of the downloaded file.
+     */
+    downloadJson(data, fileName) {
+        const jsonString = JSON.stringify(data, null, 2); // Pretty print JSON
+        const blob = new Blob([jsonString], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Gathers current settings and favorites and triggers a download.
      */
     exportSettings() {
         try {
-            const currentState = StateManager.getState(); // Use correct StateManager object
-            const favorites = favoritesStorage.getAll();
-
-            const exportData = {
-                version: 2, // Add a version number for future compatibility
-                timestamp: new Date().toISOString(),
-                state: {
-                    settings: currentState.settings,
-                    elements: currentState.elements,
-                    // Exclude potentially sensitive or transient state like currentImageMetadata
-                },
-                favorites: favorites
-            };
-
-            const jsonString = JSON.stringify(exportData, null, 2); // Pretty print JSON
-            const blob = new Blob([jsonString], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-
-            const a = document.createElement('a');
-            a.href = url;
+            const exportData = this.createExportData(StateManager.getState(), {
+                favorites: this.favoritesService.getFavorites(),
+                favoriteCollections: this.favoritesService.getCollections()
+            });
+
             // Generate filename with current date
             const today = new Date();
             const year = today.getFullYear();
             const month = String(today.getMonth() + 1).padStart(2, '0'); // Months are 0-indexed
             const day = String(today.getDate()).padStart(2, '0');
             const dateString = `${year}${month}${day}`;
-            a.download = `ambient_clock_settings_${dateString}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            this.downloadJson(exportData, `ambient_clock_settings_${dateString}.json`);
 
             logger.log('[SettingsIOService] Settings exported successfully.');
             // Optionally show a success toast/message to the user
@@ -61,6 +109,43 @@ export class SettingsIOService {
         }
     }
 
+    /**
+     * Applies imported settings (from a file or a preset). Elements the state doesn't contain are
+     * removed and everything else is merged into the current state, as a single undo step.
+     * Publishes 'settings:imported'.
+     * @param {object} data
+     * @param {object} data.state - Migrated and validated `{ schemaVersion, settings, elements }`.
+     * @param {object[]} [data.favorites] - Replace the current favorites with these (kept if not given).
+     * @param {object[]} [data.favoriteCollections] - Collections of the favorites.
+     * @throws {Error} If the favorites can't be saved.
+     */
+    applySettings({ state, favorites, favoriteCollections }) {
+        logger.log('[SettingsIOService] Applying validated imported state:', state);
+        StateManager.update({
+            schemaVersion: state.schemaVersion,
+            settings: state.settings,
+            elements: state.elements
+            // This will merge/overwrite the settings and elements sections
+        });
+
+        // Elements are added/removed at runtime, so drop current elements the state doesn't contain
+        // (update() above only merges and can't remove them)
+        Object.keys(StateManager.getState().elements || {})
+            .filter(id => !(id in state.elements))
+            .forEach(id => StateManager.remove(`elements.${id}`));
+
+        if (Array.isArray(favorites)) {
+            // Files exported before collections existed have no favoriteCollections
+            const collections = Array.isArray(favoriteCollections) ? favoriteCollections : [];
+            if (!this.favoritesService.replaceFavorites(favorites, collections)) {
+                throw new Error('Failed to save imported favorites.');
+            }
+        }
+
+        // Publish an event indicating settings have been imported
+        EventBus.publish('settings:imported', { state, favorites });
+    }
+
     /**
      * Reads the provided settings file and applies the settings.
      * @param {File} file - The file object selected by the user.
@@ -82,98 +167,167 @@ export class SettingsIOService {
                 const importData = JSON.parse(content);
 
                 // --- Start Validation ---
-                // 1. Basic structure validation
-                if (!importData || typeof importData !== 'object' || !importData.state || !importData.favorites || !Array.isArray(importData.favorites)) {
-                    throw new Error('Invalid settings file format: Missing top-level keys (state, favorites).');
-                }
-                // 2. Version check (Warning only)
-                if (importData.version !== 2) {
-                    logger.warn(`[SettingsIOService] Settings file version (${importData.version}) does not match current version (2). Compatibility issues may arise.`);
-                }
-                // 3. Detailed structure validation
-                if (!this._validateImportData(importData)) {
-                    // Error will be thrown inside _validateImportData if invalid
-                    // This check is slightly redundant if _validateImportData throws, but good practice
-                    throw new Error('Imported data failed detailed validation.');
+                // 1. Structure and version checks, upgrade (throws before anything is applied)
+                this._checkImportData(importData);
+                // 2. Schema validation (invalid values are skipped if the user agrees)
+                const state = this._validateImportData(importData);
+                if (!state) {
+                    logger.log('[SettingsIOService] Import cancelled.');
+                    return;
                 }
+                // 3. Face modules are code: load new ones only if the user accepts them
+                importData.state = this._confirmClockFaceUrls(state);
                 // --- End Validation ---
 
-
-                // Apply settings - Use StateManager's update method
-                logger.log('[SettingsIOService] Applying validated imported state:', importData.state);
-                StateManager.update({
-                    settings: importData.state.settings,
-                    elements: importData.state.elements
-                    // This will merge/overwrite the settings and elements sections
-                });
-
-                // Apply favorites
-                const success = favoritesStorage.saveAll(importData.favorites);
-                if (!success) {
-                    throw new Error('Failed to save imported favorites.');
-                }
-
-                logger.log('[SettingsIOService] Settings imported successfully. Publishing event.');
-
-                // Publish an event indicating settings have been imported
-                EventBus.publish('settings:imported', { state: importData.state, favorites: importData.favorites });
+                this.applySettings(importData);
+                logger.log('[SettingsIOService] Settings imported successfully.');
 
                 // Inform the user that a manual refresh might be needed
-                alert('Settings imported. Some changes might require a manual page refresh to take full effect.');
+                alert(t('Settings imported. Some changes might require a manual page refresh to take full effect.'));
 
             } catch (error) {
                 logger.error('[SettingsIOService] Error processing imported settings:', error);
-                alert(`Error importing settings: ${error.message}`); // Show error to user
+                alert(t('Error importing settings: {message}', { message: error.message })); // Show error to user
             }
         };
 
         reader.onerror = (error) => {
             logger.error('[SettingsIOService] Error reading file:', error);
-            alert(`Error reading file: ${error.message}`); // Show error to user
+            alert(t('Error reading file: {message}', { message: error.message })); // Show error to user
         };
 
         reader.readAsText(file); // Read the file content
     }
 
     /**
-     * Performs detailed validation on the structure and types of imported data.
-     * Throws an error if validation fails.
+     * Builds a link to the app that carries the current look (settings and elements, without
+     * favorites, presets, the schedule, alarms, the UI language, face modules or the agendas'
+     * calendars; see UNSHARED_ELEMENT_OPTIONS), compressed into the hash fragment.
+     * @param {object} [state=StateManager.getState()] - The state to share.
+     * @returns {Promise<string>} The link.
+     */
+    async createShareUrl(state = StateManager.getState()) {
+        const sharedState = createPresetState(state);
+        Object.values(sharedState.elements).forEach(element => {
+            (UNSHARED_ELEMENT_OPTIONS[element.type] || []).forEach(key => delete element.options?.[key]);
+        });
+        const encoded = await encodeShareData({ version: 2, state: sharedState });
+        logger.debug(`[SettingsIOService] Encoded settings link (${encoded.length} characters).`);
+        return createShareUrl(window.location.href, encoded);
+    }
+
+    /**
+     * Applies settings shared as a link (see createShareUrl) after checking them and asking the user.
+     * Only the look is applied: keys a preset doesn't hold (see NON_LOOK_SETTINGS_KEYS) are dropped,
+     * so a link can't load face modules (code) or change alarms. The hash is removed first, so
+     * reloading doesn't ask again. An active schedule profile is deactivated so it doesn't record
+     * the shared look.
+     * @param {string} [hash=window.location.hash] - The hash fragment to read.
+     * @returns {Promise<boolean>} True if shared settings were applied.
+     */
+    async importSharedSettings(hash = window.location.hash) {
+        const encoded = getSharedSettingsParam(hash);
+        if (!encoded) return false;
+        if (hash === window.location.hash) {
+            history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+        }
+
+        try {
+            const importData = await decodeShareData(encoded);
+            this._checkImportData(importData);
+            if (!confirm(t('This link contains shared clock settings. Apply them? Your current look will be replaced (you can undo this).'))) {
+                logger.log('[SettingsIOService] Shared settings declined.');
+                return false;
+            }
+            const state = this._validateImportData(importData, 'The shared settings have {count} invalid values, which will be skipped:\n{errors}\n\nApply the rest?');
+            if (!state) {
+                logger.log('[SettingsIOService] Shared settings declined.');
+                return false;
+            }
+
+            const look = createPresetState(state);
+            this.applySettings({ state: { ...look, settings: { ...look.settings, schedule: { activeProfileId: null } } } });
+            logger.log('[SettingsIOService] Shared settings applied.');
+            EventBus.publish('ui:showToast', { message: t('Shared settings applied.') });
+            return true;
+        } catch (error) {
+            logger.error('[SettingsIOService] Error reading shared settings:', error);
+            alert(t('Error reading shared settings: {message}', { message: error.message }));
+            return false;
+        }
+    }
+
+    /**
+     * Checks the structure of imported data and upgrades its state to the current schema version.
+     * @param {object} importData - The parsed data (its `state` is replaced by the upgraded state).
+     * @throws {Error} If the structure is invalid, or a StateMigrationError if the upgrade fails.
+     * @private
+     */
+    _checkImportData(importData) {
+        // Favorites are optional: exported presets and links leave them out
+        if (!importData || typeof importData !== 'object' || !importData.state) {
+            throw new Error('Invalid settings file format: Missing top-level key (state).');
+        }
+        if (importData.favorites !== undefined && !Array.isArray(importData.favorites)) {
+            throw new Error('Invalid settings file format: "favorites" must be an array.');
+        }
+        // Version check (Warning only)
+        if (importData.version !== 2) {
+            logger.warn(`[SettingsIOService] Settings file version (${importData.version}) does not match current version (2). Compatibility issues may arise.`);
+        }
+        // Upgrade settings exported by earlier versions
+        importData.state = migrateState(importData.state);
+    }
+
+    /**
+     * Asks before an import adds face modules (settings.clockFaceUrls): they run as code in the app.
+     * If the user declines, the imported list is dropped and the current one kept.
+     * @param {object} state - The validated state to import.
+     * @returns {object} The state to apply.
+     * @private
+     */
+    _confirmClockFaceUrls(state) {
+        const urls = state.settings?.clockFaceUrls;
+        const currentUrls = StateManager.getState().settings?.clockFaceUrls || [];
+        const addedUrls = Array.isArray(urls) ? urls.filter(url => !currentUrls.includes(url)) : [];
+        if (addedUrls.length === 0) return state;
+
+        if (confirm(t('The settings file loads clock face code from:\n{urls}\n\nThis code runs in the app with access to your settings and photos. Load it only if you trust these sites. Load it? (Cancel imports the rest without it.)', {
+            urls: addedUrls.join('\n')
+        }))) {
+            return state;
+        }
+        logger.log('[SettingsIOService] Imported face modules declined.');
+        const { clockFaceUrls, ...settings } = state.settings;
+        return { ...state, settings };
+    }
+
+    /**
+     * Checks the imported state against the state schema (see state/state-schema.js).
+     * If some values are invalid, the user can import the rest: invalid keys are dropped.
      * @param {object} data - The parsed data from the imported file.
-     * @returns {boolean} True if data is valid.
+     * @param {string} [confirmMessage] - Question listing the invalid values (English, with {count} and {errors}).
+     * @returns {object|null} The state to apply, or null if the user chose not to import.
+     * @throws {SchemaValidationError} If the state can't be repaired.
      * @private
      */
-    _validateImportData(data) {
-        const state = data.state;
-        if (!state || typeof state !== 'object') throw new Error('Validation failed: Missing or invalid "state" object.');
-
-        // Validate settings structure
-        const settings = state.settings;
-        if (!settings || typeof settings !== 'object') throw new Error('Validation failed: Missing or invalid "state.settings" object.');
-        if (!settings.background || typeof settings.background !== 'object') throw new Error('Validation failed: Missing or invalid "state.settings.background" object.');
-        if (typeof settings.background.type !== 'string') throw new Error('Validation failed: Invalid "settings.background.type".');
-        if (typeof settings.background.provider !== 'string') throw new Error('Validation failed: Invalid "settings.background.provider".');
-        if (typeof settings.background.overlayOpacity !== 'number') throw new Error('Validation failed: Invalid "settings.background.overlayOpacity".');
-        // Add more settings checks as needed...
-
-        // Validate elements structure
-        const elements = state.elements;
-        if (!elements || typeof elements !== 'object') throw new Error('Validation failed: Missing or invalid "state.elements" object.');
-
-        for (const id in elements) {
-            if (Object.hasOwnProperty.call(elements, id)) {
-                const element = elements[id];
-                if (!element || typeof element !== 'object') throw new Error(`Validation failed: Invalid element object for id "${id}".`);
-                if (typeof element.type !== 'string') throw new Error(`Validation failed: Invalid "type" for element "${id}".`);
-                if (typeof element.id !== 'string' || element.id !== id) throw new Error(`Validation failed: Invalid or mismatched "id" for element "${id}".`);
-                if (element.position && (typeof element.position !== 'object' || typeof element.position.x !== 'number' || typeof element.position.y !== 'number')) throw new Error(`Validation failed: Invalid "position" for element "${id}".`);
-                if (element.scale !== undefined && typeof element.scale !== 'number') throw new Error(`Validation failed: Invalid "scale" for element "${id}".`);
-                if (element.opacity !== undefined && typeof element.opacity !== 'number') throw new Error(`Validation failed: Invalid "opacity" for element "${id}".`);
-                if (!element.options || typeof element.options !== 'object') throw new Error(`Validation failed: Missing or invalid "options" for element "${id}".`);
-                // Add more element checks as needed...
-            }
+    _validateImportData(data, confirmMessage = 'The settings file has {count} invalid values, which will be skipped:\n{errors}\n\nImport the rest?') {
+        const { valid, errors, value } = validateState(data.state, { repair: true });
+        if (valid) {
+            logger.debug('[SettingsIOService] Import data passed schema validation.');
+            return value;
         }
 
-        logger.debug('[SettingsIOService] Import data passed detailed validation.');
-        return true; // Data is valid
+        logger.warn(`[SettingsIOService] Imported settings don't match the schema:\n${errors.map(formatSchemaError).join('\n')}`);
+        const listed = errors.slice(0, MAX_LISTED_ERRORS).map(formatSchemaError);
+        if (errors.length > MAX_LISTED_ERRORS) listed.push('…');
+        if (!value) {
+            throw new SchemaValidationError(`Invalid settings file: ${listed.join('; ')}`, errors);
+        }
+        const confirmed = confirm(t(confirmMessage, {
+            count: errors.length,
+            errors: listed.join('\n')
+        }));
+        return confirmed ? value : null;
     }
 }
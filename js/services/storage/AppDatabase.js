@@ -0,0 +1,161 @@
+const DB_NAME = 'ambientClock';
+const DB_VERSION = 2;
+
+/** Object stores of the application database */
+export const STORES = {
+    DIRECTORY_HANDLES: 'directoryHandles', // File System Access handles (out-of-line keys)
+    KEY_VALUE: 'keyValue', // JSON-like records such as favorites and image cache batches (out-of-line keys)
+    IMAGE_BLOBS: 'imageBlobs' // Downloaded image bytes, keyed by image URL
+};
+
+/**
+ * @class AppDatabase
+ * @description Thin promise wrapper around the application's IndexedDB database.
+ *              Opens the database lazily (once) and creates missing stores on upgrade.
+ */
+export class AppDatabase {
+    /**
+     * @param {IDBFactory} [idbFactory=globalThis.indexedDB] - IndexedDB implementation (injectable for tests).
+     */
+    constructor(idbFactory = globalThis.indexedDB) {
+        this.idbFactory = idbFactory;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Whether IndexedDB exists in this environment (it may still fail to open, e.g. in private modes).
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return !!this.idbFactory;
+    }
+
+    /**
+     * Reads a record.
+     * @param {string} storeName - The object store.
+     * @param {IDBValidKey} key - The record's key.
+     * @returns {Promise<any>} The record, or undefined if missing.
+     */
+    get(storeName, key) {
+        return this._request(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Reads all records of a store.
+     * @param {string} storeName - The object store.
+     * @returns {Promise<Array<any>>}
+     */
+    getAll(storeName) {
+        return this._request(storeName, 'readonly', store => store.getAll());
+    }
+
+    /**
+     * Reads all keys of a store.
+     * @param {string} storeName - The object store.
+     * @returns {Promise<Array<IDBValidKey>>}
+     */
+    getAllKeys(storeName) {
+        return this._request(storeName, 'readonly', store => store.getAllKeys());
+    }
+
+    /**
+     * Writes a record.
+     * @param {string} storeName - The object store.
+     * @param {any} value - The record.
+     * @param {IDBValidKey} [key] - The key, for stores without a key path.
+     * @returns {Promise<IDBValidKey>}
+     */
+    put(storeName, value, key) {
+        return this._request(storeName, 'readwrite', store => (key === undefined ? store.put(value) : store.put(value, key)));
+    }
+
+    /**
+     * Deletes a record.
+     * @param {string} storeName - The object store.
+     * @param {IDBValidKey} key - The record's key.
+     * @returns {Promise<void>}
+     */
+    delete(storeName, key) {
+        return this._request(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Deletes all records of a store.
+     * @param {string} storeName - The object store.
+     * @returns {Promise<void>}
+     */
+    clear(storeName) {
+        return this._request(storeName, 'readwrite', store => store.clear());
+    }
+
+    /**
+     * Deletes all records of all stores (used when resetting the app). Errors are ignored.
+     * @returns {Promise<void>}
+     */
+    async clearAll() {
+        if (!this.isAvailable()) return;
+        await Promise.all(Object.values(STORES).map(storeName => this.clear(storeName).catch(() => {})));
+    }
+
+    /**
+     * Runs a single request in its own transaction and resolves once the transaction completes.
+     * @param {string} storeName - The object store.
+     * @param {IDBTransactionMode} mode - Transaction mode.
+     * @param {function(IDBObjectStore): IDBRequest} createRequest - Creates the request.
+     * @returns {Promise<any>} The request result.
+     * @private
+     */
+    async _request(storeName, mode, createRequest) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = createRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted.'));
+        });
+    }
+
+    /**
+     * Opens (and creates/upgrades if needed) the database, once.
+     * @returns {Promise<IDBDatabase>}
+     * @private
+     */
+    _open() {
+        if (!this.idbFactory) {
+            return Promise.reject(new Error('IndexedDB is not available.'));
+        }
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.idbFactory.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORES.DIRECTORY_HANDLES)) {
+                        db.createObjectStore(STORES.DIRECTORY_HANDLES);
+                    }
+                    if (!db.objectStoreNames.contains(STORES.KEY_VALUE)) {
+                        db.createObjectStore(STORES.KEY_VALUE);
+                    }
+                    if (!db.objectStoreNames.contains(STORES.IMAGE_BLOBS)) {
+                        db.createObjectStore(STORES.IMAGE_BLOBS, { keyPath: 'url' });
+                    }
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let other tabs upgrade the database later
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+            });
+            this.dbPromise.catch(() => { this.dbPromise = null; }); // Allow retrying later
+        }
+        return this.dbPromise;
+    }
+}
+
+/** Shared database instance used by the storage classes */
+export const appDatabase = new AppDatabase();
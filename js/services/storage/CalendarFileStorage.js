@@ -0,0 +1,50 @@
+import * as logger from '../../utils/logger.js';
+import { appDatabase, STORES } from './AppDatabase.js';
+
+/** Prefix of the calendar file record keys (followed by the agenda element's ID) */
+export const CALENDAR_FILE_KEY_PREFIX = 'ambientClock_calendarFile_';
+
+/**
+ * @class CalendarFileStorage
+ * @description Keeps the text of .ics files uploaded to agenda elements, one per element.
+ *              Files can be large, so they are kept in IndexedDB rather than in the saved state
+ *              (which is written to localStorage, and copied into presets and undo steps).
+ */
+export class CalendarFileStorage {
+    /**
+     * @param {AppDatabase} [database=appDatabase] - The application database.
+     */
+    constructor(database = appDatabase) {
+        this.database = database;
+    }
+
+    /**
+     * Retrieves an element's calendar file.
+     * @param {string} elementId - The agenda element's ID.
+     * @returns {Promise<string|null>} The file's text, or null if none is stored or storage is unavailable.
+     */
+    async load(elementId) {
+        try {
+            return (await this.database.get(STORES.KEY_VALUE, `${CALENDAR_FILE_KEY_PREFIX}${elementId}`)) ?? null;
+        } catch (error) {
+            logger.error('[CalendarFileStorage] Error loading calendar file:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Stores an element's calendar file, replacing any previous one.
+     * @param {string} elementId - The agenda element's ID.
+     * @param {string} text - The file's text.
+     * @returns {Promise<boolean>} True if saving was successful.
+     */
+    async save(elementId, text) {
+        try {
+            await this.database.put(STORES.KEY_VALUE, text, `${CALENDAR_FILE_KEY_PREFIX}${elementId}`);
+            return true;
+        } catch (error) {
+            logger.error('[CalendarFileStorage] Error saving calendar file:', error);
+            return false;
+        }
+    }
+}
@@ -0,0 +1,61 @@
+import * as logger from '../../utils/logger.js';
+import { appDatabase, STORES } from './AppDatabase.js';
+
+/**
+ * @class DirectoryHandleStorage
+ * @description Persists File System Access directory handles so a picked folder survives reloads.
+ *              Handles can't be serialized to localStorage, so they are kept in IndexedDB.
+ */
+export class DirectoryHandleStorage {
+    /**
+     * @param {AppDatabase} [database=appDatabase] - The application database.
+     */
+    constructor(database = appDatabase) {
+        this.database = database;
+    }
+
+    /**
+     * Retrieves a stored handle.
+     * @param {string} key - The handle's key.
+     * @returns {Promise<FileSystemDirectoryHandle|null>} The handle, or null if none is stored or storage is unavailable.
+     */
+    async get(key) {
+        try {
+            return (await this.database.get(STORES.DIRECTORY_HANDLES, key)) ?? null;
+        } catch (error) {
+            logger.error('[DirectoryHandleStorage] Error loading directory handle:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Stores a handle.
+     * @param {string} key - The handle's key.
+     * @param {FileSystemDirectoryHandle} handle - The handle to store.
+     * @returns {Promise<boolean>} True if saving was successful.
+     */
+    async save(key, handle) {
+        try {
+            await this.database.put(STORES.DIRECTORY_HANDLES, handle, key);
+            return true;
+        } catch (error) {
+            logger.error('[DirectoryHandleStorage] Error saving directory handle:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Removes a stored handle.
+     * @param {string} key - The handle's key.
+     * @returns {Promise<boolean>} True if removal was successful.
+     */
+    async remove(key) {
+        try {
+            await this.database.delete(STORES.DIRECTORY_HANDLES, key);
+            return true;
+        } catch (error) {
+            logger.error('[DirectoryHandleStorage] Error removing directory handle:', error);
+            return false;
+        }
+    }
+}
@@ -1,46 +1,121 @@
 import * as logger from '../../utils/logger.js'; // Import the logger
+import { appDatabase, STORES } from './AppDatabase.js';
 
-const FAVORITES_STORAGE_KEY = 'ambientClockV2_favorites'; // V2 specific key
+const FAVORITES_STORAGE_KEY = 'ambientClockV2_favorites'; // V2 specific key (localStorage key before IndexedDB, record key since)
+const COLLECTIONS_STORAGE_KEY = 'ambientClockV2_favoriteCollections';
 
 /**
  * @class FavoritesStorage
- * @description Handles the low-level storage and retrieval of favorites data,
- *              currently using localStorage.
+ * @description Handles the low-level storage and retrieval of favorites data.
+ *              Favorites are kept in IndexedDB (migrated from localStorage on first run) and mirrored
+ *              in memory so reads stay synchronous. Falls back to localStorage if IndexedDB can't be opened.
  */
 export class FavoritesStorage {
-    constructor() {
+    /**
+     * @param {AppDatabase} [database=appDatabase] - The application database.
+     */
+    constructor(database = appDatabase) {
+        this.database = database;
+        this.favorites = null; // In-memory copy, loaded by init()
+        this.collections = null; // In-memory copy of the collections, loaded by init()
+        this.useLocalStorage = false; // True if IndexedDB is unusable
         logger.log('[FavoritesStorage] Initialized.'); // Keep as log
     }
 
     /**
-     * Retrieves all favorites from storage.
-     * @returns {Array<object>} Array of favorite objects.
+     * Loads favorites from IndexedDB, migrating favorites saved in localStorage by earlier versions.
+     * @returns {Promise<void>}
      */
-    getAll() {
+    async init() {
         try {
-            const favoritesJson = localStorage.getItem(FAVORITES_STORAGE_KEY);
-            return favoritesJson ? JSON.parse(favoritesJson) : [];
+            if (!this.database.isAvailable()) {
+                throw new Error('IndexedDB is not available.');
+            }
+            let favorites = await this.database.get(STORES.KEY_VALUE, FAVORITES_STORAGE_KEY);
+            if (favorites === undefined) {
+                favorites = this._readLocalStorage();
+                await this.database.put(STORES.KEY_VALUE, favorites, FAVORITES_STORAGE_KEY);
+                // Only drop the old copy once the new one is safely written
+                localStorage.removeItem(FAVORITES_STORAGE_KEY);
+                logger.log(`[FavoritesStorage] Migrated ${favorites.length} favorites from localStorage to IndexedDB.`);
+            }
+            const collections = await this.database.get(STORES.KEY_VALUE, COLLECTIONS_STORAGE_KEY);
+            this.favorites = Array.isArray(favorites) ? favorites : [];
+            this.collections = Array.isArray(collections) ? collections : [];
         } catch (error) {
-            logger.error('[FavoritesStorage] Error loading favorites:', error); // Use logger.error
-            // Return empty array or re-throw, depending on desired error handling
-            return [];
+            logger.warn('[FavoritesStorage] IndexedDB unavailable, using localStorage for favorites:', error);
+            this.useLocalStorage = true;
+            this.favorites = this._readLocalStorage();
+            this.collections = this._readLocalStorage(COLLECTIONS_STORAGE_KEY);
         }
     }
 
+    /**
+     * Retrieves all favorites from storage.
+     * @returns {Array<object>} Array of favorite objects.
+     */
+    getAll() {
+        // Before init() (or without IndexedDB) localStorage is the source of truth
+        return this.favorites ? [...this.favorites] : this._readLocalStorage();
+    }
+
     /**
      * Saves the entire favorites array to storage.
+     * The in-memory copy is updated immediately; the IndexedDB write completes in the background.
      * @param {Array<object>} favorites - Array of favorite objects to save.
-     * @returns {boolean} True if saving was successful, false otherwise.
+     * @returns {boolean} True if saving was successful (or started), false otherwise.
      */
     saveAll(favorites) {
-        try {
-            localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(favorites));
-            logger.debug('[FavoritesStorage] Favorites saved.'); // Changed to debug
-            return true;
-        } catch (error) {
-            logger.error('[FavoritesStorage] Error saving favorites:', error); // Use logger.error
-            return false;
+        if (this.useLocalStorage || !this.favorites) {
+            try {
+                localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(favorites));
+                if (this.favorites) this.favorites = [...favorites];
+                logger.debug('[FavoritesStorage] Favorites saved to localStorage.'); // Changed to debug
+                return true;
+            } catch (error) {
+                logger.error('[FavoritesStorage] Error saving favorites:', error); // Use logger.error
+                return false;
+            }
+        }
+
+        this.favorites = [...favorites];
+        this.database.put(STORES.KEY_VALUE, this.favorites, FAVORITES_STORAGE_KEY)
+            .then(() => logger.debug('[FavoritesStorage] Favorites saved.'))
+            .catch(error => logger.error('[FavoritesStorage] Error saving favorites:', error));
+        return true;
+    }
+
+    /**
+     * Retrieves all favorite collections.
+     * @returns {Array<{id: string, name: string, createdAt: number}>} Array of collection objects.
+     */
+    getCollections() {
+        return this.collections ? [...this.collections] : this._readLocalStorage(COLLECTIONS_STORAGE_KEY);
+    }
+
+    /**
+     * Saves the entire collections array to storage (same write strategy as `saveAll`).
+     * @param {Array<object>} collections - Array of collection objects to save.
+     * @returns {boolean} True if saving was successful (or started), false otherwise.
+     */
+    saveCollections(collections) {
+        if (this.useLocalStorage || !this.collections) {
+            try {
+                localStorage.setItem(COLLECTIONS_STORAGE_KEY, JSON.stringify(collections));
+                if (this.collections) this.collections = [...collections];
+                logger.debug('[FavoritesStorage] Collections saved to localStorage.');
+                return true;
+            } catch (error) {
+                logger.error('[FavoritesStorage] Error saving collections:', error);
+                return false;
+            }
         }
+
+        this.collections = [...collections];
+        this.database.put(STORES.KEY_VALUE, this.collections, COLLECTIONS_STORAGE_KEY)
+            .then(() => logger.debug('[FavoritesStorage] Collections saved.'))
+            .catch(error => logger.error('[FavoritesStorage] Error saving collections:', error));
+        return true;
     }
 
     /**
@@ -48,13 +123,35 @@ export class FavoritesStorage {
      * @returns {boolean} True if clearing was successful, false otherwise.
      */
     clearAll() {
+        if (this.useLocalStorage || !this.favorites) {
+            try {
+                localStorage.removeItem(FAVORITES_STORAGE_KEY);
+                if (this.favorites) this.favorites = [];
+                logger.log('[FavoritesStorage] All favorites cleared from storage.'); // Keep as log
+                return true;
+            } catch (error) {
+                logger.error('[FavoritesStorage] Error clearing favorites:', error); // Use logger.error
+                return false;
+            }
+        }
+        return this.saveAll([]);
+    }
+
+    /**
+     * Reads favorites (or collections) saved in localStorage.
+     * @param {string} [key=FAVORITES_STORAGE_KEY] - The localStorage key.
+     * @returns {Array<object>}
+     * @private
+     */
+    _readLocalStorage(key = FAVORITES_STORAGE_KEY) {
         try {
-            localStorage.removeItem(FAVORITES_STORAGE_KEY);
-            logger.log('[FavoritesStorage] All favorites cleared from storage.'); // Keep as log
-            return true;
+            const favoritesJson = localStorage.getItem(key);
+            const favorites = favoritesJson ? JSON.parse(favoritesJson) : [];
+            return Array.isArray(favorites) ? favorites : [];
         } catch (error) {
-            logger.error('[FavoritesStorage] Error clearing favorites:', error); // Use logger.error
-            return false;
+            logger.error('[FavoritesStorage] Error loading favorites:', error); // Use logger.error
+            // Return empty array or re-throw, depending on desired error handling
+            return [];
         }
     }
 }
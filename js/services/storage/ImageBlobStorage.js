@@ -0,0 +1,300 @@
+import * as logger from '../../utils/logger.js';
+import { appDatabase, STORES } from './AppDatabase.js';
+
+/** Default budget for unpinned (cache) images; pinned images (favorites) don't count against it */
+export const DEFAULT_MAX_CACHE_BYTES = 150 * 1024 * 1024;
+/** Share of the origin's quota above which unpinned images are evicted regardless of the budget */
+const QUOTA_USAGE_THRESHOLD = 0.9;
+/** How many object URLs are kept alive before the oldest are revoked */
+const MAX_OBJECT_URLS = 20;
+
+/**
+ * Picks the unpinned images to evict, least recently used first, until the remaining
+ * unpinned images fit into `maxBytes`.
+ * @param {Array<{url: string, size: number, pinned: boolean, lastUsedAt: number}>} records - Stored image records.
+ * @param {number} maxBytes - Budget for unpinned images.
+ * @returns {string[]} URLs of the images to delete.
+ */
+export function selectImagesToEvict(records, maxBytes) {
+    const unpinned = records.filter(record => !record.pinned);
+    let totalBytes = unpinned.reduce((sum, record) => sum + (record.size || 0), 0);
+    const evicted = [];
+    [...unpinned]
+        .sort((a, b) => (a.lastUsedAt || 0) - (b.lastUsedAt || 0))
+        .forEach(record => {
+            if (totalBytes <= maxBytes) return;
+            evicted.push(record.url);
+            totalBytes -= record.size || 0;
+        });
+    return evicted;
+}
+
+/**
+ * Checks whether an image URL can be downloaded and stored (local files and data URLs can't/needn't be).
+ * @param {string} url - The image URL.
+ * @returns {boolean}
+ */
+function isStorableUrl(url) {
+    try {
+        return /^https?:$/.test(new URL(url, globalThis.location?.href).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * @class ImageBlobStorage
+ * @description Stores downloaded image bytes in IndexedDB so favorites and the upcoming cache batch
+ *              keep working offline and after a provider deletes a photo.
+ *
+ * Images are either pinned (favorites; kept until unpinned) or unpinned (cache; evicted least recently
+ * used first once they exceed `maxCacheBytes`, or when the origin's storage quota runs low).
+ * Storage problems are logged and never thrown, since the images can still be loaded from their URLs.
+ */
+export class ImageBlobStorage {
+    /**
+     * @param {AppDatabase} [database=appDatabase] - The application database.
+     * @param {object} [options]
+     * @param {number} [options.maxCacheBytes=DEFAULT_MAX_CACHE_BYTES] - Budget for unpinned images.
+     */
+    constructor(database = appDatabase, { maxCacheBytes = DEFAULT_MAX_CACHE_BYTES } = {}) {
+        this.database = database;
+        this.maxCacheBytes = maxCacheBytes;
+        this.objectUrls = new Map(); // url -> object URL, oldest first
+        this.pendingDownloads = new Map(); // url -> Promise, to avoid downloading an image twice
+        logger.debug('[ImageBlobStorage] Initialized.');
+    }
+
+    /**
+     * Asks the browser to keep our storage under pressure and trims the cache to the budget.
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (!this.database.isAvailable()) return;
+        try {
+            if (navigator.storage?.persist && !(await navigator.storage.persisted?.())) {
+                const persisted = await navigator.storage.persist();
+                logger.debug(`[ImageBlobStorage] Persistent storage ${persisted ? 'granted' : 'not granted'}.`);
+            }
+        } catch (error) {
+            logger.debug('[ImageBlobStorage] Could not request persistent storage:', error);
+        }
+        await this.enforceQuota();
+    }
+
+    /**
+     * Downloads and stores an image. If it is already stored, only the pinned flag (and missing
+     * attribution) is updated.
+     * @param {string} url - The image URL.
+     * @param {object} [options]
+     * @param {boolean} [options.pinned=false] - Keep the image until unpinned (favorites).
+     * @param {object} [options.metadata={}] - Attribution to keep with the image (authorName, authorUrl, source).
+     * @returns {Promise<boolean>} True if the image is stored.
+     */
+    async storeImage(url, { pinned = false, metadata = {} } = {}) {
+        if (!this.database.isAvailable() || !isStorableUrl(url)) return false;
+        if (this.pendingDownloads.has(url)) {
+            await this.pendingDownloads.get(url);
+            return pinned ? this.setPinned(url, true) : this.hasImage(url);
+        }
+
+        const download = this._storeImage(url, pinned, metadata);
+        this.pendingDownloads.set(url, download);
+        try {
+            return await download;
+        } finally {
+            this.pendingDownloads.delete(url);
+        }
+    }
+
+    /**
+     * Checks whether an image is stored.
+     * @param {string} url - The image URL.
+     * @returns {Promise<boolean>}
+     */
+    async hasImage(url) {
+        return !!(await this._getRecord(url));
+    }
+
+    /**
+     * Returns an object URL for a stored image and marks it as recently used.
+     * @param {string} url - The image URL.
+     * @returns {Promise<string|null>} The object URL, or null if the image isn't stored.
+     */
+    async getObjectUrl(url) {
+        if (this.objectUrls.has(url)) {
+            const objectUrl = this.objectUrls.get(url);
+            this.objectUrls.delete(url); // Re-insert as most recent
+            this.objectUrls.set(url, objectUrl);
+            return objectUrl;
+        }
+        const record = await this._getRecord(url);
+        if (!record?.blob) return null;
+
+        this._putRecord({ ...record, lastUsedAt: Date.now() });
+        const objectUrl = URL.createObjectURL(record.blob);
+        this.objectUrls.set(url, objectUrl);
+        // Revoke the oldest object URLs; images already painted stay on screen
+        while (this.objectUrls.size > MAX_OBJECT_URLS) {
+            const [oldestUrl, oldestObjectUrl] = this.objectUrls.entries().next().value;
+            URL.revokeObjectURL(oldestObjectUrl);
+            this.objectUrls.delete(oldestUrl);
+        }
+        return objectUrl;
+    }
+
+    /**
+     * Picks a random stored image, e.g. to show something while offline.
+     * @param {string} [excludeUrl] - URL to skip (typically the image currently shown).
+     * @returns {Promise<object|null>} Image data ({url, authorName, authorUrl, source}), or null if none is stored.
+     */
+    async getRandomImage(excludeUrl) {
+        const records = (await this._getAllRecords()).filter(record => record.url !== excludeUrl);
+        if (records.length === 0) return null;
+        const record = records[Math.floor(Math.random() * records.length)];
+        return { ...record.metadata, url: record.url };
+    }
+
+    /**
+     * Pins or unpins a stored image. Unpinned images become subject to eviction.
+     * @param {string} url - The image URL.
+     * @param {boolean} pinned - The new pinned state.
+     * @returns {Promise<boolean>} True if the image is stored.
+     */
+    async setPinned(url, pinned) {
+        const record = await this._getRecord(url);
+        if (!record) return false;
+        if (record.pinned !== pinned) {
+            await this._putRecord({ ...record, pinned, lastUsedAt: Date.now() });
+            if (!pinned) await this.enforceQuota();
+        }
+        return true;
+    }
+
+    /**
+     * Unpins all images (e.g. after all favorites were cleared).
+     * @returns {Promise<void>}
+     */
+    async unpinAll() {
+        const records = await this._getAllRecords();
+        for (const record of records.filter(r => r.pinned)) {
+            await this._putRecord({ ...record, pinned: false });
+        }
+        await this.enforceQuota();
+    }
+
+    /**
+     * Evicts unpinned images beyond the budget, or all of them if the origin's quota is nearly used up.
+     * @returns {Promise<string[]>} URLs of the evicted images.
+     */
+    async enforceQuota() {
+        const records = await this._getAllRecords();
+        let maxBytes = this.maxCacheBytes;
+        try {
+            const estimate = await navigator.storage?.estimate?.();
+            if (estimate?.quota && estimate.usage / estimate.quota > QUOTA_USAGE_THRESHOLD) {
+                logger.warn('[ImageBlobStorage] Storage quota nearly used up, evicting cached images.');
+                maxBytes = 0;
+            }
+        } catch (error) {
+            logger.debug('[ImageBlobStorage] Could not estimate storage usage:', error);
+        }
+
+        const evicted = selectImagesToEvict(records, maxBytes);
+        for (const url of evicted) {
+            await this._deleteRecord(url);
+        }
+        if (evicted.length > 0) {
+            logger.debug(`[ImageBlobStorage] Evicted ${evicted.length} cached images.`);
+        }
+        return evicted;
+    }
+
+    /**
+     * Downloads and writes an image record.
+     * @private
+     */
+    async _storeImage(url, pinned, metadata) {
+        const existing = await this._getRecord(url);
+        if (existing) {
+            // Images stored without attribution (e.g. favorites pinned by earlier versions) get it now
+            const addsMetadata = !existing.metadata?.authorName && !!metadata.authorName;
+            if ((pinned && !existing.pinned) || addsMetadata) {
+                await this._putRecord({
+                    ...existing,
+                    pinned: existing.pinned || pinned,
+                    metadata: addsMetadata ? metadata : existing.metadata
+                });
+            }
+            return true;
+        }
+
+        let blob;
+        try {
+            const response = await fetch(url, { mode: 'cors' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            blob = await response.blob();
+        } catch (error) {
+            // Usually CORS or network problems; the image still displays from its URL
+            logger.debug(`[ImageBlobStorage] Could not download ${url}:`, error);
+            return false;
+        }
+        if (blob.type && !blob.type.startsWith('image/')) {
+            logger.debug(`[ImageBlobStorage] Not storing ${url}: unexpected content type ${blob.type}.`);
+            return false;
+        }
+
+        const record = { url, blob, size: blob.size, pinned, metadata, storedAt: Date.now(), lastUsedAt: Date.now() };
+        if (!(await this._putRecord(record))) {
+            // Most likely out of quota: make room and try once more
+            await this.enforceQuota();
+            if (!(await this._putRecord(record))) return false;
+        }
+        if (!pinned) await this.enforceQuota();
+        return true;
+    }
+
+    /** @private */
+    async _getRecord(url) {
+        try {
+            return await this.database.get(STORES.IMAGE_BLOBS, url);
+        } catch (error) {
+            logger.debug('[ImageBlobStorage] Error reading image:', error);
+            return undefined;
+        }
+    }
+
+    /** @private */
+    async _getAllRecords() {
+        try {
+            return await this.database.getAll(STORES.IMAGE_BLOBS);
+        } catch (error) {
+            logger.debug('[ImageBlobStorage] Error reading images:', error);
+            return [];
+        }
+    }
+
+    /** @private */
+    async _putRecord(record) {
+        try {
+            await this.database.put(STORES.IMAGE_BLOBS, record);
+            return true;
+        } catch (error) {
+            logger.warn(`[ImageBlobStorage] Error storing image ${record.url}:`, error);
+            return false;
+        }
+    }
+
+    /** @private */
+    async _deleteRecord(url) {
+        try {
+            await this.database.delete(STORES.IMAGE_BLOBS, url);
+        } catch (error) {
+            logger.warn(`[ImageBlobStorage] Error deleting image ${url}:`, error);
+        }
+        if (this.objectUrls.has(url)) {
+            URL.revokeObjectURL(this.objectUrls.get(url));
+            this.objectUrls.delete(url);
+        }
+    }
+}
@@ -0,0 +1,130 @@
+import * as logger from '../../utils/logger.js';
+import { appDatabase, STORES } from './AppDatabase.js';
+
+/** Prefix of the image cache keys (localStorage keys before IndexedDB, record keys since) */
+export const CACHE_STORAGE_KEY_PREFIX = 'ambientClock_imageCache_';
+
+/**
+ * @class ImageCacheStorage
+ * @description Stores the image batches fetched by ImageBackgroundHandler (metadata only; the bytes
+ *              live in ImageBlobStorage). Batches are kept in IndexedDB; batches saved in localStorage
+ *              by earlier versions are migrated on first use. Falls back to localStorage without IndexedDB.
+ */
+export class ImageCacheStorage {
+    /**
+     * @param {AppDatabase} [database=appDatabase] - The application database.
+     */
+    constructor(database = appDatabase) {
+        this.database = database;
+        this.readyPromise = null;
+        this.useLocalStorage = false; // True if IndexedDB is unusable
+    }
+
+    /**
+     * Resolves once storage is usable (and legacy batches are migrated).
+     * @returns {Promise<void>}
+     */
+    ready() {
+        if (!this.readyPromise) {
+            this.readyPromise = this._init();
+        }
+        return this.readyPromise;
+    }
+
+    /**
+     * Loads a batch.
+     * @param {string} key - The cache key.
+     * @returns {Promise<Array<object>|null>} The batch, or null if none is stored (or it is invalid).
+     */
+    async load(key) {
+        await this.ready();
+        let batch;
+        if (this.useLocalStorage) {
+            const storedCacheString = localStorage.getItem(key);
+            batch = storedCacheString ? JSON.parse(storedCacheString) : null;
+        } else {
+            batch = await this.database.get(STORES.KEY_VALUE, key);
+        }
+        if (batch !== null && batch !== undefined && !Array.isArray(batch)) {
+            logger.warn(`[ImageCacheStorage] Invalid cache data found for key ${key}. Discarding.`);
+            await this.remove(key);
+            return null;
+        }
+        return batch ?? null;
+    }
+
+    /**
+     * Saves a batch.
+     * @param {string} key - The cache key.
+     * @param {Array<object>} batch - The image data objects.
+     * @returns {Promise<void>}
+     */
+    async save(key, batch) {
+        await this.ready();
+        if (!this.useLocalStorage) {
+            await this.database.put(STORES.KEY_VALUE, batch, key);
+            return;
+        }
+        try {
+            localStorage.setItem(key, JSON.stringify(batch));
+        } catch (error) {
+            if (error.name === 'QuotaExceededError') {
+                // Clear *this* cache entry to prevent blocking other storage
+                localStorage.removeItem(key);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Removes a batch.
+     * @param {string} key - The cache key.
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        await this.ready();
+        if (this.useLocalStorage) {
+            localStorage.removeItem(key);
+        } else {
+            await this.database.delete(STORES.KEY_VALUE, key);
+        }
+    }
+
+    /**
+     * Checks IndexedDB and migrates localStorage batches, falling back to localStorage on failure.
+     * @private
+     */
+    async _init() {
+        try {
+            if (!this.database.isAvailable()) {
+                throw new Error('IndexedDB is not available.');
+            }
+            await this._migrateLocalStorage();
+        } catch (error) {
+            logger.warn('[ImageCacheStorage] IndexedDB unavailable, using localStorage for the image cache:', error);
+            this.useLocalStorage = true;
+        }
+    }
+
+    /**
+     * Moves batches saved in localStorage into IndexedDB.
+     * @private
+     */
+    async _migrateLocalStorage() {
+        const legacyKeys = Object.keys(localStorage).filter(key => key.startsWith(CACHE_STORAGE_KEY_PREFIX));
+        for (const key of legacyKeys) {
+            try {
+                const batch = JSON.parse(localStorage.getItem(key));
+                if (Array.isArray(batch)) {
+                    await this.database.put(STORES.KEY_VALUE, batch, key);
+                }
+            } catch (error) {
+                if (!(error instanceof SyntaxError)) throw error; // Corrupt entries are just dropped
+            }
+            localStorage.removeItem(key);
+        }
+        if (legacyKeys.length > 0) {
+            logger.log(`[ImageCacheStorage] Migrated ${legacyKeys.length} image cache entries from localStorage to IndexedDB.`);
+        }
+    }
+}
@@ -0,0 +1,42 @@
+/**
+ * Pure helper functions for AlarmService (when alarms are due and how they're described).
+ */
+
+import { parseTimeOfDay, describeDays } from './schedule-helpers.js';
+import { toLocalDateTimeString } from '../../utils/time-helpers.js';
+
+/**
+ * Checks whether a string is a "YYYY-MM-DD" date.
+ * @param {string} value - The date string.
+ * @returns {boolean}
+ */
+export function isValidDateString(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    return !Number.isNaN(new Date(`${value}T00:00`).getTime());
+}
+
+/**
+ * Checks whether an alarm goes off during the minute of `date`.
+ * One-off alarms (with a `date`) ring on that day only; recurring alarms ring on each of
+ * their `days` (0 = Sunday; empty/missing = every day).
+ * @param {{time: string, days?: number[], date?: string|null, enabled?: boolean}} alarm - The alarm.
+ * @param {Date} date - The time to evaluate.
+ * @returns {boolean} True if the alarm is enabled and due.
+ */
+export function isAlarmDue(alarm, date) {
+    if (!alarm || alarm.enabled === false) return false;
+    if (parseTimeOfDay(alarm.time) !== date.getHours() * 60 + date.getMinutes()) return false;
+    if (alarm.date) {
+        return alarm.date === toLocalDateTimeString(date).slice(0, 10);
+    }
+    return !Array.isArray(alarm.days) || alarm.days.length === 0 || alarm.days.includes(date.getDay());
+}
+
+/**
+ * Describes when an alarm rings, for display.
+ * @param {{time: string, days?: number[], date?: string|null}} alarm - The alarm.
+ * @returns {string} E.g. "09:30 · Weekdays", "14:00 · 2024-05-03".
+ */
+export function describeAlarm(alarm) {
+    return `${alarm.time} · ${alarm.date ? alarm.date : describeDays(alarm.days)}`;
+}
@@ -7,7 +7,8 @@
  * based on the background configuration.
  *
  * @param {object} config - The background configuration object from state.settings.background.
- *                          Expected properties: source, category, customCategory, peapixCountry.
+ *                          Expected properties: source, category, customCategory, peapixCountry,
+ *                          localFolderId.
  * @returns {string|null} The determined query key (string) or null if no valid key can be determined
  *                        (e.g., 'Other' category selected with no custom input).
  */
@@ -21,6 +22,9 @@ export function determineImageQueryKey(config) {
     if (providerName === 'peapix') {
         // For Peapix, the key is the country code
         return config.peapixCountry || 'us'; // Default to 'us'
+    } else if (providerName === 'local') {
+        // For local images, the key identifies the picked folder (or the manifest if none is picked)
+        return config.localFolderId ? `folder-${config.localFolderId}` : 'manifest';
     } else {
         // For other providers, the key is the search query
         let query = null;
@@ -40,3 +44,25 @@ export function determineImageQueryKey(config) {
         return typeof query === 'string' ? query.toLowerCase() : query;
     }
 }
+
+/** Widest video rendition worth downloading for a background (wider ones cost bandwidth without looking better) */
+export const MAX_VIDEO_WIDTH = 1920;
+
+/**
+ * Picks the video rendition to play: the narrowest one at least as wide as the target width,
+ * or the widest one if none is wide enough.
+ *
+ * @param {Array<{url: string, width: number}>} renditions - Available renditions of a video.
+ * @param {number} [targetWidth=MAX_VIDEO_WIDTH] - Width in device pixels to fill (capped at MAX_VIDEO_WIDTH).
+ * @returns {{url: string, width: number}|null} The rendition, or null if there is none with a URL.
+ */
+export function selectVideoRendition(renditions, targetWidth = MAX_VIDEO_WIDTH) {
+    const candidates = (renditions || [])
+        .filter(rendition => rendition?.url && rendition.width > 0)
+        .sort((a, b) => a.width - b.width);
+    if (candidates.length === 0) {
+        return null;
+    }
+    const width = Math.min(targetWidth, MAX_VIDEO_WIDTH);
+    return candidates.find(rendition => rendition.width >= width) || candidates[candidates.length - 1];
+}
@@ -3,8 +3,8 @@
  * @description Utility functions for the FavoritesService.
  */
 
-import { MAX_FAVORITES } from '../favorites-service.js';
 import * as logger from '../../utils/logger.js'; // Import the logger
+import { t } from '../../i18n/i18n.js';
 
 /**
  * Normalizes a URL by removing query parameters that might change.
@@ -44,22 +44,65 @@ export function generateThumbnailUrl(url, provider) {
     return url;
 }
 
+/** Longest allowed collection name */
+export const MAX_COLLECTION_NAME_LENGTH = 40;
+
 /**
- * Validates the input data and checks if the maximum favorite limit has been reached.
+ * Validates the input data for a new favorite.
  * @param {object} imageData - The image data to validate.
- * @param {Array<object>} favorites - The current list of favorites.
  * @returns {{valid: boolean, message?: string}} Validation result.
  */
-export function validateAddFavoriteInput(imageData, favorites) {
+export function validateAddFavoriteInput(imageData) {
     if (!imageData || !imageData.url) {
-        return { valid: false, message: 'Invalid image data - missing URL.' };
+        return { valid: false, message: t('Invalid image data - missing URL.') };
     }
-    if (favorites.length >= MAX_FAVORITES) {
-        return { valid: false, message: `Maximum of ${MAX_FAVORITES} favorites reached.` };
+    return { valid: true };
+}
+
+/**
+ * Validates a collection name: not empty, not too long and not used by another collection.
+ * @param {string} name - The proposed name (already trimmed).
+ * @param {Array<object>} collections - The current list of collections.
+ * @param {string} [ignoreId] - ID of the collection being renamed.
+ * @returns {{valid: boolean, message?: string}} Validation result.
+ */
+export function validateCollectionName(name, collections, ignoreId) {
+    if (!name) {
+        return { valid: false, message: t('Collection name is required.') };
+    }
+    if (name.length > MAX_COLLECTION_NAME_LENGTH) {
+        return { valid: false, message: t('Collection names can be at most {count} characters.', { count: MAX_COLLECTION_NAME_LENGTH }) };
+    }
+    const lowerName = name.toLowerCase();
+    if (collections.some(collection => collection.id !== ignoreId && collection.name.toLowerCase() === lowerName)) {
+        return { valid: false, message: t('A collection named "{name}" already exists.', { name }) };
     }
     return { valid: true };
 }
 
+/**
+ * Returns the favorites in a collection.
+ * @param {Array<object>} favorites - All favorites.
+ * @param {string|null} [collectionId] - The collection ID; null/undefined means all favorites.
+ * @returns {Array<object>} The matching favorites.
+ */
+export function filterFavoritesByCollection(favorites, collectionId) {
+    if (!collectionId) return favorites;
+    return favorites.filter(fav => fav.collectionId === collectionId);
+}
+
+/**
+ * Returns the favorites of one media type. Favorites saved before videos could be
+ * favorited have no media type and are images.
+ * @param {Array<object>} favorites - All favorites.
+ * @param {'image'|'video'} [mediaType] - The media type; undefined means all favorites.
+ * @returns {Array<object>} The matching favorites.
+ */
+export function filterFavoritesByMediaType(favorites, mediaType) {
+    if (!mediaType) return favorites;
+    return favorites.filter(fav => (fav.mediaType || 'image') === mediaType);
+}
+
 /**
  * Checks if a normalized URL already exists in the favorites list.
  * @param {string} normalizedUrl - The normalized URL to check.
@@ -73,17 +116,34 @@ export function isDuplicateFavorite(normalizedUrl, favorites) {
 /**
  * Creates a structured favorite object from image data.
  * @param {object} imageData - The source image data.
+ * @param {string|null} [collectionId=null] - The collection to put the favorite in (null: none).
  * @returns {object} The structured favorite object.
  */
-export function createFavoriteObject(imageData) {
+export function createFavoriteObject(imageData, collectionId = null) {
     return {
         id: generateUniqueId(),
         url: imageData.url,
-        thumbnailUrl: generateThumbnailUrl(imageData.url, imageData.provider),
+        mediaType: imageData.mediaType || 'image',
+        // Videos can't be shown in an <img>; their poster frame is the thumbnail
+        thumbnailUrl: imageData.posterUrl || generateThumbnailUrl(imageData.url, imageData.provider),
         provider: imageData.provider || 'unknown',
         category: imageData.category || 'unknown', // Ensure category is saved
         photographer: imageData.photographer || 'Unknown',
         photographerUrl: imageData.photographerUrl || '#',
+        collectionId,
         addedAt: Date.now()
     };
 }
+
+/**
+ * Creates a collection object.
+ * @param {string} name - The collection name.
+ * @returns {{id: string, name: string, createdAt: number}} The collection object.
+ */
+export function createCollectionObject(name) {
+    return {
+        id: generateUniqueId(),
+        name,
+        createdAt: Date.now()
+    };
+}
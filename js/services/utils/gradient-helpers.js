@@ -0,0 +1,101 @@
+/**
+ * Utility functions for gradient backgrounds.
+ */
+
+/** Fewest and most color stops a gradient can have */
+export const MIN_GRADIENT_STOPS = 2;
+export const MAX_GRADIENT_STOPS = 5;
+
+/** Used for settings missing from `settings.background.gradient` */
+export const DEFAULT_GRADIENT = {
+    style: 'linear', // 'linear' or 'radial'
+    angle: 135, // Degrees, linear gradients only
+    stops: ['#0f2027', '#203a43', '#2c5364'],
+    animate: true, // Slowly drift the gradient
+    timeOfDay: false // Replace the stops with the palette for the current time of day
+};
+
+/**
+ * Palettes for time-of-day gradients, by hour. Colors between two hours are blended;
+ * after the last palette it blends back into the first one at midnight.
+ */
+export const TIME_OF_DAY_PALETTES = [
+    { hour: 0, stops: ['#0b1026', '#1b2440', '#090a0f'] }, // Night
+    { hour: 5, stops: ['#1e2a4a', '#4a3b6b', '#8a5a7c'] }, // Dawn
+    { hour: 7, stops: ['#ff9a76', '#fcb69f', '#ffecd2'] }, // Sunrise
+    { hour: 12, stops: ['#4facfe', '#6ec6ff', '#c2e9fb'] }, // Noon
+    { hour: 17, stops: ['#f6d365', '#fda085', '#89c4f4'] }, // Afternoon
+    { hour: 19, stops: ['#ff7e5f', '#b06ab3', '#2c3e70'] }, // Dusk
+    { hour: 21, stops: ['#2c3e50', '#3a2d5c', '#0f1a33'] } // Evening
+];
+
+/**
+ * Fills in missing or invalid gradient settings with the defaults.
+ * @param {object} [gradient] - The gradient settings from state.
+ * @returns {{style: string, angle: number, stops: string[], animate: boolean, timeOfDay: boolean}} Complete settings.
+ */
+export function normalizeGradientConfig(gradient = {}) {
+    const stops = Array.isArray(gradient?.stops) ? gradient.stops.filter(stop => parseHexColor(stop)) : [];
+    return {
+        style: gradient?.style === 'radial' ? 'radial' : 'linear',
+        angle: Number.isFinite(gradient?.angle) ? ((gradient.angle % 360) + 360) % 360 : DEFAULT_GRADIENT.angle,
+        stops: stops.length >= MIN_GRADIENT_STOPS ? stops.slice(0, MAX_GRADIENT_STOPS) : [...DEFAULT_GRADIENT.stops],
+        animate: gradient?.animate ?? DEFAULT_GRADIENT.animate,
+        timeOfDay: gradient?.timeOfDay ?? DEFAULT_GRADIENT.timeOfDay
+    };
+}
+
+/**
+ * Builds the CSS `background-image` value for a gradient.
+ * @param {{style: string, angle: number, stops: string[]}} gradient - Normalized gradient settings.
+ * @returns {string} The CSS gradient.
+ */
+export function buildGradientCss({ style, angle, stops }) {
+    if (style === 'radial') {
+        return `radial-gradient(circle at center, ${stops.join(', ')})`;
+    }
+    return `linear-gradient(${angle}deg, ${stops.join(', ')})`;
+}
+
+/**
+ * Returns the blended time-of-day palette for a point in time.
+ * @param {Date} [date=new Date()] - The time.
+ * @returns {string[]} Hex color stops.
+ */
+export function getTimeOfDayStops(date = new Date()) {
+    const hour = date.getHours() + date.getMinutes() / 60;
+    let index = TIME_OF_DAY_PALETTES.findIndex(palette => palette.hour > hour) - 1;
+    if (index < 0) index = TIME_OF_DAY_PALETTES.length - 1; // After the last palette
+    const from = TIME_OF_DAY_PALETTES[index];
+    const to = TIME_OF_DAY_PALETTES[(index + 1) % TIME_OF_DAY_PALETTES.length];
+    const toHour = to.hour > from.hour ? to.hour : to.hour + 24;
+    const progress = (hour - from.hour) / (toHour - from.hour);
+    return from.stops.map((stop, i) => interpolateColor(stop, to.stops[i], progress));
+}
+
+/**
+ * Blends two hex colors.
+ * @param {string} from - Start color ('#rrggbb').
+ * @param {string} to - End color ('#rrggbb').
+ * @param {number} progress - 0 (start color) to 1 (end color).
+ * @returns {string} The blended color ('#rrggbb').
+ */
+export function interpolateColor(from, to, progress) {
+    const start = parseHexColor(from);
+    const end = parseHexColor(to);
+    if (!start || !end) return from;
+    const t = Math.max(0, Math.min(1, progress));
+    const channel = (a, b) => Math.round(a + (b - a) * t).toString(16).padStart(2, '0');
+    return `#${channel(start.r, end.r)}${channel(start.g, end.g)}${channel(start.b, end.b)}`;
+}
+
+/**
+ * Parses a '#rrggbb' color.
+ * @param {string} hex - The color.
+ * @returns {{r: number, g: number, b: number}|null} The channels, or null if the color is invalid.
+ */
+export function parseHexColor(hex) {
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+    if (!match) return null;
+    return { r: parseInt(match[1], 16), g: parseInt(match[2], 16), b: parseInt(match[3], 16) };
+}
@@ -0,0 +1,93 @@
+/**
+ * Pure helper functions for PresetService (capturing presets and the built-in presets).
+ */
+import { getDefaultState, NON_LOOK_SETTINGS_KEYS } from '../../state/default-state.js';
+import { ComponentRegistry } from '../../core/component-registry.js';
+
+/**
+ * Captures the look stored in a preset: the settings (without NON_LOOK_SETTINGS_KEYS) and all elements.
+ * Also strips those keys from preset states saved by earlier versions before they are applied.
+ * @param {object} state - The full application state (or a preset's state).
+ * @returns {{schemaVersion: number, settings: object, elements: object}} A copy, safe to store.
+ */
+export function createPresetState(state) {
+    const settings = { ...(state?.settings || {}) };
+    NON_LOOK_SETTINGS_KEYS.forEach(key => delete settings[key]);
+    return JSON.parse(JSON.stringify({
+        schemaVersion: state?.schemaVersion,
+        settings,
+        elements: state?.elements || {}
+    }));
+}
+
+/**
+ * Builds a file name for an exported preset.
+ * @param {string} name - The preset's name.
+ * @returns {string} e.g. 'ambient_clock_preset_photo_frame.json'.
+ */
+export function getPresetFileName(name) {
+    const slug = String(name ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    return `ambient_clock_preset_${slug || 'preset'}.json`;
+}
+
+/**
+ * Creates an element of a registered type with its default config.
+ * @param {string} type - The element type (must be user-placeable).
+ * @param {string} id - The element ID.
+ * @param {object} position - `{ x, y }` in percent.
+ * @returns {object} The element entry.
+ */
+function createElement(type, id, position) {
+    return { ...ComponentRegistry.createDefaultConfig(type), id, type, position };
+}
+
+/**
+ * Returns the presets that ship with the app, built from the default state so they pick up
+ * new default keys. Their names are English and translated when shown.
+ * Element types must be registered first (the dashboard uses their default configs).
+ * @returns {Array<{id: string, name: string, builtIn: true, state: object}>}
+ */
+export function getBuiltInPresets() {
+    const define = (id, name, customize) => {
+        const state = getDefaultState();
+        customize(state.settings, state.elements);
+        return { id, name, builtIn: true, state: createPresetState(state) };
+    };
+
+    return [
+        define('builtin-minimal-clock', 'Minimal Clock', (settings, elements) => {
+            settings.background = { ...settings.background, type: 'color', color: '#000000', overlayOpacity: 0 };
+            const clock = elements['clock-default'];
+            clock.scale = 1.8;
+            clock.opacity = 0.9;
+            clock.effectStyle = 'flat';
+            clock.options = { ...clock.options, showSeconds: false, showSeparator: false };
+            delete elements['date-default'];
+        }),
+        define('builtin-full-dashboard', 'Full Dashboard', (settings, elements) => {
+            settings.background = { ...settings.background, type: 'image', overlayOpacity: 0.45 };
+            elements['clock-default'].position = { x: 50, y: 35 };
+            elements['date-default'].position = { x: 50, y: 22 };
+            elements['weather-dashboard'] = createElement('weather', 'weather-dashboard', { x: 30, y: 70 });
+            elements['agenda-dashboard'] = createElement('agenda', 'agenda-dashboard', { x: 70, y: 70 });
+        }),
+        define('builtin-photo-frame', 'Photo Frame', (settings, elements) => {
+            settings.background = {
+                ...settings.background,
+                type: 'image',
+                overlayOpacity: 0.1,
+                zoomEnabled: true,
+                showInfo: true,
+                cycleEnabled: true,
+                cycleInterval: 600000 // 10 minutes
+            };
+            const clock = elements['clock-default'];
+            clock.position = { x: 88, y: 90 };
+            clock.scale = 0.5;
+            clock.opacity = 0.8;
+            clock.effectStyle = 'flat';
+            clock.options = { ...clock.options, showSeconds: false, showSeparator: false };
+            delete elements['date-default'];
+        })
+    ];
+}
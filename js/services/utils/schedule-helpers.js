@@ -0,0 +1,152 @@
+/**
+ * Pure helper functions for SchedulerService (rule evaluation and profile patches).
+ */
+import { t } from '../../i18n/i18n.js';
+import { NON_LOOK_SETTINGS_KEYS } from '../../state/default-state.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/** Element keys captured when saving the current look as a profile */
+export const PROFILE_ELEMENT_KEYS = ['position', 'scale', 'opacity', 'effectStyle', 'options'];
+
+/**
+ * Parses a "HH:MM" time of day.
+ * @param {string} value - The time string (24-hour clock).
+ * @returns {number|null} Minutes since midnight, or null if invalid.
+ */
+export function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+    if (!match) return null;
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+/**
+ * Finds the profile that should be active at the given time.
+ * Each rule switches to its profile at `start` on each of its `days` (0 = Sunday;
+ * empty/missing = every day), so the active profile is the one whose boundary
+ * passed most recently. Later rules win ties.
+ * @param {Array<{profileId: string, start: string, days?: number[]}>} rules - The schedule rules.
+ * @param {Date} date - The time to evaluate.
+ * @returns {string|null} The profile ID, or null if no rule applies.
+ */
+export function getScheduledProfileId(rules, date) {
+    if (!Array.isArray(rules)) return null;
+    const nowMinutes = date.getHours() * 60 + date.getMinutes();
+    const today = date.getDay();
+
+    let bestRule = null;
+    let bestMinutesAgo = Infinity;
+    rules.forEach(rule => {
+        const start = parseTimeOfDay(rule?.start);
+        if (start === null || !rule.profileId) return;
+        // Look back up to a full week so weekly rules that started "later today" still count from last week
+        for (let offset = 0; offset <= 7; offset++) {
+            const day = (today - offset + 7) % 7;
+            if (Array.isArray(rule.days) && rule.days.length > 0 && !rule.days.includes(day)) continue;
+            const minutesAgo = offset * MINUTES_PER_DAY + nowMinutes - start;
+            if (minutesAgo < 0) continue;
+            if (minutesAgo <= bestMinutesAgo) {
+                bestRule = rule;
+                bestMinutesAgo = minutesAgo;
+            }
+            break; // Most recent occurrence of this rule found
+        }
+    });
+    return bestRule ? bestRule.profileId : null;
+}
+
+/**
+ * Splits a state `changes` object into the part that belongs in a profile patch.
+ * @param {object} changes - The changes passed to StateManager.update/remove.
+ * @returns {{patch: object, removedElementIds: string[]}} The profile-relevant changes
+ *   (empty patch if none) and the IDs of elements that were removed.
+ */
+export function extractProfileChanges(changes) {
+    const patch = {};
+    const removedElementIds = [];
+    if (!changes || typeof changes !== 'object') return { patch, removedElementIds };
+
+    if (changes.settings && typeof changes.settings === 'object') {
+        const settings = { ...changes.settings };
+        NON_LOOK_SETTINGS_KEYS.forEach(key => delete settings[key]);
+        if (Object.keys(settings).length > 0) patch.settings = settings;
+    }
+
+    if (changes.elements && typeof changes.elements === 'object') {
+        Object.entries(changes.elements).forEach(([id, value]) => {
+            if (value === null) {
+                removedElementIds.push(id);
+            } else {
+                patch.elements = { ...patch.elements, [id]: value };
+            }
+        });
+    }
+
+    return { patch, removedElementIds };
+}
+
+/**
+ * Captures the current look (settings and element appearance) as a profile patch.
+ * @param {object} state - The full application state.
+ * @returns {{settings: object, elements: object}} The patch.
+ */
+export function createPatchFromState(state) {
+    const settings = { ...(state?.settings || {}) };
+    NON_LOOK_SETTINGS_KEYS.forEach(key => delete settings[key]);
+
+    const elements = {};
+    Object.entries(state?.elements || {}).forEach(([id, element]) => {
+        const captured = {};
+        PROFILE_ELEMENT_KEYS.forEach(key => {
+            if (element?.[key] !== undefined) captured[key] = element[key];
+        });
+        if (Object.keys(captured).length > 0) elements[id] = captured;
+    });
+
+    return JSON.parse(JSON.stringify({ settings, elements }));
+}
+
+/**
+ * Returns the part of a profile patch that can be applied to the given state.
+ * Patches for elements that no longer exist are skipped unless they carry a full
+ * element definition (a `type`), in which case the element is recreated.
+ * @param {object} patch - The profile patch.
+ * @param {object} state - The full application state.
+ * @returns {object} The changes to pass to StateManager.update.
+ */
+export function getApplicablePatch(patch, state) {
+    const changes = {};
+    if (patch?.settings) {
+        const settings = { ...patch.settings };
+        NON_LOOK_SETTINGS_KEYS.forEach(key => delete settings[key]);
+        changes.settings = settings;
+    }
+    if (patch?.elements) {
+        const existing = state?.elements || {};
+        const elements = {};
+        Object.entries(patch.elements).forEach(([id, elementPatch]) => {
+            if (existing[id] || elementPatch?.type) elements[id] = elementPatch;
+        });
+        changes.elements = elements;
+    }
+    return changes;
+}
+
+/** Short day names (0 = Sunday), translated with t() where shown */
+export const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Describes a rule's days for display, in the UI language.
+ * @param {number[]} [days] - Days of the week (0 = Sunday).
+ * @returns {string} E.g. "Every day", "Weekdays", "Sat, Sun".
+ */
+export function describeDays(days) {
+    if (!Array.isArray(days) || days.length === 0 || days.length === 7) return t('Every day');
+    const sorted = [...days].sort((a, b) => a - b);
+    if (sorted.join() === '1,2,3,4,5') return t('Weekdays');
+    if (sorted.join() === '0,6') return t('Weekends');
+    return sorted.map(day => t(DAY_NAMES[day])).join(', ');
+}
@@ -0,0 +1,131 @@
+/**
+ * Pure helper functions for sharing settings as links (see SettingsIOService.createShareUrl).
+ *
+ * The settings travel in the URL's hash fragment (`#cfg=...`), so they never reach a server:
+ * JSON, compressed with raw DEFLATE (CompressionStream) where the browser supports it, then
+ * encoded as base64url. The first character tells the formats apart: 'z' for compressed,
+ * 'j' for plain JSON.
+ */
+
+/** Key of the shared settings in the hash fragment */
+export const SHARE_HASH_KEY = 'cfg';
+
+/** Longest encoded text decodeShareData() reads (links come from anywhere) */
+export const MAX_ENCODED_LENGTH = 100000;
+
+/** Most bytes decodeShareData() decompresses before giving up (guards against compression bombs) */
+export const MAX_DECODED_BYTES = 1024 * 1024;
+
+/**
+ * Converts bytes to base64url (no padding).
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Converts base64url (or base64) back to bytes.
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} If the text isn't base64.
+ */
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Runs bytes through a CompressionStream or DecompressionStream.
+ * @param {Uint8Array} bytes
+ * @param {CompressionStream|DecompressionStream} stream
+ * @param {number} [maxBytes=Infinity] - Stops reading once the output passes this size.
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} If the output is larger than maxBytes.
+ */
+async function pipeThrough(bytes, stream, maxBytes = Infinity) {
+    const writer = stream.writable.getWriter();
+    // Errors (e.g. corrupt data) surface when reading, below
+    writer.write(bytes).catch(() => {});
+    writer.close().catch(() => {});
+
+    const reader = stream.readable.getReader();
+    const chunks = [];
+    let length = 0;
+    for (let result = await reader.read(); !result.done; result = await reader.read()) {
+        length += result.value.length;
+        if (length > maxBytes) {
+            reader.cancel().catch(() => {});
+            throw new Error('The shared settings are too large.');
+        }
+        chunks.push(result.value);
+    }
+
+    const output = new Uint8Array(length);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return output;
+}
+
+/**
+ * Encodes data for a link.
+ * @param {object} data - JSON-serializable data.
+ * @returns {Promise<string>} URL-safe text (base64url with a format prefix).
+ */
+export async function encodeShareData(data) {
+    const bytes = new TextEncoder().encode(JSON.stringify(data));
+    if (typeof CompressionStream === 'undefined') {
+        return `j${toBase64Url(bytes)}`;
+    }
+    return `z${toBase64Url(await pipeThrough(bytes, new CompressionStream('deflate-raw')))}`;
+}
+
+/**
+ * Decodes data encoded by encodeShareData().
+ * @param {string} text - The encoded text.
+ * @returns {Promise<object>} The data.
+ * @throws {Error} If the text is corrupt, too large (see MAX_ENCODED_LENGTH and MAX_DECODED_BYTES)
+ *         or this browser can't decompress it.
+ */
+export async function decodeShareData(text) {
+    if (text.length > MAX_ENCODED_LENGTH) {
+        throw new Error('The shared settings are too large.');
+    }
+    const format = text.charAt(0);
+    let bytes = fromBase64Url(text.slice(1));
+    if (format === 'z') {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read compressed settings links.');
+        }
+        bytes = await pipeThrough(bytes, new DecompressionStream('deflate-raw'), MAX_DECODED_BYTES);
+    } else if (format !== 'j') {
+        throw new Error('Unknown settings link format.');
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Reads the encoded settings from a hash fragment.
+ * @param {string} hash - e.g. `location.hash` ('#cfg=...').
+ * @returns {string|null} The encoded settings, or null if the hash has none.
+ */
+export function getSharedSettingsParam(hash) {
+    return new URLSearchParams(String(hash ?? '').replace(/^#/, '')).get(SHARE_HASH_KEY) || null;
+}
+
+/**
+ * Builds a link to the app carrying encoded settings.
+ * @param {string} baseUrl - The app's URL (any existing hash is replaced).
+ * @param {string} encoded - See encodeShareData().
+ * @returns {string}
+ */
+export function createShareUrl(baseUrl, encoded) {
+    return `${String(baseUrl).split('#')[0]}#${SHARE_HASH_KEY}=${encoded}`;
+}
@@ -0,0 +1,411 @@
+import { StateManager } from '../core/state-manager.js';
+import * as logger from '../utils/logger.js';
+import { RateLimitError } from '../core/errors.js';
+import { t } from '../i18n/i18n.js';
+import { determineImageQueryKey } from './utils/background-helpers.js';
+
+const BATCH_SIZE = 10; // Number of videos to fetch in a batch
+const VIDEO_LOAD_TIMEOUT = 20000; // Give up on a video that isn't playable after this many ms
+const PAUSE_AFTER_FADE_DELAY = 2000; // A little longer than --background-transition
+export const DEFAULT_VIDEO_PROVIDER = 'pexels';
+
+/**
+ * Handles looping, muted video backgrounds with cross-fade between the two background
+ * containers. Videos come from providers implementing `getVideoBatch(query, count)`
+ * (Pexels, Pixabay) or from video favorites.
+ */
+export class VideoBackgroundHandler {
+  /**
+   * Creates a VideoBackgroundHandler instance.
+   * @param {HTMLElement} containerA - The first DOM element for background layer.
+   * @param {HTMLElement} containerB - The second DOM element for background layer.
+   * @param {object} initialConfig - The initial background configuration from state.
+   * @param {Map<string, object>} providers - Map of available provider instances.
+   * @param {ConfigManager} configManager - The application's configuration manager.
+   * @param {FavoritesService} favoritesService - The application's favorites service.
+   */
+  constructor(containerA, containerB, initialConfig, providers, configManager, favoritesService) {
+    this.containerA = containerA;
+    this.containerB = containerB;
+    this.activeContainer = containerA; // Start with A as active
+    this.inactiveContainer = containerB;
+    this.config = initialConfig;
+    this.providers = providers;
+    this.configManager = configManager;
+    this.favoritesService = favoritesService;
+    this.type = 'video';
+    this.videos = new Map(); // container -> <video>
+    this.isLoading = false;
+    this.videoCache = []; // Holds the rest of the current batch
+    this.batchKey = this._getBatchKey(initialConfig); // Provider and query the cache was fetched for
+    this.pauseTimeoutId = null;
+
+    logger.debug('[VideoBackgroundHandler] Created with config:', initialConfig);
+  }
+
+  /**
+   * Creates the video elements and loads the first video.
+   * @returns {Promise<void>}
+   */
+  async init() {
+    logger.debug('[VideoBackgroundHandler] Initializing...');
+    [this.containerA, this.containerB].forEach(container => {
+      container.style.backgroundImage = 'none';
+      container.style.backgroundColor = '#000';
+      const video = document.createElement('video');
+      video.className = 'background-video';
+      // Muted + playsinline is what browsers require to autoplay without a user gesture
+      video.muted = true;
+      video.loop = true;
+      video.playsInline = true;
+      video.setAttribute('playsinline', '');
+      video.setAttribute('aria-hidden', 'true');
+      video.preload = 'auto';
+      container.appendChild(video);
+      this.videos.set(container, video);
+    });
+    this.containerA.style.opacity = '1';
+    this.containerB.style.opacity = '0';
+
+    await this.loadVideo(true);
+  }
+
+  /**
+   * Updates the handler based on new configuration, reloading if the provider, query or
+   * favorites selection changed.
+   * @param {object} newConfig - The updated background configuration.
+   * @returns {Promise<void>}
+   */
+  async update(newConfig) {
+    const oldConfig = { ...this.config };
+    this.config = { ...this.config, ...newConfig };
+    const useFavoritesOnly = this.config.useFavoritesOnly ?? false;
+    let needsReload = false;
+
+    const newBatchKey = this._getBatchKey(this.config);
+    if (newBatchKey !== this.batchKey) {
+      logger.debug(`[VideoBackgroundHandler] Batch key changed from "${this.batchKey}" to "${newBatchKey}". Clearing cache.`);
+      this.batchKey = newBatchKey;
+      this.videoCache = [];
+      needsReload = !useFavoritesOnly;
+    }
+    if (useFavoritesOnly && (!(oldConfig.useFavoritesOnly ?? false)
+        || (oldConfig.favoritesCollectionId ?? null) !== (this.config.favoritesCollectionId ?? null))) {
+      needsReload = true;
+    }
+
+    if (needsReload) {
+      await this.loadVideo();
+    } else {
+      this.applyStyles(this.activeContainer);
+    }
+  }
+
+  /**
+   * Loads the next video (from favorites or the current batch) and fades to it.
+   * @param {boolean} [isInitialLoad=false] - If true, loads into the active container without fading.
+   * @returns {Promise<void>}
+   */
+  async loadVideo(isInitialLoad = false) {
+    if (this.isLoading) {
+      logger.warn('[VideoBackgroundHandler] loadVideo called while already loading.');
+      return;
+    }
+    this.isLoading = true;
+    try {
+      const videoData = await this._fetchVideoData();
+      await this._displayVideo(videoData, isInitialLoad);
+    } catch (error) {
+      logger.error('[VideoBackgroundHandler] Unexpected error during loadVideo process:', error);
+      await this._displayVideo({ error: 'unexpected_error', message: 'Unexpected Error' }, isInitialLoad);
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  /**
+   * Loads a specific video, typically from a favorite. Bypasses batching.
+   * @param {object} videoData - The favorite's data (url, thumbnailUrl/posterUrl, ...).
+   * @returns {Promise<void>}
+   */
+  async loadVideoFromUrl(videoData) {
+    if (!videoData?.url) {
+      logger.error('[VideoBackgroundHandler] loadVideoFromUrl called with invalid data:', videoData);
+      return;
+    }
+    if (this.isLoading) {
+      logger.warn('[VideoBackgroundHandler] loadVideoFromUrl called while already loading.');
+      return;
+    }
+    this.isLoading = true;
+    try {
+      await this._displayVideo(videoData, false, true);
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  /**
+   * Fetches and applies the next video.
+   * @returns {Promise<void>}
+   */
+  async loadNext() {
+    await this.loadVideo(false);
+  }
+
+  /**
+   * Gets the next video data object, from favorites or the cached batch (fetching a new batch if needed).
+   * @returns {Promise<object>} The video data object or an error object {error: string, message: string}.
+   * @private
+   */
+  async _fetchVideoData() {
+    const useFavoritesOnly = this.config.useFavoritesOnly ?? false;
+    const collectionId = this.config.favoritesCollectionId ?? null;
+    const favoritesCount = this.favoritesService.getFavoritesCount(collectionId, 'video');
+
+    if (useFavoritesOnly && favoritesCount < 2) {
+      const message = collectionId
+        ? 'At least 2 video favorites in the selected collection are required to use favorites-only mode.'
+        : 'At least 2 video favorites are required to use favorites-only mode.';
+      return { error: 'insufficient_favorites', message };
+    }
+    // Favorites only, or now and then a favorite among the provider's videos
+    if (useFavoritesOnly || (Math.random() < 0.1 && favoritesCount >= 2)) {
+      const favorite = this.favoritesService.getRandomFavorite(collectionId, 'video');
+      if (favorite) return favorite;
+      if (useFavoritesOnly) {
+        return { error: 'favorites_error', message: 'Error loading favorite video.' };
+      }
+    }
+
+    const providerName = this.config.videoProvider || DEFAULT_VIDEO_PROVIDER;
+    const provider = this.providers.get(providerName);
+    if (typeof provider?.getVideoBatch !== 'function') {
+      return { error: 'unsupported_provider', message: `${providerName} has no videos` };
+    }
+    const queryKey = this._getQueryKey(this.config);
+    if (queryKey === null) {
+      return { error: 'custom_category_empty', message: 'Enter Custom Category' };
+    }
+
+    if (this.videoCache.length === 0) {
+      try {
+        logger.debug(`[VideoBackgroundHandler] Fetching video batch from ${providerName}, query: "${queryKey}"`);
+        this.videoCache = await provider.getVideoBatch(queryKey, BATCH_SIZE);
+      } catch (error) {
+        logger.error(`[VideoBackgroundHandler] Error fetching video batch from ${providerName}:`, error);
+        // Offline or provider down: a video favorite may still be reachable
+        const fallback = this.favoritesService.getRandomFavorite(null, 'video');
+        if (fallback) return fallback;
+        if (error instanceof RateLimitError || error.name === 'RateLimitError') {
+          return { error: 'rate_limit', message: `API limit reached for ${providerName}. Try again later.` };
+        }
+        return { error: 'batch_fetch_error', message: `Error loading from ${providerName}` };
+      }
+      if (this.videoCache.length === 0) {
+        return { error: 'batch_fetch_empty', message: 'No videos found' };
+      }
+    }
+
+    const index = Math.floor(Math.random() * this.videoCache.length);
+    return this.videoCache.splice(index, 1)[0];
+  }
+
+  /**
+   * Loads a video into the target container's video element and cross-fades to it,
+   * or shows a placeholder for error objects.
+   * @param {object} videoData - The video data object or an error object {error: string, message: string}.
+   * @param {boolean} isInitialLoad - True if this is the first load (no fade).
+   * @param {boolean} [isFavorite=false] - Whether the video is known to be a favorite.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _displayVideo(videoData, isInitialLoad, isFavorite = false) {
+    const targetContainer = isInitialLoad ? this.activeContainer : this.inactiveContainer;
+    const video = this.videos.get(targetContainer);
+    if (!video) return; // Destroyed meanwhile
+
+    if (!videoData || videoData.error || !videoData.url) {
+      const message = videoData?.message || 'Error loading video';
+      logger.error(`[VideoBackgroundHandler] Cannot display video. Reason: ${message}`, videoData);
+      this._showPlaceholder(targetContainer, message, isInitialLoad);
+      this._updateStateMetadata(null);
+      return;
+    }
+
+    // Favorites keep their poster frame as thumbnail
+    const posterUrl = videoData.posterUrl || videoData.thumbnailUrl || '';
+    targetContainer.style.backgroundImage = 'none';
+    video.poster = posterUrl;
+    try {
+      await this._loadVideoElement(video, videoData.url);
+    } catch (error) {
+      logger.error(`[VideoBackgroundHandler] Error loading video ${videoData.url}:`, error);
+      this._showPlaceholder(targetContainer, 'Error: Failed to load video', isInitialLoad);
+      this._updateStateMetadata(null);
+      return;
+    }
+    if (!this.videos.has(targetContainer)) return; // Destroyed while loading
+
+    video.hidden = false;
+    try {
+      await video.play();
+    } catch (error) {
+      // Autoplay blocked (e.g. power saving); the poster frame stays visible
+      logger.warn('[VideoBackgroundHandler] Could not start video playback:', error);
+    }
+    this.applyStyles(targetContainer);
+    if (!isInitialLoad) {
+      this._crossFade();
+    }
+
+    const metadata = { ...videoData, mediaType: 'video' };
+    if (isFavorite) {
+      metadata.isFavorite = true;
+    }
+    this._updateStateMetadata(metadata);
+  }
+
+  /**
+   * Sets a video's source and waits until it can play.
+   * @param {HTMLVideoElement} video - The video element.
+   * @param {string} url - The video URL.
+   * @returns {Promise<void>} Resolves when playable; rejects on error or after VIDEO_LOAD_TIMEOUT.
+   * @private
+   */
+  _loadVideoElement(video, url) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timeoutId);
+        video.removeEventListener('canplay', onCanPlay);
+        video.removeEventListener('error', onError);
+      };
+      const onCanPlay = () => {
+        cleanup();
+        resolve();
+      };
+      const onError = () => {
+        cleanup();
+        reject(video.error || new Error(`Could not load video ${url}`));
+      };
+      const timeoutId = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Timed out loading video ${url}`));
+      }, VIDEO_LOAD_TIMEOUT);
+      video.addEventListener('canplay', onCanPlay);
+      video.addEventListener('error', onError);
+      video.src = url;
+      video.load();
+    });
+  }
+
+  /**
+   * Fades the inactive container in, swaps the containers and pauses the old video once hidden.
+   * @private
+   */
+  _crossFade() {
+    this.inactiveContainer.style.opacity = '1';
+    this.activeContainer.style.opacity = '0';
+    const previousVideo = this.videos.get(this.activeContainer);
+    [this.activeContainer, this.inactiveContainer] = [this.inactiveContainer, this.activeContainer];
+
+    // Decoding a hidden video wastes battery
+    clearTimeout(this.pauseTimeoutId);
+    this.pauseTimeoutId = setTimeout(() => previousVideo?.pause(), PAUSE_AFTER_FADE_DELAY);
+  }
+
+  /**
+   * Shows a message in a container instead of a video.
+   * @param {HTMLElement} container - The container.
+   * @param {string} text - The message (English; translated here).
+   * @param {boolean} isInitialLoad - True if the container is already visible (no fade).
+   * @private
+   */
+  _showPlaceholder(container, text, isInitialLoad) {
+    const video = this.videos.get(container);
+    if (video) {
+      video.pause();
+      video.removeAttribute('src');
+      video.hidden = true;
+    }
+    const placeholderDataUrl = `data:image/svg+xml,${encodeURIComponent(`
+        <svg xmlns="http://www.w3.org/2000/svg" width="1920" height="1080" viewBox="0 0 1920 1080">
+            <rect width="100%" height="100%" fill="#333333"/>
+            <text x="50%" y="50%" font-family="Arial" font-size="24" fill="#FFFFFF" text-anchor="middle" dy=".3em">
+                ${t(text)}
+            </text>
+        </svg>
+    `)}`;
+    container.style.backgroundImage = `url('${placeholderDataUrl}')`;
+    container.style.backgroundSize = 'cover';
+    container.style.backgroundPosition = 'center center';
+    if (!isInitialLoad) {
+      this._crossFade();
+    }
+  }
+
+  /**
+   * Applies the zoom effect setting to a container.
+   * @param {HTMLElement} container - The container element.
+   */
+  applyStyles(container) {
+    if (!container) return;
+    container.classList.toggle('zoom-effect', this.config?.zoomEnabled ?? true);
+  }
+
+  /**
+   * Updates the StateManager with the current video metadata (shared with images, so the
+   * favorite toggle and info element work the same way).
+   * @param {object | null} metadata - The metadata object or null to clear it.
+   * @private
+   */
+  _updateStateMetadata(metadata) {
+    const currentMeta = StateManager.getState().currentImageMetadata;
+    if (metadata?.url !== currentMeta?.url || (metadata && !currentMeta) || (!metadata && currentMeta)) {
+      StateManager.update({ currentImageMetadata: metadata });
+    }
+  }
+
+  /**
+   * Returns the search query for the configured video provider.
+   * @param {object} config - The background configuration.
+   * @returns {string|null} The query, or null if the custom category is empty.
+   * @private
+   */
+  _getQueryKey(config) {
+    // Video providers are searched like image providers: by category or custom category
+    return determineImageQueryKey({ ...config, source: config?.videoProvider || DEFAULT_VIDEO_PROVIDER });
+  }
+
+  /**
+   * Identifies what the cached batch was fetched for.
+   * @param {object} config - The background configuration.
+   * @returns {string} The key.
+   * @private
+   */
+  _getBatchKey(config) {
+    return `${config?.videoProvider || DEFAULT_VIDEO_PROVIDER}_${this._getQueryKey(config) || 'nokey'}`;
+  }
+
+  /**
+   * Removes the video elements and resets the containers.
+   */
+  destroy() {
+    logger.debug('[VideoBackgroundHandler] Destroying...');
+    clearTimeout(this.pauseTimeoutId);
+    this.videos.forEach(video => {
+      video.pause();
+      video.removeAttribute('src');
+      video.load(); // Releases the network connection and decoder
+      video.remove();
+    });
+    this.videos.clear();
+    [this.containerA, this.containerB].forEach(container => {
+      container.style.backgroundImage = 'none';
+      container.classList.remove('zoom-effect');
+    });
+    this.containerA.style.opacity = '1';
+    this.containerB.style.opacity = '0';
+    this.videoCache = [];
+  }
+}
@@ -0,0 +1,61 @@
+import * as logger from '../utils/logger.js';
+
+/**
+ * Fetches current conditions through the /api/weather proxy.
+ * The proxy hides the upstream provider and always returns the same normalized shape
+ * (see api/_lib/weather-adapters.js).
+ */
+export class WeatherService {
+  /**
+   * Creates a WeatherService instance.
+   * @param {string} [baseUrl='/api/weather'] - URL of the weather proxy.
+   */
+  constructor(baseUrl = '/api/weather') {
+    this.baseUrl = baseUrl;
+    logger.debug('[WeatherService] Initialized. Using backend proxy at:', this.baseUrl);
+  }
+
+  /**
+   * Fetches the current weather for a place name or a pair of coordinates.
+   * @param {object} query
+   * @param {string} [query.location] - Place name (e.g. "Berlin"). Takes precedence over coordinates.
+   * @param {number} [query.latitude] - Latitude, used when no location is given.
+   * @param {number} [query.longitude] - Longitude, used when no location is given.
+   * @param {string} [query.units='metric'] - 'metric' or 'imperial'.
+   * @returns {Promise<object>} The normalized weather data.
+   * @throws {Error} If the request fails or the proxy returns an error.
+   */
+  async getCurrentWeather({ location, latitude, longitude, units = 'metric' } = {}) {
+    const params = new URLSearchParams({ units });
+    if (location) {
+      params.set('location', location);
+    } else if (latitude !== undefined && longitude !== undefined) {
+      params.set('lat', String(latitude));
+      params.set('lon', String(longitude));
+    } else {
+      throw new Error('A location or coordinates are required to fetch weather.');
+    }
+
+    const url = `${this.baseUrl}?${params.toString()}`;
+    logger.debug(`[WeatherService] Fetching weather via proxy: ${url}`);
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      let errorMsg = `Weather API error: ${response.status} ${response.statusText}`;
+      try {
+        const errorData = await response.json();
+        if (errorData && errorData.error) {
+          errorMsg = errorData.error;
+        }
+      } catch (e) { /* Ignore JSON parsing error */ }
+      logger.error(`[WeatherService] ${errorMsg}`);
+      throw new Error(errorMsg);
+    }
+
+    const data = await response.json();
+    if (!data || !data.current) {
+      throw new Error('Unexpected response from weather proxy.');
+    }
+    return data;
+  }
+}
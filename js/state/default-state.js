@@ -1,21 +1,44 @@
+import { CURRENT_SCHEMA_VERSION } from './migrations.js';
+
+/**
+ * Settings keys that aren't part of the look, so neither presets nor schedule profiles hold them:
+ * the presets and the schedule themselves, alarms, UI/session state, the UI language and
+ * face modules (code URLs aren't part of a look)
+ */
+export const NON_LOOK_SETTINGS_KEYS = ['presets', 'schedule', 'alarms', 'controls', 'debugModeEnabled', 'language', 'clockFaceUrls'];
+
 /**
  * Returns the default initial state structure for the application.
  * @returns {object} The default state object.
  */
 export function getDefaultState() {
     return {
+        schemaVersion: CURRENT_SCHEMA_VERSION, // Saved states are upgraded to this by state/migrations.js
         settings: {
             theme: 'dark', // Example global setting
+            language: '', // UI language code; empty = browser's language
+            clockFaceUrls: [], // URLs of third-party clock face modules (see ClockFaceRegistry)
             background: {
-                type: 'image', // 'image' or 'color' (future)
+                type: 'image', // 'image', 'video', 'gradient' or 'color'
                 query: 'nature',
                 useFavoritesOnly: false, // Whether to use only favorites as background source
+                favoritesCollectionId: null, // Favorites collection to pick favorites from (null: all favorites)
                 provider: 'peapix', // Default provider set to peapix
+                videoProvider: 'pexels', // Provider searched for the 'video' type (one with getVideoBatch)
                 color: '#000000', // Default background/overlay color
+                gradient: { // Used by the 'gradient' type
+                    style: 'linear', // 'linear' or 'radial'
+                    angle: 135, // Degrees (linear only)
+                    stops: ['#0f2027', '#203a43', '#2c5364'], // 2-5 colors
+                    animate: true, // Slowly drift the gradient
+                    timeOfDay: false // Use sunrise/noon/dusk colors for the current time instead of the stops
+                },
                 overlayOpacity: 0.3,
                 zoomEnabled: true,
                 showInfo: true, // Added default for showing background info
                 peapixCountry: 'us', // Default country set to US
+                localFolderId: null, // Folder picked for the 'local' provider (null = use images/manifest.json)
+                localFolderName: null,
                 cycleEnabled: true, // Whether to automatically cycle backgrounds
                 cycleInterval: 300000, // Interval in milliseconds (e.g., 300000 = 5 minutes)
             },
@@ -25,6 +48,14 @@ export function getDefaultState() {
             controls: {
                 isOpen: false // Initially closed
             },
+            schedule: { // Time-based profiles, managed by SchedulerService
+                enabled: false,
+                activeProfileId: null,
+                profiles: {}, // { [id]: { id, name, patch: { settings, elements } } }
+                rules: [] // [{ id, profileId, start: 'HH:MM', days: [0-6] }]
+            },
+            presets: {}, // { [id]: { id, name, createdAt, state: { schemaVersion, settings, elements }, favorites?, favoriteCollections? } }, managed by PresetService
+            alarms: [], // [{ id, label, time: 'HH:MM', days: [0-6], date: 'YYYY-MM-DD'|null, enabled, sound }], managed by AlarmService
             debugModeEnabled: false // Controls logger verbosity
         },
         elements: {
@@ -49,7 +80,10 @@ export function getDefaultState() {
                   showSeparator: true,
                   charSpacing: 0.89,
                   colonAdjustX: 0,
-                  colonAdjustY: 0
+                  colonAdjustY: 0,
+                  timeZone: '', // Empty = browser's local time zone
+                  label: ''
+                  // Options of the selected face (e.g. the word face's colours) default to the face's option schema
                 }
             },
             'date-default': {
@@ -63,7 +97,9 @@ export function getDefaultState() {
                 opacity: 0.75,
                 effectStyle: 'flat',
                 options: {
-                  format: 'Day, Month DD',
+                  format: 'dddd, MMMM D',
+                  locale: '', // Empty = browser's language
+                  calendar: 'gregory',
                   fontFamily: 'Libre Baskerville',
                   fontWeight: 'normal',
                   color: '#FFFFFF',
@@ -0,0 +1,111 @@
+import { LEGACY_DATE_FORMATS } from '../utils/date-format.js';
+import { StateMigrationError } from '../core/errors.js';
+import * as logger from '../utils/logger.js';
+
+/**
+ * Calls a function for every element entry in a state object: the elements themselves and
+ * the partial element entries stored in scheduled profiles (settings.schedule.profiles[id].patch).
+ * @param {object} state - The state object (modified in place by the callback).
+ * @param {Function} callback - Called with each element object that has an `options` object.
+ */
+function forEachElement(state, callback) {
+    const elementMaps = [state.elements];
+    const profiles = state.settings?.schedule?.profiles;
+    if (profiles && typeof profiles === 'object') {
+        Object.values(profiles).forEach(profile => elementMaps.push(profile?.patch?.elements));
+    }
+    elementMaps.forEach(elements => {
+        if (!elements || typeof elements !== 'object') return;
+        Object.values(elements).forEach(element => {
+            if (element && typeof element === 'object' && element.options && typeof element.options === 'object') {
+                callback(element);
+            }
+        });
+    });
+}
+
+/**
+ * Saved state migrations, oldest first. Each upgrades a state object from schema version
+ * `version - 1` to `version`, modifying it in place. Saved states without a `schemaVersion`
+ * are version 0.
+ *
+ * When the state structure changes (a key is renamed or removed, a value changes meaning),
+ * add a step here rather than special-casing old values where the state is read; the
+ * default state picks up the new version automatically.
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: "Rename the 'led' clock face to 'clean'",
+        migrate(state) {
+            forEachElement(state, element => {
+                if (element.options.face === 'led') element.options.face = 'clean';
+            });
+        }
+    },
+    {
+        version: 2,
+        description: 'Replace the fixed date format names with token formats',
+        migrate(state) {
+            forEachElement(state, element => {
+                const { format } = element.options;
+                if (typeof format === 'string' && Object.hasOwn(LEGACY_DATE_FORMATS, format)) {
+                    element.options.format = LEGACY_DATE_FORMATS[format];
+                }
+            });
+        }
+    },
+    {
+        version: 3,
+        description: "Drop the word face's default options saved on every clock (faces supply their own defaults)",
+        migrate(state) {
+            const oldDefaults = { wordLanguage: '', wordLitColor: '#ffffff', wordUnlitColor: '#3c3c3c', showMinuteDots: true };
+            forEachElement(state, element => {
+                Object.entries(oldDefaults).forEach(([key, value]) => {
+                    if (element.options[key] === value) delete element.options[key];
+                });
+            });
+        }
+    }
+];
+
+/** Schema version of the current state structure */
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Returns the schema version a state object was saved with.
+ * @param {object} state - Saved or imported state.
+ * @returns {number} The version (0 for states saved before versioning).
+ */
+export function getSchemaVersion(state) {
+    return Number.isInteger(state?.schemaVersion) ? state.schemaVersion : 0;
+}
+
+/**
+ * Upgrades saved or imported state to the current schema version. All steps run on a copy,
+ * so a failing step leaves the input untouched. State from a newer version is returned as is.
+ * @param {object} state - Saved or imported state (e.g. `{ settings, elements, schemaVersion }`).
+ * @returns {object} The migrated copy, with `schemaVersion` set to CURRENT_SCHEMA_VERSION.
+ * @throws {StateMigrationError} If a migration step fails.
+ */
+export function migrateState(state) {
+    const fromVersion = getSchemaVersion(state);
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        logger.warn(`[migrations] State has schema version ${fromVersion}, newer than ${CURRENT_SCHEMA_VERSION}. Using it as is.`);
+        return state;
+    }
+
+    let migrated = JSON.parse(JSON.stringify(state));
+    for (const step of MIGRATIONS) {
+        if (step.version <= fromVersion) continue;
+        try {
+            migrated = step.migrate(migrated) ?? migrated;
+        } catch (error) {
+            throw new StateMigrationError(`Upgrading settings to version ${step.version} (${step.description}) failed: ${error.message}`, step.version);
+        }
+        migrated.schemaVersion = step.version;
+        logger.debug(`[migrations] Migrated state to schema version ${step.version}: ${step.description}.`);
+    }
+    migrated.schemaVersion = CURRENT_SCHEMA_VERSION;
+    return migrated;
+}
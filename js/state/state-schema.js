@@ -0,0 +1,236 @@
+import { ComponentRegistry } from '../core/component-registry.js';
+import { ClockFaceRegistry } from '../core/clock-face-registry.js';
+import { validate } from '../utils/schema.js';
+
+/*
+ * Declarative schema of the saved state: `settings` is described here, element options by
+ * the element types themselves (the `optionsSchema` passed to ComponentRegistry.registerElementType).
+ * Keys the schema doesn't describe are allowed, so settings from newer versions and options
+ * of faces that aren't loaded yet survive validation.
+ */
+
+/** Hex colour, as produced by colour inputs */
+export const COLOR_SCHEMA = { type: 'string', pattern: '^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$' };
+
+/** Element effect style (StyleHandler) */
+export const EFFECT_STYLE_SCHEMA = { enum: ['flat', 'raised', 'reflected'] };
+
+/** 'HH:MM', as accepted by parseTimeOfDay */
+const TIME_OF_DAY_SCHEMA = { type: 'string', pattern: '^([01]?\\d|2[0-3]):[0-5]\\d$' };
+
+/** Days of the week, 0 = Sunday */
+const DAYS_SCHEMA = { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 } };
+
+/** Keys every element can have, whatever its type */
+const ELEMENT_PROPERTIES = {
+    type: { type: 'string' },
+    id: { type: 'string' },
+    position: {
+        type: 'object',
+        properties: { x: { type: 'number' }, y: { type: 'number' } },
+        required: ['x', 'y']
+    },
+    scale: { type: 'number', minimum: 0 },
+    opacity: { type: 'number', minimum: 0, maximum: 1 },
+    effectStyle: EFFECT_STYLE_SCHEMA,
+    options: { type: 'object' }
+};
+
+/** A scheduled profile: a partial state applied by SchedulerService */
+const PROFILE_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        patch: {
+            type: 'object',
+            properties: {
+                settings: { type: 'object' },
+                elements: { type: 'object', additionalProperties: { type: 'object', properties: ELEMENT_PROPERTIES } }
+            }
+        }
+    },
+    required: ['id']
+};
+
+/** A named preset: a complete look saved by PresetService */
+const PRESET_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        createdAt: { type: 'string' },
+        // Validated against the full state schema when the preset is applied
+        state: {
+            type: 'object',
+            properties: { schemaVersion: { type: 'integer', minimum: 0 }, settings: { type: 'object' }, elements: { type: 'object' } },
+            required: ['settings', 'elements']
+        },
+        favorites: { type: 'array', items: { type: 'object' } },
+        favoriteCollections: { type: 'array', items: { type: 'object' } }
+    },
+    required: ['id', 'name', 'state']
+};
+
+/** Schema of `state.settings` */
+export const SETTINGS_SCHEMA = {
+    type: 'object',
+    properties: {
+        theme: { type: 'string' },
+        language: { type: 'string' },
+        clockFaceUrls: { type: 'array', items: { type: 'string' } },
+        background: {
+            type: 'object',
+            properties: {
+                type: { enum: ['image', 'video', 'gradient', 'color'] },
+                query: { type: 'string' },
+                useFavoritesOnly: { type: 'boolean' },
+                favoritesCollectionId: { type: ['string', 'null'] },
+                provider: { type: 'string' },
+                videoProvider: { type: 'string' },
+                color: COLOR_SCHEMA,
+                gradient: {
+                    type: 'object',
+                    properties: {
+                        style: { enum: ['linear', 'radial'] },
+                        angle: { type: 'number' },
+                        stops: { type: 'array', items: COLOR_SCHEMA, minItems: 2, maxItems: 5 },
+                        animate: { type: 'boolean' },
+                        timeOfDay: { type: 'boolean' }
+                    }
+                },
+                overlayOpacity: { type: 'number', minimum: 0, maximum: 1 },
+                zoomEnabled: { type: 'boolean' },
+                showInfo: { type: 'boolean' },
+                peapixCountry: { type: 'string' },
+                localFolderId: { type: ['string', 'null'] },
+                localFolderName: { type: ['string', 'null'] },
+                cycleEnabled: { type: 'boolean' },
+                cycleInterval: { type: 'number', minimum: 0 }
+            }
+        },
+        controls: {
+            type: 'object',
+            properties: { isOpen: { type: 'boolean' } }
+        },
+        schedule: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                activeProfileId: { type: ['string', 'null'] },
+                profiles: { type: 'object', additionalProperties: PROFILE_SCHEMA },
+                rules: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            profileId: { type: 'string' },
+                            start: TIME_OF_DAY_SCHEMA,
+                            days: DAYS_SCHEMA
+                        },
+                        required: ['id', 'profileId', 'start']
+                    }
+                }
+            }
+        },
+        presets: { type: 'object', additionalProperties: PRESET_SCHEMA },
+        alarms: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    label: { type: 'string' },
+                    time: TIME_OF_DAY_SCHEMA,
+                    days: DAYS_SCHEMA,
+                    date: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+                    enabled: { type: 'boolean' },
+                    sound: { type: 'boolean' }
+                },
+                required: ['id', 'time']
+            }
+        },
+        debugModeEnabled: { type: 'boolean' }
+    }
+};
+
+/**
+ * Converts a clock face option (see ClockFaceRegistry) to a JSON Schema.
+ * @param {object} option - The face's option description.
+ * @returns {object} The schema.
+ */
+function faceOptionToSchema(option) {
+    switch (option.type) {
+        case 'select': return { enum: (option.choices || []).map(choice => choice.value) };
+        case 'color': return COLOR_SCHEMA;
+        case 'checkbox': return { type: 'boolean' };
+        case 'range': return { type: 'number', minimum: option.min ?? 0, maximum: option.max ?? 100 };
+        default: return { type: 'string' };
+    }
+}
+
+/**
+ * Builds the schemas of the options of all registered clock faces, for the clock's options schema.
+ * @returns {object} Schemas by option key.
+ */
+export function getFaceOptionsSchema() {
+    const properties = {};
+    ClockFaceRegistry.getFaces().forEach(face => {
+        Object.entries(face.options).forEach(([key, option]) => {
+            properties[key] = faceOptionToSchema(option);
+        });
+    });
+    return properties;
+}
+
+/**
+ * Builds the schema of an element, including the options schema of its registered type.
+ * @param {string} id - The element's key in `state.elements` (its `id` has to match).
+ * @param {string} type - The element's type.
+ * @returns {object} The schema.
+ */
+function getElementSchema(id, type) {
+    return {
+        type: 'object',
+        properties: {
+            ...ELEMENT_PROPERTIES,
+            id: { const: id },
+            options: ComponentRegistry.getOptionsSchema(type) || ELEMENT_PROPERTIES.options
+        },
+        required: ['type', 'id', 'options']
+    };
+}
+
+/**
+ * Builds the schema of a whole state object for the elements it contains (element options
+ * depend on each element's type).
+ * @param {object} state - The state (e.g. `{ schemaVersion, settings, elements }`).
+ * @returns {object} The schema.
+ */
+export function getStateSchema(state) {
+    const elements = state && typeof state.elements === 'object' && state.elements !== null ? state.elements : {};
+    return {
+        type: 'object',
+        properties: {
+            schemaVersion: { type: 'integer', minimum: 0 },
+            settings: SETTINGS_SCHEMA,
+            elements: {
+                type: 'object',
+                properties: Object.fromEntries(Object.entries(elements).map(([id, element]) => [id, getElementSchema(id, element?.type)]))
+            }
+        },
+        required: ['settings', 'elements']
+    };
+}
+
+/**
+ * Validates a state object (saved, imported or about to be applied) against the schema.
+ * @param {object} state - The state to check (not modified).
+ * @param {object} [options={}]
+ * @param {boolean} [options.repair=false] - Also return a copy with the invalid keys dropped (see validate()).
+ * @returns {{valid: boolean, errors: Array<{path: string, expected: string, actual: string}>, value?: object}}
+ */
+export function validateState(state, { repair = false } = {}) {
+    return validate(state, getStateSchema(state), { repair });
+}
@@ -0,0 +1,47 @@
+/**
+ * Plays a short chime with the Web Audio API (no sound files to download or cache).
+ */
+
+// Frequencies (Hz) of the notes played, one after another
+const CHIME_NOTES = [880, 659.25, 523.25];
+const NOTE_DURATION = 0.35; // Seconds per note
+
+let audioContext = null;
+
+/**
+ * Plays the chime. Browsers only allow audio after the user has interacted with the page;
+ * until then this silently does nothing.
+ * @param {number} [repeat=1] - How many times to play the notes.
+ * @returns {boolean} True if the chime was started.
+ */
+export function playChime(repeat = 1) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return false;
+
+    try {
+        audioContext = audioContext || new AudioContextClass();
+        if (audioContext.state === 'suspended') {
+            audioContext.resume().catch(() => {});
+        }
+
+        const start = audioContext.currentTime + 0.05;
+        for (let i = 0; i < repeat * CHIME_NOTES.length; i++) {
+            const noteStart = start + i * NOTE_DURATION;
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            oscillator.type = 'sine';
+            oscillator.frequency.value = CHIME_NOTES[i % CHIME_NOTES.length];
+            // Quick attack, exponential decay: a bell-like note instead of a beep
+            gain.gain.setValueAtTime(0.0001, noteStart);
+            gain.gain.exponentialRampToValueAtTime(0.3, noteStart + 0.02);
+            gain.gain.exponentialRampToValueAtTime(0.0001, noteStart + NOTE_DURATION * 2);
+            oscillator.connect(gain).connect(audioContext.destination);
+            oscillator.start(noteStart);
+            oscillator.stop(noteStart + NOTE_DURATION * 2);
+        }
+        return true;
+    } catch (error) {
+        console.warn('[chime] Could not play the chime:', error);
+        return false;
+    }
+}
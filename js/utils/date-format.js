@@ -0,0 +1,236 @@
+/**
+ * Token-based, locale-aware date formatting for the date element.
+ *
+ * Formats are strings of tokens (`dddd, MMMM D`, `YYYY-[W]WW`, ...); text in [brackets] is
+ * copied as-is. Names, digits and the calendar system come from Intl.DateTimeFormat, so any
+ * locale the browser knows works, as do the non-Gregorian calendars listed in CALENDARS.
+ *
+ * | Token       | Output                                          |
+ * |-------------|-------------------------------------------------|
+ * | YYYY / YY   | Year in the selected calendar (2024 / 24)       |
+ * | MMMM / MMM  | Month name (January / Jan)                      |
+ * | MM / M      | Month number (01 / 1)                           |
+ * | DD / D / Do | Day of month (05 / 5 / 5th)                     |
+ * | dddd / ddd  | Weekday name (Monday / Mon)                     |
+ * | d           | Weekday number, ISO (1 = Monday ... 7 = Sunday) |
+ * | DDDD / DDD  | Day of year (005 / 5)                           |
+ * | WW / W      | ISO week number (07 / 7)                        |
+ * | GGGG        | ISO week-numbering year                         |
+ * | Q           | Quarter (1-4)                                   |
+ * | N           | Era (AD, Reiwa, AH, ...)                        |
+ *
+ * Week, day-of-year and quarter tokens always use the Gregorian calendar.
+ */
+
+/** Format used when none is set */
+export const DEFAULT_DATE_FORMAT = 'dddd, MMMM D';
+
+/**
+ * Names of the fixed formats used before token formats existed, mapped to equivalent tokens.
+ * Saved settings may still contain them.
+ */
+export const LEGACY_DATE_FORMATS = {
+    'MM/DD/YYYY': 'MM/DD/YYYY',
+    'DD/MM/YYYY': 'DD/MM/YYYY',
+    'YYYY-MM-DD': 'YYYY-MM-DD',
+    'Day': 'dddd',
+    'Day, Month DD': 'dddd, MMMM D',
+    'Month DD, YYYY': 'MMMM D, YYYY'
+};
+
+/** Formats offered in the date controls (any other token string can be typed in) */
+export const DATE_FORMAT_PRESETS = [
+    'dddd, MMMM D',
+    'MMMM D, YYYY',
+    'dddd, D MMMM',
+    'dddd, Do MMMM',
+    'D MMMM YYYY',
+    'ddd D MMM',
+    'dddd',
+    'MM/DD/YYYY',
+    'DD/MM/YYYY',
+    'DD.MM.YYYY',
+    'YYYY-MM-DD',
+    'YYYY-[W]WW',
+    'dddd [· Week] W'
+];
+
+/** Calendar systems that can be selected: [Intl calendar id, label] */
+export const CALENDARS = [
+    ['gregory', 'Gregorian'],
+    ['buddhist', 'Buddhist'],
+    ['ethiopic', 'Ethiopic'],
+    ['hebrew', 'Hebrew'],
+    ['indian', 'Indian National'],
+    ['islamic-umalqura', 'Islamic (Umm al-Qura)'],
+    ['islamic-civil', 'Islamic (Civil)'],
+    ['japanese', 'Japanese'],
+    ['persian', 'Persian']
+];
+
+/** Locales offered in the date controls; '' follows the browser's language */
+export const DATE_LOCALES = [
+    'ar', 'cs', 'da', 'de', 'el', 'en-AU', 'en-GB', 'en-US', 'es', 'fa', 'fi', 'fr', 'he', 'hi',
+    'hu', 'id', 'it', 'ja', 'ko', 'nb', 'nl', 'pl', 'pt-BR', 'pt-PT', 'ro', 'ru', 'sv', 'th', 'tr',
+    'uk', 'vi', 'zh-CN', 'zh-TW'
+];
+
+// Longest tokens first so e.g. "MMMM" isn't read as "MM" + "MM"
+const TOKEN_PATTERN = /\[([^\]]*)\]|YYYY|YY|GGGG|MMMM|MMM|MM|M|DDDD|DDD|Do|DD|D|dddd|ddd|d|WW|W|Q|N/g;
+
+// Ordinal day suffixes for languages where they're simple; other languages show the plain number
+const ORDINAL_SUFFIXES = {
+    en: { one: 'st', two: 'nd', few: 'rd', other: 'th' },
+    de: '.', da: '.', nb: '.', fi: '.', cs: '.', pl: '.', tr: '.', hu: '.',
+    es: 'º', it: 'º', pt: 'º',
+    fr: { one: 'er', other: 'e' },
+    nl: 'e',
+    ja: '日', zh: '日', ko: '일'
+};
+
+// Cache of Intl formatters keyed by their arguments (constructing them is expensive)
+const formatterCache = new Map();
+
+/**
+ * Returns a cached Intl.DateTimeFormat.
+ * @param {string|undefined} locale - BCP 47 locale tag, or undefined for the browser default.
+ * @param {object} options - Intl.DateTimeFormat options.
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(locale, options) {
+    const key = `${locale || ''}|${JSON.stringify(options)}`;
+    let formatter = formatterCache.get(key);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat(locale, options);
+        formatterCache.set(key, formatter);
+    }
+    return formatter;
+}
+
+/**
+ * Returns the value of one part of a formatted date.
+ * @param {Date} date - The date.
+ * @param {string|undefined} locale - Locale tag.
+ * @param {object} options - Intl.DateTimeFormat options.
+ * @param {string} type - The part type (e.g. 'month').
+ * @returns {string} The part's value, or '' if the format has no such part.
+ */
+function getPart(date, locale, options, type) {
+    return getFormatter(locale, options).formatToParts(date).find(part => part.type === type)?.value ?? '';
+}
+
+/**
+ * Normalizes a locale setting to a valid BCP 47 tag.
+ * @param {string} locale - The locale setting ('' for the browser default).
+ * @returns {string|undefined} The canonical tag, or undefined for the browser default / invalid tags.
+ */
+export function resolveLocale(locale) {
+    if (!locale) return undefined;
+    try {
+        return Intl.getCanonicalLocales(locale)[0];
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Returns the token format for a saved format value, translating legacy format names.
+ * @param {string} format - The saved format.
+ * @returns {string} A token format.
+ */
+export function resolveDateFormat(format) {
+    if (!format) return DEFAULT_DATE_FORMAT;
+    return LEGACY_DATE_FORMATS[format] ?? format;
+}
+
+/**
+ * Returns the ISO 8601 week number and week-numbering year of a (local) date.
+ * @param {Date} date - The date.
+ * @returns {{week: number, year: number}}
+ */
+export function getIsoWeek(date) {
+    // The Thursday of the date's week decides which year the week belongs to
+    const thursday = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+    const firstOfYear = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    return {
+        week: Math.floor((thursday - firstOfYear) / 86400000 / 7) + 1,
+        year: thursday.getUTCFullYear()
+    };
+}
+
+/**
+ * Formats a day number as an ordinal ("1st", "1.", "1er", ...).
+ * @param {number} day - The day.
+ * @param {string} digits - The day already formatted with the locale's digits.
+ * @param {string|undefined} locale - Locale tag.
+ * @returns {string}
+ */
+function formatOrdinal(day, digits, locale) {
+    const language = (locale || getFormatter(undefined, {}).resolvedOptions().locale).split('-')[0];
+    const suffix = ORDINAL_SUFFIXES[language];
+    if (!suffix) return digits;
+    if (typeof suffix === 'string') return `${digits}${suffix}`;
+    const category = new Intl.PluralRules(language, { type: 'ordinal' }).select(day);
+    return `${digits}${suffix[category] ?? suffix.other}`;
+}
+
+/**
+ * Formats a date using a token format (see the table at the top of this file).
+ * @param {Date} date - The date to format (in local time).
+ * @param {string} format - Token format, or one of the legacy format names.
+ * @param {object} [options]
+ * @param {string} [options.locale=''] - BCP 47 locale tag; '' uses the browser's language.
+ * @param {string} [options.calendar='gregory'] - Intl calendar id (see CALENDARS).
+ * @returns {string} The formatted date.
+ */
+export function formatDate(date, format, { locale = '', calendar = 'gregory' } = {}) {
+    const pattern = resolveDateFormat(format);
+    const localeTag = resolveLocale(locale);
+    const calendarId = CALENDARS.some(([id]) => id === calendar) ? calendar : 'gregory';
+
+    // Numeric fields in the selected calendar, read with Latin digits so they can be padded
+    const numericOptions = { calendar: calendarId, numberingSystem: 'latn', year: 'numeric', month: 'numeric', day: 'numeric' };
+    const numericPart = (type) => parseInt(getPart(date, 'en', numericOptions, type), 10);
+    const year = numericPart('year');
+    const month = numericPart('month'); // NaN for calendars without month numbers (e.g. Hebrew leap years)
+    const day = numericPart('day');
+
+    const numberFormatters = {};
+    const formatNumber = (value, minimumIntegerDigits = 1) => {
+        numberFormatters[minimumIntegerDigits] ??= new Intl.NumberFormat(localeTag, { minimumIntegerDigits, useGrouping: false });
+        return numberFormatters[minimumIntegerDigits].format(value);
+    };
+    const name = (options, type) => getPart(date, localeTag, { calendar: calendarId, ...options }, type);
+    // Month names next to a day use the locale's "in a date" form ("5 мая" rather than "май" in Russian)
+    const hasDay = [...pattern.matchAll(TOKEN_PATTERN)].some(([token]) => token === 'D' || token === 'DD' || token === 'Do');
+    const monthName = (width) => name(hasDay ? { day: 'numeric', month: width } : { month: width }, 'month');
+
+    const dayOfYear = Math.round((Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - Date.UTC(date.getFullYear(), 0, 1)) / 86400000) + 1;
+
+    return pattern.replace(TOKEN_PATTERN, (token, literal) => {
+        if (literal !== undefined) return literal;
+        switch (token) {
+            case 'YYYY': return formatNumber(year);
+            case 'YY': return formatNumber(year % 100, 2);
+            case 'MMMM': return monthName('long');
+            case 'MMM': return monthName('short');
+            case 'MM': return Number.isNaN(month) ? monthName('long') : formatNumber(month, 2);
+            case 'M': return Number.isNaN(month) ? monthName('long') : formatNumber(month);
+            case 'DD': return formatNumber(day, 2);
+            case 'D': return formatNumber(day);
+            case 'Do': return formatOrdinal(day, formatNumber(day), localeTag);
+            case 'dddd': return name({ weekday: 'long' }, 'weekday');
+            case 'ddd': return name({ weekday: 'short' }, 'weekday');
+            case 'd': return formatNumber(date.getDay() || 7);
+            case 'DDDD': return formatNumber(dayOfYear, 3);
+            case 'DDD': return formatNumber(dayOfYear);
+            case 'WW': return formatNumber(getIsoWeek(date).week, 2);
+            case 'W': return formatNumber(getIsoWeek(date).week);
+            case 'GGGG': return formatNumber(getIsoWeek(date).year);
+            case 'Q': return formatNumber(Math.floor(date.getMonth() / 3) + 1);
+            case 'N': return name({ year: 'numeric', era: 'short' }, 'era');
+            default: return token;
+        }
+    });
+}
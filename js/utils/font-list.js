@@ -1,8 +1,8 @@
 /**
- * Consolidated list of available fonts, including Google Fonts and standard system fonts.
+ * Google Fonts loaded by the stylesheet link in index.html (and precached by sw.js).
+ * Keep both in sync when adding a font.
  */
-export const AVAILABLE_FONTS = [
-    // Google Fonts (from index.html)
+export const GOOGLE_FONTS = [
     'Abril Fatface',
     'Anton',
     'Bangers',
@@ -48,6 +48,13 @@ export const AVAILABLE_FONTS = [
     'Special Elite',
     'Wallpoet',
     'Zilla Slab Highlight',
+];
+
+/**
+ * Consolidated list of available fonts, including Google Fonts and standard system fonts.
+ */
+export const AVAILABLE_FONTS = [
+    ...GOOGLE_FONTS,
 
     // Common System Sans-serif
     'Arial',
@@ -1,4 +1,5 @@
 import { StateManager } from '../core/state-manager.js';
+import { EventBus } from '../core/event-bus.js';
 import { StyleHandler } from '../components/base/mixins/StyleHandler.js';
 import * as logger from './logger.js'; // Import the logger
 
@@ -7,6 +8,7 @@ let controlPanelInstance = null;
 const NUDGE_AMOUNT = 0.1; // Percentage to move on each arrow key press
 const SELECTION_VISIBILITY_DURATION = 5000; // 5 seconds in milliseconds
 let selectionVisibilityTimer = null; // Timer for auto-deselect
+let elementReadySubscription = null; // Attaches selection to elements created after startup
 
 /**
  * Sets up global keyboard listeners and element selection.
@@ -57,6 +59,15 @@ export function setupGlobalKeyListeners(panelInstance) {
 
     // Add click listeners to all draggable elements
     setupElementSelection();
+
+    // Elements added at runtime (e.g. extra clocks) need the selection listener too
+    elementReadySubscription?.unsubscribe();
+    elementReadySubscription = EventBus.subscribe('element:ready', ({ container }) => {
+        if (container?.classList.contains('base-element')) {
+            container.removeEventListener('dblclick', handleElementDoubleClick);
+            container.addEventListener('dblclick', handleElementDoubleClick);
+        }
+    });
 }
 
 /**
@@ -165,11 +176,21 @@ function handleKeyDown(event) {
     } // End of separate Ctrl key check
 
     // --- Start of mutually exclusive shortcut checks ---
-    // Toggle Debug Mode with Ctrl+Shift+Z
-    if (event.ctrlKey && event.shiftKey && event.key === 'Z') {
+    const key = (event.key || '').toLowerCase();
+    // Toggle Debug Mode with Ctrl+Alt+D
+    if (event.ctrlKey && event.altKey && key === 'd') {
         event.preventDefault();
         logger.toggleDebugMode();
     }
+    // Undo with Ctrl+Z, redo with Ctrl+Shift+Z or Ctrl+Y (Cmd on macOS); text fields keep their own undo
+    else if ((event.ctrlKey || event.metaKey) && !isInInput && (key === 'z' || key === 'y')) {
+        event.preventDefault();
+        if (key === 'z' && !event.shiftKey) {
+            StateManager.undo();
+        } else {
+            StateManager.redo();
+        }
+    }
     // Handle nudge controls (Arrow keys)
     else if (!isInInput) { // This now correctly only runs if previous shortcuts didn't match
         const selectedElement = document.querySelector('.base-element.selected');
@@ -348,6 +369,8 @@ export function removeGlobalListeners() {
     window.removeEventListener('keyup', handleKeyUp);
     document.body.removeEventListener('click', handleBodyClick);
     document.body.removeEventListener('touchstart', handleTouchStart);
+    elementReadySubscription?.unsubscribe();
+    elementReadySubscription = null;
 
     // Clear timers
     if (selectionVisibilityTimer) {
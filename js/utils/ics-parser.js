@@ -0,0 +1,423 @@
+/**
+ * iCalendar (.ics, RFC 5545) parser for the agenda element.
+ *
+ * parseIcs() reads the events of a calendar (with their recurrence rules, exceptions and
+ * time zones) and getUpcomingEvents() turns them into concrete occurrences for a time range.
+ *
+ * Times with a TZID are converted with the browser's time zone database when the TZID is an
+ * IANA name (e.g. "Europe/Berlin"), otherwise with the calendar's own VTIMEZONE definition
+ * (e.g. Outlook's "W. Europe Standard Time"). Times without a zone are local ("floating").
+ */
+
+import { isValidTimeZone, getTimeParts } from './time-helpers.js';
+import { DAY_MS, parseRRule, expandRecurrence, toWallTime, getWallParts } from './ics-recurrence.js';
+
+const UTC_ZONE = { type: 'utc' };
+const LOCAL_ZONE = { type: 'local' };
+const UTC_NAMES = ['UTC', 'GMT', 'Z', 'Etc/UTC', 'Etc/GMT'];
+
+/**
+ * Joins folded lines (continuations start with a space or tab) and splits the text into content lines.
+ * @param {string} text - The raw calendar text.
+ * @returns {string[]} The content lines.
+ */
+export function unfoldLines(text) {
+    return String(text || '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n')
+        .filter(line => line.trim());
+}
+
+/**
+ * Parses a content line such as `DTSTART;TZID="Europe/Berlin":20240115T093000`.
+ * @param {string} line - The unfolded line.
+ * @returns {{name: string, params: object, value: string}|null} The property (names and parameter
+ *   keys are upper-cased), or null if the line has no value.
+ */
+export function parseContentLine(line) {
+    let inQuotes = false;
+    let colonIndex = -1;
+    const separators = [];
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && char === ';') {
+            separators.push(i);
+        } else if (!inQuotes && char === ':') {
+            colonIndex = i;
+            break;
+        }
+    }
+    if (colonIndex < 0) return null;
+
+    const bounds = [...separators, colonIndex];
+    const name = line.slice(0, bounds[0]).trim().toUpperCase();
+    const params = {};
+    for (let i = 0; i < bounds.length - 1; i++) {
+        const param = line.slice(bounds[i] + 1, bounds[i + 1]);
+        const equalsIndex = param.indexOf('=');
+        if (equalsIndex > 0) {
+            params[param.slice(0, equalsIndex).trim().toUpperCase()] = param.slice(equalsIndex + 1).replace(/"/g, '').trim();
+        }
+    }
+    return { name, params, value: line.slice(colonIndex + 1) };
+}
+
+/** Decodes escaped TEXT values (\n, \, \; \\). */
+function unescapeText(value) {
+    return String(value ?? '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char)).trim();
+}
+
+/**
+ * Parses a DATE or DATE-TIME value.
+ * @param {string} value - E.g. "20240115", "20240115T093000" or "20240115T083000Z".
+ * @param {object} [params={}] - The property parameters (TZID, VALUE).
+ * @returns {{wall: number, tzid: string|null, allDay: boolean}|null} The wall time, its TZID
+ *   ('UTC' for "Z" times, null for floating times and dates), or null if invalid.
+ */
+export function parseDateValue(value, params = {}) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value || '').trim());
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (hours === undefined || params.VALUE === 'DATE') {
+        return { wall: toWallTime(+year, +month, +day), tzid: null, allDay: true };
+    }
+    return {
+        wall: toWallTime(+year, +month, +day, +hours, +minutes, +(seconds || 0)),
+        tzid: utc ? 'UTC' : (params.TZID || null),
+        allDay: false
+    };
+}
+
+/**
+ * Parses a DURATION value such as "PT1H30M", "P1D" or "-PT15M".
+ * @param {string} value - The duration.
+ * @returns {number|null} Milliseconds, or null if invalid.
+ */
+export function parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value || '').trim());
+    if (!match) return null;
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    const milliseconds = ((((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes) * 60 + +seconds) * 1000;
+    return sign === '-' ? -milliseconds : milliseconds;
+}
+
+/** Parses a UTC offset such as "+0100" or "-053000" into milliseconds. */
+function parseUtcOffset(value) {
+    const match = /^([+-])(\d{2})(\d{2})(\d{2})?$/.exec(String(value || '').trim());
+    if (!match) return 0;
+    const milliseconds = ((+match[2] * 60 + +match[3]) * 60 + +(match[4] || 0)) * 1000;
+    return match[1] === '-' ? -milliseconds : milliseconds;
+}
+
+// --- Time zones ---
+
+/** Offset (ms) of an IANA zone at an instant. */
+function getIanaOffset(timeZone, instant) {
+    const parts = getTimeParts(new Date(instant), timeZone);
+    return toWallTime(parts.year, parts.month, parts.day, parts.hours, parts.minutes, parts.seconds) - Math.floor(instant / 1000) * 1000;
+}
+
+/** Offset (ms) of a VTIMEZONE at a wall time: the TZOFFSETTO of the observance that started most recently. */
+function getVTimezoneOffset(zone, wall) {
+    const cacheKey = Math.floor(wall / DAY_MS);
+    if (zone.cache.has(cacheKey)) return zone.cache.get(cacheKey);
+
+    let latestOnset = -Infinity;
+    let offset = zone.observances[0]?.offsetFrom ?? 0;
+    zone.observances.forEach(observance => {
+        const onsets = [...expandRecurrence(observance.rrule, observance.startWall, { untilWall: observance.untilWall, endWall: wall }), ...observance.rdates]
+            .filter(onset => onset <= wall);
+        const onset = Math.max(...onsets);
+        if (onset > latestOnset) {
+            latestOnset = onset;
+            offset = observance.offsetTo;
+        }
+    });
+    zone.cache.set(cacheKey, offset);
+    return offset;
+}
+
+/**
+ * Converts a wall time in a zone to an instant.
+ * @param {number} wall - The wall time.
+ * @param {object} zone - A zone from the parsed calendar.
+ * @returns {number} Milliseconds since the epoch.
+ */
+export function wallToInstant(wall, zone) {
+    switch (zone.type) {
+        case 'utc':
+            return wall;
+        case 'iana': {
+            // Second pass corrects the guess when the offset differs on either side of a DST change
+            const firstGuess = wall - getIanaOffset(zone.name, wall);
+            return wall - getIanaOffset(zone.name, firstGuess);
+        }
+        case 'vtimezone':
+            return wall - getVTimezoneOffset(zone, wall);
+        default: {
+            const { year, month, day, hours, minutes, seconds } = getWallParts(wall);
+            return new Date(year, month - 1, day, hours, minutes, seconds).getTime();
+        }
+    }
+}
+
+/**
+ * Converts an instant to a wall time in a zone.
+ * @param {number} instant - Milliseconds since the epoch.
+ * @param {object} zone - A zone from the parsed calendar.
+ * @returns {number} The wall time.
+ */
+export function instantToWall(instant, zone) {
+    switch (zone.type) {
+        case 'utc':
+            return instant;
+        case 'iana':
+            return instant + getIanaOffset(zone.name, instant);
+        case 'vtimezone':
+            return instant + getVTimezoneOffset(zone, instant + getVTimezoneOffset(zone, instant));
+        default: {
+            const date = new Date(instant);
+            return toWallTime(date.getFullYear(), date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds());
+        }
+    }
+}
+
+/**
+ * Parses the VTIMEZONE components of a calendar.
+ * @private
+ */
+function parseTimeZones(calendarComponent) {
+    const timeZones = {};
+    calendarComponent.components.filter(component => component.name === 'VTIMEZONE').forEach(component => {
+        const tzid = getProperty(component, 'TZID')?.value.trim();
+        if (!tzid) return;
+        const observances = component.components
+            .filter(child => child.name === 'STANDARD' || child.name === 'DAYLIGHT')
+            .map(child => {
+                const start = parseDateValue(getProperty(child, 'DTSTART')?.value);
+                if (!start) return null;
+                const rrule = parseRRule(getProperty(child, 'RRULE')?.value);
+                const until = rrule?.until ? parseDateValue(rrule.until) : null;
+                return {
+                    startWall: start.wall,
+                    offsetFrom: parseUtcOffset(getProperty(child, 'TZOFFSETFROM')?.value),
+                    offsetTo: parseUtcOffset(getProperty(child, 'TZOFFSETTO')?.value),
+                    rrule,
+                    untilWall: until ? until.wall : Infinity,
+                    rdates: getProperties(child, 'RDATE')
+                        .flatMap(property => property.value.split(','))
+                        .map(value => parseDateValue(value)?.wall)
+                        .filter(wall => wall !== undefined)
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.startWall - b.startWall);
+        if (observances.length > 0) {
+            timeZones[tzid] = { type: 'vtimezone', tzid, observances, cache: new Map() };
+        }
+    });
+    return timeZones;
+}
+
+/**
+ * Creates the TZID resolver for a calendar.
+ * @private
+ */
+function createZoneResolver(timeZones) {
+    const resolved = new Map();
+    return (tzid) => {
+        if (!tzid) return LOCAL_ZONE;
+        if (resolved.has(tzid)) return resolved.get(tzid);
+
+        // Some producers prefix IANA names, e.g. "/mozilla.org/20070129_1/Europe/Berlin"
+        const ianaName = [tzid, tzid.split('/').slice(-2).join('/'), tzid.split('/').slice(-3).join('/')]
+            .find(name => name && isValidTimeZone(name));
+        let zone;
+        if (UTC_NAMES.includes(tzid)) {
+            zone = UTC_ZONE;
+        } else if (ianaName) {
+            zone = { type: 'iana', name: ianaName };
+        } else if (timeZones[tzid]) {
+            zone = timeZones[tzid];
+        } else {
+            console.warn(`[ics-parser] Unknown time zone "${tzid}", using local time.`);
+            zone = LOCAL_ZONE;
+        }
+        resolved.set(tzid, zone);
+        return zone;
+    };
+}
+
+// --- Components ---
+
+const getProperty = (component, name) => component.properties.find(property => property.name === name);
+const getProperties = (component, name) => component.properties.filter(property => property.name === name);
+
+/** Builds the BEGIN/END component tree from content lines. */
+function buildComponentTree(lines) {
+    const root = { name: 'ROOT', properties: [], components: [] };
+    const stack = [root];
+    lines.forEach(line => {
+        const property = parseContentLine(line);
+        if (!property) return;
+        const current = stack[stack.length - 1];
+        if (property.name === 'BEGIN') {
+            const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+            current.components.push(component);
+            stack.push(component);
+        } else if (property.name === 'END') {
+            if (stack.length > 1) stack.pop();
+        } else {
+            current.properties.push(property);
+        }
+    });
+    return root;
+}
+
+/**
+ * Parses a VEVENT.
+ * @private
+ */
+function parseEvent(component, resolveZone) {
+    const start = parseDateValue(getProperty(component, 'DTSTART')?.value, getProperty(component, 'DTSTART')?.params);
+    if (!start) return null;
+
+    const zone = resolveZone(start.tzid);
+    const startInstant = wallToInstant(start.wall, zone);
+    // Values without a zone of their own (besides dates) are taken to be in the event's zone
+    const toInstant = (value) => wallToInstant(value.wall, value.allDay ? LOCAL_ZONE : (value.tzid ? resolveZone(value.tzid) : zone));
+    const readDateList = (name) => getProperties(component, name).flatMap(property =>
+        property.value.split(',').map(value => parseDateValue(value, property.params)).filter(Boolean));
+
+    // All-day durations are counted in days (wall time), timed ones in real milliseconds
+    let duration = start.allDay ? DAY_MS : 0;
+    const endProperty = getProperty(component, 'DTEND');
+    const end = endProperty ? parseDateValue(endProperty.value, endProperty.params) : null;
+    if (end) {
+        duration = start.allDay ? end.wall - start.wall : toInstant(end) - startInstant;
+    } else if (getProperty(component, 'DURATION')) {
+        duration = parseDuration(getProperty(component, 'DURATION').value) ?? duration;
+    }
+
+    const rrule = parseRRule(getProperty(component, 'RRULE')?.value);
+    let untilWall = Infinity;
+    if (rrule?.until) {
+        const until = parseDateValue(rrule.until);
+        if (until?.allDay) {
+            untilWall = until.wall + (start.allDay ? 0 : DAY_MS - 1); // Through the end of that day
+        } else if (until) {
+            untilWall = until.tzid === 'UTC' ? instantToWall(until.wall, zone) : until.wall;
+        }
+    }
+
+    const exdates = readDateList('EXDATE');
+    const recurrenceId = getProperty(component, 'RECURRENCE-ID');
+    const recurrenceDate = recurrenceId ? parseDateValue(recurrenceId.value, recurrenceId.params) : null;
+
+    return {
+        uid: getProperty(component, 'UID')?.value.trim() || '',
+        summary: unescapeText(getProperty(component, 'SUMMARY')?.value) || '(No title)',
+        location: unescapeText(getProperty(component, 'LOCATION')?.value),
+        description: unescapeText(getProperty(component, 'DESCRIPTION')?.value),
+        status: (getProperty(component, 'STATUS')?.value || '').trim().toUpperCase(),
+        allDay: start.allDay,
+        zone,
+        startWall: start.wall,
+        duration: Math.max(0, duration),
+        rrule,
+        untilWall,
+        rdates: readDateList('RDATE').map(value => instantToWall(toInstant(value), zone)),
+        exdates: new Set(exdates.map(toInstant)),
+        exdateDays: new Set(exdates.filter(value => value.allDay).map(value => Math.floor(value.wall / DAY_MS))),
+        recurrenceId: recurrenceDate ? toInstant(recurrenceDate) : null
+    };
+}
+
+/**
+ * Parses an iCalendar file.
+ * @param {string} text - The calendar text.
+ * @returns {{name: string, events: Array<object>}} The calendar name (X-WR-CALNAME) and its events.
+ * @throws {Error} If the text isn't an iCalendar file.
+ */
+export function parseIcs(text) {
+    const calendar = buildComponentTree(unfoldLines(text)).components.find(component => component.name === 'VCALENDAR');
+    if (!calendar) {
+        throw new Error('Not an iCalendar file.');
+    }
+
+    const resolveZone = createZoneResolver(parseTimeZones(calendar));
+    const events = calendar.components
+        .filter(component => component.name === 'VEVENT')
+        .map(component => parseEvent(component, resolveZone))
+        .filter(Boolean);
+
+    return { name: unescapeText(getProperty(calendar, 'X-WR-CALNAME')?.value), events };
+}
+
+/**
+ * Lists the event occurrences that overlap a time range, including ones in progress.
+ * @param {{events: Array<object>}} calendar - A calendar from parseIcs.
+ * @param {object} [range]
+ * @param {Date} [range.from=new Date()] - Start of the range.
+ * @param {Date} [range.to] - End of the range (defaults to 30 days after `from`).
+ * @param {number} [range.limit=Infinity] - Maximum number of occurrences to return.
+ * @returns {Array<{uid: string, summary: string, location: string, description: string, allDay: boolean, start: Date, end: Date}>}
+ *   The occurrences, sorted by start.
+ */
+export function getUpcomingEvents(calendar, { from = new Date(), to, limit = Infinity } = {}) {
+    const fromTime = from.getTime();
+    const toTime = to ? to.getTime() : fromTime + 30 * DAY_MS;
+
+    // Occurrences replaced by a RECURRENCE-ID override (moved, edited or cancelled instances)
+    const overridden = new Map();
+    calendar.events.forEach(event => {
+        if (event.recurrenceId === null) return;
+        if (!overridden.has(event.uid)) overridden.set(event.uid, new Set());
+        overridden.get(event.uid).add(event.recurrenceId);
+    });
+
+    const occurrences = [];
+    calendar.events.forEach(event => {
+        if (event.status === 'CANCELLED') return;
+
+        const isOverride = event.recurrenceId !== null;
+        const endWall = instantToWall(toTime, event.zone) + DAY_MS;
+        const firstWall = instantToWall(fromTime, event.zone) - event.duration - DAY_MS; // Earlier ones have ended
+        const walls = isOverride
+            ? [event.startWall]
+            : [...expandRecurrence(event.rrule, event.startWall, { untilWall: event.untilWall, endWall }), ...event.rdates];
+
+        const seen = new Set();
+        walls.forEach(wall => {
+            if (wall < firstWall || wall > endWall) return;
+            const start = wallToInstant(wall, event.zone);
+            if (seen.has(start)) return;
+            seen.add(start);
+            if (!isOverride) {
+                if (event.exdates.has(start) || event.exdateDays.has(Math.floor(wall / DAY_MS))) return;
+                if (overridden.get(event.uid)?.has(start)) return;
+            }
+
+            const end = event.allDay ? wallToInstant(wall + event.duration, event.zone) : start + event.duration;
+            const overlaps = start < toTime && (end > fromTime || (end === start && start >= fromTime));
+            if (overlaps) {
+                occurrences.push({
+                    uid: event.uid,
+                    summary: event.summary,
+                    location: event.location,
+                    description: event.description,
+                    allDay: event.allDay,
+                    start: new Date(start),
+                    end: new Date(end)
+                });
+            }
+        });
+    });
+
+    return occurrences
+        .sort((a, b) => a.start - b.start || a.summary.localeCompare(b.summary))
+        .slice(0, limit);
+}
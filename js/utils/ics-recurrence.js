@@ -0,0 +1,242 @@
+/**
+ * Recurrence rule (RRULE, RFC 5545) parsing and expansion for the iCalendar parser.
+ *
+ * Expansion works on "wall times": the date and time as written in the calendar, stored as
+ * milliseconds with Date.UTC(...) so day arithmetic never crosses a DST change. The parser
+ * converts wall times to real instants in the event's time zone (see ics-parser.js).
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SUPPORTED_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Upper bound on the periods looked at for a single rule (e.g. ~270 years of weekly events)
+const MAX_PERIODS = 14000;
+
+/**
+ * Creates a wall time from its parts.
+ * @param {number} year
+ * @param {number} month - 1-12.
+ * @param {number} day
+ * @param {number} [hours=0]
+ * @param {number} [minutes=0]
+ * @param {number} [seconds=0]
+ * @returns {number} The wall time.
+ */
+export function toWallTime(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+    return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+}
+
+/**
+ * Splits a wall time into its parts.
+ * @param {number} wall - The wall time.
+ * @returns {{year: number, month: number, day: number, hours: number, minutes: number, seconds: number}} Parts (month is 1-12).
+ */
+export function getWallParts(wall) {
+    const date = new Date(wall);
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hours: date.getUTCHours(),
+        minutes: date.getUTCMinutes(),
+        seconds: date.getUTCSeconds()
+    };
+}
+
+/** Days since 1970-01-01 (a Thursday) */
+const dayNumber = (wall) => Math.floor(wall / DAY_MS);
+const weekdayOf = (day) => (((day + 4) % 7) + 7) % 7;
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Parses an RRULE value such as "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20241231T235959Z".
+ * @param {string} value - The RRULE property value.
+ * @returns {object|null} `{ freq, interval, count, until, byDay: [{weekday, ordinal}], byMonthDay, byMonth, bySetPos, weekStart }`
+ *   with `until` left as the raw date(-time) string, or null if the frequency isn't supported.
+ */
+export function parseRRule(value) {
+    const parts = {};
+    String(value || '').split(';').forEach(part => {
+        const [key, ...rest] = part.split('=');
+        if (key) parts[key.trim().toUpperCase()] = rest.join('=').trim();
+    });
+
+    const freq = (parts.FREQ || '').toUpperCase();
+    if (!SUPPORTED_FREQUENCIES.includes(freq)) return null;
+
+    const numberList = (list) => (list ? list.split(',').map(Number).filter(n => Number.isInteger(n) && n !== 0) : []);
+    const byDay = (parts.BYDAY ? parts.BYDAY.split(',') : []).map(entry => {
+        const match = /^([+-]?\d{1,2})?([A-Z]{2})$/i.exec(entry.trim());
+        if (!match || !WEEKDAYS.includes(match[2].toUpperCase())) return null;
+        return { weekday: WEEKDAYS.indexOf(match[2].toUpperCase()), ordinal: match[1] ? parseInt(match[1], 10) : 0 };
+    }).filter(Boolean);
+
+    return {
+        freq,
+        interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+        count: parts.COUNT ? Math.max(0, parseInt(parts.COUNT, 10) || 0) : null,
+        until: parts.UNTIL || null,
+        byDay,
+        byMonthDay: numberList(parts.BYMONTHDAY),
+        byMonth: numberList(parts.BYMONTH).filter(month => month >= 1 && month <= 12),
+        bySetPos: numberList(parts.BYSETPOS),
+        weekStart: WEEKDAYS.includes((parts.WKST || '').toUpperCase()) ? WEEKDAYS.indexOf(parts.WKST.toUpperCase()) : 1
+    };
+}
+
+/**
+ * Picks the days in [firstDay, lastDay] matching BYDAY entries. Ordinals count within the span
+ * (1 = first, -1 = last); entries without one match every such weekday.
+ * @param {number} firstDay - First day number of the span.
+ * @param {number} lastDay - Last day number of the span.
+ * @param {Array<{weekday: number, ordinal: number}>} byDay - The BYDAY entries.
+ * @returns {Set<number>} Matching day numbers.
+ */
+function matchByDay(firstDay, lastDay, byDay) {
+    const matches = new Set();
+    byDay.forEach(({ weekday, ordinal }) => {
+        const days = [];
+        for (let day = firstDay + ((weekday - weekdayOf(firstDay) + 7) % 7); day <= lastDay; day += 7) {
+            days.push(day);
+        }
+        if (ordinal === 0) {
+            days.forEach(day => matches.add(day));
+        } else {
+            const day = ordinal > 0 ? days[ordinal - 1] : days[days.length + ordinal];
+            if (day !== undefined) matches.add(day);
+        }
+    });
+    return matches;
+}
+
+/**
+ * Returns the candidate days of one month for MONTHLY/YEARLY rules.
+ * @private
+ */
+function monthCandidates(rule, year, month, startParts) {
+    const firstDay = dayNumber(toWallTime(year, month, 1));
+    const length = daysInMonth(year, month);
+    let days;
+    if (rule.byMonthDay.length > 0) {
+        days = rule.byMonthDay
+            .map(monthDay => (monthDay > 0 ? monthDay : length + monthDay + 1))
+            .filter(monthDay => monthDay >= 1 && monthDay <= length)
+            .map(monthDay => firstDay + monthDay - 1);
+    } else if (rule.byDay.length > 0) {
+        days = [...matchByDay(firstDay, firstDay + length - 1, rule.byDay)];
+    } else {
+        days = startParts.day <= length ? [firstDay + startParts.day - 1] : []; // E.g. no 31st in April
+    }
+    // BYDAY together with BYMONTHDAY limits the days (e.g. Friday the 13th)
+    if (rule.byMonthDay.length > 0 && rule.byDay.length > 0) {
+        const allowed = matchByDay(firstDay, firstDay + length - 1, rule.byDay);
+        days = days.filter(day => allowed.has(day));
+    }
+    return days;
+}
+
+/**
+ * Returns the candidate days of the period starting at `periodIndex` periods after DTSTART.
+ * @private
+ */
+function periodCandidates(rule, periodIndex, startWall, startParts) {
+    const step = periodIndex * rule.interval;
+    const startDay = dayNumber(startWall);
+
+    switch (rule.freq) {
+        case 'DAILY': {
+            const day = startDay + step;
+            const { month, day: monthDay } = getWallParts(day * DAY_MS);
+            if (rule.byMonth.length > 0 && !rule.byMonth.includes(month)) return [];
+            if (rule.byMonthDay.length > 0 && !rule.byMonthDay.includes(monthDay)) return [];
+            if (rule.byDay.length > 0 && !rule.byDay.some(({ weekday }) => weekday === weekdayOf(day))) return [];
+            return [day];
+        }
+        case 'WEEKLY': {
+            const weekFirstDay = startDay - ((weekdayOf(startDay) - rule.weekStart + 7) % 7) + step * 7;
+            const weekdays = rule.byDay.length > 0 ? rule.byDay.map(({ weekday }) => weekday) : [weekdayOf(startDay)];
+            return weekdays
+                .map(weekday => weekFirstDay + ((weekday - rule.weekStart + 7) % 7))
+                .filter(day => rule.byMonth.length === 0 || rule.byMonth.includes(getWallParts(day * DAY_MS).month));
+        }
+        case 'MONTHLY': {
+            const monthIndex = startParts.year * 12 + (startParts.month - 1) + step;
+            const year = Math.floor(monthIndex / 12);
+            const month = (monthIndex % 12) + 1;
+            if (rule.byMonth.length > 0 && !rule.byMonth.includes(month)) return [];
+            return monthCandidates(rule, year, month, startParts);
+        }
+        case 'YEARLY': {
+            const year = startParts.year + step;
+            // Ordinal BYDAY without BYMONTH counts within the whole year (e.g. 20MO = 20th Monday)
+            if (rule.byMonth.length === 0 && rule.byDay.length > 0 && rule.byMonthDay.length === 0) {
+                return [...matchByDay(dayNumber(toWallTime(year, 1, 1)), dayNumber(toWallTime(year, 12, 31)), rule.byDay)];
+            }
+            const months = rule.byMonth.length > 0 ? rule.byMonth : [startParts.month];
+            return months.flatMap(month => monthCandidates(rule, year, month, startParts));
+        }
+        default:
+            return [];
+    }
+}
+
+/**
+ * Returns the wall time at which the period `periodIndex` periods after DTSTART begins.
+ * @private
+ */
+function periodStartWall(rule, periodIndex, startWall, startParts) {
+    const step = periodIndex * rule.interval;
+    switch (rule.freq) {
+        case 'DAILY':
+            return (dayNumber(startWall) + step) * DAY_MS;
+        case 'WEEKLY':
+            return (dayNumber(startWall) - ((weekdayOf(dayNumber(startWall)) - rule.weekStart + 7) % 7) + step * 7) * DAY_MS;
+        case 'MONTHLY':
+            return toWallTime(startParts.year, startParts.month + step, 1);
+        default:
+            return toWallTime(startParts.year + step, 1, 1);
+    }
+}
+
+/**
+ * Expands a recurrence rule into wall times, in order, starting with DTSTART itself.
+ * @param {object} rule - A rule from parseRRule.
+ * @param {number} startWall - DTSTART as a wall time (its time of day is used for every occurrence).
+ * @param {object} [limits]
+ * @param {number} [limits.untilWall] - Last allowed wall time (UNTIL converted to the event's zone).
+ * @param {number} [limits.endWall] - Stop once occurrences pass this wall time.
+ * @returns {number[]} The occurrence wall times.
+ */
+export function expandRecurrence(rule, startWall, { untilWall = Infinity, endWall = Infinity } = {}) {
+    const occurrences = [startWall]; // DTSTART always counts as the first occurrence
+    if (!rule) return occurrences;
+
+    const startParts = getWallParts(startWall);
+    const timeOfDay = startWall - dayNumber(startWall) * DAY_MS;
+    const maxCount = rule.count ?? Infinity;
+    const stopWall = Math.min(untilWall, endWall);
+
+    for (let periodIndex = 0; periodIndex < MAX_PERIODS && occurrences.length < maxCount; periodIndex++) {
+        let days = [...new Set(periodCandidates(rule, periodIndex, startWall, startParts))].sort((a, b) => a - b);
+        if (rule.bySetPos.length > 0) {
+            days = rule.bySetPos
+                .map(position => (position > 0 ? days[position - 1] : days[days.length + position]))
+                .filter(day => day !== undefined)
+                .sort((a, b) => a - b);
+        }
+
+        for (const day of days) {
+            const wall = day * DAY_MS + timeOfDay;
+            if (wall <= startWall) continue;
+            if (wall > stopWall) return occurrences;
+            occurrences.push(wall);
+            if (occurrences.length >= maxCount) return occurrences;
+        }
+
+        // Periods only move forward, so once a period starts past the end there is nothing left
+        if (periodStartWall(rule, periodIndex + 1, startWall, startParts) > stopWall) break;
+    }
+    return occurrences;
+}
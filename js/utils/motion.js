@@ -0,0 +1,10 @@
+/**
+ * Whether decorative motion (flips, sweeping hands) should play. It is turned off by the
+ * ConfigManager's performance.disableAnimations flag and by the OS's reduced-motion setting.
+ * @param {ConfigManager|null} configManager - Source of the performance flags, if available.
+ * @returns {boolean} True if animations may play.
+ */
+export function animationsEnabled(configManager) {
+    if (configManager?.getFullConfig().performance?.disableAnimations) return false;
+    return !window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+}
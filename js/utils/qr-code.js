@@ -0,0 +1,464 @@
+/**
+ * A QR code generator (ISO/IEC 18004), used to show settings links on screen (see ShareDialog).
+ *
+ * Text is encoded as UTF-8 in byte mode, in the smallest version (1-40) that holds it at the
+ * requested error correction level, with the mask that scores the lowest penalty. Other
+ * segment modes (numeric, alphanumeric, kanji) and ECI aren't needed for links.
+ */
+
+/** Error correction levels, in the order of the tables below */
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+/** The 2-bit level indicator written into the format information */
+const FORMAT_LEVEL_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+/** Error correction codewords per block, by level and version (index 0 unused) */
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+/** Error correction blocks, by level and version (index 0 unused) */
+const ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+/** Whether a module is dark for each of the 8 mask patterns */
+const MASK_PATTERNS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/** Finder-like runs (1:1:3:1:1 with 4 light modules on one side) penalized by mask selection */
+const FINDER_LIKE_PATTERNS = ['10111010000', '00001011101'];
+
+/** Returns bit `i` of `value`. */
+function getBit(value, i) {
+    return ((value >>> i) & 1) !== 0;
+}
+
+// --- Reed-Solomon error correction over GF(2^8) ---
+
+/**
+ * Multiplies two field elements (modulo the QR code polynomial x^8 + x^4 + x^3 + x^2 + 1).
+ * @param {number} x - 0-255.
+ * @param {number} y - 0-255.
+ * @returns {number} 0-255.
+ */
+function gfMultiply(x, y) {
+    let result = 0;
+    for (let i = 7; i >= 0; i--) {
+        result = (result << 1) ^ ((result >>> 7) * 0x11D);
+        result ^= ((y >>> i) & 1) * x;
+    }
+    return result;
+}
+
+/**
+ * Computes the generator polynomial for a number of error correction codewords.
+ * @param {number} degree - Number of error correction codewords.
+ * @returns {number[]} Coefficients from the highest power down, without the leading 1.
+ */
+export function getReedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1; // alpha^i
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * Computes the error correction codewords of a block.
+ * @param {number[]} data - The block's data codewords.
+ * @param {number[]} divisor - See getReedSolomonDivisor().
+ * @returns {number[]} The error correction codewords.
+ */
+export function getReedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => { result[i] ^= gfMultiply(coefficient, factor); });
+    });
+    return result;
+}
+
+// --- Capacity ---
+
+/**
+ * Counts the modules of a version available for data and error correction (not function patterns
+ * or format/version information).
+ * @param {number} version - 1-40.
+ * @returns {number}
+ */
+function getRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignmentCount = Math.floor(version / 7) + 2;
+        result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+/**
+ * Counts the data codewords of a version at a level.
+ * @param {number} version - 1-40.
+ * @param {number} level - Index into ERROR_CORRECTION_LEVELS.
+ * @returns {number}
+ */
+function getDataCodewords(version, level) {
+    return Math.floor(getRawDataModules(version) / 8)
+        - ECC_CODEWORDS_PER_BLOCK[level][version] * ERROR_CORRECTION_BLOCKS[level][version];
+}
+
+/**
+ * Returns the centre coordinates of the alignment patterns (used for both rows and columns).
+ * @param {number} version - 1-40.
+ * @returns {number[]}
+ */
+function getAlignmentPositions(version) {
+    if (version === 1) return [];
+    const alignmentCount = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (alignmentCount * 2 - 2)) * 2;
+    const result = [6];
+    for (let position = version * 4 + 10; result.length < alignmentCount; position -= step) {
+        result.splice(1, 0, position);
+    }
+    return result;
+}
+
+// --- Encoding ---
+
+/**
+ * Builds the data codewords: byte mode indicator, character count, the bytes, terminator and padding.
+ * @param {Uint8Array} bytes - The text as UTF-8.
+ * @param {number} version - 1-40.
+ * @param {number} level - Index into ERROR_CORRECTION_LEVELS.
+ * @returns {number[]}
+ */
+function createDataCodewords(bytes, version, level) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+    };
+    append(0b0100, 4);
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    const capacity = getDataCodewords(version, level) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+        append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+/**
+ * Splits the data codewords into blocks, appends each block's error correction codewords and
+ * interleaves the blocks.
+ * @param {number[]} data - See createDataCodewords().
+ * @param {number} version - 1-40.
+ * @param {number} level - Index into ERROR_CORRECTION_LEVELS.
+ * @returns {number[]} All codewords, in placement order.
+ */
+function addErrorCorrection(data, version, level) {
+    const blockCount = ERROR_CORRECTION_BLOCKS[level][version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+    const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+    const shortBlockCount = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = getReedSolomonDivisor(eccLength);
+
+    // Short blocks get a placeholder so all blocks line up for interleaving
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const blockData = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+        offset += blockData.length;
+        const ecc = getReedSolomonRemainder(blockData, divisor);
+        if (i < shortBlockCount) blockData.push(0);
+        blocks.push([...blockData, ...ecc]);
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - eccLength || j >= shortBlockCount) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+/**
+ * Computes the 15 format information bits (level and mask, with their BCH code, masked).
+ * @param {string} errorCorrection - 'L', 'M', 'Q' or 'H'.
+ * @param {number} mask - 0-7.
+ * @returns {number}
+ */
+export function getFormatBits(errorCorrection, mask) {
+    const data = (FORMAT_LEVEL_BITS[errorCorrection] << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    return ((data << 10) | remainder) ^ 0x5412;
+}
+
+/**
+ * Computes the 18 version information bits (versions 7 and up).
+ * @param {number} version - 7-40.
+ * @returns {number}
+ */
+export function getVersionBits(version) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    return (version << 12) | remainder;
+}
+
+// --- Module placement ---
+
+/**
+ * The module grid while it is being drawn.
+ */
+class QrMatrix {
+    /**
+     * @param {number} version - 1-40.
+     */
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false)); // [y][x], true = dark
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    /** Sets a module that is part of a function pattern (never masked). */
+    setFunctionModule(x, y, isDark) {
+        this.modules[y][x] = isDark;
+        this.isFunction[y][x] = true;
+    }
+
+    /**
+     * Draws the finder, timing and alignment patterns and reserves the format and version areas.
+     */
+    drawFunctionPatterns() {
+        const { size } = this;
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+            // 7x7 finder pattern plus its light separator
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size) {
+                        this.setFunctionModule(x + dx, y + dy, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        const positions = getAlignmentPositions(this.version);
+        const last = positions.length - 1;
+        positions.forEach((x, i) => positions.forEach((y, j) => {
+            // Not on top of the finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        this.drawFormatBits(0); // Placeholder, overwritten once the mask is chosen
+        this.drawVersionBits();
+    }
+
+    /**
+     * Draws both copies of the format information.
+     * @param {number} bits - See getFormatBits().
+     */
+    drawFormatBits(bits) {
+        const { size } = this;
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, getBit(bits, i));
+        this.setFunctionModule(8, 7, getBit(bits, 6));
+        this.setFunctionModule(8, 8, getBit(bits, 7));
+        this.setFunctionModule(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, getBit(bits, i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(size - 1 - i, 8, getBit(bits, i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, size - 15 + i, getBit(bits, i));
+        this.setFunctionModule(8, size - 8, true); // Always dark
+    }
+
+    /** Draws both copies of the version information (versions 7 and up). */
+    drawVersionBits() {
+        if (this.version < 7) return;
+        const bits = getVersionBits(this.version);
+        for (let i = 0; i < 18; i++) {
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, getBit(bits, i));
+            this.setFunctionModule(b, a, getBit(bits, i));
+        }
+    }
+
+    /**
+     * Places the codewords in the zigzag pattern: two-module columns from the right, alternating
+     * upwards and downwards, skipping the vertical timing pattern.
+     * @param {number[]} codewords - See addErrorCorrection().
+     */
+    drawCodewords(codewords) {
+        const { size } = this;
+        let bitIndex = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+            for (let vertical = 0; vertical < size; vertical++) {
+                const y = upward ? size - 1 - vertical : vertical;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (this.isFunction[y][x] || bitIndex >= codewords.length * 8) continue;
+                    this.modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+                    bitIndex++;
+                }
+            }
+        }
+    }
+
+    /**
+     * Inverts the data modules matching a mask pattern (applying it twice undoes it).
+     * @param {number} mask - 0-7.
+     */
+    applyMask(mask) {
+        const pattern = MASK_PATTERNS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && pattern(x, y)) this.modules[y][x] = !this.modules[y][x];
+            }
+        }
+    }
+
+    /**
+     * Scores how hard the symbol is to read (lower is better): long runs, 2x2 blocks,
+     * finder-like patterns and an unbalanced dark/light ratio.
+     * @returns {number}
+     */
+    getPenaltyScore() {
+        const { size, modules } = this;
+        const lines = [
+            ...modules.map(row => row.map(Number).join('')),
+            ...modules.map((_, x) => modules.map(row => Number(row[x])).join(''))
+        ];
+
+        let score = 0;
+        lines.forEach(line => {
+            (line.match(/0{5,}|1{5,}/g) || []).forEach(run => { score += run.length - 2; });
+            FINDER_LIKE_PATTERNS.forEach(pattern => {
+                for (let index = line.indexOf(pattern); index !== -1; index = line.indexOf(pattern, index + 1)) {
+                    score += 40;
+                }
+            });
+        });
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) score += 3;
+                }
+            }
+        }
+        score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+        return score;
+    }
+}
+
+/**
+ * Encodes text as a QR code.
+ * @param {string} text - The text (e.g. a URL).
+ * @param {object} [options={}]
+ * @param {string} [options.errorCorrection='L'] - 'L' (7% of the symbol can be damaged), 'M' (15%), 'Q' (25%) or 'H' (30%).
+ * @param {number} [options.mask] - Mask pattern 0-7 (default: the one with the lowest penalty).
+ * @returns {{version: number, size: number, modules: boolean[][]}} The symbol; `modules[y][x]` is true for dark modules.
+ * @throws {RangeError} If the text doesn't fit in a version 40 symbol.
+ */
+export function createQrCode(text, { errorCorrection = 'L', mask } = {}) {
+    const level = ERROR_CORRECTION_LEVELS.indexOf(errorCorrection);
+    if (level === -1) {
+        throw new RangeError(`Unknown error correction level: ${errorCorrection}`);
+    }
+    if (mask !== undefined && !(Number.isInteger(mask) && mask >= 0 && mask < MASK_PATTERNS.length)) {
+        throw new RangeError(`Unknown mask pattern: ${mask}`);
+    }
+    const bytes = new TextEncoder().encode(String(text));
+
+    let version = 1;
+    while (4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > getDataCodewords(version, level) * 8) {
+        if (++version > 40) {
+            throw new RangeError(`Text too long for a QR code (${bytes.length} bytes).`);
+        }
+    }
+
+    const matrix = new QrMatrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(addErrorCorrection(createDataCodewords(bytes, version, level), version, level));
+
+    let bestMask = mask ?? 0;
+    let bestScore = Infinity;
+    for (let candidate = 0; mask === undefined && candidate < MASK_PATTERNS.length; candidate++) {
+        matrix.applyMask(candidate);
+        matrix.drawFormatBits(getFormatBits(errorCorrection, candidate));
+        const score = matrix.getPenaltyScore();
+        if (score < bestScore) {
+            bestMask = candidate;
+            bestScore = score;
+        }
+        matrix.applyMask(candidate); // Undo
+    }
+    matrix.applyMask(bestMask);
+    matrix.drawFormatBits(getFormatBits(errorCorrection, bestMask));
+
+    return { version, size: matrix.size, modules: matrix.modules };
+}
+
+/**
+ * Renders a QR code as SVG markup (one path; scales to its container).
+ * @param {{size: number, modules: boolean[][]}} qrCode - See createQrCode().
+ * @param {object} [options={}]
+ * @param {number} [options.border=4] - Light modules around the symbol (4 is the minimum for reliable scanning).
+ * @returns {string} The `<svg>` element.
+ */
+export function qrCodeToSvg({ size, modules }, { border = 4 } = {}) {
+    const path = [];
+    modules.forEach((row, y) => row.forEach((isDark, x) => {
+        if (isDark) path.push(`M${x + border},${y + border}h1v1h-1z`);
+    }));
+    const extent = size + border * 2;
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges">`
+        + `<rect width="100%" height="100%" fill="#ffffff"/><path d="${path.join('')}" fill="#000000"/></svg>`;
+}
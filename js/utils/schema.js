@@ -0,0 +1,150 @@
+/**
+ * A small JSON Schema validator, used for the saved state and imported settings
+ * (see state/state-schema.js).
+ *
+ * Supports the keywords those schemas need: `type` (a name or an array of names; 'integer'
+ * means a whole number), `enum`, `const`, `minimum`, `maximum`, `pattern`, `properties`,
+ * `required`, `additionalProperties` (false or a schema), `items`, `minItems` and `maxItems`.
+ * Other keywords are ignored, and keys without a schema are allowed unless
+ * `additionalProperties` says otherwise.
+ */
+
+/** Returned by checkValue for values that have to be dropped */
+const INVALID = Symbol('invalid');
+
+/**
+ * Names a value's JSON type.
+ * @param {*} value
+ * @returns {string} 'null', 'array', 'object', 'string', 'number', 'boolean' (or 'undefined', 'function'...).
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Checks a value against one `type` name.
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return Number.isFinite(value);
+    return typeOf(value) === type;
+}
+
+/**
+ * Appends an object key or array index to a dot-notation path.
+ * @param {string} path
+ * @param {string|number} key
+ * @returns {string} e.g. 'settings.background' or 'settings.alarms[0]'.
+ */
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Checks a value and its children, recording every problem in `errors`.
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} path - Path of the value, for error messages.
+ * @param {object[]} errors - Collects `{ path, expected, actual }` entries.
+ * @returns {*} A copy of the value without its invalid children, or INVALID if the value itself is invalid.
+ */
+function checkValue(value, schema, path, errors) {
+    const fail = (expected, actual = typeOf(value)) => {
+        errors.push({ path, expected, actual });
+        return INVALID;
+    };
+
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) return fail(types.join(' or '));
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        return fail(JSON.stringify(schema.const), JSON.stringify(value));
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        return fail(`one of ${schema.enum.map(choice => JSON.stringify(choice)).join(', ')}`, JSON.stringify(value));
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) return fail(`a number >= ${schema.minimum}`, String(value));
+        if (schema.maximum !== undefined && value > schema.maximum) return fail(`a number <= ${schema.maximum}`, String(value));
+    }
+    if (typeof value === 'string' && schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+        return fail(`a string matching ${schema.pattern}`, JSON.stringify(value));
+    }
+
+    if (Array.isArray(value)) {
+        const items = schema.items
+            ? value.map((item, index) => checkValue(item, schema.items, joinPath(path, index), errors)).filter(item => item !== INVALID)
+            : JSON.parse(JSON.stringify(value));
+        if (schema.minItems !== undefined && items.length < schema.minItems) return fail(`at least ${schema.minItems} items`, `${items.length} valid items`);
+        if (schema.maxItems !== undefined && items.length > schema.maxItems) return fail(`at most ${schema.maxItems} items`, `${items.length} items`);
+        return items;
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        const result = {};
+        let keepable = true;
+        Object.entries(value).forEach(([key, child]) => {
+            const childSchema = Object.hasOwn(properties, key) ? properties[key] : schema.additionalProperties;
+            if (childSchema === false) {
+                errors.push({ path: joinPath(path, key), expected: 'no such key', actual: typeOf(child) });
+                return;
+            }
+            if (childSchema === undefined || childSchema === true) {
+                if (child !== undefined) result[key] = JSON.parse(JSON.stringify(child));
+                return;
+            }
+            const checked = checkValue(child, childSchema, joinPath(path, key), errors);
+            if (checked !== INVALID) result[key] = checked;
+        });
+        (schema.required || []).forEach(key => {
+            if (Object.hasOwn(result, key)) return;
+            if (!Object.hasOwn(value, key)) errors.push({ path: joinPath(path, key), expected: 'a value', actual: 'undefined' });
+            keepable = false; // Required, and missing or invalid
+        });
+        return keepable ? result : INVALID;
+    }
+
+    return value;
+}
+
+/**
+ * Validates a value against a schema.
+ *
+ * Every problem is reported with the dot-notation path of the offending value (e.g.
+ * 'settings.alarms[0].time'), what the schema expects and what was found. With `repair`,
+ * the result also carries a copy of the value with the invalid parts dropped: invalid keys
+ * are removed from objects and invalid items from arrays, and an object missing a required
+ * key is dropped as a whole.
+ *
+ * @param {*} value - The value to check (not modified).
+ * @param {object} schema - A JSON Schema (see the supported keywords above).
+ * @param {object} [options={}]
+ * @param {boolean} [options.repair=false] - Whether to return the repaired copy as `value`.
+ * @param {string} [options.path=''] - Path of the value itself, prefixed to the error paths.
+ * @returns {{valid: boolean, errors: Array<{path: string, expected: string, actual: string}>, value?: *}}
+ *          `value` is undefined if the value itself is invalid.
+ */
+export function validate(value, schema, { repair = false, path = '' } = {}) {
+    const errors = [];
+    const checked = checkValue(value, schema, path, errors);
+    const result = { valid: errors.length === 0, errors };
+    if (repair) result.value = checked === INVALID ? undefined : checked;
+    return result;
+}
+
+/**
+ * Formats a validation error for logs and messages.
+ * @param {{path: string, expected: string, actual: string}} error - An entry of validate()'s `errors`.
+ * @returns {string} e.g. 'settings.background.overlayOpacity: expected number, got string'.
+ */
+export function formatSchemaError({ path, expected, actual }) {
+    return `${path || '(root)'}: expected ${expected}, got ${actual}`;
+}
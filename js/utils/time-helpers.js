@@ -0,0 +1,172 @@
+/**
+ * Helper functions for reading the current time in an arbitrary IANA time zone,
+ * and for formatting durations (timers).
+ * An empty/undefined time zone always means the browser's local zone.
+ */
+
+// Cache of Intl.DateTimeFormat instances keyed by time zone (constructing them is expensive)
+const formatterCache = new Map();
+// Unsupported zones we've already warned about, to avoid logging on every tick
+const warnedTimeZones = new Set();
+
+// Fallback list used when Intl.supportedValuesOf is not available
+const FALLBACK_TIME_ZONES = [
+    'UTC',
+    'America/Los_Angeles',
+    'America/Denver',
+    'America/Chicago',
+    'America/New_York',
+    'America/Sao_Paulo',
+    'Europe/London',
+    'Europe/Paris',
+    'Europe/Berlin',
+    'Europe/Moscow',
+    'Africa/Johannesburg',
+    'Asia/Dubai',
+    'Asia/Kolkata',
+    'Asia/Singapore',
+    'Asia/Shanghai',
+    'Asia/Tokyo',
+    'Australia/Sydney',
+    'Pacific/Auckland'
+];
+
+/**
+ * Checks whether a string is a time zone identifier supported by the browser.
+ * @param {string} timeZone - The IANA time zone name (e.g., 'Europe/London').
+ * @returns {boolean} True if the time zone can be used with Intl.DateTimeFormat.
+ */
+export function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Returns the sorted list of IANA time zones available for selection.
+ * @returns {string[]} Array of time zone identifiers.
+ */
+export function getAvailableTimeZones() {
+    if (typeof Intl.supportedValuesOf === 'function') {
+        try {
+            return Intl.supportedValuesOf('timeZone');
+        } catch (e) {
+            // Fall through to the static list
+        }
+    }
+    return [...FALLBACK_TIME_ZONES];
+}
+
+/**
+ * Gets (or creates) a cached formatter for the given time zone.
+ * @param {string} timeZone - An IANA time zone.
+ * @returns {Intl.DateTimeFormat} The formatter.
+ * @throws {RangeError} If the time zone is not supported.
+ */
+function getFormatter(timeZone) {
+    let formatter = formatterCache.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            weekday: 'short',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+        formatterCache.set(timeZone, formatter);
+    }
+    return formatter;
+}
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Breaks a Date down into its wall-clock parts for the given time zone.
+ * Falls back to the local zone if the time zone is empty or unsupported.
+ * @param {Date} date - The instant to convert.
+ * @param {string} [timeZone] - IANA time zone name; empty for local time.
+ * @returns {{hours: number, minutes: number, seconds: number, milliseconds: number, year: number, month: number, day: number, dayOfWeek: number, timeZone: string}}
+ *          Time parts (month is 1-12, dayOfWeek is 0 for Sunday). timeZone is '' when local time was used.
+ */
+export function getTimeParts(date, timeZone) {
+    let formatter = null;
+    if (timeZone) {
+        try {
+            formatter = getFormatter(timeZone);
+        } catch (e) {
+            if (!warnedTimeZones.has(timeZone)) {
+                console.warn(`[time-helpers] Unsupported time zone "${timeZone}", using local time.`);
+                warnedTimeZones.add(timeZone);
+            }
+        }
+    }
+
+    if (!formatter) {
+        return {
+            hours: date.getHours(),
+            minutes: date.getMinutes(),
+            seconds: date.getSeconds(),
+            milliseconds: date.getMilliseconds(),
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            day: date.getDate(),
+            dayOfWeek: date.getDay(),
+            timeZone: ''
+        };
+    }
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        hours: parseInt(parts.hour, 10) % 24, // Some engines still report midnight as 24
+        minutes: parseInt(parts.minute, 10),
+        seconds: parseInt(parts.second, 10),
+        milliseconds: date.getMilliseconds(), // Zone offsets are whole seconds
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        dayOfWeek: WEEKDAY_INDEX[parts.weekday] ?? date.getDay(),
+        timeZone
+    };
+}
+
+/**
+ * Formats a duration the way timers show it: "3d 04:12:09", "4:12:09" or "5:00".
+ * Partial seconds are rounded up, so a countdown reaches 0:00 exactly when it ends.
+ * @param {number} milliseconds - The duration; negative values are treated as 0.
+ * @returns {string} The formatted duration.
+ */
+export function formatDuration(milliseconds) {
+    const totalSeconds = Math.ceil(Math.max(0, milliseconds) / 1000);
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (value) => String(value).padStart(2, '0');
+
+    if (days > 0) return `${days}d ${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+    if (hours > 0) return `${hours}:${pad(minutes)}:${pad(seconds)}`;
+    return `${minutes}:${pad(seconds)}`;
+}
+
+/**
+ * Formats a Date as a local 'YYYY-MM-DDTHH:MM:SS' string (the value format of datetime-local inputs).
+ * @param {Date} date - The date.
+ * @returns {string} The local date-time string.
+ */
+export function toLocalDateTimeString(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
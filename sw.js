@@ -0,0 +1,274 @@
+/**
+ * Service worker: lets the clock launch and run offline once it has been opened (or installed).
+ *
+ * - The app shell (index.html, js/, css/, icons) is precached and served from the cache, refreshed in the background.
+ * - The Google Fonts stylesheet linked in index.html (the fonts in js/utils/font-list.js) and its font files are precached.
+ * - /api/* responses are served stale-while-revalidate.
+ *
+ * Background images are stored by ImageBlobStorage (IndexedDB), not here.
+ * Bump CACHE_VERSION when APP_SHELL changes; tests/sw.test.js checks the list against the files on disk.
+ */
+
+const CACHE_VERSION = 'v19';
+const SHELL_CACHE = `ambient-clock-shell-${CACHE_VERSION}`;
+const FONT_CACHE = `ambient-clock-fonts-${CACHE_VERSION}`;
+const API_CACHE = `ambient-clock-api-${CACHE_VERSION}`;
+const CURRENT_CACHES = [SHELL_CACHE, FONT_CACHE, API_CACHE];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+/** Files needed to start the app, relative to the worker's scope */
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'assets/icons/app-icon.svg',
+    'assets/icons/cash-app.svg',
+    'assets/icons/github-mark-white.svg',
+    'assets/icons/google-pay.svg',
+    'assets/icons/paypal.svg',
+    'assets/icons/venmo.svg',
+    'css/base/base.css',
+    'css/base/reset.css',
+    'css/base/variables.css',
+    'css/components/agenda-element.css',
+    'css/components/alarm-banner.css',
+    'css/components/alarm-controls.css',
+    'css/components/app-title.css',
+    'css/components/background-info.css',
+    'css/components/base-element.css',
+    'css/components/clock-element.css',
+    'css/components/control-panel-toggle.css',
+    'css/components/controls-hint.css',
+    'css/components/controls-panel.css',
+    'css/components/date-element.css',
+    'css/components/donate.css',
+    'css/components/favorite-toggle.css',
+    'css/components/favorites-controls.css',
+    'css/components/favorites-panel.css',
+    'css/components/font-panel.css',
+    'css/components/fullscreen-toggle.css',
+    'css/components/next-background-button.css',
+    'css/components/preset-controls.css',
+    'css/components/schedule-controls.css',
+    'css/components/share-dialog.css',
+    'css/components/timer-element.css',
+    'css/components/toast.css',
+    'css/components/weather-element.css',
+    'css/features/effects.css',
+    'css/layout/layout.css',
+    'css/main.css',
+    'js/app.js',
+    'js/components/alarm-banner.js',
+    'js/components/base/base-ui-element.js',
+    'js/components/base/mixins/CapabilityHandler.js',
+    'js/components/base/mixins/PluginManager.js',
+    'js/components/base/mixins/ResponsiveHandler.js',
+    'js/components/base/mixins/StateBindingMixin.js',
+    'js/components/base/mixins/StyleHandler.js',
+    'js/components/controls/agenda-controls.js',
+    'js/components/controls/alarm-controls.js',
+    'js/components/controls/background-controls.js',
+    'js/components/controls/clock-controls.js',
+    'js/components/controls/clock-face-module-controls.js',
+    'js/components/controls/control-panel.js',
+    'js/components/controls/date-controls.js',
+    'js/components/controls/favorites-collection-bar.js',
+    'js/components/controls/favorites-controls.js',
+    'js/components/controls/font-panel.js',
+    'js/components/controls/preset-controls.js',
+    'js/components/controls/schedule-controls.js',
+    'js/components/controls/timer-controls.js',
+    'js/components/controls/ui/AgendaControlsUIBuilder.js',
+    'js/components/controls/ui/BackgroundUIBuilder.js',
+    'js/components/controls/ui/ClockControlsUIBuilder.js',
+    'js/components/controls/ui/ControlPanelUIBuilder.js',
+    'js/components/controls/ui/DateControlsUIBuilder.js',
+    'js/components/controls/ui/TimerControlsUIBuilder.js',
+    'js/components/controls/ui/WeatherControlsUIBuilder.js',
+    'js/components/controls/weather-controls.js',
+    'js/components/elements/agenda-element.js',
+    'js/components/elements/background-info-element.js',
+    'js/components/elements/clock-element.js',
+    'js/components/elements/control-panel-toggle-element.js',
+    'js/components/elements/controls-hint-element.js',
+    'js/components/elements/date-element.js',
+    'js/components/elements/donate-element.js',
+    'js/components/elements/favorite-toggle-element.js',
+    'js/components/elements/favorites-panel-element.js',
+    'js/components/elements/fullscreen-toggle-element.js',
+    'js/components/elements/next-background-button.js',
+    'js/components/elements/renderers/AnalogFaceRenderer.js',
+    'js/components/elements/renderers/FlipClockFaceRenderer.js',
+    'js/components/elements/renderers/LedCleanFaceRenderer.js',
+    'js/components/elements/renderers/WordClockFaceRenderer.js',
+    'js/components/elements/timer-element.js',
+    'js/components/elements/weather-element.js',
+    'js/components/plugins/drag-plugin.js',
+    'js/components/share-dialog.js',
+    'js/components/toast.js',
+    'js/core/clock-face-registration.js',
+    'js/core/clock-face-registry.js',
+    'js/core/component-registry.js',
+    'js/core/config-manager.js',
+    'js/core/element-registration.js',
+    'js/core/errors.js',
+    'js/core/event-bus.js',
+    'js/core/state-history.js',
+    'js/core/state-manager.js',
+    'js/i18n/i18n.js',
+    'js/i18n/locales/ar.js',
+    'js/i18n/locales/de.js',
+    'js/i18n/locales/es.js',
+    'js/i18n/locales/fr.js',
+    'js/managers/DynamicControlManager.js',
+    'js/managers/element-manager.js',
+    'js/services/alarm-service.js',
+    'js/services/background-service.js',
+    'js/services/calendar-service.js',
+    'js/services/favorites-service.js',
+    'js/services/gradient-background-handler.js',
+    'js/services/image-background-handler.js',
+    'js/services/image-providers/local-provider.js',
+    'js/services/image-providers/peapix-provider.js',
+    'js/services/image-providers/pexels-provider.js',
+    'js/services/image-providers/pixabay-provider.js',
+    'js/services/image-providers/unsplash-provider.js',
+    'js/services/preset-service.js',
+    'js/services/scheduler-service.js',
+    'js/services/settings-io-service.js',
+    'js/services/storage/AppDatabase.js',
+    'js/services/storage/CalendarFileStorage.js',
+    'js/services/storage/DirectoryHandleStorage.js',
+    'js/services/storage/FavoritesStorage.js',
+    'js/services/storage/ImageBlobStorage.js',
+    'js/services/storage/ImageCacheStorage.js',
+    'js/services/utils/alarm-helpers.js',
+    'js/services/utils/background-helpers.js',
+    'js/services/utils/favorites-helpers.js',
+    'js/services/utils/gradient-helpers.js',
+    'js/services/utils/preset-helpers.js',
+    'js/services/utils/schedule-helpers.js',
+    'js/services/utils/share-helpers.js',
+    'js/services/video-background-handler.js',
+    'js/services/weather-service.js',
+    'js/state/default-state.js',
+    'js/state/migrations.js',
+    'js/state/state-schema.js',
+    'js/utils/chime.js',
+    'js/utils/date-format.js',
+    'js/utils/font-list.js',
+    'js/utils/global-listeners.js',
+    'js/utils/ics-parser.js',
+    'js/utils/ics-recurrence.js',
+    'js/utils/logger.js',
+    'js/utils/motion.js',
+    'js/utils/qr-code.js',
+    'js/utils/schema.js',
+    'js/utils/time-helpers.js',
+    'js/utils/visibility-manager.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(APP_SHELL);
+        // Fonts are nice to have; failing to fetch them must not prevent installing the worker
+        await precacheFonts(cache).catch(error => console.warn('[ServiceWorker] Could not precache fonts:', error));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const cacheNames = await caches.keys();
+        await Promise.all(cacheNames
+            .filter(name => name.startsWith('ambient-clock-') && !CURRENT_CACHES.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, FONT_CACHE));
+    } else if (url.origin !== self.location.origin) {
+        return; // Provider images etc. go straight to the network
+    } else if (url.pathname.startsWith('/api/')) {
+        event.respondWith(staleWhileRevalidate(event, API_CACHE));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, 'index.html'));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    }
+});
+
+/**
+ * Caches the Google Fonts stylesheet linked in index.html and the font files it references.
+ * @param {Cache} shellCache - The cache holding index.html.
+ * @returns {Promise<void>}
+ */
+async function precacheFonts(shellCache) {
+    const indexResponse = await shellCache.match('index.html');
+    const html = indexResponse ? await indexResponse.text() : '';
+    const stylesheetMatch = html.match(/href="(https:\/\/fonts\.googleapis\.com\/css2[^"]+)"/);
+    if (!stylesheetMatch) return;
+
+    const fontCache = await caches.open(FONT_CACHE);
+    const stylesheetUrl = stylesheetMatch[1].replace(/&amp;/g, '&');
+    const stylesheetResponse = await fetch(stylesheetUrl);
+    if (!stylesheetResponse.ok) {
+        throw new Error(`HTTP ${stylesheetResponse.status} for the font stylesheet`);
+    }
+    const css = await stylesheetResponse.clone().text();
+    await fontCache.put(stylesheetUrl, stylesheetResponse);
+
+    const fontUrls = [...css.matchAll(/url\((https:\/\/fonts\.gstatic\.com\/[^)]+)\)/g)].map(match => match[1]);
+    await fontCache.addAll([...new Set(fontUrls)]);
+}
+
+/**
+ * Serves from the cache, falling back to (and caching) the network.
+ * @param {Request} request - The request.
+ * @param {string} cacheName - The cache to use.
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    // The fonts stylesheet varies by fetch destination; the precached copy works for all of them
+    const cached = await cache.match(request, { ignoreVary: true });
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serves from the cache if possible and refreshes the cached copy from the network in the background.
+ * @param {FetchEvent} event - The fetch event (kept alive until the refresh finishes).
+ * @param {string} cacheName - The cache to use.
+ * @param {string} [cacheKey] - Cache key to use instead of the request (index.html for navigations).
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, cacheName, cacheKey = event.request) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(cacheKey);
+    const refresh = fetch(event.request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(cacheKey, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {})); // Offline: the cached copy is all we have
+        return cached;
+    }
+    return refresh;
+}
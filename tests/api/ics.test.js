@@ -0,0 +1,138 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import http from 'node:http';
+import handler, { isPrivateAddress } from '../../api/ics.js';
+
+const CALENDAR = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'BEGIN:VEVENT', 'UID:1', 'DTSTART:20240115T090000Z', 'SUMMARY:Planning', 'END:VEVENT', 'END:VCALENDAR'].join('\r\n');
+
+// Minimal stand-in for a calendar host
+const fixtureServer = http.createServer((req, res) => {
+    if (req.url === '/calendar.ics') {
+        res.setHeader('Content-Type', 'text/calendar');
+        return res.end(CALENDAR);
+    }
+    if (req.url === '/moved.ics') {
+        res.statusCode = 301;
+        res.setHeader('Location', '/calendar.ics');
+        return res.end();
+    }
+    if (req.url === '/page.html') {
+        res.setHeader('Content-Type', 'text/html');
+        return res.end('<html><body>Sign in</body></html>');
+    }
+    res.statusCode = 404;
+    res.end('Not found');
+});
+
+/** Creates a mock Vercel response object */
+function createResponse() {
+    const res = {
+        statusCode: null,
+        headers: {},
+        body: undefined,
+        setHeader: vi.fn((name, value) => { res.headers[name] = value; }),
+        status: vi.fn((code) => { res.statusCode = code; return res; }),
+        json: vi.fn((body) => { res.body = body; return res; }),
+        send: vi.fn((body) => { res.body = body; return res; }),
+        end: vi.fn(() => res),
+    };
+    return res;
+}
+
+describe('/api/ics', () => {
+    let baseUrl;
+
+    beforeAll(async () => {
+        await new Promise(resolve => fixtureServer.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${fixtureServer.address().port}`;
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await new Promise(resolve => fixtureServer.close(resolve));
+    });
+
+    beforeEach(() => {
+        vi.stubEnv('ICS_ALLOW_PRIVATE_HOSTS', '1'); // The fixture server runs on loopback
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('should return the calendar text', async () => {
+        const res = createResponse();
+        await handler({ method: 'GET', query: { url: `${baseUrl}/calendar.ics` } }, res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['Access-Control-Allow-Origin']).toBe('*');
+        expect(res.headers['Content-Type']).toMatch(/^text\/calendar/);
+        expect(res.body).toBe(CALENDAR);
+    });
+
+    it('should follow redirects', async () => {
+        const res = createResponse();
+        await handler({ method: 'GET', query: { url: `${baseUrl}/moved.ics` } }, res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toBe(CALENDAR);
+    });
+
+    it('should reject missing and unsupported URLs', async () => {
+        const missing = createResponse();
+        await handler({ method: 'GET', query: {} }, missing);
+        expect(missing.statusCode).toBe(400);
+
+        const unsupported = createResponse();
+        await handler({ method: 'GET', query: { url: 'file:///etc/passwd' } }, unsupported);
+        expect(unsupported.statusCode).toBe(400);
+        expect(unsupported.body.error).toMatch(/http\(s\) or webcal/);
+    });
+
+    it('should return 502 when the URL is not a calendar', async () => {
+        const res = createResponse();
+        await handler({ method: 'GET', query: { url: `${baseUrl}/page.html` } }, res);
+
+        expect(res.statusCode).toBe(502);
+        expect(res.body.error).toMatch(/iCalendar/);
+    });
+
+    it('should refuse private addresses unless allowed', async () => {
+        vi.stubEnv('ICS_ALLOW_PRIVATE_HOSTS', '');
+        const res = createResponse();
+        await handler({ method: 'GET', query: { url: `${baseUrl}/calendar.ics` } }, res);
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body.error).toMatch(/private networks/);
+    });
+
+    it('should check the address a host name resolves to when connecting', async () => {
+        vi.stubEnv('ICS_ALLOW_PRIVATE_HOSTS', '');
+        const res = createResponse();
+        await handler({ method: 'GET', query: { url: `http://localhost:${new URL(baseUrl).port}/calendar.ics` } }, res);
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body.error).toMatch(/private networks/);
+    });
+});
+
+describe('isPrivateAddress', () => {
+    it('should refuse private, loopback and link-local IPv4 addresses', () => {
+        ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1']
+            .forEach(address => expect(isPrivateAddress(address), address).toBe(true));
+        ['8.8.8.8', '172.32.0.1', '100.128.0.1'].forEach(address => expect(isPrivateAddress(address), address).toBe(false));
+    });
+
+    it('should refuse non-public IPv6 ranges', () => {
+        [
+            '::', '::1',
+            'fc00::1', 'fd12:3456::1', // Unique local
+            'fe80::1', 'fe9a::1', 'febf:ffff::1', 'fe80::1%eth0', // Link-local fe80::/10
+            'fec0::1', // Site-local
+            'ff02::1', 'ff0e::101', // Multicast
+            '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a00:1', // IPv4-mapped
+            '::127.0.0.1', '::a00:1', // IPv4-compatible
+            '64:ff9b::127.0.0.1', '64:ff9b::c0a8:101', '64:ff9b:1::1' // NAT64
+        ].forEach(address => expect(isPrivateAddress(address), address).toBe(true));
+        ['2001:4860:4860::8888', '2606:4700::1111', '::ffff:8.8.8.8', '64:ff9b::808:808', 'fe7f::1']
+            .forEach(address => expect(isPrivateAddress(address), address).toBe(false));
+    });
+});
@@ -0,0 +1,121 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import http from 'node:http';
+import handler from '../../api/weather.js';
+
+// Minimal stand-in for the Open-Meteo geocoding and forecast APIs
+const requests = [];
+const fixtureServer = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+    res.setHeader('Content-Type', 'application/json');
+
+    if (url.pathname === '/v1/search') {
+        const results = url.searchParams.get('name') === 'Berlin'
+            ? [{ name: 'Berlin', admin1: 'Land Berlin', country: 'Germany', latitude: 52.52, longitude: 13.41 }]
+            : undefined;
+        return res.end(JSON.stringify({ results }));
+    }
+    if (url.pathname === '/v1/forecast') {
+        const fahrenheit = url.searchParams.get('temperature_unit') === 'fahrenheit';
+        return res.end(JSON.stringify({
+            current: {
+                temperature_2m: fahrenheit ? 68.5 : 20.3,
+                apparent_temperature: fahrenheit ? 67 : 19.4,
+                relative_humidity_2m: 55,
+                weather_code: 2,
+                is_day: 1,
+                wind_speed_10m: 12
+            }
+        }));
+    }
+    res.statusCode = 404;
+    res.end(JSON.stringify({ error: true, reason: 'Not found' }));
+});
+
+/** Creates a mock Vercel response object */
+function createResponse() {
+    const res = {
+        statusCode: null,
+        headers: {},
+        body: undefined,
+        setHeader: vi.fn((name, value) => { res.headers[name] = value; }),
+        status: vi.fn((code) => { res.statusCode = code; return res; }),
+        json: vi.fn((body) => { res.body = body; return res; }),
+        end: vi.fn(() => res),
+    };
+    return res;
+}
+
+describe('/api/weather', () => {
+    beforeAll(async () => {
+        await new Promise(resolve => fixtureServer.listen(0, '127.0.0.1', resolve));
+        vi.stubEnv('WEATHER_API_BASE_URL', `http://127.0.0.1:${fixtureServer.address().port}`);
+        vi.stubEnv('WEATHER_PROVIDER', '');
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await new Promise(resolve => fixtureServer.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests.length = 0;
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('should geocode a location and return normalized current conditions', async () => {
+        const res = createResponse();
+        await handler({ method: 'GET', query: { location: 'Berlin' } }, res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['Access-Control-Allow-Origin']).toBe('*');
+        expect(res.body).toMatchObject({
+            location: { name: 'Berlin', country: 'Germany', latitude: 52.52, longitude: 13.41 },
+            current: { temperature: 20.3, humidity: 55, conditionCode: 2, condition: 'Partly cloudy', icon: 'partly-cloudy', isDay: true },
+            units: { system: 'metric', temperature: '°C', windSpeed: 'km/h' },
+            provider: 'open-meteo'
+        });
+
+        const forecastRequest = requests.find(url => url.pathname === '/v1/forecast');
+        expect(forecastRequest.searchParams.get('latitude')).toBe('52.52');
+        expect(forecastRequest.searchParams.get('temperature_unit')).toBe('celsius');
+    });
+
+    it('should use coordinates directly and honour imperial units', async () => {
+        const res = createResponse();
+        await handler({ method: 'GET', query: { lat: '40.71', lon: '-74.01', units: 'imperial' } }, res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.current.temperature).toBe(68.5);
+        expect(res.body.units).toEqual({ system: 'imperial', temperature: '°F', windSpeed: 'mph' });
+        expect(requests.some(url => url.pathname === '/v1/search')).toBe(false);
+    });
+
+    it('should return 404 for an unknown location', async () => {
+        const res = createResponse();
+        await handler({ method: 'GET', query: { location: 'Nowhere' } }, res);
+
+        expect(res.statusCode).toBe(404);
+        expect(res.body.error).toContain('Nowhere');
+    });
+
+    it('should reject requests without a location or with invalid units', async () => {
+        const missing = createResponse();
+        await handler({ method: 'GET', query: {} }, missing);
+        expect(missing.statusCode).toBe(400);
+
+        const badUnits = createResponse();
+        await handler({ method: 'GET', query: { location: 'Berlin', units: 'kelvin' } }, badUnits);
+        expect(badUnits.statusCode).toBe(400);
+        expect(requests).toHaveLength(0);
+    });
+
+    it('should answer CORS preflight requests', async () => {
+        const res = createResponse();
+        await handler({ method: 'OPTIONS', query: {} }, res);
+        expect(res.statusCode).toBe(200);
+        expect(res.end).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { AgendaElement } from '../../js/components/elements/agenda-element.js';
+import { StateManager } from '../../js/core/state-manager.js';
+import { EventBus } from '../../js/core/event-bus.js';
+import { getDefaultState } from '../../js/state/default-state.js';
+import { registerElementTypes } from '../../js/core/element-registration.js';
+import { ComponentRegistry } from '../../js/core/component-registry.js';
+
+vi.mock('../../js/utils/logger.js', () => ({
+    log: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+}));
+
+const calendarText = (summary) => ['BEGIN:VCALENDAR', 'VERSION:2.0', 'BEGIN:VEVENT', 'UID:1',
+    'DTSTART:20240101T150000', `SUMMARY:${summary}`, 'END:VEVENT', 'END:VCALENDAR'].join('\r\n');
+
+/** Stand-in for CalendarFileStorage */
+const createFileStorage = (files = {}) => ({
+    files,
+    load: vi.fn(async (elementId) => files[elementId] ?? null),
+    save: vi.fn(async (elementId, text) => { files[elementId] = text; return true; }),
+});
+
+describe('AgendaElement uploaded files', () => {
+    let agenda;
+
+    beforeAll(() => registerElementTypes());
+
+    beforeEach(async () => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date(2024, 0, 1, 12, 0, 0));
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        localStorage.clear();
+        EventBus.listeners = {};
+        await StateManager.init(getDefaultState());
+    });
+
+    afterEach(() => {
+        agenda?.destroy();
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    /** Adds an agenda element to the state and creates it with these options */
+    const createAgenda = async (options, fileStorage) => {
+        const config = { ...ComponentRegistry.createDefaultConfig('agenda'), id: 'agenda-test', type: 'agenda' };
+        config.options = { ...config.options, source: 'file', ...options };
+        StateManager.update({ elements: { 'agenda-test': config } });
+        agenda = new AgendaElement({ ...config, calendarFileStorage: fileStorage });
+        await agenda.createElements();
+        agenda.addEventListeners();
+        await vi.waitFor(() => expect(agenda.calendar).not.toBeNull());
+        return agenda;
+    };
+    const summaries = () => [...agenda.container.querySelectorAll('.agenda-summary')].map(item => item.textContent);
+
+    it('shows the file stored for the element and reloads it when a new one is uploaded', async () => {
+        const fileStorage = createFileStorage({ 'agenda-test': calendarText('Design review') });
+        await createAgenda({ fileName: 'work.ics' }, fileStorage);
+        expect(summaries()).toEqual(['Design review']);
+
+        // Same file name, new content
+        fileStorage.files['agenda-test'] = calendarText('Planning');
+        EventBus.publish('agenda:fileChanged', { elementId: 'agenda-test' });
+
+        await vi.waitFor(() => expect(summaries()).toEqual(['Planning']));
+    });
+
+    it('moves file text saved in the state by earlier versions to the file storage', async () => {
+        const fileStorage = createFileStorage();
+        await createAgenda({ fileName: 'work.ics', fileContent: calendarText('Design review') }, fileStorage);
+
+        expect(summaries()).toEqual(['Design review']);
+        expect(fileStorage.files['agenda-test']).toBe(calendarText('Design review'));
+        expect(StateManager.getState().elements['agenda-test'].options).not.toHaveProperty('fileContent');
+    });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import analogFace, { AnalogFaceRenderer, getMoonPhase } from '../../js/components/elements/renderers/AnalogFaceRenderer.js';
+import { ClockFaceRegistry } from '../../js/core/clock-face-registry.js';
+import { registerClockFaces } from '../../js/core/clock-face-registration.js';
+import { ClockElement } from '../../js/components/elements/clock-element.js';
+
+const defaults = Object.fromEntries(Object.entries(analogFace.options).map(([key, schema]) => [key, schema.default]));
+
+// Minimal ConfigManager stand-in exposing the performance flags
+const configManagerWith = (disableAnimations) => ({
+    getFullConfig: () => ({ performance: { disableAnimations } })
+});
+
+describe('AnalogFaceRenderer', () => {
+    let renderer;
+
+    const createRenderer = (disableAnimations = false) => {
+        renderer = new AnalogFaceRenderer({ configManager: configManagerWith(disableAnimations) });
+        renderer.setContainer(document.body);
+        return renderer.createElements();
+    };
+
+    afterEach(() => {
+        renderer?.destroy();
+        document.body.innerHTML = '';
+    });
+
+    it('should draw the numerals and ticks chosen in the options', () => {
+        const svg = createRenderer();
+        renderer.applyStyles(defaults); // The original design: hour lines only
+        expect(svg.querySelectorAll('.marker-quarter')).toHaveLength(4);
+        expect(svg.querySelectorAll('.marker-hour')).toHaveLength(8);
+        expect(svg.querySelectorAll('.marker-minute, .numeral')).toHaveLength(0);
+
+        renderer.applyStyles({ ...defaults, analogNumerals: 'roman', analogHourTicks: 'dots', analogMinuteTicks: 'lines' });
+        expect(Array.from(svg.querySelectorAll('.numeral'), numeral => numeral.textContent).slice(0, 4)).toEqual(['XII', 'I', 'II', 'III']);
+        expect(svg.querySelectorAll('circle.marker-dot')).toHaveLength(12);
+        expect(svg.querySelectorAll('line.marker-minute')).toHaveLength(48);
+
+        renderer.applyStyles({ ...defaults, analogNumerals: 'arabic', analogHourTicks: 'none' });
+        expect(svg.querySelector('.numeral').textContent).toBe('12');
+        expect(svg.querySelectorAll('.marker')).toHaveLength(0);
+    });
+
+    it('should shape and colour the hands', () => {
+        const svg = createRenderer();
+        renderer.applyStyles(defaults);
+        expect(svg.querySelector('.hour-hand').getAttribute('d')).toBe('M50 50 L50 25');
+
+        renderer.applyStyles({ ...defaults, analogHandShape: 'dauphine', analogSecondHandColor: '#00ff00', analogBorderWidth: 2 });
+        expect(svg.dataset.handShape).toBe('dauphine');
+        expect(svg.querySelector('.hour-hand').getAttribute('d')).toMatch(/Z$/); // A filled outline
+        expect(svg.style.getPropertyValue('--analog-second-hand-color')).toBe('#00ff00');
+        expect(svg.style.getPropertyValue('--analog-border-width')).toBe('2');
+    });
+
+    it('should sweep the second hand only when asked to and animations are enabled', () => {
+        const svg = createRenderer();
+        const timeData = { hours: 10, minutes: 10, seconds: 30, milliseconds: 500 };
+        renderer.render(timeData, { ...defaults, showSeconds: true });
+        expect(svg.querySelector('.second-hand').getAttribute('transform')).toBe('rotate(180 50 50)');
+
+        const sweeping = { ...defaults, showSeconds: true, analogSmoothSweep: true };
+        expect(renderer.needsAnimationFrames(sweeping)).toBe(true);
+        renderer.render(timeData, sweeping);
+        expect(svg.querySelector('.second-hand').getAttribute('transform')).toBe('rotate(183 50 50)');
+        expect(renderer.needsAnimationFrames({ ...sweeping, showSeconds: false })).toBe(false);
+
+        renderer.destroy();
+        createRenderer(true);
+        expect(renderer.needsAnimationFrames(sweeping)).toBe(false);
+    });
+
+    it('should draw the complications where they are placed, from the clock\'s time', () => {
+        const svg = createRenderer();
+        const options = {
+            ...defaults,
+            analogDateWindow: 'right', analogDayOfWeek: 'left', analogMoonPhase: 'bottom', analogSubDial: 'top',
+            analogSubDialTimeZone: 'UTC', analogGmtHand: true
+        };
+        renderer.applyStyles(options);
+        // 21:30 UTC on Monday 15 January 2024, shown on a clock set to Tokyo (Tuesday 16th)
+        const now = new Date(Date.UTC(2024, 0, 15, 21, 30));
+        renderer.render({ hours: 6, minutes: 30, seconds: 0, day: 16, dayOfWeek: 2, now }, options);
+
+        const texts = Array.from(svg.querySelectorAll('.complication-text'));
+        expect(texts.map(text => text.textContent)).toEqual(['16', 'TUE']);
+        expect(texts[0].getAttribute('x')).toBe('72'); // Right of the centre
+        expect(svg.querySelector('.complication-moon-lit').getAttribute('d')).toMatch(/^M50 66 /);
+        expect(svg.querySelectorAll('.complication-hand')[0].getAttribute('transform')).toBe('rotate(285 50 28)');
+        expect(svg.querySelector('.gmt-hand').getAttribute('transform')).toBe('rotate(322.5 50 50)');
+
+        renderer.applyStyles(defaults);
+        renderer.render({ hours: 6, minutes: 30, seconds: 0, day: 16, dayOfWeek: 2, now }, defaults);
+        expect(svg.querySelectorAll('.complication')).toHaveLength(0);
+        expect(svg.querySelector('.gmt-hand').style.display).toBe('none');
+    });
+
+    it('should calculate the moon phase', () => {
+        expect(getMoonPhase(new Date(Date.UTC(2024, 0, 11, 11, 57)))).toBeLessThan(0.01); // New moon
+        expect(getMoonPhase(new Date(Date.UTC(2024, 0, 25, 17, 54)))).toBeCloseTo(0.5, 1); // Full moon
+    });
+
+    it('should let ClockElement switch between ticking and animation frames', async () => {
+        ClockFaceRegistry.faces.clear();
+        registerClockFaces();
+        const clock = new ClockElement({ id: 'clock-test', type: 'clock', options: { face: 'analog', showSeconds: true, analogSmoothSweep: true } });
+        await clock.createElements();
+        clock.startTimer();
+        expect(clock.animationFrameId).not.toBeNull();
+        expect(clock.intervalId).toBeNull();
+
+        clock.updateOptions({ analogSmoothSweep: false });
+        expect(clock.animationFrameId).toBeNull();
+        expect(clock.intervalId).not.toBeNull();
+
+        clock.destroy();
+        expect(clock.intervalId).toBeNull();
+    });
+});
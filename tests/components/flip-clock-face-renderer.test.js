@@ -0,0 +1,65 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { FlipClockFaceRenderer } from '../../js/components/elements/renderers/FlipClockFaceRenderer.js';
+
+// Minimal ConfigManager stand-in exposing the performance flags
+const configManagerWith = (disableAnimations) => ({
+    getFullConfig: () => ({ performance: { disableAnimations } })
+});
+
+describe('FlipClockFaceRenderer', () => {
+    let renderer;
+
+    const createRenderer = (disableAnimations) => {
+        renderer = new FlipClockFaceRenderer({ configManager: configManagerWith(disableAnimations) });
+        renderer.setContainer(document.body);
+        const root = renderer.createElements();
+        return root;
+    };
+    // The digits on the cards' upper halves (the value each card shows or flips to)
+    const shownText = (root) => Array.from(root.querySelectorAll('.flip-card-top'), half => half.textContent || ' ').join('');
+
+    afterEach(() => {
+        renderer?.destroy();
+        document.body.innerHTML = '';
+    });
+
+    it('should show 12/24-hour times with optional seconds', () => {
+        const root = createRenderer(false);
+        renderer.render({ hours: 21, minutes: 5, seconds: 9 }, { timeFormat: '24', showSeconds: true });
+        expect(shownText(root)).toBe('210509');
+        expect(root.querySelector('.flip-clock-meridiem').style.display).toBe('none');
+
+        renderer.render({ hours: 21, minutes: 5, seconds: 9 }, { timeFormat: '12', showSeconds: false });
+        expect(shownText(root).slice(0, 4)).toBe(' 905'); // Unpadded hour: first card blank
+        expect(root.querySelector('.flip-clock-meridiem').textContent).toBe('PM');
+        expect(root.querySelectorAll('.flip-clock-group')[2].style.display).toBe('none');
+    });
+
+    it('should flip the cards whose digit changed', () => {
+        const root = createRenderer(false);
+        renderer.render({ hours: 10, minutes: 59, seconds: 59 }, { timeFormat: '24', showSeconds: true });
+        root.style.display = ''; // Shown by ClockElement after the first render
+        renderer.render({ hours: 11, minutes: 0, seconds: 0 }, { timeFormat: '24', showSeconds: true });
+
+        const cards = root.querySelectorAll('.flip-card');
+        expect(Array.from(cards, card => card.classList.contains('flipping'))).toEqual([false, true, true, true, true, true]);
+        // Until the flip ends, the lower half and the folding flap still show the old digit
+        expect(cards[1].querySelector('.flip-card-bottom').textContent).toBe('0');
+        expect(cards[1].querySelector('.flip-card-flap-top').textContent).toBe('0');
+        expect(cards[1].querySelector('.flip-card-flap-bottom').textContent).toBe('1');
+
+        cards[1].querySelector('.flip-card-flap-bottom').dispatchEvent(new Event('animationend'));
+        expect(cards[1].classList.contains('flipping')).toBe(false);
+        expect(cards[1].querySelector('.flip-card-bottom').textContent).toBe('1');
+    });
+
+    it('should swap digits instantly when animations are disabled', () => {
+        const root = createRenderer(true);
+        renderer.render({ hours: 10, minutes: 59, seconds: 59 }, { timeFormat: '24', showSeconds: true });
+        root.style.display = '';
+        renderer.render({ hours: 11, minutes: 0, seconds: 0 }, { timeFormat: '24', showSeconds: true });
+
+        expect(root.querySelectorAll('.flip-card.flipping')).toHaveLength(0);
+        expect(Array.from(root.querySelectorAll('.flip-card-bottom'), half => half.textContent).join('')).toBe('110000');
+    });
+});
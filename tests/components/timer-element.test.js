@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TimerElement } from '../../js/components/elements/timer-element.js';
+import { EventBus } from '../../js/core/event-bus.js';
+import { playChime } from '../../js/utils/chime.js';
+import { toLocalDateTimeString } from '../../js/utils/time-helpers.js';
+
+vi.mock('../../js/core/event-bus.js', () => ({
+    EventBus: {
+        subscribe: vi.fn(() => ({ unsubscribe: vi.fn() })),
+        publish: vi.fn(),
+    },
+}));
+vi.mock('../../js/utils/chime.js', () => ({ playChime: vi.fn(() => true) }));
+
+describe('TimerElement', () => {
+    let timer;
+
+    const createTimer = async (options) => {
+        timer = new TimerElement({ id: 'timer-test', type: 'timer', options: { ...options, visible: true } });
+        await timer.createElements();
+        return timer;
+    };
+    const displayedTime = () => timer.container.querySelector('.digital-clean-container').textContent;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date(2024, 0, 1, 12, 0, 0));
+    });
+
+    afterEach(() => {
+        timer?.destroy();
+        vi.useRealTimers();
+    });
+
+    it('counts down to the target with its label', async () => {
+        await createTimer({ mode: 'countdown', target: '2024-01-04T16:12:09', label: 'Launch in' });
+
+        expect(displayedTime()).toBe('3d 04:12:09');
+        expect(timer.container.querySelector('.timer-label').textContent).toBe('Launch in');
+    });
+
+    it('counts up from the target', async () => {
+        await createTimer({ mode: 'countup', target: '2024-01-01T11:55:00' });
+
+        expect(displayedTime()).toBe('5:00');
+    });
+
+    it('publishes timer:completed, flashes and chimes when the countdown ends', async () => {
+        await createTimer({ mode: 'countdown', target: toLocalDateTimeString(new Date(Date.now() + 2000)), label: 'Stand-up' });
+        timer.startTimer();
+
+        vi.advanceTimersByTime(3000);
+
+        expect(displayedTime()).toBe('0:00');
+        expect(EventBus.publish).toHaveBeenCalledWith('timer:completed', expect.objectContaining({ id: 'timer-test', label: 'Stand-up' }));
+        expect(EventBus.publish.mock.calls.filter(([event]) => event === 'timer:completed')).toHaveLength(1);
+        expect(timer.container.classList.contains('timer-flash')).toBe(true);
+        expect(playChime).toHaveBeenCalled();
+
+        vi.advanceTimersByTime(10000);
+        expect(timer.container.classList.contains('timer-flash')).toBe(false);
+    });
+
+    it('does not fire for a countdown that had already ended', async () => {
+        await createTimer({ mode: 'countdown', target: '2024-01-01T11:00:00', completionAlert: 'chime' });
+        timer.startTimer();
+
+        vi.advanceTimersByTime(3000);
+
+        expect(EventBus.publish).not.toHaveBeenCalledWith('timer:completed', expect.anything());
+        expect(playChime).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+    WordClockFaceRenderer, WORD_CLOCK_GRIDS, getWordClockWords, resolveWordClockLanguage
+} from '../../js/components/elements/renderers/WordClockFaceRenderer.js';
+import { setLanguage } from '../../js/i18n/i18n.js';
+
+// Spells out a time with the words' text, as lit on the grid
+const spell = (language, hours, minutes) => {
+    const { words } = WORD_CLOCK_GRIDS[language];
+    return getWordClockWords(language, hours, minutes).map(key => words[key][2]).join(' ');
+};
+
+describe('WordClockFaceRenderer', () => {
+    afterEach(() => {
+        setLanguage('en');
+        document.body.innerHTML = '';
+    });
+
+    it('should place every word on its grid', () => {
+        Object.values(WORD_CLOCK_GRIDS).forEach(({ rows, words }) => {
+            rows.forEach(row => expect(row.length).toBe(rows[0].length));
+            Object.values(words).forEach(([row, column, text]) => {
+                expect(rows[row].substr(column, text.length)).toBe(text);
+            });
+        });
+    });
+
+    it('should spell out times in 5-minute steps', () => {
+        expect(spell('en', 22, 30)).toBe('IT IS HALF PAST TEN');
+        expect(spell('en', 0, 3)).toBe('IT IS TWELVE OCLOCK');
+        expect(spell('en', 9, 47)).toBe('IT IS A QUARTER TO TEN');
+        expect(spell('en', 11, 25)).toBe('IT IS TWENTY FIVE PAST ELEVEN');
+        expect(spell('de', 13, 0)).toBe('ES IST EIN UHR');
+        expect(spell('de', 14, 25)).toBe('ES IST FÜNF VOR HALB DREI');
+        expect(spell('fr', 11, 45)).toBe('IL EST MIDI MOINS LE QUART');
+        expect(spell('fr', 1, 15)).toBe('IL EST UNE HEURE ET QUART');
+        expect(spell('es', 1, 10)).toBe('ES LA UNA Y DIEZ');
+        expect(spell('es', 6, 35)).toBe('SON LAS SIETE MENOS VEINTICINCO');
+    });
+
+    it('should follow the UI language unless a grid language is set', () => {
+        setLanguage('de');
+        expect(resolveWordClockLanguage('')).toBe('de');
+        expect(resolveWordClockLanguage('fr')).toBe('fr');
+        setLanguage('ar'); // No Arabic grid
+        expect(resolveWordClockLanguage('')).toBe('en');
+    });
+
+    it('should light the words and minute dots for the time', () => {
+        const renderer = new WordClockFaceRenderer();
+        renderer.setContainer(document.body);
+        const root = renderer.createElements();
+
+        renderer.render({ hours: 10, minutes: 32, seconds: 0 }, { wordLanguage: 'en', showMinuteDots: true });
+        const litText = Array.from(root.querySelectorAll('.word-clock-letter.lit'), letter => letter.textContent).join('');
+        expect(litText).toBe('ITISHALFPASTTEN');
+        expect(root.querySelectorAll('.word-clock-dot.lit')).toHaveLength(2);
+        expect(root.getAttribute('aria-label')).toBe('IT IS HALF PAST TEN');
+
+        renderer.render({ hours: 10, minutes: 32, seconds: 0 }, { wordLanguage: 'es', showMinuteDots: false });
+        expect(root.querySelector('.word-clock-grid').textContent.startsWith('ESONELASUNA')).toBe(true);
+        expect(root.querySelector('.word-clock-dots').style.display).toBe('none');
+
+        renderer.destroy();
+        expect(document.querySelector('.word-clock')).toBeNull();
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ClockFaceRegistry } from '../../js/core/clock-face-registry.js';
+import { registerClockFaces } from '../../js/core/clock-face-registration.js';
+import { EventBus } from '../../js/core/event-bus.js';
+import { ClockElement } from '../../js/components/elements/clock-element.js';
+
+vi.mock('../../js/utils/logger.js', () => ({
+    log: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+}));
+
+class TestFaceRenderer {
+    setContainer(container) { this.container = container; }
+    createElements() {
+        this.root = document.createElement('div');
+        this.root.className = 'test-face';
+        this.container.appendChild(this.root);
+        return this.root;
+    }
+    render(timeData, options) { this.root.textContent = `${options.prefix}${timeData.hours}`; }
+    getRootElement() { return this.root; }
+    destroy() { this.root?.remove(); }
+}
+
+const testFace = {
+    name: 'test',
+    displayName: 'Test',
+    renderer: TestFaceRenderer,
+    options: { prefix: { type: 'text', label: 'Prefix:', default: 'H' } }
+};
+
+describe('ClockFaceRegistry', () => {
+    beforeEach(() => {
+        ClockFaceRegistry.faces.clear();
+        registerClockFaces();
+        document.body.innerHTML = '';
+    });
+
+    it('should register the built-in faces with their option defaults', () => {
+        expect(ClockFaceRegistry.getFaceNames()).toEqual(['clean', 'analog', 'word', 'flip']);
+        expect(ClockFaceRegistry.getOptionDefaults('word')).toEqual({
+            wordLanguage: '', wordLitColor: '#ffffff', wordUnlitColor: '#3c3c3c', showMinuteDots: true
+        });
+        expect(ClockFaceRegistry.getOptionDefaults('analog')).toMatchObject({ analogNumerals: 'none', analogHandShape: 'line', analogSmoothSweep: false });
+    });
+
+    it('should reject invalid faces and keep built-in faces from being replaced by modules', () => {
+        expect(ClockFaceRegistry.registerFace({ name: 'broken' })).toBe(false);
+        expect(ClockFaceRegistry.registerFace({ ...testFace, options: { size: { type: 'slider' } } })).toBe(false);
+        expect(ClockFaceRegistry.registerFace({ ...testFace, name: 'clean' }, 'https://example.com/face.js')).toBe(false);
+        expect(ClockFaceRegistry.getFace('clean').renderer).not.toBe(TestFaceRenderer);
+
+        expect(ClockFaceRegistry.registerFace(testFace, 'https://example.com/face.js')).toBe(true);
+        ClockFaceRegistry.unregisterSource('https://example.com/face.js');
+        expect(ClockFaceRegistry.getFace('test')).toBeNull();
+    });
+
+    it('should load a face module from a URL', async () => {
+        const source = 'export default { name: "remote", renderer: class {}, options: { size: { type: "range", default: 3 } } };';
+        const url = `data:text/javascript,${encodeURIComponent(source)}`;
+        const listener = vi.fn();
+        const subscription = EventBus.subscribe('clockFaces:changed', listener);
+
+        const result = await ClockFaceRegistry.loadFromUrl(url);
+        expect(result.success).toBe(true);
+        expect(ClockFaceRegistry.getFace('remote').source).toBe(url);
+        expect(ClockFaceRegistry.getOptionDefaults('remote')).toEqual({ size: 3 });
+        expect(listener).toHaveBeenCalledWith({ faces: ['clean', 'analog', 'word', 'flip', 'remote'] });
+
+        const invalid = await ClockFaceRegistry.loadFromUrl(`data:text/javascript,${encodeURIComponent('export default {};')}`);
+        expect(invalid.success).toBe(false);
+        subscription.unsubscribe();
+    });
+
+    it('should let ClockElement render registered faces and fall back to the default face', async () => {
+        ClockFaceRegistry.registerFace(testFace, 'https://example.com/face.js');
+        const clock = new ClockElement({ id: 'clock-test', type: 'clock', options: { face: 'test', visible: true } });
+        await clock.createElements();
+        const face = clock.container.querySelector('.clock-face');
+
+        expect(face.dataset.faceType).toBe('test');
+        expect(face.querySelector('.test-face').textContent).toMatch(/^H\d+$/); // Option default from the schema
+
+        ClockFaceRegistry.unregisterSource('https://example.com/face.js');
+        clock._pruneRenderers();
+        clock.render();
+        expect(face.dataset.faceType).toBe('clean');
+        expect(face.querySelector('.test-face')).toBeNull();
+        expect(face.querySelector('.digital-clean-container').style.display).toBe('');
+
+        clock.destroy();
+    });
+});
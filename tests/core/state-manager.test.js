@@ -0,0 +1,227 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { StateManager } from '../../js/core/state-manager.js';
+import { EventBus } from '../../js/core/event-bus.js';
+import * as logger from '../../js/utils/logger.js';
+
+vi.mock('../../js/core/event-bus.js', () => ({
+    EventBus: {
+        subscribe: vi.fn(() => ({ unsubscribe: vi.fn() })),
+        publish: vi.fn(),
+    },
+}));
+vi.mock('../../js/utils/logger.js', () => ({
+    log: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+}));
+
+const defaultState = {
+    settings: { theme: 'dark' },
+    elements: {
+        'clock-default': { type: 'clock', id: 'clock-default', options: { face: 'clean', timeZone: '' } },
+        'date-default': { type: 'date', id: 'date-default', options: { format: 'Day' } },
+    },
+};
+
+describe('StateManager', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        vi.useFakeTimers();
+        localStorage.clear();
+    });
+
+    describe('init', () => {
+        it('should not bring back default elements missing from the saved state', async () => {
+            localStorage.setItem(StateManager.STORAGE_KEY, JSON.stringify({
+                elements: {
+                    'clock-default': { type: 'clock', id: 'clock-default', options: { face: 'analog' } },
+                    'clock-extra': { type: 'clock', id: 'clock-extra', options: { timeZone: 'Asia/Tokyo' } },
+                },
+            }));
+
+            await StateManager.init(defaultState);
+            const { elements } = StateManager.getState();
+
+            expect(Object.keys(elements)).toEqual(['clock-default', 'clock-extra']);
+            // Kept default elements still pick up keys added to the defaults
+            expect(elements['clock-default'].options).toEqual({ face: 'analog', timeZone: '' });
+            expect(elements['clock-extra'].options.timeZone).toBe('Asia/Tokyo');
+        });
+
+        it('should upgrade the saved state and back up the original', async () => {
+            const saved = { elements: { 'clock-default': { type: 'clock', id: 'clock-default', options: { face: 'led' } } } };
+            localStorage.setItem(StateManager.STORAGE_KEY, JSON.stringify(saved));
+            const migrate = vi.fn(state => ({ ...state, schemaVersion: 1, elements: { 'clock-default': { ...state.elements['clock-default'], options: { face: 'clean' } } } }));
+
+            await StateManager.init(defaultState, { migrate });
+
+            expect(migrate).toHaveBeenCalledWith(saved);
+            expect(StateManager.getState().schemaVersion).toBe(1);
+            expect(StateManager.getState().elements['clock-default'].options.face).toBe('clean');
+            expect(JSON.parse(localStorage.getItem(StateManager.BACKUP_STORAGE_KEY))).toEqual(saved);
+        });
+
+        it('should start from the defaults, keeping a backup, when the upgrade fails', async () => {
+            const saved = { settings: { theme: 'light' } };
+            localStorage.setItem(StateManager.STORAGE_KEY, JSON.stringify(saved));
+
+            await StateManager.init(defaultState, { migrate: () => { throw new Error('boom'); } });
+
+            expect(StateManager.getState()).toEqual(defaultState);
+            expect(JSON.parse(localStorage.getItem(StateManager.BACKUP_STORAGE_KEY))).toEqual(saved);
+        });
+    });
+
+    describe('update', () => {
+        it('should log schema errors introduced by an update in debug mode, and apply it anyway', async () => {
+            const validate = vi.fn(() => ({
+                valid: false,
+                errors: [
+                    { path: 'settings.theme', expected: 'string', actual: 'number' },
+                    { path: 'elements.date-default.options.format', expected: 'string', actual: 'number' }
+                ]
+            }));
+            await StateManager.init(defaultState, { validate });
+
+            StateManager.update({ settings: { theme: 1 } });
+            expect(validate).not.toHaveBeenCalled(); // Debug mode is off
+
+            StateManager.update({ settings: { theme: 2, debugModeEnabled: true } });
+            expect(validate).toHaveBeenCalledWith(StateManager.getState());
+            expect(logger.warn).toHaveBeenCalledTimes(1);
+            // Only the errors under the changed paths
+            expect(logger.warn.mock.calls[0][0]).toMatch(/settings\.theme: expected string, got number$/);
+            expect(StateManager.getState().settings.theme).toBe(2);
+        });
+    });
+
+    describe('undo/redo', () => {
+        beforeEach(async () => {
+            await StateManager.init(defaultState);
+        });
+
+        // Changes made in separate tasks, `ms` apart
+        const nextTask = async (ms = 0) => {
+            await Promise.resolve(); // Let the history close the current task's step
+            vi.advanceTimersByTime(ms);
+        };
+
+        it('should undo and redo changes, element removals and resets', async () => {
+            expect(StateManager.canUndo()).toBe(false);
+            StateManager.update({ settings: { theme: 'light' } });
+            await nextTask(5000);
+            StateManager.remove('elements.date-default');
+            await nextTask(5000);
+            StateManager.resetState();
+
+            expect(StateManager.undo()).toBe(true); // Reset
+            expect(StateManager.getState().elements['date-default']).toBeUndefined();
+            expect(StateManager.undo()).toBe(true); // Removal
+            expect(StateManager.getState().elements['date-default']).toEqual(defaultState.elements['date-default']);
+            expect(EventBus.publish).toHaveBeenCalledWith('state:elements.date-default:changed', defaultState.elements['date-default']);
+            expect(StateManager.undo()).toBe(true);
+            expect(StateManager.getState().settings.theme).toBe('dark');
+            expect(StateManager.undo()).toBe(false);
+
+            expect(StateManager.redo()).toBe(true);
+            expect(StateManager.getState().settings.theme).toBe('light');
+            expect(EventBus.publish).toHaveBeenCalledWith('history:changed', { canUndo: true, canRedo: true });
+
+            // A new change discards the redo steps
+            StateManager.update({ settings: { theme: 'blue' } });
+            expect(StateManager.canRedo()).toBe(false);
+        });
+
+        it('should coalesce rapid changes to the same paths, and changes made in one task', async () => {
+            // Wheel resizing: one step while the changes keep coming
+            for (const scale of [1.1, 1.2, 1.3]) {
+                StateManager.update({ elements: { 'clock-default': { scale } } });
+                await nextTask(300);
+            }
+            await nextTask(2000);
+            // A later resize is a step of its own
+            StateManager.update({ elements: { 'clock-default': { scale: 2 } } });
+            await nextTask(300);
+            // An import: removal and update in the same task
+            StateManager.remove('elements.date-default');
+            StateManager.update({ settings: { theme: 'light' } });
+
+            StateManager.undo();
+            expect(StateManager.getState().settings.theme).toBe('dark');
+            expect(StateManager.getState().elements['date-default']).toBeDefined();
+            StateManager.undo();
+            expect(StateManager.getState().elements['clock-default'].scale).toBe(1.3);
+            StateManager.undo();
+            expect(StateManager.getState().elements['clock-default'].scale).toBeUndefined();
+            expect(StateManager.canUndo()).toBe(false);
+        });
+
+        it('should keep only the previous values of the changed paths', async () => {
+            StateManager.update({ settings: { theme: 'light' } });
+            await nextTask(5000);
+            StateManager.remove('elements.date-default');
+            await nextTask(5000);
+            StateManager.update({ elements: { 'clock-2': { type: 'clock', position: { x: 10 } } } });
+
+            expect(StateManager.history.undoStack.map(step => [...step])).toEqual([
+                [['settings.theme', '"dark"']],
+                [['elements.date-default', JSON.stringify(defaultState.elements['date-default'])]],
+                [['elements.clock-2', undefined]],
+            ]);
+
+            StateManager.undo();
+            expect(StateManager.getState().elements).not.toHaveProperty('clock-2');
+            expect(StateManager.history.redoStack.map(step => [...step])).toEqual([
+                [['elements.clock-2', '{"type":"clock","position":{"x":10}}']],
+            ]);
+            StateManager.redo();
+            expect(StateManager.getState().elements['clock-2']).toEqual({ type: 'clock', position: { x: 10 } });
+        });
+
+        it('should leave transient and UI state out of the history', async () => {
+            StateManager.update({ settings: { controls: { isOpen: true }, debugModeEnabled: true } });
+            expect(StateManager.canUndo()).toBe(false);
+
+            StateManager.update({ settings: { theme: 'light' } });
+            await nextTask(5000);
+            StateManager.update({ currentImageMetadata: { url: 'a.jpg' } });
+            StateManager.undo();
+
+            expect(StateManager.getState().settings).toMatchObject({ theme: 'dark', controls: { isOpen: true } });
+            expect(StateManager.getState().currentImageMetadata).toEqual({ url: 'a.jpg' });
+        });
+    });
+
+    describe('remove', () => {
+        beforeEach(async () => {
+            await StateManager.init(defaultState);
+            vi.clearAllMocks();
+        });
+
+        it('should delete the key and publish change events for the removed path', () => {
+            StateManager.remove('elements.date-default');
+
+            expect(StateManager.getState().elements['date-default']).toBeUndefined();
+            expect(StateManager.getState().elements['clock-default']).toBeDefined();
+            expect(EventBus.publish).toHaveBeenCalledWith('state:elements:changed', StateManager.getState().elements);
+            expect(EventBus.publish).toHaveBeenCalledWith('state:elements.date-default:changed', undefined);
+        });
+
+        it('should do nothing when the path does not exist', () => {
+            const before = StateManager.getState();
+            StateManager.remove('elements.missing');
+
+            expect(StateManager.getState()).toEqual(before);
+            expect(EventBus.publish).not.toHaveBeenCalled();
+        });
+
+        it('should persist the removal', () => {
+            StateManager.remove('elements.date-default');
+            vi.runAllTimers();
+
+            const saved = JSON.parse(localStorage.getItem(StateManager.STORAGE_KEY));
+            expect(saved.elements['date-default']).toBeUndefined();
+        });
+    });
+});
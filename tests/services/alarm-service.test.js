@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AlarmService } from '../../js/services/alarm-service.js';
+import { StateManager } from '../../js/core/state-manager.js';
+import { EventBus } from '../../js/core/event-bus.js';
+import { playChime } from '../../js/utils/chime.js';
+import { isAlarmDue, describeAlarm } from '../../js/services/utils/alarm-helpers.js';
+
+vi.mock('../../js/utils/logger.js', () => ({
+    log: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+}));
+
+vi.mock('../../js/utils/chime.js', () => ({
+    playChime: vi.fn(() => true),
+}));
+
+// Monday 2024-01-15 at the given local time
+const at = (hours, minutes = 0, day = 15, seconds = 0) => new Date(2024, 0, day, hours, minutes, seconds);
+
+describe('alarm helpers', () => {
+    const standUp = { id: 'a1', time: '09:30', days: [1, 2, 3, 4, 5], date: null, enabled: true };
+
+    it('should be due during its minute on its days only', () => {
+        expect(isAlarmDue(standUp, at(9, 30))).toBe(true);
+        expect(isAlarmDue(standUp, at(9, 30, 15, 59))).toBe(true);
+        expect(isAlarmDue(standUp, at(9, 31))).toBe(false);
+        // Saturday 2024-01-20
+        expect(isAlarmDue(standUp, at(9, 30, 20))).toBe(false);
+        expect(isAlarmDue({ ...standUp, days: [] }, at(9, 30, 20))).toBe(true);
+        expect(isAlarmDue({ ...standUp, enabled: false }, at(9, 30))).toBe(false);
+    });
+
+    it('should ring one-off alarms on their date only', () => {
+        const dentist = { id: 'a2', time: '14:00', days: [], date: '2024-01-16', enabled: true };
+        expect(isAlarmDue(dentist, at(14, 0))).toBe(false);
+        expect(isAlarmDue(dentist, at(14, 0, 16))).toBe(true);
+    });
+
+    it('should describe alarms', () => {
+        expect(describeAlarm(standUp)).toBe('09:30 · Weekdays');
+        expect(describeAlarm({ time: '14:00', date: '2024-01-16' })).toBe('14:00 · 2024-01-16');
+    });
+});
+
+describe('AlarmService', () => {
+    let service;
+    let triggered;
+    let subscription;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        EventBus.listeners = {};
+        await StateManager.init({ settings: { alarms: [] }, elements: {} });
+        service = new AlarmService(StateManager);
+        triggered = [];
+        subscription = EventBus.subscribe('alarm:triggered', ({ alarm }) => triggered.push(alarm.id));
+        vi.mocked(playChime).mockClear();
+    });
+
+    afterEach(() => {
+        service.destroy();
+        subscription.unsubscribe();
+    });
+
+    it('should validate new alarms', () => {
+        expect(service.addAlarm({ time: '25:00' }).success).toBe(false);
+        expect(service.addAlarm({ time: '09:00', date: 'tomorrow' }).success).toBe(false);
+
+        const result = service.addAlarm({ label: ' Stand-up ', time: '09:30', days: [5, 1, 1] });
+        expect(result.success).toBe(true);
+        expect(service.getAlarms()).toEqual([
+            expect.objectContaining({ label: 'Stand-up', time: '09:30', days: [1, 5], date: null, enabled: true, sound: true }),
+        ]);
+    });
+
+    it('should ring a recurring alarm once per minute and play the chime', () => {
+        const { alarm } = service.addAlarm({ label: 'Stand-up', time: '09:30' });
+
+        service.check(at(9, 29, 15, 59));
+        service.check(at(9, 30, 15, 0));
+        service.check(at(9, 30, 15, 30));
+        expect(triggered).toEqual([alarm.id]);
+        expect(playChime).toHaveBeenCalledTimes(1);
+
+        // Next day, same time
+        service.check(at(9, 30, 16));
+        expect(triggered).toEqual([alarm.id, alarm.id]);
+        expect(service.getAlarms()[0].enabled).toBe(true);
+    });
+
+    it('should disable one-off alarms after they ring', () => {
+        service.addAlarm({ time: '14:00', date: '2024-01-15', sound: false });
+
+        service.check(at(14, 0));
+        expect(triggered).toHaveLength(1);
+        expect(playChime).not.toHaveBeenCalled();
+        expect(service.getAlarms()[0].enabled).toBe(false);
+    });
+
+    it('should toggle and remove alarms', () => {
+        const { alarm } = service.addAlarm({ time: '09:30' });
+
+        service.setAlarmEnabled(alarm.id, false);
+        service.check(at(9, 30));
+        expect(triggered).toHaveLength(0);
+
+        service.removeAlarm(alarm.id);
+        expect(service.getAlarms()).toEqual([]);
+    });
+});
@@ -2,6 +2,7 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { BackgroundService } from '../../js/services/background-service.js';
 import { EventBus } from '../../js/core/event-bus.js';
 import { StateManager } from '../../js/core/state-manager.js';
+import { VideoBackgroundHandler } from '../../js/services/video-background-handler.js';
 // Mock dependencies
 vi.mock('../../js/core/event-bus.js', () => ({
     EventBus: {
@@ -17,6 +18,7 @@ vi.mock('../../js/core/state-manager.js', () => ({
     },
 }));
 vi.mock('../../js/services/image-background-handler.js'); // Auto-mock the class
+vi.mock('../../js/services/video-background-handler.js');
 vi.mock('../../js/services/image-providers/unsplash-provider.js');
 vi.mock('../../js/services/image-providers/pexels-provider.js');
 vi.mock('../../js/services/image-providers/peapix-provider.js');
@@ -50,6 +52,7 @@ describe('BackgroundService', () => {
         // Mock dependencies
         mockConfigManager = {
             // Add mock methods/properties as needed by BackgroundService
+            isFeatureEnabled: vi.fn(() => true),
         };
         mockFavoritesService = {
             // Add mock methods/properties as needed by BackgroundService
@@ -83,6 +86,7 @@ describe('BackgroundService', () => {
         expect(backgroundService.imageProviders.has('unsplash')).toBe(true);
         expect(backgroundService.imageProviders.has('pexels')).toBe(true);
         expect(backgroundService.imageProviders.has('peapix')).toBe(true);
+        expect(backgroundService.imageProviders.has('local')).toBe(true);
     });
 
     it('should subscribe to necessary EventBus events during init', async () => {
@@ -120,6 +124,54 @@ describe('BackgroundService', () => {
         expect(backgroundService.currentBackgroundHandler.type).toBe('color');
     });
 
+    it('should use the VideoBackgroundHandler and cycle videos when type is video', async () => {
+        VideoBackgroundHandler.mockImplementation(() => ({ type: 'video', init: vi.fn(), update: vi.fn(), destroy: vi.fn() }));
+        const startSpy = vi.spyOn(backgroundService, 'startBackgroundCycling').mockImplementation(() => {});
+        const config = { type: 'video', videoProvider: 'pexels', cycleEnabled: true, cycleInterval: 60000 };
+
+        await backgroundService.applyBackground(config);
+
+        expect(VideoBackgroundHandler).toHaveBeenCalledTimes(1);
+        expect(backgroundService.currentBackgroundHandler.init).toHaveBeenCalled();
+        expect(startSpy).toHaveBeenCalledWith(60000);
+
+        await backgroundService.applyBackground({ ...config, category: 'Travel' });
+        expect(VideoBackgroundHandler).toHaveBeenCalledTimes(1); // Reused
+        expect(backgroundService.currentBackgroundHandler.update).toHaveBeenCalled();
+    });
+
+    it('should fall back to a color background when video backgrounds are disabled', async () => {
+        mockConfigManager.isFeatureEnabled.mockReturnValue(false);
+
+        await backgroundService.applyBackground({ type: 'video', color: '#123456' });
+
+        expect(VideoBackgroundHandler).not.toHaveBeenCalled();
+        expect(backgroundService.currentBackgroundHandler.type).toBe('color');
+    });
+
+    it('should paint a gradient without cycling when type is gradient', async () => {
+        const stopSpy = vi.spyOn(backgroundService, 'stopBackgroundCycling');
+        const gradient = { style: 'linear', angle: 90, stops: ['#ff0000', '#0000ff'], animate: false, timeOfDay: false };
+
+        await backgroundService.applyBackground({ type: 'gradient', gradient });
+
+        expect(backgroundService.currentBackgroundHandler.type).toBe('gradient');
+        expect(stopSpy).toHaveBeenCalled();
+        expect(mockContainerA.style.backgroundImage).toContain('linear-gradient(90deg');
+        expect(mockContainerB.style.opacity).toBe('0');
+
+        await backgroundService.applyBackground({ type: 'color', color: '#123456' });
+        expect(mockContainerA.style.backgroundImage).toBe('none');
+    });
+
+    it('should ask to switch types when a favorite does not match the current background type', async () => {
+        await backgroundService.applyBackground({ type: 'color', color: '#000000' });
+
+        await backgroundService.loadImageFromFavorite({ url: 'https://example.com/a.mp4', mediaType: 'video' });
+
+        expect(EventBus.publish).toHaveBeenCalledWith('ui:showToast', { message: 'Switch the background type to Video to show this favorite.' });
+    });
+
     // TODO: Add tests for image background handling (requires mocking ImageBackgroundHandler)
     // TODO: Add tests for cycling logic (requires vi.useFakeTimers)
     // TODO: Add tests for destroy method (check unsubscribers)
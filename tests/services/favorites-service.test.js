@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { FavoritesService } from '../../js/services/favorites-service.js';
+import { StateManager } from '../../js/core/state-manager.js';
+import { EventBus } from '../../js/core/event-bus.js';
+
+vi.mock('../../js/core/state-manager.js', () => ({
+    StateManager: {
+        getState: vi.fn(() => ({ currentImageMetadata: null, settings: { background: {} } })),
+        update: vi.fn(),
+    },
+}));
+vi.mock('../../js/utils/logger.js', () => ({
+    log: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+}));
+
+const image = (n) => ({ url: `https://example.com/${n}.jpg`, provider: 'unsplash' });
+
+describe('FavoritesService collections', () => {
+    let service;
+
+    beforeEach(async () => {
+        vi.clearAllMocks();
+        service = new FavoritesService(StateManager);
+        await service.init(); // No IndexedDB in jsdom: uses localStorage
+    });
+
+    afterEach(() => localStorage.clear());
+
+    it('does not limit the number of favorites', () => {
+        for (let i = 0; i < 25; i++) {
+            expect(service.addFavorite(image(i)).success).toBe(true);
+        }
+        expect(service.getFavoritesCount()).toBe(25);
+    });
+
+    it('creates and renames collections with unique names', () => {
+        const { collection } = service.createCollection('  Mountains ');
+        expect(collection.name).toBe('Mountains');
+        expect(service.createCollection('mountains').success).toBe(false);
+        expect(service.createCollection('').success).toBe(false);
+
+        service.createCollection('Holiday');
+        expect(service.renameCollection(collection.id, 'Holiday').success).toBe(false);
+        expect(service.renameCollection(collection.id, 'Alps').success).toBe(true);
+        expect(service.getCollections().map(c => c.name)).toEqual(['Alps', 'Holiday']);
+    });
+
+    it('adds and moves favorites between collections and picks random favorites from one', () => {
+        const publishSpy = vi.spyOn(EventBus, 'publish');
+        const { collection } = service.createCollection('Mountains');
+        const first = service.addFavorite(image(1), collection.id).favorite;
+        const second = service.addFavorite(image(2)).favorite;
+        service.addFavorite(image(3));
+
+        expect(first.collectionId).toBe(collection.id);
+        expect(service.getFavoritesCount(collection.id)).toBe(1);
+        expect(service.getRandomFavorite(collection.id)).toBeNull(); // Needs 2 to pick from
+
+        expect(service.moveFavoriteToCollection(second.id, collection.id).success).toBe(true);
+        expect(service.getFavorites(collection.id).map(fav => fav.id)).toEqual([first.id, second.id]);
+        expect([first.id, second.id]).toContain(service.getRandomFavorite(collection.id).id);
+        expect(publishSpy).toHaveBeenCalledWith('favorites:changed', expect.any(Object));
+
+        expect(service.moveFavoriteToCollection(second.id, 'missing').success).toBe(false);
+    });
+
+    it('keeps the favorites of a deleted collection and stops targeting it', () => {
+        const { collection } = service.createCollection('Holiday');
+        service.addFavorite(image(1), collection.id);
+        StateManager.getState.mockReturnValue({ settings: { background: { favoritesCollectionId: collection.id } } });
+
+        expect(service.deleteCollection(collection.id).success).toBe(true);
+
+        expect(service.getCollections()).toEqual([]);
+        expect(service.getFavorites()[0].collectionId).toBeNull();
+        expect(StateManager.update).toHaveBeenCalledWith({ settings: { background: { favoritesCollectionId: null } } });
+    });
+
+    it('drops references to unknown collections when replacing favorites', () => {
+        const collections = [{ id: 'c1', name: 'Imported', createdAt: 1 }];
+        service.replaceFavorites([{ id: 'a', url: 'https://example.com/a.jpg', collectionId: 'c1' },
+            { id: 'b', url: 'https://example.com/b.jpg', collectionId: 'gone' }], collections);
+
+        expect(service.getCollections()).toEqual(collections);
+        expect(service.getFavorites().map(fav => fav.collectionId)).toEqual(['c1', null]);
+    });
+
+    it('keeps video favorites apart from image favorites', () => {
+        service.addFavorite(image(1));
+        service.addFavorite(image(2));
+        const { favorite } = service.addFavorite({
+            url: 'https://example.com/1.mp4', posterUrl: 'https://example.com/1.jpg', mediaType: 'video'
+        });
+
+        expect(favorite.mediaType).toBe('video');
+        expect(favorite.thumbnailUrl).toBe('https://example.com/1.jpg');
+        expect(service.getFavoritesCount(null, 'image')).toBe(2);
+        expect(service.getFavoritesCount(null, 'video')).toBe(1);
+        expect(service.getRandomFavorite(null, 'video')).toBeNull(); // Needs 2 to pick from
+        expect(service.getRandomFavorite(null, 'image').mediaType).toBe('image');
+    });
+
+    it('pins favorite images with their attribution for offline use', async () => {
+        const imageBlobStorage = { storeImage: vi.fn(async () => true) };
+        service = new FavoritesService(StateManager, imageBlobStorage);
+        await service.init();
+
+        service.addFavorite({ ...image(1), photographer: 'Ada', photographerUrl: 'https://example.com/ada' });
+
+        await vi.waitFor(() => expect(imageBlobStorage.storeImage).toHaveBeenCalledWith('https://example.com/1.jpg', {
+            pinned: true,
+            metadata: { authorName: 'Ada', authorUrl: 'https://example.com/ada', source: 'unsplash' }
+        }));
+    });
+});
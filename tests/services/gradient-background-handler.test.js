@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GradientBackgroundHandler } from '../../js/services/gradient-background-handler.js';
+import {
+    normalizeGradientConfig,
+    buildGradientCss,
+    getTimeOfDayStops,
+    interpolateColor,
+    DEFAULT_GRADIENT,
+    TIME_OF_DAY_PALETTES,
+} from '../../js/services/utils/gradient-helpers.js';
+
+vi.mock('../../js/utils/logger.js', () => ({
+    log: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+}));
+
+const at = (hours, minutes = 0) => new Date(2024, 5, 1, hours, minutes);
+
+describe('gradient helpers', () => {
+    it('fills in defaults and drops invalid stops', () => {
+        expect(normalizeGradientConfig()).toEqual(DEFAULT_GRADIENT);
+        expect(normalizeGradientConfig({ style: 'radial', angle: -90, stops: ['#000000', 'red', '#ffffff'] })).toMatchObject({
+            style: 'radial',
+            angle: 270,
+            stops: ['#000000', '#ffffff'],
+        });
+        expect(normalizeGradientConfig({ stops: ['#000000'] }).stops).toEqual(DEFAULT_GRADIENT.stops);
+        expect(normalizeGradientConfig({ stops: Array(8).fill('#000000') }).stops).toHaveLength(5);
+    });
+
+    it('builds linear and radial CSS gradients', () => {
+        expect(buildGradientCss({ style: 'linear', angle: 45, stops: ['#000000', '#ffffff'] }))
+            .toBe('linear-gradient(45deg, #000000, #ffffff)');
+        expect(buildGradientCss({ style: 'radial', angle: 45, stops: ['#000000', '#ffffff'] }))
+            .toBe('radial-gradient(circle at center, #000000, #ffffff)');
+    });
+
+    it('blends colors', () => {
+        expect(interpolateColor('#000000', '#ffffff', 0.5)).toBe('#808080');
+        expect(interpolateColor('#000000', '#ffffff', 2)).toBe('#ffffff');
+    });
+
+    it('uses the palette for the hour and blends between palettes', () => {
+        const noon = TIME_OF_DAY_PALETTES.find(palette => palette.hour === 12);
+        expect(getTimeOfDayStops(at(12))).toEqual(noon.stops);
+        expect(getTimeOfDayStops(at(14, 30))).toEqual(noon.stops.map((stop, i) =>
+            interpolateColor(stop, TIME_OF_DAY_PALETTES.find(palette => palette.hour === 17).stops[i], 0.5)));
+    });
+
+    it('blends the last palette back into the first one around midnight', () => {
+        const evening = TIME_OF_DAY_PALETTES[TIME_OF_DAY_PALETTES.length - 1];
+        const night = TIME_OF_DAY_PALETTES[0];
+        const progress = (22.5 - evening.hour) / (24 - evening.hour);
+        expect(getTimeOfDayStops(at(22, 30))).toEqual(evening.stops.map((stop, i) => interpolateColor(stop, night.stops[i], progress)));
+    });
+});
+
+describe('GradientBackgroundHandler', () => {
+    let handler;
+    let containerA;
+    let containerB;
+
+    beforeEach(async () => {
+        vi.useFakeTimers();
+        containerA = document.createElement('div');
+        containerB = document.createElement('div');
+        handler = new GradientBackgroundHandler(containerA, containerB);
+        await handler.init();
+    });
+
+    afterEach(() => {
+        handler.destroy();
+        vi.useRealTimers();
+    });
+
+    it('paints the gradient in the visible container and toggles drifting', () => {
+        handler.update({ gradient: { style: 'radial', stops: ['#ff0000', '#0000ff'], animate: true } });
+
+        expect(containerA.style.backgroundImage).toContain('radial-gradient');
+        expect(containerA.style.opacity).toBe('1');
+        expect(containerB.style.opacity).toBe('0');
+        expect(containerA.classList.contains('gradient-drift')).toBe(true);
+
+        handler.update({ gradient: { stops: ['#ff0000', '#0000ff'], animate: false } });
+        expect(containerA.classList.contains('gradient-drift')).toBe(false);
+    });
+
+    it('follows the time of day until it is turned off', () => {
+        vi.setSystemTime(at(12));
+        handler.update({ gradient: { timeOfDay: true, animate: false } });
+        const noonCss = containerA.style.backgroundImage;
+
+        vi.setSystemTime(at(18));
+        vi.advanceTimersByTime(60000);
+        expect(containerA.style.backgroundImage).not.toBe(noonCss);
+
+        handler.update({ gradient: { timeOfDay: false } });
+        expect(handler.timeOfDayIntervalId).toBeNull();
+    });
+});
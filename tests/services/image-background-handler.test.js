@@ -2,6 +2,7 @@ import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
 import { ImageBackgroundHandler } from '../../js/services/image-background-handler.js';
 import { StateManager } from '../../js/core/state-manager.js';
 import { RateLimitError } from '../../js/core/errors.js'; // Import the centralized error
+import { setLanguage } from '../../js/i18n/i18n.js';
 
 // Mock dependencies
 vi.mock('../../js/core/state-manager.js', () => ({
@@ -192,6 +193,41 @@ describe('ImageBackgroundHandler', () => {
         expect(handler.activeContainer.classList.contains('zoom-effect')).toBe(true);
      });
 
+    it('should fall back to a stored image when the batch fetch fails', async () => {
+        mockUnsplashProvider.getImageBatch.mockRejectedValue(new Error('Failed to fetch'));
+        const mockImageBlobStorage = {
+            getRandomImage: vi.fn().mockResolvedValue({ url: 'stored_url_1', source: 'unsplash' }),
+            getObjectUrl: vi.fn().mockResolvedValue('blob:stored_url_1'),
+        };
+        handler = new ImageBackgroundHandler(
+            mockContainerA, mockContainerB, initialConfig, mockProviders, mockConfigManager, mockFavoritesService, mockImageBlobStorage
+        );
+
+        await handler.loadImage();
+
+        expect(mockImageBlobStorage.getRandomImage).toHaveBeenCalled();
+        expect(mockContainerB.style.backgroundImage).toContain('blob:stored_url_1');
+    });
+
+    it('should fall back to a favorite when the batch fetch fails and no images are stored', async () => {
+        mockUnsplashProvider.getImageBatch.mockRejectedValue(new Error('Failed to fetch'));
+        mockFavoritesService.getRandomFavorite.mockReturnValue({ id: 'fav1', url: 'favorite_url_1', provider: 'unsplash' });
+
+        await handler.loadImage();
+
+        expect(mockContainerB.style.backgroundImage).toContain('favorite_url_1');
+    });
+
+    it('should show placeholder messages in the UI language', async () => {
+        mockUnsplashProvider.getImageBatch.mockResolvedValue([]);
+        setLanguage('de');
+
+        await handler.loadImage();
+        setLanguage('en');
+
+        expect(decodeURIComponent(mockContainerB.style.backgroundImage)).toContain('Keine Bilder gefunden');
+    });
+
     // TODO: Add tests for proactive fetching (threshold logic)
     // TODO: Add tests for Peapix provider logic (country code)
     // TODO: Add tests for 'Other' category handling
@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { LocalProvider, LOCAL_FILE_URL_PREFIX, isLocalImageUrl } from '../../js/services/image-providers/local-provider.js';
+import { determineImageQueryKey } from '../../js/services/utils/background-helpers.js';
+
+vi.mock('../../js/utils/logger.js', () => ({
+    log: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+}));
+
+/** Minimal in-memory stand-ins for File System Access handles */
+const createFile = (name) => ({ kind: 'file', name, getFile: vi.fn(async () => new Blob([name])) });
+const createDirectory = (name, entries, permission = 'granted') => ({
+    kind: 'directory',
+    name,
+    async *values() { yield* entries; },
+    queryPermission: vi.fn(async () => permission),
+});
+
+const createHandleStorage = (handle = null) => ({
+    get: vi.fn(async () => handle),
+    save: vi.fn(async () => true),
+    remove: vi.fn(async () => true),
+});
+
+const mockFetchResponse = (body, ok = true) => vi.fn().mockResolvedValue({
+    ok,
+    status: ok ? 200 : 404,
+    statusText: ok ? 'OK' : 'Not Found',
+    url: 'http://localhost/images/manifest.json',
+    json: async () => body,
+});
+
+describe('LocalProvider', () => {
+    beforeEach(() => {
+        URL.createObjectURL = vi.fn(blob => `blob:mock/${blob.size}`);
+        URL.revokeObjectURL = vi.fn();
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        delete window.showDirectoryPicker;
+    });
+
+    it('should read images from the manifest, resolving relative URLs', async () => {
+        vi.stubGlobal('fetch', mockFetchResponse({
+            authorName: 'Family Photos',
+            images: [
+                'lake.jpg',
+                { url: 'https://cdn.example.com/peak.jpg', authorName: 'Alex', authorUrl: 'https://example.com/alex' },
+                { title: 'No URL' },
+            ],
+        }));
+        const provider = new LocalProvider({ handleStorage: createHandleStorage() });
+
+        const batch = await provider.getImageBatch('manifest', 10);
+
+        expect(fetch).toHaveBeenCalledWith('images/manifest.json', expect.any(Object));
+        expect(batch).toHaveLength(2);
+        expect(batch).toEqual(expect.arrayContaining([
+            { url: 'http://localhost/images/lake.jpg', authorName: 'Family Photos', authorUrl: '#', source: 'local' },
+            { url: 'https://cdn.example.com/peak.jpg', authorName: 'Alex', authorUrl: 'https://example.com/alex', source: 'local' },
+        ]));
+    });
+
+    it('should limit the batch size and reject a missing manifest', async () => {
+        vi.stubGlobal('fetch', mockFetchResponse(['a.jpg', 'b.jpg', 'c.jpg']));
+        const provider = new LocalProvider({ handleStorage: createHandleStorage() });
+        expect(await provider.getImageBatch('manifest', 2)).toHaveLength(2);
+
+        vi.stubGlobal('fetch', mockFetchResponse(null, false));
+        await expect(provider.getImageBatch('manifest', 2)).rejects.toThrow('404');
+    });
+
+    it('should list images from the stored folder with stable URLs', async () => {
+        const folder = createDirectory('Photos', [
+            createFile('beach.jpg'),
+            createFile('notes.txt'),
+            createDirectory('2024', [createFile('snow.PNG')]),
+            createDirectory('.thumbnails', [createFile('cached.jpg')]),
+        ]);
+        const provider = new LocalProvider({ handleStorage: createHandleStorage(folder) });
+
+        const batch = await provider.getImageBatch('folder-abc', 10);
+
+        expect(batch.map(image => image.url).sort()).toEqual([
+            `${LOCAL_FILE_URL_PREFIX}2024/snow.PNG`,
+            `${LOCAL_FILE_URL_PREFIX}beach.jpg`,
+        ]);
+        expect(batch[0]).toMatchObject({ authorName: 'Photos', source: 'local' });
+    });
+
+    it('should resolve local file URLs to object URLs and leave other URLs alone', async () => {
+        const beach = createFile('beach.jpg');
+        const provider = new LocalProvider({ handleStorage: createHandleStorage(createDirectory('Photos', [beach])) });
+
+        const url = await provider.resolveImageUrl(`${LOCAL_FILE_URL_PREFIX}beach.jpg`);
+        expect(url).toMatch(/^blob:mock\//);
+        // Object URLs are reused for the rest of the session
+        expect(await provider.resolveImageUrl(`${LOCAL_FILE_URL_PREFIX}beach.jpg`)).toBe(url);
+        expect(beach.getFile).toHaveBeenCalledTimes(1);
+
+        expect(await provider.resolveImageUrl('https://images.example.com/a.jpg')).toBe('https://images.example.com/a.jpg');
+        await expect(provider.resolveImageUrl(`${LOCAL_FILE_URL_PREFIX}missing.jpg`)).rejects.toThrow('missing.jpg');
+    });
+
+    it('should fail when no folder is stored or permission was not granted', async () => {
+        const noFolder = new LocalProvider({ handleStorage: createHandleStorage() });
+        await expect(noFolder.getImageBatch('folder-abc')).rejects.toThrow('No local folder selected');
+
+        const denied = new LocalProvider({ handleStorage: createHandleStorage(createDirectory('Photos', [], 'prompt')) });
+        await expect(denied.getImageBatch('folder-abc')).rejects.toThrow('granted again');
+    });
+
+    it('should remember a picked folder and report a new folder ID', async () => {
+        const folder = createDirectory('Holiday', [createFile('a.jpg')]);
+        window.showDirectoryPicker = vi.fn().mockResolvedValue(folder);
+        const handleStorage = createHandleStorage();
+        const provider = new LocalProvider({ handleStorage });
+
+        const picked = await provider.chooseDirectory();
+
+        expect(picked).toMatchObject({ name: 'Holiday', id: expect.any(String) });
+        expect(handleStorage.save).toHaveBeenCalledWith(expect.any(String), folder);
+        expect(await provider.getImageBatch(`folder-${picked.id}`)).toHaveLength(1);
+
+        window.showDirectoryPicker.mockRejectedValue(Object.assign(new Error('cancelled'), { name: 'AbortError' }));
+        expect(await provider.chooseDirectory()).toBeNull();
+    });
+
+    it('should key the cache by picked folder, falling back to the manifest', () => {
+        expect(determineImageQueryKey({ source: 'local' })).toBe('manifest');
+        expect(determineImageQueryKey({ source: 'local', localFolderId: 'k1', category: 'Other' })).toBe('folder-k1');
+        expect(isLocalImageUrl(`${LOCAL_FILE_URL_PREFIX}a.jpg`)).toBe(true);
+        expect(isLocalImageUrl('https://example.com/a.jpg')).toBe(false);
+    });
+});
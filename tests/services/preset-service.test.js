@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import { PresetService } from '../../js/services/preset-service.js';
+import { SettingsIOService } from '../../js/services/settings-io-service.js';
+import { StateManager } from '../../js/core/state-manager.js';
+import { EventBus } from '../../js/core/event-bus.js';
+import { getDefaultState } from '../../js/state/default-state.js';
+import { validateState } from '../../js/state/state-schema.js';
+import { createPresetState } from '../../js/services/utils/preset-helpers.js';
+import { registerElementTypes } from '../../js/core/element-registration.js';
+import { registerClockFaces } from '../../js/core/clock-face-registration.js';
+
+vi.mock('../../js/utils/logger.js', () => ({
+    log: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+}));
+
+const createFavoritesService = () => ({
+    favorites: [{ id: 'fav-1', url: 'a.jpg' }],
+    collections: [],
+    getFavorites() { return this.favorites; },
+    getCollections() { return this.collections; },
+    replaceFavorites: vi.fn(function (favorites, collections) {
+        this.favorites = favorites;
+        this.collections = collections;
+        return true;
+    }),
+});
+
+describe('PresetService', () => {
+    let favoritesService;
+    let settingsIOService;
+    let service;
+
+    beforeAll(() => {
+        registerElementTypes();
+        registerClockFaces();
+    });
+
+    beforeEach(async () => {
+        vi.useFakeTimers();
+        localStorage.clear();
+        EventBus.listeners = {};
+        await StateManager.init(getDefaultState());
+        favoritesService = createFavoritesService();
+        settingsIOService = new SettingsIOService(favoritesService);
+        service = new PresetService(StateManager, settingsIOService, favoritesService);
+    });
+
+    it('should ship valid built-in presets and apply them as the whole look', () => {
+        const builtIns = service.getPresets();
+        expect(builtIns.map(preset => preset.name)).toEqual(['Minimal Clock', 'Full Dashboard', 'Photo Frame']);
+        builtIns.forEach(preset => expect(validateState(preset.state).errors).toEqual([]));
+
+        StateManager.update({
+            settings: { schedule: { activeProfileId: 'profile-night' }, alarms: [{ id: 'alarm-1', time: '07:00' }] }
+        });
+
+        expect(service.applyPreset('builtin-full-dashboard').success).toBe(true);
+        expect(Object.keys(StateManager.getState().elements)).toEqual(
+            expect.arrayContaining(['clock-default', 'date-default', 'weather-dashboard', 'agenda-dashboard']));
+
+        expect(service.applyPreset('builtin-photo-frame').success).toBe(true);
+        const state = StateManager.getState();
+        // Elements the preset doesn't contain are removed
+        expect(state.elements['weather-dashboard']).toBeUndefined();
+        expect(state.elements['date-default']).toBeUndefined();
+        expect(state.elements['clock-default'].position).toEqual({ x: 88, y: 90 });
+        expect(state.settings.background.cycleInterval).toBe(600000);
+        // The schedule and alarms stay, but the active profile no longer records the changes
+        expect(state.settings.alarms).toEqual([{ id: 'alarm-1', time: '07:00' }]);
+        expect(state.settings.schedule.activeProfileId).toBeNull();
+        // Favorites are only replaced by presets saved with them
+        expect(favoritesService.replaceFavorites).not.toHaveBeenCalled();
+    });
+
+    it('should save, rename, duplicate and delete user presets', () => {
+        StateManager.update({ settings: { background: { overlayOpacity: 0.6 } } });
+        const { preset } = service.savePreset('  Evening  ', { includeFavorites: true });
+        expect(preset).toMatchObject({ name: 'Evening', favorites: favoritesService.favorites });
+        expect(preset.state.settings.presets).toBeUndefined();
+        expect(preset.state.settings.schedule).toBeUndefined();
+        expect(StateManager.getState().settings.presets[preset.id]).toEqual(preset);
+
+        // Names are unique (case-insensitive), including the built-in ones
+        expect(service.savePreset('evening').success).toBe(false);
+        expect(service.savePreset('Photo Frame').success).toBe(false);
+        expect(service.savePreset(' ').success).toBe(false);
+
+        expect(service.renamePreset(preset.id, 'Late Evening').success).toBe(true);
+        expect(service.getPreset(preset.id).name).toBe('Late Evening');
+        // Built-in presets can only be copied
+        expect(service.renamePreset('builtin-minimal-clock', 'Mine').success).toBe(false);
+        expect(service.deletePreset('builtin-minimal-clock')).toBe(false);
+
+        const copy = service.duplicatePreset('builtin-minimal-clock').preset;
+        expect(copy).toMatchObject({ name: 'Copy of Minimal Clock', state: service.getPreset('builtin-minimal-clock').state });
+        expect(copy.builtIn).toBeUndefined();
+        expect(service.duplicatePreset('builtin-minimal-clock').preset.name).toBe('Copy of Minimal Clock (2)');
+
+        expect(service.deletePreset(copy.id)).toBe(true);
+        expect(service.getPreset(copy.id)).toBeNull();
+        expect(service.getPresets()).toHaveLength(5);
+
+        // Applying restores the look and the favorites saved with it
+        service.applyPreset('builtin-minimal-clock');
+        favoritesService.favorites = [];
+        service.applyPreset(preset.id);
+        expect(StateManager.getState().settings.background.overlayOpacity).toBe(0.6);
+        expect(StateManager.getState().settings.presets[preset.id]).toBeDefined();
+        expect(favoritesService.replaceFavorites).toHaveBeenCalledWith([{ id: 'fav-1', url: 'a.jpg' }], []);
+    });
+
+    it('should neither capture nor change the face module URLs', () => {
+        StateManager.update({ settings: { clockFaceUrls: ['https://example.com/face.js'] } });
+        const { preset } = service.savePreset('Mine');
+        expect(preset.state.settings).not.toHaveProperty('clockFaceUrls');
+
+        // A preset saved by an earlier version that still holds them
+        const oldState = createPresetState(StateManager.getState());
+        oldState.settings.clockFaceUrls = ['https://attacker.example/face.js'];
+        StateManager.update({ settings: { presets: { 'preset-old': { id: 'preset-old', name: 'Old', state: oldState } } } });
+
+        expect(service.applyPreset('preset-old').success).toBe(true);
+        expect(StateManager.getState().settings.clockFaceUrls).toEqual(['https://example.com/face.js']);
+
+        const download = vi.spyOn(settingsIOService, 'downloadJson').mockImplementation(() => {});
+        service.exportPreset('preset-old');
+        expect(download.mock.calls[0][0].state.settings).not.toHaveProperty('clockFaceUrls');
+    });
+
+    it('should export a preset in the settings file format', () => {
+        const download = vi.spyOn(settingsIOService, 'downloadJson').mockImplementation(() => {});
+
+        expect(service.exportPreset('builtin-photo-frame')).toBe(true);
+
+        const [data, fileName] = download.mock.calls[0];
+        expect(fileName).toBe('ambient_clock_preset_photo_frame.json');
+        expect(data).toMatchObject({ version: 2, state: service.getPreset('builtin-photo-frame').state });
+        expect(data).not.toHaveProperty('favorites');
+        expect(service.exportPreset('missing')).toBe(false);
+    });
+});
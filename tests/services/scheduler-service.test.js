@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SchedulerService } from '../../js/services/scheduler-service.js';
+import { StateManager } from '../../js/core/state-manager.js';
+import { EventBus } from '../../js/core/event-bus.js';
+import { getScheduledProfileId, extractProfileChanges } from '../../js/services/utils/schedule-helpers.js';
+
+vi.mock('../../js/utils/logger.js', () => ({
+    log: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+}));
+
+const createInitialState = () => ({
+    settings: {
+        background: { provider: 'peapix', query: 'nature', overlayOpacity: 0.3 },
+        controls: { isOpen: false },
+        schedule: { enabled: false, activeProfileId: null, profiles: {}, rules: [] },
+    },
+    elements: {
+        'clock-default': { type: 'clock', id: 'clock-default', opacity: 0.75, options: { face: 'clean' } },
+    },
+});
+
+const nightPatch = {
+    settings: { background: { overlayOpacity: 0.7, query: 'night sky' } },
+    elements: { 'clock-default': { opacity: 0.4, options: { face: 'analog' } } },
+};
+
+// Monday 2024-01-15 at the given local time
+const at = (hours, minutes = 0, day = 15) => new Date(2024, 0, day, hours, minutes);
+
+describe('schedule helpers', () => {
+    const rules = [
+        { id: 'r1', profileId: 'day', start: '07:00', days: [] },
+        { id: 'r2', profileId: 'night', start: '22:00', days: [] },
+    ];
+
+    it('should pick the profile whose boundary passed most recently', () => {
+        expect(getScheduledProfileId(rules, at(12))).toBe('day');
+        expect(getScheduledProfileId(rules, at(22))).toBe('night');
+        // Before 07:00 the previous evening's rule still applies
+        expect(getScheduledProfileId(rules, at(3))).toBe('night');
+    });
+
+    it('should respect days of the week', () => {
+        const weekendRule = { id: 'r3', profileId: 'weekend', start: '09:00', days: [0, 6] };
+        // Saturday 2024-01-20 at 10:00
+        expect(getScheduledProfileId([...rules, weekendRule], at(10, 0, 20))).toBe('weekend');
+        // Monday at 10:00 - the weekend rule last fired on Sunday, the day rule fired more recently
+        expect(getScheduledProfileId([...rules, weekendRule], at(10))).toBe('day');
+    });
+
+    it('should return null without usable rules', () => {
+        expect(getScheduledProfileId([], at(12))).toBeNull();
+        expect(getScheduledProfileId([{ profileId: 'x', start: '25:00' }], at(12))).toBeNull();
+    });
+
+    it('should keep only profile-relevant changes', () => {
+        const { patch, removedElementIds } = extractProfileChanges({
+            settings: { controls: { isOpen: true }, background: { query: 'city' } },
+            elements: { 'clock-default': { opacity: 0.5 }, 'date-2': null },
+        });
+        expect(patch).toEqual({
+            settings: { background: { query: 'city' } },
+            elements: { 'clock-default': { opacity: 0.5 } },
+        });
+        expect(removedElementIds).toEqual(['date-2']);
+    });
+});
+
+describe('SchedulerService', () => {
+    let service;
+
+    beforeEach(async () => {
+        vi.useFakeTimers();
+        localStorage.clear();
+        EventBus.listeners = {};
+        await StateManager.init(createInitialState());
+        service = new SchedulerService(StateManager);
+        service.init();
+    });
+
+    afterEach(() => {
+        service.destroy();
+        vi.useRealTimers();
+    });
+
+    it('should apply a profile patch and mark it active', () => {
+        const { profile } = service.createProfile('Night', nightPatch);
+        service.activateProfile(profile.id);
+
+        const state = StateManager.getState();
+        expect(state.settings.background).toMatchObject({ provider: 'peapix', overlayOpacity: 0.7, query: 'night sky' });
+        expect(state.elements['clock-default']).toMatchObject({ opacity: 0.4, options: { face: 'analog' } });
+        expect(state.settings.schedule.activeProfileId).toBe(profile.id);
+    });
+
+    it('should save manual edits into the active profile', () => {
+        const { profile } = service.createProfile('Night', nightPatch);
+        service.activateProfile(profile.id);
+
+        StateManager.update({ elements: { 'clock-default': { opacity: 0.2 } } });
+        StateManager.update({ settings: { controls: { isOpen: true } } }); // UI state is never recorded
+
+        const savedPatch = service.getSchedule().profiles[profile.id].patch;
+        expect(savedPatch.elements['clock-default']).toEqual({ opacity: 0.2, options: { face: 'analog' } });
+        expect(savedPatch.settings.controls).toBeUndefined();
+    });
+
+    it('should not record edits when no profile is active', () => {
+        const { profile } = service.createProfile('Night', nightPatch);
+        StateManager.update({ elements: { 'clock-default': { opacity: 0.2 } } });
+
+        expect(service.getSchedule().profiles[profile.id].patch).toEqual(nightPatch);
+    });
+
+    it('should switch profiles when a rule boundary is crossed', () => {
+        const day = service.createProfile('Day', { elements: { 'clock-default': { opacity: 0.9 } } }).profile;
+        const night = service.createProfile('Night', nightPatch).profile;
+        service.addRule({ profileId: day.id, start: '07:00' });
+        service.addRule({ profileId: night.id, start: '22:00' });
+        service.setEnabled(true); // Applies the currently scheduled profile right away
+
+        service.check(at(21, 59));
+        expect(service.getSchedule().activeProfileId).toBe(day.id);
+        expect(StateManager.getState().elements['clock-default'].opacity).toBe(0.9);
+
+        service.check(at(22, 0));
+        expect(service.getSchedule().activeProfileId).toBe(night.id);
+        expect(StateManager.getState().elements['clock-default'].opacity).toBe(0.4);
+    });
+
+    it('should keep a manually applied profile until the next boundary', () => {
+        const day = service.createProfile('Day', { elements: { 'clock-default': { opacity: 0.9 } } }).profile;
+        const night = service.createProfile('Night', nightPatch).profile;
+        service.addRule({ profileId: day.id, start: '07:00' });
+        service.addRule({ profileId: night.id, start: '22:00' });
+        service.setEnabled(true);
+        service.check(at(12));
+
+        service.activateProfile(night.id);
+        service.check(at(13));
+        expect(service.getSchedule().activeProfileId).toBe(night.id);
+    });
+
+    it('should delete a profile together with its rules', () => {
+        const night = service.createProfile('Night', nightPatch).profile;
+        service.addRule({ profileId: night.id, start: '22:00' });
+        service.activateProfile(night.id);
+
+        service.deleteProfile(night.id);
+        const schedule = service.getSchedule();
+        expect(schedule.profiles[night.id]).toBeUndefined();
+        expect(schedule.rules).toEqual([]);
+        expect(schedule.activeProfileId).toBeNull();
+    });
+});
@@ -0,0 +1,198 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { SettingsIOService } from '../../js/services/settings-io-service.js';
+import { StateManager } from '../../js/core/state-manager.js';
+import { EventBus } from '../../js/core/event-bus.js';
+import { getDefaultState, NON_LOOK_SETTINGS_KEYS } from '../../js/state/default-state.js';
+import { registerElementTypes } from '../../js/core/element-registration.js';
+import { registerClockFaces, initClockFaceModules } from '../../js/core/clock-face-registration.js';
+import { ClockFaceRegistry } from '../../js/core/clock-face-registry.js';
+import { ComponentRegistry } from '../../js/core/component-registry.js';
+import { encodeShareData, decodeShareData, getSharedSettingsParam, MAX_ENCODED_LENGTH, MAX_DECODED_BYTES } from '../../js/services/utils/share-helpers.js';
+import { createPresetState } from '../../js/services/utils/preset-helpers.js';
+
+vi.mock('../../js/utils/logger.js', () => ({
+    log: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+}));
+
+describe('settings links', () => {
+    let service;
+
+    beforeAll(() => {
+        registerElementTypes();
+        registerClockFaces();
+    });
+
+    beforeEach(async () => {
+        localStorage.clear();
+        EventBus.listeners = {};
+        await StateManager.init(getDefaultState());
+        service = new SettingsIOService({ getFavorites: () => [], getCollections: () => [], replaceFavorites: vi.fn() });
+        vi.stubGlobal('confirm', vi.fn(() => true));
+        vi.stubGlobal('alert', vi.fn());
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+        history.replaceState(null, '', '/');
+    });
+
+    it('should encode data compactly and decode it again', async () => {
+        const data = { version: 2, state: getDefaultState() };
+        const encoded = await encodeShareData(data);
+
+        expect(encoded).toMatch(/^z[A-Za-z0-9_-]+$/);
+        expect(encoded.length).toBeLessThan(JSON.stringify(data).length * 0.6);
+        expect(await decodeShareData(encoded)).toEqual(data);
+        // Plain JSON, as written by browsers without CompressionStream
+        expect(await decodeShareData(`j${btoa('{"a":1}')}`)).toEqual({ a: 1 });
+        expect(getSharedSettingsParam(`#cfg=${encoded}`)).toBe(encoded);
+        expect(getSharedSettingsParam('#other=1')).toBeNull();
+    });
+
+    it('should refuse links that are too long or decompress to too much data', async () => {
+        await expect(decodeShareData(`j${'A'.repeat(MAX_ENCODED_LENGTH)}`)).rejects.toThrow('too large');
+
+        // A few kilobytes that inflate past the limit
+        const bomb = await encodeShareData({ padding: ' '.repeat(MAX_DECODED_BYTES) });
+        expect(bomb.length).toBeLessThan(MAX_ENCODED_LENGTH);
+        await expect(decodeShareData(bomb)).rejects.toThrow('too large');
+    });
+
+    it('should apply the look shared in a link after asking, and clear the hash', async () => {
+        StateManager.update({ settings: { background: { overlayOpacity: 0.8 }, clockFaceUrls: ['https://example.com/face.js'] } });
+        const url = await service.createShareUrl();
+        // Settings that aren't part of the look stay local, whatever a link holds
+        const localSettings = {
+            presets: { 'preset-1': { id: 'preset-1', name: 'Mine', state: createPresetState(getDefaultState()) } },
+            schedule: { enabled: true, activeProfileId: 'profile-night', profiles: {}, rules: [] },
+            alarms: [{ id: 'alarm-1', time: '07:00' }],
+            controls: { isOpen: true },
+            debugModeEnabled: true,
+            language: 'fr',
+            clockFaceUrls: ['https://example.com/other-face.js']
+        };
+        expect(Object.keys(localSettings).sort()).toEqual([...NON_LOOK_SETTINGS_KEYS].sort());
+        StateManager.resetState();
+        StateManager.update({ settings: localSettings });
+        StateManager.remove('elements.date-default');
+        history.replaceState(null, '', url.slice(url.indexOf('/', 'https://'.length)));
+
+        const shared = await decodeShareData(getSharedSettingsParam(window.location.hash));
+        NON_LOOK_SETTINGS_KEYS.forEach(key => expect(shared.state.settings).not.toHaveProperty(key));
+
+        expect(await service.importSharedSettings()).toBe(true);
+
+        expect(confirm).toHaveBeenCalledTimes(1);
+        const { settings, elements } = StateManager.getState();
+        expect(settings.background.overlayOpacity).toBe(0.8);
+        expect(elements['date-default']).toBeDefined();
+        // Only the look is shared; an active schedule profile is deactivated
+        NON_LOOK_SETTINGS_KEYS.filter(key => key !== 'schedule').forEach(key => {
+            expect(settings[key]).toEqual(localSettings[key]);
+        });
+        expect(settings.schedule).toEqual({ ...localSettings.schedule, activeProfileId: null });
+        expect(window.location.hash).toBe('');
+    });
+
+    it('should leave agenda calendars out of links', async () => {
+        StateManager.update({ elements: { 'agenda-1': { ...ComponentRegistry.createDefaultConfig('agenda'), id: 'agenda-1', type: 'agenda' } } });
+        StateManager.update({ elements: { 'agenda-1': { options: {
+            title: 'Work', url: 'https://calendar.example/private/secret-token/basic.ics', fileName: 'work.ics', fileContent: 'BEGIN:VCALENDAR'
+        } } } });
+
+        const url = await service.createShareUrl();
+
+        const { options } = (await decodeShareData(getSharedSettingsParam(url.slice(url.indexOf('#'))))).state.elements['agenda-1'];
+        expect(options.title).toBe('Work');
+        ['url', 'fileName', 'fileContent'].forEach(key => expect(options).not.toHaveProperty(key));
+        expect(StateManager.getState().elements['agenda-1'].options.url).toMatch(/secret-token/);
+
+        expect(await service.importSharedSettings(url.slice(url.indexOf('#')))).toBe(true);
+        // A calendar set up in this browser stays
+        expect(StateManager.getState().elements['agenda-1'].options).toMatchObject({ title: 'Work', fileName: 'work.ics' });
+    });
+
+    it('should never load face modules or change other local settings from a crafted link', async () => {
+        const loadFromUrl = vi.spyOn(ClockFaceRegistry, 'loadFromUrl').mockResolvedValue({ success: true, message: '' });
+        const subscription = await initClockFaceModules(StateManager);
+        const before = StateManager.getState().settings;
+        const state = createPresetState(StateManager.getState());
+        Object.assign(state.settings, {
+            clockFaceUrls: ['https://attacker.example/face.js'],
+            alarms: [{ id: 'alarm-x', time: '03:00' }],
+            debugModeEnabled: true,
+            language: 'ar'
+        });
+
+        expect(await service.importSharedSettings(`#cfg=${await encodeShareData({ version: 2, state })}`)).toBe(true);
+
+        const { settings } = StateManager.getState();
+        ['clockFaceUrls', 'alarms', 'debugModeEnabled', 'language'].forEach(key => expect(settings[key]).toEqual(before[key]));
+        expect(loadFromUrl).not.toHaveBeenCalled();
+        subscription.unsubscribe();
+    });
+
+    it('should leave the state alone when the link is declined or corrupt', async () => {
+        const before = StateManager.getState();
+        const hash = `#cfg=${(await service.createShareUrl()).split('#cfg=')[1]}`;
+
+        confirm.mockReturnValueOnce(false);
+        expect(await service.importSharedSettings(hash)).toBe(false);
+
+        expect(await service.importSharedSettings('#cfg=zbroken')).toBe(false);
+        expect(alert).toHaveBeenCalledWith(expect.stringMatching(/^Error reading shared settings/));
+
+        expect(await service.importSharedSettings('')).toBe(false);
+        expect(StateManager.getState()).toEqual(before);
+    });
+});
+
+describe('settings files', () => {
+    let service;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        EventBus.listeners = {};
+        await StateManager.init(getDefaultState());
+        service = new SettingsIOService({ getFavorites: () => [], getCollections: () => [], replaceFavorites: vi.fn(() => true) });
+        vi.stubGlobal('confirm', vi.fn(() => true));
+        vi.stubGlobal('alert', vi.fn());
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    /** Imports settings with these face module URLs and waits until they are applied. */
+    const importWithFaceUrls = async (clockFaceUrls) => {
+        const state = StateManager.getState();
+        const data = service.createExportData({ ...state, settings: { ...state.settings, clockFaceUrls } }, { favorites: [] });
+        service.importSettings(new File([JSON.stringify(data)], 'settings.json'));
+        await vi.waitFor(() => expect(alert).toHaveBeenCalledWith(expect.stringMatching(/^Settings imported/)));
+    };
+
+    it('should list the face modules a file adds and load them only if accepted', async () => {
+        StateManager.update({ settings: { clockFaceUrls: ['https://example.com/face.js'] } });
+
+        confirm.mockReturnValueOnce(false);
+        await importWithFaceUrls(['https://example.com/face.js', 'https://attacker.example/face.js']);
+        expect(confirm).toHaveBeenCalledWith(expect.stringContaining('https://attacker.example/face.js'));
+        expect(confirm.mock.calls[0][0]).not.toContain('https://example.com/face.js');
+        expect(StateManager.getState().settings.clockFaceUrls).toEqual(['https://example.com/face.js']);
+
+        alert.mockClear();
+        await importWithFaceUrls(['https://example.com/face.js', 'https://attacker.example/face.js']);
+        expect(StateManager.getState().settings.clockFaceUrls).toEqual(['https://example.com/face.js', 'https://attacker.example/face.js']);
+
+        // Nothing to ask when no module is added
+        confirm.mockClear();
+        alert.mockClear();
+        await importWithFaceUrls([]);
+        expect(confirm).not.toHaveBeenCalled();
+        expect(StateManager.getState().settings.clockFaceUrls).toEqual([]);
+    });
+});
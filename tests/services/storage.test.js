@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { STORES } from '../../js/services/storage/AppDatabase.js';
+import { FavoritesStorage } from '../../js/services/storage/FavoritesStorage.js';
+import { ImageCacheStorage, CACHE_STORAGE_KEY_PREFIX } from '../../js/services/storage/ImageCacheStorage.js';
+import { ImageBlobStorage, selectImagesToEvict } from '../../js/services/storage/ImageBlobStorage.js';
+import { CalendarFileStorage } from '../../js/services/storage/CalendarFileStorage.js';
+
+vi.mock('../../js/utils/logger.js', () => ({
+    log: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+}));
+
+/** In-memory stand-in for AppDatabase (jsdom has no IndexedDB) */
+const createDatabase = () => {
+    const stores = new Map(Object.values(STORES).map(name => [name, new Map()]));
+    return {
+        stores,
+        isAvailable: () => true,
+        get: vi.fn(async (store, key) => stores.get(store).get(key)),
+        getAll: vi.fn(async (store) => [...stores.get(store).values()]),
+        put: vi.fn(async (store, value, key) => { stores.get(store).set(key ?? value.url, value); }),
+        delete: vi.fn(async (store, key) => { stores.get(store).delete(key); }),
+    };
+};
+
+const mockImageResponse = (size = 100, type = 'image/jpeg') => ({
+    ok: true,
+    status: 200,
+    blob: async () => new Blob([new Uint8Array(size)], { type }),
+});
+
+describe('FavoritesStorage', () => {
+    afterEach(() => localStorage.clear());
+
+    it('migrates favorites from localStorage on first run', async () => {
+        const favorites = [{ id: '1', url: 'https://example.com/a.jpg' }];
+        localStorage.setItem('ambientClockV2_favorites', JSON.stringify(favorites));
+        const database = createDatabase();
+
+        const storage = new FavoritesStorage(database);
+        await storage.init();
+
+        expect(storage.getAll()).toEqual(favorites);
+        expect(database.stores.get(STORES.KEY_VALUE).get('ambientClockV2_favorites')).toEqual(favorites);
+        expect(localStorage.getItem('ambientClockV2_favorites')).toBeNull();
+    });
+
+    it('falls back to localStorage when IndexedDB is unavailable', async () => {
+        const storage = new FavoritesStorage({ ...createDatabase(), isAvailable: () => false });
+        await storage.init();
+
+        storage.saveAll([{ id: '2', url: 'https://example.com/b.jpg' }]);
+
+        expect(JSON.parse(localStorage.getItem('ambientClockV2_favorites'))).toHaveLength(1);
+        expect(storage.getAll()).toHaveLength(1);
+    });
+});
+
+describe('ImageCacheStorage', () => {
+    afterEach(() => localStorage.clear());
+
+    it('migrates cached batches from localStorage and drops corrupt ones', async () => {
+        const batch = [{ url: 'https://example.com/a.jpg' }];
+        localStorage.setItem(`${CACHE_STORAGE_KEY_PREFIX}unsplash_nature`, JSON.stringify(batch));
+        localStorage.setItem(`${CACHE_STORAGE_KEY_PREFIX}pexels_city`, '{not json');
+        localStorage.setItem('unrelated', 'kept');
+        const storage = new ImageCacheStorage(createDatabase());
+
+        expect(await storage.load(`${CACHE_STORAGE_KEY_PREFIX}unsplash_nature`)).toEqual(batch);
+        expect(await storage.load(`${CACHE_STORAGE_KEY_PREFIX}pexels_city`)).toBeNull();
+        expect(Object.keys(localStorage)).toEqual(['unrelated']);
+    });
+});
+
+describe('CalendarFileStorage', () => {
+    it('keeps one calendar file per element and reports unavailable storage', async () => {
+        const database = createDatabase();
+        const storage = new CalendarFileStorage(database);
+
+        expect(await storage.save('agenda-1', 'BEGIN:VCALENDAR')).toBe(true);
+        expect(await storage.load('agenda-1')).toBe('BEGIN:VCALENDAR');
+        expect(await storage.load('agenda-2')).toBeNull();
+
+        const broken = new CalendarFileStorage({ ...database, put: vi.fn(async () => { throw new Error('QuotaExceededError'); }) });
+        expect(await broken.save('agenda-1', 'BEGIN:VCALENDAR')).toBe(false);
+    });
+});
+
+describe('selectImagesToEvict', () => {
+    it('evicts unpinned images least recently used first until they fit the budget', () => {
+        const records = [
+            { url: 'old', size: 50, pinned: false, lastUsedAt: 1 },
+            { url: 'favorite', size: 500, pinned: true, lastUsedAt: 0 },
+            { url: 'newer', size: 50, pinned: false, lastUsedAt: 2 },
+            { url: 'newest', size: 50, pinned: false, lastUsedAt: 3 },
+        ];
+
+        expect(selectImagesToEvict(records, 100)).toEqual(['old']);
+        expect(selectImagesToEvict(records, 0)).toEqual(['old', 'newer', 'newest']);
+    });
+});
+
+describe('ImageBlobStorage', () => {
+    let database;
+
+    beforeEach(() => {
+        database = createDatabase();
+        global.fetch = vi.fn(async () => mockImageResponse());
+        URL.createObjectURL = vi.fn(() => 'blob:mock/1');
+        URL.revokeObjectURL = vi.fn();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('stores an image once and serves it as an object URL', async () => {
+        const storage = new ImageBlobStorage(database);
+
+        await Promise.all([
+            storage.storeImage('https://example.com/a.jpg'),
+            storage.storeImage('https://example.com/a.jpg'),
+        ]);
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(await storage.getObjectUrl('https://example.com/a.jpg')).toBe('blob:mock/1');
+        expect(await storage.getObjectUrl('https://example.com/missing.jpg')).toBeNull();
+    });
+
+    it('does not store non-http URLs or non-image responses', async () => {
+        const storage = new ImageBlobStorage(database);
+
+        expect(await storage.storeImage('local-file:abc/photo.jpg')).toBe(false);
+        fetch.mockResolvedValueOnce(mockImageResponse(10, 'text/html'));
+        expect(await storage.storeImage('https://example.com/page')).toBe(false);
+        expect(database.stores.get(STORES.IMAGE_BLOBS).size).toBe(0);
+    });
+
+    it('keeps pinned images and evicts unpinned ones beyond the budget', async () => {
+        const storage = new ImageBlobStorage(database, { maxCacheBytes: 150 });
+
+        await storage.storeImage('https://example.com/favorite.jpg', { pinned: true });
+        await storage.storeImage('https://example.com/1.jpg');
+        await storage.storeImage('https://example.com/2.jpg');
+        await storage.storeImage('https://example.com/3.jpg');
+
+        const stored = () => [...database.stores.get(STORES.IMAGE_BLOBS).keys()];
+        expect(stored()).toContain('https://example.com/favorite.jpg');
+        expect(stored()).toHaveLength(2);
+
+        await storage.setPinned('https://example.com/favorite.jpg', false);
+        expect(stored()).toHaveLength(1);
+    });
+
+    it('adds attribution to images stored without it', async () => {
+        const storage = new ImageBlobStorage(database);
+        const metadata = { authorName: 'Ada', authorUrl: 'https://example.com/ada', source: 'unsplash' };
+
+        await storage.storeImage('https://example.com/a.jpg', { pinned: true });
+        await storage.storeImage('https://example.com/a.jpg', { pinned: true, metadata });
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(database.stores.get(STORES.IMAGE_BLOBS).get('https://example.com/a.jpg')).toMatchObject({ pinned: true, metadata });
+    });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { VideoBackgroundHandler } from '../../js/services/video-background-handler.js';
+import { selectVideoRendition } from '../../js/services/utils/background-helpers.js';
+import { StateManager } from '../../js/core/state-manager.js';
+import { RateLimitError } from '../../js/core/errors.js';
+
+vi.mock('../../js/core/state-manager.js', () => ({
+    StateManager: {
+        getState: vi.fn(() => ({ currentImageMetadata: null })),
+        update: vi.fn(),
+    },
+}));
+vi.mock('../../js/utils/logger.js', () => ({
+    log: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+}));
+
+const video = (n) => ({
+    url: `https://example.com/${n}.mp4`,
+    posterUrl: `https://example.com/${n}.jpg`,
+    authorName: 'Author',
+    source: 'pexels',
+    mediaType: 'video',
+});
+
+describe('selectVideoRendition', () => {
+    const renditions = [
+        { url: 'uhd', width: 3840 },
+        { url: 'sd', width: 960 },
+        { url: 'hd', width: 1920 },
+        { url: 'hd-small', width: 1280 },
+    ];
+
+    it('picks the narrowest rendition that fills the target width, capped at full HD', () => {
+        expect(selectVideoRendition(renditions, 1000).url).toBe('hd-small');
+        expect(selectVideoRendition(renditions, 5120).url).toBe('hd');
+    });
+
+    it('falls back to the widest rendition and ignores ones without a URL', () => {
+        expect(selectVideoRendition([{ url: 'sd', width: 960 }, { url: '', width: 1920 }], 1920).url).toBe('sd');
+        expect(selectVideoRendition([], 1920)).toBeNull();
+    });
+});
+
+describe('VideoBackgroundHandler', () => {
+    let handler;
+    let containerA;
+    let containerB;
+    let provider;
+    let favoritesService;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        // jsdom doesn't play media: report every source with a URL as playable, except broken ones
+        vi.spyOn(HTMLMediaElement.prototype, 'load').mockImplementation(function () {
+            if (!this.getAttribute('src')) return;
+            queueMicrotask(() => this.dispatchEvent(new Event(this.src.includes('broken') ? 'error' : 'canplay')));
+        });
+        vi.spyOn(HTMLMediaElement.prototype, 'play').mockResolvedValue();
+        vi.spyOn(HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+
+        containerA = document.createElement('div');
+        containerB = document.createElement('div');
+        document.body.append(containerA, containerB);
+        provider = { getVideoBatch: vi.fn().mockResolvedValue([video(1), video(2)]) };
+        favoritesService = {
+            getFavoritesCount: vi.fn(() => 0),
+            getRandomFavorite: vi.fn(() => null),
+        };
+        handler = new VideoBackgroundHandler(
+            containerA,
+            containerB,
+            { videoProvider: 'pexels', category: 'Nature', zoomEnabled: false },
+            new Map([['pexels', provider], ['unsplash', { getImageBatch: vi.fn() }]]),
+            {},
+            favoritesService
+        );
+    });
+
+    afterEach(() => {
+        handler.destroy();
+        containerA.remove();
+        containerB.remove();
+        vi.restoreAllMocks();
+    });
+
+    it('plays a muted, looping video from the provider batch', async () => {
+        await handler.init();
+
+        const videoA = containerA.querySelector('video');
+        expect(provider.getVideoBatch).toHaveBeenCalledWith('nature', expect.any(Number));
+        expect(videoA.muted).toBe(true);
+        expect(videoA.loop).toBe(true);
+        expect(videoA.src).toMatch(/\/[12]\.mp4$/);
+        expect(videoA.play).toHaveBeenCalled();
+        expect(StateManager.update).toHaveBeenCalledWith({
+            currentImageMetadata: expect.objectContaining({ url: videoA.src, mediaType: 'video' }),
+        });
+    });
+
+    it('cross-fades to the next video in the other container', async () => {
+        await handler.init();
+        await handler.loadNext();
+
+        expect(containerA.style.opacity).toBe('0');
+        expect(containerB.style.opacity).toBe('1');
+        expect(containerB.querySelector('video').src).not.toBe(containerA.querySelector('video').src);
+        expect(provider.getVideoBatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('only uses video favorites in favorites-only mode', async () => {
+        favoritesService.getFavoritesCount.mockReturnValue(1);
+        handler.config.useFavoritesOnly = true;
+
+        await handler.init();
+
+        expect(favoritesService.getFavoritesCount).toHaveBeenCalledWith(null, 'video');
+        expect(provider.getVideoBatch).not.toHaveBeenCalled();
+        expect(containerA.style.backgroundImage).toContain('data:image/svg+xml');
+        expect(StateManager.update).not.toHaveBeenCalled();
+    });
+
+    it('falls back to a video favorite when the provider is unavailable', async () => {
+        provider.getVideoBatch.mockRejectedValue(new RateLimitError('limit'));
+        favoritesService.getRandomFavorite.mockReturnValue({ id: 'f1', ...video('favorite'), thumbnailUrl: 'poster.jpg' });
+
+        await handler.init();
+
+        expect(favoritesService.getRandomFavorite).toHaveBeenCalledWith(null, 'video');
+        expect(containerA.querySelector('video').src).toBe('https://example.com/favorite.mp4');
+    });
+
+    it('shows a placeholder when a video fails to load', async () => {
+        provider.getVideoBatch.mockResolvedValue([video('broken')]);
+
+        await handler.init();
+
+        expect(containerA.querySelector('video').hidden).toBe(true);
+        expect(containerA.style.backgroundImage).toContain('data:image/svg+xml');
+    });
+
+    it('removes its video elements when destroyed', async () => {
+        await handler.init();
+        handler.destroy();
+
+        expect(containerA.querySelector('video')).toBeNull();
+        expect(containerB.querySelector('video')).toBeNull();
+    });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { MIGRATIONS, CURRENT_SCHEMA_VERSION, getSchemaVersion, migrateState } from '../../js/state/migrations.js';
+import { StateMigrationError } from '../../js/core/errors.js';
+import { getDefaultState } from '../../js/state/default-state.js';
+
+vi.mock('../../js/utils/logger.js', () => ({
+    log: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+}));
+
+/** Runs a single migration step on a copy of the state */
+const runStep = (version, state) => {
+    const copy = JSON.parse(JSON.stringify(state));
+    MIGRATIONS.find(step => step.version === version).migrate(copy);
+    return copy;
+};
+
+// A state saved before schema versions existed
+const unversionedState = () => ({
+    settings: {
+        schedule: {
+            profiles: {
+                night: { id: 'night', name: 'Night', patch: { elements: { 'clock-default': { options: { face: 'led' } } } } }
+            }
+        }
+    },
+    elements: {
+        'clock-default': {
+            type: 'clock', id: 'clock-default',
+            options: { face: 'led', wordLanguage: '', wordLitColor: '#ffffff', wordUnlitColor: '#3c3c3c', showMinuteDots: true }
+        },
+        'date-default': { type: 'date', id: 'date-default', options: { format: 'Day, Month DD' } }
+    }
+});
+
+describe('state migrations', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should number the steps in order, ending at the current version', () => {
+        expect(MIGRATIONS.map(step => step.version)).toEqual(MIGRATIONS.map((step, index) => index + 1));
+        expect(CURRENT_SCHEMA_VERSION).toBe(MIGRATIONS.length);
+        expect(getDefaultState().schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+        expect(getSchemaVersion({})).toBe(0);
+    });
+
+    it('1: should rename the led face to clean, in elements and profiles', () => {
+        const state = runStep(1, unversionedState());
+        expect(state.elements['clock-default'].options.face).toBe('clean');
+        expect(state.settings.schedule.profiles.night.patch.elements['clock-default'].options.face).toBe('clean');
+    });
+
+    it('2: should replace fixed date format names with token formats', () => {
+        const state = runStep(2, unversionedState());
+        expect(state.elements['date-default'].options.format).toBe('dddd, MMMM D');
+        expect(runStep(2, { elements: { d: { options: { format: 'YYYY [W]WW' } } } }).elements.d.options.format).toBe('YYYY [W]WW');
+    });
+
+    it('3: should drop word face options saved with their old defaults and keep customised ones', () => {
+        const saved = unversionedState();
+        saved.elements['clock-default'].options.wordLitColor = '#ff0000';
+        const { options } = runStep(3, saved).elements['clock-default'];
+        expect(options).toEqual({ face: 'led', wordLitColor: '#ff0000' });
+    });
+
+    it('should run the steps after the saved version and stamp the current version', () => {
+        const migrated = migrateState(unversionedState());
+        expect(migrated.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+        expect(migrated.elements['clock-default'].options).toEqual({ face: 'clean' });
+
+        // Version 2 states only get step 3
+        const fromV2 = migrateState({ ...unversionedState(), schemaVersion: 2 });
+        expect(fromV2.elements['clock-default'].options.face).toBe('led');
+        expect(fromV2.elements['date-default'].options.format).toBe('Day, Month DD');
+
+        const newer = { schemaVersion: CURRENT_SCHEMA_VERSION + 1, elements: {} };
+        expect(migrateState(newer)).toBe(newer);
+    });
+
+    it('should leave the input untouched when a step fails', () => {
+        const saved = unversionedState();
+        const before = JSON.stringify(saved);
+        vi.spyOn(MIGRATIONS[1], 'migrate').mockImplementation(() => { throw new Error('boom'); });
+
+        expect(() => migrateState(saved)).toThrow(StateMigrationError);
+        expect(() => migrateState(saved)).toThrow(/version 2.*boom/);
+        expect(JSON.stringify(saved)).toBe(before);
+    });
+});
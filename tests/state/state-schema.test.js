@@ -0,0 +1,62 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { validateState } from '../../js/state/state-schema.js';
+import { getDefaultState } from '../../js/state/default-state.js';
+import { registerElementTypes } from '../../js/core/element-registration.js';
+import { registerClockFaces } from '../../js/core/clock-face-registration.js';
+
+vi.mock('../../js/utils/logger.js', () => ({
+    log: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+}));
+
+describe('state schema', () => {
+    beforeAll(() => {
+        registerElementTypes();
+        registerClockFaces();
+    });
+
+    it('should accept the default state', () => {
+        expect(validateState(getDefaultState()).errors).toEqual([]);
+    });
+
+    it('should check element options against their type\'s schema, including clock face options', () => {
+        const state = getDefaultState();
+        state.elements['clock-default'].options.timeFormat = 24;
+        state.elements['clock-default'].options.analogHandShape = 'sword';
+        state.elements['date-default'].options.color = 'white';
+        state.elements['date-default'].id = 'date-2';
+
+        expect(validateState(state).errors.map(error => error.path)).toEqual([
+            'elements.clock-default.options.timeFormat',
+            'elements.clock-default.options.analogHandShape',
+            'elements.date-default.id',
+            'elements.date-default.options.color'
+        ]);
+    });
+
+    it('should repair imported state by dropping only the invalid parts', () => {
+        const state = getDefaultState();
+        state.settings.background.overlayOpacity = '0.3';
+        state.settings.alarms = [{ id: 'a', time: '25:00' }, { id: 'b', time: '06:45', days: [1] }];
+        state.elements['clock-default'].options.showSeconds = 'yes';
+        state.elements.broken = { type: 'date', id: 'broken' }; // No options
+
+        const { valid, errors, value } = validateState(state, { repair: true });
+
+        expect(valid).toBe(false);
+        expect(errors.map(error => error.path)).toEqual([
+            'settings.background.overlayOpacity',
+            'settings.alarms[0].time',
+            'elements.clock-default.options.showSeconds',
+            'elements.broken.options'
+        ]);
+        expect(value.settings.background).not.toHaveProperty('overlayOpacity');
+        expect(value.settings.background.provider).toBe('peapix');
+        expect(value.settings.alarms).toEqual([{ id: 'b', time: '06:45', days: [1] }]);
+        expect(value.elements['clock-default'].options).not.toHaveProperty('showSeconds');
+        expect(value.elements['clock-default'].options.face).toBe('clean');
+        expect(value.elements).not.toHaveProperty('broken');
+    });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { join } from 'path';
+import { GOOGLE_FONTS } from '../js/utils/font-list.js';
+
+const root = join(__dirname, '..');
+const read = (file) => readFileSync(join(root, file), 'utf8');
+
+/** Lists the files below a directory, relative to the repository root */
+const listFiles = (dir) => readdirSync(join(root, dir)).flatMap((name) => {
+    const path = `${dir}/${name}`;
+    return statSync(join(root, path)).isDirectory() ? listFiles(path) : [path];
+});
+
+describe('service worker', () => {
+    const swSource = read('sw.js');
+    const appShell = [...swSource.match(/const APP_SHELL = \[([\s\S]*?)\];/)[1].matchAll(/'([^']+)'/g)].map(match => match[1]);
+
+    it('precaches every file of the app shell', () => {
+        const expected = ['js', 'css', 'assets'].flatMap(listFiles);
+        expect(appShell.filter(file => /^(js|css|assets)\//.test(file)).sort()).toEqual(expected.sort());
+        expect(appShell).toContain('index.html');
+        expect(appShell).toContain('manifest.webmanifest');
+    });
+
+    it('loads every Google font through the stylesheet it precaches', () => {
+        const stylesheetUrl = read('index.html').match(/href="(https:\/\/fonts\.googleapis\.com\/css2[^"]+)"/)[1];
+        const families = [...stylesheetUrl.matchAll(/family=([^:&]+)/g)].map(match => match[1].replace(/\+/g, ' '));
+        expect(families.sort()).toEqual([...GOOGLE_FONTS].sort());
+    });
+
+    it('has a valid web app manifest', () => {
+        const manifest = JSON.parse(read('manifest.webmanifest'));
+        expect(manifest.start_url).toBeDefined();
+        manifest.icons.forEach(icon => expect(appShell).toContain(icon.src));
+    });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { formatDate, resolveDateFormat, getIsoWeek } from '../../js/utils/date-format.js';
+
+// Friday, 15 March 2024 (local time)
+const date = new Date(2024, 2, 15);
+
+describe('date-format', () => {
+    it('should keep rendering legacy format names as before', () => {
+        const en = { locale: 'en-US' };
+        expect(formatDate(date, 'MM/DD/YYYY', en)).toBe('03/15/2024');
+        expect(formatDate(date, 'DD/MM/YYYY', en)).toBe('15/03/2024');
+        expect(formatDate(date, 'YYYY-MM-DD', en)).toBe('2024-03-15');
+        expect(formatDate(date, 'Day', en)).toBe('Friday');
+        expect(formatDate(date, 'Day, Month DD', en)).toBe('Friday, March 15');
+        expect(formatDate(date, 'Month DD, YYYY', en)).toBe('March 15, 2024');
+        expect(resolveDateFormat(undefined)).toBe('dddd, MMMM D');
+    });
+
+    it('should format tokens, ordinals and bracketed literals', () => {
+        const en = { locale: 'en-GB' };
+        expect(formatDate(date, 'ddd Do MMM YY', en)).toBe('Fri 15th Mar 24');
+        expect(formatDate(new Date(2024, 0, 2), 'Do', en)).toBe('2nd');
+        expect(formatDate(date, 'YYYY-[W]WW-d [Q]Q', en)).toBe('2024-W11-5 Q1');
+        expect(formatDate(date, 'DDDD', en)).toBe('075');
+    });
+
+    it('should use the ISO week-numbering year around New Year', () => {
+        expect(getIsoWeek(new Date(2021, 0, 3))).toEqual({ week: 53, year: 2020 });
+        expect(getIsoWeek(new Date(2024, 11, 30))).toEqual({ week: 1, year: 2025 });
+        expect(formatDate(new Date(2024, 11, 30), 'GGGG-[W]WW', { locale: 'en' })).toBe('2025-W01');
+    });
+
+    it('should localize names and digits', () => {
+        expect(formatDate(date, 'dddd D MMMM', { locale: 'fr' })).toBe('vendredi 15 mars');
+        // Month names next to a day use the grammatical form for dates
+        expect(formatDate(date, 'D MMMM', { locale: 'ru' })).toBe('15 марта');
+        expect(formatDate(date, 'MMMM', { locale: 'ru' })).toBe('март');
+        expect(formatDate(date, 'D/M/YYYY', { locale: 'ar-EG' })).toBe('١٥/٣/٢٠٢٤');
+    });
+
+    it('should support non-Gregorian calendars', () => {
+        expect(formatDate(date, 'N YYYY', { locale: 'en', calendar: 'japanese' })).toBe('Reiwa 6');
+        expect(formatDate(date, 'D MMMM YYYY', { locale: 'en', calendar: 'islamic-umalqura' })).toBe('5 Ramadan 1445');
+        expect(formatDate(date, 'D MMMM YYYY', { locale: 'en', calendar: 'hebrew' })).toBe('5 Adar II 5784');
+        // Unknown calendars fall back to Gregorian
+        expect(formatDate(date, 'YYYY', { locale: 'en', calendar: 'martian' })).toBe('2024');
+    });
+});
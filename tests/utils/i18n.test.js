@@ -0,0 +1,70 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { EventBus } from '../../js/core/event-bus.js';
+import {
+    LANGUAGES, resolveLanguage, setLanguage, getLanguage, getTextDirection, t, localize, localizeAttribute
+} from '../../js/i18n/i18n.js';
+import de from '../../js/i18n/locales/de.js';
+import es from '../../js/i18n/locales/es.js';
+import fr from '../../js/i18n/locales/fr.js';
+import ar from '../../js/i18n/locales/ar.js';
+
+describe('i18n', () => {
+    afterEach(() => {
+        setLanguage('en');
+        document.body.innerHTML = '';
+    });
+
+    it('should resolve the language setting, falling back to the browser and then English', () => {
+        expect(resolveLanguage('fr', ['de-DE'])).toBe('fr');
+        expect(resolveLanguage('', ['nl-NL', 'de-AT'])).toBe('de');
+        expect(resolveLanguage('xx', ['ja'])).toBe('en');
+    });
+
+    it('should translate messages, fill placeholders and fall back to English', () => {
+        setLanguage('de');
+        expect(getLanguage()).toBe('de');
+        expect(t('Show Seconds:')).toBe('Sekunden zeigen:');
+        expect(t('Collection "{name}" created.', { name: 'Berge' })).toBe('Sammlung „Berge“ erstellt.');
+        expect(t('Not a catalog message')).toBe('Not a catalog message');
+        setLanguage('en');
+        expect(t('{count} favorites', { count: 3 })).toBe('3 favorites');
+    });
+
+    it('should re-translate localized elements when the language changes', () => {
+        const label = localize(document.createElement('label'), 'Time Zone:');
+        const count = localize(document.createElement('span'), '{count} favorites', { count: 2 });
+        const input = localizeAttribute(document.createElement('input'), 'placeholder', 'e.g. London');
+        document.body.append(label, count, input);
+        const listener = vi.fn();
+        const subscription = EventBus.subscribe('i18n:languageChanged', listener);
+
+        setLanguage('fr');
+        expect(label.textContent).toBe('Fuseau horaire :');
+        expect(count.textContent).toBe('2 favoris');
+        expect(input.placeholder).toBe('p. ex. Londres');
+        expect(document.documentElement.lang).toBe('fr');
+        expect(listener).toHaveBeenCalledWith({ language: 'fr', dir: 'ltr' });
+
+        setLanguage('fr'); // Unchanged: no event
+        expect(listener).toHaveBeenCalledTimes(1);
+        subscription.unsubscribe();
+    });
+
+    it('should mark Arabic as right-to-left', () => {
+        setLanguage('ar');
+        expect(getTextDirection()).toBe('rtl');
+        expect(getTextDirection('es')).toBe('ltr');
+    });
+
+    it('should keep placeholders in every catalog', () => {
+        const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+        const catalogs = { de, es, fr, ar };
+        expect(Object.keys(catalogs)).toEqual(LANGUAGES.map(language => language.code).filter(code => code !== 'en'));
+        Object.values(catalogs).forEach(catalog => {
+            Object.entries(catalog).forEach(([message, translation]) => {
+                // Translations may leave a placeholder out, but can't use ones the message doesn't fill
+                placeholders(translation).forEach(name => expect(placeholders(message)).toContain(name));
+            });
+        });
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { parseIcs, getUpcomingEvents, parseContentLine, parseDuration } from '../../js/utils/ics-parser.js';
+
+/** Wraps VEVENT/VTIMEZONE lines into a calendar */
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', 'X-WR-CALNAME:Office', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+const range = (from, to, limit) => ({ from: new Date(from), to: new Date(to), limit });
+const startsOf = (events) => events.map(event => event.start.toISOString());
+
+describe('ics-parser', () => {
+    it('should parse content lines, folded lines and escaped text', () => {
+        expect(parseContentLine('DTSTART;TZID="America/New_York":20240115T093000')).toEqual({
+            name: 'DTSTART', params: { TZID: 'America/New_York' }, value: '20240115T093000'
+        });
+        expect(parseDuration('PT1H30M')).toBe(90 * 60 * 1000);
+        expect(parseDuration('-P1W')).toBe(-7 * 24 * 60 * 60 * 1000);
+
+        const parsed = parseIcs(calendar(
+            'BEGIN:VEVENT', 'UID:1', 'DTSTART:20240115T090000Z', 'DTEND:20240115T100000Z',
+            'SUMMARY:Planning\\, Q1', 'LOCATION:Room 4', 'DESCRIPTION:Line one\\nline', '  two', 'END:VEVENT'
+        ));
+        expect(parsed.name).toBe('Office');
+        expect(parsed.events[0]).toMatchObject({ summary: 'Planning, Q1', location: 'Room 4', description: 'Line one\nline two' });
+    });
+
+    it('should reject text that is not a calendar', () => {
+        expect(() => parseIcs('<html></html>')).toThrow('Not an iCalendar file.');
+    });
+
+    it('should list upcoming and in-progress events in order', () => {
+        const parsed = parseIcs(calendar(
+            'BEGIN:VEVENT', 'UID:past', 'DTSTART:20240110T090000Z', 'DTEND:20240110T100000Z', 'SUMMARY:Past', 'END:VEVENT',
+            'BEGIN:VEVENT', 'UID:later', 'DTSTART:20240116T090000Z', 'DURATION:PT30M', 'SUMMARY:Later', 'END:VEVENT',
+            'BEGIN:VEVENT', 'UID:now', 'DTSTART:20240115T110000Z', 'DTEND:20240115T130000Z', 'SUMMARY:Now', 'END:VEVENT',
+            'BEGIN:VEVENT', 'UID:cancelled', 'DTSTART:20240115T150000Z', 'STATUS:CANCELLED', 'SUMMARY:Off', 'END:VEVENT'
+        ));
+        const events = getUpcomingEvents(parsed, range('2024-01-15T12:00:00Z', '2024-01-20T00:00:00Z'));
+        expect(events.map(event => event.summary)).toEqual(['Now', 'Later']);
+        expect(events[1].end.toISOString()).toBe('2024-01-16T09:30:00.000Z');
+    });
+
+    it('should expand weekly rules with EXDATE and moved instances', () => {
+        const parsed = parseIcs(calendar(
+            'BEGIN:VEVENT', 'UID:standup', 'DTSTART:20240101T093000Z', 'DURATION:PT15M', 'SUMMARY:Stand-up',
+            'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20240131T235959Z',
+            'EXDATE:20240110T093000Z', 'END:VEVENT',
+            'BEGIN:VEVENT', 'UID:standup', 'RECURRENCE-ID:20240112T093000Z', 'DTSTART:20240112T140000Z',
+            'DURATION:PT15M', 'SUMMARY:Stand-up (moved)', 'END:VEVENT'
+        ));
+        const events = getUpcomingEvents(parsed, range('2024-01-08T00:00:00Z', '2024-01-13T00:00:00Z'));
+        expect(startsOf(events)).toEqual(['2024-01-08T09:30:00.000Z', '2024-01-12T14:00:00.000Z']);
+        expect(events[1].summary).toBe('Stand-up (moved)');
+
+        // UNTIL ends the series
+        expect(getUpcomingEvents(parsed, range('2024-02-01T00:00:00Z', '2024-03-01T00:00:00Z'))).toEqual([]);
+    });
+
+    it('should support monthly ordinal weekdays, COUNT and BYSETPOS', () => {
+        const parsed = parseIcs(calendar(
+            'BEGIN:VEVENT', 'UID:review', 'DTSTART:20240130T160000Z', 'SUMMARY:Review',
+            'RRULE:FREQ=MONTHLY;BYDAY=-1TU;COUNT=3', 'END:VEVENT',
+            'BEGIN:VEVENT', 'UID:payday', 'DTSTART:20240131T120000Z', 'SUMMARY:Payday',
+            'RRULE:FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', 'END:VEVENT'
+        ));
+        const events = getUpcomingEvents(parsed, range('2024-01-01T00:00:00Z', '2024-07-01T00:00:00Z'));
+        expect(startsOf(events.filter(event => event.summary === 'Review'))).toEqual([
+            '2024-01-30T16:00:00.000Z', '2024-02-27T16:00:00.000Z', '2024-03-26T16:00:00.000Z'
+        ]);
+        // Last weekday of each month
+        expect(startsOf(events.filter(event => event.summary === 'Payday')).slice(0, 4)).toEqual([
+            '2024-01-31T12:00:00.000Z', '2024-02-29T12:00:00.000Z', '2024-03-29T12:00:00.000Z', '2024-04-30T12:00:00.000Z'
+        ]);
+    });
+
+    it('should keep the local time of recurring events across DST changes', () => {
+        // 09:00 New York time: 14:00Z in winter, 13:00Z after DST starts on 2024-03-10
+        const parsed = parseIcs(calendar(
+            'BEGIN:VEVENT', 'UID:ny', 'DTSTART;TZID=America/New_York:20240301T090000', 'SUMMARY:Daily',
+            'RRULE:FREQ=DAILY', 'END:VEVENT'
+        ));
+        const events = getUpcomingEvents(parsed, range('2024-03-08T00:00:00Z', '2024-03-12T00:00:00Z'));
+        expect(startsOf(events)).toEqual([
+            '2024-03-08T14:00:00.000Z', '2024-03-09T14:00:00.000Z', '2024-03-10T13:00:00.000Z', '2024-03-11T13:00:00.000Z'
+        ]);
+    });
+
+    it('should use VTIMEZONE definitions for non-IANA time zone names', () => {
+        const parsed = parseIcs(calendar(
+            'BEGIN:VTIMEZONE', 'TZID:W. Europe Standard Time',
+            'BEGIN:STANDARD', 'DTSTART:16010101T030000', 'TZOFFSETFROM:+0200', 'TZOFFSETTO:+0100',
+            'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=10', 'END:STANDARD',
+            'BEGIN:DAYLIGHT', 'DTSTART:16010101T020000', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0200',
+            'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=3', 'END:DAYLIGHT',
+            'END:VTIMEZONE',
+            'BEGIN:VEVENT', 'UID:winter', 'DTSTART;TZID=W. Europe Standard Time:20240115T100000', 'SUMMARY:Winter', 'END:VEVENT',
+            'BEGIN:VEVENT', 'UID:summer', 'DTSTART;TZID=W. Europe Standard Time:20240715T100000', 'SUMMARY:Summer', 'END:VEVENT'
+        ));
+        const events = getUpcomingEvents(parsed, range('2024-01-01T00:00:00Z', '2024-12-31T00:00:00Z'));
+        expect(startsOf(events)).toEqual(['2024-01-15T09:00:00.000Z', '2024-07-15T08:00:00.000Z']);
+    });
+
+    it('should treat all-day events as local dates', () => {
+        const parsed = parseIcs(calendar(
+            'BEGIN:VEVENT', 'UID:holiday', 'DTSTART;VALUE=DATE:20240115', 'DTEND;VALUE=DATE:20240117', 'SUMMARY:Off-site', 'END:VEVENT'
+        ));
+        const [event] = getUpcomingEvents(parsed, range(new Date(2024, 0, 16, 12), new Date(2024, 0, 20)));
+        expect(event).toMatchObject({ summary: 'Off-site', allDay: true });
+        expect(event.start).toEqual(new Date(2024, 0, 15));
+        expect(event.end).toEqual(new Date(2024, 0, 17));
+    });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createQrCode,
+    qrCodeToSvg,
+    getFormatBits,
+    getVersionBits,
+    getReedSolomonDivisor,
+    getReedSolomonRemainder
+} from '../../js/utils/qr-code.js';
+
+/**
+ * "https://example.com/#cfg=jeyJ2ZXJzaW9uIjoyLCJzdGF0ZSI6e319" as a 5-Q symbol with mask 5, from the
+ * `qrcode` npm package (byte mode). Version 5-Q splits the data into two blocks of 15 and two of 16
+ * codewords, so this covers interleaving, placement and masking.
+ */
+const REFERENCE_SYMBOL = [
+    '#######.#.#.#..###..#...#.#...#######',
+    '#.....#.####....##.##.#.....#.#.....#',
+    '#.###.#..#.##.#..######.#.#...#.###.#',
+    '#.###.#..#.#...#.....#...#..#.#.###.#',
+    '#.###.#..#.##...#.#.####.##...#.###.#',
+    '#.....#.....#.#..##.#.#.....#.#.....#',
+    '#######.#.#.#.#.#.#.#.#.#.#.#.#######',
+    '.........####....##.#.##..###........',
+    '.#....##########.#.##.####...#.....##',
+    '.#####....#.##..#..###.#.#...#..#..##',
+    '##..###.###.#.....#.##..#####.#.#####',
+    '.#.###.##...##...##.#.###.##..##.#...',
+    '##..###.###...####...#..#..#..#..#.##',
+    '..#.#..#.#...#.###..##.#...#.#.#..#..',
+    '.####.##.#.#..##....##...#####..##..#',
+    '..#.##.#.#.#......##....#.##.##..####',
+    '.#.#.###.##.####..#.##...###..#.#.###',
+    '....##..#....#.#.#.##..##..##..#.##..',
+    '#..#.###......##.#.#####.#.#.#...#..#',
+    '.#.###..#..###.........##.##...###...',
+    '#....###.####.#...#.#.#.#.##.######..',
+    '#.#..#......#.......####..###..##..#.',
+    '...####.######.####..#..####..#..####',
+    '..####.#####.##.###...###..#..##.#...',
+    '####.##.#.##.#.##..#.#..#.....###.##.',
+    '#.#.##..#...##.#.##..#.#....####.#.#.',
+    '#...#.#......###....###...##..####..#',
+    '#....#..##.####..####.#....###.####..',
+    '#..##.##......#..##.#######.######...',
+    '........######...#...#.#..###...##...',
+    '#######.#..#.#.###.....##..##.#.###.#',
+    '#.....#..##....#.#...#..#.###...##..#',
+    '#.###.#...#.#..##..#####.#.######.##.',
+    '#.###.#...##.##.##..#.####.##.#.#.##.',
+    '#.###.#...#..#..###.#......#.#.#..#.#',
+    '#.....#.#..#####..#...#...#.##...#..#',
+    '#######...######..####.##..##..#.#..#'
+];
+
+describe('QR code', () => {
+    it('should compute the format, version and error correction codes of the standard', () => {
+        expect(getFormatBits('L', 0).toString(2).padStart(15, '0')).toBe('111011111000100');
+        expect(getFormatBits('M', 0).toString(2).padStart(15, '0')).toBe('101010000010010');
+        expect(getFormatBits('H', 7).toString(2).padStart(15, '0')).toBe('000100000111011');
+        expect(getVersionBits(7)).toBe(0x07C94);
+        expect(getVersionBits(40)).toBe(0x28C69);
+        // "HELLO WORLD" as a 1-M symbol
+        const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+        expect(getReedSolomonRemainder(data, getReedSolomonDivisor(10))).toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+    });
+
+    it('should encode a complete symbol exactly like a reference encoder', () => {
+        const qr = createQrCode('https://example.com/#cfg=jeyJ2ZXJzaW9uIjoyLCJzdGF0ZSI6e319', { errorCorrection: 'Q', mask: 5 });
+
+        expect(qr.version).toBe(5);
+        expect(qr.modules.map(row => row.map(isDark => (isDark ? '#' : '.')).join(''))).toEqual(REFERENCE_SYMBOL);
+        expect(() => createQrCode('x', { mask: 8 })).toThrow(RangeError);
+    });
+
+    it('should pick the smallest version that holds the text and draw the function patterns', () => {
+        const small = createQrCode('Hello, world!');
+        expect(small.version).toBe(1);
+        expect(small.size).toBe(21);
+
+        // A settings link of typical length
+        const link = createQrCode(`https://example.com/#cfg=z${'a'.repeat(1100)}`);
+        expect(link.version).toBe(24);
+        expect(link.size).toBe(113);
+        const { modules, size } = link;
+        // Finder pattern corners and centres, timing pattern, dark module
+        [[0, 0], [size - 7, 0], [0, size - 7]].forEach(([x, y]) => {
+            expect(modules[y][x]).toBe(true);
+            expect(modules[y + 1][x + 1]).toBe(false);
+            expect(modules[y + 3][x + 3]).toBe(true);
+        });
+        expect(modules[6].slice(8, 14)).toEqual([true, false, true, false, true, false]);
+        expect(modules[size - 8][8]).toBe(true);
+
+        expect(qrCodeToSvg(small)).toMatch(/^<svg[^>]+viewBox="0 0 29 29"/);
+    });
+
+    it('should reject text too long for a QR code', () => {
+        expect(() => createQrCode('x'.repeat(2954))).toThrow(RangeError);
+        expect(createQrCode('x'.repeat(2953)).version).toBe(40);
+        expect(() => createQrCode('x'.repeat(1300), { errorCorrection: 'H' })).toThrow(RangeError);
+    });
+});
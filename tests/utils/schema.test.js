@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { validate, formatSchemaError } from '../../js/utils/schema.js';
+
+const alarmSchema = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        time: { type: 'string', pattern: '^\\d{2}:\\d{2}$' },
+        days: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 } }
+    },
+    required: ['id', 'time']
+};
+
+const schema = {
+    type: 'object',
+    properties: {
+        opacity: { type: 'number', minimum: 0, maximum: 1 },
+        style: { enum: ['linear', 'radial'] },
+        folder: { type: ['string', 'null'] },
+        alarms: { type: 'array', items: alarmSchema }
+    }
+};
+
+describe('validate', () => {
+    it('should accept matching values, and keys the schema doesn\'t describe', () => {
+        const value = { opacity: 0.5, style: 'radial', folder: null, alarms: [{ id: 'a', time: '07:30', days: [1, 2] }], extra: { any: 1 } };
+        expect(validate(value, schema)).toEqual({ valid: true, errors: [] });
+        expect(validate(value, schema, { repair: true }).value).toEqual(value);
+    });
+
+    it('should report the path, expected type and actual value of every problem', () => {
+        const { valid, errors } = validate({
+            opacity: '0.5',
+            style: 'conic',
+            alarms: [{ id: 'a', time: '07:30', days: [1, 9] }, { id: 'b' }]
+        }, schema, { path: 'settings' });
+
+        expect(valid).toBe(false);
+        expect(errors).toEqual([
+            { path: 'settings.opacity', expected: 'number', actual: 'string' },
+            { path: 'settings.style', expected: 'one of "linear", "radial"', actual: '"conic"' },
+            { path: 'settings.alarms[0].days[1]', expected: 'a number <= 6', actual: '9' },
+            { path: 'settings.alarms[1].time', expected: 'a value', actual: 'undefined' }
+        ]);
+        expect(formatSchemaError(errors[0])).toBe('settings.opacity: expected number, got string');
+    });
+
+    it('should drop invalid keys and items, and keep the rest, when repairing', () => {
+        const value = {
+            opacity: 2,
+            style: 'linear',
+            alarms: [{ id: 'a', time: '07:30', days: [1, 9] }, { id: 'b', time: 'soon' }]
+        };
+        const { valid, value: repaired } = validate(value, schema, { repair: true });
+
+        expect(valid).toBe(false);
+        // Alarm b lacks a valid required time, so it goes as a whole
+        expect(repaired).toEqual({ style: 'linear', alarms: [{ id: 'a', time: '07:30', days: [1] }] });
+        expect(value.opacity).toBe(2); // The input is left alone
+
+        expect(validate('nope', schema, { repair: true }).value).toBeUndefined();
+        expect(validate({ x: 1 }, { type: 'object', additionalProperties: false }, { repair: true })).toMatchObject({
+            valid: false, value: {}, errors: [{ path: 'x', expected: 'no such key' }]
+        });
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, vi } from 'vitest';
+import { getTimeParts, isValidTimeZone, getAvailableTimeZones, formatDuration, toLocalDateTimeString } from '../../js/utils/time-helpers.js';
+
+describe('time-helpers', () => {
+    // 2024-01-15 23:30:45 UTC (a Monday)
+    const instant = new Date(Date.UTC(2024, 0, 15, 23, 30, 45));
+
+    it('should return local time parts when no time zone is given', () => {
+        const parts = getTimeParts(instant, '');
+        expect(parts.hours).toBe(instant.getHours());
+        expect(parts.minutes).toBe(instant.getMinutes());
+        expect(parts.seconds).toBe(instant.getSeconds());
+        expect(parts.timeZone).toBe('');
+    });
+
+    it('should convert to the requested time zone', () => {
+        expect(getTimeParts(instant, 'UTC')).toMatchObject({
+            hours: 23, minutes: 30, seconds: 45, year: 2024, month: 1, day: 15, dayOfWeek: 1, timeZone: 'UTC'
+        });
+        // Tokyo is UTC+9 with no DST, so this rolls over into the next day
+        expect(getTimeParts(instant, 'Asia/Tokyo')).toMatchObject({
+            hours: 8, minutes: 30, seconds: 45, day: 16, dayOfWeek: 2
+        });
+        // New York is UTC-5 in January
+        expect(getTimeParts(instant, 'America/New_York')).toMatchObject({ hours: 18, minutes: 30, day: 15 });
+    });
+
+    it('should report midnight as hour 0', () => {
+        const midnight = new Date(Date.UTC(2024, 0, 15, 0, 5, 0));
+        expect(getTimeParts(midnight, 'UTC').hours).toBe(0);
+    });
+
+    it('should fall back to local time for an unsupported time zone', () => {
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const parts = getTimeParts(instant, 'Not/AZone');
+        expect(parts.hours).toBe(instant.getHours());
+        expect(parts.timeZone).toBe('');
+        expect(warnSpy).toHaveBeenCalledTimes(1);
+
+        getTimeParts(instant, 'Not/AZone'); // Should not warn again
+        expect(warnSpy).toHaveBeenCalledTimes(1);
+        warnSpy.mockRestore();
+    });
+
+    it('should validate time zone names', () => {
+        expect(isValidTimeZone('Europe/London')).toBe(true);
+        expect(isValidTimeZone('Not/AZone')).toBe(false);
+        expect(isValidTimeZone('')).toBe(false);
+        expect(isValidTimeZone(undefined)).toBe(false);
+    });
+
+    it('should list available time zones', () => {
+        const zones = getAvailableTimeZones();
+        expect(zones.length).toBeGreaterThan(0);
+        expect(zones).toContain('Europe/London');
+    });
+
+    it('should format timer durations', () => {
+        expect(formatDuration(5 * 60 * 1000)).toBe('5:00');
+        expect(formatDuration(((4 * 60 + 12) * 60 + 9) * 1000)).toBe('4:12:09');
+        expect(formatDuration((((3 * 24 + 4) * 60 + 12) * 60 + 9) * 1000)).toBe('3d 04:12:09');
+        // Partial seconds round up, and negative durations clamp to zero
+        expect(formatDuration(59001)).toBe('1:00');
+        expect(formatDuration(-5000)).toBe('0:00');
+    });
+
+    it('should format local date-times for datetime-local inputs', () => {
+        const date = new Date(2024, 2, 5, 9, 7, 3);
+        expect(toLocalDateTimeString(date)).toBe('2024-03-05T09:07:03');
+        expect(new Date(toLocalDateTimeString(date)).getTime()).toBe(date.getTime());
+    });
+});